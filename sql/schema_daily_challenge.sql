@@ -0,0 +1,49 @@
+-- ============================================================
+-- 데일리 챌린지 도전 기록 (apple / blockblast / fit / merge)
+-- 2026-10-19
+-- 게임/날짜(UTC)마다 서버가 정한 시드 하나로 모두 같은 판 — 로그인 유저당 하루 1회 (PK)
+-- 시드는 저장하지 않고 매번 계산 (src/daily-challenge.js), 여기 seed 는 제출 당시 값 기록용
+-- score: apple/blockblast/merge 는 점수, fit 은 클리어 라운드 수
+-- 사용: GET /daily-challenge/:game, POST /daily-challenge/:game/attempt, GET /daily-challenge/:game/leaderboard
+-- ============================================================
+
+create table if not exists daily_challenge_attempts (
+  game            text not null check (game in ('apple', 'blockblast', 'fit', 'merge')),
+  challenge_date  date not null,
+  user_id         uuid not null references auth.users(id) on delete cascade,
+  nickname        text,                                  -- 노출용 닉네임 (스냅샷)
+  seed            bigint not null,
+  score           int not null check (score >= 0),
+  duration_sec    int not null check (duration_sec >= 0),
+  stats           jsonb not null default '{}'::jsonb,    -- 게임별 통계 (apples_cleared, lines_cleared, max_stage ...)
+  verified        boolean not null default false,        -- 리플레이 재시뮬레이션 통과 (apple/blockblast)
+  flagged         boolean not null default false,        -- sanity 위반 → 랭킹 제외 (도전 1회는 소진)
+  created_at      timestamptz not null default now(),
+  primary key (game, challenge_date, user_id)
+);
+
+-- 인덱스: 날짜별 랭킹
+create index if not exists idx_daily_challenge_rank
+  on daily_challenge_attempts (game, challenge_date, score desc, duration_sec, created_at)
+  where flagged = false;
+
+-- RLS: service_role만 (백엔드 통해서만)
+alter table daily_challenge_attempts enable row level security;
+drop policy if exists "daily_challenge_attempts service" on daily_challenge_attempts;
+create policy "daily_challenge_attempts service" on daily_challenge_attempts
+  for all using (auth.role() = 'service_role') with check (auth.role() = 'service_role');
+
+-- 도전 시작 기록 — POST /daily-challenge/:game/start 가 insert (유저당 게임/날짜마다 1회 = 도전 소비)
+-- 시드는 시작한 유저에게만 발급, 제출 시 started_at 기준 서버 시계 경과로 durationSec / 리플레이 길이 검증
+create table if not exists daily_challenge_starts (
+  game            text not null check (game in ('apple', 'blockblast', 'fit', 'merge')),
+  challenge_date  date not null,
+  user_id         uuid not null references auth.users(id) on delete cascade,
+  started_at      timestamptz not null default now(),
+  primary key (game, challenge_date, user_id)
+);
+
+alter table daily_challenge_starts enable row level security;
+drop policy if exists "daily_challenge_starts service" on daily_challenge_starts;
+create policy "daily_challenge_starts service" on daily_challenge_starts
+  for all using (auth.role() = 'service_role') with check (auth.role() = 'service_role');
@@ -0,0 +1,43 @@
+-- ============================================================
+-- DUO 멀티 게임 경기 결과 (프로필 통계용)
+-- 2026-10-19
+-- 종료된 판마다 로그인 참가자 1명당 1 row (랭크전 여부 무관 — 게스트/봇 섞인 판도 기록)
+-- 대상: omok / makak / suspect / cg / yacht / bp — ratings.js settleRatings 에서 기록
+-- 조회: GET /profile/:userId/stats (게임별 집계는 game_match_stats_v)
+-- ============================================================
+
+create table if not exists game_match_results (
+  id              bigserial primary key,
+  user_id         uuid not null references auth.users(id) on delete cascade,
+  game            text not null,                    -- 'omok' | 'makak' | 'suspect' | 'cg' | 'yacht' | 'bp'
+  match_id        text,                             -- 방 id
+  result          text not null check (result in ('win', 'loss', 'draw')),
+  rank            int,                              -- 1 = 최상위 (팀전은 팀 순위)
+  players         int not null default 2,           -- 시작 인원 (봇/게스트 포함)
+  rated           boolean not null default false,   -- 레이팅 반영된 판인지
+  created_at      timestamptz default now()
+);
+
+create index if not exists idx_game_match_results_user
+  on game_match_results (user_id, created_at desc);
+create index if not exists idx_game_match_results_user_game
+  on game_match_results (user_id, game);
+
+-- 게임별 집계 (판수 / 승 / 패 / 무 / 마지막 플레이)
+create or replace view game_match_stats_v as
+select
+  user_id,
+  game,
+  count(*)::int                                   as games,
+  count(*) filter (where result = 'win')::int     as wins,
+  count(*) filter (where result = 'loss')::int    as losses,
+  count(*) filter (where result = 'draw')::int    as draws,
+  max(created_at)                                 as last_played_at
+from game_match_results
+group by user_id, game;
+
+-- RLS: service_role만 (백엔드 통해서만)
+alter table game_match_results enable row level security;
+drop policy if exists "game_match_results service" on game_match_results;
+create policy "game_match_results service" on game_match_results
+  for all using (auth.role() = 'service_role') with check (auth.role() = 'service_role');
@@ -0,0 +1,103 @@
+-- ============================================================
+-- 경쟁 DUO 게임 레이팅 (Glicko) — omok / makak / suspect / cg / yacht
+-- 2026-10-19
+-- 게임 × 큐(1v1 / team / ffa)별 유저 레이팅 1 row + 경기별 변동 히스토리
+-- 전원 로그인 유저인 판만 기록 (게스트/AI 봇 섞인 판 제외)
+-- ============================================================
+
+create table if not exists game_ratings (
+  user_id         uuid not null references auth.users(id) on delete cascade,
+  game            text not null check (game in ('omok', 'makak', 'suspect', 'cg', 'yacht')),
+  queue           text not null check (queue in ('1v1', 'team', 'ffa')),
+  rating          numeric(7,2) not null default 1500,
+  rd              numeric(6,2) not null default 350,   -- rating deviation (불확실도)
+  games           int not null default 0,
+  wins            int not null default 0,
+  losses          int not null default 0,
+  draws           int not null default 0,
+  last_played_at  timestamptz,
+  updated_at      timestamptz default now(),
+  primary key (user_id, game, queue)
+);
+
+-- 랭킹: 게임/큐별 레이팅 내림차순
+create index if not exists idx_game_ratings_board
+  on game_ratings (game, queue, rating desc) where games >= 5;
+
+create table if not exists game_rating_history (
+  id              bigserial primary key,
+  user_id         uuid not null references auth.users(id) on delete cascade,
+  game            text not null,
+  queue           text not null,
+  match_id        text,                 -- 방 id
+  outcome         text not null check (outcome in ('win', 'loss', 'draw')),
+  rating_before   numeric(7,2) not null,
+  rating_after    numeric(7,2) not null,
+  created_at      timestamptz default now()
+);
+
+create index if not exists idx_game_rating_history_user
+  on game_rating_history (user_id, game, created_at desc);
+
+-- RLS: service_role만 (백엔드 통해서만)
+alter table game_ratings enable row level security;
+drop policy if exists "game_ratings service" on game_ratings;
+create policy "game_ratings service" on game_ratings
+  for all using (auth.role() = 'service_role') with check (auth.role() = 'service_role');
+
+alter table game_rating_history enable row level security;
+drop policy if exists "game_rating_history service" on game_rating_history;
+create policy "game_rating_history service" on game_rating_history
+  for all using (auth.role() = 'service_role') with check (auth.role() = 'service_role');
+
+-- 경기 결과 반영 (ratings.js recordMatch) — 읽고 계산한 뒤 저장하는 사이에 같은 유저의 다른 경기가 끼면 덮어쓰므로
+-- 서버가 읽은 시점의 games(expected_games)와 대조 (compare-and-set):
+--   참가자 행을 user_id 순으로 FOR UPDATE 잠금 → 하나라도 games가 달라졌으면 40001 로 전체 롤백 (호출측이 다시 읽고 재계산)
+--   맞으면 레이팅 갱신 + 승/패/무 카운트 증가 + 히스토리 기록을 한 트랜잭션으로
+-- p_rows: [{ user_id, expected_games, rating, rd, outcome, rating_before }]
+create or replace function apply_game_rating_match(p_game text, p_queue text, p_match_id text, p_rows jsonb)
+returns void
+language plpgsql
+set search_path = public
+as $fn$
+declare
+  r record;
+  v_games int;
+begin
+  for r in
+    select x.user_id, x.expected_games
+    from jsonb_to_recordset(p_rows) as x(user_id uuid, expected_games int)
+    order by x.user_id
+  loop
+    -- 첫 경기면 잠글 행이 없으니 기본값 행을 먼저 만듦 (롤백되면 같이 사라짐)
+    insert into game_ratings (user_id, game, queue) values (r.user_id, p_game, p_queue)
+      on conflict (user_id, game, queue) do nothing;
+    select games into v_games
+      from game_ratings
+      where user_id = r.user_id and game = p_game and queue = p_queue
+      for update;
+    if v_games <> r.expected_games then
+      raise exception 'rating changed concurrently for %', r.user_id using errcode = '40001';
+    end if;
+  end loop;
+
+  update game_ratings g set
+    rating = x.rating,
+    rd = x.rd,
+    games = g.games + 1,
+    wins = g.wins + (x.outcome = 'win')::int,
+    losses = g.losses + (x.outcome = 'loss')::int,
+    draws = g.draws + (x.outcome = 'draw')::int,
+    last_played_at = now(),
+    updated_at = now()
+  from jsonb_to_recordset(p_rows) as x(user_id uuid, rating numeric, rd numeric, outcome text)
+  where g.user_id = x.user_id and g.game = p_game and g.queue = p_queue;
+
+  insert into game_rating_history (user_id, game, queue, match_id, outcome, rating_before, rating_after)
+  select x.user_id, p_game, p_queue, p_match_id, x.outcome, x.rating_before, x.rating
+  from jsonb_to_recordset(p_rows) as x(user_id uuid, rating numeric, outcome text, rating_before numeric);
+end;
+$fn$;
+
+revoke execute on function apply_game_rating_match(text, text, text, jsonb) from public, anon, authenticated;
+grant execute on function apply_game_rating_match(text, text, text, jsonb) to service_role;
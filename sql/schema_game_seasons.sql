@@ -0,0 +1,146 @@
+-- ============================================================
+-- 솔로 점수 게임 시즌 (merge / dodge / gachatd / apple / memory / blockblast)
+-- 2026-10-19
+-- 게임마다 active 시즌 1개. 종료 시각이 지나면 서버 스케줄러(src/game-seasons.js)가
+--   active → closing → TOP N 을 game_season_hall_of_fame 에 스냅샷 → closed, 다음 시즌 active 로 시작
+-- 시즌 기록은 게임 점수 테이블과 별도로 game_season_bests 에 유저당 최고 1 row
+--   (apple/memory/blockblast 는 점수 테이블이 유저당 전체 최고 1 row 라 시즌별 최고를 따로 둬야 함)
+-- 참고: merge_scores.season 은 테마(classic/spring/...)이며 이 시즌과 무관
+-- 사용: GET /:game/seasons, GET /:game/seasons/:id/leaderboard
+-- ============================================================
+
+create table if not exists game_seasons (
+  id          bigserial primary key,
+  game        text not null,
+  season_no   int not null,
+  starts_at   timestamptz not null,
+  ends_at     timestamptz not null,
+  status      text not null default 'active' check (status in ('active', 'closing', 'closed')),
+  closed_at   timestamptz,
+  created_at  timestamptz default now(),
+  unique (game, season_no),
+  check (ends_at > starts_at)
+);
+
+-- 게임당 active 시즌은 1개 (여러 노드가 동시에 다음 시즌을 열어도 하나만 성공)
+create unique index if not exists ux_game_seasons_active
+  on game_seasons (game) where status = 'active';
+
+-- 시즌별 유저 최고 기록 — partition_key: "mode=endless", "difficulty=6", 파티션 없는 게임은 ''
+create table if not exists game_season_bests (
+  season_id      bigint not null references game_seasons(id) on delete cascade,
+  game           text not null,
+  partition_key  text not null default '',
+  user_id        uuid not null references auth.users(id) on delete cascade,
+  nickname       text,
+  score          int not null,
+  duration_sec   int,
+  stats          jsonb not null default '{}'::jsonb,   -- 게임별 나머지 컬럼 (apples_cleared, max_stage ...)
+  created_at     timestamptz not null default now(),  -- 이 기록을 세운 시각 (동점 처리)
+  primary key (season_id, partition_key, user_id)
+);
+
+create index if not exists idx_game_season_bests_score
+  on game_season_bests (season_id, partition_key, score desc, created_at);
+
+create index if not exists idx_game_season_bests_duration
+  on game_season_bests (season_id, partition_key, duration_sec, score desc);
+
+-- 명예의 전당 — 시즌 종료 시점 TOP N 스냅샷 (닉네임/아바타도 그 시점 값)
+create table if not exists game_season_hall_of_fame (
+  season_id      bigint not null references game_seasons(id) on delete cascade,
+  game           text not null,
+  partition_key  text not null default '',
+  rank           int not null check (rank >= 1),
+  user_id        uuid references auth.users(id) on delete set null,
+  nickname       text,
+  avatar_url     text,
+  score          int not null,
+  duration_sec   int,
+  stats          jsonb not null default '{}'::jsonb,
+  achieved_at    timestamptz,
+  archived_at    timestamptz not null default now(),
+  primary key (season_id, partition_key, rank)
+);
+
+create index if not exists idx_game_season_hof_game
+  on game_season_hall_of_fame (game, season_id desc) where rank = 1;
+
+-- RLS: service_role만 (백엔드 통해서만)
+alter table game_seasons enable row level security;
+drop policy if exists "game_seasons service" on game_seasons;
+create policy "game_seasons service" on game_seasons
+  for all using (auth.role() = 'service_role') with check (auth.role() = 'service_role');
+
+alter table game_season_bests enable row level security;
+drop policy if exists "game_season_bests service" on game_season_bests;
+create policy "game_season_bests service" on game_season_bests
+  for all using (auth.role() = 'service_role') with check (auth.role() = 'service_role');
+
+alter table game_season_hall_of_fame enable row level security;
+drop policy if exists "game_season_hall_of_fame service" on game_season_hall_of_fame;
+create policy "game_season_hall_of_fame service" on game_season_hall_of_fame
+  for all using (auth.role() = 'service_role') with check (auth.role() = 'service_role');
+
+-- 시즌 최고 기록 반영 (game-seasons.js recordSeasonScore) — 읽고 비교한 뒤 UPSERT 하면 같은 유저의 동시 기록이
+-- 더 높은 최고를 덮어쓸 수 있으므로 비교를 DB 안에서:
+--   처음이면 INSERT, 아니면 기존 행을 FOR UPDATE 잠그고 p_order(리더보드 정렬)로 앞설 때만 UPDATE
+-- p_entry: game_season_bests 컬럼 그대로, p_order: [{ col, asc }] (leaderboards.js order — score / duration_sec / created_at)
+--   비교는 leaderboards.js isAhead 와 같음 (앞 컬럼이 같으면 다음 컬럼, 전부 같으면 앞서지 않음). null 은 맨 뒤
+-- 반환: 새 최고로 기록했으면 true
+create or replace function record_game_season_best(p_entry jsonb, p_order jsonb)
+returns boolean
+language plpgsql
+set search_path = public
+as $fn$
+declare
+  v_new game_season_bests;
+  v_old game_season_bests;
+  o record;
+  v_a numeric;
+  v_b numeric;
+  v_ahead boolean;
+begin
+  v_new := jsonb_populate_record(null::game_season_bests, p_entry);
+  v_new.stats := coalesce(v_new.stats, '{}'::jsonb);
+
+  insert into game_season_bests values (v_new.*)
+    on conflict (season_id, partition_key, user_id) do nothing;
+  if found then
+    return true;
+  end if;
+
+  select * into v_old
+    from game_season_bests
+    where season_id = v_new.season_id and partition_key = v_new.partition_key and user_id = v_new.user_id
+    for update;
+
+  v_ahead := false;
+  for o in select x.col, x."asc" from jsonb_to_recordset(p_order) as x(col text, "asc" boolean) loop
+    v_a := case o.col when 'score' then v_new.score when 'duration_sec' then v_new.duration_sec
+                      when 'created_at' then extract(epoch from v_new.created_at) end;
+    v_b := case o.col when 'score' then v_old.score when 'duration_sec' then v_old.duration_sec
+                      when 'created_at' then extract(epoch from v_old.created_at) end;
+    if v_a is not distinct from v_b then
+      continue;
+    end if;
+    v_ahead := v_b is null or (v_a is not null and case when o."asc" then v_a < v_b else v_a > v_b end);
+    exit;
+  end loop;
+  if not v_ahead then
+    return false;
+  end if;
+
+  update game_season_bests set
+    nickname = v_new.nickname,
+    score = v_new.score,
+    duration_sec = v_new.duration_sec,
+    stats = v_new.stats,
+    created_at = v_new.created_at
+  where season_id = v_new.season_id and partition_key = v_new.partition_key and user_id = v_new.user_id;
+  return true;
+end;
+$fn$;
+
+revoke execute on function record_game_season_best(jsonb, jsonb) from public, anon, authenticated;
+grant execute on function record_game_season_best(jsonb, jsonb) to service_role;
@@ -0,0 +1,21 @@
+-- ============================================================
+-- 게스트 id / 월드컵 session id 발급 기록 — 기록 이전(POST /me/claim-guest) 토큰용
+-- 2026-10-19
+-- origin = issued : 서버가 발급 (POST /guest/ids)
+--          legacy : 토큰 도입 전 클라가 만든 id 를 한 번 가져감 (POST /guest/ids/adopt)
+-- PK 라서 서버 발급 id 나 이미 가져간 예전 id 는 다시 가져갈 수 없음
+-- 토큰 자체는 저장하지 않음 (HMAC(GUEST_TOKEN_SECRET, kind:id) — src/guest-claim.js)
+-- ============================================================
+
+create table if not exists guest_ids (
+  id          text primary key,
+  kind        text not null check (kind in ('guest', 'session')),
+  origin      text not null check (origin in ('issued', 'legacy')),
+  created_at  timestamptz not null default now()
+);
+
+-- RLS: service_role만 (백엔드 통해서만)
+alter table guest_ids enable row level security;
+drop policy if exists "guest_ids service" on guest_ids;
+create policy "guest_ids service" on guest_ids
+  for all using (auth.role() = 'service_role') with check (auth.role() = 'service_role');
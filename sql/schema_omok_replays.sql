@@ -0,0 +1,37 @@
+-- ============================================================
+-- 멀티 오목 (DUO Omok) — 기보(리플레이) 저장
+-- 2026-10-19
+-- 종료 시 착수/카드/시간초과/ghost 공개 이벤트 로그를 1판 1 row로 저장
+-- 조회: GET /omok/replays/:id (공개 — 링크 공유용)
+-- ============================================================
+
+create table if not exists omok_replays (
+  id              uuid primary key,                 -- 서버에서 발급 (gameEnd의 replayId)
+  room_id         text not null,
+  mode            text not null,                    -- '1v1' | '2v2' | ... | 'ffa'
+  special_mode    text not null default 'off',      -- 'off' | 'kid'
+  board_size      int not null check (board_size in (15, 19, 25)),
+  win_length      int not null,
+  end_reason      text not null,                    -- 'WIN' | 'BOARD_FULL' | ...
+  winner_user_id  uuid references auth.users(id) on delete set null,
+  winner_team     int,
+  players         jsonb not null default '[]',      -- [{ userId, name, color, team, ... }] (시작 순서)
+  events          jsonb not null default '[]',      -- [{ seq, turn, ts, type, ... }]
+  win_line        jsonb,
+  format_version  int not null default 1,
+  move_count      int not null default 0,
+  started_at      timestamptz,
+  created_at      timestamptz default now()
+);
+
+create index if not exists idx_omok_replays_created
+  on omok_replays (created_at desc);
+create index if not exists idx_omok_replays_winner
+  on omok_replays (winner_user_id, created_at desc) where winner_user_id is not null;
+
+-- RLS: service_role만 (백엔드 통해서만 INSERT/SELECT)
+alter table omok_replays enable row level security;
+
+drop policy if exists "omok_replays service" on omok_replays;
+create policy "omok_replays service" on omok_replays
+  for all using (auth.role() = 'service_role') with check (auth.role() = 'service_role');
@@ -0,0 +1,8 @@
+-- ============================================================
+-- 멀티 오목 — 룰셋(freestyle / exact / renju) 기보 기록
+-- 2026-10-19
+-- ============================================================
+
+alter table omok_replays
+  add column if not exists rule_set text not null default 'freestyle'
+  check (rule_set in ('freestyle', 'exact', 'renju'));
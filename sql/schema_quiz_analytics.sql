@@ -0,0 +1,94 @@
+-- ============================================================
+-- 퀴즈 문항 분석 (제작자용) — 플레이어 × 문항 답변 기록
+-- 2026-10-19
+-- 멀티는 doQuizReveal 에서 서버가, 솔로는 POST /quiz/finish 에서 기록 (src/quiz-analytics.js)
+-- answer_key: 같은 답끼리 묶는 정규화 키 (주관식 소문자/공백 정리, 객관식 보기 인덱스, 복수 선택 "0,2,3" ...)
+--             null = 무응답 (시간 초과 / 패스)
+-- quiz_question_attempts 는 정오답 통계용 그대로 두고, 답 분포/답변 시간은 여기서만 집계
+-- 사용: GET /my/contents/:id/quiz-analytics
+-- ============================================================
+
+create table if not exists quiz_answer_events (
+  id           bigserial primary key,
+  content_id   uuid not null references contents(id) on delete cascade,
+  question_id  uuid not null references quiz_questions(id) on delete cascade,
+  source       text not null check (source in ('solo', 'multi')),
+  user_id      uuid references auth.users(id) on delete set null,   -- 게스트/비로그인은 null
+  answer_key   text,
+  is_correct   boolean not null default false,
+  score        numeric(3,2),                                         -- 부분 점수 (0~1)
+  answer_ms    int check (answer_ms >= 0),                           -- 문제 공개 → 제출까지
+  created_at   timestamptz not null default now()
+);
+
+create index if not exists idx_quiz_answer_events_question
+  on quiz_answer_events (content_id, question_id);
+
+create index if not exists idx_quiz_answer_events_wrong
+  on quiz_answer_events (question_id, answer_key)
+  where is_correct = false and answer_key is not null;
+
+-- RLS: service_role만 (백엔드 통해서만)
+alter table quiz_answer_events enable row level security;
+drop policy if exists "quiz_answer_events service" on quiz_answer_events;
+create policy "quiz_answer_events service" on quiz_answer_events
+  for all using (auth.role() = 'service_role') with check (auth.role() = 'service_role');
+
+-- 문항별 집계 — 정답률 / 평균 점수 / 답변 시간 중앙값 / 많이 나온 오답 top N
+create or replace function get_quiz_answer_analytics(p_content_id uuid, p_source text default null, p_top int default 5)
+returns table (
+  question_id       uuid,
+  attempt_count     int,
+  correct_count     int,
+  no_answer_count   int,
+  avg_score         numeric,
+  median_answer_ms  double precision,
+  top_wrong         jsonb
+)
+language sql stable
+as $fn$
+  with ev as (
+    select *
+    from quiz_answer_events e
+    where e.content_id = p_content_id
+      and (p_source is null or e.source = p_source)
+  ),
+  agg as (
+    select
+      ev.question_id,
+      count(*)::int                                      as attempt_count,
+      count(*) filter (where ev.is_correct)::int         as correct_count,
+      count(*) filter (where ev.answer_key is null)::int as no_answer_count,
+      avg(coalesce(ev.score, case when ev.is_correct then 1 else 0 end)) as avg_score,
+      percentile_cont(0.5) within group (order by ev.answer_ms) as median_answer_ms
+    from ev
+    group by ev.question_id
+  ),
+  wrong as (
+    select
+      ev.question_id,
+      ev.answer_key,
+      count(*)::int as cnt,
+      row_number() over (partition by ev.question_id order by count(*) desc, ev.answer_key) as rn
+    from ev
+    where not ev.is_correct and ev.answer_key is not null
+    group by ev.question_id, ev.answer_key
+  )
+  select
+    a.question_id,
+    a.attempt_count,
+    a.correct_count,
+    a.no_answer_count,
+    round(a.avg_score, 4),
+    a.median_answer_ms,
+    coalesce((
+      select jsonb_agg(jsonb_build_object('answer_key', w.answer_key, 'count', w.cnt) order by w.rn)
+      from wrong w
+      where w.question_id = a.question_id and w.rn <= p_top
+    ), '[]'::jsonb)
+  from agg a;
+$fn$;
+
+-- 백엔드(service_role)만 호출 — 제작자 확인은 GET /my/contents/:id/quiz-analytics 에서
+revoke execute on function get_quiz_answer_analytics(uuid, text, int) from public, anon, authenticated;
+grant execute on function get_quiz_answer_analytics(uuid, text, int) to service_role;
@@ -0,0 +1,20 @@
+-- =============================================
+-- Quiz 주관식 정답 판정 옵션 (오타 허용 / 부분 점수)
+-- 추가일: 2026-10-19
+--
+-- short / audio_youtube / video_youtube 문제에만 의미 있음. 비어 있으면 strict (예전처럼 완전 일치) — 오타 허용은 제작자가 켬
+--   answer_match : {
+--     "level":       "strict" | "normal" | "lenient",   -- strict = 예전처럼 완전 일치만
+--     "maxDistance": 0~5,       -- 허용 편집 거리 직접 지정 (한글은 자모 단위)
+--     "choseong":    true,      -- 한글 오타여도 초성 순서는 같아야 인정
+--     "numbers":     true,      -- "1,000" = "1000"
+--     "typoCredit":  0~1        -- 오타로 인정된 답의 점수 (완전 일치는 항상 1)
+--   }
+-- 판정 로직: src/quiz-answer-match.js (멀티 reveal / 스피드 모드 / POST /quiz/finish 재채점)
+-- =============================================
+
+ALTER TABLE quiz_questions
+  ADD COLUMN IF NOT EXISTS answer_match JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN quiz_questions.answer_match IS
+  '주관식 정답 판정 옵션. {"level":"normal","maxDistance":null,"choseong":true,"numbers":true,"typoCredit":1} 형식, 비어 있으면 strict(완전 일치).';
@@ -0,0 +1,145 @@
+-- =============================================
+-- 근사치(estimate) / 복수 선택(multi_select) 문제 타입 추가
+-- 추가일: 2026-10-19
+-- Supabase Dashboard > SQL Editor 에서 실행
+--
+-- estimate:
+--   answer       = [정답 숫자]            (예: [8849])
+--   choices      = []
+--   answer_match = {"tolerance": 100} 또는 {"tolerancePct": 5}  -- 허용 범위, 없으면 정답의 10%
+--   점수: 정확히 맞히면 1, 범위 안이면 거리에 따라 1 → 0.5, 밖이면 0
+--         멀티에서는 제출자 2명 이상일 때 가장 가까운 사람(동률 포함)이 범위 밖이어도 1
+-- multi_select:
+--   choices = 보기 배열 (mcq 와 동일)
+--   answer  = 정답 보기 인덱스 배열      (예: [0, 2, 3])
+--   점수: (맞게 고른 수 - 잘못 고른 수) / 정답 수, 0 미만은 0. 전부 맞혀야 정답 처리
+--
+-- 통계: quiz_question_attempts 에 부분 점수(score) + 분포용 답(answer, 두 타입만) 저장
+--   get_quiz_stats 문항별 avg_score_pct / answer_summary 추가
+--     multi_select → {"picks": {"0": 12, "2": 5, ...}}
+--     estimate     → {"median": 8800, "avg_abs_error": 321.5}
+-- =============================================
+
+-- 1) 타입 CHECK 확장 (video_youtube 포함 기존 타입 유지)
+ALTER TABLE quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_type_check;
+ALTER TABLE quiz_questions ADD CONSTRAINT quiz_questions_type_check
+  CHECK (type IN ('mcq', 'short', 'audio_youtube', 'video_youtube', 'ordering', 'classification', 'estimate', 'multi_select'));
+
+COMMENT ON COLUMN quiz_questions.answer_match IS
+  '채점 옵션. 주관식: {"level":"normal","maxDistance":null,"choseong":true,"numbers":true,"typoCredit":1}, 근사치: {"tolerance":null,"tolerancePct":null}. 비어 있으면 기본값.';
+
+-- 2) 문항별 부분 점수 + 답
+ALTER TABLE quiz_question_attempts
+  ADD COLUMN IF NOT EXISTS score NUMERIC(3,2) NULL,
+  ADD COLUMN IF NOT EXISTS answer JSONB NULL;
+
+-- 3) 문항별 통계 뷰 — avg_score_pct 추가 (score 없는 예전 기록은 정오답으로)
+CREATE OR REPLACE VIEW quiz_question_stats_v AS
+SELECT
+  quiz_id,
+  question_id,
+  COUNT(*)::INT                                           AS attempt_count,
+  COUNT(*) FILTER (WHERE is_correct)::INT                 AS correct_count,
+  COUNT(*) FILTER (WHERE NOT is_correct)::INT             AS wrong_count,
+  ROUND(
+    COUNT(*) FILTER (WHERE is_correct)::NUMERIC / NULLIF(COUNT(*), 0) * 100, 1
+  )                                                       AS accuracy_pct,
+  ROUND(
+    AVG(COALESCE(score, CASE WHEN is_correct THEN 1 ELSE 0 END)) * 100, 1
+  )                                                       AS avg_score_pct
+FROM quiz_question_attempts
+GROUP BY quiz_id, question_id;
+
+-- 4) 문항별 답 분포 (estimate / multi_select)
+CREATE OR REPLACE FUNCTION quiz_question_answer_summary(p_quiz_id UUID, p_question_id UUID, p_type TEXT, p_answer JSONB)
+RETURNS JSON
+LANGUAGE sql STABLE
+AS $fn$
+  SELECT CASE p_type
+    WHEN 'multi_select' THEN (
+      SELECT json_build_object('picks', COALESCE(json_object_agg(t.idx, t.cnt), '{}'::JSON))
+      FROM (
+        SELECT e.idx, COUNT(*)::INT AS cnt
+        FROM quiz_question_attempts a,
+             LATERAL jsonb_array_elements_text(a.answer) AS e(idx)
+        WHERE a.quiz_id = p_quiz_id
+          AND a.question_id = p_question_id
+          AND jsonb_typeof(a.answer) = 'array'
+        GROUP BY e.idx
+      ) t
+    )
+    WHEN 'estimate' THEN (
+      SELECT json_build_object(
+        'median', percentile_cont(0.5) WITHIN GROUP (ORDER BY (a.answer #>> '{}')::NUMERIC),
+        'avg_abs_error', ROUND(AVG(ABS((a.answer #>> '{}')::NUMERIC - (p_answer ->> 0)::NUMERIC)), 2)
+      )
+      FROM quiz_question_attempts a
+      WHERE a.quiz_id = p_quiz_id
+        AND a.question_id = p_question_id
+        AND jsonb_typeof(a.answer) = 'number'
+    )
+    ELSE NULL
+  END;
+$fn$;
+
+-- 5) RPC 재생성 — avg_score_pct / answer_summary 추가
+DROP FUNCTION IF EXISTS get_quiz_stats(UUID);
+
+CREATE FUNCTION get_quiz_stats(p_quiz_id UUID)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $fn$
+DECLARE
+  v_overall JSON;
+  v_questions JSON;
+BEGIN
+  SELECT json_build_object(
+    'attempt_count', COALESCE(s.attempt_count, 0),
+    'avg_accuracy_pct', COALESCE(s.avg_accuracy_pct, 0),
+    'min_accuracy_pct', COALESCE(s.min_accuracy_pct, 0),
+    'max_accuracy_pct', COALESCE(s.max_accuracy_pct, 0),
+    'avg_duration_sec', COALESCE(s.avg_duration_sec, 0)
+  )
+  INTO v_overall
+  FROM quiz_overall_stats_v s
+  WHERE s.quiz_id = p_quiz_id;
+
+  IF v_overall IS NULL THEN
+    v_overall := '{"attempt_count":0,"avg_accuracy_pct":0,"min_accuracy_pct":0,"max_accuracy_pct":0,"avg_duration_sec":0}'::JSON;
+  END IF;
+
+  SELECT COALESCE(
+    json_agg(row_to_json(sub) ORDER BY sub.accuracy_pct ASC NULLS LAST),
+    '[]'::JSON
+  )
+  INTO v_questions
+  FROM (
+    SELECT
+      qs.question_id,
+      qs.attempt_count,
+      qs.correct_count,
+      qs.wrong_count,
+      qs.accuracy_pct,
+      qs.avg_score_pct,
+      qq.prompt,
+      qq.type,
+      qq.sort_order,
+      qq.answer,
+      qq.choices,
+      qq.media_url,
+      qq.media_type,
+      CASE WHEN qq.type IN ('estimate', 'multi_select')
+        THEN quiz_question_answer_summary(p_quiz_id, qs.question_id, qq.type, qq.answer)
+      END AS answer_summary
+    FROM quiz_question_stats_v qs
+    INNER JOIN quiz_questions qq ON qq.id = qs.question_id
+    WHERE qs.quiz_id = p_quiz_id
+  ) sub;
+
+  RETURN json_build_object(
+    'overall', v_overall,
+    'questions', v_questions
+  );
+END;
+$fn$;
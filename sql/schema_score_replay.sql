@@ -0,0 +1,30 @@
+-- ============================================================
+-- 솔로 점수 리플레이 검증 결과
+-- 2026-10-19
+-- /apple/score, /memory/score, /blockblast/score 가 seed + 입력 로그(replay)를 재시뮬레이션해 통과하면 verified = true
+-- (규칙: src/score-rules.js, 검증: src/score-replay.js). 리플레이 없는 기존 클라 점수는 false
+-- 리플레이 없는 점수는 거부, 리더보드는 verified = true 만 (SCORE_REPLAY_OPTIONAL=1 이면 옛 동작)
+-- ============================================================
+
+alter table apple_scores add column if not exists verified boolean not null default false;
+alter table memory_scores add column if not exists verified boolean not null default false;
+alter table blockblast_scores add column if not exists verified boolean not null default false;
+
+-- 서버 발급 판 — 시작 시 seed + client_run_id 발급, 제출 시 seed / 서버 시계 경과 / 1회 사용 확인
+-- (POST /score-runs/start → 점수 제출의 clientRunId). 리플레이 제출은 발급된 판이 있어야 verified
+create table if not exists score_runs (
+  client_run_id  text primary key,
+  user_id        uuid not null references auth.users(id) on delete cascade,
+  game           text not null check (game in ('apple', 'memory', 'blockblast')),
+  seed           bigint not null check (seed between 0 and 4294967295),
+  started_at     timestamptz not null default now(),
+  consumed_at    timestamptz
+);
+
+-- 만료 정리: pruneScoreRuns 가 10분마다 started_at 기준 삭제
+create index if not exists idx_score_runs_started on score_runs (started_at);
+
+alter table score_runs enable row level security;
+drop policy if exists "score_runs service" on score_runs;
+create policy "score_runs service" on score_runs
+  for all using (auth.role() = 'service_role') with check (auth.role() = 'service_role');
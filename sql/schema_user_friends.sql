@@ -0,0 +1,23 @@
+-- ============================================================
+-- 친구 목록 (단방향 — 내가 추가한 유저)
+-- 2026-10-19
+-- 리더보드 scope=friends (나 + 내 친구) 용 — src/leaderboards.js
+-- 관리: GET /friends, POST /friends/:userId, DELETE /friends/:userId (유저당 최대 500명)
+-- ============================================================
+
+create table if not exists user_friends (
+  user_id     uuid not null references auth.users(id) on delete cascade,
+  friend_id   uuid not null references auth.users(id) on delete cascade,
+  created_at  timestamptz default now(),
+  primary key (user_id, friend_id),
+  check (user_id <> friend_id)
+);
+
+create index if not exists idx_user_friends_friend
+  on user_friends (friend_id);
+
+-- RLS: service_role만 (백엔드 통해서만)
+alter table user_friends enable row level security;
+drop policy if exists "user_friends service" on user_friends;
+create policy "user_friends service" on user_friends
+  for all using (auth.role() = 'service_role') with check (auth.role() = 'service_role');
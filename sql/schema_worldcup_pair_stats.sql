@@ -0,0 +1,93 @@
+-- ============================================================
+-- 월드컵 후보 맞대결 집계 (head-to-head matrix)
+-- 2026-10-19
+-- worldcup_matches INSERT 시 트리거로 (content, 후보쌍) 1 row 누적 → 요청마다 전체 스캔 불필요
+-- 후보쌍은 uuid 정렬 (candidate_lo < candidate_hi) — 서버 pairKey 와 같은 순서
+-- 조회: GET /worldcup/:contentId/matrix
+-- ============================================================
+
+create table if not exists worldcup_pair_stats (
+  content_id      uuid not null references contents(id) on delete cascade,
+  candidate_lo    uuid not null references worldcup_candidates(id) on delete cascade,
+  candidate_hi    uuid not null references worldcup_candidates(id) on delete cascade,
+  lo_wins         int not null default 0,
+  hi_wins         int not null default 0,
+  ties            int not null default 0,
+  games           int generated always as (lo_wins + hi_wins + ties) stored,
+  updated_at      timestamptz default now(),
+  primary key (content_id, candidate_lo, candidate_hi),
+  check (candidate_lo < candidate_hi)
+);
+
+create index if not exists idx_wc_pair_stats_hi
+  on worldcup_pair_stats (content_id, candidate_hi);
+
+-- RLS: service_role만 (백엔드 통해서만)
+alter table worldcup_pair_stats enable row level security;
+drop policy if exists "worldcup_pair_stats service" on worldcup_pair_stats;
+create policy "worldcup_pair_stats service" on worldcup_pair_stats
+  for all using (auth.role() = 'service_role') with check (auth.role() = 'service_role');
+
+-- 트리거: 매치 1건 → 해당 쌍 카운터 +1
+-- 후보 컬럼이 비어 있으면 winner/loser 로 대체 (worldcup-strength.js matchPair 와 동일)
+-- security definer — 매치를 넣는 쪽 권한과 상관없이 집계표(service_role 전용 RLS)에 기록. search_path 고정 (객체 바꿔치기 방지)
+create or replace function worldcup_pair_stats_apply()
+returns trigger as $$
+declare
+  a uuid := coalesce(new.candidate_a_id, new.winner_candidate_id);
+  b uuid := coalesce(new.candidate_b_id, new.loser_candidate_id);
+  lo uuid;
+  hi uuid;
+begin
+  if a is null or b is null or a = b then return null; end if;
+  if not new.is_tie and new.winner_candidate_id is distinct from a and new.winner_candidate_id is distinct from b then
+    return null;
+  end if;
+  lo := least(a, b);
+  hi := greatest(a, b);
+  insert into worldcup_pair_stats (content_id, candidate_lo, candidate_hi, lo_wins, hi_wins, ties)
+  values (
+    new.content_id, lo, hi,
+    case when not new.is_tie and new.winner_candidate_id = lo then 1 else 0 end,
+    case when not new.is_tie and new.winner_candidate_id = hi then 1 else 0 end,
+    case when new.is_tie then 1 else 0 end
+  )
+  on conflict (content_id, candidate_lo, candidate_hi) do update set
+    lo_wins    = worldcup_pair_stats.lo_wins + excluded.lo_wins,
+    hi_wins    = worldcup_pair_stats.hi_wins + excluded.hi_wins,
+    ties       = worldcup_pair_stats.ties + excluded.ties,
+    updated_at = now();
+  return null;
+end;
+$$ language plpgsql security definer
+set search_path = public;
+
+-- 기존 데이터 동기화 + 트리거 연결 (한 트랜잭션 — 사이에 들어온 매치 중복/누락 방지)
+begin;
+lock table worldcup_matches in share row exclusive mode;
+
+delete from worldcup_pair_stats;
+insert into worldcup_pair_stats (content_id, candidate_lo, candidate_hi, lo_wins, hi_wins, ties)
+select
+  content_id,
+  least(a, b),
+  greatest(a, b),
+  count(*) filter (where not is_tie and winner_candidate_id = least(a, b))::int,
+  count(*) filter (where not is_tie and winner_candidate_id = greatest(a, b))::int,
+  count(*) filter (where is_tie)::int
+from (
+  select content_id, is_tie, winner_candidate_id,
+         coalesce(candidate_a_id, winner_candidate_id) as a,
+         coalesce(candidate_b_id, loser_candidate_id) as b
+  from worldcup_matches
+) m
+where a is not null and b is not null and a <> b
+  and (is_tie or winner_candidate_id in (a, b))
+group by content_id, least(a, b), greatest(a, b);
+
+drop trigger if exists trg_worldcup_pair_stats on worldcup_matches;
+create trigger trg_worldcup_pair_stats
+  after insert on worldcup_matches
+  for each row execute function worldcup_pair_stats_apply();
+
+commit;
@@ -0,0 +1,14 @@
+-- ============================================================
+-- 월드컵 판 ↔ 매치 연결 (개인 결과 비교용)
+-- 2026-10-19
+-- /worldcup/finish, /worldcup/finish-anon 이 판(worldcup_runs) id 를 매치 row 에 함께 기록
+-- → GET /worldcup/runs/:runId/compare 가 "내 선택 vs 전체" 를 계산
+-- 이전 판(run_id 없음)은 session_id 로 매치를 찾음 (session_id 도 없으면 비교 불가)
+-- ============================================================
+
+alter table worldcup_matches
+  add column if not exists run_id uuid references worldcup_runs(id) on delete set null;
+
+create index if not exists idx_wc_matches_run
+  on worldcup_matches (run_id)
+  where run_id is not null;
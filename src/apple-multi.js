@@ -7,13 +7,25 @@
 // 이벤트 prefix: 'apple:*', socket room name: `apple:${roomId}`
 // =========================
 
-const appleRooms = new Map();
-const appleInvites = new Map();
-const appleUserRoom = new Map();
+import { createRoomManager } from "./room-manager.js";
+import { roomNotFoundReply } from "./cluster.js";
+
+// 방 수명주기 (초대코드/빈 방 TTL/퇴장/강퇴/재요청) — 공용 매니저
+const rm = createRoomManager({
+  prefix: "apple",
+  publicRoom,
+  clearTimers: clearGameTimer,
+  beforeLeave: (io, room, userId, p) => {
+    if (p && room.status === "playing" && p.status === "playing") {
+      p.status = "left";
+      p.connected = false;
+    }
+  },
+});
+const { socketRoomName, broadcastRoomState } = rm;
 
 const ALLOWED_MAX_PLAYERS = [2, 4, 6, 8];
 const ALLOWED_TIME_LIMIT_SEC = [60, 120, 180]; // 1분/2분/3분
-const EMPTY_ROOM_TTL_MS = 30_000;
 const PROGRESS_THROTTLE_MS = 600; // 진척 emit 최소 간격
 const SNAPSHOT_THROTTLE_MS = 1500; // 보드 스냅샷 (관전용 미니보드)
 const MAX_NICK_LEN = 14;
@@ -21,17 +33,6 @@ const COLS = 17;
 const ROWS = 10;
 
 // ===== util =====
-function genInviteCode() {
-  for (let i = 0; i < 50; i++) {
-    const c = String(Math.floor(Math.random() * 1_000_000)).padStart(6, "0");
-    if (!appleInvites.has(c)) return c;
-  }
-  return String(Math.floor(Math.random() * 10_000_000)).padStart(7, "0");
-}
-function socketRoomName(roomId) { return `apple:${roomId}`; }
-function clearEmptyRoomTimer(room) {
-  if (room?.emptyRoomTimer) { clearTimeout(room.emptyRoomTimer); room.emptyRoomTimer = null; }
-}
 function clearGameTimer(room) {
   if (room?.gameTimer) { clearTimeout(room.gameTimer); room.gameTimer = null; }
 }
@@ -101,56 +102,6 @@ function publicRoom(room) {
   };
 }
 
-function broadcastRoomState(io, room) {
-  io.to(socketRoomName(room.id)).emit("apple:roomState", publicRoom(room));
-}
-
-function deleteRoom(io, room, reason) {
-  clearEmptyRoomTimer(room);
-  clearGameTimer(room);
-  appleRooms.delete(room.id);
-  appleInvites.delete(room.inviteCode);
-  for (const uid of room.playerOrder) {
-    if (appleUserRoom.get(uid) === room.id) appleUserRoom.delete(uid);
-  }
-  io.to(socketRoomName(room.id)).emit("apple:roomClosed", { reason });
-  io.in(socketRoomName(room.id)).socketsLeave(socketRoomName(room.id));
-  console.log(`[apple] room ${room.id} deleted: ${reason}`);
-}
-
-function maybeScheduleEmptyRoomDelete(io, room) {
-  const connected = [...room.players.values()].filter(p => p.connected).length;
-  if (connected === 0 && !room.emptyRoomTimer) {
-    room.emptyRoomTimer = setTimeout(() => {
-      const r = appleRooms.get(room.id);
-      if (!r) return;
-      const stillEmpty = [...r.players.values()].every(p => !p.connected);
-      if (stillEmpty) deleteRoom(io, r, "EMPTY");
-    }, EMPTY_ROOM_TTL_MS);
-  }
-}
-
-function leavePlayer(io, room, userId) {
-  if (!room.players.has(userId)) return;
-  const wasHost = room.hostUserId === userId;
-  const p = room.players.get(userId);
-  if (p && room.status === "playing" && p.status === "playing") {
-    p.status = "left";
-    p.connected = false;
-  }
-  room.players.delete(userId);
-  const idx = room.playerOrder.indexOf(userId);
-  if (idx >= 0) room.playerOrder.splice(idx, 1);
-  if (appleUserRoom.get(userId) === room.id) appleUserRoom.delete(userId);
-  if (wasHost && room.playerOrder.length > 0) room.hostUserId = room.playerOrder[0];
-  io.to(socketRoomName(room.id)).emit("apple:peerLeave", { playerId: userId });
-  if (room.playerOrder.length === 0) {
-    deleteRoom(io, room, "ALL_LEFT");
-    return;
-  }
-  broadcastRoomState(io, room);
-}
-
 function finishGame(io, room, reason) {
   if (room.status === "ended") return;
   room.status = "ended";
@@ -191,18 +142,15 @@ export function registerAppleMulti(io, supabaseAdmin) {
     socket.on("apple:createRoom", async (payload, cb) => {
       try {
         if (me.isGuest) return cb?.({ ok: false, error: "GUEST_CANNOT_CREATE" });
-        if (appleUserRoom.has(me.id)) {
-          const old = appleRooms.get(appleUserRoom.get(me.id));
-          if (old) leavePlayer(io, old, me.id);
-        }
+        rm.leaveCurrentRoom(io, me.id);
         const maxPlayers = ALLOWED_MAX_PLAYERS.includes(Number(payload?.maxPlayers))
           ? Number(payload.maxPlayers) : 4;
         const requestedTL = Number(payload?.timeLimitSec);
         const timeLimitSec = ALLOWED_TIME_LIMIT_SEC.includes(requestedTL)
           ? requestedTL : 120; // 기본 2분
 
-        const roomId = `ap_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
-        const inviteCode = genInviteCode();
+        const roomId = rm.newRoomId("ap");
+        const inviteCode = rm.genInviteCode();
         const room = {
           id: roomId, inviteCode, hostUserId: me.id,
           status: "lobby", maxPlayers, timeLimitSec,
@@ -211,8 +159,7 @@ export function registerAppleMulti(io, supabaseAdmin) {
           players: new Map(), playerOrder: [],
           emptyRoomTimer: null, gameTimer: null,
         };
-        appleRooms.set(roomId, room);
-        appleInvites.set(inviteCode, roomId);
+        rm.addRoom(room);
 
         let avatar = null, nick = payload?.nickname;
         try {
@@ -222,8 +169,7 @@ export function registerAppleMulti(io, supabaseAdmin) {
         } catch {}
         room.players.set(me.id, newPlayerState(nick || "방장", false, avatar, socket.id));
         room.playerOrder.push(me.id);
-        appleUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode, playerId: me.id, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -237,18 +183,13 @@ export function registerAppleMulti(io, supabaseAdmin) {
     // ----- 입장 -----
     socket.on("apple:joinRoom", async (payload, cb) => {
       try {
-        const code = String(payload?.inviteCode || "").trim();
-        const roomId = appleInvites.get(code);
-        const room = roomId ? appleRooms.get(roomId) : null;
-        if (!room) return cb?.({ ok: false, error: "ROOM_NOT_FOUND" });
+        const room = rm.findByInvite(payload?.inviteCode);
+        if (!room) return cb?.(roomNotFoundReply(rm.prefix, payload?.inviteCode));
+        const roomId = room.id;
         if (room.status === "ended") return cb?.({ ok: false, error: "GAME_ENDED" });
 
         if (room.players.has(me.id)) {
-          const p = room.players.get(me.id);
-          p.connected = true; p.socketId = socket.id;
-          socket.join(socketRoomName(roomId));
-          appleUserRoom.set(me.id, roomId);
-          clearEmptyRoomTimer(room);
+          rm.reconnect(socket, room, me.id);
           cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room), rejoined: true });
           broadcastRoomState(io, room);
           return;
@@ -267,9 +208,7 @@ export function registerAppleMulti(io, supabaseAdmin) {
         const playerName = nick || (me.isGuest ? "게스트" : "유저");
         room.players.set(me.id, newPlayerState(playerName, !!me.isGuest, avatar, socket.id));
         room.playerOrder.push(me.id);
-        appleUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
-        clearEmptyRoomTimer(room);
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -281,8 +220,7 @@ export function registerAppleMulti(io, supabaseAdmin) {
 
     // ----- 호스트 옵션 -----
     socket.on("apple:setMaxPlayers", (payload, cb) => {
-      const roomId = appleUserRoom.get(me.id);
-      const room = roomId ? appleRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
@@ -295,8 +233,7 @@ export function registerAppleMulti(io, supabaseAdmin) {
     });
 
     socket.on("apple:setRoomOptions", (payload, cb) => {
-      const roomId = appleUserRoom.get(me.id);
-      const room = roomId ? appleRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
@@ -310,8 +247,7 @@ export function registerAppleMulti(io, supabaseAdmin) {
 
     // ----- 게임 시작 -----
     socket.on("apple:startGame", (_payload, cb) => {
-      const roomId = appleUserRoom.get(me.id);
-      const room = roomId ? appleRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status === "playing") return cb?.({ ok: false, error: "ALREADY_PLAYING" });
@@ -348,7 +284,7 @@ export function registerAppleMulti(io, supabaseAdmin) {
 
       clearGameTimer(room);
       room.gameTimer = setTimeout(() => {
-        const r = appleRooms.get(room.id);
+        const r = rm.rooms.get(room.id);
         if (r && r.status === "playing") finishGame(io, r, "TIME_UP");
       }, room.timeLimitSec * 1000);
 
@@ -358,8 +294,7 @@ export function registerAppleMulti(io, supabaseAdmin) {
     // ----- 점수 업데이트 (throttle) -----
     // payload: { score, applesCleared, combo, maxCombo }
     socket.on("apple:scoreUpdate", (payload) => {
-      const roomId = appleUserRoom.get(me.id);
-      const room = roomId ? appleRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return;
       const p = room.players.get(me.id);
       if (!p || p.status !== "playing") return;
@@ -387,8 +322,7 @@ export function registerAppleMulti(io, supabaseAdmin) {
     // ----- 보드 스냅샷 (관전 미니보드, 더 느린 throttle) -----
     // payload: { removedMask: boolean[170] }
     socket.on("apple:snapshot", (payload) => {
-      const roomId = appleUserRoom.get(me.id);
-      const room = roomId ? appleRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return;
       const p = room.players.get(me.id);
       if (!p || p.status !== "playing") return;
@@ -410,8 +344,7 @@ export function registerAppleMulti(io, supabaseAdmin) {
 
     // ----- 자발 종료 (포기) -----
     socket.on("apple:giveUp", (_payload, cb) => {
-      const roomId = appleUserRoom.get(me.id);
-      const room = roomId ? appleRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
       const p = room.players.get(me.id);
       if (!p) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
@@ -421,55 +354,7 @@ export function registerAppleMulti(io, supabaseAdmin) {
       cb?.({ ok: true });
     });
 
-    // ----- 자발 퇴장 -----
-    socket.on("apple:leaveRoom", (_payload, cb) => {
-      const roomId = appleUserRoom.get(me.id);
-      const room = roomId ? appleRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: true });
-      leavePlayer(io, room, me.id);
-      socket.leave(socketRoomName(room.id));
-      cb?.({ ok: true });
-    });
-
-    // ----- 호스트 강퇴 (로비 한정) -----
-    socket.on("apple:kickPlayer", (payload, cb) => {
-      const roomId = appleUserRoom.get(me.id);
-      const room = roomId ? appleRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
-      if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
-      const targetId = String(payload?.targetUserId || "");
-      if (!targetId || targetId === me.id) return cb?.({ ok: false, error: "INVALID_TARGET" });
-      if (!room.players.has(targetId)) return cb?.({ ok: false, error: "TARGET_NOT_IN_ROOM" });
-      const target = room.players.get(targetId);
-      if (target?.socketId) io.to(target.socketId).emit("apple:kicked", { reason: "KICKED_BY_HOST" });
-      leavePlayer(io, room, targetId);
-      cb?.({ ok: true });
-    });
-
-    // ----- 상태 재요청 -----
-    socket.on("apple:requestState", (_payload, cb) => {
-      const roomId = appleUserRoom.get(me.id);
-      const room = roomId ? appleRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      cb?.({ ok: true, room: publicRoom(room) });
-    });
-
-    // ----- 연결 해제 -----
-    socket.on("disconnect", () => {
-      const roomId = appleUserRoom.get(me.id);
-      const room = roomId ? appleRooms.get(roomId) : null;
-      if (!room) return;
-      const p = room.players.get(me.id);
-      if (!p) return;
-      if (p.socketId !== socket.id) return;
-      p.connected = false;
-      if (room.status === "lobby") {
-        leavePlayer(io, room, me.id);
-      } else {
-        io.to(socketRoomName(room.id)).emit("apple:peerUpdate", { playerId: me.id, connected: false });
-        maybeScheduleEmptyRoomDelete(io, room);
-      }
-    });
+    // ----- 퇴장/강퇴/상태 재요청/연결 해제 — 공용 매니저 -----
+    rm.attach(io, socket);
   });
 }
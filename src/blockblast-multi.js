@@ -6,31 +6,37 @@
 // 이벤트 prefix: 'blockblast:*'
 // =========================
 
-const bbRooms = new Map();
-const bbInvites = new Map();
-const bbUserRoom = new Map();
+import { createRoomManager } from "./room-manager.js";
+import { roomNotFoundReply } from "./cluster.js";
+
+// 방 수명주기 (초대코드/빈 방 TTL/퇴장/강퇴/재요청) — 공용 매니저
+// 진행 중 퇴장은 결과 화면용으로 자리 유지 (status=left)
+const rm = createRoomManager({
+  prefix: "blockblast",
+  publicRoom,
+  clearTimers: clearGameTimer,
+  keepSeatWhilePlaying: true,
+  beforeLeave: (io, room, userId, p) => {
+    if (p && room.status === "playing" && p.status === "active") {
+      p.status = "left";
+      p.connected = false;
+    }
+  },
+  afterLeave: (io, room) => {
+    if (room.status === "playing") checkAndMaybeFinish(io, room);
+  },
+});
+const { socketRoomName, broadcastRoomState } = rm;
 
 const ALLOWED_MAX_PLAYERS = [2, 4, 6, 8];
 const ALLOWED_GAME_TIME = [300, 600, 0]; // 5분/10분/무제한
 const ALLOWED_BLOCK_TIME = [0, 15, 30, 60]; // 자유/15/30/60초 — 한 세트(3블록)
-const EMPTY_ROOM_TTL_MS = 30_000;
 const PROGRESS_THROTTLE_MS = 700;
 const SNAPSHOT_THROTTLE_MS = 1500;
 const MAX_NICK_LEN = 14;
 const TOTAL_BLOCKS_DEFINED = 17;  // 17종 폴리오미노
 
 // ===== util =====
-function genInviteCode() {
-  for (let i = 0; i < 50; i++) {
-    const c = String(Math.floor(Math.random() * 1_000_000)).padStart(6, "0");
-    if (!bbInvites.has(c)) return c;
-  }
-  return String(Math.floor(Math.random() * 10_000_000)).padStart(7, "0");
-}
-function socketRoomName(roomId) { return `blockblast:${roomId}`; }
-function clearEmptyRoomTimer(room) {
-  if (room?.emptyRoomTimer) { clearTimeout(room.emptyRoomTimer); room.emptyRoomTimer = null; }
-}
 function clearGameTimer(room) {
   if (room?.gameTimer) { clearTimeout(room.gameTimer); room.gameTimer = null; }
 }
@@ -104,69 +110,6 @@ function publicRoom(room) {
   };
 }
 
-function broadcastRoomState(io, room) {
-  io.to(socketRoomName(room.id)).emit("blockblast:roomState", publicRoom(room));
-}
-
-function deleteRoom(io, room, reason) {
-  clearEmptyRoomTimer(room);
-  clearGameTimer(room);
-  bbRooms.delete(room.id);
-  bbInvites.delete(room.inviteCode);
-  for (const uid of room.playerOrder) {
-    if (bbUserRoom.get(uid) === room.id) bbUserRoom.delete(uid);
-  }
-  io.to(socketRoomName(room.id)).emit("blockblast:roomClosed", { reason });
-  io.in(socketRoomName(room.id)).socketsLeave(socketRoomName(room.id));
-  console.log(`[blockblast] room ${room.id} deleted: ${reason}`);
-}
-
-function maybeScheduleEmptyRoomDelete(io, room) {
-  const connected = [...room.players.values()].filter(p => p.connected).length;
-  if (connected === 0 && !room.emptyRoomTimer) {
-    room.emptyRoomTimer = setTimeout(() => {
-      const r = bbRooms.get(room.id);
-      if (!r) return;
-      const stillEmpty = [...r.players.values()].every(p => !p.connected);
-      if (stillEmpty) deleteRoom(io, r, "EMPTY");
-    }, EMPTY_ROOM_TTL_MS);
-  }
-}
-
-function leavePlayer(io, room, userId) {
-  if (!room.players.has(userId)) return;
-  const wasHost = room.hostUserId === userId;
-  const p = room.players.get(userId);
-  if (p && room.status === "playing" && p.status === "active") {
-    p.status = "left";
-    p.connected = false;
-  }
-  if (room.status !== "playing") {
-    room.players.delete(userId);
-    const idx = room.playerOrder.indexOf(userId);
-    if (idx >= 0) room.playerOrder.splice(idx, 1);
-  }
-  if (bbUserRoom.get(userId) === room.id) bbUserRoom.delete(userId);
-  // 새 호스트는 left/disconnected 아닌 사람 우선
-  if (wasHost && room.playerOrder.length > 0) {
-    const activeFirst = room.playerOrder.find(uid => {
-      const pp = room.players.get(uid);
-      return pp && pp.connected && pp.status !== "left";
-    });
-    room.hostUserId = activeFirst || room.playerOrder[0];
-  }
-  io.to(socketRoomName(room.id)).emit("blockblast:peerLeave", { playerId: userId });
-
-  if (room.playerOrder.length === 0) {
-    deleteRoom(io, room, "ALL_LEFT");
-    return;
-  }
-  if (room.status === "playing") {
-    checkAndMaybeFinish(io, room);
-  }
-  broadcastRoomState(io, room);
-}
-
 function activeCount(room) {
   let n = 0;
   for (const p of room.players.values()) if (p.status === "active") n++;
@@ -220,10 +163,7 @@ export function registerBlockBlastMulti(io, supabaseAdmin) {
     socket.on("blockblast:createRoom", async (payload, cb) => {
       try {
         if (me.isGuest) return cb?.({ ok: false, error: "GUEST_CANNOT_CREATE" });
-        if (bbUserRoom.has(me.id)) {
-          const old = bbRooms.get(bbUserRoom.get(me.id));
-          if (old) leavePlayer(io, old, me.id);
-        }
+        rm.leaveCurrentRoom(io, me.id);
         const maxPlayers = ALLOWED_MAX_PLAYERS.includes(Number(payload?.maxPlayers))
           ? Number(payload.maxPlayers) : 4;
         const gameTimeSec = ALLOWED_GAME_TIME.includes(Number(payload?.gameTimeSec))
@@ -231,8 +171,8 @@ export function registerBlockBlastMulti(io, supabaseAdmin) {
         const blockTimeSec = ALLOWED_BLOCK_TIME.includes(Number(payload?.blockTimeSec))
           ? Number(payload.blockTimeSec) : 30;
 
-        const roomId = `bb_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
-        const inviteCode = genInviteCode();
+        const roomId = rm.newRoomId("bb");
+        const inviteCode = rm.genInviteCode();
         const room = {
           id: roomId, inviteCode, hostUserId: me.id,
           status: "lobby", maxPlayers, gameTimeSec, blockTimeSec,
@@ -243,8 +183,7 @@ export function registerBlockBlastMulti(io, supabaseAdmin) {
           eliminatedCount: 0,
           emptyRoomTimer: null, gameTimer: null,
         };
-        bbRooms.set(roomId, room);
-        bbInvites.set(inviteCode, roomId);
+        rm.addRoom(room);
 
         let avatar = null, nick = payload?.nickname;
         try {
@@ -254,8 +193,7 @@ export function registerBlockBlastMulti(io, supabaseAdmin) {
         } catch {}
         room.players.set(me.id, newPlayerState(nick || "방장", false, avatar, socket.id));
         room.playerOrder.push(me.id);
-        bbUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode, playerId: me.id, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -268,18 +206,13 @@ export function registerBlockBlastMulti(io, supabaseAdmin) {
 
     socket.on("blockblast:joinRoom", async (payload, cb) => {
       try {
-        const code = String(payload?.inviteCode || "").trim();
-        const roomId = bbInvites.get(code);
-        const room = roomId ? bbRooms.get(roomId) : null;
-        if (!room) return cb?.({ ok: false, error: "ROOM_NOT_FOUND" });
+        const room = rm.findByInvite(payload?.inviteCode);
+        if (!room) return cb?.(roomNotFoundReply(rm.prefix, payload?.inviteCode));
+        const roomId = room.id;
         if (room.status === "ended") return cb?.({ ok: false, error: "GAME_ENDED" });
 
         if (room.players.has(me.id)) {
-          const p = room.players.get(me.id);
-          p.connected = true; p.socketId = socket.id;
-          socket.join(socketRoomName(roomId));
-          bbUserRoom.set(me.id, roomId);
-          clearEmptyRoomTimer(room);
+          rm.reconnect(socket, room, me.id);
           cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room), rejoined: true });
           broadcastRoomState(io, room);
           return;
@@ -298,9 +231,7 @@ export function registerBlockBlastMulti(io, supabaseAdmin) {
         const playerName = nick || (me.isGuest ? "게스트" : "유저");
         room.players.set(me.id, newPlayerState(playerName, !!me.isGuest, avatar, socket.id));
         room.playerOrder.push(me.id);
-        bbUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
-        clearEmptyRoomTimer(room);
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -311,8 +242,7 @@ export function registerBlockBlastMulti(io, supabaseAdmin) {
     });
 
     socket.on("blockblast:setMaxPlayers", (payload, cb) => {
-      const roomId = bbUserRoom.get(me.id);
-      const room = roomId ? bbRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
@@ -325,8 +255,7 @@ export function registerBlockBlastMulti(io, supabaseAdmin) {
     });
 
     socket.on("blockblast:setRoomOptions", (payload, cb) => {
-      const roomId = bbUserRoom.get(me.id);
-      const room = roomId ? bbRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
@@ -343,8 +272,7 @@ export function registerBlockBlastMulti(io, supabaseAdmin) {
     });
 
     socket.on("blockblast:startGame", (_payload, cb) => {
-      const roomId = bbUserRoom.get(me.id);
-      const room = roomId ? bbRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status === "playing") return cb?.({ ok: false, error: "ALREADY_PLAYING" });
@@ -360,7 +288,7 @@ export function registerBlockBlastMulti(io, supabaseAdmin) {
           room.players.delete(uid);
           const idx = room.playerOrder.indexOf(uid);
           if (idx >= 0) room.playerOrder.splice(idx, 1);
-          if (bbUserRoom.get(uid) === room.id) bbUserRoom.delete(uid);
+          if (rm.userRoom.get(uid) === room.id) rm.userRoom.delete(uid);
         }
         // 호스트가 정리된 경우 (자기 자신이 정리되진 않음 — startGame 호출자라 connected)
         if (!room.players.has(room.hostUserId)) {
@@ -399,7 +327,7 @@ export function registerBlockBlastMulti(io, supabaseAdmin) {
       clearGameTimer(room);
       if (room.gameTimeSec > 0) {
         room.gameTimer = setTimeout(() => {
-          const r = bbRooms.get(room.id);
+          const r = rm.rooms.get(room.id);
           if (r && r.status === "playing") finishGame(io, r, "TIME_UP");
         }, room.gameTimeSec * 1000);
       }
@@ -409,8 +337,7 @@ export function registerBlockBlastMulti(io, supabaseAdmin) {
 
     // 점수 / 진척 업데이트 (throttle)
     socket.on("blockblast:scoreUpdate", (payload) => {
-      const roomId = bbUserRoom.get(me.id);
-      const room = roomId ? bbRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return;
       const p = room.players.get(me.id);
       if (!p || p.status !== "active") return;
@@ -438,8 +365,7 @@ export function registerBlockBlastMulti(io, supabaseAdmin) {
 
     // 보드 스냅샷 (관전용)
     socket.on("blockblast:snapshot", (payload) => {
-      const roomId = bbUserRoom.get(me.id);
-      const room = roomId ? bbRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return;
       const p = room.players.get(me.id);
       if (!p || p.status !== "active") return;
@@ -460,8 +386,7 @@ export function registerBlockBlastMulti(io, supabaseAdmin) {
 
     // 탈락
     socket.on("blockblast:eliminated", (payload, cb) => {
-      const roomId = bbUserRoom.get(me.id);
-      const room = roomId ? bbRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
       const p = room.players.get(me.id);
       if (!p || p.status !== "active") return cb?.({ ok: false, error: "NOT_ACTIVE" });
@@ -487,51 +412,7 @@ export function registerBlockBlastMulti(io, supabaseAdmin) {
       cb?.({ ok: true });
     });
 
-    socket.on("blockblast:leaveRoom", (_payload, cb) => {
-      const roomId = bbUserRoom.get(me.id);
-      const room = roomId ? bbRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: true });
-      leavePlayer(io, room, me.id);
-      socket.leave(socketRoomName(room.id));
-      cb?.({ ok: true });
-    });
-
-    socket.on("blockblast:kickPlayer", (payload, cb) => {
-      const roomId = bbUserRoom.get(me.id);
-      const room = roomId ? bbRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
-      if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
-      const targetId = String(payload?.targetUserId || "");
-      if (!targetId || targetId === me.id) return cb?.({ ok: false, error: "INVALID_TARGET" });
-      if (!room.players.has(targetId)) return cb?.({ ok: false, error: "TARGET_NOT_IN_ROOM" });
-      const target = room.players.get(targetId);
-      if (target?.socketId) io.to(target.socketId).emit("blockblast:kicked", { reason: "KICKED_BY_HOST" });
-      leavePlayer(io, room, targetId);
-      cb?.({ ok: true });
-    });
-
-    socket.on("blockblast:requestState", (_payload, cb) => {
-      const roomId = bbUserRoom.get(me.id);
-      const room = roomId ? bbRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      cb?.({ ok: true, room: publicRoom(room) });
-    });
-
-    socket.on("disconnect", () => {
-      const roomId = bbUserRoom.get(me.id);
-      const room = roomId ? bbRooms.get(roomId) : null;
-      if (!room) return;
-      const p = room.players.get(me.id);
-      if (!p) return;
-      if (p.socketId !== socket.id) return;
-      p.connected = false;
-      if (room.status === "lobby") {
-        leavePlayer(io, room, me.id);
-      } else {
-        io.to(socketRoomName(room.id)).emit("blockblast:peerUpdate", { playerId: me.id, connected: false });
-        maybeScheduleEmptyRoomDelete(io, room);
-      }
-    });
+    // ----- 퇴장/강퇴/상태 재요청/연결 해제 — 공용 매니저 -----
+    rm.attach(io, socket);
   });
 }
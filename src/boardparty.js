@@ -3,6 +3,7 @@
 // 기존 게임들과 완전 격리. bp:* 이벤트 prefix.
 // 이번 Phase: 룸 + 주사위 + 이동 + 칸 효과 베이스 (coin/minus/safe만 동작)
 // 아이템/이벤트/벌칙은 Phase 2~5에서 추가
+// 방 수명주기(초대코드/빈 방 TTL/퇴장/강퇴/재요청/재시작 복구)는 room-manager.js 공용 매니저
 // =========================
 
 import { TILES, BOARD_TOTAL, BOARD_GRID_N, publicBoard, getTile } from "./boardparty-board.js";
@@ -11,10 +12,41 @@ import { ITEMS, buildItemDeck, getItem, publicItemList } from "./boardparty-item
 import { PENALTIES, PENALTY_CATEGORIES, DEFAULT_PENALTY_KINDS, pickPenalty, publicPenaltyList } from "./boardparty-penalties.js";
 import { MINIGAMES, pickRandomMinigame, computeReactionResult, computeGuessResult, computeClickResult, computeNunchiResult, publicMinigameList } from "./boardparty-minigames.js";
 
+import { roomStore, ROOM_RESTORE_GRACE_MS } from "./room-store.js";
+import { createRoomManager } from "./room-manager.js";
+import { roomNotFoundReply } from "./cluster.js";
+import { ratingRoster, settleRatings } from "./ratings.js";
+
 // ===== Room storage =====
-const bpRooms = new Map();
-const bpInvites = new Map();
-const bpUserRoom = new Map();
+const bpSnapshots = roomStore.namespace("bp"); // 재시작 복구용 (ROOM_STORE 미설정 시 no-op)
+// 방 수명주기 — 공용 매니저. 끊긴 플레이어는 로비/진행 중 모두 자리 유지, 60초 안에 안 돌아오면 퇴장
+const rm = createRoomManager({
+  prefix: "bp",
+  publicRoom,
+  snapshots: bpSnapshots,
+  disconnectGraceMs: 60_000,
+  clearTimers: clearTurnTimer,
+  beforeLeave: (io, room, userId) => ({
+    wasTurn: room.status === "playing" && room.playerOrder[room.currentTurnIdx] === userId,
+    leaveIdx: room.playerOrder.indexOf(userId),
+  }),
+  afterLeave: (io, room, userId, ctx) => afterLeave(io, room, ctx),
+  onDisconnect: (io, room, userId) => {
+    if (room.status === "lobby") broadcastRoomState(io, room);
+    else if (room.status === "playing") {
+      const turnUid = room.playerOrder[room.currentTurnIdx];
+      if (turnUid === userId) {
+        clearTurnTimer(room);
+        advanceTurn(room);
+        room.pendingDice = null;
+        startTurn(io, room);
+      }
+    }
+  },
+  statePayload: (room) => ({ room: publicRoom(room), board: publicBoard() }),
+  onRequestState: (io, socket, room) => sendItemsTo(io, room, socket.user.id),
+});
+const { socketRoomName, broadcastRoomState, deleteRoom } = rm;
 
 // ===== Modes (카드게임과 동일 구조 — 처음부터 8인) =====
 const ALLOWED_MODES = ["1v1", "2v2", "3v3", "4v4", "2v2v2", "2v2v2v2", "ffa8"];
@@ -42,14 +74,12 @@ const DEFAULT_START_COINS = 10;
 const DICE_MIN = 1, DICE_MAX = 6;
 const MAX_ITEMS = 5; // 손패 최대치
 
-const EMPTY_ROOM_TTL_MS = 30_000;
 const ENDED_ROOM_TTL_MS = 10 * 60_000;
 
 const TEAM_COLORS = ["#ef4444", "#3b82f6", "#22c55e", "#facc15"];
 const TEAM_LABELS = ["A", "B", "C", "D"];
 
 // ===== Utils =====
-function socketRoomName(roomId) { return `bp:${roomId}`; }
 function shuffleArr(arr) {
   for (let i = arr.length - 1; i > 0; i--) {
     const j = Math.floor(Math.random() * (i + 1));
@@ -57,13 +87,6 @@ function shuffleArr(arr) {
   }
   return arr;
 }
-function genInviteCode() {
-  for (let i = 0; i < 50; i++) {
-    const c = String(Math.floor(Math.random() * 1_000_000)).padStart(6, "0");
-    if (!bpInvites.has(c)) return c;
-  }
-  return String(Math.floor(Math.random() * 10_000_000)).padStart(7, "0");
-}
 
 function modeMaxPlayers(mode) { return MODE_INFO[mode]?.players || 2; }
 function modeMinPlayers(mode) {
@@ -85,13 +108,14 @@ function assignTeams(room) {
 }
 
 // ===== Player state =====
-function newPlayerState(name, isGuest, avatarUrl) {
+function newPlayerState(name, isGuest, avatarUrl, socketId = null) {
   return {
     name: String(name || "익명").slice(0, 20),
     isGuest: !!isGuest,
     avatar_url: avatarUrl || null,
     joinedAt: Date.now(),
     connected: true,
+    socketId,
     team: 0,
     pos: 0,
     coins: DEFAULT_START_COINS,
@@ -160,22 +184,6 @@ function publicRoom(room) {
 function clearTurnTimer(room) {
   if (room.turnTimer) { clearTimeout(room.turnTimer); room.turnTimer = null; }
 }
-function clearEmptyRoomTimer(room) {
-  if (room.emptyRoomTimer) { clearTimeout(room.emptyRoomTimer); room.emptyRoomTimer = null; }
-}
-function deleteRoom(io, room, reason = "UNKNOWN") {
-  clearTurnTimer(room);
-  clearEmptyRoomTimer(room);
-  bpRooms.delete(room.id);
-  bpInvites.delete(room.inviteCode);
-  for (const uid of room.playerOrder) if (bpUserRoom.get(uid) === room.id) bpUserRoom.delete(uid);
-  io.to(socketRoomName(room.id)).emit("bp:roomClosed", { reason });
-  io.in(socketRoomName(room.id)).socketsLeave(socketRoomName(room.id));
-  console.log(`[bp] room ${room.id} deleted: ${reason}`);
-}
-function broadcastRoomState(io, room) {
-  io.to(socketRoomName(room.id)).emit("bp:roomState", publicRoom(room));
-}
 
 // ===== Win condition =====
 function checkWinCondition(io, room) {
@@ -206,6 +214,7 @@ function finishGameByRound(io, room) {
 function finishGame(io, room, winnerUid) {
   room.status = "ended";
   clearTurnTimer(room);
+  bpSnapshots.save(room);
   const winP = winnerUid ? room.players.get(winnerUid) : null;
   if (modeTeamCount(room.mode) > 0 && winP) {
     room.winnerTeam = winP.team;
@@ -214,6 +223,12 @@ function finishGame(io, room, winnerUid) {
     room.winnerTeam = null;
     room.winnerUserId = winnerUid;
   }
+  // 경기 결과 기록 (프로필 통계 — 레이팅 없는 게임이라 결과만 저장)
+  settleRatings(io, "bp", room, (uid, entry) => {
+    if (room.winnerTeam != null) return entry.team === room.winnerTeam ? 1 : 2;
+    if (room.winnerUserId) return uid === room.winnerUserId ? 1 : 2;
+    return 1;
+  });
   // 꼴지
   let loserUid = null;
   let minCoins = Infinity;
@@ -637,6 +652,35 @@ function startTurn(io, room) {
   }, room.options.turnSec * 1000);
 }
 
+// 복원된 방에 첫 재접속 — 재시작으로 사라진 타이머를 현재 차례 기준으로 다시 건다
+function resumeRestoredRoom(io, room) {
+  if (!room.restoredAt) return;
+  room.restoredAt = null;
+  if (room.status !== "playing") return;
+  // 진행 중이던 미니게임은 받은 제출분으로 정산 → 다음 턴
+  if (room.minigame) { endMinigame(io, room, "RESTORED"); return; }
+  room.pendingDice = null;
+  const turnUid = room.playerOrder[room.currentTurnIdx];
+  if (!room.players.get(turnUid)?.connected) {
+    advanceTurn(room);
+    startTurn(io, room);
+    return;
+  }
+  room.turnDeadline = Date.now() + room.options.turnSec * 1000;
+  io.to(socketRoomName(room.id)).emit("bp:turnStart", {
+    turnUserId: turnUid,
+    turnNumber: room.turnNumber,
+    round: room.round,
+    turnDeadline: room.turnDeadline,
+  });
+  clearTurnTimer(room);
+  room.turnTimer = setTimeout(() => {
+    if (room.status !== "playing") return;
+    if (room.playerOrder[room.currentTurnIdx] !== turnUid) return;
+    autoRollDice(io, room, turnUid);
+  }, room.options.turnSec * 1000);
+}
+
 async function autoRollDice(io, room, userId) {
   await performRoll(io, room, userId, true);
 }
@@ -1057,43 +1101,39 @@ function endMinigame(io, room, reason) {
 }
 
 // ===== Leave =====
-function leavePlayer(io, room, userId, hard) {
-  const p = room.players.get(userId);
-  if (!p) return;
-  if (hard) {
-    room.players.delete(userId);
-    room.playerOrder = room.playerOrder.filter(u => u !== userId);
-    bpUserRoom.delete(userId);
-  } else {
-    p.connected = false;
-  }
-  if (room.hostUserId === userId && room.playerOrder.length > 0) {
-    room.hostUserId = room.playerOrder[0];
-  }
-  if (room.playerOrder.length === 0) {
-    clearEmptyRoomTimer(room);
-    room.emptyRoomTimer = setTimeout(() => {
-      if (bpRooms.get(room.id) && room.playerOrder.length === 0) {
-        deleteRoom(io, room, "EMPTY_ROOM_TTL");
-      }
-    }, EMPTY_ROOM_TTL_MS);
-    return;
-  }
-  if (room.status === "playing") {
-    const turnUid = room.playerOrder[room.currentTurnIdx];
-    if (turnUid === userId) {
-      clearTurnTimer(room);
+// 퇴장 후처리 (rm.leavePlayer → afterLeave) — 제거/호스트 위임/빈 방 정리는 매니저가 끝낸 상태
+function afterLeave(io, room, { wasTurn, leaveIdx }) {
+  if (room.status !== "playing") return false;
+  // 앞 순번이 빠지면 현재 차례 인덱스도 한 칸 당김 → 같은 사람 차례 유지
+  if (leaveIdx < room.currentTurnIdx) room.currentTurnIdx -= 1;
+  if (wasTurn) {
+    // 나간 자리엔 이미 다음 사람이 와 있음. 끝 순번이었으면 라운드를 넘겨 처음으로
+    clearTurnTimer(room);
+    room.pendingDice = null;
+    if (room.currentTurnIdx >= room.playerOrder.length) {
+      room.currentTurnIdx = room.playerOrder.length - 1;
       advanceTurn(room);
-      room.pendingDice = null;
-      startTurn(io, room);
     }
-    if (checkWinCondition(io, room)) return;
+    startTurn(io, room);
   }
-  broadcastRoomState(io, room);
+  return checkWinCondition(io, room);
 }
 
 // ===== Register =====
 export function registerBoardParty(io, supabaseAdmin) {
+  // 재시작 복구 — 전원 끊김 상태로 복원, 유예 안에 안 돌아온 플레이어는 퇴장 처리
+  rm.restore(io, (room) => {
+    if (room.status === "ended") return false;
+    for (const uid of room.playerOrder) {
+      setTimeout(() => {
+        const r = rm.rooms.get(room.id);
+        const pp = r?.players.get(uid);
+        if (!pp || pp.connected) return;
+        rm.leavePlayer(io, r, uid);
+      }, ROOM_RESTORE_GRACE_MS);
+    }
+  });
+
   io.on("connection", (socket) => {
     const me = socket.user;
     if (!me) return;
@@ -1101,13 +1141,10 @@ export function registerBoardParty(io, supabaseAdmin) {
     socket.on("bp:createRoom", async (payload, cb) => {
       try {
         if (me.isGuest) return cb?.({ ok: false, error: "GUEST_CANNOT_CREATE" });
-        if (bpUserRoom.has(me.id)) {
-          const old = bpRooms.get(bpUserRoom.get(me.id));
-          if (old) leavePlayer(io, old, me.id, true);
-        }
+        rm.leaveCurrentRoom(io, me.id);
         const mode = ALLOWED_MODES.includes(payload?.mode) ? payload.mode : "ffa8";
-        const roomId = `bp_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
-        const inviteCode = genInviteCode();
+        const roomId = rm.newRoomId("bp");
+        const inviteCode = rm.genInviteCode();
         const room = {
           id: roomId, inviteCode, hostUserId: me.id,
           status: "lobby", mode, maxPlayers: modeMaxPlayers(mode),
@@ -1131,8 +1168,7 @@ export function registerBoardParty(io, supabaseAdmin) {
           winnerTeam: null, winnerUserId: null,
           emptyRoomTimer: null,
         };
-        bpRooms.set(roomId, room);
-        bpInvites.set(inviteCode, roomId);
+        rm.addRoom(room);
 
         let avatar = null;
         try {
@@ -1141,11 +1177,10 @@ export function registerBoardParty(io, supabaseAdmin) {
           if (data?.nickname && !payload?.nickname) payload = { ...(payload || {}), nickname: data.nickname };
         } catch {}
         const hostName = String(payload?.nickname || "방장").slice(0, 20);
-        room.players.set(me.id, newPlayerState(hostName, false, avatar));
+        room.players.set(me.id, newPlayerState(hostName, false, avatar, socket.id));
         room.playerOrder.push(me.id);
-        bpUserRoom.set(me.id, roomId);
+        rm.seat(socket, room, me.id);
         assignTeams(room);
-        socket.join(socketRoomName(roomId));
 
         cb?.({ ok: true, roomId, inviteCode, room: publicRoom(room), board: publicBoard() });
         broadcastRoomState(io, room);
@@ -1158,30 +1193,25 @@ export function registerBoardParty(io, supabaseAdmin) {
 
     socket.on("bp:joinRoom", async (payload, cb) => {
       try {
-        const code = String(payload?.inviteCode || "").trim();
-        const roomId = bpInvites.get(code);
-        const room = roomId ? bpRooms.get(roomId) : null;
-        if (!room) return cb?.({ ok: false, error: "ROOM_NOT_FOUND" });
+        const room = rm.findByInvite(payload?.inviteCode);
+        if (!room) return cb?.(roomNotFoundReply(rm.prefix, payload?.inviteCode));
+        const roomId = room.id;
         if (room.status !== "lobby") {
           if (room.players.has(me.id)) {
-            const p = room.players.get(me.id);
-            p.connected = true;
-            socket.join(socketRoomName(roomId));
-            bpUserRoom.set(me.id, roomId);
+            rm.reconnect(socket, room, me.id);
             cb?.({ ok: true, roomId, inviteCode: room.inviteCode, room: publicRoom(room), board: publicBoard(), reconnected: true });
             broadcastRoomState(io, room);
+            resumeRestoredRoom(io, room);
             return;
           }
           return cb?.({ ok: false, error: "GAME_ALREADY_STARTED" });
         }
-        if (room.players.size >= room.maxPlayers) return cb?.({ ok: false, error: "ROOM_FULL" });
+        if (!room.players.has(me.id) && room.players.size >= room.maxPlayers) return cb?.({ ok: false, error: "ROOM_FULL" });
         if (room.players.has(me.id)) {
-          const p = room.players.get(me.id);
-          p.connected = true;
-          socket.join(socketRoomName(roomId));
-          bpUserRoom.set(me.id, roomId);
+          rm.reconnect(socket, room, me.id);
           cb?.({ ok: true, roomId, inviteCode: room.inviteCode, room: publicRoom(room), board: publicBoard(), reconnected: true });
           broadcastRoomState(io, room);
+          resumeRestoredRoom(io, room);
           return;
         }
         let avatar = null;
@@ -1193,12 +1223,10 @@ export function registerBoardParty(io, supabaseAdmin) {
           } catch {}
         }
         const name = String(payload?.nickname || (me.isGuest ? "게스트" : "유저")).slice(0, 20);
-        room.players.set(me.id, newPlayerState(name, !!me.isGuest, avatar));
+        room.players.set(me.id, newPlayerState(name, !!me.isGuest, avatar, socket.id));
         room.playerOrder.push(me.id);
-        bpUserRoom.set(me.id, roomId);
+        rm.seat(socket, room, me.id);
         assignTeams(room);
-        socket.join(socketRoomName(roomId));
-        clearEmptyRoomTimer(room);
 
         cb?.({ ok: true, roomId, inviteCode: room.inviteCode, room: publicRoom(room), board: publicBoard() });
         broadcastRoomState(io, room);
@@ -1209,8 +1237,7 @@ export function registerBoardParty(io, supabaseAdmin) {
     });
 
     socket.on("bp:setOptions", (payload, cb) => {
-      const roomId = bpUserRoom.get(me.id);
-      const room = roomId ? bpRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "GAME_ALREADY_STARTED" });
@@ -1255,8 +1282,7 @@ export function registerBoardParty(io, supabaseAdmin) {
     });
 
     socket.on("bp:setTeam", (payload, cb) => {
-      const roomId = bpUserRoom.get(me.id);
-      const room = roomId ? bpRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "GAME_ALREADY_STARTED" });
       const teamCount = modeTeamCount(room.mode);
@@ -1271,8 +1297,7 @@ export function registerBoardParty(io, supabaseAdmin) {
     });
 
     socket.on("bp:start", (_payload, cb) => {
-      const roomId = bpUserRoom.get(me.id);
-      const room = roomId ? bpRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status === "playing") return cb?.({ ok: false, error: "ALREADY_PLAYING" });
@@ -1290,6 +1315,7 @@ export function registerBoardParty(io, supabaseAdmin) {
         if (counts.some(n => n !== pt)) return cb?.({ ok: false, error: "TEAM_UNBALANCED", counts });
       }
       room.status = "playing";
+      room.ratingRoster = ratingRoster(room);  // 중도 이탈자도 결과에 포함
       room.currentTurnIdx = 0;
       room.turnNumber = 0;
       room.round = 1;
@@ -1326,8 +1352,7 @@ export function registerBoardParty(io, supabaseAdmin) {
     });
 
     socket.on("bp:spinPenalty", (_payload, cb) => {
-      const roomId = bpUserRoom.get(me.id);
-      const room = roomId ? bpRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "ended") return cb?.({ ok: false, error: "NOT_ENDED" });
@@ -1346,16 +1371,14 @@ export function registerBoardParty(io, supabaseAdmin) {
     });
 
     socket.on("bp:rollDice", async (_payload, cb) => {
-      const roomId = bpUserRoom.get(me.id);
-      const room = roomId ? bpRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       const res = await performRoll(io, room, me.id, false);
       cb?.(res);
     });
 
     socket.on("bp:minigameSubmit", (payload, cb) => {
-      const roomId = bpUserRoom.get(me.id);
-      const room = roomId ? bpRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (!room.minigame) return cb?.({ ok: false, error: "NO_MINIGAME" });
       const res = handleMinigameSubmit(io, room, me.id, payload);
@@ -1363,8 +1386,7 @@ export function registerBoardParty(io, supabaseAdmin) {
     });
 
     socket.on("bp:useItem", (payload, cb) => {
-      const roomId = bpUserRoom.get(me.id);
-      const room = roomId ? bpRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       const itemId = String(payload?.itemId || "");
       const targetUserId = payload?.targetUserId ? String(payload.targetUserId) : null;
@@ -1372,63 +1394,6 @@ export function registerBoardParty(io, supabaseAdmin) {
       cb?.(res);
     });
 
-    socket.on("bp:leaveRoom", (_payload, cb) => {
-      const roomId = bpUserRoom.get(me.id);
-      const room = roomId ? bpRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false });
-      leavePlayer(io, room, me.id, true);
-      socket.leave(socketRoomName(room.id));
-      cb?.({ ok: true });
-    });
-
-    socket.on("bp:kickPlayer", (payload, cb) => {
-      const roomId = bpUserRoom.get(me.id);
-      const room = roomId ? bpRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
-      if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
-      const targetId = String(payload?.targetUserId || "");
-      if (!targetId || targetId === me.id) return cb?.({ ok: false, error: "INVALID_TARGET" });
-      if (!room.players.has(targetId)) return cb?.({ ok: false, error: "TARGET_NOT_IN_ROOM" });
-      const target = room.players.get(targetId);
-      if (target?.socketId) io.to(target.socketId).emit("bp:kicked", { reason: "KICKED_BY_HOST" });
-      leavePlayer(io, room, targetId, true);
-      cb?.({ ok: true });
-    });
-
-    socket.on("bp:requestState", (_payload, cb) => {
-      const roomId = bpUserRoom.get(me.id);
-      const room = roomId ? bpRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      socket.join(socketRoomName(room.id));
-      cb?.({ ok: true, room: publicRoom(room), board: publicBoard() });
-      sendItemsTo(io, room, me.id);
-    });
-
-    socket.on("disconnect", () => {
-      const roomId = bpUserRoom.get(me.id);
-      if (!roomId) return;
-      const room = bpRooms.get(roomId);
-      if (!room) return;
-      const p = room.players.get(me.id);
-      if (p) p.connected = false;
-      setTimeout(() => {
-        const r = bpRooms.get(roomId);
-        if (!r) return;
-        const pp = r.players.get(me.id);
-        if (!pp || pp.connected) return;
-        leavePlayer(io, r, me.id, true);
-      }, 60_000);
-      if (room.status === "lobby") broadcastRoomState(io, room);
-      else if (room.status === "playing") {
-        const turnUid = room.playerOrder[room.currentTurnIdx];
-        if (turnUid === me.id) {
-          clearTurnTimer(room);
-          advanceTurn(room);
-          room.pendingDice = null;
-          startTurn(io, room);
-        }
-      }
-    });
+    rm.attach(io, socket);
   });
 }
@@ -1,9 +1,10 @@
 // =========================
 // DUO GAME ZONE — 난장 카드게임 (서버) v20260515_1
 // 기존 worldcup/quiz/tier/lifegame/liar/oxgame/fibbage/omok 와 완전 격리.
-// - 별도 Map(cgRooms / cgInvites / cgUserRoom)
+// - 방 수명주기(초대코드/빈 방 TTL/퇴장/강퇴/재요청/재시작 복구)는 room-manager.js 공용 매니저
 // - 'cg:*' 이벤트 prefix
 // - socket.io room name = `cg:${roomId}`
+// - 관전: `cg:spectate` / `cg:leaveSpectate` / `cg:chat` (spectators.js) — 손패는 본인에게만 가므로 관전자는 장수만 봄
 //
 // 모드: 처음부터 8인 기준 통합 설계
 //   '1v1'     — 2인, 팀2 (1-1)
@@ -22,11 +23,39 @@
 
 import { CARDS, buildDeck, getCard, isReactionCard, publicCardList, publicCardListByLang } from "./cardgame-cards.js";
 import { EVENTS, getEvent, pickRandomEvent, publicEventList } from "./cardgame-events.js";
+import { roomStore, ROOM_RESTORE_GRACE_MS } from "./room-store.js";
+import { createRoomManager } from "./room-manager.js";
+import { roomNotFoundReply } from "./cluster.js";
+import { ratingRoster, settleRatings } from "./ratings.js";
 
 // ===== Room storage =====
-const cgRooms = new Map();      // roomId → room
-const cgInvites = new Map();    // inviteCode → roomId
-const cgUserRoom = new Map();   // userId → roomId
+const cgSnapshots = roomStore.namespace("cg"); // 재시작 복구용 (ROOM_STORE 미설정 시 no-op)
+// 방 수명주기 — 공용 매니저. 관전자는 players 밖이라 카드 사용/반응 불가
+// 끊긴 플레이어는 로비/진행 중 모두 자리 유지, 60초 안에 안 돌아오면 퇴장
+const rm = createRoomManager({
+  prefix: "cg",
+  publicRoom,
+  spectators: true,
+  snapshots: cgSnapshots,
+  disconnectGraceMs: 60_000,
+  clearTimers: (room) => { clearTurnTimer(room); clearReactionTimer(room); },
+  beforeLeave: (io, room, userId) => ({
+    wasTurn: room.status === "playing" && room.playerOrder[room.currentTurnIdx] === userId,
+    leaveIdx: room.playerOrder.indexOf(userId),
+  }),
+  afterLeave: (io, room, userId, ctx) => afterLeave(io, room, userId, ctx),
+  onDisconnect: (io, room, userId) => {
+    if (room.status === "lobby") {
+      broadcastRoomState(io, room);
+    } else if (room.status === "playing") {
+      // 현재 턴이면 자동 종료
+      const turnUid = room.playerOrder[room.currentTurnIdx];
+      if (turnUid === userId) endTurn(io, room, userId, "DISCONNECT");
+    }
+  },
+  onRequestState: (io, socket, room) => sendHandTo(io, room, socket.user.id),
+});
+const { socketRoomName, broadcastRoomState, deleteRoom } = rm;
 
 // ===== Constants =====
 // 모드: 처음부터 8인 기준 통합 설계
@@ -54,13 +83,11 @@ const TURN_SEC = 30;
 const REACTION_SEC = 7;
 const REACTION_DEPTH_LIMIT = 3;
 const EVENT_EVERY_N_TURNS = 4;
-const EMPTY_ROOM_TTL_MS = 30_000;
 const ENDED_ROOM_TTL_MS = 10 * 60_000;
 // 팀 색상 (최대 4팀까지)
 const TEAM_COLORS = ["#ef4444", "#3b82f6", "#22c55e", "#facc15"];
 const TEAM_LABELS = ["A", "B", "C", "D"];
 
-function socketRoomName(roomId) { return `cg:${roomId}`; }
 function shuffleArr(arr) {
   for (let i = arr.length - 1; i > 0; i--) {
     const j = Math.floor(Math.random() * (i + 1));
@@ -68,22 +95,16 @@ function shuffleArr(arr) {
   }
   return arr;
 }
-function genInviteCode() {
-  for (let i = 0; i < 50; i++) {
-    const c = String(Math.floor(Math.random() * 1_000_000)).padStart(6, "0");
-    if (!cgInvites.has(c)) return c;
-  }
-  return String(Math.floor(Math.random() * 10_000_000)).padStart(7, "0");
-}
 
 // ===== Player state =====
-function newPlayerState(name, isGuest, avatarUrl) {
+function newPlayerState(name, isGuest, avatarUrl, socketId = null) {
   return {
     name: String(name || "익명").slice(0, 20),
     isGuest: !!isGuest,
     avatar_url: avatarUrl || null,
     joinedAt: Date.now(),
     connected: true,
+    socketId,
     team: 0,
     hp: DEFAULT_HP, maxHp: DEFAULT_HP,
     hand: [],
@@ -204,6 +225,7 @@ function publicRoom(room) {
     winnerUserId: room.winnerUserId,
     deckLeft: room.deck.length,
     discardLeft: room.discard.length,
+    spectatorCount: rm.spectatorCount(room),
   };
 }
 
@@ -214,28 +236,6 @@ function clearTurnTimer(room) {
 function clearReactionTimer(room) {
   if (room.reactionTimer) { clearTimeout(room.reactionTimer); room.reactionTimer = null; }
 }
-function clearEmptyRoomTimer(room) {
-  if (room.emptyRoomTimer) { clearTimeout(room.emptyRoomTimer); room.emptyRoomTimer = null; }
-}
-
-function deleteRoom(io, room, reason = "UNKNOWN") {
-  clearTurnTimer(room);
-  clearReactionTimer(room);
-  clearEmptyRoomTimer(room);
-  cgRooms.delete(room.id);
-  cgInvites.delete(room.inviteCode);
-  for (const uid of room.playerOrder) {
-    if (cgUserRoom.get(uid) === room.id) cgUserRoom.delete(uid);
-  }
-  io.to(socketRoomName(room.id)).emit("cg:roomClosed", { reason });
-  io.in(socketRoomName(room.id)).socketsLeave(socketRoomName(room.id));
-  console.log(`[cg] room ${room.id} deleted: ${reason}`);
-}
-
-function broadcastRoomState(io, room) {
-  io.to(socketRoomName(room.id)).emit("cg:roomState", publicRoom(room));
-}
-
 // hand는 본인에게만
 function sendHandTo(io, room, userId) {
   const p = room.players.get(userId);
@@ -487,6 +487,13 @@ function endGame(io, room) {
   room.status = "ended";
   clearTurnTimer(room);
   clearReactionTimer(room);
+  cgSnapshots.save(room);
+  // 레이팅: 승리 팀(또는 생존자) 1위, 나머지 2위
+  settleRatings(io, "cg", room, (uid, entry) => {
+    if (room.winnerTeam != null) return entry.team === room.winnerTeam ? 1 : 2;
+    if (room.winnerUserId) return uid === room.winnerUserId ? 1 : 2;
+    return 1;
+  });
   io.to(socketRoomName(room.id)).emit("cg:gameEnd", {
     winnerTeam: room.winnerTeam,
     winnerUserId: room.winnerUserId,
@@ -646,6 +653,33 @@ function endTurn(io, room, userId, reason) {
   startTurn(io, room);
 }
 
+// 복원된 방에 첫 재접속 — 재시작으로 사라진 타이머를 현재 차례 기준으로 다시 건다
+function resumeRestoredRoom(io, room) {
+  if (!room.restoredAt) return;
+  room.restoredAt = null;
+  if (room.status !== "playing") return;
+  // 반응 대기 스택은 반응창 타이머와 함께 유실 → 버리고 현재 차례부터 재개
+  room.actionStack = [];
+  const turnUid = room.playerOrder[room.currentTurnIdx];
+  if (!room.players.get(turnUid)?.connected) {
+    endTurn(io, room, turnUid, "DISCONNECT");
+    return;
+  }
+  room.turnDeadline = Date.now() + room.turnSec * 1000;
+  io.to(socketRoomName(room.id)).emit("cg:turnStart", {
+    turnUserId: turnUid,
+    turnNumber: room.turnNumber,
+    turnDeadline: room.turnDeadline,
+    skip: false,
+  });
+  clearTurnTimer(room);
+  room.turnTimer = setTimeout(() => {
+    if (room.status !== "playing") return;
+    if (room.playerOrder[room.currentTurnIdx] !== turnUid) return;
+    endTurn(io, room, turnUid, "TIMEOUT");
+  }, room.turnSec * 1000);
+}
+
 function fireRandomEvent(io, room) {
   const ev = pickRandomEvent();
   const ctx = makeEventCtx(io, room);
@@ -1135,51 +1169,43 @@ function tryPassReaction(io, room, userId) {
 }
 
 // ===== Leave =====
-function leavePlayer(io, room, userId, hardLeave) {
-  const p = room.players.get(userId);
-  if (!p) return;
-  if (hardLeave) {
-    room.players.delete(userId);
-    room.playerOrder = room.playerOrder.filter(u => u !== userId);
-    cgUserRoom.delete(userId);
-  } else {
-    p.connected = false;
-  }
-  // 호스트 위임
-  if (room.hostUserId === userId && room.playerOrder.length > 0) {
-    room.hostUserId = room.playerOrder[0];
-  }
-  // 빈 방
-  if (room.playerOrder.length === 0) {
-    clearEmptyRoomTimer(room);
-    room.emptyRoomTimer = setTimeout(() => {
-      if (cgRooms.get(room.id) && room.playerOrder.length === 0) {
-        deleteRoom(io, room, "EMPTY_ROOM_TTL");
-      }
-    }, EMPTY_ROOM_TTL_MS);
-    return;
-  }
-  // 진행중인데 한 팀만 남으면 게임 종료
-  if (room.status === "playing") {
-    // 끊긴 사람이 현재 턴이면 자동 턴 종료
-    const turnUid = room.playerOrder[room.currentTurnIdx];
-    if (turnUid === userId) {
-      // 반응 중이면 그쪽도 정리
-      const top = room.actionStack[room.actionStack.length - 1];
-      if (top && top.actorUserId === userId) {
-        // 액션 취소 (희귀 — actor가 끊긴 경우)
-        room.actionStack.pop();
-        clearReactionTimer(room);
-      }
-      endTurn(io, room, userId, "LEAVE");
+// 퇴장 후처리 (rm.leavePlayer → afterLeave) — 제거/호스트 위임/빈 방 정리는 매니저가 끝낸 상태
+function afterLeave(io, room, userId, { wasTurn, leaveIdx }) {
+  if (room.status !== "playing") return false;
+  // 앞 순번이 빠지면 현재 차례 인덱스도 한 칸 당김
+  if (leaveIdx < room.currentTurnIdx) room.currentTurnIdx -= 1;
+  if (wasTurn) {
+    // 반응 중이면 그쪽도 정리
+    const top = room.actionStack[room.actionStack.length - 1];
+    if (top && top.actorUserId === userId) {
+      // 액션 취소 (희귀 — actor가 나간 경우)
+      room.actionStack.pop();
+      clearReactionTimer(room);
     }
-    if (checkWinCondition(io, room)) return;
+    // 나간 자리 바로 앞을 가리키게 두면 endTurn이 다음 사람으로 넘김
+    room.currentTurnIdx = (leaveIdx - 1 + room.playerOrder.length) % room.playerOrder.length;
+    endTurn(io, room, userId, "LEAVE");
+    if (room.status !== "playing") return true;  // endTurn에서 승부가 남
   }
-  broadcastRoomState(io, room);
+  // 진행중인데 한 팀만 남으면 게임 종료
+  return checkWinCondition(io, room);
 }
 
 // ===== Register =====
 export function registerCardGame(io, supabaseAdmin) {
+  // 재시작 복구 — 전원 끊김 상태로 복원, 유예 안에 안 돌아온 플레이어는 퇴장 처리
+  rm.restore(io, (room) => {
+    if (room.status === "ended") return false;
+    for (const uid of room.playerOrder) {
+      setTimeout(() => {
+        const r = rm.rooms.get(room.id);
+        const pp = r?.players.get(uid);
+        if (!pp || pp.connected) return;
+        rm.leavePlayer(io, r, uid);
+      }, ROOM_RESTORE_GRACE_MS);
+    }
+  });
+
   io.on("connection", (socket) => {
     const me = socket.user;
     if (!me) return;
@@ -1187,15 +1213,12 @@ export function registerCardGame(io, supabaseAdmin) {
     socket.on("cg:createRoom", async (payload, cb) => {
       try {
         if (me.isGuest) return cb?.({ ok: false, error: "GUEST_CANNOT_CREATE" });
-        if (cgUserRoom.has(me.id)) {
-          const old = cgRooms.get(cgUserRoom.get(me.id));
-          if (old) leavePlayer(io, old, me.id, true);
-        }
+        rm.leaveCurrentRoom(io, me.id);
         const mode = ALLOWED_MODES.includes(payload?.mode) ? payload.mode : "1v1";
         const lang = ["ko","ja","en"].includes(payload?.lang) ? payload.lang : "ko";
         const maxPlayers = modeMaxPlayers(mode);
-        const roomId = `cg_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
-        const inviteCode = genInviteCode();
+        const roomId = rm.newRoomId("cg");
+        const inviteCode = rm.genInviteCode();
         const room = {
           id: roomId, inviteCode, hostUserId: me.id,
           status: "lobby", mode, lang, maxPlayers,
@@ -1211,8 +1234,7 @@ export function registerCardGame(io, supabaseAdmin) {
           winnerTeam: null, winnerUserId: null,
           emptyRoomTimer: null,
         };
-        cgRooms.set(roomId, room);
-        cgInvites.set(inviteCode, roomId);
+        rm.addRoom(room);
 
         let avatar = null;
         try {
@@ -1221,11 +1243,10 @@ export function registerCardGame(io, supabaseAdmin) {
           if (data?.nickname && !payload?.nickname) payload = { ...(payload || {}), nickname: data.nickname };
         } catch {}
         const hostName = String(payload?.nickname || "방장").slice(0, 20);
-        room.players.set(me.id, newPlayerState(hostName, false, avatar));
+        room.players.set(me.id, newPlayerState(hostName, false, avatar, socket.id));
         room.playerOrder.push(me.id);
-        cgUserRoom.set(me.id, roomId);
+        rm.seat(socket, room, me.id);
         assignTeams(room);
-        socket.join(socketRoomName(roomId));
 
         cb?.({ ok: true, roomId, inviteCode, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -1238,31 +1259,26 @@ export function registerCardGame(io, supabaseAdmin) {
 
     socket.on("cg:joinRoom", async (payload, cb) => {
       try {
-        const code = String(payload?.inviteCode || "").trim();
-        const roomId = cgInvites.get(code);
-        const room = roomId ? cgRooms.get(roomId) : null;
-        if (!room) return cb?.({ ok: false, error: "ROOM_NOT_FOUND" });
+        const room = rm.findByInvite(payload?.inviteCode);
+        if (!room) return cb?.(roomNotFoundReply(rm.prefix, payload?.inviteCode));
+        const roomId = room.id;
         if (room.status !== "lobby") {
           if (room.players.has(me.id)) {
-            const p = room.players.get(me.id);
-            p.connected = true;
-            socket.join(socketRoomName(roomId));
-            cgUserRoom.set(me.id, roomId);
+            rm.reconnect(socket, room, me.id);
             cb?.({ ok: true, roomId, inviteCode: room.inviteCode, room: publicRoom(room), reconnected: true });
             sendHandTo(io, room, me.id);
             broadcastRoomState(io, room);
+            resumeRestoredRoom(io, room);
             return;
           }
           return cb?.({ ok: false, error: "GAME_ALREADY_STARTED" });
         }
-        if (room.players.size >= room.maxPlayers) return cb?.({ ok: false, error: "ROOM_FULL" });
+        if (!room.players.has(me.id) && room.players.size >= room.maxPlayers) return cb?.({ ok: false, error: "ROOM_FULL" });
         if (room.players.has(me.id)) {
-          const p = room.players.get(me.id);
-          p.connected = true;
-          socket.join(socketRoomName(roomId));
-          cgUserRoom.set(me.id, roomId);
+          rm.reconnect(socket, room, me.id);
           cb?.({ ok: true, roomId, inviteCode: room.inviteCode, room: publicRoom(room), reconnected: true });
           broadcastRoomState(io, room);
+          resumeRestoredRoom(io, room);
           return;
         }
         let avatar = null;
@@ -1274,12 +1290,10 @@ export function registerCardGame(io, supabaseAdmin) {
           } catch {}
         }
         const name = String(payload?.nickname || (me.isGuest ? "게스트" : "유저")).slice(0, 20);
-        room.players.set(me.id, newPlayerState(name, !!me.isGuest, avatar));
+        room.players.set(me.id, newPlayerState(name, !!me.isGuest, avatar, socket.id));
         room.playerOrder.push(me.id);
-        cgUserRoom.set(me.id, roomId);
+        rm.seat(socket, room, me.id);  // 관전하다 자리에 앉는 경우도 여기서 정리
         assignTeams(room);
-        socket.join(socketRoomName(roomId));
-        clearEmptyRoomTimer(room);
 
         cb?.({ ok: true, roomId, inviteCode: room.inviteCode, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -1290,8 +1304,7 @@ export function registerCardGame(io, supabaseAdmin) {
     });
 
     socket.on("cg:setOptions", (payload, cb) => {
-      const roomId = cgUserRoom.get(me.id);
-      const room = roomId ? cgRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "GAME_ALREADY_STARTED" });
@@ -1320,8 +1333,7 @@ export function registerCardGame(io, supabaseAdmin) {
     });
 
     socket.on("cg:setTeam", (payload, cb) => {
-      const roomId = cgUserRoom.get(me.id);
-      const room = roomId ? cgRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "GAME_ALREADY_STARTED" });
       const teamCount = modeTeamCount(room.mode);
@@ -1338,8 +1350,7 @@ export function registerCardGame(io, supabaseAdmin) {
     });
 
     socket.on("cg:start", (_payload, cb) => {
-      const roomId = cgUserRoom.get(me.id);
-      const room = roomId ? cgRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status === "playing") return cb?.({ ok: false, error: "ALREADY_PLAYING" });
@@ -1360,6 +1371,7 @@ export function registerCardGame(io, supabaseAdmin) {
       }
 
       room.status = "playing";
+      room.ratingRoster = ratingRoster(room);
       room.deck = shuffleArr(buildDeck());
       room.discard = [];
       room.actionStack = [];
@@ -1389,8 +1401,7 @@ export function registerCardGame(io, supabaseAdmin) {
     });
 
     socket.on("cg:playCard", (payload, cb) => {
-      const roomId = cgUserRoom.get(me.id);
-      const room = roomId ? cgRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       const cardId = String(payload?.cardId || "");
       const targetUserId = payload?.targetUserId ? String(payload.targetUserId) : null;
@@ -1399,8 +1410,7 @@ export function registerCardGame(io, supabaseAdmin) {
     });
 
     socket.on("cg:playReaction", (payload, cb) => {
-      const roomId = cgUserRoom.get(me.id);
-      const room = roomId ? cgRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       const cardId = String(payload?.cardId || "");
       const res = tryPlayReaction(io, room, me.id, cardId);
@@ -1408,16 +1418,14 @@ export function registerCardGame(io, supabaseAdmin) {
     });
 
     socket.on("cg:passReaction", (_payload, cb) => {
-      const roomId = cgUserRoom.get(me.id);
-      const room = roomId ? cgRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       const res = tryPassReaction(io, room, me.id);
       cb?.(res);
     });
 
     socket.on("cg:drawAndEnd", (_payload, cb) => {
-      const roomId = cgUserRoom.get(me.id);
-      const room = roomId ? cgRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
       if (room.playerOrder[room.currentTurnIdx] !== me.id) return cb?.({ ok: false, error: "NOT_YOUR_TURN" });
@@ -1435,8 +1443,7 @@ export function registerCardGame(io, supabaseAdmin) {
     });
 
     socket.on("cg:endTurn", (_payload, cb) => {
-      const roomId = cgUserRoom.get(me.id);
-      const room = roomId ? cgRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
       if (room.playerOrder[room.currentTurnIdx] !== me.id) return cb?.({ ok: false, error: "NOT_YOUR_TURN" });
@@ -1447,8 +1454,7 @@ export function registerCardGame(io, supabaseAdmin) {
 
     // ===== 궁극기 사용 =====
     socket.on("cg:useUltimate", (payload, cb) => {
-      const roomId = cgUserRoom.get(me.id);
-      const room = roomId ? cgRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
       if (room.playerOrder[room.currentTurnIdx] !== me.id) return cb?.({ ok: false, error: "NOT_YOUR_TURN" });
@@ -1482,61 +1488,6 @@ export function registerCardGame(io, supabaseAdmin) {
       cb?.({ ok: true });
     });
 
-    socket.on("cg:leaveRoom", (_payload, cb) => {
-      const roomId = cgUserRoom.get(me.id);
-      const room = roomId ? cgRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false });
-      leavePlayer(io, room, me.id, true);
-      socket.leave(socketRoomName(room.id));
-      cb?.({ ok: true });
-    });
-
-    socket.on("cg:kickPlayer", (payload, cb) => {
-      const roomId = cgUserRoom.get(me.id);
-      const room = roomId ? cgRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
-      if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
-      const targetId = String(payload?.targetUserId || "");
-      if (!targetId || targetId === me.id) return cb?.({ ok: false, error: "INVALID_TARGET" });
-      if (!room.players.has(targetId)) return cb?.({ ok: false, error: "TARGET_NOT_IN_ROOM" });
-      const target = room.players.get(targetId);
-      if (target?.socketId) io.to(target.socketId).emit("cg:kicked", { reason: "KICKED_BY_HOST" });
-      leavePlayer(io, room, targetId, true);
-      cb?.({ ok: true });
-    });
-
-    socket.on("cg:requestState", (_payload, cb) => {
-      const roomId = cgUserRoom.get(me.id);
-      const room = roomId ? cgRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      socket.join(socketRoomName(room.id));
-      cb?.({ ok: true, room: publicRoom(room) });
-      sendHandTo(io, room, me.id);
-    });
-
-    socket.on("disconnect", () => {
-      const roomId = cgUserRoom.get(me.id);
-      if (!roomId) return;
-      const room = cgRooms.get(roomId);
-      if (!room) return;
-      const p = room.players.get(me.id);
-      if (p) p.connected = false;
-      // 진행 중 끊김 → 60초 후 자동 leave
-      setTimeout(() => {
-        const r = cgRooms.get(roomId);
-        if (!r) return;
-        const pp = r.players.get(me.id);
-        if (!pp || pp.connected) return;
-        leavePlayer(io, r, me.id, true);
-      }, 60_000);
-      if (room.status === "lobby") {
-        broadcastRoomState(io, room);
-      } else if (room.status === "playing") {
-        // 현재 턴이면 자동 종료
-        const turnUid = room.playerOrder[room.currentTurnIdx];
-        if (turnUid === me.id) endTurn(io, room, me.id, "DISCONNECT");
-      }
-    });
+    rm.attach(io, socket);
   });
 }
@@ -0,0 +1,288 @@
+// =========================
+// 멀티 프로세스 확장 — 방 소유 노드 라우팅 + Socket.IO 클러스터 어댑터
+// 방 상태(Map)는 프로세스 로컬이므로 "방을 만든 노드가 그 방의 주인"이 되고,
+// 같은 방의 플레이어는 모두 그 노드로 붙어야 함 (roomId/초대코드 기준 sticky 라우팅).
+//
+// 구성:
+//   bus            — 노드 간 pub/sub. 인터페이스: publish(channel, msg) / subscribe(channel, handler) → unsubscribe
+//                    createMemoryBus(): 같은 프로세스 안의 여러 노드용 (테스트/로컬)
+//                    createSupabaseBus(supabase): Supabase Realtime broadcast 채널 (노드 간 실서비스용)
+//                    createBusFromEnv(): CLUSTER_BUS 환경변수로 고름 → attachCluster(io, bus)
+//   어댑터          — createBusAdapter(bus): socket.io-adapter ClusterAdapter 구현.
+//                    io.to(`omok:${roomId}`).emit(...) 같은 브로드캐스트/fetchSockets가 노드 경계를 넘어 동작
+//   roomDirectory  — 방 소유권 레지스트리. claim/release로 등록, lookup으로 주인 노드 조회,
+//                    하트비트가 끊긴 노드의 방은 자동 제거
+//                    입장/관전 경로는 방이 없을 때 roomNotFoundReply()로 ROOM_ON_OTHER_NODE 안내
+//
+// 환경변수: NODE_ID (기본 랜덤), NODE_PUBLIC_URL (라우팅 응답에 실을 이 노드의 외부 주소)
+//           CLUSTER_BUS = none(기본, 단일 노드) | supabase, CLUSTER_TOPIC (Realtime 채널 이름, 기본 duo-cluster)
+// =========================
+
+import crypto from "node:crypto";
+import { EventEmitter } from "node:events";
+import { ClusterAdapterWithHeartbeat } from "socket.io-adapter";
+
+export const NODE_ID = process.env.NODE_ID || `node_${crypto.randomBytes(4).toString("hex")}`;
+const NODE_PUBLIC_URL = process.env.NODE_PUBLIC_URL || null;
+
+const DIRECTORY_CHANNEL = "room-directory";
+const DEFAULT_CLUSTER_TOPIC = "duo-cluster";
+const HEARTBEAT_MS = 5_000;
+const NODE_TIMEOUT_MS = 15_000;
+
+// ===== 버스 =====
+// 메모리 버스: 실제 네트워크처럼 비동기 전달 + 값 복사 (수신측이 송신 객체를 건드리지 않도록)
+export function createMemoryBus() {
+  const ee = new EventEmitter();
+  ee.setMaxListeners(0);
+  return {
+    kind: "memory",
+    publish(channel, msg) {
+      let copy = msg;
+      try { copy = structuredClone(msg); } catch {}
+      setImmediate(() => ee.emit(channel, copy));
+    },
+    subscribe(channel, handler) {
+      ee.on(channel, handler);
+      return () => ee.off(channel, handler);
+    },
+  };
+}
+
+// Realtime broadcast는 JSON만 실어 나르므로 바이너리(socket.io 패킷의 Buffer 등)는 base64로 감쌈
+export function encodeBusMessage(v) {
+  if (v instanceof Uint8Array) return { __bin: Buffer.from(v.buffer, v.byteOffset, v.byteLength).toString("base64") };
+  if (v instanceof ArrayBuffer) return { __bin: Buffer.from(v).toString("base64") };
+  if (Array.isArray(v)) return v.map(encodeBusMessage);
+  if (v && typeof v === "object") {
+    const out = {};
+    for (const [k, x] of Object.entries(v)) out[k] = encodeBusMessage(x);
+    return out;
+  }
+  return v;
+}
+export function decodeBusMessage(v) {
+  if (Array.isArray(v)) return v.map(decodeBusMessage);
+  if (v && typeof v === "object") {
+    if (typeof v.__bin === "string" && Object.keys(v).length === 1) return Buffer.from(v.__bin, "base64");
+    const out = {};
+    for (const [k, x] of Object.entries(v)) out[k] = decodeBusMessage(x);
+    return out;
+  }
+  return v;
+}
+
+// Supabase Realtime 버스: 노드 전체가 topic 채널 하나를 구독, bus channel은 payload.c로 구분
+// 구독 완료 전 publish는 supabase-js가 REST broadcast로 보냄 — 유실돼도 디렉터리는 하트비트 때 재공지
+export function createSupabaseBus(supabase, topic = DEFAULT_CLUSTER_TOPIC) {
+  const handlers = new Map();   // bus channel → Set<handler>
+  const channel = supabase.channel(topic, { config: { broadcast: { self: false } } });
+  channel.on("broadcast", { event: "bus" }, ({ payload }) => {
+    const set = handlers.get(payload?.c);
+    if (!set) return;
+    const msg = decodeBusMessage(payload.m);
+    for (const h of set) h(msg);
+  });
+  channel.subscribe((status, err) => {
+    if (status === "SUBSCRIBED") console.log(`[cluster] realtime bus subscribed (${topic})`);
+    else if (status === "CHANNEL_ERROR" || status === "TIMED_OUT") console.warn(`[cluster] realtime bus ${status}:`, err?.message || "");
+  });
+  return {
+    kind: "supabase",
+    publish(channelName, msg) {
+      channel.send({ type: "broadcast", event: "bus", payload: { c: channelName, m: encodeBusMessage(msg) } })
+        .catch((e) => console.warn("[cluster] realtime publish error:", e?.message || e));
+    },
+    subscribe(channelName, handler) {
+      if (!handlers.has(channelName)) handlers.set(channelName, new Set());
+      handlers.get(channelName).add(handler);
+      return () => handlers.get(channelName)?.delete(handler);
+    },
+  };
+}
+
+/**
+ * CLUSTER_BUS 환경변수로 bus 선택 — none/미설정이면 null (단일 노드)
+ * @param {object} deps  { supabase } — supabase 버스용 클라이언트 (service role)
+ */
+export function createBusFromEnv({ supabase } = {}, env = process.env) {
+  const kind = String(env.CLUSTER_BUS || "none").toLowerCase();
+  if (kind === "none") return null;
+  if (kind === "supabase") {
+    if (!supabase) throw new Error("CLUSTER_BUS=supabase requires a supabase client");
+    return createSupabaseBus(supabase, env.CLUSTER_TOPIC || DEFAULT_CLUSTER_TOPIC);
+  }
+  throw new Error(`Unknown CLUSTER_BUS: ${kind}`);
+}
+
+// ===== Socket.IO 어댑터 =====
+class BusAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, bus, opts) {
+    super(nsp, opts);
+    this.bus = bus;
+    this.channel = `sio#${nsp.name}`;
+    this.unsubscribers = [
+      bus.subscribe(this.channel, (msg) => this.onMessage(msg)),
+      bus.subscribe(`${this.channel}#${this.uid}`, (res) => this.onResponse(res)),
+    ];
+  }
+  async doPublish(message) {
+    this.bus.publish(this.channel, message);
+    return "";
+  }
+  async doPublishResponse(requesterUid, response) {
+    this.bus.publish(`${this.channel}#${requesterUid}`, response);
+  }
+  close() {
+    super.close();
+    for (const unsub of this.unsubscribers) unsub();
+  }
+}
+
+/** io.adapter()에 넘길 어댑터 클래스 — 같은 bus를 쓰는 노드끼리 브로드캐스트 공유 */
+export function createBusAdapter(bus, opts = {}) {
+  return class extends BusAdapter {
+    constructor(nsp) { super(nsp, bus, opts); }
+  };
+}
+
+// ===== 방 소유권 디렉터리 =====
+// 각 노드는 디렉터리 전체 복제본을 들고 있고, 변경은 bus로 전파.
+// key: `${kind}:${roomId}` / `${kind}#${inviteCode}` → { nodeId, kind, roomId, inviteCode }
+export function createRoomDirectory(bus, nodeId = NODE_ID, { nodeUrl = NODE_PUBLIC_URL } = {}) {
+  const entries = new Map();
+  const own = new Map();        // 이 노드가 소유한 방 (재공지용)
+  const nodes = new Map();      // nodeId → { url, lastSeen }
+  let unsubscribe = null;
+  let heartbeatTimer = null;
+
+  const idKey = (kind, roomId) => `${kind}:${roomId}`;
+  const codeKey = (kind, code) => `${kind}#${code}`;
+
+  function put(e) {
+    entries.set(idKey(e.kind, e.roomId), e);
+    if (e.inviteCode) entries.set(codeKey(e.kind, e.inviteCode), e);
+  }
+  function drop(kind, roomId) {
+    const e = entries.get(idKey(kind, roomId));
+    if (!e) return;
+    entries.delete(idKey(kind, roomId));
+    if (e.inviteCode && entries.get(codeKey(kind, e.inviteCode)) === e) entries.delete(codeKey(kind, e.inviteCode));
+  }
+  function dropNode(deadNodeId) {
+    nodes.delete(deadNodeId);
+    for (const [k, e] of entries) if (e.nodeId === deadNodeId) entries.delete(k);
+  }
+
+  function announce() {
+    bus.publish(DIRECTORY_CHANNEL, { type: "heartbeat", nodeId, url: nodeUrl, rooms: own.size });
+  }
+
+  function onMessage(msg) {
+    if (!msg || msg.nodeId === nodeId) return;
+    const node = nodes.get(msg.nodeId);
+    if (!node) {
+      // 처음 보는 노드 → 내 정보/소유 방을 다시 알려줌 (늦게 뜬 노드의 복제본 채우기)
+      announce();
+      for (const e of own.values()) bus.publish(DIRECTORY_CHANNEL, { type: "claim", ...e });
+    }
+    nodes.set(msg.nodeId, { url: msg.url ?? node?.url ?? null, rooms: msg.rooms ?? node?.rooms ?? 0, lastSeen: Date.now() });
+    if (msg.type === "claim") put({ nodeId: msg.nodeId, kind: msg.kind, roomId: msg.roomId, inviteCode: msg.inviteCode || null });
+    else if (msg.type === "release") drop(msg.kind, msg.roomId);
+    else if (msg.type === "leave") dropNode(msg.nodeId);
+  }
+
+  function connect(nextBus) {
+    if (unsubscribe) unsubscribe();
+    if (heartbeatTimer) clearInterval(heartbeatTimer);
+    bus = nextBus;
+    unsubscribe = bus.subscribe(DIRECTORY_CHANNEL, onMessage);
+    heartbeatTimer = setInterval(() => {
+      announce();
+      const now = Date.now();
+      for (const [id, n] of nodes) if (now - n.lastSeen > NODE_TIMEOUT_MS) dropNode(id);
+    }, HEARTBEAT_MS);
+    heartbeatTimer.unref?.();
+    announce();
+    for (const e of own.values()) bus.publish(DIRECTORY_CHANNEL, { type: "claim", ...e });
+  }
+
+  connect(bus);
+
+  return {
+    nodeId,
+    connect,
+
+    /** 이 노드가 방 소유를 선언 (방 생성/복원 시) */
+    claim(kind, roomId, inviteCode = null) {
+      const e = { nodeId, kind, roomId, inviteCode: inviteCode || null };
+      own.set(idKey(kind, roomId), e);
+      put(e);
+      bus.publish(DIRECTORY_CHANNEL, { type: "claim", ...e });
+    },
+
+    /** 방 삭제 시 소유 해제 */
+    release(kind, roomId) {
+      if (!own.delete(idKey(kind, roomId))) return;
+      drop(kind, roomId);
+      bus.publish(DIRECTORY_CHANNEL, { type: "release", nodeId, kind, roomId });
+    },
+
+    /** roomId 또는 초대코드로 주인 노드 조회 → { nodeId, url, local, roomId } | null */
+    lookup(kind, idOrCode) {
+      const key = String(idOrCode || "").trim();
+      if (!key) return null;
+      const e = entries.get(idKey(kind, key)) || entries.get(codeKey(kind, key));
+      if (!e) return null;
+      const local = e.nodeId === nodeId;
+      return { nodeId: e.nodeId, url: local ? nodeUrl : nodes.get(e.nodeId)?.url || null, local, roomId: e.roomId };
+    },
+
+    /** 살아있는 노드 목록 (자기 자신 포함) */
+    liveNodes() {
+      return [
+        { nodeId, url: nodeUrl, rooms: own.size, self: true },
+        ...[...nodes.entries()].map(([id, n]) => ({ nodeId: id, url: n.url, rooms: n.rooms, self: false })),
+      ];
+    },
+
+    /** 새 방을 만들 노드 — 소유 방이 가장 적은 노드 (동률이면 nodeId 순) */
+    pickNodeForNewRoom() {
+      return this.liveNodes().sort((a, b) => a.rooms - b.rooms || a.nodeId.localeCompare(b.nodeId))[0];
+    },
+
+    close() {
+      bus.publish(DIRECTORY_CHANNEL, { type: "leave", nodeId });
+      if (unsubscribe) unsubscribe();
+      if (heartbeatTimer) clearInterval(heartbeatTimer);
+      unsubscribe = null;
+      heartbeatTimer = null;
+    },
+  };
+}
+
+// 프로세스 공용 디렉터리 — 기본은 로컬 메모리 버스 (단일 노드와 동일하게 동작)
+export const roomDirectory = createRoomDirectory(createMemoryBus());
+
+/**
+ * 이 노드에 없는 방의 입장/관전 응답 — 다른 노드가 가진 방이면 그 노드로 다시 붙도록 안내
+ * @param {string} kind  "room" 또는 DUO 게임 prefix
+ * @returns {{ok: false, error: "ROOM_ON_OTHER_NODE", nodeId, url} | {ok: false, error: "ROOM_NOT_FOUND"}}
+ */
+export function roomNotFoundReply(kind, idOrCode) {
+  const owner = roomDirectory.lookup(kind, idOrCode);
+  if (owner && !owner.local) return { ok: false, error: "ROOM_ON_OTHER_NODE", nodeId: owner.nodeId, url: owner.url };
+  return { ok: false, error: "ROOM_NOT_FOUND" };
+}
+
+/**
+ * 클러스터 연결 — 공유 bus가 주어지면 Socket.IO 어댑터 설치 + 디렉터리를 그 bus로 전환.
+ * bus 없이 호출하면 단일 노드 그대로 (기존 동작).
+ */
+export function attachCluster(io, bus = null) {
+  if (!bus) return roomDirectory;
+  io.adapter(createBusAdapter(bus));
+  roomDirectory.connect(bus);
+  console.log(`[cluster] node ${NODE_ID} joined cluster bus (${bus.kind || "custom"})`);
+  return roomDirectory;
+}
@@ -0,0 +1,281 @@
+// =========================
+// 데일리 챌린지 — 솔로 퍼즐(apple / blockblast / fit / merge) 모두 같은 시드로 하루 1번 랭킹 도전
+// 시드: HMAC(DAILY_CHALLENGE_SECRET, game:날짜:i) 앞 4바이트 — DB 저장 없이 게임/날짜(UTC)마다 결정적
+//       시크릿이 없으면 내일 시드를 미리 계산할 수 있으므로 NODE_ENV=development|test 에서만 고정 기본값,
+//       그 외 환경에서 미설정이면 챌린지 비활성 (DAILY_CHALLENGE_ENABLED=false → 503)
+//       fit 은 멀티와 같이 라운드 5개 시드, 나머지는 1개
+// 시작: POST start 가 도전 1회를 소비하고 시드 발급 (daily_challenge_starts PK, 두 번째 시작은 ALREADY_ATTEMPTED)
+//       시드는 시작한 유저에게만 내려줌. 제출은 시작 기록 필수 — 서버 시계 경과 ≥ durationSec / 리플레이 길이
+// 도전: 로그인 유저당 게임/날짜마다 1회 (daily_challenge_attempts PK). 중복 제출은 ALREADY_ATTEMPTED
+//       날짜 바뀌기 직전에 시작한 판은 SUBMIT_GRACE_MS 안이면 전날 챌린지로 제출 가능
+//       apple/blockblast 는 리플레이 필수 (score-replay.js 로 그 날 시드 재시뮬레이션), merge/fit 은 sanity 만
+// 랭킹: 그 날 시드 도전만 — score DESC, duration_sec ASC, 먼저 제출 순 (flagged 제외)
+//       fit 의 score = 클리어한 라운드 수 (0~5)
+// 스키마: sql/schema_daily_challenge.sql
+// 사용: GET /daily-challenge/:game, POST /daily-challenge/:game/start, POST /daily-challenge/:game/attempt,
+//       GET /daily-challenge/:game/leaderboard (index.js)
+// =========================
+
+import crypto from "node:crypto";
+import { verifyAppleReplay, verifyBlockBlastReplay } from "./score-replay.js";
+import { fetchTableLeaderboard } from "./leaderboards.js";
+
+const DEV = ["development", "test"].includes(process.env.NODE_ENV);
+const SECRET = process.env.DAILY_CHALLENGE_SECRET || (DEV ? "duo-daily-challenge-dev" : null);
+export const DAILY_CHALLENGE_ENABLED = !!SECRET;
+if (!SECRET) console.warn("[daily-challenge] DAILY_CHALLENGE_SECRET 미설정 — 데일리 챌린지 비활성");
+
+const SUBMIT_GRACE_MS = 15 * 60 * 1000;
+// 서버 시계 경과와 durationSec / 리플레이 길이 비교 허용 오차 (시작 요청 왕복 지연)
+const CLOCK_SLACK_MS = 3000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FIT_ROUNDS = 5;
+
+const ORDER = [{ col: "score", asc: false }, { col: "duration_sec", asc: true }, { col: "created_at", asc: true }];
+
+// check(body, seeds) → { error, reason? } | { score, durationSec, stats, spanMs?, verified, flagged }
+const GAMES = {
+  apple: {
+    seeds: 1,
+    check(body, [seed]) {
+      const score = Number(body.score);
+      const durationSec = Number(body.durationSec);
+      if (body.replay == null) return { error: "REPLAY_REQUIRED" };
+      const r = verifyAppleReplay({ seed, replay: body.replay, score, durationSec });
+      if (!r.ok) return { error: "REPLAY_REJECTED", reason: r.reason };
+      return {
+        score: r.stats.score,
+        durationSec: Math.round(durationSec),
+        stats: { apples_cleared: r.stats.applesCleared, max_combo: r.stats.maxCombo },
+        spanMs: r.stats.spanMs,
+        verified: true,
+        flagged: durationSec > 130,
+      };
+    },
+  },
+  blockblast: {
+    seeds: 1,
+    check(body, [seed]) {
+      const score = Number(body.score);
+      const durationSec = Number(body.durationSec);
+      if (body.replay == null) return { error: "REPLAY_REQUIRED" };
+      const r = verifyBlockBlastReplay({ seed, replay: body.replay, score, durationSec });
+      if (!r.ok) return { error: "REPLAY_REJECTED", reason: r.reason };
+      return {
+        score: r.stats.score,
+        durationSec: Math.round(durationSec),
+        stats: { lines_cleared: r.stats.linesCleared, blocks_placed: r.stats.blocksPlaced, max_combo: r.stats.maxCombo },
+        spanMs: r.stats.spanMs,
+        verified: true,
+        flagged: durationSec < 3 || durationSec > 7200,
+      };
+    },
+  },
+  merge: {
+    seeds: 1,
+    check(body) {
+      const score = Number(body.score);
+      const maxStage = Number(body.maxStage);
+      const durationSec = Number(body.durationSec);
+      const comboMax = Number(body.comboMax ?? 1.0);
+      if (!Number.isFinite(score) || score < 0) return { error: "INVALID_SCORE" };
+      if (!Number.isFinite(maxStage) || maxStage < 1 || maxStage > 11) return { error: "INVALID_STAGE" };
+      // /merge/score 와 같은 sanity
+      const flagged = comboMax > 3.05 || comboMax < 1.0 || score > durationSec * 200 + 5000 || durationSec < 3;
+      return {
+        score: Math.round(score),
+        durationSec: Math.round(durationSec),
+        stats: { max_stage: Math.round(maxStage), combo_max: Math.min(3.0, Math.max(1.0, comboMax || 1.0)) },
+        verified: false,
+        flagged,
+      };
+    },
+  },
+  fit: {
+    seeds: FIT_ROUNDS,
+    check(body) {
+      const clearedRounds = Number(body.clearedRounds);
+      const durationSec = Number(body.durationSec);
+      if (!Number.isInteger(clearedRounds) || clearedRounds < 0 || clearedRounds > FIT_ROUNDS) return { error: "INVALID_ROUNDS" };
+      return {
+        score: clearedRounds,
+        durationSec: Math.round(durationSec),
+        stats: { cleared_rounds: clearedRounds },
+        verified: false,
+        flagged: clearedRounds > 0 && durationSec < clearedRounds * 5,  // 라운드당 5초 미만 = 의심
+      };
+    },
+  },
+};
+
+export const DAILY_GAMES = Object.keys(GAMES);
+
+let db = null;
+
+/** index.js에서 1회 — supabaseAdmin 주입 */
+export function initDailyChallenge(supabaseAdmin) {
+  db = supabaseAdmin;
+}
+
+/** UTC 날짜 "YYYY-MM-DD" */
+export function challengeDate(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/** 게임/날짜의 시드 목록 (fit 5개, 나머지 1개) — 32bit 양수 정수 */
+export function dailySeeds(game, date) {
+  if (!SECRET) throw new Error("DAILY_CHALLENGE_SECRET not set");
+  const seeds = [];
+  for (let i = 0; i < GAMES[game].seeds; i++) {
+    const h = crypto.createHmac("sha256", SECRET).update(`${game}:${date}:${i}`).digest();
+    seeds.push(h.readUInt32BE(0));
+  }
+  return seeds;
+}
+
+/** 제출 가능한 날짜인지 — 오늘, 또는 자정 직후 SUBMIT_GRACE_MS 안의 어제 */
+export function isSubmittableDate(date, now = Date.now()) {
+  if (date === challengeDate(now)) return true;
+  return now % DAY_MS < SUBMIT_GRACE_MS && date === challengeDate(now - DAY_MS);
+}
+
+async function fetchStart(game, date, userId) {
+  const { data, error } = await db.from("daily_challenge_starts")
+    .select("started_at")
+    .eq("game", game)
+    .eq("challenge_date", date)
+    .eq("user_id", userId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * 챌린지 정보 — 마감 시각 + 참가자 수 (+ 내 시작/도전). 시드는 시작한 유저에게만
+ * @returns {Promise<object>}  실패 시 throw
+ */
+export async function fetchChallenge(game, { date, userId = null }) {
+  const { count, error } = await rankedQuery(game, date, "user_id", { count: "exact", head: true });
+  if (error) throw error;
+  let mine = null, start = null;
+  if (userId) {
+    const { data, error: mErr } = await db.from("daily_challenge_attempts")
+      .select("score, duration_sec, stats, verified, flagged, created_at")
+      .eq("game", game)
+      .eq("challenge_date", date)
+      .eq("user_id", userId)
+      .maybeSingle();
+    if (mErr) throw mErr;
+    mine = data;
+    start = await fetchStart(game, date, userId);
+  }
+  const seeds = start ? dailySeeds(game, date) : null;
+  return {
+    game,
+    date,
+    seed: seeds ? seeds[0] : null,
+    seeds,
+    endsAt: new Date(Date.parse(date) + DAY_MS).toISOString(),
+    participants: count ?? 0,
+    started: !!start,
+    startedAt: start?.started_at ?? null,
+    attempted: !!mine,
+    attempt: mine,
+  };
+}
+
+/**
+ * 도전 시작 — 오늘 챌린지 1회 소비 + 시드 발급 (시작 시각은 서버 기록)
+ * @returns {Promise<{error, status} | {date, seed, seeds, startedAt}>}  DB 실패 시 throw
+ */
+export async function startAttempt(game, { userId, now = Date.now() }) {
+  const date = challengeDate(now);
+  const startedAt = new Date(now).toISOString();
+  const { error } = await db.from("daily_challenge_starts")
+    .insert({ game, challenge_date: date, user_id: userId, started_at: startedAt });
+  if (error) {
+    if (String(error.code) === "23505") return { status: 409, error: "ALREADY_ATTEMPTED" };
+    throw error;
+  }
+  const seeds = dailySeeds(game, date);
+  return { date, seed: seeds[0], seeds, startedAt };
+}
+
+function rankedQuery(game, date, columns, opts) {
+  return db.from("daily_challenge_attempts").select(columns, opts)
+    .eq("game", game)
+    .eq("challenge_date", date)
+    .eq("flagged", false);
+}
+
+/**
+ * 도전 제출 — 유저당 게임/날짜마다 1회
+ * @param {string} game
+ * @param {object} body  { date, seed | seeds, durationSec, 게임별 필드 (score/replay, maxStage/comboMax, clearedRounds) }
+ * @param {object} who   { userId, nickname }
+ * @returns {Promise<{error, status, reason?} | {attempt, rank}>}  rank 는 flagged 면 null. DB 실패 시 throw
+ */
+export async function submitAttempt(game, body, { userId, nickname, now = Date.now() }) {
+  const date = String(body.date || challengeDate(now));
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !isSubmittableDate(date, now)) return { status: 400, error: "CHALLENGE_CLOSED" };
+
+  // 클라가 그 날 시드로 플레이했는지 — fit 은 seeds 배열, 나머지는 seed
+  const seeds = dailySeeds(game, date);
+  const sent = GAMES[game].seeds > 1 ? [].concat(body.seeds ?? []).map(Number) : [Number(body.seed)];
+  if (sent.length !== seeds.length || sent.some((s, i) => s !== seeds[i])) return { status: 400, error: "SEED_MISMATCH" };
+
+  const durationSec = Number(body.durationSec);
+  if (!Number.isFinite(durationSec) || durationSec < 0) return { status: 400, error: "INVALID_DURATION" };
+  const checked = GAMES[game].check(body, seeds);
+  if (checked.error) return { status: 400, error: checked.error, reason: checked.reason };
+
+  // 서버가 기록한 시작 시각 기준 — 플레이 시간/리플레이 길이가 실제 경과보다 길 수 없음
+  const start = await fetchStart(game, date, userId);
+  if (!start) return { status: 400, error: "NOT_STARTED" };
+  const elapsedMs = now - Date.parse(start.started_at);
+  if (durationSec * 1000 > elapsedMs + CLOCK_SLACK_MS || (checked.spanMs ?? 0) > elapsedMs + CLOCK_SLACK_MS) {
+    return { status: 400, error: "CLOCK_MISMATCH" };
+  }
+
+  const { data, error } = await db.from("daily_challenge_attempts")
+    .insert({
+      game,
+      challenge_date: date,
+      user_id: userId,
+      nickname,
+      seed: seeds[0],
+      score: checked.score,
+      duration_sec: checked.durationSec,
+      stats: checked.stats,
+      verified: checked.verified,
+      flagged: checked.flagged,
+    })
+    .select("score, duration_sec, stats, verified, flagged, created_at")
+    .single();
+  if (error) {
+    if (String(error.code) === "23505") return { status: 409, error: "ALREADY_ATTEMPTED" };
+    throw error;
+  }
+
+  let rank = null;
+  if (!data.flagged) {
+    const { me } = await fetchDailyLeaderboard(game, { date, viewerId: userId, limit: 1 });
+    rank = me?.rank ?? null;
+  }
+  return { attempt: data, rank };
+}
+
+/**
+ * 날짜별 리더보드 — 그 날 시드 도전만
+ * @param {object} o  date + leaderboards.js fetchTableLeaderboard 옵션 (scope / viewerId / offset / limit / around)
+ * @returns {Promise<{rows, offset, me}>}  실패 시 throw
+ */
+export async function fetchDailyLeaderboard(game, { date, ...opts }) {
+  return fetchTableLeaderboard({
+    table: "daily_challenge_attempts",
+    columns: "user_id, nickname, score, duration_sec, stats, verified, created_at",
+    order: ORDER,
+    flatten: true,
+    scope: (q) => q.eq("game", game).eq("challenge_date", date).eq("flagged", false),
+  }, opts);
+}
@@ -5,29 +5,30 @@
 // 이벤트 prefix: 'dodge:*', socket room name: `dodge:${roomId}`
 // =========================
 
-const dgRooms = new Map();
-const dgInvites = new Map();
-const dgUserRoom = new Map();
+import { createRoomManager } from "./room-manager.js";
+import { roomNotFoundReply } from "./cluster.js";
+
+// 방 수명주기 (초대코드/빈 방 TTL/퇴장/강퇴/재요청) — 공용 매니저
+const rm = createRoomManager({
+  prefix: "dodge",
+  publicRoom,
+  clearTimers: clearGameTimer,
+  afterLeave: (io, room) => {
+    if (room.status === "playing") {
+      const anyAlive = [...room.players.values()].some(p => p.alive);
+      if (!anyAlive) finishGame(io, room, "ALL_DEAD");
+    }
+  },
+});
+const { socketRoomName, broadcastRoomState } = rm;
 
 const ALLOWED_MAX_PLAYERS = [2, 4, 6, 8];
 const ALLOWED_TIME_LIMIT_SEC = [0, 180, 300, 600]; // 0 = 무제한, 3/5/10분
-const EMPTY_ROOM_TTL_MS = 30_000;
 const PEER_UPDATE_THROTTLE_MS = 700;
 const SNAPSHOT_THROTTLE_MS = 1000;
 const MAX_NICK_LEN = 14;
 
 // ===== util =====
-function genInviteCode() {
-  for (let i = 0; i < 50; i++) {
-    const c = String(Math.floor(Math.random() * 1_000_000)).padStart(6, "0");
-    if (!dgInvites.has(c)) return c;
-  }
-  return String(Math.floor(Math.random() * 10_000_000)).padStart(7, "0");
-}
-function socketRoomName(roomId) { return `dodge:${roomId}`; }
-function clearEmptyRoomTimer(room) {
-  if (room?.emptyRoomTimer) { clearTimeout(room.emptyRoomTimer); room.emptyRoomTimer = null; }
-}
 function clearGameTimer(room) {
   if (room?.gameTimer) { clearTimeout(room.gameTimer); room.gameTimer = null; }
 }
@@ -92,55 +93,6 @@ function publicRoom(room) {
   };
 }
 
-function broadcastRoomState(io, room) {
-  io.to(socketRoomName(room.id)).emit("dodge:roomState", publicRoom(room));
-}
-
-function deleteRoom(io, room, reason) {
-  clearEmptyRoomTimer(room);
-  clearGameTimer(room);
-  dgRooms.delete(room.id);
-  dgInvites.delete(room.inviteCode);
-  for (const uid of room.playerOrder) {
-    if (dgUserRoom.get(uid) === room.id) dgUserRoom.delete(uid);
-  }
-  io.to(socketRoomName(room.id)).emit("dodge:roomClosed", { reason });
-  io.in(socketRoomName(room.id)).socketsLeave(socketRoomName(room.id));
-  console.log(`[dodge] room ${room.id} deleted: ${reason}`);
-}
-
-function maybeScheduleEmptyRoomDelete(io, room) {
-  const connected = [...room.players.values()].filter(p => p.connected).length;
-  if (connected === 0 && !room.emptyRoomTimer) {
-    room.emptyRoomTimer = setTimeout(() => {
-      const r = dgRooms.get(room.id);
-      if (!r) return;
-      const stillEmpty = [...r.players.values()].every(p => !p.connected);
-      if (stillEmpty) deleteRoom(io, r, "EMPTY");
-    }, EMPTY_ROOM_TTL_MS);
-  }
-}
-
-function leavePlayer(io, room, userId) {
-  if (!room.players.has(userId)) return;
-  const wasHost = room.hostUserId === userId;
-  room.players.delete(userId);
-  const idx = room.playerOrder.indexOf(userId);
-  if (idx >= 0) room.playerOrder.splice(idx, 1);
-  if (dgUserRoom.get(userId) === room.id) dgUserRoom.delete(userId);
-  if (wasHost && room.playerOrder.length > 0) room.hostUserId = room.playerOrder[0];
-  io.to(socketRoomName(room.id)).emit("dodge:peerLeave", { playerId: userId });
-  if (room.playerOrder.length === 0) {
-    deleteRoom(io, room, "ALL_LEFT");
-    return;
-  }
-  if (room.status === "playing") {
-    const anyAlive = [...room.players.values()].some(p => p.alive);
-    if (!anyAlive) finishGame(io, room, "ALL_DEAD");
-  }
-  broadcastRoomState(io, room);
-}
-
 function finishGame(io, room, reason) {
   if (room.status === "ended") return;
   room.status = "ended";
@@ -177,18 +129,15 @@ export function registerDodge(io, supabaseAdmin) {
     socket.on("dodge:createRoom", async (payload, cb) => {
       try {
         if (me.isGuest) return cb?.({ ok: false, error: "GUEST_CANNOT_CREATE" });
-        if (dgUserRoom.has(me.id)) {
-          const old = dgRooms.get(dgUserRoom.get(me.id));
-          if (old) leavePlayer(io, old, me.id);
-        }
+        rm.leaveCurrentRoom(io, me.id);
         const maxPlayers = ALLOWED_MAX_PLAYERS.includes(Number(payload?.maxPlayers))
           ? Number(payload.maxPlayers) : 8;
         const requestedTL = Number(payload?.timeLimitSec);
         const timeLimitSec = ALLOWED_TIME_LIMIT_SEC.includes(requestedTL)
           ? requestedTL : 300; // 기본 5분
 
-        const roomId = `dg_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
-        const inviteCode = genInviteCode();
+        const roomId = rm.newRoomId("dg");
+        const inviteCode = rm.genInviteCode();
         const room = {
           id: roomId, inviteCode, hostUserId: me.id,
           status: "lobby", maxPlayers, timeLimitSec,
@@ -197,8 +146,7 @@ export function registerDodge(io, supabaseAdmin) {
           players: new Map(), playerOrder: [],
           emptyRoomTimer: null, gameTimer: null,
         };
-        dgRooms.set(roomId, room);
-        dgInvites.set(inviteCode, roomId);
+        rm.addRoom(room);
 
         let avatar = null, nick = payload?.nickname;
         try {
@@ -208,8 +156,7 @@ export function registerDodge(io, supabaseAdmin) {
         } catch {}
         room.players.set(me.id, newPlayerState(nick || "방장", false, avatar, socket.id));
         room.playerOrder.push(me.id);
-        dgUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode, playerId: me.id, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -223,18 +170,13 @@ export function registerDodge(io, supabaseAdmin) {
     // ----- 입장 -----
     socket.on("dodge:joinRoom", async (payload, cb) => {
       try {
-        const code = String(payload?.inviteCode || "").trim();
-        const roomId = dgInvites.get(code);
-        const room = roomId ? dgRooms.get(roomId) : null;
-        if (!room) return cb?.({ ok: false, error: "ROOM_NOT_FOUND" });
+        const room = rm.findByInvite(payload?.inviteCode);
+        if (!room) return cb?.(roomNotFoundReply(rm.prefix, payload?.inviteCode));
+        const roomId = room.id;
         if (room.status === "ended") return cb?.({ ok: false, error: "GAME_ENDED" });
 
         if (room.players.has(me.id)) {
-          const p = room.players.get(me.id);
-          p.connected = true; p.socketId = socket.id;
-          socket.join(socketRoomName(roomId));
-          dgUserRoom.set(me.id, roomId);
-          clearEmptyRoomTimer(room);
+          rm.reconnect(socket, room, me.id);
           cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room), rejoined: true });
           broadcastRoomState(io, room);
           return;
@@ -253,9 +195,7 @@ export function registerDodge(io, supabaseAdmin) {
         const playerName = nick || (me.isGuest ? "게스트" : "유저");
         room.players.set(me.id, newPlayerState(playerName, !!me.isGuest, avatar, socket.id));
         room.playerOrder.push(me.id);
-        dgUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
-        clearEmptyRoomTimer(room);
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -267,8 +207,7 @@ export function registerDodge(io, supabaseAdmin) {
 
     // ----- 호스트 옵션 -----
     socket.on("dodge:setMaxPlayers", (payload, cb) => {
-      const roomId = dgUserRoom.get(me.id);
-      const room = roomId ? dgRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
@@ -281,8 +220,7 @@ export function registerDodge(io, supabaseAdmin) {
     });
 
     socket.on("dodge:setRoomOptions", (payload, cb) => {
-      const roomId = dgUserRoom.get(me.id);
-      const room = roomId ? dgRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
@@ -299,8 +237,7 @@ export function registerDodge(io, supabaseAdmin) {
 
     // ----- 방해 이벤트 발동 (게이지 가득 찼을 때 클라가 호출) -----
     socket.on("dodge:interfere", (payload, cb) => {
-      const roomId = dgUserRoom.get(me.id);
-      const room = roomId ? dgRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
       if (!room.interfereEnabled) return cb?.({ ok: false, error: "INTERFERE_OFF" });
@@ -328,8 +265,7 @@ export function registerDodge(io, supabaseAdmin) {
 
     // ----- 게임 시작 -----
     socket.on("dodge:startGame", (_payload, cb) => {
-      const roomId = dgUserRoom.get(me.id);
-      const room = roomId ? dgRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status === "playing") return cb?.({ ok: false, error: "ALREADY_PLAYING" });
@@ -355,7 +291,7 @@ export function registerDodge(io, supabaseAdmin) {
       clearGameTimer(room);
       if (room.timeLimitSec > 0) {
         room.gameTimer = setTimeout(() => {
-          const r = dgRooms.get(room.id);
+          const r = rm.rooms.get(room.id);
           if (r && r.status === "playing") finishGame(io, r, "TIME_UP");
         }, room.timeLimitSec * 1000);
       }
@@ -364,8 +300,7 @@ export function registerDodge(io, supabaseAdmin) {
 
     // ----- 점수/HP 업데이트 (throttle) -----
     socket.on("dodge:scoreUpdate", (payload) => {
-      const roomId = dgUserRoom.get(me.id);
-      const room = roomId ? dgRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return;
       const p = room.players.get(me.id);
       if (!p || !p.alive) return;
@@ -387,8 +322,7 @@ export function registerDodge(io, supabaseAdmin) {
 
     // ----- 스냅샷 (자기 화면 미니 — 1초 throttle) -----
     socket.on("dodge:snapshot", (payload) => {
-      const roomId = dgUserRoom.get(me.id);
-      const room = roomId ? dgRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return;
       const p = room.players.get(me.id);
       if (!p || !p.alive) return;
@@ -410,8 +344,7 @@ export function registerDodge(io, supabaseAdmin) {
 
     // ----- 사망 -----
     socket.on("dodge:dead", (payload, cb) => {
-      const roomId = dgUserRoom.get(me.id);
-      const room = roomId ? dgRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
       const p = room.players.get(me.id);
       if (!p) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
@@ -433,55 +366,7 @@ export function registerDodge(io, supabaseAdmin) {
       cb?.({ ok: true });
     });
 
-    // ----- 자발 퇴장 -----
-    socket.on("dodge:leaveRoom", (_payload, cb) => {
-      const roomId = dgUserRoom.get(me.id);
-      const room = roomId ? dgRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: true });
-      leavePlayer(io, room, me.id);
-      socket.leave(socketRoomName(room.id));
-      cb?.({ ok: true });
-    });
-
-    // ----- 호스트 강퇴 (로비 한정) -----
-    socket.on("dodge:kickPlayer", (payload, cb) => {
-      const roomId = dgUserRoom.get(me.id);
-      const room = roomId ? dgRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
-      if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
-      const targetId = String(payload?.targetUserId || "");
-      if (!targetId || targetId === me.id) return cb?.({ ok: false, error: "INVALID_TARGET" });
-      if (!room.players.has(targetId)) return cb?.({ ok: false, error: "TARGET_NOT_IN_ROOM" });
-      const target = room.players.get(targetId);
-      if (target?.socketId) io.to(target.socketId).emit("dodge:kicked", { reason: "KICKED_BY_HOST" });
-      leavePlayer(io, room, targetId);
-      cb?.({ ok: true });
-    });
-
-    // ----- 상태 재요청 -----
-    socket.on("dodge:requestState", (_payload, cb) => {
-      const roomId = dgUserRoom.get(me.id);
-      const room = roomId ? dgRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      cb?.({ ok: true, room: publicRoom(room) });
-    });
-
-    // ----- 연결 해제 -----
-    socket.on("disconnect", () => {
-      const roomId = dgUserRoom.get(me.id);
-      const room = roomId ? dgRooms.get(roomId) : null;
-      if (!room) return;
-      const p = room.players.get(me.id);
-      if (!p) return;
-      if (p.socketId !== socket.id) return;
-      p.connected = false;
-      if (room.status === "lobby") {
-        leavePlayer(io, room, me.id);
-      } else {
-        io.to(socketRoomName(room.id)).emit("dodge:peerUpdate", { playerId: me.id, connected: false });
-        maybeScheduleEmptyRoomDelete(io, room);
-      }
-    });
+    // ----- 퇴장/강퇴/상태 재요청/연결 해제 — 공용 매니저 -----
+    rm.attach(io, socket);
   });
 }
@@ -8,14 +8,13 @@
 //   - 유령 AI = 서버 5Hz tick + 위치 broadcast
 //   - 충돌(유령↔플레이어) = 서버 매 tick 검사
 // 이벤트 prefix: 'dodogo:*', socket room: `dodogo:${roomId}`
+// 방 수명주기(초대코드/퇴장/강퇴/재접속/빈 방 삭제)는 room-manager.js
 // =========================
 
-const dodogoRooms = new Map();
-const dodogoInvites = new Map();
-const dodogoUserRoom = new Map();
+import { createRoomManager } from "./room-manager.js";
+import { roomNotFoundReply } from "./cluster.js";
 
 const ALLOWED_MAX_PLAYERS = [2, 3, 4, 5, 6, 7, 8];
-const EMPTY_ROOM_TTL_MS = 30_000;
 const MAX_NICK_LEN = 14;
 
 const GHOST_TICK_MS = 200;        // 유령 AI tick (5Hz)
@@ -162,17 +161,6 @@ const MAZES = [
 ];
 
 // ── util ────────────────────────────────────────
-function genInviteCode() {
-  for (let i = 0; i < 50; i++) {
-    const c = String(Math.floor(Math.random() * 1_000_000)).padStart(6, "0");
-    if (!dodogoInvites.has(c)) return c;
-  }
-  return String(Math.floor(Math.random() * 10_000_000)).padStart(7, "0");
-}
-function socketRoomName(roomId) { return `dodogo:${roomId}`; }
-function clearEmptyRoomTimer(room) {
-  if (room?.emptyRoomTimer) { clearTimeout(room.emptyRoomTimer); room.emptyRoomTimer = null; }
-}
 function clearGhostTick(room) {
   if (room?.ghostTimer) { clearInterval(room.ghostTimer); room.ghostTimer = null; }
 }
@@ -411,9 +399,17 @@ function publicRoom(room) {
   };
 }
 
-function broadcastRoomState(io, room) {
-  io.to(socketRoomName(room.id)).emit("dodogo:state", publicRoom(room));
-}
+const rm = createRoomManager({
+  prefix: "dodogo",
+  stateEvent: "state",
+  leaveEvent: "leave",
+  publicRoom,
+  clearTimers: clearGhostTick,
+  // 끊겨도 30초는 자리 유지 (재접속 grace)
+  disconnectGraceMs: 30_000,
+  onDisconnect: (io, room) => broadcastRoomState(io, room),
+});
+const { socketRoomName, broadcastRoomState } = rm;
 
 // ── 게임 시작 ──────────────────────────────────
 function startRound(io, room) {
@@ -587,33 +583,6 @@ function tryMovePlayer(room, userId, col, row, facing) {
   return true;
 }
 
-// ── 플레이어 떠나기 ────────────────────────────
-function leavePlayer(io, room, userId) {
-  if (!room) return;
-  if (room.players.has(userId)) {
-    const p = room.players.get(userId);
-    p.connected = false;
-    room.players.delete(userId);
-  }
-  dodogoUserRoom.delete(userId);
-  if (room.players.size === 0) {
-    clearEmptyRoomTimer(room);
-    room.emptyRoomTimer = setTimeout(() => {
-      clearGhostTick(room);
-      dodogoRooms.delete(room.id);
-      if (room.inviteCode) dodogoInvites.delete(room.inviteCode);
-      console.log(`[dodogo] room ${room.id} cleaned (empty)`);
-    }, EMPTY_ROOM_TTL_MS);
-  } else {
-    // 호스트 자동 이양
-    if (room.hostUserId === userId) {
-      const firstUid = room.players.keys().next().value;
-      if (firstUid) room.hostUserId = firstUid;
-    }
-  }
-  broadcastRoomState(io, room);
-}
-
 // =========================
 // 등록
 // =========================
@@ -626,26 +595,22 @@ export function registerDodogo(io, supabaseAdmin) {
     socket.on("dodogo:createRoom", async (payload, cb) => {
       try {
         if (me.isGuest) return cb?.({ ok: false, error: "GUEST_CANNOT_CREATE" });
-        if (dodogoUserRoom.has(me.id)) {
-          const old = dodogoRooms.get(dodogoUserRoom.get(me.id));
-          if (old) leavePlayer(io, old, me.id);
-        }
+        rm.leaveCurrentRoom(io, me.id);
         const maxPlayers = ALLOWED_MAX_PLAYERS.includes(Number(payload?.maxPlayers))
           ? Number(payload.maxPlayers) : 4;
         const mazeIdx = Number.isFinite(payload?.mazeIdx) ? Math.max(0, Math.min(MAZES.length - 1, Number(payload.mazeIdx))) : 0;
 
-        const roomId = `dd_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
-        const inviteCode = genInviteCode();
+        const roomId = rm.newRoomId("dd");
+        const inviteCode = rm.genInviteCode();
         const room = {
           id: roomId, inviteCode, hostUserId: me.id,
           status: "lobby", maxPlayers,
           mazeIdx,
           createdAt: Date.now(), startedAt: null, endedAt: null,
-          players: new Map(),
+          players: new Map(), playerOrder: [],
           emptyRoomTimer: null, ghostTimer: null,
         };
-        dodogoRooms.set(roomId, room);
-        dodogoInvites.set(inviteCode, roomId);
+        rm.addRoom(room);
 
         let avatar = null, nick = payload?.nickname;
         try {
@@ -654,8 +619,8 @@ export function registerDodogo(io, supabaseAdmin) {
           if (!nick && data?.nickname) nick = data.nickname;
         } catch {}
         room.players.set(me.id, newPlayerState(nick || "방장", false, avatar, socket.id));
-        dodogoUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
+        room.playerOrder.push(me.id);
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode, playerId: me.id, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -669,18 +634,13 @@ export function registerDodogo(io, supabaseAdmin) {
     // ── 입장 ──
     socket.on("dodogo:joinRoom", async (payload, cb) => {
       try {
-        const code = String(payload?.inviteCode || "").trim();
-        const roomId = dodogoInvites.get(code);
-        const room = roomId ? dodogoRooms.get(roomId) : null;
-        if (!room) return cb?.({ ok: false, error: "ROOM_NOT_FOUND" });
+        const room = rm.findByInvite(payload?.inviteCode);
+        if (!room) return cb?.(roomNotFoundReply(rm.prefix, payload?.inviteCode));
+        const roomId = room.id;
         // ended 상태는 허용 (rematch 대기 중) — playing만 차단
 
         if (room.players.has(me.id)) {
-          const p = room.players.get(me.id);
-          p.connected = true; p.socketId = socket.id;
-          socket.join(socketRoomName(roomId));
-          dodogoUserRoom.set(me.id, roomId);
-          clearEmptyRoomTimer(room);
+          rm.reconnect(socket, room, me.id);
           cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room), rejoined: true });
           broadcastRoomState(io, room);
           return;
@@ -695,9 +655,8 @@ export function registerDodogo(io, supabaseAdmin) {
           if (!nick && data?.nickname) nick = data.nickname;
         } catch {}
         room.players.set(me.id, newPlayerState(nick || "도전자", me.isGuest, avatar, socket.id));
-        dodogoUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
-        clearEmptyRoomTimer(room);
+        room.playerOrder.push(me.id);
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -709,8 +668,7 @@ export function registerDodogo(io, supabaseAdmin) {
 
     // ── 호스트 시작 ── (rematch: ended 상태도 허용)
     socket.on("dodogo:startGame", (payload, cb) => {
-      const roomId = dodogoUserRoom.get(me.id);
-      const room = roomId ? dodogoRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status === "playing") return cb?.({ ok: false, error: "ALREADY_STARTED" });
@@ -722,8 +680,7 @@ export function registerDodogo(io, supabaseAdmin) {
 
     // ── 호스트 미로 선택 ── (rematch: ended 상태도 허용)
     socket.on("dodogo:setMaze", (payload, cb) => {
-      const roomId = dodogoUserRoom.get(me.id);
-      const room = roomId ? dodogoRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status === "playing") return cb?.({ ok: false, error: "ALREADY_STARTED" });
@@ -735,8 +692,7 @@ export function registerDodogo(io, supabaseAdmin) {
 
     // ── 플레이어 이동 (클라 → 서버) ──
     socket.on("dodogo:move", (payload, cb) => {
-      const roomId = dodogoUserRoom.get(me.id);
-      const room = roomId ? dodogoRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return cb?.({ ok: false });
       const col = Number(payload?.col);
       const row = Number(payload?.row);
@@ -766,30 +722,7 @@ export function registerDodogo(io, supabaseAdmin) {
       cb?.({ ok: true, score: p.score, goldCount: p.goldCount });
     });
 
-    // ── 떠나기 ──
-    socket.on("dodogo:leave", (_, cb) => {
-      const roomId = dodogoUserRoom.get(me.id);
-      const room = roomId ? dodogoRooms.get(roomId) : null;
-      if (room) leavePlayer(io, room, me.id);
-      cb?.({ ok: true });
-    });
-
-    socket.on("disconnect", () => {
-      const roomId = dodogoUserRoom.get(me.id);
-      const room = roomId ? dodogoRooms.get(roomId) : null;
-      if (room) {
-        const p = room.players.get(me.id);
-        if (p) p.connected = false;
-        broadcastRoomState(io, room);
-        // 30초 후 정리 (재접속 grace)
-        setTimeout(() => {
-          const r = dodogoRooms.get(roomId);
-          if (!r) return;
-          const pp = r.players.get(me.id);
-          if (pp && !pp.connected) leavePlayer(io, r, me.id);
-        }, 30000);
-      }
-    });
+    rm.attach(io, socket);
   });
 
   console.log("[dodogo] socket handlers registered");
@@ -5,9 +5,35 @@
 // 이벤트 prefix: 'draw:', socket room name: `draw:${roomId}`
 // =========================
 
-const drawRooms = new Map();       // roomId → room
-const drawInvites = new Map();     // inviteCode → roomId
-const drawUserRoom = new Map();    // userId → roomId
+import { createRoomManager } from "./room-manager.js";
+import { roomNotFoundReply } from "./cluster.js";
+
+// 방 수명주기 (초대코드/빈 방 TTL/퇴장/강퇴/재요청) — 공용 매니저
+const rm = createRoomManager({
+  prefix: "draw",
+  publicRoom,
+  clearTimers: clearRoundTimer,
+  beforeLeave: (io, room, userId) => ({ wasDrawer: room.currentDrawerId === userId }),
+  afterLeave: (io, room, userId, ctx) => {
+    // 진행 중에 출제자가 나가면 라운드 강제 종료 → 다음 출제자로
+    if (room.status === "playing" && ctx.wasDrawer) {
+      endRound(io, room, "DRAWER_LEFT");
+    }
+    // 진행 중에 인원이 1명이 되면 게임 종료
+    if (room.status === "playing" && room.players.size < 2) {
+      finishGame(io, room, "NOT_ENOUGH_PLAYERS");
+      return true;
+    }
+  },
+  onDisconnect: (io, room, userId) => {
+    io.to(socketRoomName(room.id)).emit("draw:peerDisconnect", { playerId: userId });
+    // 출제자 disconnect 시 라운드 종료
+    if (room.status === "playing" && room.currentDrawerId === userId) {
+      endRound(io, room, "DRAWER_DISCONNECT");
+    }
+  },
+});
+const { socketRoomName, broadcastRoomState } = rm;
 
 let _supabaseRef = null;           // registerDraw에서 세팅 (공식 단어 fetch용)
 
@@ -17,7 +43,6 @@ const ALLOWED_DRAW_TIME_SEC = [60, 90, 120];
 const ALLOWED_WORD_MODES = new Set(["manual", "official"]);
 const ALLOWED_CATEGORIES = new Set(["food", "animal", "thing", "character", "meme", "any"]);
 const MIN_PLAYERS_TO_START = 2;
-const EMPTY_ROOM_TTL_MS = 30_000;
 const MAX_NICK_LEN = 14;
 const MAX_WORD_LEN = 14;
 const MIN_WORD_LEN = 2;
@@ -25,14 +50,6 @@ const STROKE_THROTTLE_MS = 40;
 const CHOSEONG_HINT_AT_RATIO = 0.5;  // 라운드 50% 경과 시 초성 공개
 
 // ===== util =====
-function genInviteCode() {
-  for (let i = 0; i < 50; i++) {
-    const c = String(Math.floor(Math.random() * 1_000_000)).padStart(6, "0");
-    if (!drawInvites.has(c)) return c;
-  }
-  return String(Math.floor(Math.random() * 10_000_000)).padStart(7, "0");
-}
-function socketRoomName(roomId) { return `draw:${roomId}`; }
 
 // 한글 초성 추출. 영문/숫자/기타는 원형 유지.
 const CHOSEONG = ["ㄱ","ㄲ","ㄴ","ㄷ","ㄸ","ㄹ","ㅁ","ㅂ","ㅃ","ㅅ","ㅆ","ㅇ","ㅈ","ㅉ","ㅊ","ㅋ","ㅌ","ㅍ","ㅎ"];
@@ -46,9 +63,6 @@ function toChoseongHint(word) {
     return ch;
   }).join("");
 }
-function clearEmptyRoomTimer(room) {
-  if (room?.emptyRoomTimer) { clearTimeout(room.emptyRoomTimer); room.emptyRoomTimer = null; }
-}
 function clearRoundTimer(room) {
   if (room?.roundTimer) { clearTimeout(room.roundTimer); room.roundTimer = null; }
   if (room?.hintTimer) { clearTimeout(room.hintTimer); room.hintTimer = null; }
@@ -100,66 +114,6 @@ function publicRoom(room) {
   };
 }
 
-function broadcastRoomState(io, room) {
-  io.to(socketRoomName(room.id)).emit("draw:roomState", publicRoom(room));
-}
-
-function deleteRoom(io, room, reason) {
-  clearEmptyRoomTimer(room);
-  clearRoundTimer(room);
-  drawRooms.delete(room.id);
-  drawInvites.delete(room.inviteCode);
-  for (const uid of room.playerOrder) {
-    if (drawUserRoom.get(uid) === room.id) drawUserRoom.delete(uid);
-  }
-  io.to(socketRoomName(room.id)).emit("draw:roomClosed", { reason });
-  io.in(socketRoomName(room.id)).socketsLeave(socketRoomName(room.id));
-  console.log(`[draw] room ${room.id} deleted: ${reason}`);
-}
-
-function maybeScheduleEmptyRoomDelete(io, room) {
-  const connected = [...room.players.values()].filter(p => p.connected).length;
-  if (connected === 0 && !room.emptyRoomTimer) {
-    room.emptyRoomTimer = setTimeout(() => {
-      const r = drawRooms.get(room.id);
-      if (!r) return;
-      const stillEmpty = [...r.players.values()].every(p => !p.connected);
-      if (stillEmpty) deleteRoom(io, r, "EMPTY");
-    }, EMPTY_ROOM_TTL_MS);
-  }
-}
-
-function leavePlayer(io, room, userId) {
-  if (!room.players.has(userId)) return;
-  const wasHost = room.hostUserId === userId;
-  const wasDrawer = room.currentDrawerId === userId;
-
-  room.players.delete(userId);
-  const idx = room.playerOrder.indexOf(userId);
-  if (idx >= 0) room.playerOrder.splice(idx, 1);
-  if (drawUserRoom.get(userId) === room.id) drawUserRoom.delete(userId);
-
-  if (wasHost && room.playerOrder.length > 0) {
-    room.hostUserId = room.playerOrder[0];
-  }
-  io.to(socketRoomName(room.id)).emit("draw:peerLeave", { playerId: userId });
-
-  if (room.playerOrder.length === 0) {
-    deleteRoom(io, room, "ALL_LEFT");
-    return;
-  }
-  // 진행 중에 출제자가 나가면 라운드 강제 종료 → 다음 출제자로
-  if (room.status === "playing" && wasDrawer) {
-    endRound(io, room, "DRAWER_LEFT");
-  }
-  // 진행 중에 인원이 1명이 되면 게임 종료
-  if (room.status === "playing" && room.players.size < 2) {
-    finishGame(io, room, "NOT_ENOUGH_PLAYERS");
-    return;
-  }
-  broadcastRoomState(io, room);
-}
-
 // DB 비어있을 때 fallback 단어풀 (50개 × 3언어)
 const FALLBACK_WORDS_BY_LANG = {
   ko: [
@@ -270,7 +224,7 @@ async function startRound(io, room, supabase) {
     } else {
       // 약간의 딜레이 (roundIntro 받고 화면 전환 시간) 후 시작
       setTimeout(() => {
-        const r = drawRooms.get(room.id);
+        const r = rm.rooms.get(room.id);
         if (r && r.status === "playing" && r.currentRound === room.currentRound) {
           beginDrawing(io, r, word);
         }
@@ -303,7 +257,7 @@ function beginDrawing(io, room, word) {
   if (room.useChoseongHint) {
     const hintAtMs = Math.floor(room.drawTimeSec * CHOSEONG_HINT_AT_RATIO * 1000);
     room.hintTimer = setTimeout(() => {
-      const r = drawRooms.get(room.id);
+      const r = rm.rooms.get(room.id);
       if (r && r.status === "playing" && r.currentRound === room.currentRound && r.currentWord) {
         io.to(socketRoomName(r.id)).emit("draw:hint", {
           round: r.currentRound,
@@ -315,7 +269,7 @@ function beginDrawing(io, room, word) {
 
   // 라운드 타이머
   room.roundTimer = setTimeout(() => {
-    const r = drawRooms.get(room.id);
+    const r = rm.rooms.get(room.id);
     if (r && r.status === "playing" && r.currentRound === room.currentRound) {
       endRound(io, r, "TIME_UP");
     }
@@ -343,7 +297,7 @@ function endRound(io, room, reason) {
 
   // 3초 후 다음 라운드
   setTimeout(() => {
-    const r = drawRooms.get(room.id);
+    const r = rm.rooms.get(room.id);
     if (!r || r.status !== "playing") return;
     r._roundEnding = false;
     startRound(io, r, _supabaseRef);
@@ -409,10 +363,7 @@ export function registerDraw(io, supabaseAdmin) {
         if (me.isGuest) return cb?.({ ok: false, error: "GUEST_CANNOT_CREATE" });
 
         // 기존 방 정리
-        if (drawUserRoom.has(me.id)) {
-          const old = drawRooms.get(drawUserRoom.get(me.id));
-          if (old) leavePlayer(io, old, me.id);
-        }
+        rm.leaveCurrentRoom(io, me.id);
 
         const maxPlayers = ALLOWED_MAX_PLAYERS.includes(Number(payload?.maxPlayers))
           ? Number(payload.maxPlayers) : 8;
@@ -424,8 +375,8 @@ export function registerDraw(io, supabaseAdmin) {
         const wordCategory = ALLOWED_CATEGORIES.has(payload?.wordCategory) ? payload.wordCategory : "any";
         const lang = ["ko","ja","en"].includes(payload?.lang) ? payload.lang : "ko";
 
-        const roomId = `dr_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
-        const inviteCode = genInviteCode();
+        const roomId = rm.newRoomId("dr");
+        const inviteCode = rm.genInviteCode();
         const room = {
           id: roomId,
           inviteCode,
@@ -450,8 +401,7 @@ export function registerDraw(io, supabaseAdmin) {
           hintTimer: null,
           createdAt: Date.now(),
         };
-        drawRooms.set(roomId, room);
-        drawInvites.set(inviteCode, roomId);
+        rm.addRoom(room);
 
         let avatar = null, nick = payload?.nickname;
         try {
@@ -462,8 +412,7 @@ export function registerDraw(io, supabaseAdmin) {
 
         room.players.set(me.id, newPlayerState(nick || "방장", false, avatar, socket.id));
         room.playerOrder.push(me.id);
-        drawUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode, playerId: me.id, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -477,19 +426,13 @@ export function registerDraw(io, supabaseAdmin) {
     // ----- 입장 -----
     socket.on("draw:joinRoom", async (payload, cb) => {
       try {
-        const code = String(payload?.inviteCode || "").trim();
-        const roomId = drawInvites.get(code);
-        const room = roomId ? drawRooms.get(roomId) : null;
-        if (!room) return cb?.({ ok: false, error: "ROOM_NOT_FOUND" });
+        const room = rm.findByInvite(payload?.inviteCode);
+        if (!room) return cb?.(roomNotFoundReply(rm.prefix, payload?.inviteCode));
+        const roomId = room.id;
         if (room.status === "ended") return cb?.({ ok: false, error: "GAME_ENDED" });
 
         if (room.players.has(me.id)) {
-          const p = room.players.get(me.id);
-          p.connected = true;
-          p.socketId = socket.id;
-          socket.join(socketRoomName(roomId));
-          drawUserRoom.set(me.id, roomId);
-          clearEmptyRoomTimer(room);
+          rm.reconnect(socket, room, me.id);
           cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room), rejoined: true });
           broadcastRoomState(io, room);
           return;
@@ -509,9 +452,7 @@ export function registerDraw(io, supabaseAdmin) {
 
         room.players.set(me.id, newPlayerState(playerName, !!me.isGuest, avatar, socket.id));
         room.playerOrder.push(me.id);
-        drawUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
-        clearEmptyRoomTimer(room);
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -523,8 +464,7 @@ export function registerDraw(io, supabaseAdmin) {
 
     // ----- 호스트 옵션 -----
     socket.on("draw:setOptions", (payload, cb) => {
-      const roomId = drawUserRoom.get(me.id);
-      const room = roomId ? drawRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
@@ -566,8 +506,7 @@ export function registerDraw(io, supabaseAdmin) {
 
     // ----- 게임 시작 -----
     socket.on("draw:startGame", (_payload, cb) => {
-      const roomId = drawUserRoom.get(me.id);
-      const room = roomId ? drawRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status === "playing") return cb?.({ ok: false, error: "ALREADY_PLAYING" });
@@ -592,8 +531,7 @@ export function registerDraw(io, supabaseAdmin) {
 
     // ----- 출제자가 단어 입력 -----
     socket.on("draw:submitWord", (payload, cb) => {
-      const roomId = drawUserRoom.get(me.id);
-      const room = roomId ? drawRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
       if (room.currentDrawerId !== me.id) return cb?.({ ok: false, error: "NOT_DRAWER" });
       if (room.currentWord) return cb?.({ ok: false, error: "ALREADY_STARTED" });
@@ -608,8 +546,7 @@ export function registerDraw(io, supabaseAdmin) {
     // ----- Stroke broadcast (출제자만, ~50ms throttle) -----
     // payload type: 'begin'|'point'|'end'|'clear'|'undo'|'redo'
     socket.on("draw:stroke", (payload) => {
-      const roomId = drawUserRoom.get(me.id);
-      const room = roomId ? drawRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return;
       if (room.currentDrawerId !== me.id) return;
       socket.to(socketRoomName(room.id)).emit("draw:stroke", payload);
@@ -617,8 +554,7 @@ export function registerDraw(io, supabaseAdmin) {
 
     // ----- 채팅/정답 -----
     socket.on("draw:chat", (payload, cb) => {
-      const roomId = drawUserRoom.get(me.id);
-      const room = roomId ? drawRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
       const text = String(payload?.text || "").trim();
       if (!text) return cb?.({ ok: false, error: "EMPTY" });
@@ -662,8 +598,7 @@ export function registerDraw(io, supabaseAdmin) {
 
     // ----- 신고 (간단 버튼) -----
     socket.on("draw:report", async (payload, cb) => {
-      const roomId = drawUserRoom.get(me.id);
-      const room = roomId ? drawRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       try {
         await supabaseAdmin.from("draw_reports").insert({
@@ -681,59 +616,7 @@ export function registerDraw(io, supabaseAdmin) {
       }
     });
 
-    // ----- 자발 퇴장 -----
-    socket.on("draw:leaveRoom", (_payload, cb) => {
-      const roomId = drawUserRoom.get(me.id);
-      const room = roomId ? drawRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: true });
-      leavePlayer(io, room, me.id);
-      socket.leave(socketRoomName(room.id));
-      cb?.({ ok: true });
-    });
-
-    socket.on("draw:kickPlayer", (payload, cb) => {
-      const roomId = drawUserRoom.get(me.id);
-      const room = roomId ? drawRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
-      if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
-      const targetId = String(payload?.targetUserId || "");
-      if (!targetId || targetId === me.id) return cb?.({ ok: false, error: "INVALID_TARGET" });
-      if (!room.players.has(targetId)) return cb?.({ ok: false, error: "TARGET_NOT_IN_ROOM" });
-      const target = room.players.get(targetId);
-      if (target?.socketId) io.to(target.socketId).emit("draw:kicked", { reason: "KICKED_BY_HOST" });
-      leavePlayer(io, room, targetId);
-      cb?.({ ok: true });
-    });
-
-    // ----- 상태 재요청 (재접속) -----
-    socket.on("draw:requestState", (_payload, cb) => {
-      const roomId = drawUserRoom.get(me.id);
-      const room = roomId ? drawRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      cb?.({ ok: true, room: publicRoom(room) });
-    });
-
-    // ----- 연결 해제 -----
-    socket.on("disconnect", () => {
-      const roomId = drawUserRoom.get(me.id);
-      const room = roomId ? drawRooms.get(roomId) : null;
-      if (!room) return;
-      const p = room.players.get(me.id);
-      if (!p) return;
-      if (p.socketId !== socket.id) return;
-      p.connected = false;
-
-      if (room.status === "lobby") {
-        leavePlayer(io, room, me.id);
-      } else {
-        io.to(socketRoomName(room.id)).emit("draw:peerDisconnect", { playerId: me.id });
-        maybeScheduleEmptyRoomDelete(io, room);
-        // 출제자 disconnect 시 라운드 종료
-        if (room.status === "playing" && room.currentDrawerId === me.id) {
-          endRound(io, room, "DRAWER_DISCONNECT");
-        }
-      }
-    });
+    // ----- 퇴장/강퇴/상태 재요청/연결 해제 — 공용 매니저 -----
+    rm.attach(io, socket);
   });
 }
@@ -1,8 +1,7 @@
 // =========================
 // DUO 거짓말 매치 (Fibbage 한국형) — 서버 v0.1
 // 기존 worldcup/quiz/tier/lifegame/liar 멀티와 완전 격리
-// - 별도 Map (fbRooms)
-// - 별도 invite code Map
+// - 방 수명주기(초대코드/빈 방 TTL/퇴장/강퇴/재요청)는 room-manager.js 공용 매니저
 // - 'fb:*' 이벤트 prefix 전용
 // - socket.io room name = `fb:${roomId}`
 // =========================
@@ -17,6 +16,8 @@ import {
   getCategoriesByLang,
   getQuestionsByLang,
 } from "./fibbage-questions.js";
+import { createRoomManager } from "./room-manager.js";
+import { roomNotFoundReply } from "./cluster.js";
 
 const ALLOWED_LANGS = ["ko", "ja", "en"];
 const CATEGORY_IDS = Object.keys(FB_QUESTIONS);
@@ -31,9 +32,18 @@ function resolveCategoryForRound(roomCategory) {
   return CATEGORY_IDS[Math.floor(Math.random() * CATEGORY_IDS.length)];
 }
 
-const fbRooms = new Map();
-const fbInvites = new Map();
-const fbUserRoom = new Map();
+const rm = createRoomManager({
+  prefix: "fb",
+  publicRoom,
+  clearTimers: clearTimer,
+  afterLeave: (io, room) => { maybeFinishPhase(io, room); },
+  onDisconnect: (io, room) => {
+    if (room.status !== "playing") return;
+    broadcastRoomState(io, room);
+    maybeFinishPhase(io, room);
+  },
+});
+const { socketRoomName, broadcastRoomState, deleteRoom } = rm;
 
 const ALLOWED_INPUT_SECS = [20, 30, 45];   // 가짜 답 작성 시간
 const ALLOWED_VOTE_SECS = [15, 20, 30];    // 정답 선택 시간
@@ -43,7 +53,6 @@ const MIN_PLAYERS = 2;                      // 2명도 OK (선택지 부족 시
 const FAKE_LEN_MAX = 30;
 const RESULT_FALLBACK_MS = 60_000;         // 호스트 부재 시 자동 진행 안전장치
 const REVEAL_BEFORE_VOTE_MS = 1500;        // 셔플 후 보여주기 전 짧은 텀
-const EMPTY_ROOM_TTL_MS = 30_000;
 
 // 점수
 const SCORE_CORRECT = 500;
@@ -51,14 +60,6 @@ const SCORE_FOOLED_PER_VOTER = 250;
 const SCORE_LUCKY_HIT = 1000;
 
 // ===== util =====
-function genInviteCode() {
-  for (let i = 0; i < 50; i++) {
-    const c = String(Math.floor(Math.random() * 1_000_000)).padStart(6, "0");
-    if (!fbInvites.has(c)) return c;
-  }
-  return String(Math.floor(Math.random() * 10_000_000)).padStart(7, "0");
-}
-function socketRoomName(roomId) { return `fb:${roomId}`; }
 function clearTimer(room) {
   if (room?.roundData?.timer) {
     clearTimeout(room.roundData.timer);
@@ -69,12 +70,6 @@ function clearTimer(room) {
     room.phaseTimer = null;
   }
 }
-function clearEmptyRoomTimer(room) {
-  if (room?.emptyRoomTimer) {
-    clearTimeout(room.emptyRoomTimer);
-    room.emptyRoomTimer = null;
-  }
-}
 function shuffleInPlace(arr) {
   for (let i = arr.length - 1; i > 0; i--) {
     const j = Math.floor(Math.random() * (i + 1));
@@ -129,23 +124,6 @@ function publicRoom(room) {
 }
 
 // ===== game flow =====
-function broadcastRoomState(io, room) {
-  io.to(socketRoomName(room.id)).emit("fb:roomState", publicRoom(room));
-}
-
-function deleteRoom(io, room, reason) {
-  clearTimer(room);
-  clearEmptyRoomTimer(room);
-  fbRooms.delete(room.id);
-  fbInvites.delete(room.inviteCode);
-  for (const uid of room.playerOrder) {
-    if (fbUserRoom.get(uid) === room.id) fbUserRoom.delete(uid);
-  }
-  io.to(socketRoomName(room.id)).emit("fb:roomClosed", { reason });
-  io.in(socketRoomName(room.id)).socketsLeave(socketRoomName(room.id));
-  console.log(`[fb] room ${room.id} deleted: ${reason}`);
-}
-
 function startNextRound(io, room) {
   if (room.status !== "playing") return;
   if (room.currentRoundIdx >= room.totalRounds) return endGame(io, room);
@@ -492,38 +470,22 @@ function endGame(io, room) {
 }
 
 // ===== leave / disconnect =====
-function leavePlayer(io, room, userId) {
-  if (!room.players.has(userId)) return;
-  const wasHost = room.hostUserId === userId;
-  room.players.delete(userId);
-  room.playerOrder = room.playerOrder.filter(u => u !== userId);
-  if (fbUserRoom.get(userId) === room.id) fbUserRoom.delete(userId);
-
-  if (room.playerOrder.length === 0) return deleteRoom(io, room, "EMPTY");
-  if (wasHost) room.hostUserId = room.playerOrder[0];
-
-  if (room.status === "playing") {
-    // 진행 중이면 phase별 자동 진입 체크
-    if (room.roundData?.phase === "input") {
-      const connectedUids = room.playerOrder.filter(uid => room.players.get(uid)?.connected);
-      if (room.roundData.fakes.size >= connectedUids.length && connectedUids.length > 0) {
-        clearTimer(room);
-        finishInputPhase(io, room, false);
-      }
-    } else if (room.roundData?.phase === "vote") {
-      const connectedUids = room.playerOrder.filter(uid => room.players.get(uid)?.connected);
-      if (room.roundData.votes.size >= connectedUids.length && connectedUids.length > 0) {
-        clearTimer(room);
-        finishVotePhase(io, room, false);
-      }
+// 진행 중 이탈/끊김 — 남은(연결된) 인원이 전부 입력/투표를 마쳤으면 다음 단계로
+function maybeFinishPhase(io, room) {
+  if (room.status !== "playing") return;
+  const connectedUids = room.playerOrder.filter(uid => room.players.get(uid)?.connected);
+  if (connectedUids.length === 0) return;
+  if (room.roundData?.phase === "input") {
+    if (room.roundData.fakes.size >= connectedUids.length) {
+      clearTimer(room);
+      finishInputPhase(io, room, false);
     }
-    const anyConnected = room.playerOrder.some(uid => room.players.get(uid)?.connected);
-    if (!anyConnected) {
-      clearEmptyRoomTimer(room);
-      room.emptyRoomTimer = setTimeout(() => deleteRoom(io, room, "ALL_DISCONNECTED"), EMPTY_ROOM_TTL_MS);
+  } else if (room.roundData?.phase === "vote") {
+    if (room.roundData.votes.size >= connectedUids.length) {
+      clearTimer(room);
+      finishVotePhase(io, room, false);
     }
   }
-  broadcastRoomState(io, room);
 }
 
 // ===== handlers =====
@@ -535,10 +497,7 @@ export function registerFibbage(io, supabaseAdmin) {
     socket.on("fb:createRoom", async (payload, cb) => {
       try {
         if (me.isGuest) return cb?.({ ok: false, error: "GUEST_CANNOT_CREATE" });
-        if (fbUserRoom.has(me.id)) {
-          const old = fbRooms.get(fbUserRoom.get(me.id));
-          if (old) leavePlayer(io, old, me.id);
-        }
+        rm.leaveCurrentRoom(io, me.id);
 
         const totalRounds = ALLOWED_ROUNDS.includes(Number(payload?.totalRounds))
           ? Number(payload.totalRounds) : 5;
@@ -551,8 +510,8 @@ export function registerFibbage(io, supabaseAdmin) {
         const category = isValidCategory(payload?.category) ? payload.category : "random";
         const lang = isValidLang(payload?.lang) ? payload.lang : "ko";
 
-        const roomId = `fb_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
-        const inviteCode = genInviteCode();
+        const roomId = rm.newRoomId("fb");
+        const inviteCode = rm.genInviteCode();
 
         const room = {
           id: roomId,
@@ -574,8 +533,7 @@ export function registerFibbage(io, supabaseAdmin) {
           phaseTimer: null,
           emptyRoomTimer: null,
         };
-        fbRooms.set(roomId, room);
-        fbInvites.set(inviteCode, roomId);
+        rm.addRoom(room);
 
         let avatar = null;
         let nick = payload?.nickname;
@@ -587,8 +545,7 @@ export function registerFibbage(io, supabaseAdmin) {
 
         room.players.set(me.id, newPlayerState(nick || "방장", false, avatar, socket.id));
         room.playerOrder.push(me.id);
-        fbUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -601,19 +558,14 @@ export function registerFibbage(io, supabaseAdmin) {
 
     socket.on("fb:joinRoom", async (payload, cb) => {
       try {
-        const code = String(payload?.inviteCode || "").trim();
-        const roomId = fbInvites.get(code);
-        const room = roomId ? fbRooms.get(roomId) : null;
-        if (!room) return cb?.({ ok: false, error: "ROOM_NOT_FOUND" });
+        const room = rm.findByInvite(payload?.inviteCode);
+        if (!room) return cb?.(roomNotFoundReply(rm.prefix, payload?.inviteCode));
+        const roomId = room.id;
         if (room.status !== "lobby") return cb?.({ ok: false, error: "GAME_ALREADY_STARTED" });
         if (room.players.size >= room.maxPlayers) return cb?.({ ok: false, error: "ROOM_FULL" });
 
         if (room.players.has(me.id)) {
-          const p = room.players.get(me.id);
-          p.connected = true;
-          p.socketId = socket.id;
-          socket.join(socketRoomName(roomId));
-          fbUserRoom.set(me.id, roomId);
+          rm.reconnect(socket, room, me.id);
           cb?.({ ok: true, roomId, inviteCode: room.inviteCode, room: publicRoom(room) });
           broadcastRoomState(io, room);
           return;
@@ -632,10 +584,8 @@ export function registerFibbage(io, supabaseAdmin) {
 
         room.players.set(me.id, newPlayerState(playerName, !!me.isGuest, avatar, socket.id));
         room.playerOrder.push(me.id);
-        fbUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
+        rm.seat(socket, room, me.id);
 
-        clearEmptyRoomTimer(room);
         cb?.({ ok: true, roomId, inviteCode: room.inviteCode, room: publicRoom(room) });
         broadcastRoomState(io, room);
       } catch (e) {
@@ -645,8 +595,7 @@ export function registerFibbage(io, supabaseAdmin) {
     });
 
     socket.on("fb:setOptions", (payload, cb) => {
-      const roomId = fbUserRoom.get(me.id);
-      const room = roomId ? fbRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "GAME_ALREADY_STARTED" });
@@ -671,8 +620,7 @@ export function registerFibbage(io, supabaseAdmin) {
     });
 
     socket.on("fb:setMaxPlayers", (payload, cb) => {
-      const roomId = fbUserRoom.get(me.id);
-      const room = roomId ? fbRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "GAME_IN_PROGRESS" });
@@ -688,8 +636,7 @@ export function registerFibbage(io, supabaseAdmin) {
     });
 
     socket.on("fb:startGame", (_payload, cb) => {
-      const roomId = fbUserRoom.get(me.id);
-      const room = roomId ? fbRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status === "playing") return cb?.({ ok: false, error: "ALREADY_PLAYING" });
@@ -711,8 +658,7 @@ export function registerFibbage(io, supabaseAdmin) {
     });
 
     socket.on("fb:submitFake", (payload, cb) => {
-      const roomId = fbUserRoom.get(me.id);
-      const room = roomId ? fbRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.status !== "playing" || !room.roundData) return cb?.({ ok: false, error: "NOT_PLAYING" });
       if (room.roundData.phase !== "input") return cb?.({ ok: false, error: "NOT_INPUT_PHASE" });
@@ -723,8 +669,7 @@ export function registerFibbage(io, supabaseAdmin) {
     });
 
     socket.on("fb:submitVote", (payload, cb) => {
-      const roomId = fbUserRoom.get(me.id);
-      const room = roomId ? fbRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.status !== "playing" || !room.roundData) return cb?.({ ok: false, error: "NOT_PLAYING" });
       if (room.roundData.phase !== "vote") return cb?.({ ok: false, error: "NOT_VOTE_PHASE" });
@@ -741,8 +686,7 @@ export function registerFibbage(io, supabaseAdmin) {
     });
 
     socket.on("fb:hostNext", (_payload, cb) => {
-      const roomId = fbUserRoom.get(me.id);
-      const room = roomId ? fbRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "playing" || !room.roundData) return cb?.({ ok: false, error: "NOT_PLAYING" });
@@ -752,72 +696,6 @@ export function registerFibbage(io, supabaseAdmin) {
       advanceFromResult(io, room);
     });
 
-    socket.on("fb:leaveRoom", (_payload, cb) => {
-      const roomId = fbUserRoom.get(me.id);
-      const room = roomId ? fbRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      socket.leave(socketRoomName(room.id));
-      leavePlayer(io, room, me.id);
-      cb?.({ ok: true });
-    });
-
-    socket.on("fb:kickPlayer", (payload, cb) => {
-      const roomId = fbUserRoom.get(me.id);
-      const room = roomId ? fbRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
-      if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
-      const targetId = String(payload?.targetUserId || "");
-      if (!targetId || targetId === me.id) return cb?.({ ok: false, error: "INVALID_TARGET" });
-      if (!room.players.has(targetId)) return cb?.({ ok: false, error: "TARGET_NOT_IN_ROOM" });
-      const target = room.players.get(targetId);
-      if (target?.socketId) io.to(target.socketId).emit("fb:kicked", { reason: "KICKED_BY_HOST" });
-      leavePlayer(io, room, targetId);
-      cb?.({ ok: true });
-    });
-
-    socket.on("fb:requestState", (_payload, cb) => {
-      const roomId = fbUserRoom.get(me.id);
-      const room = roomId ? fbRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      const p = room.players.get(me.id);
-      if (p) { p.socketId = socket.id; p.connected = true; }
-      socket.join(socketRoomName(room.id));
-      cb?.({ ok: true, room: publicRoom(room) });
-    });
-
-    socket.on("disconnect", () => {
-      const roomId = fbUserRoom.get(me.id);
-      const room = roomId ? fbRooms.get(roomId) : null;
-      if (!room) return;
-      const p = room.players.get(me.id);
-      if (!p) return;
-      p.connected = false;
-
-      if (room.status === "lobby") {
-        leavePlayer(io, room, me.id);
-      } else if (room.status === "playing") {
-        broadcastRoomState(io, room);
-        // 모든 연결된 플레이어가 입력/투표 완료된 상태인지 재확인
-        if (room.roundData?.phase === "input") {
-          const connectedUids = room.playerOrder.filter(uid => room.players.get(uid)?.connected);
-          if (connectedUids.length > 0 && room.roundData.fakes.size >= connectedUids.length) {
-            clearTimer(room);
-            finishInputPhase(io, room, false);
-          }
-        } else if (room.roundData?.phase === "vote") {
-          const connectedUids = room.playerOrder.filter(uid => room.players.get(uid)?.connected);
-          if (connectedUids.length > 0 && room.roundData.votes.size >= connectedUids.length) {
-            clearTimer(room);
-            finishVotePhase(io, room, false);
-          }
-        }
-        const anyConnected = room.playerOrder.some(uid => room.players.get(uid)?.connected);
-        if (!anyConnected) {
-          clearEmptyRoomTimer(room);
-          room.emptyRoomTimer = setTimeout(() => deleteRoom(io, room, "ALL_DISCONNECTED"), EMPTY_ROOM_TTL_MS);
-        }
-      }
-    });
+    rm.attach(io, socket);
   });
 }
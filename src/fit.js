@@ -6,30 +6,35 @@
 // 이벤트 prefix: 'fit:*', socket room name: `fit:${roomId}`
 // =========================
 
-const fitRooms = new Map();
-const fitInvites = new Map();
-const fitUserRoom = new Map();
+import { createRoomManager } from "./room-manager.js";
+import { roomNotFoundReply } from "./cluster.js";
+
+// 방 수명주기 (초대코드/빈 방 TTL/퇴장/강퇴/재요청) — 공용 매니저
+const rm = createRoomManager({
+  prefix: "fit",
+  publicRoom,
+  clearTimers: clearGameTimer,
+  beforeLeave: (io, room, userId, p) => {
+    if (p && room.status === "playing" && p.status === "playing") {
+      // 플레이 중 이탈 → left 처리, 게임은 계속
+      p.status = "left";
+      p.connected = false;
+    }
+  },
+  afterLeave: (io, room) => {
+    if (room.status === "playing") checkAllDoneAndFinish(io, room);
+  },
+});
+const { socketRoomName, broadcastRoomState } = rm;
 
 const ALLOWED_MAX_PLAYERS = [2, 4, 6, 8];
 const ALLOWED_TIME_LIMIT_SEC = [0, 300, 600]; // 0 = 무제한, 5분, 10분
 const ALLOWED_MODES = ["easy", "normal"];
-const EMPTY_ROOM_TTL_MS = 30_000;
 const PROGRESS_THROTTLE_MS = 800; // 진척 emit 최소 간격
 const MAX_NICK_LEN = 14;
 const TOTAL_ROUNDS = 5;
 
 // ===== util =====
-function genInviteCode() {
-  for (let i = 0; i < 50; i++) {
-    const c = String(Math.floor(Math.random() * 1_000_000)).padStart(6, "0");
-    if (!fitInvites.has(c)) return c;
-  }
-  return String(Math.floor(Math.random() * 10_000_000)).padStart(7, "0");
-}
-function socketRoomName(roomId) { return `fit:${roomId}`; }
-function clearEmptyRoomTimer(room) {
-  if (room?.emptyRoomTimer) { clearTimeout(room.emptyRoomTimer); room.emptyRoomTimer = null; }
-}
 function clearGameTimer(room) {
   if (room?.gameTimer) { clearTimeout(room.gameTimer); room.gameTimer = null; }
 }
@@ -110,60 +115,6 @@ function publicRoom(room) {
   };
 }
 
-function broadcastRoomState(io, room) {
-  io.to(socketRoomName(room.id)).emit("fit:roomState", publicRoom(room));
-}
-
-function deleteRoom(io, room, reason) {
-  clearEmptyRoomTimer(room);
-  clearGameTimer(room);
-  fitRooms.delete(room.id);
-  fitInvites.delete(room.inviteCode);
-  for (const uid of room.playerOrder) {
-    if (fitUserRoom.get(uid) === room.id) fitUserRoom.delete(uid);
-  }
-  io.to(socketRoomName(room.id)).emit("fit:roomClosed", { reason });
-  io.in(socketRoomName(room.id)).socketsLeave(socketRoomName(room.id));
-  console.log(`[fit] room ${room.id} deleted: ${reason}`);
-}
-
-function maybeScheduleEmptyRoomDelete(io, room) {
-  const connected = [...room.players.values()].filter(p => p.connected).length;
-  if (connected === 0 && !room.emptyRoomTimer) {
-    room.emptyRoomTimer = setTimeout(() => {
-      const r = fitRooms.get(room.id);
-      if (!r) return;
-      const stillEmpty = [...r.players.values()].every(p => !p.connected);
-      if (stillEmpty) deleteRoom(io, r, "EMPTY");
-    }, EMPTY_ROOM_TTL_MS);
-  }
-}
-
-function leavePlayer(io, room, userId) {
-  if (!room.players.has(userId)) return;
-  const wasHost = room.hostUserId === userId;
-  const p = room.players.get(userId);
-  if (p && room.status === "playing" && p.status === "playing") {
-    // 플레이 중 이탈 → left 처리, 게임은 계속
-    p.status = "left";
-    p.connected = false;
-  }
-  room.players.delete(userId);
-  const idx = room.playerOrder.indexOf(userId);
-  if (idx >= 0) room.playerOrder.splice(idx, 1);
-  if (fitUserRoom.get(userId) === room.id) fitUserRoom.delete(userId);
-  if (wasHost && room.playerOrder.length > 0) room.hostUserId = room.playerOrder[0];
-  io.to(socketRoomName(room.id)).emit("fit:peerLeave", { playerId: userId });
-  if (room.playerOrder.length === 0) {
-    deleteRoom(io, room, "ALL_LEFT");
-    return;
-  }
-  if (room.status === "playing") {
-    checkAllDoneAndFinish(io, room);
-  }
-  broadcastRoomState(io, room);
-}
-
 function checkAllDoneAndFinish(io, room) {
   const remaining = [...room.players.values()].filter(p => p.status === "playing");
   if (remaining.length === 0) {
@@ -220,10 +171,7 @@ export function registerFit(io, supabaseAdmin) {
     socket.on("fit:createRoom", async (payload, cb) => {
       try {
         if (me.isGuest) return cb?.({ ok: false, error: "GUEST_CANNOT_CREATE" });
-        if (fitUserRoom.has(me.id)) {
-          const old = fitRooms.get(fitUserRoom.get(me.id));
-          if (old) leavePlayer(io, old, me.id);
-        }
+        rm.leaveCurrentRoom(io, me.id);
         const maxPlayers = ALLOWED_MAX_PLAYERS.includes(Number(payload?.maxPlayers))
           ? Number(payload.maxPlayers) : 4;
         const requestedTL = Number(payload?.timeLimitSec);
@@ -231,8 +179,8 @@ export function registerFit(io, supabaseAdmin) {
           ? requestedTL : 600; // 기본 10분
         const mode = ALLOWED_MODES.includes(payload?.mode) ? payload.mode : "easy";
 
-        const roomId = `ft_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
-        const inviteCode = genInviteCode();
+        const roomId = rm.newRoomId("ft");
+        const inviteCode = rm.genInviteCode();
         const room = {
           id: roomId, inviteCode, hostUserId: me.id,
           status: "lobby", maxPlayers, timeLimitSec, mode,
@@ -242,8 +190,7 @@ export function registerFit(io, supabaseAdmin) {
           players: new Map(), playerOrder: [],
           emptyRoomTimer: null, gameTimer: null,
         };
-        fitRooms.set(roomId, room);
-        fitInvites.set(inviteCode, roomId);
+        rm.addRoom(room);
 
         let avatar = null, nick = payload?.nickname;
         try {
@@ -253,8 +200,7 @@ export function registerFit(io, supabaseAdmin) {
         } catch {}
         room.players.set(me.id, newPlayerState(nick || "방장", false, avatar, socket.id));
         room.playerOrder.push(me.id);
-        fitUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode, playerId: me.id, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -268,18 +214,13 @@ export function registerFit(io, supabaseAdmin) {
     // ----- 입장 -----
     socket.on("fit:joinRoom", async (payload, cb) => {
       try {
-        const code = String(payload?.inviteCode || "").trim();
-        const roomId = fitInvites.get(code);
-        const room = roomId ? fitRooms.get(roomId) : null;
-        if (!room) return cb?.({ ok: false, error: "ROOM_NOT_FOUND" });
+        const room = rm.findByInvite(payload?.inviteCode);
+        if (!room) return cb?.(roomNotFoundReply(rm.prefix, payload?.inviteCode));
+        const roomId = room.id;
         if (room.status === "ended") return cb?.({ ok: false, error: "GAME_ENDED" });
 
         if (room.players.has(me.id)) {
-          const p = room.players.get(me.id);
-          p.connected = true; p.socketId = socket.id;
-          socket.join(socketRoomName(roomId));
-          fitUserRoom.set(me.id, roomId);
-          clearEmptyRoomTimer(room);
+          rm.reconnect(socket, room, me.id);
           cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room), rejoined: true });
           broadcastRoomState(io, room);
           return;
@@ -298,9 +239,7 @@ export function registerFit(io, supabaseAdmin) {
         const playerName = nick || (me.isGuest ? "게스트" : "유저");
         room.players.set(me.id, newPlayerState(playerName, !!me.isGuest, avatar, socket.id));
         room.playerOrder.push(me.id);
-        fitUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
-        clearEmptyRoomTimer(room);
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -312,8 +251,7 @@ export function registerFit(io, supabaseAdmin) {
 
     // ----- 호스트 옵션 -----
     socket.on("fit:setMaxPlayers", (payload, cb) => {
-      const roomId = fitUserRoom.get(me.id);
-      const room = roomId ? fitRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
@@ -326,8 +264,7 @@ export function registerFit(io, supabaseAdmin) {
     });
 
     socket.on("fit:setRoomOptions", (payload, cb) => {
-      const roomId = fitUserRoom.get(me.id);
-      const room = roomId ? fitRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
@@ -344,8 +281,7 @@ export function registerFit(io, supabaseAdmin) {
 
     // ----- 게임 시작 -----
     socket.on("fit:startGame", (_payload, cb) => {
-      const roomId = fitUserRoom.get(me.id);
-      const room = roomId ? fitRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status === "playing") return cb?.({ ok: false, error: "ALREADY_PLAYING" });
@@ -391,7 +327,7 @@ export function registerFit(io, supabaseAdmin) {
       clearGameTimer(room);
       if (room.timeLimitSec > 0) {
         room.gameTimer = setTimeout(() => {
-          const r = fitRooms.get(room.id);
+          const r = rm.rooms.get(room.id);
           if (r && r.status === "playing") finishGame(io, r, "TIME_UP");
         }, room.timeLimitSec * 1000);
       }
@@ -401,8 +337,7 @@ export function registerFit(io, supabaseAdmin) {
     // ----- 진척 업데이트 (throttle) -----
     // payload: { currentRound, filledCells, totalCells, mosaic: boolean[][] }
     socket.on("fit:progress", (payload) => {
-      const roomId = fitUserRoom.get(me.id);
-      const room = roomId ? fitRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return;
       const p = room.players.get(me.id);
       if (!p || p.status !== "playing") return;
@@ -451,8 +386,7 @@ export function registerFit(io, supabaseAdmin) {
     // ----- 라운드 클리어 -----
     // payload: { round, roundMs } — round는 0-base 인덱스
     socket.on("fit:roundClear", (payload, cb) => {
-      const roomId = fitUserRoom.get(me.id);
-      const room = roomId ? fitRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
       const p = room.players.get(me.id);
       if (!p || p.status !== "playing") return cb?.({ ok: false, error: "NOT_ACTIVE" });
@@ -497,55 +431,7 @@ export function registerFit(io, supabaseAdmin) {
       cb?.({ ok: true, nextRound: p.currentRound, status: p.status });
     });
 
-    // ----- 자발 퇴장 -----
-    socket.on("fit:leaveRoom", (_payload, cb) => {
-      const roomId = fitUserRoom.get(me.id);
-      const room = roomId ? fitRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: true });
-      leavePlayer(io, room, me.id);
-      socket.leave(socketRoomName(room.id));
-      cb?.({ ok: true });
-    });
-
-    // ----- 호스트 강퇴 (로비 한정) -----
-    socket.on("fit:kickPlayer", (payload, cb) => {
-      const roomId = fitUserRoom.get(me.id);
-      const room = roomId ? fitRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
-      if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
-      const targetId = String(payload?.targetUserId || "");
-      if (!targetId || targetId === me.id) return cb?.({ ok: false, error: "INVALID_TARGET" });
-      if (!room.players.has(targetId)) return cb?.({ ok: false, error: "TARGET_NOT_IN_ROOM" });
-      const target = room.players.get(targetId);
-      if (target?.socketId) io.to(target.socketId).emit("fit:kicked", { reason: "KICKED_BY_HOST" });
-      leavePlayer(io, room, targetId);
-      cb?.({ ok: true });
-    });
-
-    // ----- 상태 재요청 -----
-    socket.on("fit:requestState", (_payload, cb) => {
-      const roomId = fitUserRoom.get(me.id);
-      const room = roomId ? fitRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      cb?.({ ok: true, room: publicRoom(room) });
-    });
-
-    // ----- 연결 해제 -----
-    socket.on("disconnect", () => {
-      const roomId = fitUserRoom.get(me.id);
-      const room = roomId ? fitRooms.get(roomId) : null;
-      if (!room) return;
-      const p = room.players.get(me.id);
-      if (!p) return;
-      if (p.socketId !== socket.id) return;
-      p.connected = false;
-      if (room.status === "lobby") {
-        leavePlayer(io, room, me.id);
-      } else {
-        io.to(socketRoomName(room.id)).emit("fit:peerUpdate", { playerId: me.id, connected: false });
-        maybeScheduleEmptyRoomDelete(io, room);
-      }
-    });
+    // ----- 퇴장/강퇴/상태 재요청/연결 해제 — 공용 매니저 -----
+    rm.attach(io, socket);
   });
 }
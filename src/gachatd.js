@@ -3,14 +3,13 @@
 // 핵심: 각 플레이어 자기 라인 (필러 시뮬은 클라이언트), 보스만 공유 HP (서버 권위)
 // 클리어 조건: 보스 10종 다 잡으면 팀 승리. 전원 라이프 0 = 실패.
 // 이벤트 prefix: 'gt:*', socket room name: `gt:${roomId}`
+// 방 수명주기(초대코드/퇴장/강퇴/재접속/빈 방 삭제)는 room-manager.js
 // =========================
 
-const gtRooms = new Map();
-const gtInvites = new Map();
-const gtUserRoom = new Map();
+import { createRoomManager } from "./room-manager.js";
+import { roomNotFoundReply } from "./cluster.js";
 
 const ALLOWED_MAX_PLAYERS = [2, 4, 6, 8];
-const EMPTY_ROOM_TTL_MS = 30_000;
 const MAX_NICK_LEN = 14;
 
 // 보스 정의 (HP만 — 시각은 클라이언트가)
@@ -46,19 +45,6 @@ function getBossHpScale(wave) {
   return 3.0 + cycle * 1.5;
 }
 
-// ===== util =====
-function genInviteCode() {
-  for (let i = 0; i < 50; i++) {
-    const c = String(Math.floor(Math.random() * 1_000_000)).padStart(6, "0");
-    if (!gtInvites.has(c)) return c;
-  }
-  return String(Math.floor(Math.random() * 10_000_000)).padStart(7, "0");
-}
-function socketRoomName(roomId) { return `gt:${roomId}`; }
-function clearEmptyRoomTimer(room) {
-  if (room?.emptyRoomTimer) { clearTimeout(room.emptyRoomTimer); room.emptyRoomTimer = null; }
-}
-
 // ===== state shapes =====
 function newPlayerState(name, isGuest, avatarUrl, socketId) {
   return {
@@ -112,49 +98,22 @@ function publicRoom(room) {
   };
 }
 
-function broadcastRoomState(io, room) {
-  io.to(socketRoomName(room.id)).emit("gt:roomState", publicRoom(room));
-}
-
-function deleteRoom(io, room, reason) {
-  clearEmptyRoomTimer(room);
-  gtRooms.delete(room.id);
-  gtInvites.delete(room.inviteCode);
-  for (const uid of room.playerOrder) {
-    if (gtUserRoom.get(uid) === room.id) gtUserRoom.delete(uid);
-  }
-  io.to(socketRoomName(room.id)).emit("gt:roomClosed", { reason });
-  io.in(socketRoomName(room.id)).socketsLeave(socketRoomName(room.id));
-  console.log(`[gachatd] room ${room.id} deleted: ${reason}`);
-}
-
-function maybeScheduleEmptyRoomDelete(io, room) {
-  const connected = [...room.players.values()].filter((p) => p.connected).length;
-  if (connected === 0 && !room.emptyRoomTimer) {
-    room.emptyRoomTimer = setTimeout(() => {
-      const r = gtRooms.get(room.id);
-      if (!r) return;
-      const stillEmpty = [...r.players.values()].every((p) => !p.connected);
-      if (stillEmpty) deleteRoom(io, r, "EMPTY");
-    }, EMPTY_ROOM_TTL_MS);
-  }
-}
-
-function leavePlayer(io, room, userId) {
-  if (!room.players.has(userId)) return;
-  const wasHost = room.hostUserId === userId;
-  room.players.delete(userId);
-  const idx = room.playerOrder.indexOf(userId);
-  if (idx >= 0) room.playerOrder.splice(idx, 1);
-  if (gtUserRoom.get(userId) === room.id) gtUserRoom.delete(userId);
-  if (wasHost && room.playerOrder.length > 0) room.hostUserId = room.playerOrder[0];
-  io.to(socketRoomName(room.id)).emit("gt:peerLeave", { playerId: userId });
-  if (room.playerOrder.length === 0) {
-    deleteRoom(io, room, "ALL_LEFT");
-    return;
-  }
-  broadcastRoomState(io, room);
-}
+const rm = createRoomManager({
+  prefix: "gt",
+  tag: "gachatd",
+  publicRoom,
+  clearTimers: (room) => {
+    if (room.bossTimerId) { clearTimeout(room.bossTimerId); room.bossTimerId = null; }
+    if (room.waveTimerId) { clearTimeout(room.waveTimerId); room.waveTimerId = null; }
+  },
+  // 로비에서도 잠깐 끊긴 건 자리 유지 (예전 동작: 끊겨도 안 내보냄)
+  disconnectGraceMs: 60_000,
+  onDisconnect: (io, room, userId) => {
+    io.to(socketRoomName(room.id)).emit("gt:peerDisconnect", { playerId: userId });
+    broadcastRoomState(io, room);
+  },
+});
+const { socketRoomName, broadcastRoomState } = rm;
 
 // =========================
 // 웨이브 / 보스 관리
@@ -338,15 +297,12 @@ export function registerGachatd(io, supabaseAdmin) {
     socket.on("gt:createRoom", async (payload, cb) => {
       try {
         if (me.isGuest) return cb?.({ ok: false, error: "GUEST_CANNOT_CREATE" });
-        if (gtUserRoom.has(me.id)) {
-          const old = gtRooms.get(gtUserRoom.get(me.id));
-          if (old) leavePlayer(io, old, me.id);
-        }
+        rm.leaveCurrentRoom(io, me.id);
         const maxPlayers = ALLOWED_MAX_PLAYERS.includes(Number(payload?.maxPlayers))
           ? Number(payload.maxPlayers) : 4;
 
-        const roomId = `gt_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
-        const inviteCode = genInviteCode();
+        const roomId = rm.newRoomId("gt");
+        const inviteCode = rm.genInviteCode();
         const room = {
           id: roomId, inviteCode, hostUserId: me.id,
           status: "lobby", maxPlayers,
@@ -362,8 +318,7 @@ export function registerGachatd(io, supabaseAdmin) {
           bossHp: 0,
           bossMaxHp: 0,
         };
-        gtRooms.set(roomId, room);
-        gtInvites.set(inviteCode, roomId);
+        rm.addRoom(room);
 
         let avatar = null, nick = payload?.nickname;
         try {
@@ -373,8 +328,7 @@ export function registerGachatd(io, supabaseAdmin) {
         } catch {}
         room.players.set(me.id, newPlayerState(nick || "방장", false, avatar, socket.id));
         room.playerOrder.push(me.id);
-        gtUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode, playerId: me.id, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -388,18 +342,13 @@ export function registerGachatd(io, supabaseAdmin) {
     // ----- 입장 -----
     socket.on("gt:joinRoom", async (payload, cb) => {
       try {
-        const code = String(payload?.inviteCode || "").trim();
-        const roomId = gtInvites.get(code);
-        const room = roomId ? gtRooms.get(roomId) : null;
-        if (!room) return cb?.({ ok: false, error: "ROOM_NOT_FOUND" });
+        const room = rm.findByInvite(payload?.inviteCode);
+        if (!room) return cb?.(roomNotFoundReply(rm.prefix, payload?.inviteCode));
+        const roomId = room.id;
         if (room.status === "ended") return cb?.({ ok: false, error: "GAME_ENDED" });
 
         if (room.players.has(me.id)) {
-          const p = room.players.get(me.id);
-          p.connected = true; p.socketId = socket.id;
-          socket.join(socketRoomName(roomId));
-          gtUserRoom.set(me.id, roomId);
-          clearEmptyRoomTimer(room);
+          rm.reconnect(socket, room, me.id);
           cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room), rejoined: true });
           broadcastRoomState(io, room);
           return;
@@ -417,9 +366,7 @@ export function registerGachatd(io, supabaseAdmin) {
         }
         room.players.set(me.id, newPlayerState(nick || (me.isGuest ? "게스트" : "유저"), me.isGuest, avatar, socket.id));
         room.playerOrder.push(me.id);
-        gtUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
-        clearEmptyRoomTimer(room);
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -430,27 +377,10 @@ export function registerGachatd(io, supabaseAdmin) {
       }
     });
 
-    // ----- 방 나가기 -----
-    socket.on("gt:leaveRoom", (payload, cb) => {
-      try {
-        const roomId = gtUserRoom.get(me.id);
-        const room = roomId ? gtRooms.get(roomId) : null;
-        if (room) {
-          leavePlayer(io, room, me.id);
-          socket.leave(socketRoomName(room.id));
-        }
-        cb?.({ ok: true });
-      } catch (e) {
-        console.error("[gt:leaveRoom]", e);
-        cb?.({ ok: false, error: "INTERNAL" });
-      }
-    });
-
     // ----- 호스트: 최대인원 변경 -----
     socket.on("gt:setMaxPlayers", (payload, cb) => {
       try {
-        const roomId = gtUserRoom.get(me.id);
-        const room = roomId ? gtRooms.get(roomId) : null;
+        const room = rm.roomOf(me.id);
         if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
         if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
         if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
@@ -469,8 +399,7 @@ export function registerGachatd(io, supabaseAdmin) {
     // ----- 게임 시작 (호스트) ----
     socket.on("gt:startGame", (payload, cb) => {
       try {
-        const roomId = gtUserRoom.get(me.id);
-        const room = roomId ? gtRooms.get(roomId) : null;
+        const room = rm.roomOf(me.id);
         if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
         if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
         if (room.status === "playing") return cb?.({ ok: false, error: "ALREADY_PLAYING" });
@@ -524,8 +453,7 @@ export function registerGachatd(io, supabaseAdmin) {
     // ----- 호스트 수동 웨이브 시작 -----
     socket.on("gt:requestWaveStart", (payload, cb) => {
       try {
-        const roomId = gtUserRoom.get(me.id);
-        const room = roomId ? gtRooms.get(roomId) : null;
+        const room = rm.roomOf(me.id);
         if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
         if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
         if (room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
@@ -540,8 +468,7 @@ export function registerGachatd(io, supabaseAdmin) {
     // ----- 보스 데미지 (각 클라이언트가 자기 유닛으로 보스에 데미지 줄 때마다) -----
     socket.on("gt:dealBossDamage", (payload, cb) => {
       try {
-        const roomId = gtUserRoom.get(me.id);
-        const room = roomId ? gtRooms.get(roomId) : null;
+        const room = rm.roomOf(me.id);
         if (!room || room.status !== "playing") return;
         const boss = room.currentBoss;
         if (!boss || !boss.alive) return;
@@ -592,8 +519,7 @@ export function registerGachatd(io, supabaseAdmin) {
     // ----- 본진 도달 (라이프 손실) -----
     socket.on("gt:lifeLost", (payload, cb) => {
       try {
-        const roomId = gtUserRoom.get(me.id);
-        const room = roomId ? gtRooms.get(roomId) : null;
+        const room = rm.roomOf(me.id);
         if (!room || room.status !== "playing") return;
         const p = room.players.get(me.id);
         if (!p || !p.alive) return;
@@ -618,8 +544,7 @@ export function registerGachatd(io, supabaseAdmin) {
     // ----- 플레이어 snapshot relay (관전용) -----
     socket.on("gt:peerSnapshot", (payload) => {
       try {
-        const roomId = gtUserRoom.get(me.id);
-        const room = roomId ? gtRooms.get(roomId) : null;
+        const room = rm.roomOf(me.id);
         if (!room || room.status !== "playing") return;
         // 본인 제외 broadcast — 데이터 검증은 가볍게
         const snap = payload?.snapshot;
@@ -636,8 +561,7 @@ export function registerGachatd(io, supabaseAdmin) {
     // ----- 보스 본진 도달 (해당 라인 player가 알림) — 미스 처리 -----
     socket.on("gt:bossMissedSelf", (payload, cb) => {
       try {
-        const roomId = gtUserRoom.get(me.id);
-        const room = roomId ? gtRooms.get(roomId) : null;
+        const room = rm.roomOf(me.id);
         if (!room || room.status !== "playing") return;
         const boss = room.currentBoss;
         if (!boss || !boss.alive) return;
@@ -648,18 +572,7 @@ export function registerGachatd(io, supabaseAdmin) {
       }
     });
 
-    // ----- disconnect -----
-    socket.on("disconnect", () => {
-      const roomId = gtUserRoom.get(me.id);
-      const room = roomId ? gtRooms.get(roomId) : null;
-      if (!room) return;
-      const p = room.players.get(me.id);
-      if (!p) return;
-      p.connected = false;
-      io.to(socketRoomName(room.id)).emit("gt:peerDisconnect", { playerId: me.id });
-      maybeScheduleEmptyRoomDelete(io, room);
-      broadcastRoomState(io, room);
-    });
+    rm.attach(io, socket);
   });
 
   console.log("[gachatd] socket handlers registered");
@@ -0,0 +1,273 @@
+// =========================
+// 솔로 점수 게임 시즌 — merge / dodge / gachatd / apple / memory / blockblast
+// 게임마다 active 시즌 1개 (길이 GAME_SEASON_DAYS, 기본 28일, UTC 자정 시작). 종료 시각이 지나면:
+//   active → closing (조건부 UPDATE — 먼저 차지한 노드만 스냅샷)
+//   → 파티션별 TOP SEASON_HOF_TOP 을 game_season_hall_of_fame 에 스냅샷 → closed
+//   → 다음 시즌 active (게임당 active 1개 unique index — 동시에 열어도 하나만 성공)
+// 종료 처리는 주기 tick(tickSeasons) 또는 점수 기록 시점 중 먼저 오는 쪽. 중단된 closing 은 다음 rollover 가 이어서 처리
+// 시즌 기록: 공식 점수(로그인 + flagged=false)마다 recordSeasonScore → game_season_bests 에 시즌별 유저 최고 1 row
+//   (최고 비교·갱신은 RPC record_game_season_best 한 번 — 행 잠금 후 리더보드 정렬로 앞설 때만 UPDATE)
+// 스키마: sql/schema_game_seasons.sql, 조회 정렬은 leaderboards.js 와 동일
+// 사용: GET /:game/seasons, GET /:game/seasons/:id/leaderboard (index.js)
+// =========================
+
+import { seasonPartitionKey, seasonPartitions, seasonStats, leaderboardConfig, fetchLeaderboard } from "./leaderboards.js";
+
+export const SEASON_LENGTH_DAYS = Math.max(1, parseInt(process.env.GAME_SEASON_DAYS, 10) || 28);
+export const SEASON_HOF_TOP = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEASON_COLUMNS = "id, game, season_no, starts_at, ends_at, status, closed_at";
+const HOF_COLUMNS = "season_id, partition_key, rank, user_id, nickname, avatar_url, score, duration_sec, stats, achieved_at";
+
+let db = null;
+const active = new Map();    // game → active 시즌 row 캐시
+const rolling = new Map();   // game → 진행 중인 rollover (같은 프로세스 안 중복 방지)
+
+/** index.js에서 1회 — supabaseAdmin 주입 */
+export function initGameSeasons(supabaseAdmin) {
+  db = supabaseAdmin;
+}
+
+/**
+ * 진행 중 시즌 — 끝났으면 닫고 다음 시즌을 열어 반환
+ * @returns {Promise<object>}  game_seasons row. 실패 시 throw
+ */
+export async function currentSeason(game, now = Date.now()) {
+  const cached = active.get(game);
+  if (cached && now < Date.parse(cached.ends_at)) return cached;
+  if (!rolling.has(game)) {
+    rolling.set(game, rollover(game, now).finally(() => rolling.delete(game)));
+  }
+  return rolling.get(game);
+}
+
+/** 주기 tick — 모든 게임의 시즌 종료/시작 처리 */
+export async function tickSeasons(games) {
+  for (const game of games) {
+    try {
+      await currentSeason(game);
+    } catch (e) {
+      console.error(`[seasons] ${game} tick error:`, e.message || e);
+    }
+  }
+}
+
+async function rollover(game, now) {
+  const { data: closing, error: cErr } = await db.from("game_seasons")
+    .select(SEASON_COLUMNS)
+    .eq("game", game)
+    .eq("status", "closing");
+  if (cErr) throw cErr;
+  for (const s of closing || []) await closeSeason(s);
+
+  const { data: cur, error } = await db.from("game_seasons")
+    .select(SEASON_COLUMNS)
+    .eq("game", game)
+    .eq("status", "active")
+    .maybeSingle();
+  if (error) throw error;
+
+  let season = cur;
+  if (cur && now >= Date.parse(cur.ends_at)) {
+    const { data: claimed, error: uErr } = await db.from("game_seasons")
+      .update({ status: "closing" })
+      .eq("id", cur.id)
+      .eq("status", "active")
+      .select(SEASON_COLUMNS);
+    if (uErr) throw uErr;
+    if (claimed?.length) await closeSeason(claimed[0]);
+    season = null;
+  }
+  if (!season) season = await openSeason(game, now);
+  active.set(game, season);
+  return season;
+}
+
+// 다음 시즌 — 직전 시즌 끝에 이어서 (서버가 오래 멈췄으면 오늘 UTC 자정부터)
+async function openSeason(game, now) {
+  const { data: last, error } = await db.from("game_seasons")
+    .select("season_no, ends_at")
+    .eq("game", game)
+    .order("season_no", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+
+  const today = Math.floor(now / DAY_MS) * DAY_MS;
+  const startsAt = Math.min(Math.max(last ? Date.parse(last.ends_at) : 0, today), now);
+  const { data, error: iErr } = await db.from("game_seasons")
+    .insert({
+      game,
+      season_no: (last?.season_no || 0) + 1,
+      starts_at: new Date(startsAt).toISOString(),
+      ends_at: new Date(startsAt + SEASON_LENGTH_DAYS * DAY_MS).toISOString(),
+      status: "active",
+    })
+    .select(SEASON_COLUMNS)
+    .single();
+  if (!iErr) {
+    console.log(`[seasons] ${game} #${data.season_no} started (ends ${data.ends_at})`);
+    return data;
+  }
+  // 23505 = 다른 노드가 먼저 열었음 → 그 시즌 사용
+  if (String(iErr.code) !== "23505") throw iErr;
+  const { data: other, error: oErr } = await db.from("game_seasons")
+    .select(SEASON_COLUMNS)
+    .eq("game", game)
+    .eq("status", "active")
+    .maybeSingle();
+  if (oErr) throw oErr;
+  if (!other) throw new Error(`no active season for ${game}`);
+  return other;
+}
+
+// 명예의 전당 스냅샷 → closed. 같은 시즌을 두 번 처리해도 (season, partition, rank) 충돌은 무시
+async function closeSeason(season) {
+  const rows = [];
+  for (const partition of seasonPartitions(season.game)) {
+    const { rows: top } = await fetchLeaderboard(season.game, { partition, season: season.id, limit: SEASON_HOF_TOP });
+    const key = seasonPartitionKey(season.game, partition);
+    for (const r of top) {
+      rows.push({
+        season_id: season.id,
+        game: season.game,
+        partition_key: key,
+        rank: r.rank,
+        user_id: r.user_id,
+        nickname: r.nickname || null,
+        avatar_url: r.avatar_url || null,
+        score: r.score,
+        duration_sec: r.duration_sec ?? null,
+        stats: seasonStats(season.game, r),
+        achieved_at: r.created_at,
+      });
+    }
+  }
+  if (rows.length > 0) {
+    const { error } = await db.from("game_season_hall_of_fame")
+      .upsert(rows, { onConflict: "season_id,partition_key,rank", ignoreDuplicates: true });
+    if (error) throw error;
+  }
+  const { error } = await db.from("game_seasons")
+    .update({ status: "closed", closed_at: new Date().toISOString() })
+    .eq("id", season.id);
+  if (error) throw error;
+  console.log(`[seasons] ${season.game} #${season.season_no} closed — ${rows.length} hall-of-fame rows`);
+}
+
+/**
+ * 공식 점수 1건을 진행 중 시즌에 반영 (유저당 최고만 유지)
+ * @param {string} game
+ * @param {object} row  게임 점수 row — user_id, nickname, score, duration_sec, 파티션 컬럼(mode/difficulty), 게임별 컬럼
+ * @returns {Promise<{seasonId, seasonNo, isNewBest}>}  실패 시 throw
+ */
+export async function recordSeasonScore(game, row) {
+  const season = await currentSeason(game);
+  const partitionKey = seasonPartitionKey(game, row);
+  const entry = {
+    season_id: season.id,
+    game,
+    partition_key: partitionKey,
+    user_id: row.user_id,
+    nickname: row.nickname || null,
+    score: row.score,
+    duration_sec: row.duration_sec ?? null,
+    stats: seasonStats(game, row),
+    created_at: row.created_at || new Date().toISOString(),
+  };
+
+  // 비교는 DB 안에서 (동시 기록이 더 높은 최고를 덮어쓰지 않게) — sql/schema_game_seasons.sql record_game_season_best
+  const { data, error } = await db.rpc("record_game_season_best", {
+    p_entry: entry,
+    p_order: leaderboardConfig(game).order(row),
+  });
+  if (error) throw error;
+  return { seasonId: season.id, seasonNo: season.season_no, isNewBest: data === true };
+}
+
+function publicSeason(s) {
+  return {
+    id: s.id,
+    seasonNo: s.season_no,
+    startsAt: s.starts_at,
+    endsAt: s.ends_at,
+    status: s.status,
+    closedAt: s.closed_at || null,
+  };
+}
+
+// 스냅샷 row → 리더보드 row 모양 (stats 펼침, created_at = 기록 시각)
+function hofRow(r) {
+  return {
+    rank: r.rank,
+    user_id: r.user_id,
+    nickname: r.nickname,
+    avatar_url: r.avatar_url,
+    score: r.score,
+    duration_sec: r.duration_sec,
+    ...r.stats,
+    created_at: r.achieved_at,
+  };
+}
+
+/**
+ * 시즌 목록 (최신순) + 종료된 시즌의 파티션별 1위
+ * @returns {Promise<object[]>}  실패 시 throw
+ */
+export async function listSeasons(game, { offset = 0, limit = 20 } = {}) {
+  const { data, error } = await db.from("game_seasons")
+    .select(SEASON_COLUMNS)
+    .eq("game", game)
+    .order("season_no", { ascending: false })
+    .range(offset, offset + limit - 1);
+  if (error) throw error;
+  const seasons = data || [];
+
+  const closedIds = seasons.filter(s => s.status === "closed").map(s => s.id);
+  const champions = new Map();
+  if (closedIds.length > 0) {
+    const { data: hof, error: hErr } = await db.from("game_season_hall_of_fame")
+      .select(HOF_COLUMNS)
+      .in("season_id", closedIds)
+      .eq("rank", 1);
+    if (hErr) throw hErr;
+    const partitions = seasonPartitions(game);
+    for (const r of hof || []) {
+      const partition = partitions.find(p => seasonPartitionKey(game, p) === r.partition_key) || {};
+      if (!champions.has(r.season_id)) champions.set(r.season_id, []);
+      champions.get(r.season_id).push({ ...partition, ...hofRow(r) });
+    }
+  }
+  return seasons.map(s => ({ ...publicSeason(s), champions: champions.get(s.id) || [] }));
+}
+
+/** 시즌 1개 (다른 게임 시즌이면 null) — 실패 시 throw */
+export async function fetchSeason(game, seasonId) {
+  const { data, error } = await db.from("game_seasons")
+    .select(SEASON_COLUMNS)
+    .eq("id", seasonId)
+    .eq("game", game)
+    .maybeSingle();
+  if (error) throw error;
+  return data ? publicSeason(data) : null;
+}
+
+/**
+ * 종료된 시즌 리더보드 — 명예의 전당 스냅샷 (TOP SEASON_HOF_TOP 까지)
+ * @returns {Promise<{rows, me}>}  me = 스냅샷 안의 내 row | null. 실패 시 throw
+ */
+export async function fetchSeasonHallOfFame(game, seasonId, partition, { offset = 0, limit = SEASON_HOF_TOP, viewerId = null } = {}) {
+  const { data, error } = await db.from("game_season_hall_of_fame")
+    .select(HOF_COLUMNS)
+    .eq("season_id", seasonId)
+    .eq("partition_key", seasonPartitionKey(game, partition))
+    .order("rank", { ascending: true });
+  if (error) throw error;
+  const all = (data || []).map(r => hofRow(r));
+  const mine = viewerId ? all.find(r => r.user_id === viewerId) : null;
+  return {
+    rows: all.slice(offset, offset + limit),
+    me: mine ? { rank: mine.rank, row: mine } : null,
+  };
+}
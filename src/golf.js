@@ -7,30 +7,37 @@
 // 참조 패턴: fit.js
 // =========================
 
-const golfRooms = new Map();
-const golfInvites = new Map();
-const golfUserRoom = new Map();
+import { createRoomManager } from "./room-manager.js";
+import { roomNotFoundReply } from "./cluster.js";
+
+// 방 수명주기 (초대코드/빈 방 TTL/퇴장/강퇴/재요청) — 공용 매니저
+const rm = createRoomManager({
+  prefix: "golf",
+  publicRoom,
+  clearTimers: clearHoleTimer,
+  beforeLeave: (io, room, userId, p) => {
+    if (p && room.status === "playing" && p.status === "playing") {
+      p.status = "left";
+      p.connected = false;
+    }
+  },
+  afterLeave: (io, room) => {
+    if (room.status === "playing") checkAllHoledAndAdvance(io, room);
+  },
+  onDisconnect: (io, room, userId, p) => {
+    io.to(socketRoomName(room.id)).emit("golf:peerLeave", { playerId: userId, nickname: p.name });
+  },
+});
+const { socketRoomName, broadcastRoomState } = rm;
 
 const ALLOWED_MAX_PLAYERS = [2, 4, 6, 8];
 const ALLOWED_MODES = ["short", "hard"];
-const EMPTY_ROOM_TTL_MS = 30_000;
 const MAX_NICK_LEN = 14;
 const TOTAL_HOLES = 10;
 const HOLE_TIMEOUT_MS = 120_000;   // 한 홀 최대 2분 (안 끝나면 강제 진행)
 const POS_THROTTLE_MS = 50;        // peerPos 서버 throttle (클라 10Hz 송신 → 안전 마진)
 
 // ===== util =====
-function genInviteCode() {
-  for (let i = 0; i < 50; i++) {
-    const c = String(Math.floor(Math.random() * 1_000_000)).padStart(6, "0");
-    if (!golfInvites.has(c)) return c;
-  }
-  return String(Math.floor(Math.random() * 10_000_000)).padStart(7, "0");
-}
-function socketRoomName(roomId) { return `golf:${roomId}`; }
-function clearEmptyRoomTimer(room) {
-  if (room?.emptyRoomTimer) { clearTimeout(room.emptyRoomTimer); room.emptyRoomTimer = null; }
-}
 function clearHoleTimer(room) {
   if (room?.holeTimer) { clearTimeout(room.holeTimer); room.holeTimer = null; }
 }
@@ -99,59 +106,6 @@ function publicRoom(room) {
   };
 }
 
-function broadcastRoomState(io, room) {
-  io.to(socketRoomName(room.id)).emit("golf:roomState", publicRoom(room));
-}
-
-function deleteRoom(io, room, reason) {
-  clearEmptyRoomTimer(room);
-  clearHoleTimer(room);
-  golfRooms.delete(room.id);
-  golfInvites.delete(room.inviteCode);
-  for (const uid of room.playerOrder) {
-    if (golfUserRoom.get(uid) === room.id) golfUserRoom.delete(uid);
-  }
-  io.to(socketRoomName(room.id)).emit("golf:roomClosed", { reason });
-  io.in(socketRoomName(room.id)).socketsLeave(socketRoomName(room.id));
-  console.log(`[golf] room ${room.id} deleted: ${reason}`);
-}
-
-function maybeScheduleEmptyRoomDelete(io, room) {
-  const connected = [...room.players.values()].filter(p => p.connected).length;
-  if (connected === 0 && !room.emptyRoomTimer) {
-    room.emptyRoomTimer = setTimeout(() => {
-      const r = golfRooms.get(room.id);
-      if (!r) return;
-      const stillEmpty = [...r.players.values()].every(p => !p.connected);
-      if (stillEmpty) deleteRoom(io, r, "EMPTY");
-    }, EMPTY_ROOM_TTL_MS);
-  }
-}
-
-function leavePlayer(io, room, userId) {
-  if (!room.players.has(userId)) return;
-  const wasHost = room.hostUserId === userId;
-  const p = room.players.get(userId);
-  if (p && room.status === "playing" && p.status === "playing") {
-    p.status = "left";
-    p.connected = false;
-  }
-  room.players.delete(userId);
-  const idx = room.playerOrder.indexOf(userId);
-  if (idx >= 0) room.playerOrder.splice(idx, 1);
-  if (golfUserRoom.get(userId) === room.id) golfUserRoom.delete(userId);
-  if (wasHost && room.playerOrder.length > 0) room.hostUserId = room.playerOrder[0];
-  io.to(socketRoomName(room.id)).emit("golf:peerLeave", { playerId: userId, nickname: p?.name });
-  if (room.playerOrder.length === 0) {
-    deleteRoom(io, room, "ALL_LEFT");
-    return;
-  }
-  if (room.status === "playing") {
-    checkAllHoledAndAdvance(io, room);
-  }
-  broadcastRoomState(io, room);
-}
-
 // ===== 홀 진행 =====
 function startHole(io, room, holeIndex) {
   room.holeIndex = holeIndex;
@@ -166,7 +120,7 @@ function startHole(io, room, holeIndex) {
   }
   clearHoleTimer(room);
   room.holeTimer = setTimeout(() => {
-    const r = golfRooms.get(room.id);
+    const r = rm.rooms.get(room.id);
     if (r && r.status === "playing" && r.holeIndex === holeIndex) {
       // 시간 초과 → 못 들어간 사람들도 그냥 진행 (totalStrokes에 par+3 같은 페널티 부여)
       for (const p of r.players.values()) {
@@ -253,16 +207,13 @@ export function registerGolf(io, supabaseAdmin) {
     socket.on("golf:createRoom", async (payload, cb) => {
       try {
         if (me.isGuest) return cb?.({ ok: false, error: "GUEST_CANNOT_CREATE" });
-        if (golfUserRoom.has(me.id)) {
-          const old = golfRooms.get(golfUserRoom.get(me.id));
-          if (old) leavePlayer(io, old, me.id);
-        }
+        rm.leaveCurrentRoom(io, me.id);
         const maxPlayers = ALLOWED_MAX_PLAYERS.includes(Number(payload?.maxPlayers))
           ? Number(payload.maxPlayers) : 8;
         const mode = ALLOWED_MODES.includes(payload?.mode) ? payload.mode : "short";
 
-        const roomId = `gf_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
-        const inviteCode = genInviteCode();
+        const roomId = rm.newRoomId("gf");
+        const inviteCode = rm.genInviteCode();
         const room = {
           id: roomId, inviteCode, hostUserId: me.id,
           status: "lobby", maxPlayers, mode,
@@ -272,8 +223,7 @@ export function registerGolf(io, supabaseAdmin) {
           emptyRoomTimer: null, holeTimer: null,
           holeStartT: 0,
         };
-        golfRooms.set(roomId, room);
-        golfInvites.set(inviteCode, roomId);
+        rm.addRoom(room);
 
         let avatar = null, nick = payload?.nickname;
         try {
@@ -283,8 +233,7 @@ export function registerGolf(io, supabaseAdmin) {
         } catch {}
         room.players.set(me.id, newPlayerState(nick || "방장", false, avatar, socket.id));
         room.playerOrder.push(me.id);
-        golfUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode, playerId: me.id, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -298,18 +247,13 @@ export function registerGolf(io, supabaseAdmin) {
     // ----- 입장 -----
     socket.on("golf:joinRoom", async (payload, cb) => {
       try {
-        const code = String(payload?.inviteCode || "").trim();
-        const roomId = golfInvites.get(code);
-        const room = roomId ? golfRooms.get(roomId) : null;
-        if (!room) return cb?.({ ok: false, error: "ROOM_NOT_FOUND" });
+        const room = rm.findByInvite(payload?.inviteCode);
+        if (!room) return cb?.(roomNotFoundReply(rm.prefix, payload?.inviteCode));
+        const roomId = room.id;
         if (room.status === "ended") return cb?.({ ok: false, error: "GAME_ENDED" });
 
         if (room.players.has(me.id)) {
-          const p = room.players.get(me.id);
-          p.connected = true; p.socketId = socket.id;
-          socket.join(socketRoomName(roomId));
-          golfUserRoom.set(me.id, roomId);
-          clearEmptyRoomTimer(room);
+          rm.reconnect(socket, room, me.id);
           cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room), rejoined: true });
           broadcastRoomState(io, room);
           return;
@@ -328,9 +272,7 @@ export function registerGolf(io, supabaseAdmin) {
         const playerName = nick || (me.isGuest ? "게스트" : "유저");
         room.players.set(me.id, newPlayerState(playerName, !!me.isGuest, avatar, socket.id));
         room.playerOrder.push(me.id);
-        golfUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
-        clearEmptyRoomTimer(room);
+        rm.seat(socket, room, me.id);
 
         io.to(socketRoomName(room.id)).emit("golf:peerJoin", { player: publicPlayer(me.id, room.players.get(me.id)) });
         cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room) });
@@ -343,8 +285,7 @@ export function registerGolf(io, supabaseAdmin) {
 
     // ----- 호스트 설정 -----
     socket.on("golf:setMaxPlayers", (payload, cb) => {
-      const roomId = golfUserRoom.get(me.id);
-      const room = roomId ? golfRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
@@ -357,8 +298,7 @@ export function registerGolf(io, supabaseAdmin) {
     });
 
     socket.on("golf:setMode", (payload, cb) => {
-      const roomId = golfUserRoom.get(me.id);
-      const room = roomId ? golfRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
@@ -371,8 +311,7 @@ export function registerGolf(io, supabaseAdmin) {
 
     // ----- 게임 시작 -----
     socket.on("golf:startGame", (_payload, cb) => {
-      const roomId = golfUserRoom.get(me.id);
-      const room = roomId ? golfRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status === "playing") return cb?.({ ok: false, error: "ALREADY_PLAYING" });
@@ -412,8 +351,7 @@ export function registerGolf(io, supabaseAdmin) {
 
     // ----- Snapshot relay: 샷 발사 -----
     socket.on("golf:peerShot", (payload) => {
-      const roomId = golfUserRoom.get(me.id);
-      const room = roomId ? golfRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return;
       const p = room.players.get(me.id);
       if (!p || p.status !== "playing" || p.holed) return;
@@ -433,8 +371,7 @@ export function registerGolf(io, supabaseAdmin) {
 
     // ----- Snapshot relay: 위치 업데이트 (10Hz throttle) -----
     socket.on("golf:peerPos", (payload) => {
-      const roomId = golfUserRoom.get(me.id);
-      const room = roomId ? golfRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return;
       const p = room.players.get(me.id);
       if (!p || p.status !== "playing" || p.holed) return;
@@ -453,8 +390,7 @@ export function registerGolf(io, supabaseAdmin) {
 
     // ----- Snapshot relay: 정지 -----
     socket.on("golf:peerStop", (payload) => {
-      const roomId = golfUserRoom.get(me.id);
-      const room = roomId ? golfRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return;
       const p = room.players.get(me.id);
       if (!p || p.status !== "playing") return;
@@ -468,8 +404,7 @@ export function registerGolf(io, supabaseAdmin) {
 
     // ----- 홀인 -----
     socket.on("golf:peerHoleIn", (payload) => {
-      const roomId = golfUserRoom.get(me.id);
-      const room = roomId ? golfRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return;
       const p = room.players.get(me.id);
       if (!p || p.status !== "playing" || p.holed) return;
@@ -497,55 +432,7 @@ export function registerGolf(io, supabaseAdmin) {
       checkAllHoledAndAdvance(io, room);
     });
 
-    // ----- 자발 퇴장 -----
-    socket.on("golf:leaveRoom", (_payload, cb) => {
-      const roomId = golfUserRoom.get(me.id);
-      const room = roomId ? golfRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: true });
-      leavePlayer(io, room, me.id);
-      socket.leave(socketRoomName(room.id));
-      cb?.({ ok: true });
-    });
-
-    // ----- 상태 재요청 -----
-    socket.on("golf:requestState", (_payload, cb) => {
-      const roomId = golfUserRoom.get(me.id);
-      const room = roomId ? golfRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      cb?.({ ok: true, room: publicRoom(room) });
-    });
-
-    // ----- 호스트 강퇴 (로비 한정) -----
-    socket.on("golf:kickPlayer", (payload, cb) => {
-      const roomId = golfUserRoom.get(me.id);
-      const room = roomId ? golfRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
-      if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
-      const targetId = String(payload?.targetUserId || "");
-      if (!targetId || targetId === me.id) return cb?.({ ok: false, error: "INVALID_TARGET" });
-      if (!room.players.has(targetId)) return cb?.({ ok: false, error: "TARGET_NOT_IN_ROOM" });
-      const target = room.players.get(targetId);
-      if (target?.socketId) io.to(target.socketId).emit("golf:kicked", { reason: "KICKED_BY_HOST" });
-      leavePlayer(io, room, targetId);
-      cb?.({ ok: true });
-    });
-
-    // ----- 연결 해제 -----
-    socket.on("disconnect", () => {
-      const roomId = golfUserRoom.get(me.id);
-      const room = roomId ? golfRooms.get(roomId) : null;
-      if (!room) return;
-      const p = room.players.get(me.id);
-      if (!p) return;
-      if (p.socketId !== socket.id) return;
-      p.connected = false;
-      if (room.status === "lobby") {
-        leavePlayer(io, room, me.id);
-      } else {
-        io.to(socketRoomName(room.id)).emit("golf:peerLeave", { playerId: me.id, nickname: p.name });
-        maybeScheduleEmptyRoomDelete(io, room);
-      }
-    });
+    // ----- 퇴장/강퇴/상태 재요청/연결 해제 — 공용 매니저 -----
+    rm.attach(io, socket);
   });
 }
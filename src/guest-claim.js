@@ -0,0 +1,214 @@
+// =========================
+// 게스트 기록 → 계정 이전 — 비로그인으로 플레이하다 로그인한 유저가 자기 기록을 가져옴
+//   증명: 게스트 id / 월드컵 session id 는 서버가 발급 (issueGuestIdentity) 하면서 HMAC 토큰을 같이 줌
+//         이전 요청은 id 마다 그 토큰이 있어야 하고, 하나라도 틀리면 아무것도 건드리지 않음 (INVALID_GUEST_TOKEN)
+//         GUEST_TOKEN_SECRET 없으면 NODE_ENV=development|test 에서만 고정 기본값, 그 외엔 발급/이전 비활성
+//   예전 id: 토큰 도입 전 클라가 만든 id 는 adoptLegacyIdentity 로 한 번만 토큰을 받아 감 (guest_ids PK)
+//         아직 옮기지 않은 기록이 있는 id 만, 서버 발급 id 나 이미 가져간 id 는 불가 (IP rate limit 은 index.js)
+//         id 가 방 상태 등으로 노출됐을 수 있어 먼저 가져간 기기가 임자 — 이전 기간 한정 절충
+//   점수   판마다 INSERT 테이블 (merge/dodge/gachatd) 의 guest_id 가 같은 row (user_id 없는 것만) → 전부 user_id 로 옮김
+//          유저당 최고 1개는 조회 시 고르므로 충돌 없음
+//          유저당 1 row 테이블 (apple/memory/blockblast) 은 로그인 제출만 받아서 게스트 row 가 없음 → 대상 아님
+//          옮긴 기록 중 진행 중 시즌 기간의 공식 기록은 시즌 최고에도 반영 (game-seasons.js)
+//   월드컵 비로그인 판 (worldcup_runs.session_id) → 로그인 판으로 표시 (meta.user_id) + play_history 추가
+// 스키마: sql/schema_guest_ids.sql
+// 사용: POST /guest/ids, POST /guest/ids/adopt, POST /me/claim-guest (index.js)
+// =========================
+
+import crypto from "node:crypto";
+import { LEADERBOARD_GAMES, leaderboardConfig, isAhead, seasonPartitionKey } from "./leaderboards.js";
+import { currentSeason, recordSeasonScore } from "./game-seasons.js";
+
+export const MAX_CLAIM_SESSIONS = 100;
+export const GUEST_ID_KINDS = ["guest", "session"];
+
+const DEV = ["development", "test"].includes(process.env.NODE_ENV);
+const SECRET = process.env.GUEST_TOKEN_SECRET || (DEV ? "duo-guest-token-dev" : null);
+export const GUEST_TOKENS_ENABLED = !!SECRET;
+if (!SECRET) console.warn("[guest-claim] GUEST_TOKEN_SECRET 미설정 — 게스트 기록 이전 비활성");
+
+// 게스트 기록이 있는 테이블 — 판마다 INSERT (유저당 1 row 테이블은 로그인 제출만)
+const GUEST_SCORE_GAMES = LEADERBOARD_GAMES.filter(g => !leaderboardConfig(g).onePerUser);
+const LEGACY_ID_RE = /^[A-Za-z0-9_-]{8,64}$/;
+
+let db = null;
+
+/** index.js에서 1회 — supabaseAdmin 주입 */
+export function initGuestClaim(supabaseAdmin) {
+  db = supabaseAdmin;
+}
+
+function guestToken(kind, id) {
+  return crypto.createHmac("sha256", SECRET).update(`${kind}:${id}`).digest("base64url");
+}
+
+/** id 에 대해 발급한 토큰인지 (kind 가 다르면 불일치) */
+export function verifyGuestToken(kind, id, token) {
+  if (!SECRET || typeof id !== "string" || typeof token !== "string") return false;
+  const want = Buffer.from(guestToken(kind, id));
+  const got = Buffer.from(token);
+  return got.length === want.length && crypto.timingSafeEqual(got, want);
+}
+
+/**
+ * 게스트 id (guest_…) / 월드컵 session id 발급 + 이전용 토큰 — guest_ids 에 기록 (예전 id 로 가져가기 방지)
+ * @param {string} kind  guest | session
+ * @returns {Promise<{id, token}>}  실패 시 throw
+ */
+export async function issueGuestIdentity(kind) {
+  if (!SECRET) throw new Error("GUEST_TOKEN_SECRET not set");
+  const id = kind === "guest" ? `guest_${crypto.randomUUID()}` : crypto.randomUUID();
+  const { error } = await db.from("guest_ids").insert({ id, kind, origin: "issued" });
+  if (error) throw error;
+  return { id, token: guestToken(kind, id) };
+}
+
+// 아직 옮기지 않은 기록이 있는 id 인지
+async function hasUnclaimed(kind, id) {
+  const checks = kind === "guest"
+    ? GUEST_SCORE_GAMES.map(g => db.from(leaderboardConfig(g).table).select("id", { count: "exact", head: true })
+      .eq("guest_id", id).is("user_id", null))
+    : [db.from("worldcup_runs").select("id", { count: "exact", head: true }).eq("session_id", id).eq("is_logged_in", false)];
+  for (const { count, error } of await Promise.all(checks)) {
+    if (error) throw error;
+    if (count > 0) return true;
+  }
+  return false;
+}
+
+/**
+ * 토큰 도입 전 클라가 만든 id 에 한 번만 토큰 발급
+ * @param {string} kind  guest | session
+ * @param {string} id    기기에 저장된 예전 id
+ * @returns {Promise<{error, status} | {id, token}>}  DB 실패 시 throw
+ */
+export async function adoptLegacyIdentity(kind, id) {
+  if (!SECRET) throw new Error("GUEST_TOKEN_SECRET not set");
+  if (typeof id !== "string" || !LEGACY_ID_RE.test(id)) return { status: 400, error: "INVALID_ID" };
+  if (!(await hasUnclaimed(kind, id))) return { status: 404, error: "NOTHING_TO_CLAIM" };
+  // PK — 서버 발급 id / 이미 가져간 id 는 충돌
+  const { error } = await db.from("guest_ids").insert({ id, kind, origin: "legacy" });
+  if (error) {
+    if (String(error.code) === "23505") return { status: 409, error: "ALREADY_ADOPTED" };
+    throw error;
+  }
+  return { id, token: guestToken(kind, id) };
+}
+
+// 파티션 안에서 더 좋은 기록 — flagged 가 아닌 쪽 우선
+function better(game, a, b) {
+  if (!b) return true;
+  if (a.flagged !== b.flagged) return !a.flagged;
+  return isAhead(game, a, a, b);
+}
+
+function groupBy(rows, keyOf) {
+  const groups = new Map();
+  for (const r of rows) {
+    const k = keyOf(r);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(r);
+  }
+  return groups;
+}
+
+async function claimRunTable(def, userId, guestId) {
+  const { data, error } = await db.from(def.table)
+    .update({ user_id: userId, guest_id: null })
+    .eq("guest_id", guestId)
+    .is("user_id", null)
+    .select("*");
+  if (error) throw error;
+  return data || [];
+}
+
+// 진행 중 시즌 기간의 공식 기록 — 시즌 파티션마다 최고 1개만 반영. 실패해도 이전 결과엔 영향 없음
+async function recordClaimedSeason(game, rows) {
+  try {
+    const season = await currentSeason(game);
+    const inSeason = rows.filter(r => !r.flagged && r.user_id && r.created_at >= season.starts_at);
+    for (const group of groupBy(inSeason, r => seasonPartitionKey(game, r)).values()) {
+      await recordSeasonScore(game, group.reduce((b, r) => (better(game, r, b) ? r : b), null));
+    }
+  } catch (e) {
+    console.error(`[claim-guest] ${game} season record error:`, e.message || e);
+  }
+}
+
+async function claimWorldcupRuns(userId, sessionIds) {
+  const { data: runs, error } = await db.from("worldcup_runs")
+    .select("id, content_id, session_id, champion_candidate_id, meta, created_at")
+    .in("session_id", sessionIds)
+    .eq("is_logged_in", false);
+  if (error) throw error;
+  if (!runs?.length) return { runs: 0, history: 0 };
+
+  for (const run of runs) {
+    const meta = { ...run.meta, user_id: userId, claimed_guest: true };
+    delete meta.anon;
+    const { error: uErr } = await db.from("worldcup_runs")
+      .update({ is_logged_in: true, meta })
+      .eq("id", run.id)
+      .eq("is_logged_in", false);
+    if (uErr) throw uErr;
+  }
+  const runIds = runs.map(r => r.id);
+  const { error: mErr } = await db.from("worldcup_matches")
+    .update({ is_logged_in: true })
+    .in("run_id", runIds);
+  if (mErr) throw mErr;
+
+  // play_history — 재시도해도 중복되지 않게 idempotency_key = claim:<runId>
+  const keys = runIds.map(id => `claim:${id}`);
+  const { data: existing } = await db.from("play_history").select("idempotency_key").in("idempotency_key", keys);
+  const have = new Set((existing || []).map(r => r.idempotency_key));
+  const champIds = [...new Set(runs.map(r => r.champion_candidate_id))];
+  const { data: cands } = await db.from("worldcup_candidates").select("id, name").in("id", champIds);
+  const names = new Map((cands || []).map(c => [c.id, c.name]));
+  const history = runs
+    .filter(r => !have.has(`claim:${r.id}`))
+    .map(r => ({
+      user_id: userId,
+      content_id: r.content_id,
+      content_type: "worldcup",
+      mode: r.meta?.mode === "multi" ? "multi" : "solo",
+      played_at: r.created_at,
+      result_json: {
+        champion_candidate_id: r.champion_candidate_id,
+        champion_name: names.get(r.champion_candidate_id) || null,
+        run_id: r.id,
+      },
+      idempotency_key: `claim:${r.id}`,
+    }));
+  if (history.length > 0) {
+    const { error: hErr } = await db.from("play_history").insert(history);
+    if (hErr) throw hErr;
+  }
+  return { runs: runs.length, history: history.length };
+}
+
+/**
+ * 게스트 기록 이전 — 토큰 검증이 전부 통과해야 시작
+ * @param {string} userId
+ * @param {object} o
+ * @param {string} [o.guestId]       점수 테이블 guest_id
+ * @param {string} [o.guestToken]    guestId 발급 때 받은 토큰
+ * @param {{id, token}[]} [o.sessions]  비로그인 월드컵 판 session_id + 토큰 (최대 MAX_CLAIM_SESSIONS)
+ * @returns {Promise<{error} | {scores, worldcup}>}  scores[game] = { moved }. DB 실패 시 throw (앞서 옮긴 테이블은 유지)
+ */
+export async function claimGuest(userId, { guestId = null, guestToken: token = null, sessions = [] }) {
+  if (guestId && !verifyGuestToken("guest", guestId, token)) return { error: "INVALID_GUEST_TOKEN" };
+  if (sessions.some(s => !verifyGuestToken("session", s.id, s.token))) return { error: "INVALID_GUEST_TOKEN" };
+  const sessionIds = [...new Set(sessions.map(s => s.id))];
+
+  const scores = {};
+  if (guestId) {
+    for (const game of GUEST_SCORE_GAMES) {
+      const moved = await claimRunTable(leaderboardConfig(game), userId, guestId);
+      if (moved.length > 0) await recordClaimedSeason(game, moved);
+      scores[game] = { moved: moved.length };
+    }
+  }
+  const worldcup = sessionIds.length > 0 ? await claimWorldcupRuns(userId, sessionIds) : { runs: 0, history: 0 };
+  return { scores, worldcup };
+}
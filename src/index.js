@@ -1,5 +1,6 @@
 import "dotenv/config";
 import http from "http";
+import { fileURLToPath } from "url";
 import express from "express";
 import cors from "cors";
 import helmet from "helmet";
@@ -38,6 +39,25 @@ import { registerAppleMulti } from "./apple-multi.js";
 import { registerMemoryMulti } from "./memory-multi.js";
 import { registerBlockBlastMulti } from "./blockblast-multi.js";
 import { registerYachtMulti } from "./yacht-multi.js";
+import { roomStore, ROOM_RESTORE_GRACE_MS } from "./room-store.js";
+import { attachCluster, createBusFromEnv, roomDirectory, roomNotFoundReply } from "./cluster.js";
+import { registerMatchmaking, leaveQueueOnSeat } from "./matchmaking.js";
+import { initPlayerStats, fetchPlayerStats } from "./player-stats.js";
+import { initWorldcupStrength, getCandidateStrengths, getRecentPairCounts, pairKey, fetchPairMatrix } from "./worldcup-strength.js";
+import { initWorldcupCompare, compareRun } from "./worldcup-compare.js";
+import { verifyAppleReplay, verifyMemoryReplay, verifyBlockBlastReplay, initScoreReplay, startScoreRun, consumeScoreRun, pruneScoreRuns, SCORE_RUN_GAMES, SCORE_REPLAY_REQUIRED } from "./score-replay.js";
+import { normalizeAnswerMatch, matchShortAnswer } from "./quiz-answer-match.js";
+import { normalizeEstimateMatch, getEstimateBand, getEstimateScore, getMultiSelectScore } from "./quiz-partial-score.js";
+import { ANALYTICS_SOURCES, initQuizAnalytics, recordAnswerEvents, fetchQuizAnalytics } from "./quiz-analytics.js";
+import { QUIZ_ORDERS, RECENT_QUESTION_LIMIT, initQuizOrdering, fetchQuestionDifficulty, pickQuestionSubset, orderQuestions, pickNextAdaptive } from "./quiz-ordering.js";
+import { normalizeSurvivalBlock, createSurvivalState, survivalActiveIds, survivalAfterQuestion, survivalStandings, publicSurvival } from "./quiz-survival.js";
+import { initLeaderboards, LEADERBOARD_GAMES, LEADERBOARD_WINDOWS, LEADERBOARD_SCOPES, leaderboardConfig, parsePartition, fetchLeaderboard, fetchMyBest } from "./leaderboards.js";
+import { initGameSeasons, SEASON_HOF_TOP, tickSeasons, recordSeasonScore, listSeasons, fetchSeason, fetchSeasonHallOfFame } from "./game-seasons.js";
+import { initDailyChallenge, DAILY_GAMES, DAILY_CHALLENGE_ENABLED, challengeDate, fetchChallenge, startAttempt, submitAttempt, fetchDailyLeaderboard } from "./daily-challenge.js";
+import { initGuestClaim, MAX_CLAIM_SESSIONS, GUEST_ID_KINDS, GUEST_TOKENS_ENABLED, issueGuestIdentity, adoptLegacyIdentity, claimGuest } from "./guest-claim.js";
+import { SEEDING_MODES, classicBracket, balancedBracket } from "./worldcup-bracket.js";
+import { WC_FORMATS, LEAGUE_MAX_CANDIDATES, createFormatState, formatCurrentPair, formatRecordResult, formatRoundInfo, formatTotalMatches, formatStandings } from "./worldcup-formats.js";
+import { initRatings, RATED_GAMES, RATING_QUEUES, fetchRatingLeaderboard, fetchMyRatings } from "./ratings.js";
 
 // ── 전역 크래시 가드 ──
 // 처리 안 된 예외/Promise 거부가 서버 프로세스 전체를 죽이는 것 방지.
@@ -2792,6 +2812,24 @@ const io = new Server(server, {
   }
 });
 
+// 멀티 프로세스: CLUSTER_BUS 로 고른 공유 bus에 클러스터 어댑터 설치 (미설정이면 단일 노드 — cluster.js 참고)
+attachCluster(io, createBusFromEnv({ supabase: supabaseAdmin }));
+
+// ── 방 라우팅: 초대코드/roomId의 주인 노드 조회 (code 없으면 새 방 만들 노드 추천) ──
+//   GET /cluster/route?game=omok&code=123456 → { ok, nodeId, url, local }
+//   game: 월드컵/퀴즈/티어 방은 "room", DUO 게임은 이벤트 prefix (omok, cg, bp, apple, ...)
+app.get("/cluster/route", (req, res) => {
+  const game = String(req.query.game || "room");
+  const code = String(req.query.code || "").trim();
+  if (code) {
+    const owner = roomDirectory.lookup(game, code);
+    if (!owner) return res.status(404).json({ ok: false, error: "ROOM_NOT_FOUND" });
+    return res.json({ ok: true, nodeId: owner.nodeId, url: owner.url, local: owner.local });
+  }
+  const node = roomDirectory.pickNodeForNewRoom();
+  res.json({ ok: true, nodeId: node.nodeId, url: node.url, local: node.self });
+});
+
 
 
 // =========================
@@ -6155,8 +6193,13 @@ app.put("/my/contents/:id", requireAuth, async (req, res) => {
           sort_order: i + 1,
           type: q.type || "mcq",
           prompt: q.prompt,
-          choices: q.choices || [],
-          answer: q.answer || [],
+          choices: q.type === "estimate" ? [] : (q.choices || []),
+          // 근사치: [정답 숫자], 복수 선택: 정답 보기 인덱스 (중복 제거 + 정렬)
+          answer: q.type === "estimate"
+            ? [Number(String(q.answer?.[0] ?? "").replace(/[,\s]/g, ""))].filter(Number.isFinite)
+            : q.type === "multi_select"
+              ? [...new Set((q.answer || []).map(Number).filter(Number.isInteger))].sort((a, b) => a - b)
+              : (q.answer || []),
           media_type: q.media_type || null,
           media_url: q.media_url || null,
           start_sec: q.start_sec || 0,
@@ -6168,6 +6211,10 @@ app.put("/my/contents/:id", requireAuth, async (req, res) => {
           media_display_option: (q.media_display_option && typeof q.media_display_option === "object") ? q.media_display_option : {},
           mute_video: q.type === "video_youtube" ? !!q.mute_video : false,
           loop_video: q.type === "video_youtube" ? !!q.loop_video : false,
+          // 채점 옵션 — 주관식: quiz-answer-match.js (안 보내면 strict = 완전 일치), 근사치: 허용 범위
+          answer_match: SHORT_ANSWER_TYPES.has(q.type) && q.answer_match ? normalizeAnswerMatch(q.answer_match)
+            : q.type === "estimate" ? normalizeEstimateMatch(q.answer_match)
+              : {},
         };
         if (row.reveal_media_url) {
           console.log(`[REVEAL-MEDIA] PUT q${i}: reveal_media_url=${row.reveal_media_url}, reveal_media_type=${row.reveal_media_type}`);
@@ -6350,7 +6397,7 @@ app.post("/worldcup/finish", requireAuth, async (req, res) => {
     }
 
     // 1) worldcup_runs insert
-    const { error: runErr } = await supabaseAdmin.from("worldcup_runs").insert({
+    const { data: run, error: runErr } = await supabaseAdmin.from("worldcup_runs").insert({
       content_id: cId,
       room_id: null,
       total_players: players,
@@ -6358,7 +6405,7 @@ app.post("/worldcup/finish", requireAuth, async (req, res) => {
       session_id: sid,
       is_logged_in: true,
       meta: { mode: mode || "solo", user_id: req.user.id, inserted_matches: (matches || []).length },
-    });
+    }).select("id").single();
     if (runErr) {
       console.warn("[POST /worldcup/finish] worldcup_runs insert error:", runErr.message);
       return res.status(500).json({ ok: false, error: "RUN_INSERT_FAILED" });
@@ -6376,6 +6423,7 @@ app.post("/worldcup/finish", requireAuth, async (req, res) => {
         loser_candidate_id: m.loser_candidate_id || null,
         is_tie: !!m.is_tie,
         session_id: sid,
+        run_id: run.id,
         is_logged_in: true,
         meta: m.meta || {},
       }));
@@ -6390,7 +6438,7 @@ app.post("/worldcup/finish", requireAuth, async (req, res) => {
     recordPlayOnce({ contentId: cId, userId: req.user.id, mode: "solo", gameType: "worldcup" }).catch(() => {});
 
     console.log(`[POST /worldcup/finish] OK — userId=${req.user.id} contentId=${cId} champion=${champId} matches=${(matches || []).length}`);
-    return res.json({ ok: true });
+    return res.json({ ok: true, runId: run.id });
   } catch (err) {
     console.error("[POST /worldcup/finish] error:", err);
     return res.status(500).json({ ok: false, error: "INTERNAL_ERROR" });
@@ -6426,11 +6474,11 @@ app.post("/worldcup/finish-anon", async (req, res) => {
       .eq("content_id", cId)
       .limit(1);
     if (existing && existing.length > 0) {
-      return res.json({ ok: true, skipped: true });
+      return res.json({ ok: true, skipped: true, runId: existing[0].id });
     }
 
     // 1) worldcup_runs insert
-    const { error: runErr } = await supabaseAdmin.from("worldcup_runs").insert({
+    const { data: run, error: runErr } = await supabaseAdmin.from("worldcup_runs").insert({
       content_id: cId,
       room_id: null,
       total_players: 1,
@@ -6438,7 +6486,7 @@ app.post("/worldcup/finish-anon", async (req, res) => {
       session_id: sid,
       is_logged_in: false,
       meta: { mode: mode || "solo", anon: true, inserted_matches: (matches || []).length },
-    });
+    }).select("id").single();
     if (runErr) {
       console.warn("[POST /worldcup/finish-anon] worldcup_runs insert error:", runErr.message);
       return res.status(500).json({ ok: false, error: "RUN_INSERT_FAILED" });
@@ -6456,6 +6504,7 @@ app.post("/worldcup/finish-anon", async (req, res) => {
         loser_candidate_id: m.loser_candidate_id || null,
         is_tie: !!m.is_tie,
         session_id: sid,
+        run_id: run.id,
         is_logged_in: false,
         meta: m.meta || {},
       }));
@@ -6470,7 +6519,7 @@ app.post("/worldcup/finish-anon", async (req, res) => {
     await incrementPlayCount(cId);
 
     console.log(`[POST /worldcup/finish-anon] OK — sid=${sid} contentId=${cId} champion=${champId} matches=${(matches || []).length} play_count+1`);
-    return res.json({ ok: true });
+    return res.json({ ok: true, runId: run.id });
   } catch (err) {
     console.error("[POST /worldcup/finish-anon] error:", err);
     return res.status(500).json({ ok: false, error: "INTERNAL_ERROR" });
@@ -6538,6 +6587,121 @@ app.get("/balance/stats", async (req, res) => {
   }
 });
 
+// GET /worldcup/:contentId/strengths — 후보별 Bradley-Terry 강도 (상대 전적 반영 랭킹)
+//   ?minGames=N : N판 미만 후보 제외 (기본 0)
+initWorldcupStrength(supabaseAdmin);
+
+// 후보 통계 공개 범위 — 월드컵 콘텐츠만, private 은 owner만. 통과면 null
+async function _worldcupStatsAccess(req, contentId) {
+  const { data: content } = await supabaseAdmin
+    .from("contents")
+    .select("id, mode, visibility, owner_id")
+    .eq("id", contentId)
+    .maybeSingle();
+  if (!content || content.mode !== "worldcup") return { status: 404, error: "NOT_FOUND" };
+  if (content.visibility === "private") {
+    const user = await getOptionalUser(req);
+    if (!user || user.id !== content.owner_id) return { status: 403, error: "FORBIDDEN" };
+  }
+  return null;
+}
+
+app.get("/worldcup/:contentId/strengths", async (req, res) => {
+  try {
+    const contentId = String(req.params.contentId || "");
+    if (!_isValidId(contentId)) return res.status(400).json({ ok: false, error: "INVALID_ID" });
+    const minGames = Math.max(0, parseInt(req.query.minGames, 10) || 0);
+
+    const denied = await _worldcupStatsAccess(req, contentId);
+    if (denied) return res.status(denied.status).json({ ok: false, error: denied.error });
+
+    const { strengths, matchCount, fittedAt } = await getCandidateStrengths(contentId);
+    const { data: cands } = await supabaseAdmin
+      .from("worldcup_candidates")
+      .select("id, name, media_type, media_url, thumbnail_url")
+      .eq("content_id", contentId)
+      .eq("is_active", true);
+
+    const rows = (cands || [])
+      .map(c => ({ candidateId: c.id, name: c.name, media_type: c.media_type, media_url: c.media_url, thumbnail_url: c.thumbnail_url || null, ...strengths.get(c.id) }))
+      .filter(r => r.strength != null && r.games >= minGames)
+      .sort((a, b) => b.strength - a.strength || b.games - a.games);
+    rows.forEach((r, i) => { r.rank = i + 1; });
+
+    return res.json({ ok: true, contentId, matchCount, fittedAt, candidates: rows });
+  } catch (err) {
+    console.error("[GET /worldcup/:contentId/strengths] error:", err);
+    return res.status(500).json({ ok: false, error: "INTERNAL_ERROR" });
+  }
+});
+
+// GET /worldcup/:contentId/matrix — 후보 × 후보 승/패/무 행렬 (worldcup_pair_stats 누적 집계)
+//   ?minGames=N (기본 1) : N판 미만 맞대결 칸 제외
+//   ?offset&limit (기본 0/50, 최대 100) : 행(후보) 페이지 — 열은 전체 후보, 칸은 희소 객체
+app.get("/worldcup/:contentId/matrix", async (req, res) => {
+  try {
+    const contentId = String(req.params.contentId || "");
+    if (!_isValidId(contentId)) return res.status(400).json({ ok: false, error: "INVALID_ID" });
+    const minGames = Math.max(1, parseInt(req.query.minGames, 10) || 1);
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const denied = await _worldcupStatsAccess(req, contentId);
+    if (denied) return res.status(denied.status).json({ ok: false, error: denied.error });
+
+    const candidates = await _fetchAllRows("worldcup_candidates", q =>
+      q.eq("content_id", contentId)
+       .eq("is_active", true)
+       .order("sort_order", { ascending: true })
+       .order("id", { ascending: true }), "id, name, media_type, thumbnail_url");
+    const page = candidates.slice(offset, offset + limit);
+    const cells = await fetchPairMatrix(contentId, page.map(c => c.id), minGames);
+
+    return res.json({
+      ok: true, contentId, minGames,
+      total: candidates.length, offset, limit,
+      rows: page.map(c => c.id),
+      candidates: candidates.map(c => ({ id: c.id, name: c.name, media_type: c.media_type, thumbnail_url: c.thumbnail_url || null })),
+      cells,
+    });
+  } catch (err) {
+    console.error("[GET /worldcup/:contentId/matrix] error:", err);
+    return res.status(500).json({ ok: false, error: "INTERNAL_ERROR" });
+  }
+});
+
+// GET /worldcup/runs/:runId/compare — 완주한 판의 내 선택 vs 전체 (worldcup-compare.js)
+//   로그인 판은 본인만, 비로그인 판은 ?sessionId= 가 판의 session_id 와 같아야 함
+initWorldcupCompare(supabaseAdmin);
+
+app.get("/worldcup/runs/:runId/compare", async (req, res) => {
+  try {
+    const runId = String(req.params.runId || "");
+    if (!_isValidId(runId)) return res.status(400).json({ ok: false, error: "INVALID_ID" });
+
+    const { data: run, error } = await supabaseAdmin
+      .from("worldcup_runs")
+      .select("id, content_id, session_id, champion_candidate_id, meta, created_at")
+      .eq("id", runId)
+      .maybeSingle();
+    if (error) return res.status(500).json({ ok: false, error: "QUERY_FAILED" });
+    if (!run) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+
+    if (run.meta?.user_id) {
+      const user = await getOptionalUser(req);
+      if (!user || user.id !== run.meta.user_id) return res.status(403).json({ ok: false, error: "FORBIDDEN" });
+    } else if (!run.session_id || String(req.query.sessionId || "") !== run.session_id) {
+      return res.status(403).json({ ok: false, error: "FORBIDDEN" });
+    }
+
+    const result = await compareRun(run);
+    return res.json({ ok: true, runId, contentId: run.content_id, playedAt: run.created_at, ...result });
+  } catch (err) {
+    console.error("[GET /worldcup/runs/:runId/compare] error:", err);
+    return res.status(500).json({ ok: false, error: "INTERNAL_ERROR" });
+  }
+});
+
 app.get("/worldcup/pair-stats", async (req, res) => {
   try {
     const { contentId, a, b } = req.query;
@@ -6639,6 +6803,50 @@ app.post("/quiz/finish", async (req, res) => {
     // questionResults: 선택적 — 솔로·멀티 모두 로컬 플레이어 문항별 정오답을 보냄(있을 때만 quiz_question_attempts 기록)
     const hasQuestionResults = Array.isArray(questionResults) && questionResults.length > 0;
 
+    // 재채점 — answer 를 같이 보낸 주관식/근사치/복수 선택 문항은 서버 판정으로 is_correct(+score) 를 덮어씀
+    // (문항 로드는 솔로 답변 분석 기록에도 사용 — 이 퀴즈의 문항인지 검증 겸)
+    let finalCorrect = Math.max(0, Number(correctCount) || 0);
+    const graded = [];
+    const isSolo = mode !== "multi";
+    const answered = hasQuestionResults ? questionResults.filter(qr => qr?.questionId && qr.answer != null) : [];
+    let byId = null;
+    if (answered.length > 0 || (isSolo && hasQuestionResults)) {
+      const { data: qRows, error: gErr } = await supabaseAdmin
+        .from("quiz_questions")
+        .select("id, type, choices, answer, answer_match")
+        .eq("content_id", quizId)
+        .in("id", [...new Set(questionResults.map(qr => qr?.questionId).filter(Boolean))]);
+      if (gErr) {
+        console.warn("[POST /quiz/finish] regrade load error:", gErr);
+      } else {
+        byId = new Map((qRows || []).map(q => [q.id, q]));
+        for (const qr of answered) {
+          const q = byId.get(qr.questionId);
+          if (!q) continue;
+          let result = null;
+          if (SHORT_ANSWER_TYPES.has(q.type)) {
+            const match = matchShortAnswer(q.answer, qr.answer, q.answer_match);
+            result = { isCorrect: match.correct, score: match.score, exact: match.exact };
+          } else if (q.type === "estimate") {
+            const est = getEstimateScore({ answer: q.answer, answerMatch: q.answer_match }, qr.answer);
+            result = { isCorrect: est.inBand, score: est.score, exact: est.diff === 0, diff: est.diff };
+            qr.storedAnswer = est.diff === null ? null : Number(String(qr.answer).replace(/[,\s]/g, ""));
+          } else if (q.type === "multi_select") {
+            const ms = getMultiSelectScore({ answer: q.answer, choices: q.choices }, qr.answer);
+            const all = ms.correctCount === ms.totalItems && ms.wrongCount === 0;
+            result = { isCorrect: all, score: ms.score, exact: all };
+            qr.storedAnswer = Array.isArray(qr.answer) ? qr.answer.map(Number) : null;
+          }
+          if (!result) continue;
+          if (result.isCorrect !== !!qr.isCorrect) finalCorrect += result.isCorrect ? 1 : -1;
+          qr.isCorrect = result.isCorrect;
+          qr.score = result.score;
+          graded.push({ questionId: q.id, ...result });
+        }
+        finalCorrect = Math.min(Math.max(0, finalCorrect), Math.max(1, Number(totalCount) || 1));
+      }
+    }
+
     // 1) quiz_attempts insert
     const { data: attempt, error: aErr } = await supabaseAdmin
       .from("quiz_attempts")
@@ -6646,7 +6854,7 @@ app.post("/quiz/finish", async (req, res) => {
         quiz_id: quizId,
         user_id: userId,
         mode: mode === "multi" ? "multi" : "solo",
-        correct_count: Math.max(0, Number(correctCount) || 0),
+        correct_count: finalCorrect,
         total_count: Math.max(1, Number(totalCount) || 1),
         duration_ms: durationMs ? Math.round(Number(durationMs)) : null,
       })
@@ -6660,12 +6868,18 @@ app.post("/quiz/finish", async (req, res) => {
 
     // 2) quiz_question_attempts bulk insert (있을 때만)
     if (hasQuestionResults) {
-      const rows = questionResults.map(qr => ({
-        attempt_id: attempt.id,
-        quiz_id: quizId,
-        question_id: qr.questionId,
-        is_correct: !!qr.isCorrect,
-      }));
+      // score: 부분 점수 (0~1, 없으면 정오답), answer: 근사치/복수 선택만 분포 통계용으로 저장
+      const rows = questionResults.map(qr => {
+        const score = Number(qr.score);
+        return {
+          attempt_id: attempt.id,
+          quiz_id: quizId,
+          question_id: qr.questionId,
+          is_correct: !!qr.isCorrect,
+          score: Number.isFinite(score) ? Math.min(1, Math.max(0, score)) : (qr.isCorrect ? 1 : 0),
+          answer: qr.storedAnswer ?? null,
+        };
+      });
 
       const { error: qErr } = await supabaseAdmin
         .from("quiz_question_attempts")
@@ -6677,8 +6891,26 @@ app.post("/quiz/finish", async (req, res) => {
       }
     }
 
-    console.log(`[POST /quiz/finish] recorded: quizId=${quizId} user=${userId || "anon"} ${correctCount}/${totalCount}`);
-    return res.json({ ok: true, attemptId: attempt.id });
+    // 3) 문항 분석용 답변 기록 — 솔로만 (멀티는 doQuizReveal 에서 서버가 기록)
+    if (isSolo && byId) {
+      recordAnswerEvents(questionResults
+        .filter(qr => byId.has(qr?.questionId))
+        .map(qr => ({
+          contentId: quizId,
+          questionId: qr.questionId,
+          question: byId.get(qr.questionId),
+          source: "solo",
+          userId,
+          answer: qr.answer ?? null,
+          isCorrect: !!qr.isCorrect,
+          score: qr.score,
+          answerMs: qr.answerMs,
+        }))
+      ).catch(e => console.warn("[POST /quiz/finish] answer events error:", e.message || e));
+    }
+
+    console.log(`[POST /quiz/finish] recorded: quizId=${quizId} user=${userId || "anon"} ${finalCorrect}/${totalCount}`);
+    return res.json({ ok: true, attemptId: attempt.id, correctCount: finalCorrect, graded });
   } catch (err) {
     console.error("[POST /quiz/finish] error:", err);
     return res.status(500).json({ ok: false, error: "INTERNAL_ERROR" });
@@ -7680,6 +7912,8 @@ function _normalizeMaxPlayers(v) {
 }
 const userRoomMap = new Map();
 const inviteCodeMap = new Map(); // inviteCode → roomId
+// 재시작 복구용 스냅샷 (ROOM_STORE 미설정 시 no-op)
+const roomSnapshots = roomStore.namespace("room");
 
 // ── 멀티 티어 공용 상수 ──
 const TIER_SLOT_LAST = "__LAST__";
@@ -7764,6 +7998,8 @@ function deleteRoom(roomId, reason = "UNKNOWN") {
   }
 
   rooms.delete(roomId);
+  roomSnapshots.remove(roomId);
+  roomDirectory.release("room", roomId);
   console.log(`[방 삭제] roomId=${roomId} inviteCode=${room.inviteCode || "-"} 사유=${reason}`);
 }
 
@@ -7792,6 +8028,115 @@ function maybeCleanupRoom(roomId, reason = "EMPTY") {
   }, EMPTY_ROOM_TTL_MS);
 }
 
+/** 재접속 유예 만료 — 플레이어 제거 + 남은 인원 기준 자동 진행/방 정리 */
+function expireDisconnectedPlayer(room, userId) {
+  room.disconnected.delete(userId);
+
+  const wasHost = room.hostUserId === userId;
+
+  room.players.delete(userId);
+  room.committed.delete(userId);
+  if (room.quiz) {
+    room.quiz.answers.delete(userId);
+    room.quiz.readyPlayers.delete(userId);
+    room.quiz.skipVotes.delete(userId);
+  }
+  if (room.tier) {
+    room.tier.votes.delete(userId);
+    if (room.tier.currentReview) {
+      room.tier.currentReview.approvals.delete(userId);
+      room.tier.currentReview.rejections.delete(userId);
+    }
+  }
+  userRoomMap.delete(userId);
+
+  // 호스트 유예 만료 → 호스트 정책 적용
+  if (wasHost) {
+    const deleted = handleHostLeave(room);
+    if (deleted) return; // 방이 삭제됨 → 이후 로직 불필요
+    // TRANSFER 정책이면 아래 로직 계속
+  }
+
+  emitRoomState(room);
+
+  // 월드컵: 남은 전원 committed → 자동 reveal (tier는 별도 처리)
+  // (revoting = 동률 재투표 단계도 포함 — 타이머 OFF + 미투표자 이탈 시 정지 방지)
+  if (room.mode === "worldcup" && (room.phase === "playing" || room.phase === "revoting") && room.players.size > 0
+      && room.committed.size === room.players.size) {
+    doReveal(room);
+  }
+  // 멀티 티어: 남은 전원 committed → 자동 집계
+  if (room.mode === "tier" && room.tier
+      && (room.tier.tierPhase === "collecting_votes" || room.tier.tierPhase === "resolving_tie")
+      && room.players.size > 0 && room.committed.size === room.players.size) {
+    doTierVoteResult(room);
+  }
+  if (room.mode === "tier" && room.tier
+      && room.tier.tierPhase === "review_voting"
+      && room.players.size > 0 && room.committed.size === room.players.size) {
+    resolveReviewVote(room);
+  }
+
+  // 퀴즈: 남은 전원 제출 → 자동 reveal
+  if (room.mode === "quiz" && room.quiz?.phase === "answering" && room.players.size > 0) {
+    const activeIds = quizActiveIds(room);
+    const allSubmitted = activeIds.every(uid => room.quiz.answers.has(uid));
+    if (allSubmitted) {
+      doQuizReveal(room);
+    } else if (activeIds.every(uid => room.quiz.skipVotes.has(uid)) && !room.quiz.speedSolver) {
+      // 이탈로 남은 전원이 건너뛰기 상태 → 정답 공개
+      for (const uid of activeIds) {
+        if (!room.quiz.answers.has(uid)) {
+          room.quiz.answers.set(uid, { submitted: true, answer: null, isCorrect: false });
+        }
+      }
+      doQuizReveal(room);
+    }
+  }
+
+  // 퀴즈: show 단계 유튜브 — 전원 ready면 진행
+  if (room.mode === "quiz" && room.quiz?.phase === "show" && room.players.size > 0) {
+    if (room.quiz.readyPlayers.size >= room.players.size) {
+      startQuizAnswering(room);
+    }
+  }
+
+  // 공통: 방 비었는지 확인 → 삭제 판정
+  maybeCleanupRoom(room.id, "EMPTY");
+}
+
+/** 부팅 시 스냅샷 복원 — 전원 재접속 대기 상태로 시작, 유예 안에 안 돌아온 플레이어는 제거 */
+function restoreRooms() {
+  roomSnapshots.restore({ rooms, invites: inviteCodeMap, userRoom: userRoomMap }, (room) => {
+    if (!room.players || room.players.size === 0) return false;
+    roomDirectory.claim("room", room.id, room.inviteCode);
+    room.disconnected = new Map();
+    for (const userId of room.players.keys()) {
+      const timeoutId = setTimeout(() => expireDisconnectedPlayer(room, userId), ROOM_RESTORE_GRACE_MS);
+      room.disconnected.set(userId, { at: Date.now(), timeoutId });
+    }
+  });
+}
+
+/** 복원된 방에 첫 재접속 — 재시작으로 사라진 타이머를 다시 건다 (남은 시간이 아닌 전체 시간으로) */
+function resumeRestoredRoom(room) {
+  if (!room.restoredAt) return;
+  room.restoredAt = null;
+  if (room.mode === "worldcup" && (room.phase === "playing" || room.phase === "revoting")) {
+    startRoundTimer(room);
+  } else if (room.mode === "quiz" && room.quiz) {
+    if (room.quiz.phase === "show") startQuizAnswering(room);
+    else if (room.quiz.phase === "answering") startQuizTimer(room);
+  } else if (room.mode === "tier" && room.tier) {
+    const tp = room.tier.tierPhase;
+    // card_revealed → collecting_votes 전환 딜레이도 재시작으로 유실됨
+    if (tp === "card_revealed") room.tier.tierPhase = "collecting_votes";
+    if (["card_revealed", "collecting_votes", "resolving_tie"].includes(tp) && room.timerEnabled) {
+      startTierVoteTimer(room);
+    }
+  }
+}
+
 /** 호스트 퇴장 처리 — END_ROOM이면 방 종료, TRANSFER이면 승격 */
 function handleHostLeave(room) {
   if (ROOM_HOST_POLICY === "END_ROOM") {
@@ -7804,7 +8149,7 @@ function handleHostLeave(room) {
     const nextHost = room.players.keys().next().value;
     room.hostUserId = nextHost;
     console.log(`[호스트 승격] roomId=${room.id} 새호스트=${nextHost}`);
-    io.to(room.id).emit("room:state", publicRoom(room));
+    emitRoomState(room);
     return false;
   }
 
@@ -7833,6 +8178,10 @@ function buildSyncPayload(room, userId) {
       content: room.content || null,
       isHost: room.hostUserId === userId,
       quizMode: room.quizMode || "normal",
+      quizOrder: room.quizOrder || "random",
+      quizSurvival: !!room.quizSurvival,
+      survivalBlockSize: room.survivalBlockSize,
+      survival: q.survival ? publicSurvival(q.survival) : null,
       quiz: {
         questionIndex: q.questionIndex,
         totalQuestions: q.questions.length,
@@ -7913,6 +8262,12 @@ function buildSyncPayload(room, userId) {
   };
 }
 
+/** room:state 송신 + 방 스냅샷 저장 (상태 전이 지점마다 호출) */
+function emitRoomState(room) {
+  io.to(room.id).emit("room:state", publicRoom(room));
+  roomSnapshots.save(room);
+}
+
 function publicRoom(room) {
   const playersList = Array.from(room.players.entries()).map(([userId, p]) => {
     let status;
@@ -8020,6 +8375,8 @@ function publicRoom(room) {
     // ✅ 월드컵 강수/선발방식 옵션
     wcRound: room.wcRound || 0,
     wcPick: room.wcPick || "random",
+    wcSeeding: room.wcSeeding || "random",
+    wcFormat: room.wcFormat || "single",
     // ✅ 타이머 설정 (로비 배지 + 클라이언트 동기화용)
     timerEnabled: !!room.timerEnabled,
     timerSec: room.timerSec || 45,
@@ -8029,8 +8386,13 @@ function publicRoom(room) {
     maxRevotes: 2,
     // ✅ 재접속 시 유튜브 구간 재생 복원용
     quizYoutube: room.quiz?.youtube || null,
-    // ✅ 퀴즈 모드 (normal / speed)
+    // ✅ 퀴즈 모드 (normal / speed) + 출제 순서 (random / sequential / adaptive)
     quizMode: room.quizMode || "normal",
+    quizOrder: room.quizOrder || "random",
+    // ✅ 퀴즈 서바이벌 (생존자 / 탈락자 / 서든데스 후보)
+    quizSurvival: !!room.quizSurvival,
+    survivalBlockSize: room.survivalBlockSize,
+    survival: room.quiz?.survival ? publicSurvival(room.quiz.survival) : null,
     // ✅ 퀴즈 팀전 (blueScore/redScore는 개인 점수 합산, 점수 없으면 0)
     teamMode: !!room.teamMode,
     teamScores: room.teamMode ? _buildTeamScores(room) : null
@@ -8093,7 +8455,7 @@ async function loadCandidates(contentId, userId, isAdmin) {
   };
 }
 
-// ✅ 월드컵 후보 선발 함수 (랜덤 / 랭킹)
+// ✅ 월드컵 후보 선발 함수 (랜덤 / 랭킹 / 강도)
 async function selectCandidatesForRoom(candidates, contentId, round, pick) {
   const total = candidates.length;
   const targetCount = round > 0 ? Math.min(round, total) : total;
@@ -8110,7 +8472,25 @@ async function selectCandidatesForRoom(candidates, contentId, round, pick) {
     return result;
   }
 
-  if (pick === "ranked") {
+  if (pick === "strength") {
+    // 상대 전적 기준 선발 (Bradley-Terry 강도 — worldcup-strength.js)
+    let strengths;
+    try {
+      ({ strengths } = await getCandidateStrengths(contentId));
+    } catch (e) {
+      console.error("[selectCandidates] 강도 계산 실패:", e.message || e);
+      return shuffle(candidates).slice(0, targetCount);
+    }
+    const sorted = [...candidates].sort((a, b) => {
+      const sa = strengths.get(a.id)?.strength ?? 1;
+      const sb = strengths.get(b.id)?.strength ?? 1;
+      if (sb !== sa) return sb - sa;
+      return (a.id || "").localeCompare(b.id || "");
+    });
+    const selected = sorted.slice(0, targetCount);
+    console.log(`[selectCandidates] 강도 선발:`, selected.map(c => c.name).slice(0, 5), "...");
+    return shuffle(selected);
+  } else if (pick === "ranked") {
     // 랭킹 기준 선발 (worldcup_candidate_stats_v 뷰 사용)
     const { data: stats, error } = await supabaseAdmin
       .from("worldcup_candidate_stats_v")
@@ -8158,6 +8538,25 @@ async function selectCandidatesForRoom(candidates, contentId, round, pick) {
   }
 }
 
+// ✅ 대진 시딩 (worldcup-bracket.js) — random 이거나 실패하면 null (initBracket 이 셔플)
+async function seedBracketForRoom(candidates, contentId, seeding) {
+  try {
+    if (seeding === "classic") {
+      const { strengths } = await getCandidateStrengths(contentId);
+      const sorted = [...candidates].sort((a, b) =>
+        ((strengths.get(b.id)?.strength ?? 1) - (strengths.get(a.id)?.strength ?? 1)) || (a.id || "").localeCompare(b.id || ""));
+      return classicBracket(sorted);
+    }
+    if (seeding === "balanced") {
+      const counts = await getRecentPairCounts(contentId);
+      return balancedBracket(candidates, (a, b) => counts.get(pairKey(a.id, b.id)) || 0);
+    }
+  } catch (e) {
+    console.error(`[seedBracket] ${seeding} 실패 — 랜덤 대진:`, e.message || e);
+  }
+  return null;
+}
+
 function shuffleArray(arr) {
   const a = [...arr];
   for (let i = a.length - 1; i > 0; i--) {
@@ -8167,9 +8566,9 @@ function shuffleArray(arr) {
   return a;
 }
 
-function initBracket(room, candidates) {
-  const shuffled = shuffleArray(candidates);
-  room.bracket = [...shuffled];
+// seeded=true 면 candidates 순서 그대로 대진 (seedBracketForRoom 결과)
+function initBracket(room, candidates, { seeded = false } = {}) {
+  room.bracket = seeded ? [...candidates] : shuffleArray(candidates);
   room.nextBracket = [];
   room.matchIndex = 0;
   room.roundIndex = 0;
@@ -8179,6 +8578,14 @@ function initBracket(room, candidates) {
   room.currentMatch = null;
   room.champion = null;
   room.totalMatches = candidates.length - 1;
+  // ✅ double / league — 진행은 formatState 가 담당 (bracket 은 후보 목록 보관용)
+  room.formatState = null;
+  if (room.wcFormat === "double" || room.wcFormat === "league") {
+    room.formatState = createFormatState(room.wcFormat, room.bracket);
+    room.totalMatches = formatTotalMatches(room.formatState);
+    room.roundSize = 0;
+    return;
+  }
   if (room.bracket.length % 2 !== 0) {
     room.nextBracket.push(room.bracket.pop());
   }
@@ -8257,7 +8664,7 @@ function doRevealBalance(room) {
     isLastRound: finished,
   });
   room.lastReveal = { isBalance: true, finished };
-  io.to(room.id).emit("room:state", publicRoom(room));
+  emitRoomState(room);
 
   // 플레이어 1명 이하(혼자 멀티): 자동 다음 진행
   if (room.players.size <= 1) {
@@ -8281,7 +8688,7 @@ function _balanceNext(room) {
     timer: { enabled: room.timerEnabled, sec: room.timerSec },
     isBalance: true,
   });
-  io.to(room.id).emit("room:state", publicRoom(room));
+  emitRoomState(room);
   startRoundTimer(room);
 }
 
@@ -8300,15 +8707,23 @@ function _balanceFinish(room) {
 }
 
 function nextMatch(room) {
-  const idx = room.matchIndex;
-  const candA = room.bracket[idx * 2];
-  const candB = room.bracket[idx * 2 + 1];
+  let candA, candB;
+  if (room.formatState) {
+    const pair = formatCurrentPair(room.formatState);
+    candA = pair.A;
+    candB = pair.B;
+    room._roundLabel = pair.label;
+  } else {
+    const idx = room.matchIndex;
+    candA = room.bracket[idx * 2];
+    candB = room.bracket[idx * 2 + 1];
+    // 라운드 라벨 (랭킹 기록용)
+    const bracketSize = room.bracket.length;
+    if (bracketSize <= 2) room._roundLabel = "결승";
+    else if (bracketSize <= 4) room._roundLabel = "준결승";
+    else room._roundLabel = `${bracketSize}강`;
+  }
   room._matchCands = { A: candA, B: candB };
-  // 라운드 라벨 (랭킹 기록용)
-  const bracketSize = room.bracket.length;
-  if (bracketSize <= 2) room._roundLabel = "결승";
-  else if (bracketSize <= 4) room._roundLabel = "준결승";
-  else room._roundLabel = `${bracketSize}강`;
   room.currentMatch = {
     A: {
       name: candA.name,
@@ -8336,7 +8751,13 @@ function nextMatch(room) {
   return room.currentMatch;
 }
 
-function advanceBracket(room, winnerCandidate) {
+// loser/isTie 는 double/league 용 (league 는 재투표까지 동률이면 무승부)
+function advanceBracket(room, winnerCandidate, loserCandidate, isTie = false) {
+  if (room.formatState) {
+    const result = formatRecordResult(room.formatState, winnerCandidate, loserCandidate, isTie);
+    room.totalMatches = formatTotalMatches(room.formatState);
+    return result;
+  }
   room.nextBracket.push(winnerCandidate);
   room.matchIndex++;
   if (room.matchIndex * 2 >= room.bracket.length) {
@@ -8359,6 +8780,7 @@ function advanceBracket(room, winnerCandidate) {
 // ✅ 월드컵 라운드 표시 정보 — 누적 매치수가 아니라 "현재 강 + 라운드 내 진행도"
 //    예: 8강 → "8강 1/4 ~ 4/4", 4강 → "4강 1/2 ~ 2/2", 결승 → "결승"
 function wcRoundInfo(room) {
+  if (room.formatState) return formatRoundInfo(room.formatState);
   const bsize = (room.bracket && room.bracket.length) || 0;
   const size = room.roundSize || bsize;
   if (size <= 0) return {}; // 브래킷 미초기화(로비 등) → 라운드 정보 없음 (잘못된 "결승" 방지)
@@ -8367,6 +8789,12 @@ function wcRoundInfo(room) {
   return { roundName, matchInRound: (room.matchIndex || 0) + 1, roundTotalMatches };
 }
 
+// ✅ double / league 결과 요약 — reveal / finished 페이로드에 합침 (single 이면 빈 객체)
+function wcFormatSummary(room) {
+  if (!room.formatState) return {};
+  return { format: room.formatState.format, standings: formatStandings(room.formatState) };
+}
+
 function startRoundTimer(room) {
   if (room.roundTimer) { clearTimeout(room.roundTimer); room.roundTimer = null; }
   if (!room.timerEnabled) { room.roundEndsAt = null; return; }
@@ -8389,7 +8817,7 @@ function startRoundTimer(room) {
     if (room.phase === "revoting") {
       room.phase = "playing";
     }
-    io.to(room.id).emit("room:state", publicRoom(room));
+    emitRoomState(room);
     doReveal(room);
   }, room.timerSec * 1000);
 }
@@ -8464,7 +8892,7 @@ function doReveal(room) {
 
     console.log(`[재투표] room=${room.id} revoteCount=${room.revoteCount}`);
     io.to(room.id).emit("worldcup:revote", revotePayload);
-    io.to(room.id).emit("room:state", publicRoom(room));
+    emitRoomState(room);
     return;
   }
 
@@ -8490,7 +8918,7 @@ function doReveal(room) {
 
   const winningSide = winnerCand === matchCands.A ? "A" : "B";
   const loserCand = winningSide === "A" ? matchCands.B : matchCands.A;
-  const result = advanceBracket(room, winnerCand);
+  const result = advanceBracket(room, winnerCand, loserCand, !roundWinner);
 
   // 매치 결과 DB 기록 (fire-and-forget)
   recordWorldcupMatch(room, matchCands.A, matchCands.B, winnerCand, loserCand, !roundWinner, {
@@ -8530,7 +8958,8 @@ function doReveal(room) {
         champion: room.champion?.name || room.champion,
         championMedia: _champMedia,
         scores,
-        picksHistory: room.picksHistory
+        picksHistory: room.picksHistory,
+        ...wcFormatSummary(room)
       });
       recordWorldcupRun(room, room.champion).catch(() => {});
       if (!room.alreadyCounted && room.contentId && room.hostUserId) {
@@ -8556,7 +8985,7 @@ function doReveal(room) {
       match: room.currentMatch,
       timer: timerInfo
     });
-    io.to(room.id).emit("room:state", publicRoom(room));
+    emitRoomState(room);
     startRoundTimer(room);
     return;
   }
@@ -8577,7 +9006,8 @@ function doReveal(room) {
     roundIndex: room.roundIndex,
     totalMatches: room.totalMatches,
     isLastRound: result.finished,
-    timeoutPolicy: room.timeoutPolicy || "RANDOM"
+    timeoutPolicy: room.timeoutPolicy || "RANDOM",
+    ...wcFormatSummary(room)
   };
   room.lastReveal = revealPayload;
   io.to(room.id).emit("worldcup:reveal", revealPayload);
@@ -8647,6 +9077,7 @@ async function loadQuizQuestions(contentId, userId, isAdmin) {
         mediaDisplayOption: q.media_display_option || {},
         muteVideo: !!q.mute_video,
         loopVideo: !!q.loop_video,
+        answerMatch: q.answer_match || {},
       };
     })
   };
@@ -8719,11 +9150,26 @@ function checkAnswer(question, userAnswer) {
     return Number(userAnswer) === Number(correctIndex);
   }
 
-  // short / audio_youtube / video_youtube: 공백·대소문자 무시 + 동의어 배열
-  const normalized = String(userAnswer).trim().toLowerCase().replace(/\s+/g, "");
-  return question.answer.some(ans =>
-    String(ans).trim().toLowerCase().replace(/\s+/g, "") === normalized
-  );
+  if (question.type === "estimate") {
+    // 근사치: 허용 범위 안이면 true (가장 가까운 사람 보너스는 doQuizReveal 에서)
+    return getEstimateScore(question, userAnswer).inBand;
+  }
+
+  if (question.type === "multi_select") {
+    // 복수 선택: 정답 전부 + 오답 0개일 때만 true (부분 점수는 getMultiSelectScore)
+    const r = getMultiSelectScore(question, userAnswer);
+    return r.correctCount === r.totalItems && r.wrongCount === 0;
+  }
+
+  // short / audio_youtube / video_youtube: 동의어 배열 + 문제별 오타 허용 (quiz-answer-match.js)
+  return matchShortAnswer(question.answer, userAnswer, question.answerMatch).correct;
+}
+
+// 주관식 채점 상세 (오타 인정 여부 + 부분 점수) — 주관식이 아니면 null
+const SHORT_ANSWER_TYPES = new Set(["short", "audio_youtube", "video_youtube"]);
+function getShortAnswerMatch(question, userAnswer) {
+  if (!SHORT_ANSWER_TYPES.has(question.type)) return null;
+  return matchShortAnswer(question.answer, userAnswer, question.answerMatch);
 }
 
 // 순서 퀴즈 부분 점수 계산
@@ -8764,6 +9210,9 @@ function safeQuestion(q, index, total) {
   if (q.type === "ordering") {
     payload.choices = q.choices; // 정답 순서 그대로 전달 (클라이언트에서 셔플)
   }
+  if (q.type === "multi_select") {
+    payload.choices = q.choices; // 정답 개수는 알려주지 않음
+  }
   if (q.type === "classification") {
     payload.choices = q.choices; // [{text, category}] 전달 (클라이언트에서 셔플)
     // 카테고리 목록만 별도 전달 (answer 배열 = 카테고리 리스트)
@@ -8792,7 +9241,7 @@ function safeQuestion(q, index, total) {
   return payload;
 }
 
-function initQuizState(room, questions) {
+function initQuizState(room, questions, difficulty = {}) {
   room.quiz = {
     questions,
     questionIndex: 0,
@@ -8808,12 +9257,48 @@ function initQuizState(room, questions) {
     speedAttempts: new Map(),   // userId → { lastWrongAt, wrongCount }
     // 건너뛰기 투표
     skipVotes: new Set(),       // 건너뛰기 요청한 userId 집합
+    // adaptive 출제 전용
+    difficulty,                              // questionId → 난이도 (0~1)
+    accuracyStats: { answered: 0, scoreSum: 0 }, // 방 전체 누적 답변 수 / 점수 합
+    // 서바이벌 전용 (room.quizSurvival)
+    survival: room.quizSurvival ? createSurvivalState([...room.players.keys()], room.survivalBlockSize) : null,
   };
   for (const userId of room.players.keys()) {
     room.quiz.scores[userId] = 0;
   }
 }
 
+initQuizOrdering(supabaseAdmin);
+
+/** 지금 문제를 풀 수 있는 플레이어 — 서바이벌이면 생존자(서든데스 중엔 후보)만, 아니면 전원 */
+function quizActiveIds(room) {
+  const survival = room.quiz?.survival;
+  if (!survival) return [...room.players.keys()];
+  return survivalActiveIds(survival).filter(id => room.players.has(id));
+}
+
+// 출제 문제 준비 — 문제 수 제한(최근 출제 후순위) + 출제 순서. adaptive 난이도 로드 실패 시 기본 난이도로 진행
+async function prepareQuizQuestions(room, questions) {
+  const order = room.quizOrder || "random";
+  let difficulty = {};
+  if (order === "adaptive") {
+    try {
+      difficulty = await fetchQuestionDifficulty(room.contentId);
+    } catch (e) {
+      console.warn(`[quiz] difficulty load failed (room=${room.id}):`, e.message || e);
+    }
+  }
+  const subset = pickQuestionSubset(questions, room.questionCount, room.quizRecentIds);
+  if (subset.length < questions.length) {
+    console.log(`[quiz] question limit: ${subset.length}/${questions.length}`);
+  }
+  const ordered = orderQuestions(order, subset, difficulty);
+  const picked = new Set(ordered.map(q => q.id));
+  room.quizRecentIds = [...picked, ...(room.quizRecentIds || []).filter(id => !picked.has(id))].slice(0, RECENT_QUESTION_LIMIT);
+  console.log(`[quiz] order=${order}: [${ordered.slice(0, 5).map(q => q.id?.slice(0, 6)).join(",")}${ordered.length > 5 ? ",…" : ""}]`);
+  return { questions: ordered, difficulty };
+}
+
 function buildQuizScores(room) {
   const scores = room.quiz?.scores || {};
   return Object.entries(scores).map(([userId, score]) => {
@@ -8841,6 +9326,20 @@ function _autoAssignTeam(room, userId) {
   p.team = red < blue ? "red" : "blue";
 }
 
+/** 서바이벌 옵션 (시작 시 payload 오버라이드) — 2명 미만이면 해제, 켜지면 팀전 해제 */
+function _applyQuizSurvivalOptions(room, payload) {
+  if (payload?.survival !== undefined) room.quizSurvival = !!payload.survival;
+  if (payload?.survivalBlockSize !== undefined) room.survivalBlockSize = normalizeSurvivalBlock(payload.survivalBlockSize);
+  if (room.quizSurvival && room.players.size < 2) {
+    console.log(`[quiz] survival off — only ${room.players.size} players`);
+    room.quizSurvival = false;
+  }
+  if (room.quizSurvival && room.teamMode) {
+    room.teamMode = false;
+    for (const p of room.players.values()) p.team = null;
+  }
+}
+
 /** 팀 점수 합계 — 개인 점수(room.quiz.scores) 기반, 퀴즈 미시작 시 0 */
 function _buildTeamScores(room) {
   const scores = room.quiz?.scores || {};
@@ -8874,7 +9373,7 @@ function advanceQuizQuestion(room) {
   questionPayload.variant_type = room.content?.variant_type ?? null;
   questionPayload.is_admin_variant = !!room.content?.is_admin_variant;
   io.to(room.id).emit("quiz:question", questionPayload);
-  io.to(room.id).emit("room:state", publicRoom(room));
+  emitRoomState(room);
 
   if (question.type === "audio_youtube" || question.type === "video_youtube") {
     // 유튜브: 즉시 answering 전환 (클라이언트에서 플레이어 준비 후 자동재생)
@@ -8900,6 +9399,7 @@ function advanceQuizQuestion(room) {
 function startQuizAnswering(room) {
   const q = room.quiz;
   q.phase = "answering";
+  q.answeringStartedAt = Date.now(); // 문항 분석: 답변 시간 기준
 
   const question = q.questions[q.questionIndex];
   let youtubePayload = null;
@@ -8922,7 +9422,7 @@ function startQuizAnswering(room) {
     youtube: youtubePayload,
     quizMode: room.quizMode || "normal",
   });
-  io.to(room.id).emit("room:state", publicRoom(room));
+  emitRoomState(room);
 
   startQuizTimer(room);
 }
@@ -8943,7 +9443,7 @@ function startQuizTimer(room) {
             room.quiz.answers.set(userId, { submitted: true, answer: null, isCorrect: false });
           }
         }
-        io.to(room.id).emit("room:state", publicRoom(room));
+        emitRoomState(room);
         doQuizReveal(room);
       }, SPEED_MAX_SEC * 1000);
     }
@@ -8961,7 +9461,7 @@ function startQuizTimer(room) {
         room.quiz.answers.set(userId, { submitted: true, answer: null, isCorrect: false });
       }
     }
-    io.to(room.id).emit("room:state", publicRoom(room));
+    emitRoomState(room);
     doQuizReveal(room);
   }, room.timerSec * 1000);
 }
@@ -8979,7 +9479,24 @@ function doQuizReveal(room) {
 
   const isSpeedMode = room.quizMode === "speed";
 
+  // 서바이벌: 탈락자(관전) / 서든데스 비대상은 채점·결과에서 제외
+  const activeIds = new Set(quizActiveIds(room));
+
+  // 근사치 퀴즈: 제출자 2명 이상이면 가장 가까운 사람(동률 포함)은 범위 밖이어도 1점
+  let estimateClosestDiff = null;
+  if (!isSpeedMode && question.type === "estimate") {
+    const diffs = [];
+    for (const userId of activeIds) {
+      const entry = q.answers.get(userId);
+      const d = entry?.submitted ? getEstimateScore(question, entry.answer).diff : null;
+      if (d !== null) diffs.push(d);
+    }
+    if (diffs.length >= 2) estimateClosestDiff = Math.min(...diffs);
+  }
+
+  const answerEvents = [];
   for (const [userId, p] of room.players.entries()) {
+    if (!activeIds.has(userId)) continue;
     const entry = q.answers.get(userId) || { submitted: false, answer: null, isCorrect: false };
 
     if (isSpeedMode) {
@@ -9015,15 +9532,47 @@ function doQuizReveal(room) {
         entry.classifyCorrectCount = 0;
         entry.classifyTotalItems = question.choices?.length || 0;
       }
-    } else {
-      // 일반 모드: reveal 시점에 정답 판정 + 점수 부여
+    } else if (question.type === "estimate") {
+      // 근사치: 거리 점수 + 최근접 보너스
+      const est = entry.submitted ? getEstimateScore(question, entry.answer) : getEstimateScore(question, null);
+      entry.estimateDiff = est.diff;
+      entry.estimateClosest = est.diff !== null && est.diff === estimateClosestDiff;
+      entry.estimateScore = entry.estimateClosest ? 1 : est.score;
+      entry.isCorrect = est.inBand || entry.estimateClosest;
+      q.scores[userId] = (q.scores[userId] || 0) + entry.estimateScore;
+    } else if (question.type === "multi_select") {
+      // 복수 선택: 부분 점수
       if (entry.submitted && entry.answer !== null) {
+        const msResult = getMultiSelectScore(question, entry.answer);
+        entry.isCorrect = msResult.correctCount === msResult.totalItems && msResult.wrongCount === 0;
+        entry.multiSelectScore = msResult.score;
+        entry.multiSelectCorrectCount = msResult.correctCount;
+        entry.multiSelectWrongCount = msResult.wrongCount;
+        entry.multiSelectTotalItems = msResult.totalItems;
+        q.scores[userId] = (q.scores[userId] || 0) + msResult.score;
+      } else {
+        entry.isCorrect = false;
+        entry.multiSelectScore = 0;
+        entry.multiSelectCorrectCount = 0;
+        entry.multiSelectWrongCount = 0;
+        entry.multiSelectTotalItems = question.answer?.length || 0;
+      }
+    } else {
+      // 일반 모드: reveal 시점에 정답 판정 + 점수 부여 (주관식 오타 인정은 typoCredit 만큼)
+      const match = entry.submitted && entry.answer !== null ? getShortAnswerMatch(question, entry.answer) : null;
+      if (match) {
+        entry.isCorrect = match.correct;
+        entry.answerScore = match.score;
+        entry.fuzzy = match.correct && !match.exact;
+      } else if (entry.submitted && entry.answer !== null) {
         entry.isCorrect = checkAnswer(question, entry.answer);
+        entry.answerScore = entry.isCorrect ? 1 : 0;
       } else {
         entry.isCorrect = false;
+        entry.answerScore = 0;
       }
-      if (entry.isCorrect) {
-        q.scores[userId] = (q.scores[userId] || 0) + 1;
+      if (entry.answerScore > 0) {
+        q.scores[userId] = (q.scores[userId] || 0) + entry.answerScore;
       }
     }
 
@@ -9044,14 +9593,49 @@ function doQuizReveal(room) {
       resultEntry.classifyCorrectCount = entry.classifyCorrectCount || 0;
       resultEntry.classifyTotalItems = entry.classifyTotalItems || 0;
     }
+    if (SHORT_ANSWER_TYPES.has(question.type)) {
+      resultEntry.answerScore = entry.answerScore ?? (entry.isCorrect ? 1 : 0);
+      resultEntry.fuzzy = !!entry.fuzzy;
+    }
+    if (question.type === "estimate") {
+      resultEntry.estimateScore = entry.estimateScore ?? (entry.isCorrect ? 1 : 0);
+      resultEntry.estimateDiff = entry.estimateDiff ?? null;
+      resultEntry.estimateClosest = !!entry.estimateClosest;
+    }
+    if (question.type === "multi_select") {
+      resultEntry.multiSelectScore = entry.multiSelectScore ?? (entry.isCorrect ? 1 : 0);
+      resultEntry.multiSelectCorrectCount = entry.multiSelectCorrectCount || 0;
+      resultEntry.multiSelectWrongCount = entry.multiSelectWrongCount || 0;
+      resultEntry.multiSelectTotalItems = entry.multiSelectTotalItems || 0;
+    }
     results.push(resultEntry);
+    answerEvents.push({
+      contentId: room.contentId,
+      questionId: question.id,
+      question,
+      source: "multi",
+      userId,
+      answer: entry.answer,
+      isCorrect: entry.isCorrect,
+      score: resultEntry.orderingScore ?? resultEntry.classifyScore ?? resultEntry.answerScore
+        ?? resultEntry.estimateScore ?? resultEntry.multiSelectScore ?? (entry.isCorrect ? 1 : 0),
+      answerMs: entry.submittedAt && q.answeringStartedAt ? entry.submittedAt - q.answeringStartedAt : null,
+    });
+  }
+  recordAnswerEvents(answerEvents).catch(e => console.warn("[quiz-analytics] multi record error:", e.message || e));
+  // adaptive 출제: 방 누적 정답률
+  if (q.accuracyStats) {
+    q.accuracyStats.answered += answerEvents.length;
+    q.accuracyStats.scoreSum += answerEvents.reduce((sum, e) => sum + (Number(e.score) || 0), 0);
   }
 
-  // 객관식 통계
+  // 객관식 통계 (복수 선택은 보기별 선택한 사람 수)
   let choiceStats = null;
-  if (question.type === "mcq" && question.choices?.length > 0) {
+  if ((question.type === "mcq" || question.type === "multi_select") && question.choices?.length > 0) {
     choiceStats = question.choices.map((label, i) => {
-      const count = results.filter(r => Number(r.answer) === i).length;
+      const count = question.type === "multi_select"
+        ? results.filter(r => Array.isArray(r.answer) && r.answer.map(Number).includes(i)).length
+        : results.filter(r => Number(r.answer) === i).length;
       return {
         index: i,
         label,
@@ -9067,7 +9651,9 @@ function doQuizReveal(room) {
       ? _normalizeChoices(question.choices).map(c => typeof c === "string" ? c : `${c?.text || ""}→${c?.category || ""}`).join(", ")
       : question.type === "mcq"
         ? question.choices[question.answer[0]]
-        : question.answer[0];
+        : question.type === "multi_select"
+          ? (question.answer || []).map(i => question.choices?.[i]).filter(c => c != null).join(", ")
+          : question.answer[0];
 
   const scores = buildQuizScores(room);
 
@@ -9113,16 +9699,20 @@ function doQuizReveal(room) {
     // 스피드 모드 전용
     speedSolver: q.speedSolver || null,
     quizMode: room.quizMode || "normal",
+    // 서바이벌 전용: 이번 문제 대상자 (서든데스면 후보만)
+    survival: q.survival ? publicSurvival(q.survival) : null,
     // 순서 퀴즈 전용: 정답 순서 (choices 배열)
     orderingChoices: question.type === "ordering" ? question.choices : undefined,
     // 분류퀴즈 전용: choices + categories
     classifyChoices: question.type === "classification" ? question.choices : undefined,
     classifyCategories: question.type === "classification" ? question.answer : undefined,
+    // 근사치 전용: 허용 범위 (정답 ± band)
+    estimateBand: question.type === "estimate" ? getEstimateBand(question) : undefined,
   };
 
   q.lastReveal = revealPayload;
   io.to(room.id).emit("quiz:reveal", revealPayload);
-  io.to(room.id).emit("room:state", publicRoom(room));
+  emitRoomState(room);
 }
 
 // =========================
@@ -9328,14 +9918,14 @@ async function handleTierGameStart(room, payload, me, socket, cb) {
       tierMeta: room.tier.tierMeta,
     });
 
-    io.to(room.id).emit("room:state", publicRoom(room));
+    emitRoomState(room);
 
     // 짧은 딜레이 후 투표 수집 시작
     setTimeout(() => {
       if (!room.tier || room.tier.tierPhase !== "card_revealed") return;
       room.tier.tierPhase = "collecting_votes";
       if (room.timerEnabled) startTierVoteTimer(room);
-      io.to(room.id).emit("room:state", publicRoom(room));
+      emitRoomState(room);
     }, 1500);
     console.log(`[game:start:tier] started — cards=${selectedCards.length} → tier:card broadcast`);
     return cb?.({ ok: true, totalCards: selectedCards.length });
@@ -9413,7 +10003,7 @@ function doTierVoteResult(room) {
       reason: "no_votes",
       options: t.tiedOptions,
     });
-    io.to(room.id).emit("room:state", publicRoom(room));
+    emitRoomState(room);
     return;
   }
 
@@ -9480,7 +10070,7 @@ function doTierVoteResult(room) {
           maxRevotes: TIER_MAX_REVOTES,
         });
         if (room.timerEnabled) startTierVoteTimer(room);
-        io.to(room.id).emit("room:state", publicRoom(room));
+        emitRoomState(room);
       }, 2000);
     } else {
       // 재투표 소진 → 호스트 결정
@@ -9506,7 +10096,7 @@ function doTierVoteResult(room) {
       });
     }
   }
-  io.to(room.id).emit("room:state", publicRoom(room));
+  emitRoomState(room);
 }
 
 /** 보드에 카드 배치 반영 + 히스토리 기록 + 다음 카드 or 종료 */
@@ -9572,12 +10162,12 @@ function applyTierPlacement(room, cardId, tierId, afterCardId, method) {
       tierMeta: t.tierMeta,
       cardMap: t.cardMap,
     });
-    io.to(room.id).emit("room:state", publicRoom(room));
+    emitRoomState(room);
     console.log(`[tier] all cards placed → final_review phase`);
   } else {
     // board_updated 상태로 잠시 대기 (호스트가 tier:next로 진행)
     t.tierPhase = "board_updated";
-    io.to(room.id).emit("room:state", publicRoom(room));
+    emitRoomState(room);
   }
 }
 
@@ -9641,7 +10231,7 @@ function resolveReviewVote(room) {
   } else {
     t.tierPhase = "board_updated";
   }
-  io.to(room.id).emit("room:state", publicRoom(room));
+  emitRoomState(room);
 }
 
 /** 게임 종료 + DB 저장 */
@@ -9710,7 +10300,7 @@ async function finishTierGame(room) {
     templateId: t.templateId,
     templateTitle: t.template?.title || "",
   });
-  io.to(room.id).emit("room:state", publicRoom(room));
+  emitRoomState(room);
   console.log(`[tier:finished] roomId=${room.id} cards=${t.cardOrder.length} duration=${durationMs}ms`);
 }
 
@@ -9739,6 +10329,27 @@ registerFibbage(io, supabaseAdmin);
 // =========================
 registerOmok(io, supabaseAdmin);
 
+// 오목 기보 조회 (공개 — 종료된 판 공유/복기용). id는 omok:gameEnd의 replayId
+app.get("/omok/replays/:id", async (req, res) => {
+  try {
+    const id = String(req.params.id || "");
+    if (!/^[0-9a-f-]{36}$/i.test(id)) return res.status(400).json({ ok: false, error: "INVALID_ID" });
+    const { data, error } = await supabaseAdmin.from("omok_replays")
+      .select("id, mode, special_mode, rule_set, board_size, win_length, end_reason, winner_user_id, winner_team, players, events, win_line, format_version, move_count, started_at, created_at")
+      .eq("id", id)
+      .maybeSingle();
+    if (error) {
+      console.error("[GET /omok/replays] error:", error);
+      return res.status(500).json({ ok: false, error: "INTERNAL_ERROR" });
+    }
+    if (!data) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    return res.json({ ok: true, replay: data });
+  } catch (err) {
+    console.error("[GET /omok/replays] error:", err);
+    return res.status(500).json({ ok: false, error: "INTERNAL_ERROR" });
+  }
+});
+
 // =========================
 // 난장 카드게임 — 독립 모듈 등록 (cg:* 이벤트 prefix)
 // =========================
@@ -9766,6 +10377,60 @@ registerMemoryMulti(io, supabaseAdmin);
 registerBlockBlastMulti(io, supabaseAdmin);
 registerYachtMulti(io, supabaseAdmin);
 
+// =========================
+// 경쟁 게임 레이팅 (Glicko) — omok / makak / suspect / cg / yacht 종료 시 갱신 (ratings.js)
+//   GET /ratings/:game?queue=1v1|team|ffa&limit=  — 랭킹 (배치 완료 유저만)
+//   GET /ratings/:game/me                          — 내 큐별 레이팅 + 순위
+// =========================
+initRatings(supabaseAdmin);
+
+app.get("/ratings/:game", async (req, res) => {
+  try {
+    const game = String(req.params.game || "");
+    if (!RATED_GAMES.includes(game)) return res.status(404).json({ ok: false, error: "UNKNOWN_GAME" });
+    const queue = RATING_QUEUES.includes(req.query.queue) ? req.query.queue : "1v1";
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 50));
+    const result = await fetchRatingLeaderboard(game, queue, limit);
+    if (result.error) { console.error("[ratings/leaderboard]", result.error); return res.status(500).json({ ok: false, error: "QUERY_FAIL" }); }
+    res.json({ ok: true, game, queue, rows: result.rows });
+  } catch (err) { console.error("[ratings/leaderboard]", err); res.status(500).json({ ok: false, error: "INTERNAL" }); }
+});
+
+app.get("/ratings/:game/me", requireAuth, async (req, res) => {
+  try {
+    const game = String(req.params.game || "");
+    if (!RATED_GAMES.includes(game)) return res.status(404).json({ ok: false, error: "UNKNOWN_GAME" });
+    const result = await fetchMyRatings(game, req.user.id);
+    if (result.error) { console.error("[ratings/me]", result.error); return res.status(500).json({ ok: false, error: "QUERY_FAIL" }); }
+    res.json({ ok: true, game, rows: result.rows });
+  } catch (err) { console.error("[ratings/me]", err); res.status(500).json({ ok: false, error: "INTERNAL" }); }
+});
+
+// =========================
+// 통합 프로필 통계 (player-stats.js) — 멀티 대전 승패/레이팅 + 점수 게임 최고점 + 콘텐츠 플레이
+//   GET /profile/:userId/stats  — 공개. 콘텐츠 플레이 내역(recent)은 본인 조회일 때만 포함
+// =========================
+initPlayerStats(supabaseAdmin);
+
+app.get("/profile/:userId/stats", async (req, res) => {
+  try {
+    const userId = String(req.params.userId || "");
+    if (!/^[0-9a-f-]{36}$/i.test(userId)) return res.status(400).json({ ok: false, error: "INVALID_ID" });
+    const viewer = await getOptionalUser(req);
+    const result = await fetchPlayerStats(userId, { includeContentHistory: viewer?.id === userId });
+    if (result.notFound) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    if (result.error) { console.error("[profile/stats]", result.error); return res.status(500).json({ ok: false, error: "QUERY_FAIL" }); }
+    res.json({ ok: true, stats: result.stats });
+  } catch (err) { console.error("[profile/stats]", err); res.status(500).json({ ok: false, error: "INTERNAL" }); }
+});
+
+// =========================
+// 빠른 대전 매치메이킹 (matchmaking.js) — 게임별 모드 큐, 레이팅 밴드 + 대기 시간으로 자동 매칭
+//   socket: mm:join { game, mode } / mm:leave → mm:matchFound { game, mode, roomId, inviteCode }
+//   지원: omok(1v1-15, 1v1-19, ffa-4) / makak(1v1) / yacht(2p, 4p) — 각 모듈 register* 에서 등록
+// =========================
+registerMatchmaking(io, supabaseAdmin);
+
 // ============= 그려봐 신고 admin =============
 app.get("/admin/draw-reports", requireAdmin, async (req, res) => {
   try {
@@ -9827,8 +10492,9 @@ io.on("connection", (socket) => {
         prevRoom.emptyRoomTimer = null;
       }
       socket.join(prevRoomId);
+      resumeRestoredRoom(prevRoom);
       socket.emit("room:sync", buildSyncPayload(prevRoom, me.id));
-      io.to(prevRoomId).emit("room:state", publicRoom(prevRoom));
+      emitRoomState(prevRoom);
     } else {
       userRoomMap.delete(me.id);
     }
@@ -9886,9 +10552,14 @@ io.on("connection", (socket) => {
       alreadyCounted: false,
       // ✅ 월드컵 강수/선발방식 옵션
       wcRound: parseInt(payload?.round, 10) || 0,   // 0이면 전체
-      wcPick: payload?.pick === "ranked" ? "ranked" : "random",
+      wcPick: ["ranked", "strength"].includes(payload?.pick) ? payload.pick : "random",
+      wcSeeding: SEEDING_MODES.includes(payload?.seeding) ? payload.seeding : "random",  // 대진 시딩
+      wcFormat: WC_FORMATS.includes(payload?.format) ? payload.format : "single",  // 진행 방식 (worldcup-formats.js)
       // ✅ 퀴즈 문제 수 옵션
       questionCount: parseInt(payload?.questionCount, 10) || 0, // 0이면 전체
+      // ✅ 퀴즈 출제 순서 (random / sequential / adaptive — quiz-ordering.js) + 최근 출제 문항 (다음 판 문제 수 제한 시 후순위)
+      quizOrder: QUIZ_ORDERS.includes(payload?.quizOrder) ? payload.quizOrder : "random",
+      quizRecentIds: [],
       // ✅ 동률 시 재투표 옵션
       revoteEnabled: payload?.revoteEnabled !== false,  // 기본값 true
       revoteCount: 0,  // 현재 매치에서 재투표 횟수
@@ -9896,6 +10567,9 @@ io.on("connection", (socket) => {
       quizMode: payload?.quizMode === "speed" ? "speed" : "normal",
       // ✅ 퀴즈 팀전 모드 (room.mode === "quiz"일 때만 의미있음)
       teamMode: !!(payload?.teamMode) && payload?.mode === "quiz",
+      // ✅ 퀴즈 서바이벌 (블록마다 꼴찌 탈락 — quiz-survival.js). 팀전과 동시 불가
+      quizSurvival: !!(payload?.survival) && payload?.mode === "quiz" && !payload?.teamMode,
+      survivalBlockSize: normalizeSurvivalBlock(payload?.survivalBlockSize),
       // ✅ 티어 카드 수 제한
       cardLimit: parseInt(payload?.cardLimit, 10) || 0,
       // ✅ 티어 카드 선택 방식 (random | manual)
@@ -9910,6 +10584,7 @@ io.on("connection", (socket) => {
     };
     rooms.set(roomId, room);
     inviteCodeMap.set(inviteCode, roomId);
+    roomDirectory.claim("room", roomId, inviteCode);
 
     const hostNick = pickNick(socket, payload);
     const hostPlayer = { name: hostNick, isGuest: false, joinedAt: Date.now(), avatar_url: null, team: null };
@@ -9919,7 +10594,7 @@ io.on("connection", (socket) => {
         .then(({ data }) => {
           if (data?.avatar_url) {
             hostPlayer.avatar_url = data.avatar_url;
-            io.to(roomId).emit("room:state", publicRoom(room));
+            emitRoomState(room);
           }
         }).catch(() => {});
     }
@@ -9928,9 +10603,10 @@ io.on("connection", (socket) => {
     if (room.teamMode) _autoAssignTeam(room, me.id);
     socket.join(roomId);
     userRoomMap.set(me.id, roomId);
+    leaveQueueOnSeat(me.id);
 
     console.log(`[방 생성] roomId=${roomId} inviteCode=${inviteCode} 호스트=${me.id}(${hostNick}) 모드=${room.mode} contentId=${room.contentId} teamMode=${room.teamMode}`);
-    io.to(roomId).emit("room:state", publicRoom(room));
+    emitRoomState(room);
     cb?.({ ok: true, roomId, inviteCode });
   });
 
@@ -9943,7 +10619,10 @@ io.on("connection", (socket) => {
       if (resolved) roomId = resolved;
     }
     const room = rooms.get(roomId);
-    if (!room) return cb?.({ ok: false, error: "ROOM_NOT_FOUND" });
+    if (!room) {
+      // 다른 노드가 가진 방이면 그 노드로 다시 붙도록 안내
+      return cb?.(roomNotFoundReply("room", payload?.roomId));
+    }
 
     // 강퇴된 유저 재입장 차단
     if (room.banned && room.banned.has(me.id)) {
@@ -9976,7 +10655,7 @@ io.on("connection", (socket) => {
           .then(({ data }) => {
             if (data?.avatar_url) {
               newPlayer.avatar_url = data.avatar_url;
-              io.to(roomId).emit("room:state", publicRoom(room));
+              emitRoomState(room);
             }
           }).catch(() => {});
       }
@@ -9986,13 +10665,14 @@ io.on("connection", (socket) => {
     }
     socket.join(roomId);
     userRoomMap.set(me.id, roomId);
+    leaveQueueOnSeat(me.id);
 
     // 퀴즈 진행 중이면 점수 초기화
     if (room.quiz && room.quiz.scores[me.id] === undefined) {
       room.quiz.scores[me.id] = 0;
     }
 
-    io.to(roomId).emit("room:state", publicRoom(room));
+    emitRoomState(room);
 
     // ✅ 게임 진행 중인 방에 입장한 소켓에 현재 스냅샷 즉시 전송
     //    (grace 만료 후 재접속 / 게스트 새 탭 재입장 등으로
@@ -10038,10 +10718,10 @@ io.on("connection", (socket) => {
       if (wasHost) {
         const deleted = handleHostLeave(room);
         if (!deleted) {
-          io.to(roomId).emit("room:state", publicRoom(room));
+          emitRoomState(room);
         }
       } else {
-        io.to(roomId).emit("room:state", publicRoom(room));
+        emitRoomState(room);
         maybeCleanupRoom(roomId, "EMPTY");
       }
     }
@@ -10077,7 +10757,7 @@ io.on("connection", (socket) => {
     }
 
     room.maxPlayers = requested;
-    io.to(roomId).emit("room:state", publicRoom(room));
+    emitRoomState(room);
     cb?.({ ok: true, maxPlayers: requested });
   });
 
@@ -10120,7 +10800,7 @@ io.on("connection", (socket) => {
     io.to(roomId).emit("room:kicked", { targetUserId });
 
     // 방 상태 업데이트
-    io.to(roomId).emit("room:state", publicRoom(room));
+    emitRoomState(room);
 
     console.log(`[강퇴] roomId=${roomId} host=${me.id} kicked=${targetUserId}`);
     cb?.({ ok: true });
@@ -10144,12 +10824,13 @@ io.on("connection", (socket) => {
       resolveReviewVote(room);
     }
     if (room.mode === "quiz" && room.quiz?.phase === "answering" && room.players.size > 0) {
-      const allSubmitted = Array.from(room.players.keys()).every(uid => room.quiz.answers.has(uid));
+      const activeIds = quizActiveIds(room);
+      const allSubmitted = activeIds.every(uid => room.quiz.answers.has(uid));
       if (allSubmitted) {
         doQuizReveal(room);
-      } else if (room.quiz.skipVotes.size >= room.players.size && !room.quiz.speedSolver) {
+      } else if (activeIds.every(uid => room.quiz.skipVotes.has(uid)) && !room.quiz.speedSolver) {
         // 강퇴로 인해 남은 전원이 건너뛰기 상태 → 정답 공개
-        for (const [uid] of room.players.entries()) {
+        for (const uid of activeIds) {
           if (!room.quiz.answers.has(uid)) {
             room.quiz.answers.set(uid, { submitted: true, answer: null, isCorrect: false });
           }
@@ -10240,6 +10921,8 @@ io.on("connection", (socket) => {
 
       // ── 퀴즈 모드 → 퀴즈 시작 로직 ──
       if (room.mode === "quiz") {
+        // ✅ 서바이벌 옵션 (켜지면 팀전 해제)
+        _applyQuizSurvivalOptions(room, payload);
         // ✅ 팀전 밸런스 게이트: 참가자 2명 이하면 팀전 강제 해제
         if (room.teamMode && room.players.size < 3) {
           console.log(`[game:start] teamMode off — only ${room.players.size} players`);
@@ -10266,19 +10949,9 @@ io.on("connection", (socket) => {
         room.contentId = contentId;
         // ✅ 타이머: 호스트가 room:create에서 설정한 값 유지 (월드컵과 동일 — DB 값으로 덮어쓰지 않음)
 
-        // ✅ Fisher-Yates 셔플: 항상 문제 순서를 랜덤화
-        let quizQuestions = loaded.questions.slice();
-        for (let i = quizQuestions.length - 1; i > 0; i--) {
-          const j = Math.floor(Math.random() * (i + 1));
-          [quizQuestions[i], quizQuestions[j]] = [quizQuestions[j], quizQuestions[i]];
-        }
-        // 문제 수 제한: questionCount > 0이면 앞에서 N개만 선택
-        if (room.questionCount > 0 && room.questionCount < quizQuestions.length) {
-          console.log(`[game:start] quiz question limit: ${room.questionCount}/${quizQuestions.length}`);
-          quizQuestions = quizQuestions.slice(0, room.questionCount);
-        }
-        console.log(`[game:start] quiz shuffled order: [${quizQuestions.slice(0, 5).map(q => q.id?.slice(0, 6)).join(",")}${quizQuestions.length > 5 ? ",…" : ""}]`);
-        initQuizState(room, quizQuestions);
+        // ✅ 문제 수 제한 + 출제 순서 (room.quizOrder — quiz-ordering.js)
+        const { questions: quizQuestions, difficulty } = await prepareQuizQuestions(room, loaded.questions);
+        initQuizState(room, quizQuestions, difficulty);
 
         console.log(`[game:start] quiz started — questions=${quizQuestions.length} → quiz:question broadcast`);
         advanceQuizQuestion(room);
@@ -10303,7 +10976,7 @@ io.on("connection", (socket) => {
           roomId: room.id, roundIndex: room.roundIndex, totalMatches: room.totalMatches,
           match: room.currentMatch, timer: { enabled: room.timerEnabled, sec: room.timerSec }, isBalance: true,
         });
-        io.to(room.id).emit("room:state", publicRoom(room));
+        emitRoomState(room);
         startRoundTimer(room);
         console.log(`[game:start] balance started — pairs=${room.totalMatches}`);
         return cb?.({ ok: true });
@@ -10327,8 +11000,17 @@ io.on("connection", (socket) => {
       );
       console.log(`[game:start] 선발된 후보: ${selectedCandidates.length}명 (round=${room.wcRound}, pick=${room.wcPick})`);
 
+      // ✅ 대진 시딩 (game:start 에서 바꿀 수 있음 — 기본은 방 생성 시 값)
+      if (SEEDING_MODES.includes(payload?.seeding)) room.wcSeeding = payload.seeding;
+      // ✅ 진행 방식 (single / double / league) — 마찬가지로 game:start 에서 변경 가능
+      if (WC_FORMATS.includes(payload?.format)) room.wcFormat = payload.format;
+      if (room.wcFormat === "league" && selectedCandidates.length > LEAGUE_MAX_CANDIDATES) {
+        return cb?.({ ok: false, error: "LEAGUE_TOO_MANY_CANDIDATES", max: LEAGUE_MAX_CANDIDATES });
+      }
+      const seeded = await seedBracketForRoom(selectedCandidates, contentId, room.wcSeeding || "random");
+
       room.content = loaded.content;
-      initBracket(room, selectedCandidates);
+      initBracket(room, seeded || selectedCandidates, { seeded: !!seeded });
 
       room.roundIndex = 1;
       room.phase = "playing";
@@ -10349,7 +11031,7 @@ io.on("connection", (socket) => {
         match: room.currentMatch,
         timer: timerInfo
       });
-      io.to(room.id).emit("room:state", publicRoom(room));
+      emitRoomState(room);
 
       console.log(`[game:start] worldcup started — candidates=${loaded.candidates.length} → worldcup:round broadcast`);
       startRoundTimer(room);
@@ -10375,7 +11057,7 @@ io.on("connection", (socket) => {
 
     room.committed.add(me.id);
 
-    io.to(room.id).emit("room:state", publicRoom(room));
+    emitRoomState(room);
     cb?.({ ok: true });
 
     if (room.committed.size === room.players.size) {
@@ -10412,7 +11094,8 @@ io.on("connection", (socket) => {
         champion: room.champion?.name || room.champion,
         championMedia: _champMedia,
         scores,
-        picksHistory: room.picksHistory
+        picksHistory: room.picksHistory,
+        ...wcFormatSummary(room)
       });
 
       // 판 기록 DB 저장 (fire-and-forget)
@@ -10444,7 +11127,7 @@ io.on("connection", (socket) => {
       match: room.currentMatch,
       timer: timerInfo
     });
-    io.to(room.id).emit("room:state", publicRoom(room));
+    emitRoomState(room);
 
     startRoundTimer(room);
     cb?.({ ok: true, finished: false });
@@ -10475,23 +11158,15 @@ io.on("connection", (socket) => {
         room.timerEnabled = !!payload.timerEnabled;
       }
       if (payload?.timerSec) room.timerSec = Math.min(180, Math.max(10, Number(payload.timerSec)));
+      _applyQuizSurvivalOptions(room, payload);
 
       room.content = loaded.content;
       room.contentId = quizId;
 
-      // ✅ Fisher-Yates 셔플: 항상 문제 순서를 랜덤화
-      let quizQs = loaded.questions.slice();
-      for (let i = quizQs.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [quizQs[i], quizQs[j]] = [quizQs[j], quizQs[i]];
-      }
-      // 문제 수 제한: questionCount > 0이면 앞에서 N개만 선택
-      if (room.questionCount > 0 && room.questionCount < quizQs.length) {
-        console.log(`[quiz:start] question limit: ${room.questionCount}/${quizQs.length}`);
-        quizQs = quizQs.slice(0, room.questionCount);
-      }
-      console.log(`[quiz:start] quiz shuffled order: [${quizQs.slice(0, 5).map(q => q.id?.slice(0, 6)).join(",")}${quizQs.length > 5 ? ",…" : ""}]`);
-      initQuizState(room, quizQs);
+      // ✅ 문제 수 제한 + 출제 순서 (room.quizOrder — quiz-ordering.js)
+      if (QUIZ_ORDERS.includes(payload?.quizOrder)) room.quizOrder = payload.quizOrder;
+      const { questions: quizQs, difficulty } = await prepareQuizQuestions(room, loaded.questions);
+      initQuizState(room, quizQs, difficulty);
 
       console.log(`퀴즈 시작: 방=${room.id}, 문제=${quizQs.length}개`);
 
@@ -10510,7 +11185,7 @@ io.on("connection", (socket) => {
     if (!room.quiz || room.quiz.phase !== "show") return cb?.({ ok: false, error: "NOT_SHOW_PHASE" });
 
     room.quiz.readyPlayers.add(me.id);
-    io.to(room.id).emit("room:state", publicRoom(room));
+    emitRoomState(room);
 
     // 전체 상태 알림
     io.to(room.id).emit("quiz:status", {
@@ -10553,7 +11228,7 @@ io.on("connection", (socket) => {
     if (target.team === team) return cb?.({ ok: true, unchanged: true });
     target.team = team;
 
-    io.to(room.id).emit("room:state", publicRoom(room));
+    emitRoomState(room);
     console.log(`[quiz:set-team] roomId=${room.id} ${targetId} → ${team} (by ${me.id}${isSelf ? ", self" : ", host"})`);
     cb?.({ ok: true });
   });
@@ -10566,6 +11241,8 @@ io.on("connection", (socket) => {
 
     const p = room.players.get(me.id);
     if (!p) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
+    // 서바이벌: 탈락자 / 서든데스 비대상은 관전만
+    if (room.quiz.survival && !quizActiveIds(room).includes(me.id)) return cb?.({ ok: false, error: "SPECTATING" });
 
     // ── 스피드 모드 분기 ──
     if (room.quizMode === "speed") {
@@ -10589,14 +11266,16 @@ io.on("connection", (socket) => {
       }
 
       const userAnswer = payload?.answer ?? null;
-      const isCorrect = checkAnswer(question, userAnswer);
+      const match = getShortAnswerMatch(question, userAnswer);
+      const isCorrect = match ? match.correct : checkAnswer(question, userAnswer);
 
       if (isCorrect) {
-        // ✅ 선착 정답자!
+        // ✅ 선착 정답자! (주관식 오타 인정은 typoCredit 만큼)
+        const answerScore = match ? match.score : 1;
         q.speedSolver = { userId: me.id, name: p.name };
         q.skipVotes.clear(); // 건너뛰기 무효화
-        q.answers.set(me.id, { submitted: true, answer: userAnswer, isCorrect: true });
-        q.scores[me.id] = (q.scores[me.id] || 0) + 1;
+        q.answers.set(me.id, { submitted: true, answer: userAnswer, isCorrect: true, answerScore, fuzzy: !!match && !match.exact, submittedAt: Date.now() });
+        q.scores[me.id] = (q.scores[me.id] || 0) + answerScore;
 
         // 전원에게 선착 정답자 알림
         io.to(room.id).emit("quiz:speed-solved", {
@@ -10637,21 +11316,24 @@ io.on("connection", (socket) => {
       submitted: true,
       answer: payload?.answer ?? null,
       isCorrect: false, // reveal 시 판정
+      submittedAt: Date.now(),
     });
 
-    io.to(room.id).emit("room:state", publicRoom(room));
+    emitRoomState(room);
 
-    // 제출 상태 알림
+    // 제출 상태 알림 (서바이벌은 생존자 기준)
+    const activeIds = quizActiveIds(room);
+    const submittedCount = activeIds.filter(uid => room.quiz.answers.has(uid)).length;
     io.to(room.id).emit("quiz:status", {
       type: "submit",
-      submittedCount: room.quiz.answers.size,
-      totalPlayers: room.players.size,
+      submittedCount,
+      totalPlayers: activeIds.length,
     });
 
     cb?.({ ok: true });
 
     // 전원 제출 → 자동 reveal
-    if (room.quiz.answers.size >= room.players.size) {
+    if (submittedCount >= activeIds.length) {
       doQuizReveal(room);
     }
   });
@@ -10666,12 +11348,14 @@ io.on("connection", (socket) => {
     if (room.quiz.speedSolver) return cb?.({ ok: false, error: "ALREADY_SOLVED" });
 
     const q = room.quiz;
+    // 현재 active player (이미 제출한 사람 포함, 서바이벌은 생존자/서든데스 후보만)
+    const activeIds = quizActiveIds(room);
+    if (!activeIds.includes(me.id)) return cb?.({ ok: false, error: "SPECTATING" });
     q.skipVotes.add(me.id);
-    console.log(`[quiz:skip] room=${room.id} user=${me.id} skipVotes=${q.skipVotes.size}/${room.players.size}`);
+    console.log(`[quiz:skip] room=${room.id} user=${me.id} skipVotes=${q.skipVotes.size}/${activeIds.length}`);
 
-    // 현재 active player 수 계산 (이미 제출한 사람 포함한 전체 플레이어)
-    const totalActive = room.players.size;
-    const skipCount = q.skipVotes.size;
+    const totalActive = activeIds.length;
+    const skipCount = activeIds.filter(uid => q.skipVotes.has(uid)).length;
 
     // 전원에게 skip 현황 브로드캐스트
     io.to(room.id).emit("quiz:skip-status", {
@@ -10716,14 +11400,36 @@ io.on("connection", (socket) => {
         teamMode: !!room.teamMode,
         teamScores: room.teamMode ? _buildTeamScores(room) : null,
       });
-      io.to(room.id).emit("room:state", publicRoom(room));
+      emitRoomState(room);
       cb?.({ ok: true });
       return;
     }
 
     // scoreboard → 다음 문제 또는 종료
     if (q.phase === "scoreboard") {
-      if (q.questionIndex >= q.questions.length - 1) {
+      const hasNext = q.questionIndex < q.questions.length - 1;
+
+      // 서바이벌: 블록 종료 → 꼴찌 탈락 / 동점이면 서든데스
+      let survivalOver = false;
+      if (q.survival) {
+        const step = survivalAfterQuestion(q.survival, q.questionIndex, q.scores, [...room.players.keys()], hasNext);
+        if (step.eliminated.length > 0) {
+          io.to(room.id).emit("quiz:eliminated", {
+            eliminated: step.eliminated.map(e => ({ ...e, name: room.players.get(e.userId)?.name || null })),
+            alive: q.survival.alive.slice(),
+            questionIndex: q.questionIndex,
+          });
+        }
+        if (step.suddenDeath && hasNext) {
+          io.to(room.id).emit("quiz:sudden-death", {
+            candidates: step.suddenDeath.candidates.map(id => ({ userId: id, name: room.players.get(id)?.name || null })),
+            round: step.suddenDeath.round,
+          });
+        }
+        survivalOver = step.finished;
+      }
+
+      if (!hasNext || survivalOver) {
         q.phase = "finished";
         const scores = buildQuizScores(room);
         io.to(room.id).emit("quiz:finished", {
@@ -10731,8 +11437,14 @@ io.on("connection", (socket) => {
           totalQuestions: q.questions.length,
           teamMode: !!room.teamMode,
           teamScores: room.teamMode ? _buildTeamScores(room) : null,
+          // 서바이벌: 우승자 (문제가 먼저 떨어지면 null) + 생존자 점수순 → 늦게 탈락한 순
+          survival: q.survival ? {
+            winnerId: q.survival.winnerId,
+            standings: survivalStandings(q.survival, q.scores),
+            eliminated: q.survival.eliminated.slice(),
+          } : null,
         });
-        io.to(room.id).emit("room:state", publicRoom(room));
+        emitRoomState(room);
 
         // 퀴즈 play_count: quiz_attempts INSERT 트리거가 처리 → recordPlayOnce 불필요
         // (각 참가자가 /quiz/finish 호출 시 quiz_attempts INSERT → 트리거 +1)
@@ -10742,6 +11454,9 @@ io.on("connection", (socket) => {
       }
 
       q.questionIndex++;
+      if (room.quizOrder === "adaptive") {
+        pickNextAdaptive(q.questions, q.questionIndex, q.difficulty || {}, q.accuracyStats);
+      }
       advanceQuizQuestion(room);
       cb?.({ ok: true, finished: false });
       return;
@@ -10799,7 +11514,7 @@ io.on("connection", (socket) => {
       submitted: room.committed.size,
       total: room.players.size,
     });
-    io.to(room.id).emit("room:state", publicRoom(room));
+    emitRoomState(room);
 
     cb?.({ ok: true });
 
@@ -10844,10 +11559,10 @@ io.on("connection", (socket) => {
       if (!room.tier || room.tier.tierPhase !== "card_revealed") return;
       t.tierPhase = "collecting_votes";
       if (room.timerEnabled) startTierVoteTimer(room);
-      io.to(room.id).emit("room:state", publicRoom(room));
+      emitRoomState(room);
     }, 1500);
 
-    io.to(room.id).emit("room:state", publicRoom(room));
+    emitRoomState(room);
     cb?.({ ok: true });
   });
 
@@ -10944,7 +11659,7 @@ io.on("connection", (socket) => {
       currentTierName: t.tierMeta.find(m => m.id === foundInTier)?.name || foundInTier,
       requestedBy: room.players.get(me.id)?.name || "?",
     });
-    io.to(room.id).emit("room:state", publicRoom(room));
+    emitRoomState(room);
 
     // 타이머 (재검토 투표에도 적용)
     if (room.timerEnabled) {
@@ -11093,85 +11808,12 @@ io.on("connection", (socket) => {
     } catch {}
 
     if (!room.disconnected) room.disconnected = new Map();
-    const timeoutId = setTimeout(() => {
-      room.disconnected.delete(me.id);
-
-      const wasHost = room.hostUserId === me.id;
-
-      room.players.delete(me.id);
-      room.committed.delete(me.id);
-      if (room.quiz) {
-        room.quiz.answers.delete(me.id);
-        room.quiz.readyPlayers.delete(me.id);
-        room.quiz.skipVotes.delete(me.id);
-      }
-      if (room.tier) {
-        room.tier.votes.delete(me.id);
-        if (room.tier.currentReview) {
-          room.tier.currentReview.approvals.delete(me.id);
-          room.tier.currentReview.rejections.delete(me.id);
-        }
-      }
-      userRoomMap.delete(me.id);
+    const timeoutId = setTimeout(() => expireDisconnectedPlayer(room, me.id), GRACE_MS);
 
-      // 호스트 유예 만료 → 호스트 정책 적용
-      if (wasHost) {
-        const deleted = handleHostLeave(room);
-        if (deleted) return; // 방이 삭제됨 → 이후 로직 불필요
-        // TRANSFER 정책이면 아래 로직 계속
-      }
-
-      io.to(roomId).emit("room:state", publicRoom(room));
-
-      // 월드컵: 남은 전원 committed → 자동 reveal (tier는 별도 처리)
-      // (revoting = 동률 재투표 단계도 포함 — 타이머 OFF + 미투표자 이탈 시 정지 방지)
-      if (room.mode === "worldcup" && (room.phase === "playing" || room.phase === "revoting") && room.players.size > 0
-          && room.committed.size === room.players.size) {
-        doReveal(room);
-      }
-      // 멀티 티어: 남은 전원 committed → 자동 집계
-      if (room.mode === "tier" && room.tier
-          && (room.tier.tierPhase === "collecting_votes" || room.tier.tierPhase === "resolving_tie")
-          && room.players.size > 0 && room.committed.size === room.players.size) {
-        doTierVoteResult(room);
-      }
-      if (room.mode === "tier" && room.tier
-          && room.tier.tierPhase === "review_voting"
-          && room.players.size > 0 && room.committed.size === room.players.size) {
-        resolveReviewVote(room);
-      }
-
-      // 퀴즈: 남은 전원 제출 → 자동 reveal
-      if (room.mode === "quiz" && room.quiz?.phase === "answering" && room.players.size > 0) {
-        const allSubmitted = Array.from(room.players.keys()).every(uid => room.quiz.answers.has(uid));
-        if (allSubmitted) {
-          doQuizReveal(room);
-        } else if (room.quiz.skipVotes.size >= room.players.size && !room.quiz.speedSolver) {
-          // 이탈로 남은 전원이 건너뛰기 상태 → 정답 공개
-          for (const [uid] of room.players.entries()) {
-            if (!room.quiz.answers.has(uid)) {
-              room.quiz.answers.set(uid, { submitted: true, answer: null, isCorrect: false });
-            }
-          }
-          doQuizReveal(room);
-        }
-      }
-
-      // 퀴즈: show 단계 유튜브 — 전원 ready면 진행
-      if (room.mode === "quiz" && room.quiz?.phase === "show" && room.players.size > 0) {
-        if (room.quiz.readyPlayers.size >= room.players.size) {
-          startQuizAnswering(room);
-        }
-      }
-
-      // 공통: 방 비었는지 확인 → 삭제 판정
-      maybeCleanupRoom(roomId, "EMPTY");
-    }, GRACE_MS);
-
-    room.disconnected.set(me.id, { at: Date.now(), timeoutId });
-    io.to(roomId).emit("room:state", publicRoom(room));
-  });
-});
+    room.disconnected.set(me.id, { at: Date.now(), timeoutId });
+    emitRoomState(room);
+  });
+});
 
 // =============================================
 // 자동 대표 썸네일 (Auto Thumbnail Fallback)
@@ -13538,59 +14180,6 @@ function normalizeMergeSeason(v) {
   return MERGE_ALLOWED_SEASONS.has(s) ? s : "classic";
 }
 
-// 모드별 정렬 — 엔드리스: score DESC / 챌린지: max_stage=11 클리어만, duration_sec ASC, score DESC tiebreak
-async function fetchMergeLeaderboard(supabase, { mode, limit, dailyOnly = false }) {
-  const base = supabase
-    .from("merge_scores")
-    .select("user_id, nickname, score, max_stage, combo_max, duration_sec, created_at, mode")
-    .eq("mode", mode)
-    .eq("flagged", false)
-    .not("user_id", "is", null); // 로그인 유저만 공식 랭킹
-
-  if (dailyOnly) {
-    const today = new Date().toISOString().slice(0, 10);
-    base.gte("created_at", today + "T00:00:00Z").lt("created_at", today + "T23:59:59Z");
-  }
-  if (mode === "challenge") base.eq("max_stage", 11);
-
-  // 더 많이 가져와서 user_id 기준 dedupe (best per user) — over-fetch 후 클라이언트 dedupe
-  const overFetch = Math.min(limit * 8, 200);
-  const q = mode === "challenge"
-    ? base.order("duration_sec", { ascending: true }).order("score", { ascending: false }).limit(overFetch)
-    : base.order("score", { ascending: false }).order("duration_sec", { ascending: true }).limit(overFetch);
-
-  const { data, error } = await q;
-  if (error) return { error };
-
-  // user_id 기준 best 1개만 (이미 sorted 상태)
-  const seen = new Set();
-  const rows = [];
-  for (const r of data || []) {
-    if (!r.user_id) continue;
-    if (seen.has(r.user_id)) continue;
-    seen.add(r.user_id);
-    rows.push(r);
-    if (rows.length >= limit) break;
-  }
-
-  // profiles batch join — 최신 닉네임 + 아바타
-  if (rows.length > 0) {
-    const userIds = rows.map(r => r.user_id);
-    const { data: profiles } = await supabase
-      .from("profiles").select("id, nickname, avatar_url").in("id", userIds);
-    const profMap = new Map((profiles || []).map(p => [p.id, p]));
-    for (const r of rows) {
-      const p = profMap.get(r.user_id);
-      if (p) {
-        if (p.nickname) r.nickname = p.nickname; // 최신 닉네임으로 덮어쓰기
-        r.avatar_url = p.avatar_url || null;
-      }
-    }
-  }
-
-  return { rows };
-}
-
 app.post("/merge/score", async (req, res) => {
   try {
     const body = req.body || {};
@@ -13657,9 +14246,10 @@ app.post("/merge/score", async (req, res) => {
     }
 
     // 랭크 계산: 로그인 유저만 공식 랭킹. 게스트는 rank null.
-    let globalRank = null, dailyRank = null, official = false;
+    let globalRank = null, dailyRank = null, official = false, seasonRecord = null;
     if (!flagged && userId) {
       official = true;
+      seasonRecord = await recordSeasonSafe("merge", data);
       // 챌린지: duration_sec 빠를수록 상위. 엔드리스: score 높을수록 상위.
       if (mode === "challenge") {
         const dur = Math.round(durationSec);
@@ -13703,136 +14293,18 @@ app.post("/merge/score", async (req, res) => {
       }
     }
 
-    res.json({ ok: true, id: data.id, flagged, mode, official, globalRank, dailyRank });
+    res.json({ ok: true, id: data.id, flagged, mode, official, globalRank, dailyRank, seasonRecord });
   } catch (err) {
     console.error("[merge/score]", err);
     res.status(500).json({ ok: false, error: "INTERNAL" });
   }
 });
 
-app.get("/merge/leaderboard/global", async (req, res) => {
-  try {
-    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 10));
-    const mode = normalizeMergeMode(req.query.mode);
-    const result = await fetchMergeLeaderboard(supabaseAdmin, { mode, limit, dailyOnly: false });
-    if (result.error) {
-      console.error("[merge/leaderboard/global]", result.error);
-      return res.status(500).json({ ok: false, error: "QUERY_FAIL" });
-    }
-    res.json({ ok: true, mode, rows: result.rows });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ ok: false, error: "INTERNAL" });
-  }
-});
-
-app.get("/merge/leaderboard/daily", async (req, res) => {
-  try {
-    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 10));
-    const mode = normalizeMergeMode(req.query.mode);
-    const result = await fetchMergeLeaderboard(supabaseAdmin, { mode, limit, dailyOnly: true });
-    if (result.error) {
-      console.error("[merge/leaderboard/daily]", result.error);
-      return res.status(500).json({ ok: false, error: "QUERY_FAIL" });
-    }
-    res.json({ ok: true, mode, rows: result.rows });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ ok: false, error: "INTERNAL" });
-  }
-});
-
-// 내 최고 — 로그인 필수. 게스트는 client localStorage 사용.
-app.get("/merge/leaderboard/me", async (req, res) => {
-  try {
-    const mode = normalizeMergeMode(req.query.mode);
-    const user = await getOptionalUser(req);
-    const userId = user?.id || null;
-    if (!userId) return res.json({ ok: true, mode, row: null });
-
-    let q = supabaseAdmin
-      .from("merge_scores")
-      .select("nickname, score, max_stage, combo_max, duration_sec, created_at, mode")
-      .eq("mode", mode).eq("flagged", false).eq("user_id", userId)
-      .limit(1);
-    q = mode === "challenge"
-      ? q.eq("max_stage", 11).order("duration_sec", { ascending: true }).order("score", { ascending: false })
-      : q.order("score", { ascending: false });
-
-    const { data, error } = await q;
-    if (error) {
-      console.error("[merge/leaderboard/me]", error);
-      return res.status(500).json({ ok: false, error: "QUERY_FAIL" });
-    }
-    let row = data?.[0] || null;
-    if (row) {
-      const { data: prof } = await supabaseAdmin
-        .from("profiles").select("nickname, avatar_url").eq("id", userId).maybeSingle();
-      if (prof) {
-        if (prof.nickname) row.nickname = prof.nickname;
-        row.avatar_url = prof.avatar_url || null;
-      }
-    }
-    res.json({ ok: true, mode, row });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ ok: false, error: "INTERNAL" });
-  }
-});
-
 // ============================================================
 // 피해피해 (DUO Dodge) — 솔로 점수 / 랭킹 (수라상 패턴 이식)
 // 로그인 유저만 공식 랭킹 (게스트는 localStorage)
 // 유저당 BEST 1개만 — 도배 불가
 // ============================================================
-async function fetchDodgeLeaderboard(supabase, { limit, dailyOnly = false }) {
-  const base = supabase
-    .from("dodge_scores")
-    .select("user_id, nickname, score, kills, level_max, duration_sec, created_at")
-    .eq("flagged", false)
-    .not("user_id", "is", null);
-
-  if (dailyOnly) {
-    const today = new Date().toISOString().slice(0, 10);
-    base.gte("created_at", today + "T00:00:00Z").lt("created_at", today + "T23:59:59Z");
-  }
-
-  const overFetch = Math.min(limit * 8, 200);
-  const { data, error } = await base
-    .order("score", { ascending: false })
-    .order("created_at", { ascending: true })
-    .limit(overFetch);
-  if (error) return { error };
-
-  // user_id 기준 best 1개만 (이미 score DESC sorted)
-  const seen = new Set();
-  const rows = [];
-  for (const r of data || []) {
-    if (!r.user_id) continue;
-    if (seen.has(r.user_id)) continue;
-    seen.add(r.user_id);
-    rows.push(r);
-    if (rows.length >= limit) break;
-  }
-
-  // profiles batch join — 최신 닉네임 + 아바타
-  if (rows.length > 0) {
-    const userIds = rows.map(r => r.user_id);
-    const { data: profiles } = await supabase
-      .from("profiles").select("id, nickname, avatar_url").in("id", userIds);
-    const profMap = new Map((profiles || []).map(p => [p.id, p]));
-    for (const r of rows) {
-      const p = profMap.get(r.user_id);
-      if (p) {
-        if (p.nickname) r.nickname = p.nickname;
-        r.avatar_url = p.avatar_url || null;
-      }
-    }
-  }
-
-  return { rows };
-}
-
 app.post("/dodge/score", async (req, res) => {
   try {
     const body = req.body || {};
@@ -13884,9 +14356,10 @@ app.post("/dodge/score", async (req, res) => {
 
     // 랭크 계산: 로그인 유저만 공식. 유저당 BEST 기준이므로 내 best가 갱신된 경우만 정확.
     // 간단히: 나보다 score 높은 distinct user 수 + 1
-    let globalRank = null, dailyRank = null, official = false;
+    let globalRank = null, dailyRank = null, official = false, seasonRecord = null;
     if (!flagged && userId) {
       official = true;
+      seasonRecord = await recordSeasonSafe("dodge", data);
       // 내가 가진 모든 점수 중 best score를 기준으로 — 방금 insert 후 SELECT
       const { data: myBestRow } = await supabaseAdmin
         .from("dodge_scores")
@@ -13915,107 +14388,17 @@ app.post("/dodge/score", async (req, res) => {
       dailyRank = higherUsersDaily.size + 1;
     }
 
-    res.json({ ok: true, id: data.id, flagged, official, globalRank, dailyRank });
+    res.json({ ok: true, id: data.id, flagged, official, globalRank, dailyRank, seasonRecord });
   } catch (err) {
     console.error("[dodge/score]", err);
     res.status(500).json({ ok: false, error: "INTERNAL" });
   }
 });
 
-app.get("/dodge/leaderboard/global", async (req, res) => {
-  try {
-    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 10));
-    const result = await fetchDodgeLeaderboard(supabaseAdmin, { limit, dailyOnly: false });
-    if (result.error) { console.error("[dodge/leaderboard/global]", result.error); return res.status(500).json({ ok: false, error: "QUERY_FAIL" }); }
-    res.json({ ok: true, rows: result.rows });
-  } catch (err) { console.error(err); res.status(500).json({ ok: false, error: "INTERNAL" }); }
-});
-
-app.get("/dodge/leaderboard/daily", async (req, res) => {
-  try {
-    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 10));
-    const result = await fetchDodgeLeaderboard(supabaseAdmin, { limit, dailyOnly: true });
-    if (result.error) { console.error("[dodge/leaderboard/daily]", result.error); return res.status(500).json({ ok: false, error: "QUERY_FAIL" }); }
-    res.json({ ok: true, rows: result.rows });
-  } catch (err) { console.error(err); res.status(500).json({ ok: false, error: "INTERNAL" }); }
-});
-
-app.get("/dodge/leaderboard/me", async (req, res) => {
-  try {
-    const user = await getOptionalUser(req);
-    const userId = user?.id || null;
-    if (!userId) return res.json({ ok: true, row: null });
-    const { data, error } = await supabaseAdmin
-      .from("dodge_scores")
-      .select("nickname, score, kills, level_max, duration_sec, created_at")
-      .eq("flagged", false).eq("user_id", userId)
-      .order("score", { ascending: false }).limit(1);
-    if (error) { console.error("[dodge/leaderboard/me]", error); return res.status(500).json({ ok: false, error: "QUERY_FAIL" }); }
-    let row = data?.[0] || null;
-    if (row) {
-      const { data: prof } = await supabaseAdmin
-        .from("profiles").select("nickname, avatar_url").eq("id", userId).maybeSingle();
-      if (prof) {
-        if (prof.nickname) row.nickname = prof.nickname;
-        row.avatar_url = prof.avatar_url || null;
-      }
-    }
-    res.json({ ok: true, row });
-  } catch (err) { console.error(err); res.status(500).json({ ok: false, error: "INTERNAL" }); }
-});
-
 // ============================================================
 // 지켜라 (가챠 TD) — 솔로 랭킹 (피해피해 패턴 차용)
 // 2026-05-16
 // ============================================================
-async function fetchGachatdLeaderboard(supabase, { limit, dailyOnly = false }) {
-  const base = supabase
-    .from("gachatd_scores")
-    .select("user_id, nickname, score, wave_max, kills, leader_key, endless, created_at")
-    .eq("flagged", false)
-    .not("user_id", "is", null);
-
-  if (dailyOnly) {
-    const today = new Date().toISOString().slice(0, 10);
-    base.gte("created_at", today + "T00:00:00Z").lt("created_at", today + "T23:59:59Z");
-  }
-
-  const overFetch = Math.min(limit * 8, 200);
-  const { data, error } = await base
-    .order("score", { ascending: false })
-    .order("created_at", { ascending: true })
-    .limit(overFetch);
-  if (error) return { error };
-
-  // user_id 기준 best 1개만 (이미 score DESC sorted)
-  const seen = new Set();
-  const rows = [];
-  for (const r of data || []) {
-    if (!r.user_id) continue;
-    if (seen.has(r.user_id)) continue;
-    seen.add(r.user_id);
-    rows.push(r);
-    if (rows.length >= limit) break;
-  }
-
-  // profiles batch join
-  if (rows.length > 0) {
-    const userIds = rows.map(r => r.user_id);
-    const { data: profiles } = await supabase
-      .from("profiles").select("id, nickname, avatar_url").in("id", userIds);
-    const profMap = new Map((profiles || []).map(p => [p.id, p]));
-    for (const r of rows) {
-      const p = profMap.get(r.user_id);
-      if (p) {
-        if (p.nickname) r.nickname = p.nickname;
-        r.avatar_url = p.avatar_url || null;
-      }
-    }
-  }
-
-  return { rows };
-}
-
 app.post("/gachatd/score", async (req, res) => {
   try {
     const body = req.body || {};
@@ -14071,9 +14454,10 @@ app.post("/gachatd/score", async (req, res) => {
     }
 
     // 랭크 계산 (로그인 유저 only)
-    let globalRank = null, dailyRank = null, official = false;
+    let globalRank = null, dailyRank = null, official = false, seasonRecord = null;
     if (!flagged && userId) {
       official = true;
+      seasonRecord = await recordSeasonSafe("gachatd", data);
       const { data: myBestRow } = await supabaseAdmin
         .from("gachatd_scores")
         .select("score")
@@ -14100,53 +14484,43 @@ app.post("/gachatd/score", async (req, res) => {
       dailyRank = higherUsersDaily.size + 1;
     }
 
-    res.json({ ok: true, id: data.id, flagged, official, globalRank, dailyRank });
+    res.json({ ok: true, id: data.id, flagged, official, globalRank, dailyRank, seasonRecord });
   } catch (err) {
     console.error("[gachatd/score]", err);
     res.status(500).json({ ok: false, error: "INTERNAL" });
   }
 });
 
-app.get("/gachatd/leaderboard/global", async (req, res) => {
-  try {
-    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 10));
-    const result = await fetchGachatdLeaderboard(supabaseAdmin, { limit, dailyOnly: false });
-    if (result.error) { console.error("[gachatd/leaderboard/global]", result.error); return res.status(500).json({ ok: false, error: "QUERY_FAIL" }); }
-    res.json({ ok: true, rows: result.rows });
-  } catch (err) { console.error(err); res.status(500).json({ ok: false, error: "INTERNAL" }); }
-});
+// ============================================================
+// 솔로 점수 리플레이 검증 (사과 / 메모리 / 블록블래스트) — score-replay.js
+// 2026-10-19
+// body.replay + seed 가 오면 서버 재시뮬레이션. 불일치/규칙 위반 → 400 REPLAY_REJECTED
+// 리플레이 없는 점수는 400 REPLAY_REQUIRED, 리더보드는 verified 만 (SCORE_REPLAY_OPTIONAL=1 로 옛 동작 opt-out)
+// 리플레이 제출은 POST /score-runs/start 로 발급받은 clientRunId + seed 필수 (서버 시계로 경과 확인, 1회용)
+// GET /score-rules.js — 판 생성/점수 규칙 원본 (클라가 module import, 서버 검증과 같은 파일)
+// ============================================================
+initScoreReplay(supabaseAdmin);
 
-app.get("/gachatd/leaderboard/daily", async (req, res) => {
-  try {
-    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 10));
-    const result = await fetchGachatdLeaderboard(supabaseAdmin, { limit, dailyOnly: true });
-    if (result.error) { console.error("[gachatd/leaderboard/daily]", result.error); return res.status(500).json({ ok: false, error: "QUERY_FAIL" }); }
-    res.json({ ok: true, rows: result.rows });
-  } catch (err) { console.error(err); res.status(500).json({ ok: false, error: "INTERNAL" }); }
+const SCORE_RULES_FILE = fileURLToPath(new URL("./score-rules.js", import.meta.url));
+app.get("/score-rules.js", (req, res) => {
+  // 다른 origin 의 클라가 <script type="module"> 로 가져감 (helmet 기본 same-origin 해제)
+  res.set("Cross-Origin-Resource-Policy", "cross-origin");
+  res.set("Cache-Control", "public, max-age=300");
+  res.type("application/javascript").sendFile(SCORE_RULES_FILE);
 });
 
-app.get("/gachatd/leaderboard/me", async (req, res) => {
+app.post("/score-runs/start", async (req, res) => {
   try {
+    const game = String(req.body?.game || "");
+    if (!SCORE_RUN_GAMES.includes(game)) return res.status(400).json({ ok: false, error: "INVALID_GAME" });
     const user = await getOptionalUser(req);
-    const userId = user?.id || null;
-    if (!userId) return res.json({ ok: true, row: null });
-    const { data, error } = await supabaseAdmin
-      .from("gachatd_scores")
-      .select("nickname, score, wave_max, kills, leader_key, endless, created_at")
-      .eq("flagged", false).eq("user_id", userId)
-      .order("score", { ascending: false }).limit(1);
-    if (error) { console.error("[gachatd/leaderboard/me]", error); return res.status(500).json({ ok: false, error: "QUERY_FAIL" }); }
-    let row = data?.[0] || null;
-    if (row) {
-      const { data: prof } = await supabaseAdmin
-        .from("profiles").select("nickname, avatar_url").eq("id", userId).maybeSingle();
-      if (prof) {
-        if (prof.nickname) row.nickname = prof.nickname;
-        row.avatar_url = prof.avatar_url || null;
-      }
-    }
-    res.json({ ok: true, row });
-  } catch (err) { console.error(err); res.status(500).json({ ok: false, error: "INTERNAL" }); }
+    if (!user?.id) return res.status(401).json({ ok: false, error: "LOGIN_REQUIRED" });
+    const run = await startScoreRun(game, user.id);
+    res.json({ ok: true, ...run });
+  } catch (err) {
+    console.error("[score-runs/start]", err);
+    res.status(500).json({ ok: false, error: "INTERNAL" });
+  }
 });
 
 // ============================================================
@@ -14157,50 +14531,12 @@ app.get("/gachatd/leaderboard/me", async (req, res) => {
 // ============================================================
 const APPLE_TOP_LIMIT = 10;
 
-async function fetchAppleLeaderboard(supabase, { dailyOnly = false }) {
-  const base = supabase
-    .from("apple_scores")
-    .select("user_id, nickname, score, apples_cleared, max_combo, duration_sec, created_at")
-    .eq("flagged", false)
-    .not("user_id", "is", null);
-
-  if (dailyOnly) {
-    const today = new Date().toISOString().slice(0, 10);
-    base.gte("created_at", today + "T00:00:00Z").lt("created_at", today + "T23:59:59Z");
-  }
-
-  const { data, error } = await base
-    .order("score", { ascending: false })
-    .order("created_at", { ascending: true })
-    .limit(APPLE_TOP_LIMIT);
-  if (error) return { error };
-
-  const rows = data || [];
-
-  // profiles batch join — 최신 닉네임 + 아바타
-  if (rows.length > 0) {
-    const userIds = rows.map(r => r.user_id);
-    const { data: profiles } = await supabase
-      .from("profiles").select("id, nickname, avatar_url").in("id", userIds);
-    const profMap = new Map((profiles || []).map(p => [p.id, p]));
-    for (const r of rows) {
-      const p = profMap.get(r.user_id);
-      if (p) {
-        if (p.nickname) r.nickname = p.nickname;
-        r.avatar_url = p.avatar_url || null;
-      }
-    }
-  }
-
-  return { rows };
-}
-
 app.post("/apple/score", async (req, res) => {
   try {
     const body = req.body || {};
     const score = Number(body.score);
-    const applesCleared = Number(body.applesCleared);
-    const maxCombo = Number(body.maxCombo || 0);
+    let applesCleared = Number(body.applesCleared);
+    let maxCombo = Number(body.maxCombo || 0);
     const durationSec = Number(body.durationSec);
     const seed = body.seed != null ? Number(body.seed) : null;
     const clientRunId = body.clientRunId ? String(body.clientRunId).slice(0, 64) : null;
@@ -14209,11 +14545,23 @@ app.post("/apple/score", async (req, res) => {
     if (!Number.isFinite(applesCleared) || applesCleared < 0 || applesCleared > 170) return res.status(400).json({ ok: false, error: "INVALID_APPLES" });
     if (!Number.isFinite(durationSec) || durationSec < 0) return res.status(400).json({ ok: false, error: "INVALID_DURATION" });
 
+    // 리플레이 검증 (score-replay.js) — 통과하면 통계는 서버 재계산값
+    const replayCheck = body.replay != null ? verifyAppleReplay({ seed, replay: body.replay, score, durationSec }) : null;
+    if (!replayCheck && SCORE_REPLAY_REQUIRED) return res.status(400).json({ ok: false, error: "REPLAY_REQUIRED" });
+    if (replayCheck && !replayCheck.ok) return res.status(400).json({ ok: false, error: "REPLAY_REJECTED", reason: replayCheck.reason });
+    if (replayCheck) ({ applesCleared, maxCombo } = replayCheck.stats);
+
     // 로그인 필수
     const user = await getOptionalUser(req);
     const userId = user?.id || null;
     if (!userId) return res.status(401).json({ ok: false, error: "LOGIN_REQUIRED" });
 
+    // 리플레이는 서버 발급 판(seed / 시작 시각)과 맞아야 함 — 1회 소비
+    if (replayCheck) {
+      const run = await consumeScoreRun({ game: "apple", userId, clientRunId, seed, spanMs: replayCheck.stats.spanMs, durationSec });
+      if (!run.ok) return res.status(400).json({ ok: false, error: "REPLAY_REJECTED", reason: run.reason });
+    }
+
     // 닉네임은 프로필에서 (스냅샷)
     const { data: prof } = await supabaseAdmin
       .from("profiles").select("nickname").eq("id", userId).maybeSingle();
@@ -14246,6 +14594,7 @@ app.post("/apple/score", async (req, res) => {
       duration_sec: Math.max(0, Math.min(130, Math.round(durationSec))),
       seed: seed,
       flagged,
+      verified: !!replayCheck,
       client_run_id: clientRunId,
       created_at: new Date().toISOString(),
     };
@@ -14277,9 +14626,10 @@ app.post("/apple/score", async (req, res) => {
     // else: 새 점수 ≤ 기존 → 그대로 두기
 
     // 랭크 계산 (TOP 10 안에 들면 globalRank, 밖이면 null)
-    let globalRank = null, dailyRank = null, official = false;
+    let globalRank = null, dailyRank = null, official = false, seasonRecord = null;
     if (!flagged) {
       official = true;
+      seasonRecord = await recordSeasonSafe("apple", payload);
       const myBest = isNewBest ? newScore : prevBest;
 
       // 나보다 score 높은 distinct user 수 + 1
@@ -14306,8 +14656,10 @@ app.post("/apple/score", async (req, res) => {
       bestScore: isNewBest ? newScore : prevBest,
       flagged,
       official,
+      verified: !!replayCheck,
       globalRank,
       dailyRank,
+      seasonRecord,
     });
   } catch (err) {
     console.error("[apple/score]", err);
@@ -14315,53 +14667,6 @@ app.post("/apple/score", async (req, res) => {
   }
 });
 
-app.get("/apple/leaderboard/global", async (req, res) => {
-  try {
-    const result = await fetchAppleLeaderboard(supabaseAdmin, { dailyOnly: false });
-    if (result.error) { console.error("[apple/leaderboard/global]", result.error); return res.status(500).json({ ok: false, error: "QUERY_FAIL" }); }
-    res.json({ ok: true, rows: result.rows });
-  } catch (err) { console.error(err); res.status(500).json({ ok: false, error: "INTERNAL" }); }
-});
-
-app.get("/apple/leaderboard/daily", async (req, res) => {
-  try {
-    const result = await fetchAppleLeaderboard(supabaseAdmin, { dailyOnly: true });
-    if (result.error) { console.error("[apple/leaderboard/daily]", result.error); return res.status(500).json({ ok: false, error: "QUERY_FAIL" }); }
-    res.json({ ok: true, rows: result.rows });
-  } catch (err) { console.error(err); res.status(500).json({ ok: false, error: "INTERNAL" }); }
-});
-
-app.get("/apple/leaderboard/me", async (req, res) => {
-  try {
-    const user = await getOptionalUser(req);
-    const userId = user?.id || null;
-    if (!userId) return res.json({ ok: true, row: null });
-    const { data, error } = await supabaseAdmin
-      .from("apple_scores")
-      .select("nickname, score, apples_cleared, max_combo, duration_sec, created_at")
-      .eq("flagged", false).eq("user_id", userId)
-      .maybeSingle();
-    if (error) { console.error("[apple/leaderboard/me]", error); return res.status(500).json({ ok: false, error: "QUERY_FAIL" }); }
-    let row = data || null;
-    if (row) {
-      const { data: prof } = await supabaseAdmin
-        .from("profiles").select("nickname, avatar_url").eq("id", userId).maybeSingle();
-      if (prof) {
-        if (prof.nickname) row.nickname = prof.nickname;
-        row.avatar_url = prof.avatar_url || null;
-      }
-      // 내 글로벌 랭크 계산 (TOP 10 안일 때만 노출)
-      const { data: higher } = await supabaseAdmin
-        .from("apple_scores")
-        .select("user_id")
-        .eq("flagged", false).not("user_id", "is", null).gt("score", row.score);
-      let myRank = (higher?.length || 0) + 1;
-      row.global_rank = myRank > APPLE_TOP_LIMIT ? null : myRank;
-    }
-    res.json({ ok: true, row });
-  } catch (err) { console.error(err); res.status(500).json({ ok: false, error: "INTERNAL" }); }
-});
-
 // ============================================================
 // 메모리 카드 (DUO Memory) — 솔로 난이도별 점수 / 랭킹
 // 2026-05-21
@@ -14373,52 +14678,14 @@ app.get("/apple/leaderboard/me", async (req, res) => {
 const MEMORY_TOP_LIMIT = 10;
 const MEMORY_ALLOWED_DIFFICULTIES = [4, 6, 8];
 
-async function fetchMemoryLeaderboard(supabase, { difficulty, dailyOnly = false }) {
-  const base = supabase
-    .from("memory_scores")
-    .select("user_id, nickname, score, attempts, max_combo, duration_sec, difficulty, created_at")
-    .eq("flagged", false)
-    .eq("difficulty", difficulty)
-    .not("user_id", "is", null);
-
-  if (dailyOnly) {
-    const today = new Date().toISOString().slice(0, 10);
-    base.gte("created_at", today + "T00:00:00Z").lt("created_at", today + "T23:59:59Z");
-  }
-
-  const { data, error } = await base
-    .order("score", { ascending: false })
-    .order("created_at", { ascending: true })
-    .limit(MEMORY_TOP_LIMIT);
-  if (error) return { error };
-
-  const rows = data || [];
-
-  if (rows.length > 0) {
-    const userIds = rows.map(r => r.user_id);
-    const { data: profiles } = await supabase
-      .from("profiles").select("id, nickname, avatar_url").in("id", userIds);
-    const profMap = new Map((profiles || []).map(p => [p.id, p]));
-    for (const r of rows) {
-      const p = profMap.get(r.user_id);
-      if (p) {
-        if (p.nickname) r.nickname = p.nickname;
-        r.avatar_url = p.avatar_url || null;
-      }
-    }
-  }
-
-  return { rows };
-}
-
 app.post("/memory/score", async (req, res) => {
   try {
     const body = req.body || {};
     const difficulty = Number(body.difficulty);
     const score = Number(body.score);
-    const attempts = Number(body.attempts);
-    const matches = Number(body.matches || 0);
-    const maxCombo = Number(body.maxCombo || 0);
+    let attempts = Number(body.attempts);
+    let matches = Number(body.matches || 0);
+    let maxCombo = Number(body.maxCombo || 0);
     const durationSec = Number(body.durationSec);
     const seed = body.seed != null ? Number(body.seed) : null;
     const clientRunId = body.clientRunId ? String(body.clientRunId).slice(0, 64) : null;
@@ -14428,11 +14695,23 @@ app.post("/memory/score", async (req, res) => {
     if (!Number.isFinite(attempts) || attempts < 0) return res.status(400).json({ ok: false, error: "INVALID_ATTEMPTS" });
     if (!Number.isFinite(durationSec) || durationSec < 0) return res.status(400).json({ ok: false, error: "INVALID_DURATION" });
 
+    // 리플레이 검증 (score-replay.js) — 통과하면 통계는 서버 재계산값
+    const replayCheck = body.replay != null ? verifyMemoryReplay({ seed, difficulty, replay: body.replay, score, durationSec }) : null;
+    if (!replayCheck && SCORE_REPLAY_REQUIRED) return res.status(400).json({ ok: false, error: "REPLAY_REQUIRED" });
+    if (replayCheck && !replayCheck.ok) return res.status(400).json({ ok: false, error: "REPLAY_REJECTED", reason: replayCheck.reason });
+    if (replayCheck) ({ attempts, matches, maxCombo } = replayCheck.stats);
+
     // 로그인 필수
     const user = await getOptionalUser(req);
     const userId = user?.id || null;
     if (!userId) return res.status(401).json({ ok: false, error: "LOGIN_REQUIRED" });
 
+    // 리플레이는 서버 발급 판(seed / 시작 시각)과 맞아야 함 — 1회 소비
+    if (replayCheck) {
+      const run = await consumeScoreRun({ game: "memory", userId, clientRunId, seed, spanMs: replayCheck.stats.spanMs, durationSec });
+      if (!run.ok) return res.status(400).json({ ok: false, error: "REPLAY_REJECTED", reason: run.reason });
+    }
+
     // 닉네임 스냅샷
     const { data: prof } = await supabaseAdmin
       .from("profiles").select("nickname").eq("id", userId).maybeSingle();
@@ -14470,6 +14749,7 @@ app.post("/memory/score", async (req, res) => {
       duration_sec: Math.max(0, Math.min(999, Math.round(durationSec))),
       seed: seed,
       flagged,
+      verified: !!replayCheck,
       client_run_id: clientRunId,
       created_at: new Date().toISOString(),
     };
@@ -14496,9 +14776,10 @@ app.post("/memory/score", async (req, res) => {
     }
 
     // 랭크 계산 (TOP 10 안에만)
-    let globalRank = null, dailyRank = null, official = false;
+    let globalRank = null, dailyRank = null, official = false, seasonRecord = null;
     if (!flagged) {
       official = true;
+      seasonRecord = await recordSeasonSafe("memory", payload);
       const myBest = isNewBest ? newScore : prevBest;
 
       const { data: higher } = await supabaseAdmin
@@ -14524,8 +14805,10 @@ app.post("/memory/score", async (req, res) => {
       bestScore: isNewBest ? newScore : prevBest,
       flagged,
       official,
+      verified: !!replayCheck,
       globalRank,
       dailyRank,
+      seasonRecord,
     });
   } catch (err) {
     console.error("[memory/score]", err);
@@ -14533,58 +14816,6 @@ app.post("/memory/score", async (req, res) => {
   }
 });
 
-app.get("/memory/leaderboard/:difficulty/global", async (req, res) => {
-  try {
-    const difficulty = Number(req.params.difficulty);
-    if (!MEMORY_ALLOWED_DIFFICULTIES.includes(difficulty)) return res.status(400).json({ ok: false, error: "INVALID_DIFFICULTY" });
-    const result = await fetchMemoryLeaderboard(supabaseAdmin, { difficulty, dailyOnly: false });
-    if (result.error) { console.error("[memory/leaderboard/global]", result.error); return res.status(500).json({ ok: false, error: "QUERY_FAIL" }); }
-    res.json({ ok: true, rows: result.rows });
-  } catch (err) { console.error(err); res.status(500).json({ ok: false, error: "INTERNAL" }); }
-});
-
-app.get("/memory/leaderboard/:difficulty/daily", async (req, res) => {
-  try {
-    const difficulty = Number(req.params.difficulty);
-    if (!MEMORY_ALLOWED_DIFFICULTIES.includes(difficulty)) return res.status(400).json({ ok: false, error: "INVALID_DIFFICULTY" });
-    const result = await fetchMemoryLeaderboard(supabaseAdmin, { difficulty, dailyOnly: true });
-    if (result.error) { console.error("[memory/leaderboard/daily]", result.error); return res.status(500).json({ ok: false, error: "QUERY_FAIL" }); }
-    res.json({ ok: true, rows: result.rows });
-  } catch (err) { console.error(err); res.status(500).json({ ok: false, error: "INTERNAL" }); }
-});
-
-app.get("/memory/leaderboard/:difficulty/me", async (req, res) => {
-  try {
-    const difficulty = Number(req.params.difficulty);
-    if (!MEMORY_ALLOWED_DIFFICULTIES.includes(difficulty)) return res.status(400).json({ ok: false, error: "INVALID_DIFFICULTY" });
-    const user = await getOptionalUser(req);
-    const userId = user?.id || null;
-    if (!userId) return res.json({ ok: true, row: null });
-    const { data, error } = await supabaseAdmin
-      .from("memory_scores")
-      .select("nickname, score, attempts, max_combo, duration_sec, difficulty, created_at")
-      .eq("flagged", false).eq("user_id", userId).eq("difficulty", difficulty)
-      .maybeSingle();
-    if (error) { console.error("[memory/leaderboard/me]", error); return res.status(500).json({ ok: false, error: "QUERY_FAIL" }); }
-    let row = data || null;
-    if (row) {
-      const { data: prof } = await supabaseAdmin
-        .from("profiles").select("nickname, avatar_url").eq("id", userId).maybeSingle();
-      if (prof) {
-        if (prof.nickname) row.nickname = prof.nickname;
-        row.avatar_url = prof.avatar_url || null;
-      }
-      const { data: higher } = await supabaseAdmin
-        .from("memory_scores")
-        .select("user_id")
-        .eq("flagged", false).eq("difficulty", difficulty).not("user_id", "is", null).gt("score", row.score);
-      let myRank = (higher?.length || 0) + 1;
-      row.global_rank = myRank > MEMORY_TOP_LIMIT ? null : myRank;
-    }
-    res.json({ ok: true, row });
-  } catch (err) { console.error(err); res.status(500).json({ ok: false, error: "INTERNAL" }); }
-});
-
 // ============================================================
 // 블록 블래스트 (DUO BlockBlast / 1010!) — 솔로 무한 점수 / 랭킹
 // 2026-05-21
@@ -14592,48 +14823,13 @@ app.get("/memory/leaderboard/:difficulty/me", async (req, res) => {
 // ============================================================
 const BLOCKBLAST_TOP_LIMIT = 10;
 
-async function fetchBlockBlastLeaderboard(supabase, { dailyOnly = false }) {
-  const base = supabase
-    .from("blockblast_scores")
-    .select("user_id, nickname, score, lines_cleared, blocks_placed, max_combo, duration_sec, created_at")
-    .eq("flagged", false)
-    .not("user_id", "is", null);
-
-  if (dailyOnly) {
-    const today = new Date().toISOString().slice(0, 10);
-    base.gte("created_at", today + "T00:00:00Z").lt("created_at", today + "T23:59:59Z");
-  }
-
-  const { data, error } = await base
-    .order("score", { ascending: false })
-    .order("created_at", { ascending: true })
-    .limit(BLOCKBLAST_TOP_LIMIT);
-  if (error) return { error };
-
-  const rows = data || [];
-  if (rows.length > 0) {
-    const userIds = rows.map(r => r.user_id);
-    const { data: profiles } = await supabase
-      .from("profiles").select("id, nickname, avatar_url").in("id", userIds);
-    const profMap = new Map((profiles || []).map(p => [p.id, p]));
-    for (const r of rows) {
-      const p = profMap.get(r.user_id);
-      if (p) {
-        if (p.nickname) r.nickname = p.nickname;
-        r.avatar_url = p.avatar_url || null;
-      }
-    }
-  }
-  return { rows };
-}
-
 app.post("/blockblast/score", async (req, res) => {
   try {
     const body = req.body || {};
     const score = Number(body.score);
-    const linesCleared = Number(body.linesCleared || 0);
-    const blocksPlaced = Number(body.blocksPlaced || 0);
-    const maxCombo = Number(body.maxCombo || 0);
+    let linesCleared = Number(body.linesCleared || 0);
+    let blocksPlaced = Number(body.blocksPlaced || 0);
+    let maxCombo = Number(body.maxCombo || 0);
     const durationSec = Number(body.durationSec);
     const seed = body.seed != null ? Number(body.seed) : null;
     const clientRunId = body.clientRunId ? String(body.clientRunId).slice(0, 64) : null;
@@ -14641,10 +14837,22 @@ app.post("/blockblast/score", async (req, res) => {
     if (!Number.isFinite(score) || score < 0) return res.status(400).json({ ok: false, error: "INVALID_SCORE" });
     if (!Number.isFinite(durationSec) || durationSec < 0) return res.status(400).json({ ok: false, error: "INVALID_DURATION" });
 
+    // 리플레이 검증 (score-replay.js) — 통과하면 통계는 서버 재계산값
+    const replayCheck = body.replay != null ? verifyBlockBlastReplay({ seed, replay: body.replay, score, durationSec }) : null;
+    if (!replayCheck && SCORE_REPLAY_REQUIRED) return res.status(400).json({ ok: false, error: "REPLAY_REQUIRED" });
+    if (replayCheck && !replayCheck.ok) return res.status(400).json({ ok: false, error: "REPLAY_REJECTED", reason: replayCheck.reason });
+    if (replayCheck) ({ linesCleared, blocksPlaced, maxCombo } = replayCheck.stats);
+
     const user = await getOptionalUser(req);
     const userId = user?.id || null;
     if (!userId) return res.status(401).json({ ok: false, error: "LOGIN_REQUIRED" });
 
+    // 리플레이는 서버 발급 판(seed / 시작 시각)과 맞아야 함 — 1회 소비
+    if (replayCheck) {
+      const run = await consumeScoreRun({ game: "blockblast", userId, clientRunId, seed, spanMs: replayCheck.stats.spanMs, durationSec });
+      if (!run.ok) return res.status(400).json({ ok: false, error: "REPLAY_REJECTED", reason: run.reason });
+    }
+
     const { data: prof } = await supabaseAdmin
       .from("profiles").select("nickname").eq("id", userId).maybeSingle();
     const nickname = String(prof?.nickname || "익명").slice(0, 14);
@@ -14677,6 +14885,7 @@ app.post("/blockblast/score", async (req, res) => {
       duration_sec: Math.max(0, Math.min(7200, Math.round(durationSec))),
       seed: seed,
       flagged,
+      verified: !!replayCheck,
       client_run_id: clientRunId,
       created_at: new Date().toISOString(),
     };
@@ -14701,9 +14910,10 @@ app.post("/blockblast/score", async (req, res) => {
       }
     }
 
-    let globalRank = null, dailyRank = null, official = false;
+    let globalRank = null, dailyRank = null, official = false, seasonRecord = null;
     if (!flagged) {
       official = true;
+      seasonRecord = await recordSeasonSafe("blockblast", payload);
       const myBest = isNewBest ? newScore : prevBest;
 
       const { data: higher } = await supabaseAdmin
@@ -14729,8 +14939,10 @@ app.post("/blockblast/score", async (req, res) => {
       bestScore: isNewBest ? newScore : prevBest,
       flagged,
       official,
+      verified: !!replayCheck,
       globalRank,
       dailyRank,
+      seasonRecord,
     });
   } catch (err) {
     console.error("[blockblast/score]", err);
@@ -14738,50 +14950,406 @@ app.post("/blockblast/score", async (req, res) => {
   }
 });
 
-app.get("/blockblast/leaderboard/global", async (req, res) => {
+// ============================================================
+// 솔로 점수 게임 공용 리더보드 — leaderboards.js
+// 2026-10-19
+// GET /leaderboard/:game ?window=all|daily|weekly|monthly &scope=all|friends &offset &limit &around=me
+//                        + 파티션 (merge: mode/season, memory: difficulty)
+// 기존 /:game/leaderboard/global|daily|me 는 같은 모듈로 유지 (응답 모양 그대로, rows 에 rank 추가)
+// ============================================================
+initLeaderboards(supabaseAdmin);
+
+app.get("/leaderboard/:game", async (req, res) => {
   try {
-    const result = await fetchBlockBlastLeaderboard(supabaseAdmin, { dailyOnly: false });
-    if (result.error) { console.error("[blockblast/leaderboard/global]", result.error); return res.status(500).json({ ok: false, error: "QUERY_FAIL" }); }
-    res.json({ ok: true, rows: result.rows });
-  } catch (err) { console.error(err); res.status(500).json({ ok: false, error: "INTERNAL" }); }
+    const game = String(req.params.game || "");
+    const parsed = parsePartition(game, req.query);
+    if (parsed.error) return res.status(parsed.error === "INVALID_GAME" ? 404 : 400).json({ ok: false, error: parsed.error });
+    const window = LEADERBOARD_WINDOWS.includes(req.query.window) ? req.query.window : "all";
+    const scope = LEADERBOARD_SCOPES.includes(req.query.scope) ? req.query.scope : "all";
+    const around = req.query.around === "me";
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const user = await getOptionalUser(req);
+    if (!user && (scope === "friends" || around)) return res.status(401).json({ ok: false, error: "LOGIN_REQUIRED" });
+
+    const result = await fetchLeaderboard(game, {
+      partition: parsed.partition, window, scope, viewerId: user?.id || null, offset, limit, around,
+    });
+    res.json({ ok: true, game, window, scope, ...parsed.partition, offset: result.offset, limit, rows: result.rows, me: result.me });
+  } catch (err) {
+    console.error("[leaderboard]", err);
+    res.status(500).json({ ok: false, error: "INTERNAL" });
+  }
 });
 
-app.get("/blockblast/leaderboard/daily", async (req, res) => {
+// 기존 라우트 — global/daily 는 TOP N (topLimit 게임은 고정 10), me 는 내 최고 기록
+for (const game of LEADERBOARD_GAMES) {
+  const base = game === "memory" ? "/memory/leaderboard/:difficulty" : `/${game}/leaderboard`;
+  const topLimit = leaderboardConfig(game).topLimit;
+
+  for (const [path, window, maxLimit] of [["global", "all", 100], ["daily", "daily", 50]]) {
+    app.get(`${base}/${path}`, async (req, res) => {
+      try {
+        const parsed = parsePartition(game, { ...req.query, ...req.params });
+        if (parsed.error) return res.status(400).json({ ok: false, error: parsed.error });
+        const limit = topLimit || Math.min(maxLimit, Math.max(1, parseInt(req.query.limit, 10) || 10));
+        const result = await fetchLeaderboard(game, { partition: parsed.partition, window, limit });
+        res.json({ ok: true, ...parsed.partition, rows: result.rows });
+      } catch (err) {
+        console.error(`[${game}/leaderboard/${path}]`, err);
+        res.status(500).json({ ok: false, error: "QUERY_FAIL" });
+      }
+    });
+  }
+
+  app.get(`${base}/me`, async (req, res) => {
+    try {
+      const parsed = parsePartition(game, { ...req.query, ...req.params });
+      if (parsed.error) return res.status(400).json({ ok: false, error: parsed.error });
+      const user = await getOptionalUser(req);
+      if (!user) return res.json({ ok: true, ...parsed.partition, row: null });
+      const { row, rank } = await fetchMyBest(game, { partition: parsed.partition, userId: user.id });
+      // TOP N 게임은 순위도 TOP N 안일 때만 노출
+      if (row && topLimit) row.global_rank = rank && rank <= topLimit ? rank : null;
+      res.json({ ok: true, ...parsed.partition, row });
+    } catch (err) {
+      console.error(`[${game}/leaderboard/me]`, err);
+      res.status(500).json({ ok: false, error: "QUERY_FAIL" });
+    }
+  });
+}
+
+// ============================================================
+// 솔로 점수 게임 시즌 — game-seasons.js
+// 2026-10-19
+// 시즌 종료 → 파티션별 TOP N 명예의 전당 스냅샷 → 다음 시즌 시작 (10분 주기 tick + 점수 기록 시 lazy)
+// GET /:game/seasons                     시즌 목록 (최신순) + 종료 시즌 1위
+// GET /:game/seasons/:id/leaderboard     진행 중: 실시간 (scope/around 지원) / 종료: 스냅샷 TOP N
+// ============================================================
+initGameSeasons(supabaseAdmin);
+
+// 시즌 기록 실패는 점수 저장 응답에 영향 없음 (seasonRecord: null)
+async function recordSeasonSafe(game, row) {
   try {
-    const result = await fetchBlockBlastLeaderboard(supabaseAdmin, { dailyOnly: true });
-    if (result.error) { console.error("[blockblast/leaderboard/daily]", result.error); return res.status(500).json({ ok: false, error: "QUERY_FAIL" }); }
-    res.json({ ok: true, rows: result.rows });
-  } catch (err) { console.error(err); res.status(500).json({ ok: false, error: "INTERNAL" }); }
+    return await recordSeasonScore(game, row);
+  } catch (e) {
+    console.error(`[seasons] ${game} record error:`, e.message || e);
+    return null;
+  }
+}
+
+for (const game of LEADERBOARD_GAMES) {
+  app.get(`/${game}/seasons`, async (req, res) => {
+    try {
+      const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+      const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+      const seasons = await listSeasons(game, { offset, limit });
+      res.json({ ok: true, game, seasons });
+    } catch (err) {
+      console.error(`[${game}/seasons]`, err);
+      res.status(500).json({ ok: false, error: "QUERY_FAIL" });
+    }
+  });
+
+  app.get(`/${game}/seasons/:id/leaderboard`, async (req, res) => {
+    try {
+      const seasonId = parseInt(req.params.id, 10);
+      if (!Number.isInteger(seasonId) || seasonId < 1) return res.status(400).json({ ok: false, error: "INVALID_SEASON" });
+      const parsed = parsePartition(game, req.query);
+      if (parsed.error) return res.status(400).json({ ok: false, error: parsed.error });
+      const season = await fetchSeason(game, seasonId);
+      if (!season) return res.status(404).json({ ok: false, error: "SEASON_NOT_FOUND" });
+
+      const scope = LEADERBOARD_SCOPES.includes(req.query.scope) ? req.query.scope : "all";
+      const around = req.query.around === "me";
+      const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+      const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+      const user = await getOptionalUser(req);
+
+      if (season.status !== "active") {
+        // 종료(또는 종료 처리 중) — 명예의 전당 스냅샷
+        const result = await fetchSeasonHallOfFame(game, seasonId, parsed.partition, { offset, limit, viewerId: user?.id || null });
+        return res.json({ ok: true, game, season, ...parsed.partition, archived: true, top: SEASON_HOF_TOP, offset, limit, rows: result.rows, me: result.me });
+      }
+
+      if (!user && (scope === "friends" || around)) return res.status(401).json({ ok: false, error: "LOGIN_REQUIRED" });
+      const result = await fetchLeaderboard(game, {
+        partition: parsed.partition, season: seasonId, scope, viewerId: user?.id || null, offset, limit, around,
+      });
+      res.json({ ok: true, game, season, ...parsed.partition, archived: false, scope, offset: result.offset, limit, rows: result.rows, me: result.me });
+    } catch (err) {
+      console.error(`[${game}/seasons/leaderboard]`, err);
+      res.status(500).json({ ok: false, error: "QUERY_FAIL" });
+    }
+  });
+}
+
+// ============================================================
+// 데일리 챌린지 — daily-challenge.js
+// 2026-10-19
+// GET  /daily-challenge/:game              오늘(UTC) 참가자 수 + 내 시작/도전 (로그인 시, 시작했으면 시드)
+// POST /daily-challenge/:game/start        도전 시작 — 하루 1회 소비 + 시드 발급 (이미 시작했으면 409 ALREADY_ATTEMPTED)
+// POST /daily-challenge/:game/attempt      랭킹 도전 제출 — 시작 기록 필요 (없으면 400 NOT_STARTED)
+// GET  /daily-challenge/:game/leaderboard  ?date=YYYY-MM-DD (기본 오늘) &scope=all|friends &offset &limit &around=me
+// DAILY_CHALLENGE_SECRET 미설정(개발 환경 제외) → 전부 503 DAILY_CHALLENGE_SECRET_NOT_SET
+// ============================================================
+initDailyChallenge(supabaseAdmin);
+
+app.get("/daily-challenge/:game", async (req, res) => {
+  try {
+    const game = String(req.params.game || "");
+    if (!DAILY_GAMES.includes(game)) return res.status(404).json({ ok: false, error: "INVALID_GAME" });
+    if (!DAILY_CHALLENGE_ENABLED) return res.status(503).json({ ok: false, error: "DAILY_CHALLENGE_SECRET_NOT_SET" });
+    const user = await getOptionalUser(req);
+    const challenge = await fetchChallenge(game, { date: challengeDate(), userId: user?.id || null });
+    res.json({ ok: true, ...challenge });
+  } catch (err) {
+    console.error("[GET /daily-challenge/:game]", err);
+    res.status(500).json({ ok: false, error: "INTERNAL" });
+  }
+});
+
+app.post("/daily-challenge/:game/start", requireAuth, async (req, res) => {
+  try {
+    const game = String(req.params.game || "");
+    if (!DAILY_GAMES.includes(game)) return res.status(404).json({ ok: false, error: "INVALID_GAME" });
+    if (!DAILY_CHALLENGE_ENABLED) return res.status(503).json({ ok: false, error: "DAILY_CHALLENGE_SECRET_NOT_SET" });
+    const result = await startAttempt(game, { userId: req.user.id });
+    if (result.error) return res.status(result.status).json({ ok: false, error: result.error });
+    res.json({ ok: true, game, ...result });
+  } catch (err) {
+    console.error("[POST /daily-challenge/:game/start]", err);
+    res.status(500).json({ ok: false, error: "INTERNAL" });
+  }
+});
+
+app.post("/daily-challenge/:game/attempt", requireAuth, async (req, res) => {
+  try {
+    const game = String(req.params.game || "");
+    if (!DAILY_GAMES.includes(game)) return res.status(404).json({ ok: false, error: "INVALID_GAME" });
+    if (!DAILY_CHALLENGE_ENABLED) return res.status(503).json({ ok: false, error: "DAILY_CHALLENGE_SECRET_NOT_SET" });
+    const { data: prof } = await supabaseAdmin
+      .from("profiles").select("nickname").eq("id", req.user.id).maybeSingle();
+    const nickname = String(prof?.nickname || "익명").slice(0, 14);
+
+    const result = await submitAttempt(game, req.body || {}, { userId: req.user.id, nickname });
+    if (result.error) {
+      return res.status(result.status).json({ ok: false, error: result.error, ...(result.reason ? { reason: result.reason } : {}) });
+    }
+    res.json({ ok: true, game, attempt: result.attempt, rank: result.rank });
+  } catch (err) {
+    console.error("[POST /daily-challenge/:game/attempt]", err);
+    res.status(500).json({ ok: false, error: "INTERNAL" });
+  }
 });
 
-app.get("/blockblast/leaderboard/me", async (req, res) => {
+app.get("/daily-challenge/:game/leaderboard", async (req, res) => {
   try {
+    const game = String(req.params.game || "");
+    if (!DAILY_GAMES.includes(game)) return res.status(404).json({ ok: false, error: "INVALID_GAME" });
+    if (!DAILY_CHALLENGE_ENABLED) return res.status(503).json({ ok: false, error: "DAILY_CHALLENGE_SECRET_NOT_SET" });
+    const today = challengeDate();
+    const date = req.query.date ? String(req.query.date) : today;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date)) || date > today) {
+      return res.status(400).json({ ok: false, error: "INVALID_DATE" });
+    }
+    const scope = LEADERBOARD_SCOPES.includes(req.query.scope) ? req.query.scope : "all";
+    const around = req.query.around === "me";
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
     const user = await getOptionalUser(req);
-    const userId = user?.id || null;
-    if (!userId) return res.json({ ok: true, row: null });
-    const { data, error } = await supabaseAdmin
-      .from("blockblast_scores")
-      .select("nickname, score, lines_cleared, blocks_placed, max_combo, duration_sec, created_at")
-      .eq("flagged", false).eq("user_id", userId)
-      .maybeSingle();
-    if (error) { console.error("[blockblast/leaderboard/me]", error); return res.status(500).json({ ok: false, error: "QUERY_FAIL" }); }
-    let row = data || null;
-    if (row) {
-      const { data: prof } = await supabaseAdmin
-        .from("profiles").select("nickname, avatar_url").eq("id", userId).maybeSingle();
-      if (prof) {
-        if (prof.nickname) row.nickname = prof.nickname;
-        row.avatar_url = prof.avatar_url || null;
-      }
-      const { data: higher } = await supabaseAdmin
-        .from("blockblast_scores")
-        .select("user_id")
-        .eq("flagged", false).not("user_id", "is", null).gt("score", row.score);
-      let myRank = (higher?.length || 0) + 1;
-      row.global_rank = myRank > BLOCKBLAST_TOP_LIMIT ? null : myRank;
+    if (!user && (scope === "friends" || around)) return res.status(401).json({ ok: false, error: "LOGIN_REQUIRED" });
+
+    const result = await fetchDailyLeaderboard(game, { date, scope, viewerId: user?.id || null, offset, limit, around });
+    res.json({ ok: true, game, date, scope, offset: result.offset, limit, rows: result.rows, me: result.me });
+  } catch (err) {
+    console.error("[GET /daily-challenge/:game/leaderboard]", err);
+    res.status(500).json({ ok: false, error: "INTERNAL" });
+  }
+});
+
+// ============================================================
+// 게스트 기록 → 계정 이전 — guest-claim.js
+// 2026-10-19
+// POST /guest/ids { kind: guest | session }  게스트 id / 월드컵 session id 발급 + 이전용 토큰 (클라가 보관)
+// POST /guest/ids/adopt { kind, id }         토큰 도입 전 기기에 있던 id 에 토큰 1회 발급 (IP당 시간당 GUEST_ADOPT_PER_HOUR)
+// POST /me/claim-guest { guestId?, guestToken?, sessions?: [{ id, token }] }
+//   점수 테이블의 guest_id 기록 + 비로그인 월드컵 판(session_id)을 로그인 유저로 이전
+//   id 마다 발급 토큰 필수 — 하나라도 틀리면 403 INVALID_GUEST_TOKEN (아무것도 안 옮김)
+//   점수는 판마다 INSERT 테이블(merge/dodge/gachatd)만 — 규칙은 guest-claim.js 상단
+// GUEST_TOKEN_SECRET 미설정(개발 환경 제외) → 503 GUEST_TOKEN_SECRET_NOT_SET
+// ============================================================
+initGuestClaim(supabaseAdmin);
+
+const GUEST_ADOPT_PER_HOUR = 5;
+const guestAdoptLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: GUEST_ADOPT_PER_HOUR,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { ok: false, error: "RATE_LIMITED" },
+});
+
+app.post("/guest/ids", async (req, res) => {
+  try {
+    const kind = String(req.body?.kind || "guest");
+    if (!GUEST_ID_KINDS.includes(kind)) return res.status(400).json({ ok: false, error: "INVALID_KIND" });
+    if (!GUEST_TOKENS_ENABLED) return res.status(503).json({ ok: false, error: "GUEST_TOKEN_SECRET_NOT_SET" });
+    res.json({ ok: true, kind, ...(await issueGuestIdentity(kind)) });
+  } catch (err) {
+    console.error("[POST /guest/ids]", err);
+    res.status(500).json({ ok: false, error: "INTERNAL" });
+  }
+});
+
+app.post("/guest/ids/adopt", guestAdoptLimiter, async (req, res) => {
+  try {
+    const kind = String(req.body?.kind || "guest");
+    if (!GUEST_ID_KINDS.includes(kind)) return res.status(400).json({ ok: false, error: "INVALID_KIND" });
+    if (!GUEST_TOKENS_ENABLED) return res.status(503).json({ ok: false, error: "GUEST_TOKEN_SECRET_NOT_SET" });
+    const result = await adoptLegacyIdentity(kind, req.body?.id);
+    if (result.error) return res.status(result.status).json({ ok: false, error: result.error });
+    res.json({ ok: true, kind, ...result });
+  } catch (err) {
+    console.error("[POST /guest/ids/adopt]", err);
+    res.status(500).json({ ok: false, error: "INTERNAL" });
+  }
+});
+
+app.post("/me/claim-guest", requireAuth, async (req, res) => {
+  try {
+    if (!GUEST_TOKENS_ENABLED) return res.status(503).json({ ok: false, error: "GUEST_TOKEN_SECRET_NOT_SET" });
+    const body = req.body || {};
+    const guestId = body.guestId ? String(body.guestId).slice(0, 64) : null;
+    const guestToken = body.guestToken ? String(body.guestToken) : null;
+    const sessions = Array.isArray(body.sessions)
+      ? body.sessions.filter(s => typeof s?.id === "string" && s.id.length > 0 && s.id.length <= 64)
+      : [];
+    if (!guestId && sessions.length === 0) return res.status(400).json({ ok: false, error: "MISSING_PARAMS" });
+    if (sessions.length > MAX_CLAIM_SESSIONS) {
+      return res.status(400).json({ ok: false, error: "TOO_MANY_SESSIONS", max: MAX_CLAIM_SESSIONS });
     }
-    res.json({ ok: true, row });
-  } catch (err) { console.error(err); res.status(500).json({ ok: false, error: "INTERNAL" }); }
+
+    const claimed = await claimGuest(req.user.id, { guestId, guestToken, sessions });
+    if (claimed.error) return res.status(403).json({ ok: false, error: claimed.error });
+    console.log(`[claim-guest] user=${req.user.id} guest=${guestId || "-"} sessions=${sessions.length} worldcupRuns=${claimed.worldcup.runs}`);
+    res.json({ ok: true, ...claimed });
+  } catch (err) {
+    console.error("[POST /me/claim-guest]", err);
+    res.status(500).json({ ok: false, error: "INTERNAL" });
+  }
+});
+
+// ============================================================
+// 퀴즈 문항 분석 (제작자용) — quiz-analytics.js
+// 2026-10-19
+// GET /my/contents/:id/quiz-analytics?source=solo|multi
+//   문항마다 정답률 / 평균 점수 / 답변 시간 중앙값 / 많이 나온 오답 TOP 5, 너무 어려운 문항 표시
+// ============================================================
+initQuizAnalytics(supabaseAdmin);
+
+app.get("/my/contents/:id/quiz-analytics", requireAuth, async (req, res) => {
+  try {
+    const { data: content, error: cErr } = await supabaseAdmin
+      .from("contents")
+      .select("id, owner_id, mode")
+      .eq("id", req.params.id)
+      .maybeSingle();
+    if (cErr) throw cErr;
+    if (!content) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    if (content.owner_id !== req.user.id && !req.user.isAdmin) return res.status(403).json({ ok: false, error: "FORBIDDEN" });
+    if (content.mode !== "quiz") return res.status(400).json({ ok: false, error: "NOT_QUIZ" });
+
+    const source = req.query.source ? String(req.query.source) : null;
+    if (source && !ANALYTICS_SOURCES.includes(source)) return res.status(400).json({ ok: false, error: "INVALID_SOURCE" });
+
+    const questions = await _fetchAllRows("quiz_questions", q =>
+      q.eq("content_id", content.id)
+       .order("sort_order", { ascending: true })
+       .order("id", { ascending: true }), "id, sort_order, type, prompt, choices");
+    const analytics = await fetchQuizAnalytics(content.id, questions.map(q => ({ ...q, choices: _normalizeChoices(q.choices || []) })), { source });
+    res.json({ ok: true, contentId: content.id, source, ...analytics });
+  } catch (err) {
+    console.error("[GET /my/contents/:id/quiz-analytics]", err);
+    res.status(500).json({ ok: false, error: "INTERNAL" });
+  }
+});
+
+// ── 친구 (리더보드 scope=friends) — 단방향: 내가 추가한 유저 ──
+const MAX_FRIENDS = 500;
+
+app.get("/friends", requireAuth, async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("user_friends")
+      .select("friend_id, created_at")
+      .eq("user_id", req.user.id)
+      .order("created_at", { ascending: false })
+      .limit(MAX_FRIENDS);
+    if (error) return res.status(500).json({ ok: false, error: "QUERY_FAIL" });
+    const ids = (data || []).map(r => r.friend_id);
+    const { data: profiles } = ids.length
+      ? await supabaseAdmin.from("profiles").select("id, nickname, avatar_url").in("id", ids)
+      : { data: [] };
+    const profMap = new Map((profiles || []).map(p => [p.id, p]));
+    res.json({
+      ok: true,
+      friends: (data || []).map(r => ({
+        userId: r.friend_id,
+        nickname: profMap.get(r.friend_id)?.nickname || null,
+        avatar_url: profMap.get(r.friend_id)?.avatar_url || null,
+        addedAt: r.created_at,
+      })),
+    });
+  } catch (err) {
+    console.error("[GET /friends]", err);
+    res.status(500).json({ ok: false, error: "INTERNAL" });
+  }
+});
+
+app.post("/friends/:userId", requireAuth, async (req, res) => {
+  try {
+    const friendId = String(req.params.userId || "");
+    if (!_isValidId(friendId)) return res.status(400).json({ ok: false, error: "INVALID_ID" });
+    if (friendId === req.user.id) return res.status(400).json({ ok: false, error: "CANNOT_ADD_SELF" });
+
+    const { data: prof } = await supabaseAdmin.from("profiles").select("id").eq("id", friendId).maybeSingle();
+    if (!prof) return res.status(404).json({ ok: false, error: "USER_NOT_FOUND" });
+
+    const { count } = await supabaseAdmin
+      .from("user_friends")
+      .select("friend_id", { count: "exact", head: true })
+      .eq("user_id", req.user.id);
+    if ((count ?? 0) >= MAX_FRIENDS) return res.status(400).json({ ok: false, error: "TOO_MANY_FRIENDS" });
+
+    const { error } = await supabaseAdmin
+      .from("user_friends")
+      .upsert({ user_id: req.user.id, friend_id: friendId }, { onConflict: "user_id,friend_id", ignoreDuplicates: true });
+    if (error) return res.status(500).json({ ok: false, error: "INSERT_FAIL" });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("[POST /friends/:userId]", err);
+    res.status(500).json({ ok: false, error: "INTERNAL" });
+  }
+});
+
+app.delete("/friends/:userId", requireAuth, async (req, res) => {
+  try {
+    const friendId = String(req.params.userId || "");
+    if (!_isValidId(friendId)) return res.status(400).json({ ok: false, error: "INVALID_ID" });
+    const { error } = await supabaseAdmin
+      .from("user_friends")
+      .delete()
+      .eq("user_id", req.user.id)
+      .eq("friend_id", friendId);
+    if (error) return res.status(500).json({ ok: false, error: "DELETE_FAIL" });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("[DELETE /friends/:userId]", err);
+    res.status(500).json({ ok: false, error: "INTERNAL" });
+  }
 });
 
 // ── hot 랭킹: 최근 플레이 집계(content_recent_plays) 1시간마다 갱신 ──
@@ -14798,6 +15366,23 @@ async function refreshRecentPlays() {
 refreshRecentPlays();                              // 부팅 시 1회
 setInterval(refreshRecentPlays, 60 * 60 * 1000);   // 이후 1시간마다
 
+// ── 솔로 점수 게임 시즌: 종료된 시즌 마감 + 다음 시즌 시작 (game-seasons.js) ──
+//    같은 tick 에서 만료된 리플레이 판(score_runs) 정리 (score-replay.js)
+tickSeasons(LEADERBOARD_GAMES);                                     // 부팅 시 1회 (첫 시즌 생성 포함)
+setInterval(() => {                                                 // 이후 10분마다
+  tickSeasons(LEADERBOARD_GAMES);
+  pruneScoreRuns();
+}, 10 * 60 * 1000);
+
+// ── 재시작 복구: 스냅샷된 방 복원 (ROOM_STORE 설정 시에만) ──
+//   종료 신호 시 debounce 중인 스냅샷을 마저 기록하고 종료
+restoreRooms();
+if (roomStore.enabled) {
+  for (const sig of ["SIGTERM", "SIGINT"]) {
+    process.once(sig, () => { roomStore.flush(); process.exit(0); });
+  }
+}
+
 server.listen(process.env.PORT || 3001, () => {
   console.log(`Backend listening on http://localhost:${process.env.PORT || 3001}`);
 });
@@ -0,0 +1,353 @@
+// =========================
+// 솔로 점수 게임 공용 리더보드 — merge / dodge / gachatd / apple / memory / blockblast
+// 게임마다 테이블·정렬·동점 처리·파티션(모드/난이도/시즌)만 설정하고 조회 로직은 하나로:
+//   window  all | daily | weekly | monthly   (UTC 달력 기준 — 오늘 / 이번 주 월요일 / 이번 달 1일부터)
+//   scope   all | friends                    (friends = 나 + user_friends 에 추가한 유저, sql/schema_user_friends.sql)
+//   페이지  offset/limit 또는 around=me      (내 순위가 페이지 가운데 오도록)
+//
+// 저장 방식 두 가지:
+//   onePerUser: true  — 유저당 1 row UPSERT (apple/memory/blockblast). 순위 = 나보다 앞선 row 수 + 1 (count 쿼리)
+//   onePerUser: false — 판마다 INSERT (merge/dodge/gachatd). 정렬 순으로 스캔하며 유저당 최고 1개만 (SCAN_MAX_ROWS 까지)
+//
+// 공식 랭킹은 로그인 유저 + flagged=false 만. verifiedOnly 게임(apple/memory/blockblast)은 리플레이 검증된 verified=true 만
+//   (score-replay.js SCORE_REPLAY_REQUIRED — SCORE_REPLAY_OPTIONAL=1 opt-out 이면 verified 무관)
+// 시즌 리더보드 (season 옵션): game_season_bests 에서 같은 정렬로 조회 — 시즌마다 유저당 최고 1 row (game-seasons.js 가 기록)
+// 사용: GET /leaderboard/:game, 기존 /:game/leaderboard/global|daily|me, /:game/seasons/:id/leaderboard (index.js)
+// =========================
+
+import { SCORE_REPLAY_REQUIRED } from "./score-replay.js";
+
+const PAGE = 500;
+const SCAN_MAX_ROWS = 5000;
+const MAX_FRIENDS = 500;
+
+export const LEADERBOARD_WINDOWS = ["all", "daily", "weekly", "monthly"];
+export const LEADERBOARD_SCOPES = ["all", "friends"];
+
+const SEASON_TABLE = "game_season_bests";
+const SEASON_COLUMNS = "user_id, nickname, score, duration_sec, stats, created_at";
+// 시즌 테이블 공통 컬럼 — 나머지 게임별 컬럼은 stats(jsonb) 로
+const BASE_COLUMNS = new Set(["user_id", "nickname", "score", "duration_sec", "created_at"]);
+
+const SCORE_DESC = [{ col: "score", asc: false }, { col: "created_at", asc: true }];
+
+// partitions: 쿼리 파라미터 → eq 필터. required 면 값 필수 (기본값 없음)
+const GAMES = {
+  merge: {
+    table: "merge_scores",
+    columns: "user_id, nickname, score, max_stage, combo_max, duration_sec, created_at, mode, season",
+    onePerUser: false,
+    partitions: {
+      mode: { values: ["endless", "challenge"], default: "endless" },
+      season: { values: ["classic", "spring", "summer", "autumn", "winter"] },
+    },
+    // 엔드리스: score DESC / 챌린지: 11단계 클리어만, duration_sec ASC, score DESC
+    order: (p) => p.mode === "challenge"
+      ? [{ col: "duration_sec", asc: true }, { col: "score", asc: false }, { col: "created_at", asc: true }]
+      : [{ col: "score", asc: false }, { col: "duration_sec", asc: true }, { col: "created_at", asc: true }],
+    filter: (q, p) => (p.mode === "challenge" ? q.eq("max_stage", 11) : q),
+  },
+  dodge: {
+    table: "dodge_scores",
+    columns: "user_id, nickname, score, kills, level_max, duration_sec, created_at",
+    onePerUser: false,
+    order: () => SCORE_DESC,
+  },
+  gachatd: {
+    table: "gachatd_scores",
+    columns: "user_id, nickname, score, wave_max, kills, leader_key, endless, created_at",
+    onePerUser: false,
+    order: () => SCORE_DESC,
+  },
+  apple: {
+    table: "apple_scores",
+    columns: "user_id, nickname, score, apples_cleared, max_combo, duration_sec, created_at",
+    onePerUser: true,
+    verifiedOnly: true,
+    topLimit: 10,
+    order: () => SCORE_DESC,
+  },
+  memory: {
+    table: "memory_scores",
+    columns: "user_id, nickname, score, attempts, max_combo, duration_sec, difficulty, created_at",
+    onePerUser: true,
+    verifiedOnly: true,
+    topLimit: 10,
+    partitions: {
+      difficulty: { values: [4, 6, 8], parse: Number, required: true },
+    },
+    order: () => SCORE_DESC,
+  },
+  blockblast: {
+    table: "blockblast_scores",
+    columns: "user_id, nickname, score, lines_cleared, blocks_placed, max_combo, duration_sec, created_at",
+    onePerUser: true,
+    verifiedOnly: true,
+    topLimit: 10,
+    order: () => SCORE_DESC,
+  },
+};
+
+export const LEADERBOARD_GAMES = Object.keys(GAMES);
+
+let db = null;
+
+/** index.js에서 1회 — supabaseAdmin 주입 */
+export function initLeaderboards(supabaseAdmin) {
+  db = supabaseAdmin;
+}
+
+/** 게임별 설정 (없으면 null) — 기존 라우트의 TOP N 캡 등 */
+export function leaderboardConfig(game) {
+  return GAMES[game] || null;
+}
+
+/**
+ * 파티션 파라미터 정규화
+ * @returns {{partition: object} | {error: string}}  잘못된 값은 기본값, 필수인데 틀리면 INVALID_<KEY>
+ */
+export function parsePartition(game, params = {}) {
+  const def = GAMES[game];
+  if (!def) return { error: "INVALID_GAME" };
+  const partition = {};
+  for (const [key, p] of Object.entries(def.partitions || {})) {
+    const raw = params[key];
+    const v = raw == null || raw === "" ? undefined : (p.parse ? p.parse(raw) : String(raw).toLowerCase());
+    if (v !== undefined && p.values.includes(v)) partition[key] = v;
+    else if (p.required) return { error: `INVALID_${key.toUpperCase()}` };
+    else if (p.default !== undefined) partition[key] = p.default;
+  }
+  return { partition };
+}
+
+/** window 시작 시각 (ISO) — all 이면 null */
+export function windowStart(window, now = new Date()) {
+  const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  if (window === "daily") return d.toISOString();
+  if (window === "weekly") {
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));  // 월요일
+    return d.toISOString();
+  }
+  if (window === "monthly") {
+    d.setUTCDate(1);
+    return d.toISOString();
+  }
+  return null;
+}
+
+// 시즌 파티션 = 항상 값이 정해지는 파티션(required/default)만. merge 의 season(테마)처럼 선택 파티션은 시즌 순위에서 합산
+function seasonKeys(def) {
+  return Object.entries(def.partitions || {})
+    .filter(([, p]) => p.required || p.default !== undefined)
+    .map(([key]) => key);
+}
+
+/** game_season_bests.partition_key — 예: "mode=endless", "difficulty=6", 파티션 없는 게임은 "" */
+export function seasonPartitionKey(game, partition) {
+  return seasonKeys(GAMES[game]).map(key => `${key}=${partition[key]}`).join("&");
+}
+
+/** 시즌 순위가 나뉘는 파티션 전부 — 예: merge → [{mode:"endless"}, {mode:"challenge"}] */
+export function seasonPartitions(game) {
+  const def = GAMES[game];
+  return seasonKeys(def).reduce(
+    (acc, key) => acc.flatMap(p => def.partitions[key].values.map(v => ({ ...p, [key]: v }))),
+    [{}],
+  );
+}
+
+/** 시즌 기록용 — 게임 row 에서 공통 컬럼/파티션을 뺀 나머지 */
+export function seasonStats(game, row) {
+  const def = GAMES[game];
+  const skip = new Set([...BASE_COLUMNS, ...Object.keys(def.partitions || {})]);
+  const stats = {};
+  for (const col of def.columns.split(",").map(c => c.trim())) {
+    if (!skip.has(col) && row[col] !== undefined) stats[col] = row[col];
+  }
+  return stats;
+}
+
+/** 정렬상 a 가 b 보다 앞서는지 (b 가 null 이면 true) */
+export function isAhead(game, partition, a, b) {
+  if (!b) return true;
+  for (const o of GAMES[game].order(partition)) {
+    if (a[o.col] === b[o.col]) continue;
+    return o.asc ? a[o.col] < b[o.col] : a[o.col] > b[o.col];
+  }
+  return false;
+}
+
+// 시즌 조회용 def — 같은 정렬, 필터는 시즌 + 파티션 키
+function seasonDef(game, def, seasonId, partition) {
+  return {
+    table: SEASON_TABLE,
+    columns: SEASON_COLUMNS,
+    onePerUser: true,
+    flatten: true,
+    order: def.order,
+    scope: (q) => q.eq("season_id", seasonId).eq("partition_key", seasonPartitionKey(game, partition)),
+  };
+}
+
+function flattenStats(row) {
+  if (!row?.stats) return;
+  Object.assign(row, row.stats);
+  delete row.stats;
+}
+
+async function friendIds(userId) {
+  const { data, error } = await db.from("user_friends")
+    .select("friend_id")
+    .eq("user_id", userId)
+    .limit(MAX_FRIENDS);
+  if (error) throw error;
+  return [userId, ...(data || []).map(r => r.friend_id)];
+}
+
+function baseQuery(def, ctx, columns = def.columns, opts) {
+  let q = db.from(def.table).select(columns, opts)
+    .not("user_id", "is", null);
+  if (def.scope) q = def.scope(q);
+  else {
+    q = q.eq("flagged", false);
+    if (def.verifiedOnly && SCORE_REPLAY_REQUIRED) q = q.eq("verified", true);
+    for (const [key, v] of Object.entries(ctx.partition)) q = q.eq(key, v);
+    if (def.filter) q = def.filter(q, ctx.partition);
+  }
+  if (ctx.since) q = q.gte("created_at", ctx.since);
+  if (ctx.userIds) q = q.in("user_id", ctx.userIds);
+  return q;
+}
+
+function ordered(q, order) {
+  for (const o of order) q = q.order(o.col, { ascending: o.asc });
+  return q;
+}
+
+// 정렬상 row 보다 앞선 조건 — PostgREST or 필터 (a > x) or (a = x and b > y) ...
+function aheadFilter(order, row) {
+  const val = (v) => `"${String(v).replace(/"/g, '\\"')}"`;
+  const terms = order.map((o, k) => {
+    const eqs = order.slice(0, k).map(p => `${p.col}.eq.${val(row[p.col])}`);
+    const cmp = `${o.col}.${o.asc ? "lt" : "gt"}.${val(row[o.col])}`;
+    return eqs.length ? `and(${[...eqs, cmp].join(",")})` : cmp;
+  });
+  return terms.join(",");
+}
+
+async function attachProfiles(rows) {
+  if (rows.length === 0) return;
+  const ids = [...new Set(rows.map(r => r.user_id))];
+  const { data: profiles } = await db.from("profiles").select("id, nickname, avatar_url").in("id", ids);
+  const profMap = new Map((profiles || []).map(p => [p.id, p]));
+  for (const r of rows) {
+    const p = profMap.get(r.user_id);
+    if (p) {
+      if (p.nickname) r.nickname = p.nickname;  // 최신 닉네임으로 덮어쓰기
+      r.avatar_url = p.avatar_url || null;
+    }
+  }
+}
+
+// onePerUser=false — 정렬 순 스캔, 유저당 첫 row 만. stopAt 유저를 찾고 need 명 이상 모이면 중단
+// after: stopAt 유저 뒤로도 이만큼 더 모일 때까지 스캔 (around=me 페이지 아래쪽)
+async function scanBest(def, ctx, order, { need, stopAt = null, after = 0 }) {
+  const seen = new Set();
+  const rows = [];
+  let stopAtRank = 0;
+  for (let from = 0; from < SCAN_MAX_ROWS; from += PAGE) {
+    const { data, error } = await ordered(baseQuery(def, ctx), order).range(from, from + PAGE - 1);
+    if (error) throw error;
+    for (const r of data || []) {
+      if (seen.has(r.user_id)) continue;
+      seen.add(r.user_id);
+      rows.push(r);
+      if (r.user_id === stopAt) stopAtRank = rows.length;
+    }
+    if (!data || data.length < PAGE) break;
+    if (rows.length >= need && (!stopAt || (stopAtRank > 0 && rows.length >= stopAtRank + after))) break;
+  }
+  return rows;
+}
+
+async function myBestRow(def, ctx, order, userId) {
+  const { data, error } = await ordered(baseQuery(def, ctx).eq("user_id", userId), order).limit(1);
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+/**
+ * 리더보드 조회
+ * @param {string} game
+ * @param {object} o
+ * @param {object} o.partition   parsePartition 결과
+ * @param {string} [o.window]    all | daily | weekly | monthly
+ * @param {string} [o.scope]     all | friends (viewerId 필요)
+ * @param {string} [o.viewerId]  로그인 유저 — me 계산 / friends / around
+ * @param {number} [o.offset]
+ * @param {number} [o.limit]
+ * @param {boolean} [o.around]   내 순위 주변 (offset 무시)
+ * @param {number} [o.season]    game_seasons.id — 주면 해당 시즌 기록 (window 는 보통 all)
+ * @returns {Promise<{rows, offset, me}>}  rows[i].rank 포함, me = { rank, row } | null. 실패 시 throw
+ */
+export async function fetchLeaderboard(game, { partition, season = null, ...opts }) {
+  const def = season ? seasonDef(game, GAMES[game], season, partition) : GAMES[game];
+  return rankedPage(def, partition, opts);
+}
+
+/**
+ * 게임 설정 밖의 유저당 1 row 테이블을 같은 규칙으로 조회 (daily-challenge.js)
+ * @param {object} table  { table, columns, order: [{col, asc}], scope: (q) => q 필터, flatten?: stats 펼치기 }
+ * @param {object} o      window / scope / viewerId / offset / limit / around — fetchLeaderboard 와 같음
+ * @returns {Promise<{rows, offset, me}>}  실패 시 throw
+ */
+export async function fetchTableLeaderboard(table, o) {
+  return rankedPage({ ...table, onePerUser: true, order: () => table.order }, {}, o);
+}
+
+async function rankedPage(def, partition, { window = "all", scope = "all", viewerId = null, offset = 0, limit = 10, around = false }) {
+  const order = def.order(partition);
+  const ctx = { partition, since: windowStart(window), userIds: null };
+  if (scope === "friends" && viewerId) ctx.userIds = await friendIds(viewerId);
+
+  let rows, me = null;
+  if (def.onePerUser) {
+    let myRow = viewerId ? await myBestRow(def, ctx, order, viewerId) : null;
+    if (myRow) {
+      const { count, error } = await baseQuery(def, ctx, "user_id", { count: "exact", head: true }).or(aheadFilter(order, myRow));
+      if (error) throw error;
+      me = { rank: (count ?? 0) + 1, row: myRow };
+    }
+    if (around && me) offset = Math.max(0, me.rank - 1 - Math.floor(limit / 2));
+    const { data, error } = await ordered(baseQuery(def, ctx), order).range(offset, offset + limit - 1);
+    if (error) throw error;
+    rows = data || [];
+  } else {
+    // around: 내 순위 아래로 페이지 나머지 (limit - 위쪽 floor(limit/2) - 나) 까지 스캔
+    const after = around ? limit - Math.floor(limit / 2) - 1 : 0;
+    const all = await scanBest(def, ctx, order, { need: offset + limit, stopAt: viewerId, after });
+    const i = viewerId ? all.findIndex(r => r.user_id === viewerId) : -1;
+    if (i >= 0) me = { rank: i + 1, row: all[i] };
+    else if (viewerId) {
+      // 스캔 범위 밖 — 순위는 모르지만 기록은 보여줌
+      const myRow = await myBestRow(def, ctx, order, viewerId);
+      if (myRow) me = { rank: null, row: myRow };
+    }
+    if (around && me?.rank) offset = Math.max(0, me.rank - 1 - Math.floor(limit / 2));
+    rows = all.slice(offset, offset + limit);
+  }
+
+  rows.forEach((r, k) => { r.rank = offset + k + 1; });
+  if (def.flatten) [...rows, me?.row].forEach(flattenStats);
+  await attachProfiles(me ? [...rows, me.row] : rows);
+  return { rows, offset, me };
+}
+
+/**
+ * 내 최고 기록 (window 전체 기준) — 없으면 null
+ * @returns {Promise<{row, rank}>}  rank 는 fetchLeaderboard 와 같은 규칙 (스캔 밖이면 null). 실패 시 throw
+ */
+export async function fetchMyBest(game, { partition, userId, window = "all" }) {
+  const { me } = await fetchLeaderboard(game, { partition, window, viewerId: userId, limit: 1 });
+  return { row: me?.row || null, rank: me?.rank ?? null };
+}
@@ -1,8 +1,7 @@
 // =========================
 // DUO 라이어 키워드 게임 (서버) — v0.1
 // 기존 worldcup/quiz/tier/lifegame 멀티와 완전 격리
-// - 별도 Map (liarRooms)
-// - 별도 invite code Map
+// - 방 수명주기(초대코드/빈 방 TTL/퇴장/강퇴/재요청)는 room-manager.js 공용 매니저
 // - 'liar:*' 이벤트 prefix 전용
 // - socket.io room name = `liar:${roomId}`
 // =========================
@@ -13,6 +12,8 @@ import {
   pickRandomPair,
   getLiarCategoriesByLang,
 } from "./liar-words.js";
+import { createRoomManager } from "./room-manager.js";
+import { roomNotFoundReply } from "./cluster.js";
 
 const ALLOWED_LANGS = ["ko", "ja", "en"];
 const CATEGORY_IDS = Object.keys(LIAR_KEYWORDS);
@@ -25,9 +26,37 @@ function resolveCategoryForRound(roomCategory) {
   return CATEGORY_IDS[Math.floor(Math.random() * CATEGORY_IDS.length)];
 }
 
-const liarRooms = new Map();
-const liarInvites = new Map();
-const liarUserRoom = new Map();
+const rm = createRoomManager({
+  prefix: "liar",
+  publicRoom,
+  clearTimers: clearTimer,
+  beforeLeave: (io, room, userId) => ({
+    wasTurn: room.roundData?.phase === "hint" && room.playerOrder[room.roundData.turnIdx] === userId,
+  }),
+  afterLeave: (io, room, userId, ctx) => {
+    // 진행 중 이탈 — 현재 차례였으면 자동 패스 → 다음 사람
+    if (room.status === "playing" && ctx.wasTurn && room.roundData) {
+      currentHintMap(room).set(userId, { text: "(이탈)", timedOut: true });
+      room.roundData.turnIdx++;
+      clearTimer(room);
+      startHintTurn(io, room);
+    }
+  },
+  onDisconnect: (io, room, userId) => {
+    if (room.status !== "playing") return;
+    // 자기 차례였으면 자동 패스
+    if (room.roundData?.phase === "hint"
+        && room.playerOrder[room.roundData.turnIdx] === userId
+        && !currentHintMap(room).has(userId)) {
+      currentHintMap(room).set(userId, { text: "(연결 끊김)", timedOut: true });
+      room.roundData.turnIdx++;
+      clearTimer(room);
+      startHintTurn(io, room);
+    }
+    broadcastRoomState(io, room);
+  },
+});
+const { socketRoomName, broadcastRoomState, deleteRoom } = rm;
 
 const ALLOWED_TURN_SECS = [20, 30, 45];
 const ALLOWED_VOTE_SECS = [30, 45, 60];
@@ -39,18 +68,9 @@ const MAX_HINT_ROUNDS = 3;       // 한 라운드에서 최대 힌트 바퀴 수
 const DECISION_SEC = 30;         // 결정 단계(투표 vs 한 바퀴 더) 제한시간
 const DECISION_TRANSITION_MS = 1500; // 결정 결과 노출 후 다음 단계 진입 딜레이
 const RESULT_DELAY_MS = 8000;
-const EMPTY_ROOM_TTL_MS = 30_000;
 
 // ===== util =====
-function genInviteCode() {
-  for (let i = 0; i < 50; i++) {
-    const c = String(Math.floor(Math.random() * 1_000_000)).padStart(6, "0");
-    if (!liarInvites.has(c)) return c;
-  }
-  return String(Math.floor(Math.random() * 10_000_000)).padStart(7, "0");
-}
 function pickRandom(arr) { return arr[Math.floor(Math.random() * arr.length)]; }
-function socketRoomName(roomId) { return `liar:${roomId}`; }
 function clearTimer(room) {
   if (room?.roundData?.timer) {
     clearTimeout(room.roundData.timer);
@@ -61,12 +81,6 @@ function clearTimer(room) {
     room.phaseTimer = null;
   }
 }
-function clearEmptyRoomTimer(room) {
-  if (room?.emptyRoomTimer) {
-    clearTimeout(room.emptyRoomTimer);
-    room.emptyRoomTimer = null;
-  }
-}
 
 // ===== state shapes =====
 function newPlayerState(name, isGuest, avatarUrl, socketId) {
@@ -120,23 +134,6 @@ function publicRoom(room) {
 }
 
 // ===== game flow =====
-function broadcastRoomState(io, room) {
-  io.to(socketRoomName(room.id)).emit("liar:roomState", publicRoom(room));
-}
-
-function deleteRoom(io, room, reason) {
-  clearTimer(room);
-  clearEmptyRoomTimer(room);
-  liarRooms.delete(room.id);
-  liarInvites.delete(room.inviteCode);
-  for (const uid of room.playerOrder) {
-    if (liarUserRoom.get(uid) === room.id) liarUserRoom.delete(uid);
-  }
-  io.to(socketRoomName(room.id)).emit("liar:roomClosed", { reason });
-  io.in(socketRoomName(room.id)).socketsLeave(socketRoomName(room.id));
-  console.log(`[liar] room ${room.id} deleted: ${reason}`);
-}
-
 function startNextRound(io, room) {
   if (room.status !== "playing") return;
   if (room.currentRoundIdx >= room.totalRounds) return endGame(io, room);
@@ -466,42 +463,6 @@ function endGame(io, room) {
   }, 60_000);
 }
 
-// ===== leave / disconnect =====
-function leavePlayer(io, room, userId) {
-  if (!room.players.has(userId)) return;
-  const wasHost = room.hostUserId === userId;
-  const wasTurn = room.roundData?.phase === "hint"
-    && room.playerOrder[room.roundData.turnIdx] === userId;
-
-  room.players.delete(userId);
-  room.playerOrder = room.playerOrder.filter(u => u !== userId);
-  if (liarUserRoom.get(userId) === room.id) liarUserRoom.delete(userId);
-
-  if (room.playerOrder.length === 0) return deleteRoom(io, room, "EMPTY");
-
-  if (wasHost) room.hostUserId = room.playerOrder[0];
-
-  if (room.status === "playing") {
-    // 진행 중 이탈 처리
-    if (wasTurn) {
-      // 현재 차례였으면 자동 패스 → 다음 사람
-      if (room.roundData) {
-        currentHintMap(room).set(userId, { text: "(이탈)", timedOut: true });
-        room.roundData.turnIdx++;
-        clearTimer(room);
-        startHintTurn(io, room);
-      }
-    }
-    // 모두 끊기면 정리
-    const anyConnected = room.playerOrder.some(uid => room.players.get(uid)?.connected);
-    if (!anyConnected) {
-      clearEmptyRoomTimer(room);
-      room.emptyRoomTimer = setTimeout(() => deleteRoom(io, room, "ALL_DISCONNECTED"), EMPTY_ROOM_TTL_MS);
-    }
-  }
-  broadcastRoomState(io, room);
-}
-
 // ===== handlers =====
 export function registerLiar(io, supabaseAdmin) {
   io.on("connection", (socket) => {
@@ -511,10 +472,7 @@ export function registerLiar(io, supabaseAdmin) {
     socket.on("liar:createRoom", async (payload, cb) => {
       try {
         if (me.isGuest) return cb?.({ ok: false, error: "GUEST_CANNOT_CREATE" });
-        if (liarUserRoom.has(me.id)) {
-          const old = liarRooms.get(liarUserRoom.get(me.id));
-          if (old) leavePlayer(io, old, me.id);
-        }
+        rm.leaveCurrentRoom(io, me.id);
 
         const totalRounds = ALLOWED_ROUNDS.includes(Number(payload?.totalRounds))
           ? Number(payload.totalRounds) : 5;
@@ -527,8 +485,8 @@ export function registerLiar(io, supabaseAdmin) {
         const category = isValidCategory(payload?.category) ? payload.category : "random";
         const lang = isValidLang(payload?.lang) ? payload.lang : "ko";
 
-        const roomId = `lr_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
-        const inviteCode = genInviteCode();
+        const roomId = rm.newRoomId("lr");
+        const inviteCode = rm.genInviteCode();
 
         const room = {
           id: roomId,
@@ -549,8 +507,7 @@ export function registerLiar(io, supabaseAdmin) {
           phaseTimer: null,
           emptyRoomTimer: null,
         };
-        liarRooms.set(roomId, room);
-        liarInvites.set(inviteCode, roomId);
+        rm.addRoom(room);
 
         let avatar = null;
         let nick = payload?.nickname;
@@ -562,8 +519,7 @@ export function registerLiar(io, supabaseAdmin) {
 
         room.players.set(me.id, newPlayerState(nick || "방장", false, avatar, socket.id));
         room.playerOrder.push(me.id);
-        liarUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -576,20 +532,15 @@ export function registerLiar(io, supabaseAdmin) {
 
     socket.on("liar:joinRoom", async (payload, cb) => {
       try {
-        const code = String(payload?.inviteCode || "").trim();
-        const roomId = liarInvites.get(code);
-        const room = roomId ? liarRooms.get(roomId) : null;
-        if (!room) return cb?.({ ok: false, error: "ROOM_NOT_FOUND" });
+        const room = rm.findByInvite(payload?.inviteCode);
+        if (!room) return cb?.(roomNotFoundReply(rm.prefix, payload?.inviteCode));
+        const roomId = room.id;
         if (room.status !== "lobby") return cb?.({ ok: false, error: "GAME_ALREADY_STARTED" });
         if (room.players.size >= room.maxPlayers) return cb?.({ ok: false, error: "ROOM_FULL" });
 
         if (room.players.has(me.id)) {
           // 재접속
-          const p = room.players.get(me.id);
-          p.connected = true;
-          p.socketId = socket.id;
-          socket.join(socketRoomName(roomId));
-          liarUserRoom.set(me.id, roomId);
+          rm.reconnect(socket, room, me.id);
           cb?.({ ok: true, roomId, inviteCode: room.inviteCode, room: publicRoom(room) });
           broadcastRoomState(io, room);
           return;
@@ -608,10 +559,8 @@ export function registerLiar(io, supabaseAdmin) {
 
         room.players.set(me.id, newPlayerState(playerName, !!me.isGuest, avatar, socket.id));
         room.playerOrder.push(me.id);
-        liarUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
+        rm.seat(socket, room, me.id);
 
-        clearEmptyRoomTimer(room);
         cb?.({ ok: true, roomId, inviteCode: room.inviteCode, room: publicRoom(room) });
         broadcastRoomState(io, room);
       } catch (e) {
@@ -621,8 +570,7 @@ export function registerLiar(io, supabaseAdmin) {
     });
 
     socket.on("liar:setOptions", (payload, cb) => {
-      const roomId = liarUserRoom.get(me.id);
-      const room = roomId ? liarRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "GAME_ALREADY_STARTED" });
@@ -647,8 +595,7 @@ export function registerLiar(io, supabaseAdmin) {
     });
 
     socket.on("liar:setMaxPlayers", (payload, cb) => {
-      const roomId = liarUserRoom.get(me.id);
-      const room = roomId ? liarRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "GAME_IN_PROGRESS" });
@@ -664,8 +611,7 @@ export function registerLiar(io, supabaseAdmin) {
     });
 
     socket.on("liar:startGame", (_payload, cb) => {
-      const roomId = liarUserRoom.get(me.id);
-      const room = roomId ? liarRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status === "playing") return cb?.({ ok: false, error: "ALREADY_PLAYING" });
@@ -687,8 +633,7 @@ export function registerLiar(io, supabaseAdmin) {
     });
 
     socket.on("liar:submitHint", (payload, cb) => {
-      const roomId = liarUserRoom.get(me.id);
-      const room = roomId ? liarRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.status !== "playing" || !room.roundData) return cb?.({ ok: false, error: "NOT_PLAYING" });
       if (room.roundData.phase !== "hint") return cb?.({ ok: false, error: "NOT_HINT_PHASE" });
@@ -700,8 +645,7 @@ export function registerLiar(io, supabaseAdmin) {
     });
 
     socket.on("liar:submitDecision", (payload, cb) => {
-      const roomId = liarUserRoom.get(me.id);
-      const room = roomId ? liarRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.status !== "playing" || !room.roundData) return cb?.({ ok: false, error: "NOT_PLAYING" });
       if (room.roundData.phase !== "decision") return cb?.({ ok: false, error: "NOT_DECISION_PHASE" });
@@ -713,8 +657,7 @@ export function registerLiar(io, supabaseAdmin) {
     });
 
     socket.on("liar:submitVote", (payload, cb) => {
-      const roomId = liarUserRoom.get(me.id);
-      const room = roomId ? liarRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.status !== "playing" || !room.roundData) return cb?.({ ok: false, error: "NOT_PLAYING" });
       if (room.roundData.phase !== "vote") return cb?.({ ok: false, error: "NOT_VOTE_PHASE" });
@@ -727,68 +670,6 @@ export function registerLiar(io, supabaseAdmin) {
       submitVote(io, room, me.id, target);
     });
 
-    socket.on("liar:leaveRoom", (_payload, cb) => {
-      const roomId = liarUserRoom.get(me.id);
-      const room = roomId ? liarRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      socket.leave(socketRoomName(room.id));
-      leavePlayer(io, room, me.id);
-      cb?.({ ok: true });
-    });
-
-    socket.on("liar:kickPlayer", (payload, cb) => {
-      const roomId = liarUserRoom.get(me.id);
-      const room = roomId ? liarRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
-      if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
-      const targetId = String(payload?.targetUserId || "");
-      if (!targetId || targetId === me.id) return cb?.({ ok: false, error: "INVALID_TARGET" });
-      if (!room.players.has(targetId)) return cb?.({ ok: false, error: "TARGET_NOT_IN_ROOM" });
-      const target = room.players.get(targetId);
-      if (target?.socketId) io.to(target.socketId).emit("liar:kicked", { reason: "KICKED_BY_HOST" });
-      leavePlayer(io, room, targetId);
-      cb?.({ ok: true });
-    });
-
-    socket.on("liar:requestState", (_payload, cb) => {
-      const roomId = liarUserRoom.get(me.id);
-      const room = roomId ? liarRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      // socketId 갱신 (탭 변경/새로고침)
-      const p = room.players.get(me.id);
-      if (p) { p.socketId = socket.id; p.connected = true; }
-      socket.join(socketRoomName(room.id));
-      cb?.({ ok: true, room: publicRoom(room) });
-    });
-
-    socket.on("disconnect", () => {
-      const roomId = liarUserRoom.get(me.id);
-      const room = roomId ? liarRooms.get(roomId) : null;
-      if (!room) return;
-      const p = room.players.get(me.id);
-      if (!p) return;
-      p.connected = false;
-
-      if (room.status === "lobby") {
-        leavePlayer(io, room, me.id);
-      } else if (room.status === "playing") {
-        // 자기 차례였으면 자동 패스
-        if (room.roundData?.phase === "hint"
-            && room.playerOrder[room.roundData.turnIdx] === me.id
-            && !currentHintMap(room).has(me.id)) {
-          currentHintMap(room).set(me.id, { text: "(연결 끊김)", timedOut: true });
-          room.roundData.turnIdx++;
-          clearTimer(room);
-          startHintTurn(io, room);
-        }
-        broadcastRoomState(io, room);
-        const anyConnected = room.playerOrder.some(uid => room.players.get(uid)?.connected);
-        if (!anyConnected) {
-          clearEmptyRoomTimer(room);
-          room.emptyRoomTimer = setTimeout(() => deleteRoom(io, room, "ALL_DISCONNECTED"), EMPTY_ROOM_TTL_MS);
-        }
-      }
-    });
+    rm.attach(io, socket);
   });
 }
@@ -1,40 +1,30 @@
 // =========================
 // DUO GAME ZONE — 인생게임 멀티 (서버)
 // 기존 worldcup/quiz/tier 멀티 시스템과 완전 격리.
-// - 별도 Map(lifegameRooms)
-// - 별도 invite code Map
+// - 방 수명주기(초대코드/퇴장/강퇴/재접속/빈 방 삭제)는 room-manager.js
 // - 'lifegame:*' 이벤트 prefix 전용
 // - socket.io room name = `lifegame:${roomId}`
+// - 재시작 복구: 턴 시작마다 스냅샷 (room-store "lg"). 복원 후 첫 재접속 때 현재 턴부터 다시 시작
+//   (결과 연출 중에 내려갔으면 그 턴의 선택은 스냅샷에 없으니 같은 턴을 다시 고름)
 // =========================
 
 import {
   STAGES, STAGE_TURNS, STAT_DEFS, EVENTS, ENDINGS, ANALYSIS_LINES,
 } from "./lifegame-data.js";
+import { roomStore, ROOM_RESTORE_GRACE_MS } from "./room-store.js";
+import { createRoomManager } from "./room-manager.js";
+import { roomNotFoundReply } from "./cluster.js";
 
 const STAT_KEYS = STAT_DEFS.map(d => d.key);
 
-// ===== Room storage =====
-const lifegameRooms = new Map();      // roomId → room
-const lifegameInvites = new Map();    // inviteCode → roomId
-const lifegameUserRoom = new Map();   // userId → roomId (단일 방 제약)
-
 // ===== Constants =====
 const MIN_PLAYERS = 2;
 const MAX_PLAYERS_HARD_CAP = 8;
 const ALLOWED_TURN_SECS = [5, 10, 15, 20, 30];
 const RESULT_DELAY_MS = 1500;
-const EMPTY_ROOM_TTL_MS = 30_000;
 const TOTAL_ROUNDS = STAGES.reduce((a, s) => a + (STAGE_TURNS[s.id] || 1), 0);
 
 // ===== Utils =====
-function genInviteCode() {
-  for (let i = 0; i < 50; i++) {
-    const c = String(Math.floor(Math.random() * 1_000_000)).padStart(6, "0");
-    if (!lifegameInvites.has(c)) return c;
-  }
-  return String(Math.floor(Math.random() * 10_000_000)).padStart(7, "0");
-}
-
 function pickWeighted(items, weightFn) {
   const ws = items.map(it => Math.max(0.01, weightFn ? weightFn(it) : 1));
   const total = ws.reduce((a, b) => a + b, 0);
@@ -61,7 +51,7 @@ function clampStat(key, val) {
   return Math.max(0, Math.min(100, val));
 }
 
-function newPlayerState(name, isGuest, avatarUrl, gender) {
+function newPlayerState(name, isGuest, avatarUrl, gender, socketId) {
   const stats = {};
   for (const def of STAT_DEFS) stats[def.key] = def.initial;
   return {
@@ -71,6 +61,7 @@ function newPlayerState(name, isGuest, avatarUrl, gender) {
     gender: gender || null, // 'M' | 'F' | 'X' | null — 효과/엔딩에만 영향, 멀티는 이벤트 필터링은 하지 않음
     joinedAt: Date.now(),
     connected: true,
+    socketId,
     stats,
     routes: new Set(),
     relations: { romance: null, friends: {}, foes: [] },
@@ -369,28 +360,28 @@ function clearTurnTimer(room) {
   if (room.turnTimer) { clearTimeout(room.turnTimer); room.turnTimer = null; }
 }
 
-function clearEmptyRoomTimer(room) {
-  if (room.emptyRoomTimer) { clearTimeout(room.emptyRoomTimer); room.emptyRoomTimer = null; }
-}
-
-function deleteRoom(io, room, reason = "UNKNOWN") {
-  clearTurnTimer(room);
-  clearEmptyRoomTimer(room);
-  lifegameRooms.delete(room.id);
-  lifegameInvites.delete(room.inviteCode);
-  for (const uid of room.playerOrder) {
-    if (lifegameUserRoom.get(uid) === room.id) lifegameUserRoom.delete(uid);
-  }
-  io.to(socketRoomName(room.id)).emit("lifegame:roomClosed", { reason });
-  io.in(socketRoomName(room.id)).socketsLeave(socketRoomName(room.id));
-  console.log(`[lifegame] room ${room.id} deleted: ${reason}`);
-}
-
-function socketRoomName(roomId) { return `lifegame:${roomId}`; }
-
-function broadcastRoomState(io, room) {
-  io.to(socketRoomName(room.id)).emit("lifegame:roomState", publicRoom(room));
-}
+const lgSnapshots = roomStore.namespace("lg"); // 재시작 복구용 (ROOM_STORE 미설정 시 no-op)
+const rm = createRoomManager({
+  prefix: "lifegame",
+  publicRoom,
+  snapshots: lgSnapshots,
+  clearTimers: clearTurnTimer,
+  beforeLeave: (io, room, userId) => ({
+    leaveIdx: room.playerOrder.indexOf(userId),
+    wasTurn: room.playerOrder[room.currentTurnPlayerIdx] === userId,
+  }),
+  afterLeave: (io, room, userId, ctx) => afterLeave(io, room, ctx),
+  // 진행 중: 현재 턴이면 자동 패스
+  onDisconnect: (io, room, userId) => {
+    if (room.status === "playing" && room.playerOrder[room.currentTurnPlayerIdx] === userId) {
+      const ev = room.currentEvent;
+      if (ev) submitChoice(io, room, userId, ev.choices[0].id, true);
+    }
+    broadcastRoomState(io, room);
+  },
+  onRequestState: (io, socket, room) => resumeRestoredRoom(io, room),
+});
+const { socketRoomName, broadcastRoomState, deleteRoom } = rm;
 
 // ===== 게임 흐름 =====
 function startNextRound(io, room) {
@@ -446,6 +437,7 @@ function startCurrentTurn(io, room) {
   const turnUserId = room.playerOrder[room.currentTurnPlayerIdx];
   const turnSec = room.turnTimeSec;
   room.turnDeadline = Date.now() + turnSec * 1000;
+  lgSnapshots.save(room);
 
   io.to(socketRoomName(room.id)).emit("lifegame:turnStart", {
     roundIndex: room.currentRoundIndex,
@@ -512,6 +504,7 @@ function endRound(io, room) {
 function endGame(io, room) {
   room.status = "ended";
   clearTurnTimer(room);
+  lgSnapshots.save(room);
 
   for (const uid of room.playerOrder) {
     const p = room.players.get(uid);
@@ -533,8 +526,30 @@ function endGame(io, room) {
   }, 10 * 60_000);
 }
 
+// 복원된 방에 첫 재접속 — 재시작으로 사라진 턴 타이머를 현재 턴부터 다시 건다 (끊긴 사람 차례는 startCurrentTurn 이 skip)
+function resumeRestoredRoom(io, room) {
+  if (!room.restoredAt) return;
+  room.restoredAt = null;
+  if (room.status !== "playing") return;
+  if (room.currentEvent) startCurrentTurn(io, room);
+  else startNextRound(io, room);
+}
+
 // ===== 핸들러 등록 =====
 export function registerLifegame(io, supabaseAdmin) {
+  // 재시작 복구 — 전원 끊김 상태로 복원, 유예 안에 안 돌아온 플레이어는 퇴장 처리
+  rm.restore(io, (room) => {
+    if (room.status === "ended") return false;
+    for (const uid of room.playerOrder) {
+      setTimeout(() => {
+        const r = rm.rooms.get(room.id);
+        const pp = r?.players.get(uid);
+        if (!pp || pp.connected) return;
+        rm.leavePlayer(io, r, uid);
+      }, ROOM_RESTORE_GRACE_MS);
+    }
+  });
+
   io.on("connection", (socket) => {
     const me = socket.user;
     if (!me) return;
@@ -543,18 +558,15 @@ export function registerLifegame(io, supabaseAdmin) {
     socket.on("lifegame:createRoom", async (payload, cb) => {
       try {
         if (me.isGuest) return cb?.({ ok: false, error: "GUEST_CANNOT_CREATE" });
-        if (lifegameUserRoom.has(me.id)) {
-          // 이미 다른 방에 있으면 정리
-          const old = lifegameRooms.get(lifegameUserRoom.get(me.id));
-          if (old) leavePlayer(io, old, me.id, /*forced*/ true);
-        }
+        // 이미 다른 방에 있으면 정리
+        rm.leaveCurrentRoom(io, me.id);
 
         const turnSec = ALLOWED_TURN_SECS.includes(Number(payload?.turnTimeSec))
           ? Number(payload.turnTimeSec) : 10;
         const maxPlayers = Math.min(MAX_PLAYERS_HARD_CAP, Math.max(MIN_PLAYERS, Number(payload?.maxPlayers) || 6));
 
-        const roomId = `lg_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
-        const inviteCode = genInviteCode();
+        const roomId = rm.newRoomId("lg");
+        const inviteCode = rm.genInviteCode();
 
         const room = {
           id: roomId,
@@ -579,8 +591,7 @@ export function registerLifegame(io, supabaseAdmin) {
           turnResultsThisRound: [],
           emptyRoomTimer: null,
         };
-        lifegameRooms.set(roomId, room);
-        lifegameInvites.set(inviteCode, roomId);
+        rm.addRoom(room);
 
         // 호스트 등록
         let avatar = null;
@@ -592,10 +603,9 @@ export function registerLifegame(io, supabaseAdmin) {
 
         const hostName = String(payload?.nickname || "방장").slice(0, 20);
         const hostGender = ["M", "F", "X"].includes(payload?.gender) ? payload.gender : "X";
-        room.players.set(me.id, newPlayerState(hostName, false, avatar, hostGender));
+        room.players.set(me.id, newPlayerState(hostName, false, avatar, hostGender, socket.id));
         room.playerOrder.push(me.id);
-        lifegameUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -609,22 +619,19 @@ export function registerLifegame(io, supabaseAdmin) {
     // ===== joinRoom (by inviteCode) =====
     socket.on("lifegame:joinRoom", async (payload, cb) => {
       try {
-        const code = String(payload?.inviteCode || "").trim();
-        const roomId = lifegameInvites.get(code);
-        const room = roomId ? lifegameRooms.get(roomId) : null;
-        if (!room) return cb?.({ ok: false, error: "ROOM_NOT_FOUND" });
-        if (room.status !== "lobby") return cb?.({ ok: false, error: "GAME_ALREADY_STARTED" });
-        if (room.players.size >= room.maxPlayers) return cb?.({ ok: false, error: "ROOM_FULL" });
+        const room = rm.findByInvite(payload?.inviteCode);
+        if (!room) return cb?.(roomNotFoundReply(rm.prefix, payload?.inviteCode));
+        const roomId = room.id;
         if (room.players.has(me.id)) {
-          // 재접속
-          const p = room.players.get(me.id);
-          p.connected = true;
-          socket.join(socketRoomName(roomId));
-          lifegameUserRoom.set(me.id, roomId);
+          // 재접속 (진행 중 포함)
+          rm.reconnect(socket, room, me.id);
           cb?.({ ok: true, roomId, inviteCode: room.inviteCode, room: publicRoom(room) });
           broadcastRoomState(io, room);
+          resumeRestoredRoom(io, room);
           return;
         }
+        if (room.status !== "lobby") return cb?.({ ok: false, error: "GAME_ALREADY_STARTED" });
+        if (room.players.size >= room.maxPlayers) return cb?.({ ok: false, error: "ROOM_FULL" });
 
         let avatar = null;
         if (!me.isGuest) {
@@ -637,12 +644,10 @@ export function registerLifegame(io, supabaseAdmin) {
         const playerName = String(payload?.nickname || (me.isGuest ? "게스트" : "유저")).slice(0, 20);
         const joinGender = ["M", "F", "X"].includes(payload?.gender) ? payload.gender : "X";
 
-        room.players.set(me.id, newPlayerState(playerName, !!me.isGuest, avatar, joinGender));
+        room.players.set(me.id, newPlayerState(playerName, !!me.isGuest, avatar, joinGender, socket.id));
         room.playerOrder.push(me.id);
-        lifegameUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
+        rm.seat(socket, room, me.id);
 
-        clearEmptyRoomTimer(room);
         cb?.({ ok: true, roomId, inviteCode: room.inviteCode, room: publicRoom(room) });
         broadcastRoomState(io, room);
       } catch (e) {
@@ -653,8 +658,7 @@ export function registerLifegame(io, supabaseAdmin) {
 
     // ===== setOptions (host only, lobby only) =====
     socket.on("lifegame:setOptions", (payload, cb) => {
-      const roomId = lifegameUserRoom.get(me.id);
-      const room = roomId ? lifegameRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "GAME_ALREADY_STARTED" });
@@ -672,8 +676,7 @@ export function registerLifegame(io, supabaseAdmin) {
 
     // ===== startGame (host only) =====
     socket.on("lifegame:startGame", (_payload, cb) => {
-      const roomId = lifegameUserRoom.get(me.id);
-      const room = roomId ? lifegameRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status === "playing") return cb?.({ ok: false, error: "ALREADY_PLAYING" });
@@ -692,8 +695,7 @@ export function registerLifegame(io, supabaseAdmin) {
 
     // ===== submitChoice =====
     socket.on("lifegame:submitChoice", (payload, cb) => {
-      const roomId = lifegameUserRoom.get(me.id);
-      const room = roomId ? lifegameRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
 
@@ -710,93 +712,18 @@ export function registerLifegame(io, supabaseAdmin) {
       submitChoice(io, room, me.id, choiceId, false);
     });
 
-    // ===== leaveRoom =====
-    socket.on("lifegame:leaveRoom", (_payload, cb) => {
-      const roomId = lifegameUserRoom.get(me.id);
-      const room = roomId ? lifegameRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      leavePlayer(io, room, me.id, false);
-      socket.leave(socketRoomName(room.id));
-      cb?.({ ok: true });
-    });
-
-    socket.on("lifegame:kickPlayer", (payload, cb) => {
-      const roomId = lifegameUserRoom.get(me.id);
-      const room = roomId ? lifegameRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
-      if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
-      const targetId = String(payload?.targetUserId || "");
-      if (!targetId || targetId === me.id) return cb?.({ ok: false, error: "INVALID_TARGET" });
-      if (!room.players.has(targetId)) return cb?.({ ok: false, error: "TARGET_NOT_IN_ROOM" });
-      const target = room.players.get(targetId);
-      if (target?.socketId) io.to(target.socketId).emit("lifegame:kicked", { reason: "KICKED_BY_HOST" });
-      leavePlayer(io, room, targetId, false);
-      cb?.({ ok: true });
-    });
-
-    // ===== requestState (재접속/리프레시) =====
-    socket.on("lifegame:requestState", (_payload, cb) => {
-      const roomId = lifegameUserRoom.get(me.id);
-      const room = roomId ? lifegameRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      socket.join(socketRoomName(room.id));
-      cb?.({ ok: true, room: publicRoom(room) });
-    });
-
-    socket.on("disconnect", () => {
-      const roomId = lifegameUserRoom.get(me.id);
-      const room = roomId ? lifegameRooms.get(roomId) : null;
-      if (!room) return;
-      const p = room.players.get(me.id);
-      if (!p) return;
-      p.connected = false;
-
-      if (room.status === "lobby") {
-        // 로비에서 나가면 즉시 제거
-        leavePlayer(io, room, me.id, false);
-      } else if (room.status === "playing") {
-        // 진행 중: 현재 턴이면 자동 패스
-        const turnUid = room.playerOrder[room.currentTurnPlayerIdx];
-        if (turnUid === me.id) {
-          const ev = room.currentEvent;
-          if (ev) submitChoice(io, room, me.id, ev.choices[0].id, true);
-        }
-        broadcastRoomState(io, room);
-        // 모두 끊기면 방 정리
-        const anyConnected = room.playerOrder.some(uid => room.players.get(uid)?.connected);
-        if (!anyConnected) {
-          clearEmptyRoomTimer(room);
-          room.emptyRoomTimer = setTimeout(() => deleteRoom(io, room, "ALL_DISCONNECTED"), EMPTY_ROOM_TTL_MS);
-        }
-      }
-    });
+    rm.attach(io, socket);
   });
 }
 
-function leavePlayer(io, room, userId, forced) {
-  if (!room.players.has(userId)) return;
-  const wasHost = room.hostUserId === userId;
-  const wasTurn = room.playerOrder[room.currentTurnPlayerIdx] === userId;
-
-  room.players.delete(userId);
-  room.playerOrder = room.playerOrder.filter(u => u !== userId);
-  if (lifegameUserRoom.get(userId) === room.id) lifegameUserRoom.delete(userId);
-
-  if (room.playerOrder.length === 0) {
-    deleteRoom(io, room, "EMPTY");
-    return;
-  }
-
-  if (wasHost) {
-    room.hostUserId = room.playerOrder[0];
-  }
-
-  if (room.status === "playing") {
-    if (wasTurn) {
-      // 다음 턴으로 자동 진행 (인덱스는 그대로 두고 startCurrentTurn이 알아서 skip)
-      startCurrentTurn(io, room);
-    }
+// 퇴장 후처리 (room-manager afterLeave) — 턴 인덱스 보정, 현재 턴이었으면 다음 사람으로
+function afterLeave(io, room, { leaveIdx, wasTurn }) {
+  if (room.status !== "playing") return false;
+  if (leaveIdx >= 0 && leaveIdx < room.currentTurnPlayerIdx) room.currentTurnPlayerIdx -= 1;
+  if (wasTurn) {
+    // 인덱스는 그대로 (다음 사람이 당겨짐) — startCurrentTurn이 끊긴 사람은 알아서 skip
+    clearTurnTimer(room);
+    startCurrentTurn(io, room);
   }
-  broadcastRoomState(io, room);
+  return false;
 }
@@ -3,18 +3,59 @@
 // 보드: 9×9 셀. 벽: 2칸 길이 가로/세로. 모드: 1v1 / 1v1v1v1 / 2v2 / 2v2v2v2
 // 경로 검증: BFS — 벽 설치 시 모든 플레이어가 자기 결승선까지 도달 가능해야 함
 // 이벤트 prefix: 'makak:'
+// 빠른 대전: matchmaking.js 큐 (1v1) — 매칭되면 방 생성 + 바로 시작
 // =========================
 
-const mkRooms = new Map();
-const mkInvites = new Map();
-const mkUserRoom = new Map();
+import { createRoomManager } from "./room-manager.js";
+import { roomNotFoundReply } from "./cluster.js";
+import { ratingRoster, settleRatings } from "./ratings.js";
+import { registerQuickMatch } from "./matchmaking.js";
+
+// 방 수명주기 (초대코드/빈 방 TTL/퇴장/강퇴/재요청) — 공용 매니저
+const rm = createRoomManager({
+  prefix: "makak",
+  publicRoom,
+  spectators: true,
+  clearTimers: clearTurnTimer,
+  beforeLeave: (io, room, userId) => ({ wasTurn: room.currentTurnPlayerId === userId }),
+  afterLeave: (io, room, userId, ctx) => {
+    if (room.status === "playing") {
+      if (ctx.wasTurn) advanceTurn(io, room);
+      checkWinCondition(io, room);
+    }
+  },
+  onDisconnect: (io, room, userId) => {
+    io.to(socketRoomName(room.id)).emit("makak:peerDisconnect", { playerId: userId });
+    // 30초 후 재접속 안 했으면 alive=false 처리 — 본인 차례면 자동 턴 패스
+    const expectedRoomId = room.id;
+    setTimeout(() => {
+      const r = rm.rooms.get(expectedRoomId);
+      if (!r || r.status !== "playing") return;
+      const pp = r.players.get(userId);
+      if (!pp || pp.connected) return;
+      pp.alive = false;
+      io.to(socketRoomName(r.id)).emit("makak:peerEliminated", { playerId: userId, nickname: pp.name, reason: "DISCONNECT_TIMEOUT" });
+      // 끊긴 사람이 현재 턴이면 다음으로 진행
+      if (r.currentTurnPlayerId === userId) {
+        advanceTurn(io, r);
+      } else {
+        // 살아있는 사람 1명 이하이면 즉시 종료
+        const aliveCount = [...r.players.values()].filter(x => x.alive).length;
+        if (aliveCount <= 1) {
+          const winner = [...r.players.entries()].find(([, x]) => x.alive)?.[0] || null;
+          finishGame(io, r, winner ? "LAST_STANDING" : "NO_ALIVE", winner);
+        }
+      }
+    }, 30_000);
+  },
+});
+const { socketRoomName, broadcastRoomState } = rm;
 
 const BOARD_SIZE = 9;
 const ALLOWED_MAX_PLAYERS = [2, 4, 8];
 const ALLOWED_MODES = new Set(["1v1", "1v1v1v1", "2v2", "2v2v2v2"]);
 const ALLOWED_TURN_TIME_SEC = [30, 60, 0];
 const MIN_PLAYERS_TO_START = 2;
-const EMPTY_ROOM_TTL_MS = 30_000;
 const MAX_NICK_LEN = 14;
 
 // 모드별 인원
@@ -210,17 +251,6 @@ function getLegalMoves(walls, players, p) {
 }
 
 // ===== util =====
-function genInviteCode() {
-  for (let i = 0; i < 50; i++) {
-    const c = String(Math.floor(Math.random() * 1_000_000)).padStart(6, "0");
-    if (!mkInvites.has(c)) return c;
-  }
-  return String(Math.floor(Math.random() * 10_000_000)).padStart(7, "0");
-}
-function socketRoomName(roomId) { return `makak:${roomId}`; }
-function clearEmptyRoomTimer(room) {
-  if (room?.emptyRoomTimer) { clearTimeout(room.emptyRoomTimer); room.emptyRoomTimer = null; }
-}
 function clearTurnTimer(room) {
   if (room?.turnTimer) { clearTimeout(room.turnTimer); room.turnTimer = null; }
 }
@@ -252,50 +282,9 @@ function publicRoom(room) {
     walls: room.walls,
     teamWalls: room.teamWalls,
     players: room.playerOrder.map(uid => publicPlayer(uid, room.players.get(uid))),
+    spectatorCount: rm.spectatorCount(room),
   };
 }
-function broadcastRoomState(io, room) {
-  io.to(socketRoomName(room.id)).emit("makak:roomState", publicRoom(room));
-}
-function deleteRoom(io, room, reason) {
-  clearEmptyRoomTimer(room);
-  clearTurnTimer(room);
-  mkRooms.delete(room.id);
-  mkInvites.delete(room.inviteCode);
-  for (const uid of room.playerOrder) {
-    if (mkUserRoom.get(uid) === room.id) mkUserRoom.delete(uid);
-  }
-  io.to(socketRoomName(room.id)).emit("makak:roomClosed", { reason });
-  io.in(socketRoomName(room.id)).socketsLeave(socketRoomName(room.id));
-  console.log(`[makak] room ${room.id} deleted: ${reason}`);
-}
-function maybeScheduleEmptyRoomDelete(io, room) {
-  const connected = [...room.players.values()].filter(p => p.connected).length;
-  if (connected === 0 && !room.emptyRoomTimer) {
-    room.emptyRoomTimer = setTimeout(() => {
-      const r = mkRooms.get(room.id);
-      if (!r) return;
-      if ([...r.players.values()].every(p => !p.connected)) deleteRoom(io, r, "EMPTY");
-    }, EMPTY_ROOM_TTL_MS);
-  }
-}
-function leavePlayer(io, room, userId) {
-  if (!room.players.has(userId)) return;
-  const wasHost = room.hostUserId === userId;
-  const wasTurn = room.currentTurnPlayerId === userId;
-  room.players.delete(userId);
-  const idx = room.playerOrder.indexOf(userId);
-  if (idx >= 0) room.playerOrder.splice(idx, 1);
-  if (mkUserRoom.get(userId) === room.id) mkUserRoom.delete(userId);
-  if (wasHost && room.playerOrder.length > 0) room.hostUserId = room.playerOrder[0];
-  io.to(socketRoomName(room.id)).emit("makak:peerLeave", { playerId: userId });
-  if (room.playerOrder.length === 0) { deleteRoom(io, room, "ALL_LEFT"); return; }
-  if (room.status === "playing") {
-    if (wasTurn) advanceTurn(io, room);
-    checkWinCondition(io, room);
-  }
-  broadcastRoomState(io, room);
-}
 
 // ===== 게임 시작 =====
 function startGame(room) {
@@ -340,6 +329,7 @@ function startGame(room) {
   }
   room.walls = { horizontal: {}, vertical: {} };
   room.status = "playing";
+  room.ratingRoster = ratingRoster(room);
 }
 
 function shuffle(arr) {
@@ -382,7 +372,7 @@ function startTurn(io, room, playerId) {
   // 자동 진행 타이머 (시간 초과 시 결승선 방향으로 1칸 자동 이동)
   if (room.turnTimeSec > 0) {
     room.turnTimer = setTimeout(() => {
-      const r = mkRooms.get(room.id);
+      const r = rm.rooms.get(room.id);
       if (!r || r.status !== "playing" || r.currentTurnPlayerId !== playerId) return;
       autoMoveTowardGoal(io, r, playerId);
     }, room.turnTimeSec * 1000);
@@ -452,6 +442,12 @@ function finishGame(io, room, reason, winnerUserId = null) {
     };
   }).filter(Boolean).sort((a, b) => (b.winner ? 1 : 0) - (a.winner ? 1 : 0));
   io.to(socketRoomName(room.id)).emit("makak:gameEnded", { reason, winnerUserId, winnerTeam, ranking });
+  // 레이팅: 승자(팀) 1위, 나머지 2위 / 승자 없이 끝나면 무승부
+  settleRatings(io, "makak", room, (uid, entry) => {
+    if (!winnerUserId) return 1;
+    if (winnerTeam) return entry.team === winnerTeam ? 1 : 2;
+    return uid === winnerUserId ? 1 : 2;
+  });
   broadcastRoomState(io, room);
 }
 
@@ -464,8 +460,47 @@ function decrementWalls(room, p) {
   else p.walls -= 1;
 }
 
+// 방 생성 + 등록 (createRoom / 빠른 대전 공용)
+function createMakakRoom(hostUserId, { maxPlayers, mode, turnTimeSec }) {
+  const roomId = rm.newRoomId("mk");
+  const inviteCode = rm.genInviteCode();
+  const room = {
+    id: roomId, inviteCode, hostUserId,
+    status: "lobby", maxPlayers, mode, turnTimeSec,
+    currentTurnPlayerId: null,
+    walls: { horizontal: {}, vertical: {} },
+    teamWalls: {},
+    players: new Map(), playerOrder: [],
+    emptyRoomTimer: null, turnTimer: null,
+    createdAt: Date.now(),
+  };
+  rm.addRoom(room);
+  return room;
+}
+
+// 빠른 대전 (matchmaking.js) — 매칭된 전원 착석 후 바로 시작
+function createQuickMatchRoom(io, entries, options) {
+  const mode = options.mode || "1v1";
+  const room = createMakakRoom(entries[0].userId, { maxPlayers: MODE_PLAYER_COUNT[mode], mode, turnTimeSec: 60 });
+  for (const e of entries) {
+    rm.leaveCurrentRoom(io, e.userId);
+    room.players.set(e.userId, newPlayerState(e.name, false, e.avatar_url, e.socket.id));
+    room.playerOrder.push(e.userId);
+    rm.seat(e.socket, room, e.userId);
+  }
+  startGame(room);
+  broadcastRoomState(io, room);
+  startTurn(io, room, room.playerOrder[0]);
+  return room;
+}
+
 // ===== 등록 =====
 export function registerMakak(io, supabaseAdmin) {
+  registerQuickMatch("makak", {
+    modes: { "1v1": { players: 2, queue: "1v1", options: { mode: "1v1" } } },
+    createMatch: createQuickMatchRoom,
+    isPlaying: (userId) => rm.roomOf(userId)?.status === "playing",
+  });
   io.on("connection", (socket) => {
     const me = socket.user;
     if (!me) return;
@@ -473,29 +508,14 @@ export function registerMakak(io, supabaseAdmin) {
     socket.on("makak:createRoom", async (payload, cb) => {
       try {
         if (me.isGuest) return cb?.({ ok: false, error: "GUEST_CANNOT_CREATE" });
-        if (mkUserRoom.has(me.id)) {
-          const old = mkRooms.get(mkUserRoom.get(me.id));
-          if (old) leavePlayer(io, old, me.id);
-        }
+        rm.leaveCurrentRoom(io, me.id);
         const maxPlayers = ALLOWED_MAX_PLAYERS.includes(Number(payload?.maxPlayers))
           ? Number(payload.maxPlayers) : 8;
         const mode = ALLOWED_MODES.has(payload?.mode) ? payload.mode : "1v1";
         const turnTimeSec = ALLOWED_TURN_TIME_SEC.includes(Number(payload?.turnTimeSec))
           ? Number(payload.turnTimeSec) : 60;
-        const roomId = `mk_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
-        const inviteCode = genInviteCode();
-        const room = {
-          id: roomId, inviteCode, hostUserId: me.id,
-          status: "lobby", maxPlayers, mode, turnTimeSec,
-          currentTurnPlayerId: null,
-          walls: { horizontal: {}, vertical: {} },
-          teamWalls: {},
-          players: new Map(), playerOrder: [],
-          emptyRoomTimer: null, turnTimer: null,
-          createdAt: Date.now(),
-        };
-        mkRooms.set(roomId, room);
-        mkInvites.set(inviteCode, roomId);
+        const room = createMakakRoom(me.id, { maxPlayers, mode, turnTimeSec });
+        const { id: roomId, inviteCode } = room;
         let avatar = null, nick = payload?.nickname;
         try {
           const { data } = await supabaseAdmin.from("profiles").select("nickname, avatar_url").eq("id", me.id).single();
@@ -504,8 +524,7 @@ export function registerMakak(io, supabaseAdmin) {
         } catch {}
         room.players.set(me.id, newPlayerState(nick || "방장", false, avatar, socket.id));
         room.playerOrder.push(me.id);
-        mkUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
+        rm.seat(socket, room, me.id);
         cb?.({ ok: true, roomId, inviteCode, playerId: me.id, room: publicRoom(room) });
         broadcastRoomState(io, room);
       } catch (e) { console.error("[makak:createRoom]", e); cb?.({ ok: false, error: "INTERNAL" }); }
@@ -513,17 +532,12 @@ export function registerMakak(io, supabaseAdmin) {
 
     socket.on("makak:joinRoom", async (payload, cb) => {
       try {
-        const code = String(payload?.inviteCode || "").trim();
-        const roomId = mkInvites.get(code);
-        const room = roomId ? mkRooms.get(roomId) : null;
-        if (!room) return cb?.({ ok: false, error: "ROOM_NOT_FOUND" });
+        const room = rm.findByInvite(payload?.inviteCode);
+        if (!room) return cb?.(roomNotFoundReply(rm.prefix, payload?.inviteCode));
+        const roomId = room.id;
         if (room.status === "ended") return cb?.({ ok: false, error: "GAME_ENDED" });
         if (room.players.has(me.id)) {
-          const p = room.players.get(me.id);
-          p.connected = true; p.socketId = socket.id;
-          socket.join(socketRoomName(roomId));
-          mkUserRoom.set(me.id, roomId);
-          clearEmptyRoomTimer(room);
+          rm.reconnect(socket, room, me.id);
           cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room), rejoined: true });
           broadcastRoomState(io, room);
           return;
@@ -541,17 +555,14 @@ export function registerMakak(io, supabaseAdmin) {
         const playerName = nick || (me.isGuest ? "게스트" : "유저");
         room.players.set(me.id, newPlayerState(playerName, !!me.isGuest, avatar, socket.id));
         room.playerOrder.push(me.id);
-        mkUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
-        clearEmptyRoomTimer(room);
+        rm.seat(socket, room, me.id);
         cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room) });
         broadcastRoomState(io, room);
       } catch (e) { console.error("[makak:joinRoom]", e); cb?.({ ok: false, error: "INTERNAL" }); }
     });
 
     socket.on("makak:setOptions", (payload, cb) => {
-      const roomId = mkUserRoom.get(me.id);
-      const room = roomId ? mkRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
@@ -575,8 +586,7 @@ export function registerMakak(io, supabaseAdmin) {
     });
 
     socket.on("makak:startGame", (_payload, cb) => {
-      const roomId = mkUserRoom.get(me.id);
-      const room = roomId ? mkRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status === "playing") return cb?.({ ok: false, error: "ALREADY_PLAYING" });
@@ -591,8 +601,7 @@ export function registerMakak(io, supabaseAdmin) {
     });
 
     socket.on("makak:move", (payload, cb) => {
-      const roomId = mkUserRoom.get(me.id);
-      const room = roomId ? mkRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
       if (room.currentTurnPlayerId !== me.id) return cb?.({ ok: false, error: "NOT_YOUR_TURN" });
       const p = room.players.get(me.id);
@@ -611,8 +620,7 @@ export function registerMakak(io, supabaseAdmin) {
     });
 
     socket.on("makak:placeWall", (payload, cb) => {
-      const roomId = mkUserRoom.get(me.id);
-      const room = roomId ? mkRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
       if (room.currentTurnPlayerId !== me.id) return cb?.({ ok: false, error: "NOT_YOUR_TURN" });
       const p = room.players.get(me.id);
@@ -640,63 +648,7 @@ export function registerMakak(io, supabaseAdmin) {
       cb?.({ ok: true });
     });
 
-    socket.on("makak:leaveRoom", (_payload, cb) => {
-      const roomId = mkUserRoom.get(me.id);
-      const room = roomId ? mkRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: true });
-      leavePlayer(io, room, me.id);
-      socket.leave(socketRoomName(room.id));
-      cb?.({ ok: true });
-    });
-
-    socket.on("makak:kickPlayer", (payload, cb) => {
-      const roomId = mkUserRoom.get(me.id);
-      const room = roomId ? mkRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
-      if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
-      const targetId = String(payload?.targetUserId || "");
-      if (!targetId || targetId === me.id) return cb?.({ ok: false, error: "INVALID_TARGET" });
-      if (!room.players.has(targetId)) return cb?.({ ok: false, error: "TARGET_NOT_IN_ROOM" });
-      const target = room.players.get(targetId);
-      if (target?.socketId) io.to(target.socketId).emit("makak:kicked", { reason: "KICKED_BY_HOST" });
-      leavePlayer(io, room, targetId);
-      cb?.({ ok: true });
-    });
-
-    socket.on("disconnect", () => {
-      const roomId = mkUserRoom.get(me.id);
-      const room = roomId ? mkRooms.get(roomId) : null;
-      if (!room) return;
-      const p = room.players.get(me.id);
-      if (!p || p.socketId !== socket.id) return;
-      p.connected = false;
-      if (room.status === "lobby") leavePlayer(io, room, me.id);
-      else {
-        io.to(socketRoomName(room.id)).emit("makak:peerDisconnect", { playerId: me.id });
-        maybeScheduleEmptyRoomDelete(io, room);
-        // 30초 후 재접속 안 했으면 alive=false 처리 — 본인 차례면 자동 턴 패스
-        const expectedRoomId = roomId;
-        setTimeout(() => {
-          const r = mkRooms.get(expectedRoomId);
-          if (!r || r.status !== "playing") return;
-          const pp = r.players.get(me.id);
-          if (!pp || pp.connected) return;
-          pp.alive = false;
-          io.to(socketRoomName(r.id)).emit("makak:peerEliminated", { playerId: me.id, nickname: pp.name, reason: "DISCONNECT_TIMEOUT" });
-          // 끊긴 사람이 현재 턴이면 다음으로 진행
-          if (r.currentTurnPlayerId === me.id) {
-            advanceTurn(io, r);
-          } else {
-            // 살아있는 사람 1명 이하이면 즉시 종료
-            const aliveCount = [...r.players.values()].filter(x => x.alive).length;
-            if (aliveCount <= 1) {
-              const winner = [...r.players.entries()].find(([, x]) => x.alive)?.[0] || null;
-              finishGame(io, r, winner ? "LAST_STANDING" : "NO_ALIVE", winner);
-            }
-          }
-        }, 30_000);
-      }
-    });
+    // ----- 퇴장/강퇴/상태 재요청/연결 해제 — 공용 매니저 -----
+    rm.attach(io, socket);
   });
 }
@@ -0,0 +1,204 @@
+// =========================
+// DUO GAME ZONE — 빠른 대전 (매치메이킹 큐)
+// 초대코드 방(createRoom/joinRoom) 대신 "게임 + 모드" 큐에 들어가면 비슷한 레이팅끼리 자동 매칭.
+//
+// 게임 모듈 등록 (register* 안에서 1회):
+//   registerQuickMatch("omok", {
+//     modes: { "1v1-19": { players: 2, queue: "1v1", options: { mode: "1v1", boardSize: 19 } } },
+//     createMatch: (io, entries, options) => room,   // 기존 방 생성 로직으로 방 만들고 전원 착석 + 게임 시작
+//     isPlaying: (userId) => boolean,                // 진행 중인 판이 있으면 큐 진입 거부
+//   });
+//
+// 매칭 규칙:
+//   - 가장 오래 기다린 사람 기준으로, 레이팅 차이가 밴드 안인 사람 중 가까운 순으로 인원 채움
+//   - 밴드 = BASE_BAND + 대기 초 × BAND_GROWTH_PER_SEC (두 사람 중 넓은 쪽), MAX_BAND 초과 대기면 무제한
+//   - 레이팅은 ratings.js 큐 레이팅 (기록 없으면 1500)
+//
+// 소켓 이벤트:
+//   mm:join { game, mode, nickname? }  → cb { ok, game, mode, rating, waiting }
+//   mm:leave                          → cb { ok }
+//   mm:matchFound { game, mode, roomId, inviteCode, playerId } (매칭된 각 소켓에게)
+//   mm:cancelled { game, mode, reason }  큐에서 빠짐 — IN_GAME (이 게임 판 진행 중) / SEATED (다른 방에 앉음)
+//
+// 대기 중 다른 판에 들어간 유저를 매칭으로 끌어내지 않도록:
+//   tick 마다 isPlaying 다시 확인 → 진행 중이면 큐에서 제거 (createMatch 전)
+//   방에 앉을 때 (room-manager seat / index.js room:create·join) leaveQueueOnSeat → 큐에서 제거
+//
+// 큐는 노드 로컬 (클러스터 간 공유 안 함) — 같은 노드 접속자끼리만 매칭
+// 로그인 유저 전용 (게스트는 방 생성 불가 규칙과 동일)
+// =========================
+
+import { fetchQueueRating } from "./ratings.js";
+
+const TICK_MS = 1000;
+const BASE_BAND = 100;
+const BAND_GROWTH_PER_SEC = 10;
+const MAX_BAND = 600;
+const MAX_NICK_LEN = 20;
+
+const games = new Map();       // game → { modes, createMatch, isPlaying }
+const queues = new Map();      // `${game}:${mode}` → entry[] (대기 시작 순)
+const queuedUser = new Map();  // userId → entry
+
+let tickTimer = null;
+let ioRef = null;
+
+/** 게임 모듈이 빠른 대전 지원을 등록 */
+export function registerQuickMatch(game, def) {
+  games.set(game, def);
+}
+
+function queueKey(game, mode) { return `${game}:${mode}`; }
+
+function bandOf(entry, now) {
+  const band = BASE_BAND + ((now - entry.joinedAt) / 1000) * BAND_GROWTH_PER_SEC;
+  return band > MAX_BAND ? Infinity : band;
+}
+
+function compatible(a, b, now) {
+  return Math.abs(a.rating - b.rating) <= Math.max(bandOf(a, now), bandOf(b, now));
+}
+
+function dequeue(userId) {
+  const entry = queuedUser.get(userId);
+  if (!entry) return null;
+  queuedUser.delete(userId);
+  const list = queues.get(queueKey(entry.game, entry.mode));
+  if (list) {
+    const i = list.indexOf(entry);
+    if (i >= 0) list.splice(i, 1);
+  }
+  return entry;
+}
+
+// 가장 오래 기다린 사람부터 그룹 구성 — 그룹 전원이 서로 밴드 안이어야 함
+function pickGroup(list, size, now) {
+  for (const anchor of list) {
+    const group = [anchor];
+    const others = list
+      .filter(e => e !== anchor && compatible(anchor, e, now))
+      .sort((a, b) => Math.abs(a.rating - anchor.rating) - Math.abs(b.rating - anchor.rating));
+    for (const e of others) {
+      if (group.every(g => compatible(g, e, now))) group.push(e);
+      if (group.length === size) return group;
+    }
+  }
+  return null;
+}
+
+/** 다른 방에 앉은 유저는 큐에서 뺌 — room-manager seat / index.js 방 입장에서 호출 */
+export function leaveQueueOnSeat(userId) {
+  const entry = dequeue(userId);
+  if (entry) ioRef?.sockets.sockets.get(entry.socketId)?.emit("mm:cancelled", { game: entry.game, mode: entry.mode, reason: "SEATED" });
+}
+
+function tick(io) {
+  const now = Date.now();
+  for (const [key, list] of queues.entries()) {
+    const [game, mode] = key.split(":");
+    const def = games.get(game);
+    // 끊긴 소켓 정리 (disconnect 누락 대비) + 대기 중 이 게임 판을 시작한 유저 제거
+    for (const e of [...list]) {
+      const socket = io.sockets.sockets.get(e.socketId);
+      if (!socket) dequeue(e.userId);
+      else if (def?.isPlaying?.(e.userId)) {
+        dequeue(e.userId);
+        socket.emit("mm:cancelled", { game, mode, reason: "IN_GAME" });
+      }
+    }
+    const modeDef = def?.modes[mode];
+    if (!modeDef) continue;
+
+    let group;
+    while (list.length >= modeDef.players && (group = pickGroup(list, modeDef.players, now))) {
+      for (const e of group) dequeue(e.userId);
+      const entries = group.map(e => ({ ...e, socket: io.sockets.sockets.get(e.socketId) }));
+      let room = null;
+      try {
+        room = def.createMatch(io, entries, modeDef.options || {});
+      } catch (err) {
+        console.error(`[mm] createMatch ${key}`, err);
+      }
+      if (!room) {
+        // 방 생성 실패 — 원래 대기 시간 유지한 채 큐 복귀
+        for (const e of group) {
+          queuedUser.set(e.userId, e);
+          list.push(e);
+        }
+        list.sort((a, b) => a.joinedAt - b.joinedAt);
+        break;
+      }
+      for (const e of entries) {
+        e.socket?.emit("mm:matchFound", {
+          game, mode, roomId: room.id, inviteCode: room.inviteCode, playerId: e.userId,
+        });
+      }
+      console.log(`[mm] matched ${key} room=${room.id} ratings=${group.map(e => Math.round(e.rating)).join(",")}`);
+    }
+  }
+}
+
+export function registerMatchmaking(io, supabaseAdmin) {
+  ioRef = io;
+  if (!tickTimer) {
+    tickTimer = setInterval(() => tick(io), TICK_MS);
+    tickTimer.unref?.();
+  }
+
+  io.on("connection", (socket) => {
+    const me = socket.user;
+    if (!me) return;
+
+    socket.on("mm:join", async (payload, cb) => {
+      try {
+        if (me.isGuest) return cb?.({ ok: false, error: "GUEST_CANNOT_QUEUE" });
+        const game = String(payload?.game || "");
+        const mode = String(payload?.mode || "");
+        const def = games.get(game);
+        if (!def) return cb?.({ ok: false, error: "INVALID_GAME" });
+        const modeDef = def.modes[mode];
+        if (!modeDef) return cb?.({ ok: false, error: "INVALID_MODE", modes: Object.keys(def.modes) });
+        if (def.isPlaying?.(me.id)) return cb?.({ ok: false, error: "IN_GAME" });
+
+        dequeue(me.id);  // 다른 큐에 있었으면 이동
+        const entry = {
+          userId: me.id, socketId: socket.id, game, mode,
+          name: null, avatar_url: null, rating: 1500, joinedAt: Date.now(),
+        };
+        queuedUser.set(me.id, entry);
+
+        let nick = payload?.nickname;
+        const [rating] = await Promise.all([
+          fetchQueueRating(game, modeDef.queue, me.id),
+          supabaseAdmin.from("profiles").select("nickname, avatar_url").eq("id", me.id).single()
+            .then(({ data }) => {
+              if (data?.avatar_url) entry.avatar_url = data.avatar_url;
+              if (!nick && data?.nickname) nick = data.nickname;
+            }, () => {}),
+        ]);
+        // 조회 중 leave/다른 큐 join 했으면 무시
+        if (queuedUser.get(me.id) !== entry) return cb?.({ ok: false, error: "CANCELLED" });
+        entry.rating = rating;
+        entry.name = String(nick || "유저").slice(0, MAX_NICK_LEN);
+
+        const key = queueKey(game, mode);
+        if (!queues.has(key)) queues.set(key, []);
+        queues.get(key).push(entry);
+        cb?.({ ok: true, game, mode, rating: Math.round(rating), waiting: queues.get(key).length });
+      } catch (e) {
+        console.error("[mm:join]", e);
+        dequeue(me.id);
+        cb?.({ ok: false, error: "INTERNAL" });
+      }
+    });
+
+    socket.on("mm:leave", (_payload, cb) => {
+      dequeue(me.id);
+      cb?.({ ok: true });
+    });
+
+    socket.on("disconnect", () => {
+      if (queuedUser.get(me.id)?.socketId === socket.id) dequeue(me.id);
+    });
+  });
+}
@@ -6,15 +6,71 @@
 // 이벤트 prefix: 'memory:*', socket room name: `memory:${roomId}`
 // =========================
 
-const memoryRooms = new Map();
-const memoryInvites = new Map();
-const memoryUserRoom = new Map();
+import { createRoomManager } from "./room-manager.js";
+import { roomNotFoundReply } from "./cluster.js";
+
+// 방 수명주기 (초대코드/빈 방 TTL/퇴장/강퇴/재요청) — 공용 매니저
+// 진행 중 퇴장은 결과 화면용으로 자리 유지 (status=left)
+const rm = createRoomManager({
+  prefix: "memory",
+  publicRoom,
+  clearTimers: (room) => { clearTurnTimer(room); clearWrongRevealTimer(room); },
+  keepSeatWhilePlaying: true,
+  beforeLeave: (io, room, userId, p) => {
+    if (p && room.status === "playing") {
+      p.status = "left";
+      p.connected = false;
+    }
+    return { wasCurrent: room.currentTurnId === userId };
+  },
+  afterLeave: (io, room, userId, ctx) => {
+    if (getActivePlayers(room).length === 0) {
+      rm.deleteRoom(io, room, "ALL_LEFT");
+      return true;
+    }
+    // 게임 중 + 떠난 사람이 현재 차례 → 다음 차례
+    if (room.status === "playing" && ctx.wasCurrent) nextTurn(io, room);
+  },
+  onDisconnect: (io, room, userId) => {
+    io.to(socketRoomName(room.id)).emit("memory:peerUpdate", { playerId: userId, connected: false });
+    // 무제한 시간 + 차례인 사람 끊김 → 15초 후 차례 강제 넘김 (게임 멈춤 방지)
+    if (room.currentTurnId === userId && room.turnTimeSec === 0) {
+      setTimeout(() => {
+        const r = rm.rooms.get(room.id);
+        if (!r || r.status !== "playing") return;
+        const stillDisc = !r.players.get(userId)?.connected && r.currentTurnId === userId;
+        if (stillDisc) {
+          // 뒤집어진 카드 unflip
+          const ids = [];
+          if (r.firstFlipped != null) {
+            const c = r.cards[r.firstFlipped];
+            if (c && !c.matched) { c.flipped = false; ids.push(c.id); }
+          }
+          if (r.secondFlipped != null) {
+            const c = r.cards[r.secondFlipped];
+            if (c && !c.matched) { c.flipped = false; ids.push(c.id); }
+          }
+          if (ids.length > 0) {
+            io.to(socketRoomName(r.id)).emit("memory:cardsUnflipped", { cardIds: ids });
+          }
+          io.to(socketRoomName(r.id)).emit("memory:turnTimeout", { playerId: userId });
+          nextTurn(io, r);
+        }
+      }, 15000);
+    }
+  },
+  // 재접속 시 현재 카드 상태도 같이
+  statePayload: (room) => ({
+    room: publicRoom(room),
+    cards: room.cards.map(c => ({ id: c.id, pairId: c.pairId, value: c.value, flipped: c.flipped, matched: c.matched })),
+  }),
+});
+const { socketRoomName, broadcastRoomState } = rm;
 
 const ALLOWED_MAX_PLAYERS = [2, 4, 6, 8];
 const ALLOWED_DIFFICULTIES = [4, 6, 8];
 const ALLOWED_THEMES = ["animal", "food", "face", "nature"];
 const ALLOWED_TURN_TIME = [10, 30, 60, 0]; // 0 = 무제한
-const EMPTY_ROOM_TTL_MS = 30_000;
 const WRONG_REVEAL_MS = 1200; // 매칭 실패 카드 보여주는 시간
 const MAX_NICK_LEN = 14;
 
@@ -27,17 +83,6 @@ const THEMES = {
 };
 
 // ===== util =====
-function genInviteCode() {
-  for (let i = 0; i < 50; i++) {
-    const c = String(Math.floor(Math.random() * 1_000_000)).padStart(6, "0");
-    if (!memoryInvites.has(c)) return c;
-  }
-  return String(Math.floor(Math.random() * 10_000_000)).padStart(7, "0");
-}
-function socketRoomName(roomId) { return `memory:${roomId}`; }
-function clearEmptyRoomTimer(room) {
-  if (room?.emptyRoomTimer) { clearTimeout(room.emptyRoomTimer); room.emptyRoomTimer = null; }
-}
 function clearTurnTimer(room) {
   if (room?.turnTimer) { clearTimeout(room.turnTimer); room.turnTimer = null; }
 }
@@ -132,36 +177,6 @@ function publicRoom(room) {
   };
 }
 
-function broadcastRoomState(io, room) {
-  io.to(socketRoomName(room.id)).emit("memory:roomState", publicRoom(room));
-}
-
-function deleteRoom(io, room, reason) {
-  clearEmptyRoomTimer(room);
-  clearTurnTimer(room);
-  clearWrongRevealTimer(room);
-  memoryRooms.delete(room.id);
-  memoryInvites.delete(room.inviteCode);
-  for (const uid of room.playerOrder) {
-    if (memoryUserRoom.get(uid) === room.id) memoryUserRoom.delete(uid);
-  }
-  io.to(socketRoomName(room.id)).emit("memory:roomClosed", { reason });
-  io.in(socketRoomName(room.id)).socketsLeave(socketRoomName(room.id));
-  console.log(`[memory] room ${room.id} deleted: ${reason}`);
-}
-
-function maybeScheduleEmptyRoomDelete(io, room) {
-  const connected = [...room.players.values()].filter(p => p.connected).length;
-  if (connected === 0 && !room.emptyRoomTimer) {
-    room.emptyRoomTimer = setTimeout(() => {
-      const r = memoryRooms.get(room.id);
-      if (!r) return;
-      const stillEmpty = [...r.players.values()].every(p => !p.connected);
-      if (stillEmpty) deleteRoom(io, r, "EMPTY");
-    }, EMPTY_ROOM_TTL_MS);
-  }
-}
-
 function getActivePlayers(room) {
   return room.playerOrder.filter(uid => {
     const p = room.players.get(uid);
@@ -195,7 +210,7 @@ function startTurn(io, room) {
   if (room.turnTimeSec > 0) {
     room.turnDeadline = Date.now() + room.turnTimeSec * 1000;
     room.turnTimer = setTimeout(() => {
-      const r = memoryRooms.get(room.id);
+      const r = rm.rooms.get(room.id);
       if (!r || r.status !== "playing") return;
       // 타임아웃: 뒤집은 카드 있으면 다시 뒤집기 + 다음 차례
       const cardsToUnflip = [];
@@ -245,41 +260,6 @@ function finishGame(io, room, reason) {
   console.log(`[memory] room ${room.id} game ended: ${reason}`);
 }
 
-function leavePlayer(io, room, userId) {
-  if (!room.players.has(userId)) return;
-  const wasHost = room.hostUserId === userId;
-  const wasCurrent = room.currentTurnId === userId;
-  const p = room.players.get(userId);
-  if (p && room.status === "playing") {
-    p.status = "left";
-    p.connected = false;
-  }
-  if (room.status !== "playing") {
-    room.players.delete(userId);
-  }
-  const idx = room.playerOrder.indexOf(userId);
-  if (idx >= 0 && room.status !== "playing") room.playerOrder.splice(idx, 1);
-  if (memoryUserRoom.get(userId) === room.id) memoryUserRoom.delete(userId);
-  if (wasHost && room.playerOrder.length > 0) {
-    // 다음 active player를 새 호스트로
-    const active = getActivePlayers(room);
-    room.hostUserId = active[0] || room.playerOrder[0];
-  }
-  io.to(socketRoomName(room.id)).emit("memory:peerLeave", { playerId: userId });
-
-  if (room.playerOrder.length === 0 || getActivePlayers(room).length === 0) {
-    deleteRoom(io, room, "ALL_LEFT");
-    return;
-  }
-
-  // 게임 중 + 떠난 사람이 현재 차례 → 다음 차례
-  if (room.status === "playing" && wasCurrent) {
-    nextTurn(io, room);
-  }
-
-  broadcastRoomState(io, room);
-}
-
 // =========================
 // 등록
 // =========================
@@ -291,10 +271,7 @@ export function registerMemoryMulti(io, supabaseAdmin) {
     socket.on("memory:createRoom", async (payload, cb) => {
       try {
         if (me.isGuest) return cb?.({ ok: false, error: "GUEST_CANNOT_CREATE" });
-        if (memoryUserRoom.has(me.id)) {
-          const old = memoryRooms.get(memoryUserRoom.get(me.id));
-          if (old) leavePlayer(io, old, me.id);
-        }
+        rm.leaveCurrentRoom(io, me.id);
         const maxPlayers = ALLOWED_MAX_PLAYERS.includes(Number(payload?.maxPlayers))
           ? Number(payload.maxPlayers) : 4;
         const difficulty = ALLOWED_DIFFICULTIES.includes(Number(payload?.difficulty))
@@ -303,8 +280,8 @@ export function registerMemoryMulti(io, supabaseAdmin) {
         const turnTimeSec = ALLOWED_TURN_TIME.includes(Number(payload?.turnTimeSec))
           ? Number(payload.turnTimeSec) : 30;
 
-        const roomId = `mm_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
-        const inviteCode = genInviteCode();
+        const roomId = rm.newRoomId("mm");
+        const inviteCode = rm.genInviteCode();
         const room = {
           id: roomId, inviteCode, hostUserId: me.id,
           status: "lobby", maxPlayers, difficulty, theme, turnTimeSec,
@@ -315,8 +292,7 @@ export function registerMemoryMulti(io, supabaseAdmin) {
           players: new Map(), playerOrder: [],
           emptyRoomTimer: null, turnTimer: null, wrongRevealTimer: null,
         };
-        memoryRooms.set(roomId, room);
-        memoryInvites.set(inviteCode, roomId);
+        rm.addRoom(room);
 
         let avatar = null, nick = payload?.nickname;
         try {
@@ -326,8 +302,7 @@ export function registerMemoryMulti(io, supabaseAdmin) {
         } catch {}
         room.players.set(me.id, newPlayerState(nick || "방장", false, avatar, socket.id));
         room.playerOrder.push(me.id);
-        memoryUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode, playerId: me.id, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -340,18 +315,13 @@ export function registerMemoryMulti(io, supabaseAdmin) {
 
     socket.on("memory:joinRoom", async (payload, cb) => {
       try {
-        const code = String(payload?.inviteCode || "").trim();
-        const roomId = memoryInvites.get(code);
-        const room = roomId ? memoryRooms.get(roomId) : null;
-        if (!room) return cb?.({ ok: false, error: "ROOM_NOT_FOUND" });
+        const room = rm.findByInvite(payload?.inviteCode);
+        if (!room) return cb?.(roomNotFoundReply(rm.prefix, payload?.inviteCode));
+        const roomId = room.id;
         if (room.status === "ended") return cb?.({ ok: false, error: "GAME_ENDED" });
 
         if (room.players.has(me.id)) {
-          const p = room.players.get(me.id);
-          p.connected = true; p.socketId = socket.id;
-          socket.join(socketRoomName(roomId));
-          memoryUserRoom.set(me.id, roomId);
-          clearEmptyRoomTimer(room);
+          rm.reconnect(socket, room, me.id);
           cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room), rejoined: true });
           broadcastRoomState(io, room);
           return;
@@ -370,9 +340,7 @@ export function registerMemoryMulti(io, supabaseAdmin) {
         const playerName = nick || (me.isGuest ? "게스트" : "유저");
         room.players.set(me.id, newPlayerState(playerName, !!me.isGuest, avatar, socket.id));
         room.playerOrder.push(me.id);
-        memoryUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
-        clearEmptyRoomTimer(room);
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -383,8 +351,7 @@ export function registerMemoryMulti(io, supabaseAdmin) {
     });
 
     socket.on("memory:setMaxPlayers", (payload, cb) => {
-      const roomId = memoryUserRoom.get(me.id);
-      const room = roomId ? memoryRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
@@ -397,8 +364,7 @@ export function registerMemoryMulti(io, supabaseAdmin) {
     });
 
     socket.on("memory:setRoomOptions", (payload, cb) => {
-      const roomId = memoryUserRoom.get(me.id);
-      const room = roomId ? memoryRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
@@ -418,8 +384,7 @@ export function registerMemoryMulti(io, supabaseAdmin) {
     });
 
     socket.on("memory:startGame", (_payload, cb) => {
-      const roomId = memoryUserRoom.get(me.id);
-      const room = roomId ? memoryRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status === "playing") return cb?.({ ok: false, error: "ALREADY_PLAYING" });
@@ -469,8 +434,7 @@ export function registerMemoryMulti(io, supabaseAdmin) {
 
     // 카드 뒤집기
     socket.on("memory:flipCard", (payload, cb) => {
-      const roomId = memoryUserRoom.get(me.id);
-      const room = roomId ? memoryRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
       if (room.currentTurnId !== me.id) return cb?.({ ok: false, error: "NOT_YOUR_TURN" });
       if (room.actionLocked) return cb?.({ ok: false, error: "LOCKED" });
@@ -552,7 +516,7 @@ export function registerMemoryMulti(io, supabaseAdmin) {
 
         // 일정 시간 동안 카드 보여줬다가 → 다시 뒤집기 + 다음 차례
         room.wrongRevealTimer = setTimeout(() => {
-          const r = memoryRooms.get(room.id);
+          const r = rm.rooms.get(room.id);
           if (!r || r.status !== "playing") return;
           // unflip
           const ids = [];
@@ -574,81 +538,7 @@ export function registerMemoryMulti(io, supabaseAdmin) {
       }
     });
 
-    socket.on("memory:leaveRoom", (_payload, cb) => {
-      const roomId = memoryUserRoom.get(me.id);
-      const room = roomId ? memoryRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: true });
-      leavePlayer(io, room, me.id);
-      socket.leave(socketRoomName(room.id));
-      cb?.({ ok: true });
-    });
-
-    socket.on("memory:kickPlayer", (payload, cb) => {
-      const roomId = memoryUserRoom.get(me.id);
-      const room = roomId ? memoryRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
-      if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
-      const targetId = String(payload?.targetUserId || "");
-      if (!targetId || targetId === me.id) return cb?.({ ok: false, error: "INVALID_TARGET" });
-      if (!room.players.has(targetId)) return cb?.({ ok: false, error: "TARGET_NOT_IN_ROOM" });
-      const target = room.players.get(targetId);
-      if (target?.socketId) io.to(target.socketId).emit("memory:kicked", { reason: "KICKED_BY_HOST" });
-      leavePlayer(io, room, targetId);
-      cb?.({ ok: true });
-    });
-
-    socket.on("memory:requestState", (_payload, cb) => {
-      const roomId = memoryUserRoom.get(me.id);
-      const room = roomId ? memoryRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      // 재접속 시 현재 카드 상태도 같이
-      cb?.({
-        ok: true,
-        room: publicRoom(room),
-        cards: room.cards.map(c => ({ id: c.id, pairId: c.pairId, value: c.value, flipped: c.flipped, matched: c.matched })),
-      });
-    });
-
-    socket.on("disconnect", () => {
-      const roomId = memoryUserRoom.get(me.id);
-      const room = roomId ? memoryRooms.get(roomId) : null;
-      if (!room) return;
-      const p = room.players.get(me.id);
-      if (!p) return;
-      if (p.socketId !== socket.id) return;
-      p.connected = false;
-      if (room.status === "lobby") {
-        leavePlayer(io, room, me.id);
-      } else {
-        io.to(socketRoomName(room.id)).emit("memory:peerUpdate", { playerId: me.id, connected: false });
-        // 무제한 시간 + 차례인 사람 끊김 → 15초 후 차례 강제 넘김 (게임 멈춤 방지)
-        if (room.currentTurnId === me.id && room.turnTimeSec === 0) {
-          setTimeout(() => {
-            const r = memoryRooms.get(room.id);
-            if (!r || r.status !== "playing") return;
-            const stillDisc = !r.players.get(me.id)?.connected && r.currentTurnId === me.id;
-            if (stillDisc) {
-              // 뒤집어진 카드 unflip
-              const ids = [];
-              if (r.firstFlipped != null) {
-                const c = r.cards[r.firstFlipped];
-                if (c && !c.matched) { c.flipped = false; ids.push(c.id); }
-              }
-              if (r.secondFlipped != null) {
-                const c = r.cards[r.secondFlipped];
-                if (c && !c.matched) { c.flipped = false; ids.push(c.id); }
-              }
-              if (ids.length > 0) {
-                io.to(socketRoomName(r.id)).emit("memory:cardsUnflipped", { cardIds: ids });
-              }
-              io.to(socketRoomName(r.id)).emit("memory:turnTimeout", { playerId: me.id });
-              nextTurn(io, r);
-            }
-          }, 15000);
-        }
-        maybeScheduleEmptyRoomDelete(io, room);
-      }
-    });
+    // ----- 퇴장/강퇴/상태 재요청/연결 해제 — 공용 매니저 -----
+    rm.attach(io, socket);
   });
 }
@@ -7,35 +7,34 @@
 //   - 'merge:*' 이벤트 prefix, socket room name = `merge:${roomId}`
 // =========================
 
-const mergeRooms = new Map();      // roomId → room
-const mergeInvites = new Map();    // inviteCode → roomId
-const mergeUserRoom = new Map();   // userId → roomId
+import { createRoomManager } from "./room-manager.js";
+import { roomNotFoundReply } from "./cluster.js";
+
+// 방 수명주기 (초대코드/빈 방 TTL/퇴장/강퇴/재요청) — 공용 매니저
+const rm = createRoomManager({
+  prefix: "merge",
+  publicRoom,
+  clearTimers: clearGameTimer,
+  afterLeave: (io, room) => {
+    // 게임 진행 중에 모두 alive=false면 게임 종료
+    if (room.status === "playing") {
+      const anyAlive = [...room.players.values()].some(p => p.alive);
+      if (!anyAlive) finishGame(io, room, "ALL_DEAD");
+    }
+  },
+});
+const { socketRoomName, broadcastRoomState } = rm;
 
 const ALLOWED_MAX_PLAYERS = [2, 4, 6, 8];
 const ALLOWED_TIME_LIMIT_SEC = [0, 180, 300, 600]; // 0 = 무제한, 3/5/10분
 const ALLOWED_INTERFERENCE_TYPES = new Set(["shake", "random_next", "deadline_down", "oil", "cloud"]);
 const DEBUFF_TARGET_COOLDOWN_MS = 5000; // 같은 대상에게 연속 방해 방지
-const EMPTY_ROOM_TTL_MS = 30_000;
 const PEER_UPDATE_THROTTLE_MS = 900;
 const SNAPSHOT_THROTTLE_MS = 1200;
 const INTERFERENCE_THROTTLE_MS = 1500;  // 동일 보낸 사람 방해 연속 발사 방지
 const MAX_NICK_LEN = 14;
 
 // ===== util =====
-function genInviteCode() {
-  for (let i = 0; i < 50; i++) {
-    const c = String(Math.floor(Math.random() * 1_000_000)).padStart(6, "0");
-    if (!mergeInvites.has(c)) return c;
-  }
-  return String(Math.floor(Math.random() * 10_000_000)).padStart(7, "0");
-}
-function socketRoomName(roomId) { return `merge:${roomId}`; }
-function clearEmptyRoomTimer(room) {
-  if (room?.emptyRoomTimer) {
-    clearTimeout(room.emptyRoomTimer);
-    room.emptyRoomTimer = null;
-  }
-}
 function safeNumber(v, dflt = 0) {
   const n = Number(v);
   return Number.isFinite(n) ? n : dflt;
@@ -101,10 +100,6 @@ function publicRoom(room) {
   };
 }
 
-function broadcastRoomState(io, room) {
-  io.to(socketRoomName(room.id)).emit("merge:roomState", publicRoom(room));
-}
-
 function clearGameTimer(room) {
   if (room?.gameTimer) {
     clearTimeout(room.gameTimer);
@@ -112,60 +107,6 @@ function clearGameTimer(room) {
   }
 }
 
-function deleteRoom(io, room, reason) {
-  clearEmptyRoomTimer(room);
-  clearGameTimer(room);
-  mergeRooms.delete(room.id);
-  mergeInvites.delete(room.inviteCode);
-  for (const uid of room.playerOrder) {
-    if (mergeUserRoom.get(uid) === room.id) mergeUserRoom.delete(uid);
-  }
-  io.to(socketRoomName(room.id)).emit("merge:roomClosed", { reason });
-  io.in(socketRoomName(room.id)).socketsLeave(socketRoomName(room.id));
-  console.log(`[merge] room ${room.id} deleted: ${reason}`);
-}
-
-function maybeScheduleEmptyRoomDelete(io, room) {
-  const connected = [...room.players.values()].filter(p => p.connected).length;
-  if (connected === 0 && !room.emptyRoomTimer) {
-    room.emptyRoomTimer = setTimeout(() => {
-      const r = mergeRooms.get(room.id);
-      if (!r) return;
-      const stillEmpty = [...r.players.values()].every(p => !p.connected);
-      if (stillEmpty) deleteRoom(io, r, "EMPTY");
-    }, EMPTY_ROOM_TTL_MS);
-  }
-}
-
-function leavePlayer(io, room, userId) {
-  if (!room.players.has(userId)) return;
-  const wasHost = room.hostUserId === userId;
-  room.players.delete(userId);
-  const idx = room.playerOrder.indexOf(userId);
-  if (idx >= 0) room.playerOrder.splice(idx, 1);
-  if (mergeUserRoom.get(userId) === room.id) mergeUserRoom.delete(userId);
-
-  // 호스트 이전
-  if (wasHost && room.playerOrder.length > 0) {
-    room.hostUserId = room.playerOrder[0];
-  }
-
-  io.to(socketRoomName(room.id)).emit("merge:peerLeave", { playerId: userId });
-
-  if (room.playerOrder.length === 0) {
-    deleteRoom(io, room, "ALL_LEFT");
-    return;
-  }
-
-  // 게임 진행 중에 모두 alive=false면 게임 종료
-  if (room.status === "playing") {
-    const anyAlive = [...room.players.values()].some(p => p.alive);
-    if (!anyAlive) finishGame(io, room, "ALL_DEAD");
-  }
-
-  broadcastRoomState(io, room);
-}
-
 function finishGame(io, room, reason) {
   if (room.status === "ended") return;
   room.status = "ended";
@@ -206,10 +147,7 @@ export function registerMerge(io, supabaseAdmin) {
         if (me.isGuest) return cb?.({ ok: false, error: "GUEST_CANNOT_CREATE" });
 
         // 기존 방 정리
-        if (mergeUserRoom.has(me.id)) {
-          const old = mergeRooms.get(mergeUserRoom.get(me.id));
-          if (old) leavePlayer(io, old, me.id);
-        }
+        rm.leaveCurrentRoom(io, me.id);
 
         const maxPlayers = ALLOWED_MAX_PLAYERS.includes(Number(payload?.maxPlayers))
           ? Number(payload.maxPlayers) : 8;
@@ -223,8 +161,8 @@ export function registerMerge(io, supabaseAdmin) {
           ? requestedTL
           : (interferenceMode ? 180 : 300);
 
-        const roomId = `mg_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
-        const inviteCode = genInviteCode();
+        const roomId = rm.newRoomId("mg");
+        const inviteCode = rm.genInviteCode();
 
         const room = {
           id: roomId,
@@ -242,8 +180,7 @@ export function registerMerge(io, supabaseAdmin) {
           emptyRoomTimer: null,
           gameTimer: null,
         };
-        mergeRooms.set(roomId, room);
-        mergeInvites.set(inviteCode, roomId);
+        rm.addRoom(room);
 
         // 호스트 프로필 가져오기
         let avatar = null;
@@ -256,8 +193,7 @@ export function registerMerge(io, supabaseAdmin) {
 
         room.players.set(me.id, newPlayerState(nick || "방장", false, avatar, socket.id));
         room.playerOrder.push(me.id);
-        mergeUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode, playerId: me.id, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -271,20 +207,14 @@ export function registerMerge(io, supabaseAdmin) {
     // ----- 입장 -----
     socket.on("merge:joinRoom", async (payload, cb) => {
       try {
-        const code = String(payload?.inviteCode || "").trim();
-        const roomId = mergeInvites.get(code);
-        const room = roomId ? mergeRooms.get(roomId) : null;
-        if (!room) return cb?.({ ok: false, error: "ROOM_NOT_FOUND" });
+        const room = rm.findByInvite(payload?.inviteCode);
+        if (!room) return cb?.(roomNotFoundReply(rm.prefix, payload?.inviteCode));
+        const roomId = room.id;
         if (room.status === "ended") return cb?.({ ok: false, error: "GAME_ENDED" });
 
         // 재접속
         if (room.players.has(me.id)) {
-          const p = room.players.get(me.id);
-          p.connected = true;
-          p.socketId = socket.id;
-          socket.join(socketRoomName(roomId));
-          mergeUserRoom.set(me.id, roomId);
-          clearEmptyRoomTimer(room);
+          rm.reconnect(socket, room, me.id);
           cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room), rejoined: true });
           broadcastRoomState(io, room);
           return;
@@ -307,9 +237,7 @@ export function registerMerge(io, supabaseAdmin) {
 
         room.players.set(me.id, newPlayerState(playerName, !!me.isGuest, avatar, socket.id));
         room.playerOrder.push(me.id);
-        mergeUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
-        clearEmptyRoomTimer(room);
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -321,8 +249,7 @@ export function registerMerge(io, supabaseAdmin) {
 
     // ----- 호스트 옵션 -----
     socket.on("merge:setMaxPlayers", (payload, cb) => {
-      const roomId = mergeUserRoom.get(me.id);
-      const room = roomId ? mergeRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
@@ -335,8 +262,7 @@ export function registerMerge(io, supabaseAdmin) {
     });
 
     socket.on("merge:setRoomOptions", (payload, cb) => {
-      const roomId = mergeUserRoom.get(me.id);
-      const room = roomId ? mergeRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
@@ -354,8 +280,7 @@ export function registerMerge(io, supabaseAdmin) {
 
     // ----- 게임 시작 -----
     socket.on("merge:startGame", (_payload, cb) => {
-      const roomId = mergeUserRoom.get(me.id);
-      const room = roomId ? mergeRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status === "playing") return cb?.({ ok: false, error: "ALREADY_PLAYING" });
@@ -391,7 +316,7 @@ export function registerMerge(io, supabaseAdmin) {
       clearGameTimer(room);
       if (room.timeLimitSec > 0) {
         room.gameTimer = setTimeout(() => {
-          const r = mergeRooms.get(room.id);
+          const r = rm.rooms.get(room.id);
           if (r && r.status === "playing") finishGame(io, r, "TIME_UP");
         }, room.timeLimitSec * 1000);
       }
@@ -402,8 +327,7 @@ export function registerMerge(io, supabaseAdmin) {
 
     // ----- 점수 업데이트 (1초 throttle) -----
     socket.on("merge:scoreUpdate", (payload) => {
-      const roomId = mergeUserRoom.get(me.id);
-      const room = roomId ? mergeRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return;
       const p = room.players.get(me.id);
       if (!p || !p.alive) return;
@@ -435,8 +359,7 @@ export function registerMerge(io, supabaseAdmin) {
 
     // ----- 스냅샷 (1.5초 throttle) -----
     socket.on("merge:snapshot", (payload) => {
-      const roomId = mergeUserRoom.get(me.id);
-      const room = roomId ? mergeRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return;
       const p = room.players.get(me.id);
       if (!p || !p.alive) return;
@@ -469,8 +392,7 @@ export function registerMerge(io, supabaseAdmin) {
     // ----- 방해 발사 -----
     // 타겟은 서버에서 결정 (자기 제외 alive 랜덤). 클라이언트 targetPlayerId는 무시.
     socket.on("merge:interference", (payload, cb) => {
-      const roomId = mergeUserRoom.get(me.id);
-      const room = roomId ? mergeRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
       if (!room.interferenceMode) return cb?.({ ok: false, error: "MODE_OFF" });
       const sender = room.players.get(me.id);
@@ -519,8 +441,7 @@ export function registerMerge(io, supabaseAdmin) {
 
     // ----- 게임오버 -----
     socket.on("merge:dead", (payload, cb) => {
-      const roomId = mergeUserRoom.get(me.id);
-      const room = roomId ? mergeRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
       const p = room.players.get(me.id);
       if (!p) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
@@ -551,61 +472,7 @@ export function registerMerge(io, supabaseAdmin) {
       cb?.({ ok: true });
     });
 
-    // ----- 자발 퇴장 -----
-    socket.on("merge:leaveRoom", (_payload, cb) => {
-      const roomId = mergeUserRoom.get(me.id);
-      const room = roomId ? mergeRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: true });
-      leavePlayer(io, room, me.id);
-      socket.leave(socketRoomName(room.id));
-      cb?.({ ok: true });
-    });
-
-    // ----- 호스트 강퇴 (로비 한정) -----
-    socket.on("merge:kickPlayer", (payload, cb) => {
-      const roomId = mergeUserRoom.get(me.id);
-      const room = roomId ? mergeRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
-      if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
-      const targetId = String(payload?.targetUserId || "");
-      if (!targetId || targetId === me.id) return cb?.({ ok: false, error: "INVALID_TARGET" });
-      if (!room.players.has(targetId)) return cb?.({ ok: false, error: "TARGET_NOT_IN_ROOM" });
-      const target = room.players.get(targetId);
-      if (target?.socketId) io.to(target.socketId).emit("merge:kicked", { reason: "KICKED_BY_HOST" });
-      leavePlayer(io, room, targetId);
-      cb?.({ ok: true });
-    });
-
-    // ----- 상태 재요청 (재접속) -----
-    socket.on("merge:requestState", (_payload, cb) => {
-      const roomId = mergeUserRoom.get(me.id);
-      const room = roomId ? mergeRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      cb?.({ ok: true, room: publicRoom(room) });
-    });
-
-    // ----- 연결 해제 -----
-    socket.on("disconnect", () => {
-      const roomId = mergeUserRoom.get(me.id);
-      const room = roomId ? mergeRooms.get(roomId) : null;
-      if (!room) return;
-      const p = room.players.get(me.id);
-      if (!p) return;
-      // 최신 소켓이 이미 다른 곳이면 무시
-      if (p.socketId !== socket.id) return;
-      p.connected = false;
-
-      // 로비 단계라면 즉시 leave, 진행 중이면 connected=false 유지(재접속 대기)
-      if (room.status === "lobby") {
-        leavePlayer(io, room, me.id);
-      } else {
-        io.to(socketRoomName(room.id)).emit("merge:peerUpdate", {
-          playerId: me.id,
-          connected: false,
-        });
-        maybeScheduleEmptyRoomDelete(io, room);
-      }
-    });
+    // ----- 퇴장/강퇴/상태 재요청/연결 해제 — 공용 매니저 -----
+    rm.attach(io, socket);
   });
 }
@@ -0,0 +1,150 @@
+// =========================
+// DUO GAME ZONE — 멀티 오목 AI (봇 착수 선택) v20261019_1
+// omok.js 보드 표현 그대로 사용: Int8Array(size*size), 0=빈 칸, 1~8=색
+// 팀전은 팀당 1색이라 "내 색 = 우리 팀 돌", 그 외 색은 전부 상대.
+//
+// 평가: 후보 칸(기존 돌 주변 2칸)마다 4방향 연속 수 + 열린 끝 수로 공격/수비 점수 합산
+//   - 즉시 승리 / 즉시 방어는 findWinLine(승리 판정과 같은 함수)으로 먼저 확인
+//   - winLength(3~5) 기준 상대 길이로 점수 → 3목/4목/5목 모두 같은 로직
+// 난이도:
+//   easy   — 점수에 큰 노이즈 + 방어를 가끔 놓침
+//   normal — 약한 노이즈
+//   hard   — 노이즈 없음 + 상위 후보에 대해 상대 최선 응수를 1수 더 봄
+// =========================
+
+export const BOT_LEVELS = ["easy", "normal", "hard"];
+
+const DIRS = [[1,0],[0,1],[1,1],[1,-1]];
+const WIN_SCORE = 1_000_000;
+const CANDIDATE_RADIUS = 2;
+const HARD_LOOKAHEAD = 8;
+
+function idx(size, x, y) { return y * size + x; }
+
+// 한 방향 패턴 점수 — (x,y)에 color를 뒀다고 가정
+function lineScore(board, size, x, y, dx, dy, color, winLength, blocked) {
+  const free = (cx, cy) => cx >= 0 && cx < size && cy >= 0 && cy < size
+    && board[idx(size, cx, cy)] === 0 && !blocked.has(`${cx},${cy}`);
+  const mine = (cx, cy) => cx >= 0 && cx < size && cy >= 0 && cy < size && board[idx(size, cx, cy)] === color;
+
+  let run = 1, open = 0, span = 1;
+  let cx = x + dx, cy = y + dy;
+  while (mine(cx, cy)) { run++; cx += dx; cy += dy; }
+  if (free(cx, cy)) open++;
+  // 이 방향으로 더 뻗을 수 있는 여유 (죽은 줄 판정용)
+  for (let k = 0; k < winLength && (free(cx, cy) || mine(cx, cy)); k++) { span++; cx += dx; cy += dy; }
+  cx = x - dx; cy = y - dy;
+  while (mine(cx, cy)) { run++; cx -= dx; cy -= dy; }
+  if (free(cx, cy)) open++;
+  for (let k = 0; k < winLength && (free(cx, cy) || mine(cx, cy)); k++) { span++; cx -= dx; cy -= dy; }
+  span += run - 1;
+
+  if (run >= winLength) return WIN_SCORE;
+  if (span < winLength) return 0; // 어떻게 해도 N목 불가능한 줄
+  const gap = winLength - run;
+  if (gap === 1) return open === 2 ? 50_000 : open === 1 ? 5_000 : 0;
+  if (gap === 2) return open === 2 ? 2_000 : open === 1 ? 200 : 0;
+  if (gap === 3) return open === 2 ? 100 : open === 1 ? 10 : 0;
+  return run;
+}
+
+function cellScore(board, size, x, y, color, winLength, blocked) {
+  let sum = 0, threats = 0;
+  for (const [dx, dy] of DIRS) {
+    const s = lineScore(board, size, x, y, dx, dy, color, winLength, blocked);
+    if (s >= 5_000) threats++;
+    sum += s;
+  }
+  // 쌍삼/사삼 같은 동시 위협은 막기 어려움 → 가산
+  if (threats >= 2) sum += 20_000;
+  return sum;
+}
+
+function candidates(board, size, blocked, isLegal) {
+  const out = [];
+  let any = false;
+  for (let i = 0; i < board.length; i++) if (board[i] !== 0) { any = true; break; }
+  if (!any) {
+    const c = Math.floor(size / 2);
+    return [{ x: c, y: c }];
+  }
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (board[idx(size, x, y)] !== 0 || blocked.has(`${x},${y}`)) continue;
+      let near = false;
+      for (let oy = -CANDIDATE_RADIUS; oy <= CANDIDATE_RADIUS && !near; oy++) {
+        for (let ox = -CANDIDATE_RADIUS; ox <= CANDIDATE_RADIUS; ox++) {
+          const nx = x + ox, ny = y + oy;
+          if (nx >= 0 && nx < size && ny >= 0 && ny < size && board[idx(size, nx, ny)] !== 0) { near = true; break; }
+        }
+      }
+      if (near && (!isLegal || isLegal(x, y))) out.push({ x, y });
+    }
+  }
+  return out;
+}
+
+/**
+ * 봇 착수 선택
+ * @param {object} o
+ * @param {Int8Array} o.board
+ * @param {number} o.size
+ * @param {number} o.winLength
+ * @param {number} o.color               봇(팀) 색
+ * @param {Set<string>} [o.blocked]      "x,y" — 벽/투명돌 등 둘 수 없는 칸
+ * @param {string} [o.difficulty]        easy | normal | hard
+ * @param {Function} o.findWinLine       omok.js 승리 판정 (board, size, x, y, color, winLength) → line|null
+ * @param {(x, y) => boolean} [o.isLegal] 룰셋 금수 검사 (없으면 빈 칸이면 전부 허용)
+ * @returns {{x:number, y:number}|null}
+ */
+export function chooseBotMove(o) {
+  const { board, size, winLength, color, findWinLine, isLegal } = o;
+  const blocked = o.blocked || new Set();
+  const level = BOT_LEVELS.includes(o.difficulty) ? o.difficulty : "normal";
+  const cands = candidates(board, size, blocked, isLegal);
+  if (cands.length === 0) return null;
+
+  const enemyColors = [...new Set(Array.from(board).filter(v => v !== 0 && v !== color))];
+
+  const winsWith = (x, y, c) => {
+    const i = idx(size, x, y);
+    board[i] = c;
+    const win = findWinLine(board, size, x, y, c, winLength);
+    board[i] = 0;
+    return !!win;
+  };
+
+  // 1) 즉시 승리
+  for (const m of cands) if (winsWith(m.x, m.y, color)) return m;
+  // 2) 즉시 방어 (easy는 가끔 놓침)
+  if (level !== "easy" || Math.random() < 0.6) {
+    for (const m of cands) if (enemyColors.some(c => winsWith(m.x, m.y, c))) return m;
+  }
+
+  // 3) 휴리스틱 — 공격 + 수비(가장 위험한 상대 기준)
+  const noise = level === "easy" ? 3_000 : level === "normal" ? 150 : 0;
+  const defenseWeight = level === "easy" ? 0.5 : 0.9;
+  const scored = cands.map(m => {
+    const attack = cellScore(board, size, m.x, m.y, color, winLength, blocked);
+    let defense = 0;
+    for (const c of enemyColors) defense = Math.max(defense, cellScore(board, size, m.x, m.y, c, winLength, blocked));
+    return { ...m, score: attack + defense * defenseWeight + Math.random() * noise };
+  }).sort((a, b) => b.score - a.score);
+
+  if (level !== "hard") return { x: scored[0].x, y: scored[0].y };
+
+  // hard: 상위 후보에 두었을 때 상대가 받을 수 있는 최고 점수를 감점
+  let best = null;
+  for (const m of scored.slice(0, HARD_LOOKAHEAD)) {
+    const i = idx(size, m.x, m.y);
+    board[i] = color;
+    let reply = 0;
+    for (const r of candidates(board, size, blocked, null)) {
+      for (const c of enemyColors) reply = Math.max(reply, cellScore(board, size, r.x, r.y, c, winLength, blocked));
+    }
+    board[i] = 0;
+    const total = m.score - reply * 0.5;
+    if (!best || total > best.total) best = { x: m.x, y: m.y, total };
+  }
+  return { x: best.x, y: best.y };
+}
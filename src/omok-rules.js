@@ -0,0 +1,130 @@
+// =========================
+// DUO GAME ZONE — 멀티 오목 룰셋 (금수 판정) v20261019_1
+// omok.js 보드 표현 그대로: Int8Array(size*size), 0=빈 칸, 1~8=색
+//
+// 룰셋 (호스트가 omok:setOptions { ruleSet } 로 선택):
+//   freestyle — 기존 동작. N목 이상 연속이면 승리 (장목도 승리)
+//   exact     — 정확히 N목만 승리. 장목(N+1 이상)은 둘 수는 있지만 승리 아님
+//   renju     — 1v1 + 5목 전용. 흑(선공)은 3-3 / 4-4 / 장목 금수, 정확히 5목만 승리.
+//               백(후공)은 금수 없음 + 장목도 승리. 5목 완성 수는 금수보다 우선.
+//
+// 3-3 판정은 간이 렌주: "한 수 더 두면 열린 4(양쪽 5목 가능)가 되는 3"을 열린 3으로 봄
+// (그 한 수 자체가 금수인지까지 재귀 검사하지는 않음)
+// 4-4 는 서로 다른 4 두 개 — 한 줄 안의 4-4 (OOO.X.OOO 의 X) 도 포함. 열린 4(.OOOO.)는 4 하나
+// =========================
+
+export const RULE_SETS = ["freestyle", "exact", "renju"];
+
+const DIRS = [[1,0],[0,1],[1,1],[1,-1]];
+const RENJU_LENGTH = 5;
+
+function idx(size, x, y) { return y * size + x; }
+function inBoard(size, x, y) { return x >= 0 && x < size && y >= 0 && y < size; }
+
+// (x,y)를 지나는 한 방향 연속 길이
+function runLength(board, size, x, y, dx, dy, color) {
+  let n = 1;
+  let cx = x + dx, cy = y + dy;
+  while (inBoard(size, cx, cy) && board[idx(size, cx, cy)] === color) { n++; cx += dx; cy += dy; }
+  cx = x - dx; cy = y - dy;
+  while (inBoard(size, cx, cy) && board[idx(size, cx, cy)] === color) { n++; cx -= dx; cy -= dy; }
+  return n;
+}
+
+// 이 방향에서 한 수 더 두면 (x,y)를 포함한 정확히 5목이 되는 빈 칸 수
+function fiveMakerCount(board, size, x, y, dx, dy, color) {
+  let count = 0;
+  for (let k = -4; k <= 4; k++) {
+    if (k === 0) continue;
+    const cx = x + dx * k, cy = y + dy * k;
+    if (!inBoard(size, cx, cy)) continue;
+    const i = idx(size, cx, cy);
+    if (board[i] !== 0) continue;
+    board[i] = color;
+    if (runLength(board, size, x, y, dx, dy, color) === RENJU_LENGTH) count++;
+    board[i] = 0;
+  }
+  return count;
+}
+
+// 이 방향에서 (x,y)를 포함한 4 개수 — 5목 자리마다 그 5칸에서 자리를 뺀 돌 4개가 4 하나
+// 열린 4(.OOOO.)는 두 자리가 같은 돌 4개라 1, OOO.X.OOO 는 돌 4개가 서로 달라 2
+function fourCount(board, size, x, y, dx, dy, color) {
+  const fours = new Set();
+  for (let k = -4; k <= 4; k++) {
+    if (k === 0) continue;
+    const cx = x + dx * k, cy = y + dy * k;
+    if (!inBoard(size, cx, cy)) continue;
+    const i = idx(size, cx, cy);
+    if (board[i] !== 0) continue;
+    board[i] = color;
+    if (runLength(board, size, x, y, dx, dy, color) === RENJU_LENGTH) {
+      let start = 0;
+      while (inBoard(size, x + dx * (start - 1), y + dy * (start - 1))
+        && board[idx(size, x + dx * (start - 1), y + dy * (start - 1))] === color) start--;
+      const stones = [];
+      for (let j = start; j < start + RENJU_LENGTH; j++) if (j !== k) stones.push(j);
+      fours.add(stones.join(","));
+    }
+    board[i] = 0;
+  }
+  return fours.size;
+}
+
+// 열린 3: 이 방향 빈 칸 하나를 더 두면 열린 4(5목 자리 2곳)가 됨
+function isOpenThree(board, size, x, y, dx, dy, color) {
+  for (let k = -4; k <= 4; k++) {
+    if (k === 0) continue;
+    const cx = x + dx * k, cy = y + dy * k;
+    if (!inBoard(size, cx, cy)) continue;
+    const i = idx(size, cx, cy);
+    if (board[i] !== 0) continue;
+    board[i] = color;
+    const straightFour = runLength(board, size, x, y, dx, dy, color) < RENJU_LENGTH
+      && fiveMakerCount(board, size, x, y, dx, dy, color) >= 2;
+    board[i] = 0;
+    if (straightFour) return true;
+  }
+  return false;
+}
+
+/**
+ * 렌주 흑 금수 판정 — (x,y)는 빈 칸이어야 함
+ * @returns {null|"FORBIDDEN_OVERLINE"|"FORBIDDEN_44"|"FORBIDDEN_33"}
+ */
+export function renjuForbidden(board, size, x, y, color) {
+  const i = idx(size, x, y);
+  if (board[i] !== 0) return null;
+  board[i] = color;
+  try {
+    const runs = DIRS.map(([dx, dy]) => runLength(board, size, x, y, dx, dy, color));
+    if (runs.some(n => n === RENJU_LENGTH)) return null;        // 5목 완성이 우선
+    if (runs.some(n => n > RENJU_LENGTH)) return "FORBIDDEN_OVERLINE";
+
+    let fours = 0, threes = 0;
+    for (const [dx, dy] of DIRS) {
+      const n = fourCount(board, size, x, y, dx, dy, color);
+      if (n > 0) { fours += n; continue; }
+      if (isOpenThree(board, size, x, y, dx, dy, color)) threes++;
+    }
+    if (fours >= 2) return "FORBIDDEN_44";
+    if (threes >= 2) return "FORBIDDEN_33";
+    return null;
+  } finally {
+    board[i] = 0;
+  }
+}
+
+/** 이 룰셋에서 color의 승리가 "정확히 N목"이어야 하는지 (장목 불인정) */
+export function requiresExactLength(ruleSet, color, blackColor) {
+  if (ruleSet === "exact") return true;
+  if (ruleSet === "renju") return color === blackColor;
+  return false;
+}
+
+/** 룰셋 + 방 옵션 조합 검사 — 반환: 에러 코드 | null */
+export function validateRuleSet(ruleSet, mode, winLength) {
+  if (!RULE_SETS.includes(ruleSet)) return "INVALID_RULE_SET";
+  if (ruleSet === "renju" && (mode !== "1v1" || winLength !== RENJU_LENGTH)) return "RENJU_REQUIRES_1V1_FIVE";
+  return null;
+}
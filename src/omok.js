@@ -1,9 +1,10 @@
 // =========================
 // DUO GAME ZONE — 멀티 오목 (서버) v20260514_1
 // 기존 worldcup/quiz/tier/lifegame/liar/oxgame/fibbage 와 완전 격리.
-// - 별도 Map(omokRooms / omokInvites / omokUserRoom)
+// - 방 수명주기(초대코드/빈 방 TTL/퇴장/강퇴/재요청/재시작 복구)는 room-manager.js 공용 매니저
 // - 'omok:*' 이벤트 prefix
 // - socket.io room name = `omok:${roomId}`
+// - 관전: `omok:spectate` / `omok:leaveSpectate` / `omok:chat` (spectators.js)
 //
 // 모드:
 //   '1v1'   — 2인, 팀 없음, 색 2
@@ -15,12 +16,65 @@
 // 보드: 15 / 19 / 25 (호스트 선택)
 // 타이머: 30/60/90/120/180 (호스트 선택) — 시간초과 시 자동 패스 (착수 X, 차례 넘김)
 // 5목 검사: 매 착수 시 4방향 (가로/세로/대각 NW-SE, NE-SW) — 5 이상 연속이면 승리
+// 룰셋: freestyle(기본) / exact(장목 불인정) / renju(1v1 5목, 흑 3-3·4-4·장목 금수) — omok-rules.js
+// 기보: 착수/카드/시간초과/ghost 공개를 순서대로 room.replayLog에 기록 → 종료 시 omok_replays 저장
+//       (GET /omok/replays/:id 로 조회, gameEnd 의 replayId)
+// AI 봇: 호스트가 로비에서 `omok:addBot` { difficulty } 로 빈 자리 채움 (제거는 kickPlayer)
+//       봇은 소켓 없이 서버가 직접 placeStone — 턴 타이머 안에서 착수 (omok-ai.js)
+// 빠른 대전: matchmaking.js 큐 (1v1-15 / 1v1-19 / ffa-4) — 매칭되면 방 생성 + 바로 시작
 // =========================
 
+import crypto from "node:crypto";
+import { roomStore } from "./room-store.js";
+import { createRoomManager } from "./room-manager.js";
+import { roomNotFoundReply } from "./cluster.js";
+import { chooseBotMove, BOT_LEVELS } from "./omok-ai.js";
+import { RULE_SETS, renjuForbidden, requiresExactLength, validateRuleSet } from "./omok-rules.js";
+import { ratingRoster, settleRatings } from "./ratings.js";
+import { registerQuickMatch } from "./matchmaking.js";
+
 // ===== Room storage =====
-const omokRooms = new Map();      // roomId → room
-const omokInvites = new Map();    // inviteCode → roomId
-const omokUserRoom = new Map();   // userId → roomId
+const omokSnapshots = roomStore.namespace("omok"); // 재시작 복구용 (ROOM_STORE 미설정 시 no-op)
+// 방 수명주기 — 공용 매니저. 관전자는 players 밖이라 착수/카드 불가
+const rm = createRoomManager({
+  prefix: "omok",
+  publicRoom,
+  spectators: true,
+  snapshots: omokSnapshots,
+  // ghost는 본인에게만 색 노출 → 플레이어별 송신 (관전자는 모든 ghost 색 가림)
+  perViewerState: (room) => room.ghosts?.size > 0,
+  isBot: (p) => p.isBot,
+  clearTimers: clearTurnTimer,
+  beforeLeave: (io, room, userId) => ({
+    wasTurn: room.status === "playing" && room.playerOrder[room.currentTurnIdx] === userId,
+    leaveIdx: room.playerOrder.indexOf(userId),
+  }),
+  afterLeave: (io, room, userId, ctx) => afterLeave(io, room, ctx),
+  onDisconnect: (io, room, userId, p) => {
+    if (room.status !== "playing") return;
+    // 진행중: 자기 차례면 즉시 패스, 아니면 그냥 끊김 표시
+    if (room.playerOrder[room.currentTurnIdx] === userId) {
+      clearTurnTimer(room);
+      io.to(socketRoomName(room.id)).emit("omok:turnPass", {
+        userId,
+        name: p.name,
+        timedOut: false,
+        disconnected: true,
+      });
+      room.currentTurnIdx = (room.currentTurnIdx + 1) % room.playerOrder.length;
+      startTurn(io, room);
+    }
+    broadcastRoomState(io, room);
+  },
+  // 진행중/종료 후라면 보드 전체 + history 함께 보내서 즉시 복원 가능
+  statePayload: (room, userId) => ({
+    room: publicRoom(room, userId),
+    ...(room.status === "playing" || room.status === "ended"
+      ? { boardArray: Array.from(room.board), history: room.history.slice(0) }
+      : {}),
+  }),
+});
+const { socketRoomName, broadcastRoomState, deleteRoom } = rm;
 
 // ===== Constants =====
 const MIN_PLAYERS = 2;
@@ -29,8 +83,11 @@ const ALLOWED_BOARD_SIZES = [15, 19, 25];
 const ALLOWED_TURN_SECS = [10, 30, 60, 90, 120, 180];
 const ALLOWED_MODES = ["1v1", "2v2", "3v3", "4v4", "2v2v2", "2v2v2v2", "ffa"];
 const ALLOWED_WIN_LENGTHS = [3, 4, 5]; // 호스트가 인원·보드에 맞게 승리 조건 조정
-const EMPTY_ROOM_TTL_MS = 30_000;
 const ENDED_ROOM_TTL_MS = 10 * 60_000;
+const REPLAY_FORMAT_VERSION = 1;
+const BOT_THINK_MIN_MS = 600;
+const BOT_THINK_MAX_MS = 1500;
+const BOT_NAMES = { easy: "AI (쉬움)", normal: "AI (보통)", hard: "AI (어려움)" };
 
 // 모드별 인원 (ffa는 가변)
 const MODE_INFO = {
@@ -48,16 +105,6 @@ const COLOR_NAMES = ["red", "blue", "green", "yellow", "purple", "black", "white
 const COLOR_HEX   = ["#ef4444", "#3b82f6", "#22c55e", "#facc15", "#a855f7", "#1f2937", "#f3f4f6", "#f97316"];
 
 // ===== Utils =====
-function genInviteCode() {
-  for (let i = 0; i < 50; i++) {
-    const c = String(Math.floor(Math.random() * 1_000_000)).padStart(6, "0");
-    if (!omokInvites.has(c)) return c;
-  }
-  return String(Math.floor(Math.random() * 10_000_000)).padStart(7, "0");
-}
-
-function socketRoomName(roomId) { return `omok:${roomId}`; }
-
 function modeMaxPlayers(mode, ffaSize) {
   if (mode === "ffa") return Math.min(MAX_PLAYERS_HARD_CAP, Math.max(2, Number(ffaSize) || 8));
   return MODE_INFO[mode]?.players || 2;
@@ -90,13 +137,14 @@ function drawRandomCard() {
 const MAX_CARDS_PER_PLAYER = 3;
 const CARDS_DRAW_INTERVAL = 5; // 5턴마다 카드 1장
 
-function newPlayerState(name, isGuest, avatarUrl) {
+function newPlayerState(name, isGuest, avatarUrl, socketId = null) {
   return {
     name: String(name || "익명").slice(0, 20),
     isGuest: !!isGuest,
     avatar_url: avatarUrl || null,
     joinedAt: Date.now(),
     connected: true,
+    socketId,
     color: 0,    // 1~8, 배정 전 0
     team: null,  // 0|1 (팀전만)
     cards: [],   // 초딩 모드 보유 카드 id 배열
@@ -166,7 +214,8 @@ function idx(size, x, y) { return y * size + x; }
 
 // N목 검사 — 마지막 착수 좌표에서 4방향, 승리 길이는 winLength (3/4/5)
 const DIRS = [[1,0],[0,1],[1,1],[1,-1]];
-function findWinLine(board, size, x, y, color, winLength) {
+// exact=true면 정확히 N목만 인정 (장목은 그 방향 무효)
+function findWinLine(board, size, x, y, color, winLength, exact = false) {
   const need = Math.max(3, Math.min(5, winLength || 5));
   for (const [dx, dy] of DIRS) {
     const line = [{x, y}];
@@ -180,11 +229,23 @@ function findWinLine(board, size, x, y, color, winLength) {
       line.unshift({x: cx, y: cy});
       cx -= dx; cy -= dy;
     }
-    if (line.length >= need) return line.slice(0, need);
+    if (exact ? line.length === need : line.length >= need) return line.slice(0, need);
   }
   return null;
 }
 
+// 방 룰셋 기준 승리 판정
+function winLineFor(room, x, y, color) {
+  const exact = requiresExactLength(room.ruleSet || "freestyle", color, room.blackColor);
+  return findWinLine(room.board, room.boardSize, x, y, color, room.winLength, exact);
+}
+
+// 착수 금수 검사 — 반환: 에러 코드 | null (렌주 흑만 해당)
+function forbiddenReason(room, x, y, color) {
+  if (room.ruleSet !== "renju" || color !== room.blackColor) return null;
+  return renjuForbidden(room.board, room.boardSize, x, y, color);
+}
+
 // ===== 공개용 직렬화 =====
 function publicPlayer(userId, p) {
   if (!p) return null;
@@ -197,6 +258,8 @@ function publicPlayer(userId, p) {
     color: p.color,
     team: p.team,
     cardCount: (p.cards || []).length, // 카드 개수만 공개 (내용 비공개)
+    isBot: !!p.isBot,
+    botLevel: p.botLevel || null,
   };
 }
 
@@ -222,6 +285,9 @@ function publicRoom(room, viewerUserId = null) {
     status: room.status,
     mode: room.mode,
     specialMode: room.specialMode || "off",
+    ruleSet: room.ruleSet || "freestyle",
+    ruleSets: RULE_SETS,
+    blackColor: room.blackColor ?? null,
     boardSize: room.boardSize,
     turnTimeSec: room.turnTimeSec,
     winLength: room.winLength,
@@ -234,10 +300,12 @@ function publicRoom(room, viewerUserId = null) {
     winLine: room.winLine,
     winnerUserId: room.winnerUserId,
     winnerTeam: room.winnerTeam,
+    replayId: room.replayId || null,
     historyLen: room.history.length,
     turnCount: room.turnCount || 0,
     walls,
     ghosts,
+    spectatorCount: rm.spectatorCount(room),
   };
 }
 
@@ -253,38 +321,52 @@ function emitMyCards(io, room, userId) {
   }
 }
 
-// ===== 타이머 =====
-function clearTurnTimer(room) {
-  if (room.turnTimer) { clearTimeout(room.turnTimer); room.turnTimer = null; }
-}
-function clearEmptyRoomTimer(room) {
-  if (room.emptyRoomTimer) { clearTimeout(room.emptyRoomTimer); room.emptyRoomTimer = null; }
+// ===== 기보 기록 =====
+// 이벤트 공통 필드: seq(0부터) / turn(당시 turnCount) / ts / type
+//   move        { userId, x, y, color }
+//   card        { userId, cardId, effect }
+//   timeout     { userId }
+//   ghostReveal { ownerId, x, y, color }
+function recordReplay(room, type, data) {
+  if (!room.replayLog) return;
+  room.replayLog.push({ seq: room.replayLog.length, turn: room.turnCount || 0, ts: Date.now(), type, ...data });
 }
 
-function deleteRoom(io, room, reason = "UNKNOWN") {
-  clearTurnTimer(room);
-  clearEmptyRoomTimer(room);
-  omokRooms.delete(room.id);
-  omokInvites.delete(room.inviteCode);
-  for (const uid of room.playerOrder) {
-    if (omokUserRoom.get(uid) === room.id) omokUserRoom.delete(uid);
-  }
-  io.to(socketRoomName(room.id)).emit("omok:roomClosed", { reason });
-  io.in(socketRoomName(room.id)).socketsLeave(socketRoomName(room.id));
-  console.log(`[omok] room ${room.id} deleted: ${reason}`);
+let replayDb = null; // registerOmok에서 supabaseAdmin 주입
+
+// 종료 시 1회 저장 (fire-and-forget) — 반환: replayId (기록 없으면 null)
+function persistReplay(room, reason) {
+  if (!room.replayLog || room.replayId) return room.replayId || null;
+  const replayId = crypto.randomUUID();
+  room.replayId = replayId;
+  const row = {
+    id: replayId,
+    room_id: room.id,
+    mode: room.mode,
+    special_mode: room.specialMode || "off",
+    board_size: room.boardSize,
+    win_length: room.winLength,
+    rule_set: room.ruleSet || "freestyle",
+    end_reason: reason,
+    winner_user_id: room.winnerUserId && !room.players.get(room.winnerUserId)?.isGuest && !room.players.get(room.winnerUserId)?.isBot ? room.winnerUserId : null,
+    winner_team: room.winnerTeam ?? null,
+    players: room.playerOrder.map(uid => publicPlayer(uid, room.players.get(uid))).filter(Boolean),
+    events: room.replayLog,
+    win_line: room.winLine || null,
+    format_version: REPLAY_FORMAT_VERSION,
+    move_count: room.history.length,
+    started_at: room.startedAt ? new Date(room.startedAt).toISOString() : null,
+  };
+  replayDb?.from("omok_replays").insert(row)
+    .then(({ error }) => { if (error) console.warn(`[omok] replay save failed ${replayId}:`, error.message); })
+    .catch(() => {});
+  return replayId;
 }
 
-function broadcastRoomState(io, room) {
-  // ghost는 본인에게만 색 노출 → per-socket 송신
-  if (room.ghosts && room.ghosts.size > 0) {
-    for (const [sid, s] of io.sockets.sockets) {
-      const room2 = s.user?.id ? omokRooms.get(omokUserRoom.get(s.user.id)) : null;
-      if (room2 !== room) continue;
-      s.emit("omok:roomState", publicRoom(room, s.user?.id || null));
-    }
-  } else {
-    io.to(socketRoomName(room.id)).emit("omok:roomState", publicRoom(room));
-  }
+// ===== 타이머 =====
+function clearTurnTimer(room) {
+  if (room.turnTimer) { clearTimeout(room.turnTimer); room.turnTimer = null; }
+  if (room.botTimer) { clearTimeout(room.botTimer); room.botTimer = null; }
 }
 
 // ===== 게임 진행 =====
@@ -316,6 +398,58 @@ function startTurn(io, room) {
 
   clearTurnTimer(room);
   room.turnTimer = setTimeout(() => onTurnTimeout(io, room, turnUid), room.turnTimeSec * 1000);
+
+  // 봇 차례: 생각하는 척 딜레이 후 착수 (턴 제한 시간 안에서)
+  if (turnPlayer.isBot) {
+    const think = BOT_THINK_MIN_MS + Math.random() * (BOT_THINK_MAX_MS - BOT_THINK_MIN_MS);
+    const delay = Math.min(think, Math.max(200, room.turnTimeSec * 1000 - 1000));
+    room.botTimer = setTimeout(() => runBotTurn(io, room, turnUid), delay);
+  }
+}
+
+// ===== AI 봇 =====
+function newBotState(level) {
+  const p = newPlayerState(BOT_NAMES[level], true, null);
+  p.isBot = true;
+  p.botLevel = level;
+  return p;
+}
+
+function humanCount(room, connectedOnly = false) {
+  return room.playerOrder.filter(uid => {
+    const p = room.players.get(uid);
+    return p && !p.isBot && (!connectedOnly || p.connected);
+  }).length;
+}
+
+function runBotTurn(io, room, botId) {
+  room.botTimer = null;
+  if (room.status !== "playing" || !rm.rooms.has(room.id)) return;
+  if (room.playerOrder[room.currentTurnIdx] !== botId) return;
+  const bot = room.players.get(botId);
+  if (!bot?.isBot) return;
+  // 사람이 전부 끊긴 동안엔 두지 않음 → 턴 타이머로 패스, 빈 방 타이머가 정리
+  if (humanCount(room, true) === 0) return;
+
+  const blocked = new Set([...(room.walls?.keys() || []), ...(room.ghosts?.keys() || [])]);
+  const move = chooseBotMove({
+    board: room.board,
+    size: room.boardSize,
+    winLength: room.winLength,
+    color: bot.color,
+    blocked,
+    difficulty: bot.botLevel,
+    findWinLine: (board, size, x, y, c, winLength) =>
+      findWinLine(board, size, x, y, c, winLength, requiresExactLength(room.ruleSet || "freestyle", c, room.blackColor)),
+    isLegal: (x, y) => !forbiddenReason(room, x, y, bot.color),
+  });
+  // 둘 곳이 없으면 시간초과와 같은 패스 처리
+  if (!move) return onTurnTimeout(io, room, botId);
+  const res = placeStone(io, room, botId, move.x, move.y);
+  if (!res.ok) {
+    console.warn(`[omok] bot ${botId} move rejected: ${res.error}`);
+    onTurnTimeout(io, room, botId);
+  }
 }
 
 function onTurnTimeout(io, room, expectedTurnUid) {
@@ -324,6 +458,7 @@ function onTurnTimeout(io, room, expectedTurnUid) {
   if (turnUid !== expectedTurnUid) return; // 이미 다음 차례로 넘어감
 
   const p = room.players.get(turnUid);
+  recordReplay(room, "timeout", { userId: turnUid });
   // 시간초과 = 자동 패스 (착수 X, 차례 넘김)
   io.to(socketRoomName(room.id)).emit("omok:turnPass", {
     userId: turnUid,
@@ -373,7 +508,7 @@ function applyCardEffect(io, room, userId, cardId, payload) {
     }
     room.board[i] = me.color;
     // 뒤집기 후 즉시 5목 검사
-    const win = findWinLine(room.board, W, x, y, me.color, room.winLength);
+    const win = winLineFor(room, x, y, me.color);
     if (win) {
       room.winLine = win;
       room.winnerUserId = userId;
@@ -394,7 +529,7 @@ function applyCardEffect(io, room, userId, cardId, payload) {
     room.board[fi] = 0;
     room.board[ti] = me.color;
     // 이동 후 5목 검사
-    const win = findWinLine(room.board, W, tx, ty, me.color, room.winLength);
+    const win = winLineFor(room, tx, ty, me.color);
     if (win) {
       room.winLine = win;
       room.winnerUserId = userId;
@@ -461,7 +596,7 @@ function applyCardEffect(io, room, userId, cardId, payload) {
     // 밀친 결과 5목 만들어졌는지 검사 (그 돌의 주인 기준)
     const ownerOfPushed = [...room.players.values()].find(p => p.color === pushedColor);
     if (ownerOfPushed) {
-      const win = findWinLine(room.board, W, tx, ty, pushedColor, room.winLength);
+      const win = winLineFor(room, tx, ty, pushedColor);
       if (win) {
         room.winLine = win;
         room.winnerUserId = [...room.players.entries()].find(([uid, p]) => p.color === pushedColor)?.[0] || null;
@@ -502,11 +637,15 @@ function placeStone(io, room, userId, x, y) {
   const player = room.players.get(userId);
   if (!player) return { ok: false, error: "NOT_PLAYER" };
   if (!player.color || player.color < 1 || player.color > 8) return { ok: false, error: "NO_COLOR" };
+  // 렌주 금수 (흑 3-3 / 4-4 / 장목) — 착수 자체를 거부, 차례 유지
+  const forbidden = forbiddenReason(room, x, y, player.color);
+  if (forbidden) return { ok: false, error: forbidden, forbidden: true, x, y };
 
   // 착수
   room.board[i] = player.color;
   room.lastMove = { x, y, color: player.color, userId, ts: Date.now() };
   room.history.push({ userId, x, y, color: player.color, ts: room.lastMove.ts });
+  recordReplay(room, "move", { userId, x, y, color: player.color });
 
   clearTurnTimer(room);
 
@@ -520,7 +659,7 @@ function placeStone(io, room, userId, x, y) {
   });
 
   // 승리 검사 (호스트가 정한 N목 기준)
-  const win = findWinLine(room.board, room.boardSize, x, y, player.color, room.winLength);
+  const win = winLineFor(room, x, y, player.color);
   if (win) {
     room.winLine = win;
     room.winnerUserId = userId;
@@ -562,7 +701,8 @@ function placeStone(io, room, userId, x, y) {
     // 공개된 돌마다 5목 검사
     for (const r of revealed) {
       io.to(socketRoomName(room.id)).emit("omok:ghostReveal", r);
-      const win = findWinLine(room.board, room.boardSize, r.x, r.y, r.color, room.winLength);
+      recordReplay(room, "ghostReveal", r);
+      const win = winLineFor(room, r.x, r.y, r.color);
       if (win) {
         room.winLine = win;
         room.winnerUserId = r.ownerId;
@@ -598,6 +738,97 @@ function placeStone(io, room, userId, x, y) {
   return { ok: true };
 }
 
+// 방 생성 + 등록 (createRoom / 빠른 대전 공용) — 옵션은 호출 측에서 검증된 값
+function createOmokRoom(hostUserId, { mode, specialMode, ruleSet, boardSize, turnTimeSec, winLength, ffaSize }) {
+  const roomId = rm.newRoomId("om");
+  const inviteCode = rm.genInviteCode();
+
+  const room = {
+    id: roomId,
+    inviteCode,
+    hostUserId,
+    status: "lobby",      // lobby | playing | ended
+    mode,
+    specialMode,          // 'off' | 'kid'
+    ruleSet,              // 'freestyle' | 'exact' | 'renju'
+    blackColor: null,     // 렌주 흑(선공) 색 — 시작 시 결정
+    boardSize,
+    turnTimeSec,
+    winLength,
+    maxPlayers: modeMaxPlayers(mode, ffaSize),
+    ffaSize: mode === "ffa" ? ffaSize : null,
+    createdAt: Date.now(),
+
+    players: new Map(),
+    playerOrder: [],
+
+    board: new Int8Array(boardSize * boardSize),
+    history: [],
+    lastMove: null,
+    winLine: null,
+    winnerUserId: null,
+    winnerTeam: null,
+
+    currentTurnIdx: 0,
+    turnCount: 0,          // 누적 턴 수 (카드 지급 기준)
+    replayNext: false,     // 다음 턴 한 번 더 두기 플래그
+    walls: new Map(),      // key="x,y" → { placedByUserId, expireAtTurn }
+    ghosts: new Map(),     // key="x,y" → { ownerId, color, expireAtTurn }
+    turnDeadline: null,
+    turnTimer: null,
+    emptyRoomTimer: null,
+  };
+  return rm.addRoom(room);
+}
+
+// 게임 시작 — 판 초기화 + 색/팀 재배정 + 첫 턴 (startGame / 빠른 대전 공용)
+function beginGame(io, room) {
+  // ffa면 첫 진입자가 항상 첫 차례. 팀전이면 팀A 첫 사람부터.
+  room.status = "playing";
+  room.currentTurnIdx = 0;
+  room.turnCount = 0;
+  room.replayNext = false;
+  room.walls = new Map();
+  room.ghosts = new Map();
+  room.board = new Int8Array(room.boardSize * room.boardSize);
+  room.history = [];
+  room.replayLog = [];
+  room.replayId = null;
+  room.startedAt = Date.now();
+  room.lastMove = null;
+  room.winLine = null;
+  room.winnerUserId = null;
+  room.winnerTeam = null;
+
+  reassignColorsAndTeams(room);
+  // 렌주: 첫 차례(흑)의 색에 금수 적용
+  room.blackColor = room.players.get(room.playerOrder[0])?.color ?? null;
+  room.ratingRoster = ratingRoster(room);  // 중도 이탈자도 패배로 반영
+
+  // 초딩 모드: 시작 시 각 플레이어 카드 1장
+  if (room.specialMode === "kid") {
+    for (const uid of room.playerOrder) {
+      const p = room.players.get(uid);
+      if (p) {
+        p.cards = [drawRandomCard()];
+        emitMyCards(io, room, uid);
+      }
+    }
+  }
+
+  io.to(socketRoomName(room.id)).emit("omok:gameStart", {
+    mode: room.mode,
+    specialMode: room.specialMode || "off",
+    ruleSet: room.ruleSet || "freestyle",
+    blackColor: room.blackColor,
+    boardSize: room.boardSize,
+    turnTimeSec: room.turnTimeSec,
+    winLength: room.winLength,
+    players: room.playerOrder.map(uid => publicPlayer(uid, room.players.get(uid))),
+  });
+  startTurn(io, room);
+}
+
 function countNonZero(arr) {
   let n = 0;
   for (let i = 0; i < arr.length; i++) if (arr[i] !== 0) n++;
@@ -607,6 +838,14 @@ function countNonZero(arr) {
 function endGame(io, room, winLine, reason = "WIN") {
   room.status = "ended";
   clearTurnTimer(room);
+  const replayId = persistReplay(room, reason);
+  // 레이팅: 승리 팀(또는 승자) 1위, 나머지 2위 / 승자 없음(보드 가득) = 무승부
+  settleRatings(io, "omok", room, (uid, entry) => {
+    if (room.winnerTeam != null) return entry.team === room.winnerTeam ? 1 : 2;
+    if (room.winnerUserId) return uid === room.winnerUserId ? 1 : 2;
+    return 1;
+  });
+  omokSnapshots.save(room);
 
   const winnerP = room.winnerUserId ? room.players.get(room.winnerUserId) : null;
   io.to(socketRoomName(room.id)).emit("omok:gameEnd", {
@@ -622,6 +861,7 @@ function endGame(io, room, winLine, reason = "WIN") {
     boardSize: room.boardSize,
     mode: room.mode,
     players: room.playerOrder.map(uid => publicPlayer(uid, room.players.get(uid))),
+    replayId,
   });
 
   // 일정 시간 뒤 정리 (결과 화면 확인 시간)
@@ -633,7 +873,44 @@ function endGame(io, room, winLine, reason = "WIN") {
 }
 
 // ===== 핸들러 등록 =====
+// 빠른 대전 (matchmaking.js) — 매칭된 전원 착석 후 바로 시작
+function createQuickMatchRoom(io, entries, options) {
+  const room = createOmokRoom(entries[0].userId, {
+    mode: "1v1", specialMode: "off", ruleSet: "freestyle",
+    boardSize: 15, turnTimeSec: 60, winLength: 5, ffaSize: entries.length,
+    ...options,
+  });
+  for (const e of entries) {
+    rm.leaveCurrentRoom(io, e.userId);
+    room.players.set(e.userId, newPlayerState(e.name, false, e.avatar_url, e.socket?.id));
+    room.playerOrder.push(e.userId);
+    if (e.socket) rm.seat(e.socket, room, e.userId);
+    else rm.userRoom.set(e.userId, room.id);
+  }
+  beginGame(io, room);
+  broadcastRoomState(io, room);
+  console.log(`[omok] quick match room ${room.id} mode=${room.mode} board=${room.boardSize}`);
+  return room;
+}
+
 export function registerOmok(io, supabaseAdmin) {
+  replayDb = supabaseAdmin;
+  registerQuickMatch("omok", {
+    modes: {
+      "1v1-15": { players: 2, queue: "1v1", options: { mode: "1v1", boardSize: 15 } },
+      "1v1-19": { players: 2, queue: "1v1", options: { mode: "1v1", boardSize: 19 } },
+      "ffa-4":  { players: 4, queue: "ffa", options: { mode: "ffa", boardSize: 19 } },
+    },
+    createMatch: createQuickMatchRoom,
+    isPlaying: (userId) => rm.roomOf(userId)?.status === "playing",
+  });
+  // 재시작 복구 — 전원 끊김 상태로 복원, 유예 안에 아무도 안 돌아오면 삭제
+  rm.restore(io, (room) => {
+    if (room.status === "ended") return false;
+    // 봇은 소켓이 없으니 바로 연결 상태로
+    for (const p of room.players.values()) if (p.isBot) p.connected = true;
+  });
+
   io.on("connection", (socket) => {
     const me = socket.user;
     if (!me) return;
@@ -642,10 +919,7 @@ export function registerOmok(io, supabaseAdmin) {
     socket.on("omok:createRoom", async (payload, cb) => {
       try {
         if (me.isGuest) return cb?.({ ok: false, error: "GUEST_CANNOT_CREATE" });
-        if (omokUserRoom.has(me.id)) {
-          const old = omokRooms.get(omokUserRoom.get(me.id));
-          if (old) leavePlayer(io, old, me.id, true);
-        }
+        rm.leaveCurrentRoom(io, me.id);
 
         const mode = ALLOWED_MODES.includes(payload?.mode) ? payload.mode : "1v1";
         const boardSize = ALLOWED_BOARD_SIZES.includes(Number(payload?.boardSize))
@@ -655,47 +929,13 @@ export function registerOmok(io, supabaseAdmin) {
         const winLength = ALLOWED_WIN_LENGTHS.includes(Number(payload?.winLength))
           ? Number(payload.winLength) : 5;
         const ffaSize = Math.min(MAX_PLAYERS_HARD_CAP, Math.max(2, Number(payload?.ffaSize) || 8));
-        const maxPlayers = modeMaxPlayers(mode, ffaSize);
         const specialMode = (payload?.specialMode === "kid") ? "kid" : "off";
+        // 룰셋: 조합이 안 맞으면(렌주 + 1v1/5목 아님 등) 자유룰로
+        const err = validateRuleSet(payload?.ruleSet, mode, winLength);
+        const ruleSet = err ? "freestyle" : payload.ruleSet;
 
-        const roomId = `om_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
-        const inviteCode = genInviteCode();
-
-        const room = {
-          id: roomId,
-          inviteCode,
-          hostUserId: me.id,
-          status: "lobby",      // lobby | playing | ended
-          mode,
-          specialMode,          // 'off' | 'kid'
-          boardSize,
-          turnTimeSec,
-          winLength,
-          maxPlayers,
-          ffaSize: mode === "ffa" ? ffaSize : null,
-          createdAt: Date.now(),
-
-          players: new Map(),
-          playerOrder: [],
-
-          board: new Int8Array(boardSize * boardSize),
-          history: [],
-          lastMove: null,
-          winLine: null,
-          winnerUserId: null,
-          winnerTeam: null,
-
-          currentTurnIdx: 0,
-          turnCount: 0,          // 누적 턴 수 (카드 지급 기준)
-          replayNext: false,     // 다음 턴 한 번 더 두기 플래그
-          walls: new Map(),      // key="x,y" → { placedByUserId, expireAtTurn }
-          ghosts: new Map(),     // key="x,y" → { ownerId, color, expireAtTurn }
-          turnDeadline: null,
-          turnTimer: null,
-          emptyRoomTimer: null,
-        };
-        omokRooms.set(roomId, room);
-        omokInvites.set(inviteCode, roomId);
+        const room = createOmokRoom(me.id, { mode, specialMode, ruleSet, boardSize, turnTimeSec, winLength, ffaSize });
+        const { id: roomId, inviteCode } = room;
 
         // 호스트 등록
         let avatar = null;
@@ -706,11 +946,10 @@ export function registerOmok(io, supabaseAdmin) {
         } catch {}
 
         const hostName = String(payload?.nickname || "방장").slice(0, 20);
-        room.players.set(me.id, newPlayerState(hostName, false, avatar));
+        room.players.set(me.id, newPlayerState(hostName, false, avatar, socket.id));
         room.playerOrder.push(me.id);
-        omokUserRoom.set(me.id, roomId);
+        rm.seat(socket, room, me.id);
         reassignColorsAndTeams(room);
-        socket.join(socketRoomName(roomId));
 
         cb?.({ ok: true, roomId, inviteCode, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -724,19 +963,17 @@ export function registerOmok(io, supabaseAdmin) {
     // ===== joinRoom =====
     socket.on("omok:joinRoom", async (payload, cb) => {
       try {
-        const code = String(payload?.inviteCode || "").trim();
-        const roomId = omokInvites.get(code);
-        const room = roomId ? omokRooms.get(roomId) : null;
-        if (!room) return cb?.({ ok: false, error: "ROOM_NOT_FOUND" });
+        const room = rm.findByInvite(payload?.inviteCode);
+        if (!room) return cb?.(roomNotFoundReply(rm.prefix, payload?.inviteCode));
+        const roomId = room.id;
         if (room.status !== "lobby") {
           // 재접속: 이미 방에 있던 유저면 재참가 허용
           if (room.players.has(me.id)) {
-            const p = room.players.get(me.id);
-            p.connected = true;
-            socket.join(socketRoomName(roomId));
-            omokUserRoom.set(me.id, roomId);
+            rm.reconnect(socket, room, me.id);
             cb?.({ ok: true, roomId, inviteCode: room.inviteCode, room: publicRoom(room), reconnected: true });
             broadcastRoomState(io, room);
+            // 복원된 방: 재시작으로 사라진 턴 타이머 재개
+            if (room.restoredAt) { room.restoredAt = null; startTurn(io, room); }
             return;
           }
           return cb?.({ ok: false, error: "GAME_ALREADY_STARTED" });
@@ -744,10 +981,8 @@ export function registerOmok(io, supabaseAdmin) {
         if (room.players.size >= room.maxPlayers) return cb?.({ ok: false, error: "ROOM_FULL" });
 
         if (room.players.has(me.id)) {
-          const p = room.players.get(me.id);
-          p.connected = true;
-          socket.join(socketRoomName(roomId));
-          omokUserRoom.set(me.id, roomId);
+          rm.reconnect(socket, room, me.id);
+          room.restoredAt = null;
           cb?.({ ok: true, roomId, inviteCode: room.inviteCode, room: publicRoom(room), reconnected: true });
           broadcastRoomState(io, room);
           return;
@@ -763,13 +998,11 @@ export function registerOmok(io, supabaseAdmin) {
         }
         const playerName = String(payload?.nickname || (me.isGuest ? "게스트" : "유저")).slice(0, 20);
 
-        room.players.set(me.id, newPlayerState(playerName, !!me.isGuest, avatar));
+        room.players.set(me.id, newPlayerState(playerName, !!me.isGuest, avatar, socket.id));
         room.playerOrder.push(me.id);
-        omokUserRoom.set(me.id, roomId);
+        rm.seat(socket, room, me.id);  // 관전하다 자리에 앉는 경우도 여기서 정리
         reassignColorsAndTeams(room);
-        socket.join(socketRoomName(roomId));
 
-        clearEmptyRoomTimer(room);
         cb?.({ ok: true, roomId, inviteCode: room.inviteCode, room: publicRoom(room) });
         broadcastRoomState(io, room);
       } catch (e) {
@@ -780,8 +1013,7 @@ export function registerOmok(io, supabaseAdmin) {
 
     // ===== setOptions (host only, lobby only) =====
     socket.on("omok:setOptions", (payload, cb) => {
-      const roomId = omokUserRoom.get(me.id);
-      const room = roomId ? omokRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "GAME_ALREADY_STARTED" });
@@ -828,14 +1060,41 @@ export function registerOmok(io, supabaseAdmin) {
         const sm = (payload.specialMode === "kid") ? "kid" : "off";
         if (room.specialMode !== sm) { room.specialMode = sm; changed = true; }
       }
+      if (payload?.ruleSet !== undefined) {
+        const err = validateRuleSet(payload.ruleSet, room.mode, room.winLength);
+        if (err) {
+          if (changed) broadcastRoomState(io, room);
+          return cb?.({ ok: false, error: err });
+        }
+        if (room.ruleSet !== payload.ruleSet) { room.ruleSet = payload.ruleSet; changed = true; }
+      } else if (room.ruleSet === "renju" && validateRuleSet("renju", room.mode, room.winLength)) {
+        // 모드/N목 변경으로 렌주 조건이 깨지면 자유룰로
+        room.ruleSet = "freestyle";
+        changed = true;
+      }
       if (changed) broadcastRoomState(io, room);
       cb?.({ ok: true, room: publicRoom(room) });
     });
 
+    // ===== addBot (host only, lobby only) — 연습/빈 자리 채우기 =====
+    socket.on("omok:addBot", (payload, cb) => {
+      const room = rm.roomOf(me.id);
+      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
+      if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
+      if (room.status === "playing") return cb?.({ ok: false, error: "GAME_ALREADY_STARTED" });
+      if (room.players.size >= room.maxPlayers) return cb?.({ ok: false, error: "ROOM_FULL" });
+      const level = BOT_LEVELS.includes(payload?.difficulty) ? payload.difficulty : "normal";
+      const botId = `bot_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+      room.players.set(botId, newBotState(level));
+      room.playerOrder.push(botId);
+      reassignColorsAndTeams(room);
+      cb?.({ ok: true, botUserId: botId });
+      broadcastRoomState(io, room);
+    });
+
     // ===== startGame =====
     socket.on("omok:startGame", (_payload, cb) => {
-      const roomId = omokUserRoom.get(me.id);
-      const room = roomId ? omokRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status === "playing") return cb?.({ ok: false, error: "ALREADY_PLAYING" });
@@ -844,49 +1103,13 @@ export function registerOmok(io, supabaseAdmin) {
       const minNeeded = room.mode === "ffa" ? 2 : MODE_INFO[room.mode].players;
       if (room.players.size < minNeeded) return cb?.({ ok: false, error: "NOT_ENOUGH_PLAYERS", needed: minNeeded });
 
-      // ffa면 첫 진입자가 항상 첫 차례. 팀전이면 팀A 첫 사람부터.
-      room.status = "playing";
-      room.currentTurnIdx = 0;
-      room.turnCount = 0;
-      room.replayNext = false;
-      room.walls = new Map();
-      room.ghosts = new Map();
-      room.board = new Int8Array(room.boardSize * room.boardSize);
-      room.history = [];
-      room.lastMove = null;
-      room.winLine = null;
-      room.winnerUserId = null;
-      room.winnerTeam = null;
-
-      reassignColorsAndTeams(room);
-
-      // 초딩 모드: 시작 시 각 플레이어 카드 1장
-      if (room.specialMode === "kid") {
-        for (const uid of room.playerOrder) {
-          const p = room.players.get(uid);
-          if (p) {
-            p.cards = [drawRandomCard()];
-            emitMyCards(io, room, uid);
-          }
-        }
-      }
-
+      beginGame(io, room);
       cb?.({ ok: true });
-      io.to(socketRoomName(room.id)).emit("omok:gameStart", {
-        mode: room.mode,
-        specialMode: room.specialMode || "off",
-        boardSize: room.boardSize,
-        turnTimeSec: room.turnTimeSec,
-        winLength: room.winLength,
-        players: room.playerOrder.map(uid => publicPlayer(uid, room.players.get(uid))),
-      });
-      startTurn(io, room);
     });
 
     // ===== placeStone =====
     socket.on("omok:place", (payload, cb) => {
-      const roomId = omokUserRoom.get(me.id);
-      const room = roomId ? omokRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
       const x = Number(payload?.x);
@@ -897,8 +1120,7 @@ export function registerOmok(io, supabaseAdmin) {
 
     // ===== useCard (초딩 모드) =====
     socket.on("omok:useCard", (payload, cb) => {
-      const roomId = omokUserRoom.get(me.id);
-      const room = roomId ? omokRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
       if (room.specialMode !== "kid") return cb?.({ ok: false, error: "NOT_KID_MODE" });
@@ -912,6 +1134,7 @@ export function registerOmok(io, supabaseAdmin) {
 
       const result = applyCardEffect(io, room, me.id, cardId, payload || {});
       if (!result.ok) return cb?.(result);
+      recordReplay(room, "card", { userId: me.id, cardId, effect: result.effect || null });
 
       // 카드 소모
       player.cards.splice(cardIdx, 1);
@@ -960,7 +1183,8 @@ export function registerOmok(io, supabaseAdmin) {
         }
         for (const r of revealed) {
           io.to(socketRoomName(room.id)).emit("omok:ghostReveal", r);
-          const win = findWinLine(room.board, room.boardSize, r.x, r.y, r.color, room.winLength);
+          recordReplay(room, "ghostReveal", r);
+          const win = winLineFor(room, r.x, r.y, r.color);
           if (win) {
             room.winLine = win;
             room.winnerUserId = r.ownerId;
@@ -995,28 +1219,9 @@ export function registerOmok(io, supabaseAdmin) {
       startTurn(io, room);
     });
 
-    // ===== requestState =====
-    socket.on("omok:requestState", (_payload, cb) => {
-      const roomId = omokUserRoom.get(me.id);
-      const room = roomId ? omokRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      socket.join(socketRoomName(room.id));
-      // 진행중이라면 보드 전체 + history 함께 보내서 즉시 복원 가능
-      const payload = {
-        ok: true,
-        room: publicRoom(room),
-      };
-      if (room.status === "playing" || room.status === "ended") {
-        payload.boardArray = Array.from(room.board);
-        payload.history = room.history.slice(0);
-      }
-      cb?.(payload);
-    });
-
     // ===== changeMySlot — 본인 팀/색 변경 (lobby에서만) =====
     socket.on("omok:changeMySlot", (payload, cb) => {
-      const roomId = omokUserRoom.get(me.id);
-      const room = roomId ? omokRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
       const p = room.players.get(me.id);
@@ -1083,8 +1288,7 @@ export function registerOmok(io, supabaseAdmin) {
 
     // ===== reshuffleTeams — 호스트가 팀 랜덤 재배정 =====
     socket.on("omok:reshuffleTeams", (_payload, cb) => {
-      const roomId = omokUserRoom.get(me.id);
-      const room = roomId ? omokRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
@@ -1095,87 +1299,12 @@ export function registerOmok(io, supabaseAdmin) {
       broadcastRoomState(io, room);
     });
 
-    // ===== leaveRoom =====
-    socket.on("omok:leaveRoom", (_payload, cb) => {
-      const roomId = omokUserRoom.get(me.id);
-      const room = roomId ? omokRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      leavePlayer(io, room, me.id, false);
-      socket.leave(socketRoomName(room.id));
-      cb?.({ ok: true });
-    });
-
-    socket.on("omok:kickPlayer", (payload, cb) => {
-      const roomId = omokUserRoom.get(me.id);
-      const room = roomId ? omokRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
-      if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
-      const targetId = String(payload?.targetUserId || "");
-      if (!targetId || targetId === me.id) return cb?.({ ok: false, error: "INVALID_TARGET" });
-      if (!room.players.has(targetId)) return cb?.({ ok: false, error: "TARGET_NOT_IN_ROOM" });
-      const target = room.players.get(targetId);
-      if (target?.socketId) io.to(target.socketId).emit("omok:kicked", { reason: "KICKED_BY_HOST" });
-      leavePlayer(io, room, targetId, false);
-      cb?.({ ok: true });
-    });
-
-    socket.on("disconnect", () => {
-      const roomId = omokUserRoom.get(me.id);
-      const room = roomId ? omokRooms.get(roomId) : null;
-      if (!room) return;
-      const p = room.players.get(me.id);
-      if (!p) return;
-      p.connected = false;
-
-      if (room.status === "lobby") {
-        // 로비에선 즉시 제거
-        leavePlayer(io, room, me.id, false);
-      } else if (room.status === "playing") {
-        // 진행중: 자기 차례면 즉시 패스, 아니면 그냥 끊김 표시
-        const turnUid = room.playerOrder[room.currentTurnIdx];
-        if (turnUid === me.id) {
-          clearTurnTimer(room);
-          io.to(socketRoomName(room.id)).emit("omok:turnPass", {
-            userId: me.id,
-            name: p.name,
-            timedOut: false,
-            disconnected: true,
-          });
-          room.currentTurnIdx = (room.currentTurnIdx + 1) % room.playerOrder.length;
-          startTurn(io, room);
-        }
-        broadcastRoomState(io, room);
-        // 모두 끊기면 일정 시간 뒤 정리
-        const anyConnected = room.playerOrder.some(uid => room.players.get(uid)?.connected);
-        if (!anyConnected) {
-          clearEmptyRoomTimer(room);
-          room.emptyRoomTimer = setTimeout(() => deleteRoom(io, room, "ALL_DISCONNECTED"), EMPTY_ROOM_TTL_MS);
-        }
-      }
-    });
+    rm.attach(io, socket);
   });
 }
 
-function leavePlayer(io, room, userId, forced) {
-  if (!room.players.has(userId)) return;
-  const wasHost = room.hostUserId === userId;
-  const wasTurn = room.status === "playing" && room.playerOrder[room.currentTurnIdx] === userId;
-  const leaveIdx = room.playerOrder.indexOf(userId);
-
-  room.players.delete(userId);
-  room.playerOrder = room.playerOrder.filter(u => u !== userId);
-  if (omokUserRoom.get(userId) === room.id) omokUserRoom.delete(userId);
-
-  if (room.playerOrder.length === 0) {
-    deleteRoom(io, room, "EMPTY");
-    return;
-  }
-
-  if (wasHost) {
-    room.hostUserId = room.playerOrder[0];
-  }
-
+// 퇴장 후처리 (rm.leavePlayer → afterLeave) — 제거/호스트 위임/빈 방 정리는 매니저가 끝낸 상태
+function afterLeave(io, room, { wasTurn, leaveIdx }) {
   if (room.status === "lobby") {
     reassignColorsAndTeams(room);
   } else if (room.status === "playing") {
@@ -1190,8 +1319,6 @@ function leavePlayer(io, room, userId, forced) {
       clearTurnTimer(room);
       startTurn(io, room);
     }
-    // 남은 인원이 모드 최소 인원보다 적으면 무승부 종료
-    const minNeeded = room.mode === "ffa" ? 2 : MODE_INFO[room.mode].players;
     if (room.playerOrder.filter(uid => room.players.get(uid)?.connected).length < 2) {
       // 한 명만 남으면 그 사람 승리
       const survivor = room.playerOrder.find(uid => room.players.get(uid)?.connected);
@@ -1199,11 +1326,11 @@ function leavePlayer(io, room, userId, forced) {
         room.winnerUserId = survivor;
         room.winnerTeam = room.players.get(survivor)?.team;
         endGame(io, room, null, "OPPONENT_LEFT");
-        return;
+        return true;
       }
     }
   }
-  broadcastRoomState(io, room);
+  return false;
 }
 
 // 색 메타 export (테스트/디버그용)
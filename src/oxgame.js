@@ -1,7 +1,8 @@
 // =========================
 // 우리방 OX (서버) — v0.1
 // 동시 OX + 친구 답 예측 모드
-// 'ox:*' 이벤트 prefix, 별도 Map (oxRooms)
+// 'ox:*' 이벤트 prefix
+// 방 수명주기(초대코드/빈 방 TTL/퇴장/강퇴/재요청)는 room-manager.js 공용 매니저
 // =========================
 
 import {
@@ -11,10 +12,21 @@ import {
   getOxCategoriesByLang,
   getOxQuestionsByLang,
 } from "./oxgame-questions.js";
-
-const oxRooms = new Map();
-const oxInvites = new Map();
-const oxUserRoom = new Map();
+import { createRoomManager } from "./room-manager.js";
+import { roomNotFoundReply } from "./cluster.js";
+
+const rm = createRoomManager({
+  prefix: "ox",
+  publicRoom,
+  clearTimers: clearRoundTimer,
+  afterLeave: (io, room) => { maybeFinishInput(io, room); },
+  onDisconnect: (io, room) => {
+    if (room.status !== "playing") return;
+    broadcastRoomState(io, room);
+    maybeFinishInput(io, room);
+  },
+});
+const { socketRoomName, broadcastRoomState, deleteRoom } = rm;
 
 const ALLOWED_INPUT_SECS = [30, 45, 60, 90, 120];
 const ALLOWED_ROUNDS = [3, 5, 7];
@@ -23,7 +35,6 @@ const ALLOWED_LANGS = ["ko", "ja", "en"];
 const MIN_PLAYERS = 2;
 const RESULT_DELAY_MS = 6500;
 const ROUND_INTRO_MS = 1500;
-const EMPTY_ROOM_TTL_MS = 30_000;
 
 const CATEGORY_IDS = Object.keys(OX_QUESTIONS);
 function isValidCategory(c) { return c === "random" || !!OX_QUESTIONS[c]; }
@@ -34,15 +45,7 @@ function resolveCategory(roomCat) {
 }
 
 // ===== util =====
-function genInviteCode() {
-  for (let i = 0; i < 50; i++) {
-    const c = String(Math.floor(Math.random() * 1_000_000)).padStart(6, "0");
-    if (!oxInvites.has(c)) return c;
-  }
-  return String(Math.floor(Math.random() * 10_000_000)).padStart(7, "0");
-}
 function pickRandom(arr) { return arr[Math.floor(Math.random() * arr.length)]; }
-function socketRoomName(roomId) { return `ox:${roomId}`; }
 function clearRoundTimer(room) {
   if (room?.roundData?.timer) {
     clearTimeout(room.roundData.timer);
@@ -53,12 +56,6 @@ function clearRoundTimer(room) {
     room.phaseTimer = null;
   }
 }
-function clearEmptyRoomTimer(room) {
-  if (room?.emptyRoomTimer) {
-    clearTimeout(room.emptyRoomTimer);
-    room.emptyRoomTimer = null;
-  }
-}
 
 // ===== state =====
 function newPlayerState(name, isGuest, avatarUrl, socketId) {
@@ -107,23 +104,6 @@ function publicRoom(room) {
   };
 }
 
-function broadcastRoomState(io, room) {
-  io.to(socketRoomName(room.id)).emit("ox:roomState", publicRoom(room));
-}
-
-function deleteRoom(io, room, reason) {
-  clearRoundTimer(room);
-  clearEmptyRoomTimer(room);
-  oxRooms.delete(room.id);
-  oxInvites.delete(room.inviteCode);
-  for (const uid of room.playerOrder) {
-    if (oxUserRoom.get(uid) === room.id) oxUserRoom.delete(uid);
-  }
-  io.to(socketRoomName(room.id)).emit("ox:roomClosed", { reason });
-  io.in(socketRoomName(room.id)).socketsLeave(socketRoomName(room.id));
-  console.log(`[ox] room ${room.id} deleted: ${reason}`);
-}
-
 // ===== game flow =====
 function startNextRound(io, room) {
   if (room.status !== "playing") return;
@@ -340,26 +320,14 @@ function endGame(io, room) {
 }
 
 // ===== leave =====
-function leavePlayer(io, room, userId) {
-  if (!room.players.has(userId)) return;
-  const wasHost = room.hostUserId === userId;
-
-  room.players.delete(userId);
-  room.playerOrder = room.playerOrder.filter(u => u !== userId);
-  if (oxUserRoom.get(userId) === room.id) oxUserRoom.delete(userId);
-
-  if (room.playerOrder.length === 0) return deleteRoom(io, room, "EMPTY");
-  if (wasHost) room.hostUserId = room.playerOrder[0];
-
-  if (room.status === "playing" && room.roundData?.phase === "input") {
-    // 미답자가 나가면 모두 완료 가능성
-    const connectedUids = room.playerOrder.filter(uid => room.players.get(uid)?.connected);
-    if (room.roundData.finished.size >= connectedUids.length && connectedUids.length > 0) {
-      clearRoundTimer(room);
-      finishRound(io, room, false);
-    }
+// 입력 단계에서 미답자가 나가거나 끊기면 모두 완료 가능성
+function maybeFinishInput(io, room) {
+  if (room.status !== "playing" || room.roundData?.phase !== "input") return;
+  const connectedUids = room.playerOrder.filter(uid => room.players.get(uid)?.connected);
+  if (connectedUids.length > 0 && room.roundData.finished.size >= connectedUids.length) {
+    clearRoundTimer(room);
+    finishRound(io, room, false);
   }
-  broadcastRoomState(io, room);
 }
 
 // ===== handlers =====
@@ -371,10 +339,7 @@ export function registerOxGame(io, supabaseAdmin) {
     socket.on("ox:createRoom", async (payload, cb) => {
       try {
         if (me.isGuest) return cb?.({ ok: false, error: "GUEST_CANNOT_CREATE" });
-        if (oxUserRoom.has(me.id)) {
-          const old = oxRooms.get(oxUserRoom.get(me.id));
-          if (old) leavePlayer(io, old, me.id);
-        }
+        rm.leaveCurrentRoom(io, me.id);
 
         const totalRounds = ALLOWED_ROUNDS.includes(Number(payload?.totalRounds))
           ? Number(payload.totalRounds) : 5;
@@ -385,8 +350,8 @@ export function registerOxGame(io, supabaseAdmin) {
         const category = isValidCategory(payload?.category) ? payload.category : "random";
         const lang = isValidLang(payload?.lang) ? payload.lang : "ko";
 
-        const roomId = `ox_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
-        const inviteCode = genInviteCode();
+        const roomId = rm.newRoomId("ox");
+        const inviteCode = rm.genInviteCode();
 
         const room = {
           id: roomId,
@@ -407,8 +372,7 @@ export function registerOxGame(io, supabaseAdmin) {
           emptyRoomTimer: null,
           seenQuestionIds: new Set(),
         };
-        oxRooms.set(roomId, room);
-        oxInvites.set(inviteCode, roomId);
+        rm.addRoom(room);
 
         let avatar = null;
         let nick = payload?.nickname;
@@ -420,8 +384,7 @@ export function registerOxGame(io, supabaseAdmin) {
 
         room.players.set(me.id, newPlayerState(nick || "방장", false, avatar, socket.id));
         room.playerOrder.push(me.id);
-        oxUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -434,19 +397,14 @@ export function registerOxGame(io, supabaseAdmin) {
 
     socket.on("ox:joinRoom", async (payload, cb) => {
       try {
-        const code = String(payload?.inviteCode || "").trim();
-        const roomId = oxInvites.get(code);
-        const room = roomId ? oxRooms.get(roomId) : null;
-        if (!room) return cb?.({ ok: false, error: "ROOM_NOT_FOUND" });
+        const room = rm.findByInvite(payload?.inviteCode);
+        if (!room) return cb?.(roomNotFoundReply(rm.prefix, payload?.inviteCode));
+        const roomId = room.id;
         if (room.status !== "lobby") return cb?.({ ok: false, error: "GAME_ALREADY_STARTED" });
         if (room.players.size >= room.maxPlayers) return cb?.({ ok: false, error: "ROOM_FULL" });
 
         if (room.players.has(me.id)) {
-          const p = room.players.get(me.id);
-          p.connected = true;
-          p.socketId = socket.id;
-          socket.join(socketRoomName(roomId));
-          oxUserRoom.set(me.id, roomId);
+          rm.reconnect(socket, room, me.id);
           cb?.({ ok: true, roomId, inviteCode: room.inviteCode, room: publicRoom(room) });
           broadcastRoomState(io, room);
           return;
@@ -465,10 +423,8 @@ export function registerOxGame(io, supabaseAdmin) {
 
         room.players.set(me.id, newPlayerState(playerName, !!me.isGuest, avatar, socket.id));
         room.playerOrder.push(me.id);
-        oxUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
+        rm.seat(socket, room, me.id);
 
-        clearEmptyRoomTimer(room);
         cb?.({ ok: true, roomId, inviteCode: room.inviteCode, room: publicRoom(room) });
         broadcastRoomState(io, room);
       } catch (e) {
@@ -478,8 +434,7 @@ export function registerOxGame(io, supabaseAdmin) {
     });
 
     socket.on("ox:setOptions", (payload, cb) => {
-      const roomId = oxUserRoom.get(me.id);
-      const room = roomId ? oxRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "GAME_ALREADY_STARTED" });
@@ -501,8 +456,7 @@ export function registerOxGame(io, supabaseAdmin) {
     });
 
     socket.on("ox:setMaxPlayers", (payload, cb) => {
-      const roomId = oxUserRoom.get(me.id);
-      const room = roomId ? oxRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "GAME_IN_PROGRESS" });
@@ -518,8 +472,7 @@ export function registerOxGame(io, supabaseAdmin) {
     });
 
     socket.on("ox:startGame", (_payload, cb) => {
-      const roomId = oxUserRoom.get(me.id);
-      const room = roomId ? oxRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status === "playing") return cb?.({ ok: false, error: "ALREADY_PLAYING" });
@@ -542,8 +495,7 @@ export function registerOxGame(io, supabaseAdmin) {
     });
 
     socket.on("ox:submitAnswer", (payload, cb) => {
-      const roomId = oxUserRoom.get(me.id);
-      const room = roomId ? oxRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.status !== "playing" || !room.roundData) return cb?.({ ok: false, error: "NOT_PLAYING" });
       if (room.roundData.phase !== "input") return cb?.({ ok: false, error: "NOT_INPUT_PHASE" });
@@ -555,8 +507,7 @@ export function registerOxGame(io, supabaseAdmin) {
 
     // ✅ 호스트 수동 다음 라운드 진행
     socket.on("ox:nextRound", (_payload, cb) => {
-      const roomId = oxUserRoom.get(me.id);
-      const room = roomId ? oxRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
@@ -573,67 +524,6 @@ export function registerOxGame(io, supabaseAdmin) {
       }
     });
 
-    socket.on("ox:leaveRoom", (_payload, cb) => {
-      const roomId = oxUserRoom.get(me.id);
-      const room = roomId ? oxRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      socket.leave(socketRoomName(room.id));
-      leavePlayer(io, room, me.id);
-      cb?.({ ok: true });
-    });
-
-    socket.on("ox:kickPlayer", (payload, cb) => {
-      const roomId = oxUserRoom.get(me.id);
-      const room = roomId ? oxRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
-      if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
-      const targetId = String(payload?.targetUserId || "");
-      if (!targetId || targetId === me.id) return cb?.({ ok: false, error: "INVALID_TARGET" });
-      if (!room.players.has(targetId)) return cb?.({ ok: false, error: "TARGET_NOT_IN_ROOM" });
-      const target = room.players.get(targetId);
-      if (target?.socketId) io.to(target.socketId).emit("ox:kicked", { reason: "KICKED_BY_HOST" });
-      leavePlayer(io, room, targetId);
-      cb?.({ ok: true });
-    });
-
-    socket.on("ox:requestState", (_payload, cb) => {
-      const roomId = oxUserRoom.get(me.id);
-      const room = roomId ? oxRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      const p = room.players.get(me.id);
-      if (p) { p.socketId = socket.id; p.connected = true; }
-      socket.join(socketRoomName(room.id));
-      cb?.({ ok: true, room: publicRoom(room) });
-    });
-
-    socket.on("disconnect", () => {
-      const roomId = oxUserRoom.get(me.id);
-      const room = roomId ? oxRooms.get(roomId) : null;
-      if (!room) return;
-      const p = room.players.get(me.id);
-      if (!p) return;
-      p.connected = false;
-
-      if (room.status === "lobby") {
-        leavePlayer(io, room, me.id);
-      } else if (room.status === "playing") {
-        broadcastRoomState(io, room);
-        const anyConnected = room.playerOrder.some(uid => room.players.get(uid)?.connected);
-        if (!anyConnected) {
-          clearEmptyRoomTimer(room);
-          room.emptyRoomTimer = setTimeout(() => deleteRoom(io, room, "ALL_DISCONNECTED"), EMPTY_ROOM_TTL_MS);
-        } else {
-          // 입력 단계에서 미답자가 끊기면 모두 완료 가능성
-          if (room.roundData?.phase === "input") {
-            const connectedUids = room.playerOrder.filter(uid => room.players.get(uid)?.connected);
-            if (connectedUids.length > 0 && room.roundData.finished.size >= connectedUids.length) {
-              clearRoundTimer(room);
-              finishRound(io, room, false);
-            }
-          }
-        }
-      }
-    });
+    rm.attach(io, socket);
   });
 }
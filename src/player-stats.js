@@ -0,0 +1,215 @@
+// =========================
+// DUO GAME ZONE — 통합 플레이어 프로필 통계
+// 흩어져 있는 기록을 한 번에 모아 GET /profile/:userId/stats 로 제공:
+//   멀티 대전  — game_match_results / game_match_stats_v (omok/makak/suspect/cg/yacht/bp 승패)
+//               + game_ratings (큐별 레이팅)
+//   점수 게임  — merge/dodge/gachatd/apple/memory/blockblast *_scores
+//               최고 기록/순위는 리더보드와 같은 정렬 (fetchMyBest — merge 챌린지는 클리어 시간 순)
+//               판수는 판마다 row가 쌓이는 테이블만 (유저당 1 row UPSERT 테이블은 played = null)
+//   콘텐츠     — play_history (월드컵/퀴즈), tier_instances (티어)
+// 최근 기록(recent)은 모든 출처를 시간순으로 합침. 콘텐츠 플레이 내역은 본인 조회일 때만 포함.
+// =========================
+
+import { inflateRd, PROVISIONAL_GAMES } from "./ratings.js";
+import { fetchMyBest, leaderboardConfig, parsePartition } from "./leaderboards.js";
+
+const MATCH_GAMES = ["omok", "makak", "suspect", "cg", "yacht", "bp"];
+
+// 점수 게임 — variant: 난이도처럼 최고 기록을 따로 보는 리더보드 파티션
+const SCORE_GAMES = [
+  { game: "merge", table: "merge_scores", variant: "mode" },
+  { game: "dodge", table: "dodge_scores" },
+  { game: "gachatd", table: "gachatd_scores" },
+  { game: "apple", table: "apple_scores" },
+  { game: "memory", table: "memory_scores", variant: "difficulty" },
+  { game: "blockblast", table: "blockblast_scores" },
+];
+
+const SCORE_RECENT_LIMIT = 5;
+const RECENT_LIMIT = 20;
+
+let db = null;
+
+/** index.js에서 1회 — supabaseAdmin 주입 */
+export function initPlayerStats(supabaseAdmin) {
+  db = supabaseAdmin;
+}
+
+async function matchStats(userId) {
+  const [{ data: agg, error }, { data: ratings, error: rErr }, { data: recent, error: hErr }] = await Promise.all([
+    db.from("game_match_stats_v")
+      .select("game, games, wins, losses, draws, last_played_at")
+      .eq("user_id", userId),
+    db.from("game_ratings")
+      .select("game, queue, rating, rd, games, last_played_at")
+      .eq("user_id", userId),
+    db.from("game_match_results")
+      .select("game, match_id, result, rank, players, rated, created_at")
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false })
+      .limit(RECENT_LIMIT),
+  ]);
+  if (error || rErr || hErr) throw error || rErr || hErr;
+
+  const games = {};
+  for (const g of MATCH_GAMES) {
+    games[g] = { kind: "match", played: 0, wins: 0, losses: 0, draws: 0, winRate: null, lastPlayedAt: null, ratings: [] };
+  }
+  for (const r of agg || []) {
+    const s = games[r.game];
+    if (!s) continue;
+    Object.assign(s, {
+      played: r.games, wins: r.wins, losses: r.losses, draws: r.draws,
+      winRate: r.games > 0 ? Math.round((r.wins / r.games) * 1000) / 10 : null,
+      lastPlayedAt: r.last_played_at,
+    });
+  }
+  for (const r of ratings || []) {
+    games[r.game]?.ratings.push({
+      queue: r.queue,
+      rating: Math.round(Number(r.rating)),
+      rd: Math.round(inflateRd(Number(r.rd), r.last_played_at)),
+      games: r.games,
+      provisional: r.games < PROVISIONAL_GAMES,
+    });
+  }
+  const recentRows = (recent || []).map(r => ({
+    kind: "match", game: r.game, matchId: r.match_id, result: r.result,
+    rank: r.rank, players: r.players, rated: r.rated, at: r.created_at,
+  }));
+  return { games, recent: recentRows };
+}
+
+// 파티션별 최고 기록 — variant 없으면 파티션 하나 (기본값)
+async function bestByPartition(def, userId) {
+  const lb = leaderboardConfig(def.game);
+  const values = def.variant ? lb.partitions[def.variant].values : [null];
+  return Promise.all(values.map(async (v) => {
+    const { partition } = parsePartition(def.game, def.variant ? { [def.variant]: v } : {});
+    const { row, rank } = await fetchMyBest(def.game, { partition, userId });
+    return { key: v, scoreFirst: lb.order(partition)[0].col === "score", row, rank };
+  }));
+}
+
+async function scoreStats(def, userId) {
+  const perPlay = !leaderboardConfig(def.game).onePerUser;
+  const cols = ["score", "created_at", def.variant].filter(Boolean).join(", ");
+  const [{ data, count, error }, bests] = await Promise.all([
+    db.from(def.table)
+      .select(cols, perPlay ? { count: "exact" } : undefined)
+      .eq("user_id", userId).eq("flagged", false)
+      .order("created_at", { ascending: false })
+      .limit(SCORE_RECENT_LIMIT),
+    bestByPartition(def, userId),
+  ]);
+  if (error) throw error;
+  const rows = data || [];
+  const s = {
+    kind: "score",
+    played: perPlay ? (count ?? 0) : null,
+    bestScore: null, bestAt: null, rank: null,
+    lastPlayedAt: rows[0]?.created_at || null,
+  };
+  // 대표 최고점: 점수순 파티션 중 최고 (merge 챌린지처럼 시간순인 파티션은 bestBy 에만)
+  for (const b of bests) {
+    if (!b.row || !b.scoreFirst) continue;
+    if (s.bestScore == null || b.row.score > s.bestScore) {
+      s.bestScore = b.row.score; s.bestAt = b.row.created_at; s.rank = b.rank;
+    }
+  }
+  if (def.variant) {
+    s.bestBy = {};
+    for (const b of bests) {
+      if (!b.row) continue;
+      s.bestBy[b.key] = {
+        score: b.row.score,
+        ...(b.row.duration_sec != null ? { durationSec: b.row.duration_sec } : {}),
+        rank: b.rank,
+        at: b.row.created_at,
+      };
+    }
+  }
+  const recent = rows.map(r => ({
+    kind: "score", game: def.game, score: r.score,
+    ...(def.variant ? { [def.variant]: r[def.variant] } : {}),
+    at: r.created_at,
+  }));
+  return { stats: s, recent };
+}
+
+async function contentStats(userId, includeRecent) {
+  const count = (q) => q.then(({ count: n, error }) => { if (error) throw error; return n || 0; });
+  const [worldcup, quiz, tier, recent] = await Promise.all([
+    count(db.from("play_history").select("id", { count: "exact", head: true }).eq("user_id", userId).eq("content_type", "worldcup")),
+    count(db.from("play_history").select("id", { count: "exact", head: true }).eq("user_id", userId).eq("content_type", "quiz")),
+    count(db.from("tier_instances").select("id", { count: "exact", head: true }).eq("user_id", userId)),
+    includeRecent
+      ? db.from("play_history")
+        .select("content_id, content_type, mode, played_at, contents ( title, thumbnail_url )")
+        .eq("user_id", userId)
+        .order("played_at", { ascending: false })
+        .limit(RECENT_LIMIT)
+        .then(({ data, error }) => { if (error) throw error; return data || []; })
+      : Promise.resolve([]),
+  ]);
+  return {
+    content: { worldcup: { played: worldcup }, quiz: { played: quiz }, tier: { played: tier } },
+    recent: recent.map(h => ({
+      kind: "content", contentType: h.content_type, contentId: h.content_id, mode: h.mode,
+      title: h.contents?.title || "삭제된 콘텐츠",
+      thumbnail_url: h.contents?.thumbnail_url || null,
+      at: h.played_at,
+    })),
+  };
+}
+
+/**
+ * 통합 프로필 통계
+ * @param {string} userId
+ * @param {object} [o]
+ * @param {boolean} [o.includeContentHistory]  콘텐츠 플레이 내역(recent) 포함 — 본인 조회용
+ * @returns {Promise<{error?, notFound?, stats?}>}
+ */
+export async function fetchPlayerStats(userId, { includeContentHistory = false } = {}) {
+  try {
+    const { data: profile, error: pErr } = await db.from("profiles")
+      .select("id, nickname, avatar_url").eq("id", userId).maybeSingle();
+    if (pErr) return { error: pErr };
+    if (!profile) return { notFound: true };
+
+    const [match, scores, content] = await Promise.all([
+      matchStats(userId),
+      Promise.all(SCORE_GAMES.map(def => scoreStats(def, userId))),
+      contentStats(userId, includeContentHistory),
+    ]);
+
+    const games = { ...match.games };
+    SCORE_GAMES.forEach((def, i) => { games[def.game] = scores[i].stats; });
+
+    const recent = [...match.recent, ...scores.flatMap(s => s.recent), ...content.recent]
+      .sort((a, b) => new Date(b.at) - new Date(a.at))
+      .slice(0, RECENT_LIMIT);
+
+    const gameList = Object.values(games);
+    const totals = {
+      gamesPlayed: gameList.reduce((n, g) => n + (g.played ?? 0), 0),
+      matchesPlayed: MATCH_GAMES.reduce((n, g) => n + games[g].played, 0),
+      matchWins: MATCH_GAMES.reduce((n, g) => n + games[g].wins, 0),
+      contentPlays: content.content.worldcup.played + content.content.quiz.played + content.content.tier.played,
+    };
+
+    return {
+      stats: {
+        userId,
+        nickname: profile.nickname || null,
+        avatar_url: profile.avatar_url || null,
+        totals,
+        games,
+        content: content.content,
+        recent,
+      },
+    };
+  } catch (e) {
+    return { error: e };
+  }
+}
@@ -0,0 +1,156 @@
+// =========================
+// 퀴즈 문항 분석 (제작자용) — 문항마다 정답률 / 답변 시간 중앙값 / 많이 나온 오답
+// 기록: quiz_answer_events 에 플레이어 × 문항 1 row
+//   멀티  doQuizReveal 시점 서버 기록 (source = multi) — 게스트는 user_id 없이
+//   솔로  POST /quiz/finish 의 questionResults (source = solo, mode=multi 제출은 서버 기록과 중복이라 제외)
+// 답은 answer_key 로 정규화해서 묶음 (주관식: 소문자 + 공백 정리, 객관식: 보기 인덱스, 복수 선택/순서: 인덱스 목록)
+// 집계: get_quiz_answer_analytics RPC (sql/schema_quiz_analytics.sql), 보기 라벨은 여기서 붙임
+// 사용: GET /my/contents/:id/quiz-analytics (index.js)
+// =========================
+
+export const ANALYTICS_SOURCES = ["solo", "multi"];
+export const TOP_WRONG_ANSWERS = 5;
+
+// 정답률이 이보다 낮고 시도가 충분하면 "너무 어려운 문항"
+const TOO_HARD_RATE_PCT = 30;
+const TOO_HARD_MIN_ATTEMPTS = 10;
+const MAX_KEY_LENGTH = 100;
+const MAX_ANSWER_MS = 10 * 60 * 1000;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+let db = null;
+
+/** index.js에서 1회 — supabaseAdmin 주입 */
+export function initQuizAnalytics(supabaseAdmin) {
+  db = supabaseAdmin;
+}
+
+/**
+ * 답 → 묶음 키 (무응답이면 null)
+ * @param {object} question  { type, choices }
+ */
+export function answerKey(question, answer) {
+  if (answer === null || answer === undefined || answer === "") return null;
+  let key;
+  switch (question.type) {
+    case "mcq": {
+      const i = Number(answer);
+      key = Number.isInteger(i) ? String(i) : null;
+      break;
+    }
+    case "multi_select":
+      key = Array.isArray(answer)
+        ? [...new Set(answer.map(Number).filter(Number.isInteger))].sort((a, b) => a - b).join(",")
+        : null;
+      break;
+    case "ordering":
+      key = Array.isArray(answer) ? answer.map(Number).join(",") : null;
+      break;
+    case "classification":
+      // 카드 인덱스 순서대로 고른 카테고리
+      key = typeof answer === "object"
+        ? (question.choices || []).map((_, i) => answer[String(i)] ?? "").join("|")
+        : null;
+      break;
+    case "estimate": {
+      const n = typeof answer === "string" ? Number(answer.replace(/[,\s]/g, "")) : Number(answer);
+      key = Number.isFinite(n) ? String(n) : null;
+      break;
+    }
+    default:
+      key = String(answer).normalize("NFKC").trim().toLowerCase().replace(/\s+/g, " ");
+  }
+  return key ? key.slice(0, MAX_KEY_LENGTH) : null;
+}
+
+// 묶음 키 → 사람이 읽을 답
+function answerLabel(question, key) {
+  const choices = question.choices || [];
+  const text = (c) => (typeof c === "string" ? c : (c?.text ?? ""));
+  if (question.type === "mcq") return text(choices[Number(key)]) || key;
+  if (question.type === "multi_select") return key.split(",").map(i => text(choices[Number(i)])).join(", ");
+  if (question.type === "ordering") return key.split(",").map(i => text(choices[Number(i)])).join(" → ");
+  return key;
+}
+
+/**
+ * 답변 기록 (실패해도 게임 진행엔 영향 없음 — 로그만)
+ * @param {object[]} events  { contentId, questionId, question, source, userId, answer, isCorrect, score, answerMs }
+ */
+export async function recordAnswerEvents(events) {
+  const rows = events
+    .filter(e => e.contentId && e.questionId && ANALYTICS_SOURCES.includes(e.source))
+    .map(e => {
+      const score = Number(e.score);
+      const ms = Number(e.answerMs);
+      return {
+        content_id: e.contentId,
+        question_id: e.questionId,
+        source: e.source,
+        user_id: e.userId && UUID_RE.test(e.userId) ? e.userId : null,
+        answer_key: answerKey(e.question, e.answer),
+        is_correct: !!e.isCorrect,
+        score: Number.isFinite(score) ? Math.min(1, Math.max(0, score)) : (e.isCorrect ? 1 : 0),
+        answer_ms: Number.isFinite(ms) && ms >= 0 ? Math.min(Math.round(ms), MAX_ANSWER_MS) : null,
+      };
+    });
+  if (rows.length === 0) return;
+  const { error } = await db.from("quiz_answer_events").insert(rows);
+  if (error) console.warn("[quiz-analytics] insert error:", error.message || error);
+}
+
+/**
+ * 문항별 분석
+ * @param {string} contentId
+ * @param {object[]} questions  quiz_questions rows (sort_order 순)
+ * @param {object} [o]
+ * @param {string|null} [o.source]  solo | multi | null(전체)
+ * @returns {Promise<{summary, questions}>}  실패 시 throw
+ */
+export async function fetchQuizAnalytics(contentId, questions, { source = null } = {}) {
+  const { data, error } = await db.rpc("get_quiz_answer_analytics", {
+    p_content_id: contentId,
+    p_source: source,
+    p_top: TOP_WRONG_ANSWERS,
+  });
+  if (error) throw error;
+  const byId = new Map((data || []).map(r => [r.question_id, r]));
+
+  const out = questions.map(q => {
+    const r = byId.get(q.id);
+    const attempts = r?.attempt_count ?? 0;
+    const correctRatePct = attempts > 0 ? Math.round((r.correct_count / attempts) * 1000) / 10 : null;
+    return {
+      questionId: q.id,
+      sortOrder: q.sort_order,
+      type: q.type,
+      prompt: q.prompt,
+      attempts,
+      correctCount: r?.correct_count ?? 0,
+      noAnswerCount: r?.no_answer_count ?? 0,
+      correctRatePct,
+      avgScorePct: attempts > 0 ? Math.round(Number(r.avg_score) * 1000) / 10 : null,
+      medianAnswerMs: r?.median_answer_ms != null ? Math.round(Number(r.median_answer_ms)) : null,
+      topWrongAnswers: (r?.top_wrong || []).map(w => ({
+        answer: answerLabel(q, w.answer_key),
+        key: w.answer_key,
+        count: w.count,
+        pct: Math.round((w.count / attempts) * 1000) / 10,
+      })),
+      tooHard: attempts >= TOO_HARD_MIN_ATTEMPTS && correctRatePct < TOO_HARD_RATE_PCT,
+    };
+  });
+
+  const answered = out.filter(q => q.attempts > 0);
+  return {
+    summary: {
+      questionCount: out.length,
+      answeredQuestionCount: answered.length,
+      tooHardCount: out.filter(q => q.tooHard).length,
+      hardestQuestionId: answered.length > 0
+        ? answered.reduce((a, b) => (b.correctRatePct < a.correctRatePct ? b : a)).questionId
+        : null,
+    },
+    questions: out,
+  };
+}
@@ -0,0 +1,158 @@
+// =========================
+// 주관식 정답 판정 — short / audio_youtube / video_youtube
+// 문제마다 quiz_questions.answer_match (jsonb, sql/schema_quiz_answer_match.sql) 로 조절:
+//   level        strict(기본) | normal | lenient
+//                strict  = 예전 그대로 (대소문자·공백만 무시, 완전 일치) — answer_match 가 없거나 비어 있으면 이것
+//                normal  = 정규화 + 짧은 오타 허용 / lenient = 더 많이 허용 — 제작자가 문제마다 직접 켬
+//   maxDistance  허용 편집 거리 직접 지정 (0~5, level 기본값 대신)
+//   choseong     한글 정답은 오타여도 초성 순서가 같아야 인정 (기본 true) — "아이유"/"아이우" O, "사과"/"사자" X
+//   numbers      숫자 정규화 (기본 true) — "1,000" = "1000", "3.0" = "3", "007" = "7"
+//   typoCredit   오타로 인정된 답의 점수 (0~1, 기본 1) — 완전 일치는 항상 1
+// 정규화: NFKC(전각→반각) + 소문자 + 공백/구두점 제거. 편집 거리는 한글을 자모로 풀어서 계산 (받침 하나 틀림 = 1)
+// 사용: index.js checkAnswer / doQuizReveal / 스피드 모드 / POST /quiz/finish
+// =========================
+
+export const ANSWER_MATCH_LEVELS = ["strict", "normal", "lenient"];
+
+const MAX_DISTANCE_CAP = 5;
+
+const CHO = ["ㄱ", "ㄲ", "ㄴ", "ㄷ", "ㄸ", "ㄹ", "ㅁ", "ㅂ", "ㅃ", "ㅅ", "ㅆ", "ㅇ", "ㅈ", "ㅉ", "ㅊ", "ㅋ", "ㅌ", "ㅍ", "ㅎ"];
+const JUNG = ["ㅏ", "ㅐ", "ㅑ", "ㅒ", "ㅓ", "ㅔ", "ㅕ", "ㅖ", "ㅗ", "ㅘ", "ㅙ", "ㅚ", "ㅛ", "ㅜ", "ㅝ", "ㅞ", "ㅟ", "ㅠ", "ㅡ", "ㅢ", "ㅣ"];
+const JONG = ["", "ㄱ", "ㄲ", "ㄳ", "ㄴ", "ㄵ", "ㄶ", "ㄷ", "ㄹ", "ㄺ", "ㄻ", "ㄼ", "ㄽ", "ㄾ", "ㄿ", "ㅀ", "ㅁ", "ㅂ", "ㅄ", "ㅅ", "ㅆ", "ㅇ", "ㅈ", "ㅊ", "ㅋ", "ㅌ", "ㅍ", "ㅎ"];
+const HANGUL_BASE = 0xac00;
+const HANGUL_LAST = 0xd7a3;
+
+/**
+ * answer_match 정규화 — 저장 전 / 채점 전 공용. 모르는 키는 버림
+ * @returns {{level, maxDistance: number|null, choseong: boolean, numbers: boolean, typoCredit: number}}
+ */
+export function normalizeAnswerMatch(raw) {
+  const o = raw && typeof raw === "object" ? raw : {};
+  const md = Number(o.maxDistance);
+  const credit = Number(o.typoCredit);
+  return {
+    level: ANSWER_MATCH_LEVELS.includes(o.level) ? o.level : "strict",
+    maxDistance: o.maxDistance != null && Number.isInteger(md) && md >= 0 ? Math.min(md, MAX_DISTANCE_CAP) : null,
+    choseong: o.choseong !== false,
+    numbers: o.numbers !== false,
+    typoCredit: Number.isFinite(credit) ? Math.min(1, Math.max(0, credit)) : 1,
+  };
+}
+
+function strictNorm(s) {
+  return String(s).trim().toLowerCase().replace(/\s+/g, "");
+}
+
+// 숫자 토큰: 천 단위 콤마 제거, 앞자리 0 제거, 소수점 뒤 0 제거
+function normalizeNumbers(s) {
+  return s.replace(/\d[\d,]*(?:\.\d+)?/g, (m) => {
+    const n = m.replace(/,/g, "");
+    const [int, frac = ""] = n.split(".");
+    const i = int.replace(/^0+(?=\d)/, "");
+    const f = frac.replace(/0+$/, "");
+    return f ? `${i}.${f}` : i;
+  });
+}
+
+function fuzzyNorm(s, opts) {
+  let t = String(s).normalize("NFKC").toLowerCase();
+  if (opts.numbers) t = normalizeNumbers(t);
+  return t.replace(/[^\p{L}\p{N}.]/gu, "").replace(/\.(?!\d)|(?<!\d)\./g, "");
+}
+
+/** 한글 음절 → 자모 배열, 그 외 문자는 그대로 1칸 */
+export function toJamo(s) {
+  const out = [];
+  for (const ch of s) {
+    const code = ch.codePointAt(0);
+    if (code >= HANGUL_BASE && code <= HANGUL_LAST) {
+      const k = code - HANGUL_BASE;
+      out.push(CHO[Math.floor(k / 588)], JUNG[Math.floor((k % 588) / 28)]);
+      if (k % 28) out.push(JONG[k % 28]);
+    } else {
+      out.push(ch);
+    }
+  }
+  return out;
+}
+
+/** 한글 음절의 초성만 (그 외 문자는 제외) */
+export function toChoseong(s) {
+  let out = "";
+  for (const ch of s) {
+    const code = ch.codePointAt(0);
+    if (code >= HANGUL_BASE && code <= HANGUL_LAST) out += CHO[Math.floor((code - HANGUL_BASE) / 588)];
+  }
+  return out;
+}
+
+// 편집 거리 (Levenshtein) — limit 를 넘으면 limit + 1 로 조기 종료
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (cur[j] < rowMin) rowMin = cur[j];
+    }
+    if (rowMin > limit) return limit + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// 정답 길이(자모 단위)에 따른 기본 허용 거리
+function allowedDistance(len, opts) {
+  if (opts.maxDistance != null) return opts.maxDistance;
+  if (opts.level === "lenient") return len < 3 ? 0 : Math.min(3, Math.floor(len / 4) + 1);
+  return len < 4 ? 0 : len < 10 ? 1 : 2;
+}
+
+/**
+ * 주관식 채점
+ * @param {string[]} answers   정답 + 동의어
+ * @param {*} userAnswer
+ * @param {object} [answerMatch]  quiz_questions.answer_match
+ * @returns {{correct: boolean, exact: boolean, score: number, matched: string|null, distance: number|null}}
+ */
+export function matchShortAnswer(answers, userAnswer, answerMatch) {
+  const miss = { correct: false, exact: false, score: 0, matched: null, distance: null };
+  if (userAnswer === null || userAnswer === undefined) return miss;
+  const list = (Array.isArray(answers) ? answers : [answers]).filter(a => a != null && String(a).trim() !== "");
+  const opts = normalizeAnswerMatch(answerMatch);
+
+  const strictUser = strictNorm(userAnswer);
+  for (const ans of list) {
+    if (strictNorm(ans) === strictUser) return { correct: true, exact: true, score: 1, matched: String(ans), distance: 0 };
+  }
+  if (opts.level === "strict" && opts.maxDistance == null) return miss;
+
+  const user = fuzzyNorm(userAnswer, opts);
+  if (!user) return miss;
+  const userJamo = toJamo(user);
+  const userNum = opts.numbers && /^\d+(\.\d+)?$/.test(user) ? Number(user) : null;
+
+  let best = null;
+  for (const ans of list) {
+    const norm = fuzzyNorm(ans, opts);
+    if (!norm) continue;
+    // 정규화 후 같으면 완전 일치로 취급 (공백/구두점/전각/숫자 표기 차이)
+    if (norm === user || (userNum !== null && /^\d+(\.\d+)?$/.test(norm) && Number(norm) === userNum)) {
+      return { correct: true, exact: true, score: 1, matched: String(ans), distance: 0 };
+    }
+    // 숫자 정답은 오타 허용 안 함 (100 ≠ 1000)
+    if (/^\d+(\.\d+)?$/.test(norm)) continue;
+    const jamo = toJamo(norm);
+    const limit = allowedDistance(jamo.length, opts);
+    if (limit === 0) continue;
+    const d = editDistance(jamo, userJamo, limit);
+    if (d > limit) continue;
+    if (opts.choseong && toChoseong(norm) !== toChoseong(user)) continue;
+    if (!best || d < best.distance) best = { matched: String(ans), distance: d };
+  }
+  if (!best) return miss;
+  // typoCredit 0 = 오타는 정답 처리 안 함
+  return { correct: opts.typoCredit > 0, exact: false, score: opts.typoCredit, matched: best.matched, distance: best.distance };
+}
@@ -0,0 +1,119 @@
+// =========================
+// 멀티 퀴즈 출제 순서 (room.quizOrder) + 문제 수 제한 (room.questionCount)
+//   random     — 기본값. 전부 셔플 (예전 동작)
+//   sequential — 제작자가 정한 sort_order 순
+//   adaptive   — 다음 문제를 그때그때 고름: 방의 누적 정답률이 높을수록 어려운 문제
+//                난이도 = 1 - 전체 정답률 (quiz_question_stats_v, 시도 적은 문항은 PRIOR 쪽으로 보정)
+// 문제 수 제한 N < 전체 M: N개를 무작위로 고르되 이 방에서 최근 판에 나온 문제는 뒤로 미룸
+//   (큰 퀴즈를 같은 방에서 다시 해도 새 문제 위주) — 안 나온 문제가 N개보다 적으면 나온 것 중 무작위로 채움
+// 상태는 plain object/배열만 (room-store 스냅샷)
+// 사용: index.js prepareQuizQuestions / quiz:next (pickNextAdaptive)
+// =========================
+
+export const QUIZ_ORDERS = ["random", "sequential", "adaptive"];
+
+// 통계 없는 문항 / 아직 문제를 안 푼 방의 기본 정답률
+const PRIOR_ACCURACY = 0.6;
+const PRIOR_WEIGHT = 5;
+// 방 정답률 0 → 난이도 TARGET_MIN, 1 → TARGET_MAX 인 문제를 노림
+const TARGET_MIN = 0.1;
+const TARGET_MAX = 0.9;
+// 방에서 기억하는 최근 출제 문항 수
+export const RECENT_QUESTION_LIMIT = 500;
+
+let db = null;
+
+/** index.js에서 1회 — supabaseAdmin 주입 */
+export function initQuizOrdering(supabaseAdmin) {
+  db = supabaseAdmin;
+}
+
+function shuffle(arr) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+/**
+ * 문항별 난이도 (0 쉬움 ~ 1 어려움) — 통계 없는 문항은 빠짐 (→ 1 - PRIOR_ACCURACY 로 취급)
+ * @returns {Promise<Object<string, number>>}  실패 시 throw
+ */
+export async function fetchQuestionDifficulty(contentId) {
+  const { data, error } = await db.from("quiz_question_stats_v")
+    .select("question_id, attempt_count, correct_count")
+    .eq("quiz_id", contentId);
+  if (error) throw error;
+  const out = {};
+  for (const r of data || []) {
+    const accuracy = ((r.correct_count || 0) + PRIOR_ACCURACY * PRIOR_WEIGHT) / ((r.attempt_count || 0) + PRIOR_WEIGHT);
+    out[r.question_id] = Math.round((1 - accuracy) * 1000) / 1000;
+  }
+  return out;
+}
+
+/**
+ * 문제 수 제한 — N개 무작위, 최근 출제(recentIds)는 후순위
+ * @returns {object[]}  고른 문제 (순서 무작위)
+ */
+export function pickQuestionSubset(questions, count, recentIds = []) {
+  const all = shuffle(questions.slice());
+  if (!(count > 0) || count >= all.length) return all;
+  const recent = new Set(recentIds);
+  const fresh = all.filter(q => !recent.has(q.id));
+  const seen = all.filter(q => recent.has(q.id));
+  return fresh.concat(seen).slice(0, count);
+}
+
+/**
+ * 출제 순서 적용 — adaptive 는 첫 문제만 방 기본 정답률 기준으로 고르고 나머지는 진행 중 pickNextAdaptive
+ */
+export function orderQuestions(order, questions, difficulty = {}) {
+  const qs = questions.slice();
+  if (order === "sequential") return qs.sort((a, b) => (a.sortOrder ?? 0) - (b.sortOrder ?? 0));
+  if (order === "adaptive") {
+    const first = pickAdaptiveIndex(qs, 0, difficulty, null);
+    [qs[0], qs[first]] = [qs[first], qs[0]];
+  }
+  return qs;
+}
+
+function difficultyOf(difficulty, q) {
+  return difficulty[q.id] ?? 1 - PRIOR_ACCURACY;
+}
+
+/** 방 누적 정답률 (평균 점수, PRIOR 보정) — stats = { answered, scoreSum } */
+function roomAccuracy(stats) {
+  const answered = stats?.answered || 0;
+  const scoreSum = stats?.scoreSum || 0;
+  return (scoreSum + PRIOR_ACCURACY * PRIOR_WEIGHT) / (answered + PRIOR_WEIGHT);
+}
+
+// fromIndex 이후 문제 중 목표 난이도에 가장 가까운 것의 인덱스 (동률은 앞쪽 = 셔플된 순서)
+function pickAdaptiveIndex(questions, fromIndex, difficulty, stats) {
+  const target = TARGET_MIN + (TARGET_MAX - TARGET_MIN) * roomAccuracy(stats);
+  let best = fromIndex;
+  let bestGap = Infinity;
+  for (let i = fromIndex; i < questions.length; i++) {
+    const gap = Math.abs(difficultyOf(difficulty, questions[i]) - target);
+    if (gap < bestGap) {
+      best = i;
+      bestGap = gap;
+    }
+  }
+  return best;
+}
+
+/**
+ * adaptive: questions[index] 자리에 다음 문제를 고르기 (남은 문제 안에서 자리 교환, 제자리 수정)
+ * @param {object[]} questions  room.quiz.questions
+ * @param {number} index        이제 낼 문제 인덱스
+ * @param {object} difficulty   fetchQuestionDifficulty 결과
+ * @param {object} stats        { answered, scoreSum } — 지금까지 방 전체 답변 수 / 점수 합
+ */
+export function pickNextAdaptive(questions, index, difficulty, stats) {
+  if (index >= questions.length - 1) return;
+  const pick = pickAdaptiveIndex(questions, index, difficulty, stats);
+  if (pick !== index) [questions[index], questions[pick]] = [questions[pick], questions[index]];
+}
@@ -0,0 +1,68 @@
+// =========================
+// 퀴즈 부분 점수 — estimate(근사치) / multi_select(복수 선택)
+//   estimate     quiz_questions.answer_match { tolerance | tolerancePct } 로 허용 범위 (sql/schema_quiz_estimate_multi_select.sql)
+//                범위 안이면 정답 처리 + 거리 비례 점수. 가장 가까운 사람 보너스(1점)는 index.js doQuizReveal
+//   multi_select 정답 전부 + 오답 0개면 정답, 아니면 맞게 고른 수 - 잘못 고른 수 비율로 부분 점수
+// 사용: index.js checkAnswer / doQuizReveal / POST /quiz/finish / 문제 저장 시 answer_match 정규화
+// =========================
+
+/** answer_match 정규화 (근사치) — 저장 전 / 채점 전 공용. 모르는 키는 버림 */
+export function normalizeEstimateMatch(raw) {
+  const o = raw && typeof raw === "object" ? raw : {};
+  const tolerance = Number(o.tolerance);
+  const tolerancePct = Number(o.tolerancePct);
+  return {
+    tolerance: o.tolerance != null && Number.isFinite(tolerance) && tolerance >= 0 ? tolerance : null,
+    tolerancePct: o.tolerancePct != null && Number.isFinite(tolerancePct) && tolerancePct >= 0 ? Math.min(tolerancePct, 100) : null,
+  };
+}
+
+/** 허용 범위 (절대값) — tolerance 우선, 없으면 정답의 tolerancePct% (기본 10%) */
+export function getEstimateBand(question) {
+  const value = Number(question.answer?.[0]);
+  const m = normalizeEstimateMatch(question.answerMatch);
+  if (m.tolerance != null) return m.tolerance;
+  return Math.abs(value) * (m.tolerancePct ?? 10) / 100;
+}
+
+/**
+ * 근사치 점수 — 정확히 맞히면 1, 허용 범위 안이면 거리에 따라 1 → 0.5, 밖이면 0
+ * @param {{answer: Array, answerMatch?: object}} question
+ * @param {*} userAnswer  숫자 또는 문자열 ("1,000" 처럼 콤마/공백 허용)
+ * @returns {{score: number, diff: number|null, inBand: boolean, band: number}}
+ */
+export function getEstimateScore(question, userAnswer) {
+  const value = Number(question.answer?.[0]);
+  const guess = typeof userAnswer === "string" ? Number(userAnswer.replace(/[,\s]/g, "")) : Number(userAnswer);
+  const band = getEstimateBand(question);
+  if (userAnswer === null || userAnswer === "" || !Number.isFinite(guess) || !Number.isFinite(value)) {
+    return { score: 0, diff: null, inBand: false, band };
+  }
+  const diff = Math.abs(guess - value);
+  const inBand = diff <= band;
+  const score = diff === 0 ? 1 : inBand ? Math.round((1 - (diff / band) * 0.5) * 100) / 100 : 0;
+  return { score, diff, inBand, band };
+}
+
+/**
+ * 복수 선택 부분 점수 — (맞게 고른 수 - 잘못 고른 수) / 정답 수, 0 미만은 0
+ * @param {{answer: Array, choices: Array}} question  answer = 정답 보기 인덱스들
+ * @param {*} userAnswer  고른 보기 인덱스 배열 (범위 밖/중복은 무시)
+ * @returns {{score: number, correctCount: number, wrongCount: number, totalItems: number}}
+ */
+export function getMultiSelectScore(question, userAnswer) {
+  const correct = new Set((question.answer || []).map(Number));
+  const total = correct.size;
+  if (!Array.isArray(userAnswer) || total === 0) return { score: 0, correctCount: 0, wrongCount: 0, totalItems: total };
+  const choiceCount = question.choices?.length || 0;
+  const picks = new Set(userAnswer.map(Number).filter(i => Number.isInteger(i) && i >= 0 && i < choiceCount));
+  let hit = 0;
+  for (const i of picks) if (correct.has(i)) hit++;
+  const wrong = picks.size - hit;
+  return {
+    score: Math.max(0, Math.round(((hit - wrong) / total) * 100) / 100),
+    correctCount: hit,
+    wrongCount: wrong,
+    totalItems: total,
+  };
+}
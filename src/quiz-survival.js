@@ -0,0 +1,135 @@
+// =========================
+// 멀티 퀴즈 서바이벌 (room.quizSurvival) — 블록마다 꼴찌 탈락, 1명 남으면 우승
+//   블록 = 문제 blockSize 개 (기본 SURVIVAL_DEFAULT_BLOCK). 블록이 끝나면 생존자 중 누적 점수 최하위가 탈락
+//   최하위 동점 → 서든데스: 다음 문제는 동점자만 풀고, 그 문제 점수가 가장 낮은 쪽만 다시 후보로 남음
+//                후보가 1명이 될 때까지 반복 (전원 같은 점수면 한 문제 더).
+//                SUDDEN_DEATH_MAX 문제 안에 안 갈리거나 문제가 떨어지면 후보 중 무작위 1명 탈락
+//   탈락자는 관전 (제출/건너뛰기 불가, 결과/자동 진행 집계에서 제외). 방을 나가면 그 자리에서 탈락 처리
+//   (서든데스 후보가 나가면 그게 그 블록의 탈락 — 남은 후보는 생존)
+//   문제가 먼저 떨어지면 남은 생존자 점수 순으로 종료
+// 서든데스 문제 점수도 누적 점수에 더해짐 (살아남은 쪽이 점수를 얻는 구조라 순위가 뒤집히지 않음)
+// 상태(room.quiz.survival)는 JSON 그대로 직렬화됨 (room-store 스냅샷)
+// API: createSurvivalState / survivalActiveIds / survivalAfterQuestion / survivalStandings / publicSurvival
+// =========================
+
+export const SURVIVAL_DEFAULT_BLOCK = 3;
+export const SURVIVAL_MAX_BLOCK = 10;
+export const SUDDEN_DEATH_MAX = 3;
+
+/** 블록 크기 입력 정규화 (1~SURVIVAL_MAX_BLOCK) */
+export function normalizeSurvivalBlock(v) {
+  const n = parseInt(v, 10);
+  if (!Number.isInteger(n) || n < 1) return SURVIVAL_DEFAULT_BLOCK;
+  return Math.min(n, SURVIVAL_MAX_BLOCK);
+}
+
+export function createSurvivalState(playerIds, blockSize) {
+  return {
+    blockSize: normalizeSurvivalBlock(blockSize),
+    alive: playerIds.slice(),
+    eliminated: [],        // { userId, questionIndex, reason: lowest | sudden_death | random | left } — 탈락 순
+    blockStart: 0,         // 현재 블록 첫 문제 인덱스
+    suddenDeath: null,     // { candidates, round, base: { userId: 문제 시작 전 점수 } }
+    winnerId: null,
+  };
+}
+
+/** 지금 문제를 풀 수 있는 유저 — 서든데스 중이면 후보만 */
+export function survivalActiveIds(state) {
+  return state.suddenDeath ? state.suddenDeath.candidates.slice() : state.alive.slice();
+}
+
+function eliminate(state, ids, questionIndex, reason) {
+  for (const userId of ids) {
+    state.alive = state.alive.filter(id => id !== userId);
+    state.eliminated.push({ userId, questionIndex, reason });
+  }
+}
+
+function startSuddenDeath(state, candidates, round, scores) {
+  const base = {};
+  for (const id of candidates) base[id] = Number(scores[id]) || 0;
+  state.suddenDeath = { candidates, round, base };
+}
+
+/**
+ * 문제 하나 끝날 때마다 (scoreboard → 다음) 호출 — 탈락/서든데스 판정 (state 제자리 수정)
+ * @param {object} state
+ * @param {number} questionIndex  방금 끝난 문제 인덱스
+ * @param {object} scores         room.quiz.scores (누적)
+ * @param {string[]} presentIds   지금 방에 있는 유저
+ * @param {boolean} hasNext       다음 문제가 있는지 (없으면 서든데스는 무작위로 마무리)
+ * @returns {{eliminated: object[], suddenDeath: object|null, finished: boolean}}
+ */
+export function survivalAfterQuestion(state, questionIndex, scores, presentIds, hasNext, random = Math.random) {
+  const before = state.eliminated.length;
+  const present = new Set(presentIds);
+  eliminate(state, state.alive.filter(id => !present.has(id)), questionIndex, "left");
+
+  const scoreOf = (id) => Number(scores[id]) || 0;
+  let candidates = null;   // 아직 안 갈린 최하위 후보
+  let round = 1;
+
+  if (state.suddenDeath) {
+    const sd = state.suddenDeath;
+    const alive = sd.candidates.filter(id => state.alive.includes(id));
+    state.suddenDeath = null;
+    if (alive.length < sd.candidates.length) {
+      // 후보가 나가서(left) 이번 블록 탈락자는 이미 나옴 — 남은 후보는 생존, 다음 블록으로
+      state.blockStart = questionIndex + 1;
+    } else {
+      const delta = (id) => scoreOf(id) - (sd.base[id] || 0);
+      const min = Math.min(...alive.map(delta));
+      candidates = alive.filter(id => delta(id) === min);
+      round = sd.round + 1;
+    }
+  } else if (questionIndex + 1 - state.blockStart >= state.blockSize && state.alive.length > 1) {
+    const min = Math.min(...state.alive.map(scoreOf));
+    candidates = state.alive.filter(id => scoreOf(id) === min);
+  }
+
+  if (candidates && candidates.length > 0 && state.alive.length > 1) {
+    if (candidates.length === 1) {
+      eliminate(state, candidates, questionIndex, round > 1 ? "sudden_death" : "lowest");
+    } else if (round > SUDDEN_DEATH_MAX || !hasNext) {
+      eliminate(state, [candidates[Math.floor(random() * candidates.length)]], questionIndex, "random");
+    } else {
+      startSuddenDeath(state, candidates, round, scores);
+    }
+    if (!state.suddenDeath) state.blockStart = questionIndex + 1;
+  }
+
+  const finished = state.alive.length <= 1;
+  if (finished) {
+    state.suddenDeath = null;
+    state.winnerId = state.alive[0] ?? null;
+  }
+  return {
+    eliminated: state.eliminated.slice(before),
+    suddenDeath: state.suddenDeath ? { candidates: state.suddenDeath.candidates.slice(), round: state.suddenDeath.round } : null,
+    finished,
+  };
+}
+
+/**
+ * 최종 순위 — 생존자(점수순) → 늦게 탈락한 순
+ * @returns {{userId, rank, eliminated: boolean}[]}
+ */
+export function survivalStandings(state, scores) {
+  const alive = state.alive.slice().sort((a, b) => (Number(scores[b]) || 0) - (Number(scores[a]) || 0));
+  const out = alive.map(userId => ({ userId, eliminated: false }));
+  for (let i = state.eliminated.length - 1; i >= 0; i--) out.push({ userId: state.eliminated[i].userId, eliminated: true });
+  return out.map((r, i) => ({ ...r, rank: i + 1 }));
+}
+
+/** 클라이언트 전송용 */
+export function publicSurvival(state) {
+  return {
+    blockSize: state.blockSize,
+    blockStart: state.blockStart,
+    alive: state.alive.slice(),
+    eliminated: state.eliminated.map(e => ({ ...e })),
+    suddenDeath: state.suddenDeath ? { candidates: state.suddenDeath.candidates.slice(), round: state.suddenDeath.round } : null,
+    winnerId: state.winnerId,
+  };
+}
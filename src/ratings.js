@@ -0,0 +1,352 @@
+// =========================
+// DUO GAME ZONE — 경쟁 게임 레이팅 (Glicko) 서비스
+// 게임 종료(endGame/finishGame) 시 로그인 유저의 게임별 레이팅 갱신.
+//
+// 큐(queue): 같은 게임이라도 인원 구성이 다르면 실력 척도가 달라서 분리
+//   "1v1"  — 개인 2명
+//   "team" — 팀전 (2v2, 3v3, 2v2v2, ...)
+//   "ffa"  — 개인 3명 이상
+//
+// 팀전: 팀 평균 레이팅 / 팀 RD(제곱평균)로 팀 vs 팀 기대 승률 계산 →
+//       팀원 각자의 RD로 변동폭 적용 (약팀의 강자가 팀 탓에 과하게 깎이지 않음)
+// 3팀 이상 / FFA: 순위 기준으로 모든 상대 팀과 1:1 결과(승 1 / 무 0.5 / 패 0)로 분해
+//
+// 랭크전 조건: 참가자 전원 로그인 유저 (게스트/AI 봇 섞이면 기록 안 함 — 부계정/봇 파밍 방지)
+// 중도 이탈자: 시작 시 명단(ratingRoster)에 남아 있으므로 패배로 처리
+//
+// 테이블: game_ratings / game_rating_history (sql/schema_game_ratings.sql)
+// 저장: apply_game_rating_match RPC — 읽은 시점의 games와 대조해 원자적으로 반영,
+//       그 사이 같은 유저의 다른 경기가 먼저 반영됐으면(40001) 다시 읽고 재계산
+//
+// 경기 결과: 랭크전 여부와 무관하게 로그인 참가자별 승/패/무를 game_match_results 에 기록
+//   (프로필 통계용 — player-stats.js, sql/schema_game_match_results.sql)
+//   레이팅 없는 게임(bp)도 settleRatings 를 부르면 결과만 기록됨
+// =========================
+
+export const RATED_GAMES = ["omok", "makak", "suspect", "cg", "yacht"];
+export const RATING_QUEUES = ["1v1", "team", "ffa"];
+
+const DEFAULT_RATING = 1500;
+const DEFAULT_RD = 350;
+const MIN_RD = 50;
+// 쉬는 동안 RD 회복: 100일이면 MIN_RD → DEFAULT_RD
+const RD_DECAY_C2 = (DEFAULT_RD ** 2 - MIN_RD ** 2) / 100;
+// 랭킹 노출 기준 (배치 판수)
+export const PROVISIONAL_GAMES = 5;
+
+// 동시 반영 충돌 시 재시도 횟수
+const MAX_SAVE_ATTEMPTS = 3;
+const CONFLICT = Symbol("conflict");
+
+const Q = Math.LN10 / 400;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+let db = null;
+
+/** index.js에서 1회 — supabaseAdmin 주입 */
+export function initRatings(supabaseAdmin) {
+  db = supabaseAdmin;
+}
+
+// ===== Glicko 계산 =====
+function g(rd) {
+  return 1 / Math.sqrt(1 + (3 * Q * Q * rd * rd) / (Math.PI * Math.PI));
+}
+function expected(r, rOpp, rdOpp) {
+  return 1 / (1 + Math.pow(10, (-g(rdOpp) * (r - rOpp)) / 400));
+}
+
+/** 마지막 경기 이후 경과일만큼 RD 증가 */
+export function inflateRd(rd, lastPlayedAt, now = Date.now()) {
+  if (!lastPlayedAt) return rd;
+  const days = Math.max(0, (now - new Date(lastPlayedAt).getTime()) / 86_400_000);
+  return Math.min(DEFAULT_RD, Math.sqrt(rd * rd + RD_DECAY_C2 * days));
+}
+
+/**
+ * Glicko-1 한 번 갱신
+ * @param {{rating:number, rd:number}} self       변동폭에 쓰일 본인 값
+ * @param {number} ratingForExpect                 기대 승률 계산용 레이팅 (팀전은 팀 평균)
+ * @param {Array<{rating:number, rd:number, score:number}>} results  상대별 결과 (score 1/0.5/0)
+ */
+export function glickoUpdate(self, ratingForExpect, results) {
+  if (results.length === 0) return { rating: self.rating, rd: self.rd };
+  let dInv = 0, sum = 0;
+  for (const o of results) {
+    const gi = g(o.rd);
+    const e = expected(ratingForExpect, o.rating, o.rd);
+    dInv += gi * gi * e * (1 - e);
+    sum += gi * (o.score - e);
+  }
+  dInv *= Q * Q;
+  const denom = 1 / (self.rd * self.rd) + dInv;
+  const rating = self.rating + (Q / denom) * sum;
+  const rd = Math.max(MIN_RD, Math.sqrt(1 / denom));
+  return { rating, rd };
+}
+
+function teamComposite(members) {
+  const n = members.length || 1;
+  return {
+    rating: members.reduce((s, m) => s + m.rating, 0) / n,
+    rd: Math.sqrt(members.reduce((s, m) => s + m.rd * m.rd, 0) / n),
+  };
+}
+
+/**
+ * 팀별 순위 → 유저별 새 레이팅
+ * @param {Array<{members: Array<{userId, rating, rd}>, rank: number}>} teams  rank 작을수록 상위, 같으면 무승부
+ * @returns {Map<userId, {rating, rd, score}>}  score: 상대 팀 대비 평균 결과 (1 전승 / 0 전패)
+ */
+export function rateTeams(teams) {
+  const out = new Map();
+  const composites = teams.map(t => teamComposite(t.members));
+  teams.forEach((team, i) => {
+    const results = [];
+    teams.forEach((opp, j) => {
+      if (i === j) return;
+      const score = team.rank < opp.rank ? 1 : team.rank > opp.rank ? 0 : 0.5;
+      results.push({ rating: composites[j].rating, rd: composites[j].rd, score });
+    });
+    const avgScore = results.reduce((s, r) => s + r.score, 0) / (results.length || 1);
+    for (const m of team.members) {
+      const next = glickoUpdate(m, composites[i].rating, results);
+      out.set(m.userId, { ...next, score: avgScore });
+    }
+  });
+  return out;
+}
+
+// ===== 모듈 연동 헬퍼 =====
+
+/** 게임 시작 시 명단 스냅샷 — 중도 이탈자도 결과에 포함하기 위해 room에 보관 */
+export function ratingRoster(room) {
+  return room.playerOrder.map(uid => {
+    const p = room.players.get(uid);
+    return {
+      userId: uid,
+      team: p?.team ?? null,
+      rated: !!p && !p.isGuest && !p.isBot && UUID_RE.test(uid),
+    };
+  });
+}
+
+/** 명단 팀 구성 → 큐 */
+export function queueOf(roster) {
+  const hasTeams = roster.some(r => r.team != null);
+  if (hasTeams) {
+    const sizes = new Map();
+    for (const r of roster) sizes.set(r.team, (sizes.get(r.team) || 0) + 1);
+    if ([...sizes.values()].some(n => n > 1)) return "team";
+  }
+  return roster.length === 2 ? "1v1" : "ffa";
+}
+
+/**
+ * 경기 결과 기록 (fire-and-forget 용 — 실패해도 throw 안 함)
+ * @param {string} game        RATED_GAMES 중 하나
+ * @param {object} o
+ * @param {Array} o.roster     ratingRoster(room) 결과 (시작 시점)
+ * @param {(userId, entry) => number} o.rankOf  순위 (1이 최상위, 같은 값이면 무승부) — entry는 명단 항목 { userId, team, rated }
+ * @param {string} [o.matchId] 방/판 식별자 (히스토리용)
+ * @returns {Promise<Array<{userId, before, after, delta, games}>|null>}  랭크전 아니면 null
+ */
+export async function recordMatch(game, { roster, rankOf, matchId = null }) {
+  try {
+    if (!db || !RATED_GAMES.includes(game)) return null;
+    if (!roster || roster.length < 2 || roster.some(r => !r.rated)) return null;
+    const queue = queueOf(roster);
+
+    // 팀 묶기 (팀 없는 모드는 1인 1팀)
+    const teamMap = new Map();
+    for (const r of roster) {
+      const key = r.team != null ? `t:${r.team}` : `u:${r.userId}`;
+      if (!teamMap.has(key)) teamMap.set(key, { userIds: [], rank: Infinity });
+      const t = teamMap.get(key);
+      t.userIds.push(r.userId);
+      t.rank = Math.min(t.rank, Number(rankOf(r.userId, r)) || Infinity);
+    }
+    if (teamMap.size < 2) return null;
+
+    const userIds = roster.map(r => r.userId);
+    const teamList = [...teamMap.values()];
+    for (let attempt = 1; attempt <= MAX_SAVE_ATTEMPTS; attempt++) {
+      const result = await rateAndSave(game, queue, userIds, teamList, matchId);
+      if (result !== CONFLICT) return result;
+    }
+    console.warn(`[ratings] save gave up after ${MAX_SAVE_ATTEMPTS} conflicts ${game}/${queue}`);
+    return null;
+  } catch (e) {
+    console.warn(`[ratings] recordMatch ${game} failed:`, e.message);
+    return null;
+  }
+}
+
+// 현재 레이팅 읽기 → 계산 → compare-and-set 저장. 다른 경기가 먼저 반영됐으면 CONFLICT
+async function rateAndSave(game, queue, userIds, teamList, matchId) {
+  const { data: rows, error } = await db.from("game_ratings")
+    .select("user_id, rating, rd, games, last_played_at")
+    .eq("game", game).eq("queue", queue).in("user_id", userIds);
+  if (error) { console.warn(`[ratings] load failed ${game}/${queue}:`, error.message); return null; }
+  const current = new Map((rows || []).map(r => [r.user_id, r]));
+  const now = Date.now();
+  const state = (uid) => {
+    const r = current.get(uid);
+    return {
+      userId: uid,
+      rating: r ? Number(r.rating) : DEFAULT_RATING,
+      rd: r ? inflateRd(Number(r.rd), r.last_played_at, now) : DEFAULT_RD,
+    };
+  };
+
+  const teams = teamList.map(t => ({ rank: t.rank, members: t.userIds.map(state) }));
+  const next = rateTeams(teams);
+
+  const updates = [], changes = [];
+  for (const uid of userIds) {
+    const before = current.get(uid);
+    const after = next.get(uid);
+    const prevRating = before ? Number(before.rating) : DEFAULT_RATING;
+    // 다자전은 상대 팀 대비 평균 결과로 승/패 (절반 이상 이기면 승)
+    const outcome = after.score > 0.5 ? "win" : after.score < 0.5 ? "loss" : "draw";
+    const games = (before?.games || 0) + 1;
+    updates.push({
+      user_id: uid,
+      expected_games: before?.games || 0,
+      rating: Math.round(after.rating * 100) / 100,
+      rd: Math.round(after.rd * 100) / 100,
+      outcome,
+      rating_before: Math.round(prevRating * 100) / 100,
+    });
+    changes.push({
+      userId: uid,
+      before: Math.round(prevRating),
+      after: Math.round(after.rating),
+      delta: Math.round(after.rating) - Math.round(prevRating),
+      games,
+      provisional: games < PROVISIONAL_GAMES,
+    });
+  }
+
+  const { error: upErr } = await db.rpc("apply_game_rating_match", {
+    p_game: game, p_queue: queue, p_match_id: matchId, p_rows: updates,
+  });
+  if (upErr?.code === "40001") return CONFLICT;
+  if (upErr) { console.warn(`[ratings] save failed ${game}/${queue}:`, upErr.message); return null; }
+  return changes;
+}
+
+/** 명단 기준 개인 결과 — 다른 팀 전원과 같은 순위면 무, 아무에게도 안 밀리면 승 */
+function outcomeOf(roster, rankOf, r) {
+  const mine = Number(rankOf(r.userId, r)) || Infinity;
+  const others = roster.filter(o => o.userId !== r.userId && (r.team == null || o.team !== r.team));
+  const ranks = others.map(o => Number(rankOf(o.userId, o)) || Infinity);
+  if (ranks.length === 0 || ranks.every(x => x === mine)) return "draw";
+  return ranks.every(x => x >= mine) ? "win" : "loss";
+}
+
+/**
+ * 로그인 참가자별 경기 결과 저장 (프로필 통계용, fire-and-forget)
+ * 랭크전 아닌 판(게스트/봇 섞임)도 로그인 유저 몫은 기록
+ */
+export async function recordMatchResults(game, { roster, rankOf, matchId = null }) {
+  try {
+    if (!db || !roster || roster.length < 2) return;
+    const rated = RATED_GAMES.includes(game) && roster.every(r => r.rated);
+    const rows = roster.filter(r => r.rated).map(r => ({
+      user_id: r.userId, game, match_id: matchId,
+      result: outcomeOf(roster, rankOf, r),
+      rank: Number.isFinite(Number(rankOf(r.userId, r))) ? Number(rankOf(r.userId, r)) : null,
+      players: roster.length,
+      rated,
+    }));
+    if (rows.length === 0) return;
+    const { error } = await db.from("game_match_results").insert(rows);
+    if (error) console.warn(`[ratings] match results insert failed ${game}:`, error.message);
+  } catch (e) {
+    console.warn(`[ratings] recordMatchResults ${game} failed:`, e.message);
+  }
+}
+
+/**
+ * 게임 종료 시 공용 처리 — 시작 명단으로 경기 결과 + 레이팅 기록 후
+ * `${game}:ratings` { changes } 를 방에 송신 (랭크전일 때만)
+ * (명단은 1회용: 중복 endGame 호출에도 한 번만 반영)
+ * rankOf(userId, entry): 팀은 entry.team(시작 명단)으로 판정 — 중도 이탈자는 room.players에 없음
+ */
+export function settleRatings(io, game, room, rankOf) {
+  const roster = room.ratingRoster;
+  room.ratingRoster = null;
+  if (!roster) return;
+  recordMatchResults(game, { roster, rankOf, matchId: room.id });
+  recordMatch(game, { roster, rankOf, matchId: room.id }).then((changes) => {
+    if (changes) io.to(`${game}:${room.id}`).emit(`${game}:ratings`, { changes });
+  });
+}
+
+// ===== 조회 (REST) =====
+
+/** 게임/큐 랭킹 — 배치(PROVISIONAL_GAMES판) 끝난 유저만 */
+export async function fetchRatingLeaderboard(game, queue, limit = 50) {
+  const { data, error } = await db.from("game_ratings")
+    .select("user_id, rating, rd, games, wins, losses, draws, last_played_at")
+    .eq("game", game).eq("queue", queue)
+    .gte("games", PROVISIONAL_GAMES)
+    .order("rating", { ascending: false })
+    .limit(limit);
+  if (error) return { error };
+  const rows = (data || []).map((r, i) => ({ rank: i + 1, ...r, rating: Math.round(Number(r.rating)), rd: Math.round(Number(r.rd)) }));
+  if (rows.length > 0) {
+    const { data: profiles } = await db.from("profiles").select("id, nickname, avatar_url").in("id", rows.map(r => r.user_id));
+    const profMap = new Map((profiles || []).map(p => [p.id, p]));
+    for (const r of rows) {
+      const p = profMap.get(r.user_id);
+      r.nickname = p?.nickname || null;
+      r.avatar_url = p?.avatar_url || null;
+    }
+  }
+  return { rows };
+}
+
+/** 내 레이팅 (게임의 모든 큐) + 큐별 순위 */
+export async function fetchMyRatings(game, userId) {
+  const { data, error } = await db.from("game_ratings")
+    .select("queue, rating, rd, games, wins, losses, draws, last_played_at")
+    .eq("game", game).eq("user_id", userId);
+  if (error) return { error };
+  const out = [];
+  for (const r of data || []) {
+    const rating = Number(r.rating);
+    let rank = null;
+    if (r.games >= PROVISIONAL_GAMES) {
+      const { count } = await db.from("game_ratings")
+        .select("user_id", { count: "exact", head: true })
+        .eq("game", game).eq("queue", r.queue)
+        .gte("games", PROVISIONAL_GAMES)
+        .gt("rating", rating);
+      rank = (count || 0) + 1;
+    }
+    out.push({
+      ...r,
+      rating: Math.round(rating),
+      rd: Math.round(inflateRd(Number(r.rd), r.last_played_at)),
+      provisional: r.games < PROVISIONAL_GAMES,
+      rank,
+    });
+  }
+  return { rows: out };
+}
+
+/** 매치메이킹 레이팅 밴드용 — 큐 레이팅 1개 (기록 없거나 조회 실패면 기본값) */
+export async function fetchQueueRating(game, queue, userId) {
+  if (!db || !UUID_RE.test(String(userId))) return DEFAULT_RATING;
+  try {
+    const { data } = await db.from("game_ratings")
+      .select("rating")
+      .eq("game", game).eq("queue", queue).eq("user_id", userId)
+      .maybeSingle();
+    return data ? Number(data.rating) : DEFAULT_RATING;
+  } catch {
+    return DEFAULT_RATING;
+  }
+}
@@ -0,0 +1,349 @@
+// =========================
+// DUO GAME ZONE — 공용 방 수명주기 매니저
+// 각 게임 모듈이 따로 구현하던 방 관리 로직을 한 곳으로 모음:
+//   초대코드 발급 / socket room name / 빈 방 TTL 삭제 / 퇴장 + 호스트 위임 /
+//   강퇴 / 상태 재요청 / 연결 해제(재접속 대기)
+// 게임별 차이는 hook으로 주입 — 재접속 유예, 강퇴 규칙 같은 수정이 모든 게임에 한 번에 적용됨.
+//
+// 사용:
+//   const rm = createRoomManager({ prefix: "apple", publicRoom, clearTimers, ... });
+//   io.on("connection", (socket) => { ...게임 이벤트...; rm.attach(io, socket); });
+//
+// 이벤트 (prefix 기준, 기존 클라 호환 그대로):
+//   `${prefix}:roomState` / `${prefix}:roomClosed` / `${prefix}:peerLeave` / `${prefix}:kicked`
+//   `${prefix}:leaveRoom` / `${prefix}:kickPlayer` / `${prefix}:requestState` 핸들러 자동 등록
+//   spectators 옵션 시 `${prefix}:spectate` / `${prefix}:leaveSpectate` / `${prefix}:chat` 추가 (spectators.js)
+// 재시작 복구: snapshots 옵션(room-store namespace)을 주면 상태 송신마다 저장 + 삭제 시 제거, 부팅 시 rm.restore()
+// =========================
+
+import { roomDirectory } from "./cluster.js";
+import { createSpectators } from "./spectators.js";
+import { ROOM_RESTORE_GRACE_MS } from "./room-store.js";
+import { leaveQueueOnSeat } from "./matchmaking.js";
+
+const DEFAULT_EMPTY_ROOM_TTL_MS = 30_000;
+
+/**
+ * 방 매니저 생성
+ * @param {object} opts
+ * @param {string} opts.prefix              이벤트 prefix + socket room name prefix (예: "apple")
+ * @param {string} [opts.tag]               로그 태그 (기본 prefix)
+ * @param {string} [opts.stateEvent]        상태 이벤트 이름 (기본 "roomState" — 예전 이름을 쓰는 클라 호환용)
+ * @param {string} [opts.leaveEvent]        자발 퇴장 이벤트 이름 (기본 "leaveRoom")
+ * @param {number} [opts.emptyRoomTtlMs]    전원 끊김 후 방 삭제까지 유예 (재접속 대기)
+ * @param {(room, viewerUserId?) => object} opts.publicRoom  공개 직렬화
+ * @param {boolean|((room) => boolean)} [opts.perViewerState]   true면 roomState를 플레이어별 시점으로 개별 송신 (정보 비대칭 게임)
+ * @param {(room) => void} [opts.clearTimers]            방 삭제 시 게임 타이머 정리
+ * @param {boolean|((room) => boolean)} [opts.keepSeatWhilePlaying]  진행 중 퇴장해도 자리(결과용 기록) 유지
+ * @param {(io, room, userId, player) => object} [opts.beforeLeave]  제거 직전 — 반환값은 afterLeave ctx로 전달
+ * @param {(io, room, userId, ctx) => boolean} [opts.afterLeave]     제거 후 게임별 후처리 — true 반환 시 roomState 생략
+ * @param {(io, room, userId, player) => void} [opts.onDisconnect]   진행 중 연결 끊김 처리 (기본: peerUpdate connected=false)
+ * @param {(room, userId) => object} [opts.statePayload]             requestState 응답 (기본: { room })
+ * @param {(io, socket, room) => void} [opts.onRequestState]         requestState 응답 후 개인 데이터 재송신 (손패 등)
+ * @param {(room) => boolean} [opts.canKick]                         강퇴 허용 상태 (기본: 로비 한정)
+ * @param {boolean} [opts.spectators]       true면 관전(`${prefix}:spectate`) + 방 채팅(`${prefix}:chat`) 활성화
+ * @param {(player) => boolean} [opts.isBot]  봇 판별 — 봇만 남은 방은 삭제, 봇은 호스트 위임 대상에서 제외
+ * @param {number} [opts.disconnectGraceMs]  설정 시 끊긴 플레이어를 로비에서도 바로 내보내지 않고, 이 시간 안에 안 돌아오면 퇴장
+ * @param {object} [opts.snapshots]          room-store namespace — 재시작 복구용 저장/제거
+ */
+export function createRoomManager(opts) {
+  const prefix = opts.prefix;
+  const tag = opts.tag || prefix;
+  const emptyRoomTtlMs = opts.emptyRoomTtlMs ?? DEFAULT_EMPTY_ROOM_TTL_MS;
+  const stateEvent = `${prefix}:${opts.stateEvent || "roomState"}`;
+  const leaveEvent = `${prefix}:${opts.leaveEvent || "leaveRoom"}`;
+  const isBot = (p) => !!(p && opts.isBot?.(p));
+
+  const rooms = new Map();      // roomId → room
+  const invites = new Map();    // inviteCode → roomId
+  const userRoom = new Map();   // userId → roomId
+
+  // ===== util =====
+  function genInviteCode() {
+    for (let i = 0; i < 50; i++) {
+      const c = String(Math.floor(Math.random() * 1_000_000)).padStart(6, "0");
+      if (!invites.has(c)) return c;
+    }
+    return String(Math.floor(Math.random() * 10_000_000)).padStart(7, "0");
+  }
+  function newRoomId(idPrefix) {
+    return `${idPrefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+  }
+  function socketRoomName(roomId) { return `${prefix}:${roomId}`; }
+
+  function roomOf(userId) {
+    const roomId = userRoom.get(userId);
+    return roomId ? rooms.get(roomId) || null : null;
+  }
+  function findByInvite(code) {
+    const roomId = invites.get(String(code || "").trim());
+    return roomId ? rooms.get(roomId) || null : null;
+  }
+
+  function addRoom(room) {
+    rooms.set(room.id, room);
+    invites.set(room.inviteCode, room.id);
+    roomDirectory.claim(prefix, room.id, room.inviteCode);  // 멀티 노드 라우팅용 소유 선언
+    return room;
+  }
+
+  // 유저를 방에 앉힘 (userRoom 매핑 + socket join + 빈 방 타이머 취소). 빠른 대전 대기 중이었으면 큐에서 뺌
+  function seat(socket, room, userId) {
+    leaveQueueOnSeat(userId);
+    spectators?.forget(userId, socket);  // 관전하다 자리에 앉는 경우
+    userRoom.set(userId, room.id);
+    socket.join(socketRoomName(room.id));
+    clearEmptyRoomTimer(room);
+  }
+
+  // 재접속 — 기존 자리 그대로 connected 복구
+  function reconnect(socket, room, userId) {
+    const p = room.players.get(userId);
+    if (!p) return null;
+    p.connected = true;
+    p.socketId = socket.id;
+    seat(socket, room, userId);
+    return p;
+  }
+
+  // 이미 다른 방에 있으면 먼저 퇴장 (1인 1방)
+  function leaveCurrentRoom(io, userId) {
+    const old = roomOf(userId);
+    if (old) leavePlayer(io, old, userId);
+  }
+
+  // ===== 타이머 =====
+  function clearEmptyRoomTimer(room) {
+    if (room?.emptyRoomTimer) { clearTimeout(room.emptyRoomTimer); room.emptyRoomTimer = null; }
+  }
+
+  function deleteRoom(io, room, reason) {
+    clearEmptyRoomTimer(room);
+    opts.clearTimers?.(room);
+    rooms.delete(room.id);
+    invites.delete(room.inviteCode);
+    roomDirectory.release(prefix, room.id);
+    opts.snapshots?.remove(room.id);
+    spectators?.clearRoom(room.id);
+    for (const uid of room.playerOrder) {
+      if (userRoom.get(uid) === room.id) userRoom.delete(uid);
+    }
+    io.to(socketRoomName(room.id)).emit(`${prefix}:roomClosed`, { reason });
+    io.in(socketRoomName(room.id)).socketsLeave(socketRoomName(room.id));
+    console.log(`[${tag}] room ${room.id} deleted: ${reason}`);
+  }
+
+  // 전원 끊김 → TTL 후에도 여전히 비어있으면 삭제 (그 사이 재접속하면 seat()에서 취소)
+  // 봇은 항상 connected라 사람 기준으로 셈
+  function connectedHumans(room) {
+    return [...room.players.values()].filter(p => p.connected && !isBot(p)).length;
+  }
+  function maybeScheduleEmptyRoomDelete(io, room) {
+    if (connectedHumans(room) === 0 && !room.emptyRoomTimer) {
+      room.emptyRoomTimer = setTimeout(() => {
+        const r = rooms.get(room.id);
+        if (!r) return;
+        if (connectedHumans(r) === 0) deleteRoom(io, r, "EMPTY");
+      }, emptyRoomTtlMs);
+    }
+  }
+
+  // 끊긴 플레이어 유예 퇴장 (disconnectGraceMs) — 그 사이 재접속하면 connected=true라 무시
+  function scheduleGraceLeave(io, room, userId, ms) {
+    const roomId = room.id;
+    setTimeout(() => {
+      const r = rooms.get(roomId);
+      const p = r?.players.get(userId);
+      if (!p || p.connected) return;
+      leavePlayer(io, r, userId);
+    }, ms);
+  }
+
+  // ===== 상태 송신 =====
+  function broadcastRoomState(io, room) {
+    opts.snapshots?.save(room);
+    const perViewer = typeof opts.perViewerState === "function" ? opts.perViewerState(room) : opts.perViewerState;
+    if (perViewer) {
+      // 각 플레이어에게 본인 시점의 publicRoom 전송 (정보 비대칭 유지)
+      for (const uid of room.playerOrder) {
+        const p = room.players.get(uid);
+        if (!p?.socketId) continue;
+        const sock = io.sockets.sockets.get(p.socketId);
+        if (sock) sock.emit(stateEvent, opts.publicRoom(room, uid));
+      }
+      spectators?.emitState(io, room);
+      return;
+    }
+    io.to(socketRoomName(room.id)).emit(stateEvent, opts.publicRoom(room));
+  }
+
+  // ===== 관전 =====
+  const spectators = opts.spectators
+    ? createSpectators({
+        prefix,
+        findByInvite,
+        playerRoomOf: roomOf,
+        getRoom: (roomId) => rooms.get(roomId) || null,
+        publicRoom: opts.publicRoom,
+        broadcastRoomState,
+      })
+    : null;
+
+  function spectatorCount(room) {
+    return spectators ? spectators.count(room.id) : 0;
+  }
+
+  // ===== 퇴장 + 호스트 위임 =====
+  // 새 호스트: 연결 중 + 이탈(left) 아닌 사람 우선, 없으면 입장 순서 첫 사람
+  function pickNextHost(room) {
+    const activeFirst = room.playerOrder.find(uid => {
+      const p = room.players.get(uid);
+      return p && p.connected && p.status !== "left" && !isBot(p);
+    });
+    return activeFirst || room.playerOrder.find(uid => !isBot(room.players.get(uid)));
+  }
+
+  function keepsSeat(room) {
+    if (room.status !== "playing") return false;
+    const k = opts.keepSeatWhilePlaying;
+    return typeof k === "function" ? !!k(room) : !!k;
+  }
+
+  function leavePlayer(io, room, userId) {
+    if (!room.players.has(userId)) return;
+    const wasHost = room.hostUserId === userId;
+    const p = room.players.get(userId);
+    const ctx = opts.beforeLeave?.(io, room, userId, p) || {};
+    ctx.wasHost = wasHost;
+
+    if (!keepsSeat(room)) {
+      room.players.delete(userId);
+      const idx = room.playerOrder.indexOf(userId);
+      if (idx >= 0) room.playerOrder.splice(idx, 1);
+    }
+    if (userRoom.get(userId) === room.id) userRoom.delete(userId);
+
+    if (wasHost && room.playerOrder.length > 0) room.hostUserId = pickNextHost(room);
+    io.to(socketRoomName(room.id)).emit(`${prefix}:peerLeave`, { playerId: userId, nickname: p?.name });
+
+    // 아무도 없거나 봇만 남음 → 방 정리
+    if (room.playerOrder.every(uid => isBot(room.players.get(uid)))) {
+      deleteRoom(io, room, "ALL_LEFT");
+      return;
+    }
+    if (opts.afterLeave?.(io, room, userId, ctx) === true) return;
+    if (!rooms.has(room.id)) return;
+    broadcastRoomState(io, room);
+  }
+
+  // ===== 강퇴 =====
+  // 반환: { ok, error? } — 소켓 콜백에 그대로 전달
+  function kickPlayer(io, room, hostUserId, targetUserId) {
+    if (room.hostUserId !== hostUserId) return { ok: false, error: "NOT_HOST" };
+    const canKick = opts.canKick ? opts.canKick(room) : room.status === "lobby";
+    if (!canKick) return { ok: false, error: "NOT_LOBBY" };
+    const targetId = String(targetUserId || "");
+    if (!targetId || targetId === hostUserId) return { ok: false, error: "INVALID_TARGET" };
+    if (!room.players.has(targetId)) return { ok: false, error: "TARGET_NOT_IN_ROOM" };
+    const target = room.players.get(targetId);
+    if (target?.socketId) io.to(target.socketId).emit(`${prefix}:kicked`, { reason: "KICKED_BY_HOST" });
+    leavePlayer(io, room, targetId);
+    return { ok: true };
+  }
+
+  // ===== 공용 소켓 핸들러 =====
+  function attach(io, socket) {
+    const me = socket.user;
+    if (!me) return;
+    spectators?.attach(io, socket);
+
+    // ----- 자발 퇴장 -----
+    socket.on(leaveEvent, (_payload, cb) => {
+      const room = roomOf(me.id);
+      if (!room) return cb?.({ ok: true });
+      leavePlayer(io, room, me.id);
+      socket.leave(socketRoomName(room.id));
+      cb?.({ ok: true });
+    });
+
+    // ----- 호스트 강퇴 -----
+    socket.on(`${prefix}:kickPlayer`, (payload, cb) => {
+      const room = roomOf(me.id);
+      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
+      cb?.(kickPlayer(io, room, me.id, payload?.targetUserId));
+    });
+
+    // ----- 상태 재요청 (재접속) -----
+    socket.on(`${prefix}:requestState`, (_payload, cb) => {
+      const room = roomOf(me.id);
+      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
+      // 새 소켓으로 다시 붙은 경우 (joinRoom 없이 새로고침) — 자리 복구
+      if (room.players.get(me.id)?.socketId !== socket.id) reconnect(socket, room, me.id);
+      const extra = opts.statePayload ? opts.statePayload(room, me.id) : { room: opts.publicRoom(room, me.id) };
+      cb?.({ ok: true, ...extra });
+      opts.onRequestState?.(io, socket, room);
+    });
+
+    // ----- 연결 해제 -----
+    // 로비: 즉시 퇴장 / 진행 중: connected=false 유지 (재접속 대기), 전원 끊기면 TTL 삭제 예약
+    // disconnectGraceMs 설정 시 로비도 자리 유지 → 유예 안에 안 돌아오면 퇴장
+    socket.on("disconnect", () => {
+      const room = roomOf(me.id);
+      if (!room) return;
+      const p = room.players.get(me.id);
+      if (!p) return;
+      // 최신 소켓이 이미 다른 곳이면 무시
+      if (p.socketId !== socket.id) return;
+      p.connected = false;
+      if (room.status === "lobby" && !opts.disconnectGraceMs) {
+        leavePlayer(io, room, me.id);
+        return;
+      }
+      if (opts.onDisconnect) opts.onDisconnect(io, room, me.id, p);
+      else io.to(socketRoomName(room.id)).emit(`${prefix}:peerUpdate`, { playerId: me.id, connected: false });
+      if (opts.disconnectGraceMs) scheduleGraceLeave(io, room, me.id, opts.disconnectGraceMs);
+      maybeScheduleEmptyRoomDelete(io, room);
+    });
+  }
+
+  // ===== 재시작 복구 =====
+  // snapshots에서 방을 읽어 Map 3종에 넣고 소유 선언. onRoom(room)이 false면 버림
+  // 기본: 유예(ROOM_RESTORE_GRACE_MS) 안에 아무도 안 돌아오면 삭제 — onRoom에서 room.emptyRoomTimer를 직접 걸면 그걸 씀
+  function restore(io, onRoom) {
+    if (!opts.snapshots) return 0;
+    return opts.snapshots.restore({ rooms, invites, userRoom }, (room) => {
+      if (onRoom && onRoom(room) === false) return false;
+      roomDirectory.claim(prefix, room.id, room.inviteCode);
+      if (!room.emptyRoomTimer) {
+        room.emptyRoomTimer = setTimeout(() => {
+          if (rooms.get(room.id) === room && connectedHumans(room) === 0) deleteRoom(io, room, "RESTORE_TIMEOUT");
+        }, ROOM_RESTORE_GRACE_MS);
+      }
+    });
+  }
+
+  return {
+    prefix,
+    rooms,
+    invites,
+    userRoom,
+    genInviteCode,
+    newRoomId,
+    socketRoomName,
+    roomOf,
+    findByInvite,
+    addRoom,
+    seat,
+    reconnect,
+    leaveCurrentRoom,
+    clearEmptyRoomTimer,
+    deleteRoom,
+    maybeScheduleEmptyRoomDelete,
+    broadcastRoomState,
+    spectatorCount,
+    leavePlayer,
+    kickPlayer,
+    restore,
+    attach,
+  };
+}
@@ -0,0 +1,220 @@
+// =========================
+// 방 상태 영속화 — 서버 재시작/배포 후에도 진행 중인 방 복구
+// 메모리 Map의 방을 상태 전이마다 스냅샷 → 부팅 시 복원 → 같은 초대코드로 재접속
+//
+// 어댑터 (환경변수 ROOM_STORE):
+//   "off"    — 기본값. 영속화 안 함 (기존 동작 그대로)
+//   "file"   — ROOM_STORE_PATH 디렉터리에 namespace/roomId.json (기본 ./.room-store)
+//   "sqlite" — ROOM_STORE_PATH 파일 (기본 ./.room-store.sqlite), node:sqlite 필요 (Node 22.5+)
+//              미지원 런타임이면 file 어댑터로 폴백
+//
+// 사용:
+//   const store = roomStore.namespace("omok");
+//   store.save(room);        // 상태 전이마다 (짧게 debounce 후 기록)
+//   store.remove(room.id);   // 방 삭제 시
+//   store.restore({ rooms, invites, userRoom }, (room) => { ...게임별 재개 준비... });
+//
+// 직렬화 규칙: Map/Set/Int8Array(오목 보드)는 태그로 보존, setTimeout 핸들은 null로 저장 (복원 후 게임별로 다시 걸어야 함)
+// =========================
+
+import fs from "node:fs";
+import path from "node:path";
+
+const SAVE_DEBOUNCE_MS = 250;
+// 이보다 오래된 스냅샷은 복원하지 않음 (오래 내려가 있던 서버)
+const MAX_SNAPSHOT_AGE_MS = 6 * 60 * 60_000;
+// 복원된 방에 아무도 재접속하지 않으면 정리까지 유예
+export const ROOM_RESTORE_GRACE_MS = 120_000;
+
+// ===== 직렬화 =====
+function isTimerHandle(v) {
+  return v !== null && typeof v === "object"
+    && typeof v.hasRef === "function" && typeof v.refresh === "function";
+}
+
+function replacer(_key, value) {
+  if (value instanceof Map) return { __map: [...value.entries()] };
+  if (value instanceof Set) return { __set: [...value] };
+  if (value instanceof Int8Array) return { __i8: Array.from(value) };
+  if (isTimerHandle(value)) return null;
+  return value;
+}
+
+function reviver(_key, value) {
+  if (value && typeof value === "object") {
+    if (Array.isArray(value.__map)) return new Map(value.__map);
+    if (Array.isArray(value.__set)) return new Set(value.__set);
+    if (Array.isArray(value.__i8)) return Int8Array.from(value.__i8);
+  }
+  return value;
+}
+
+export function serializeRoom(room) {
+  return JSON.stringify({ savedAt: Date.now(), room }, replacer);
+}
+
+export function deserializeRoom(text) {
+  return JSON.parse(text, reviver);
+}
+
+// ===== 어댑터 =====
+// 공통 인터페이스: write(ns, id, text) / delete(ns, id) / readAll(ns) → [{ id, text }]
+
+export function createFileAdapter(dir) {
+  const nsDir = (ns) => path.join(dir, ns);
+  const safeId = (id) => String(id).replace(/[^A-Za-z0-9_-]/g, "_");
+  return {
+    kind: "file",
+    write(ns, id, text) {
+      fs.mkdirSync(nsDir(ns), { recursive: true });
+      const file = path.join(nsDir(ns), `${safeId(id)}.json`);
+      // tmp에 쓰고 rename — 쓰는 도중 죽어도 이전 스냅샷은 온전
+      fs.writeFileSync(`${file}.tmp`, text);
+      fs.renameSync(`${file}.tmp`, file);
+    },
+    delete(ns, id) {
+      fs.rmSync(path.join(nsDir(ns), `${safeId(id)}.json`), { force: true });
+    },
+    readAll(ns) {
+      if (!fs.existsSync(nsDir(ns))) return [];
+      return fs.readdirSync(nsDir(ns))
+        .filter(f => f.endsWith(".json"))
+        .map(f => ({ id: f.slice(0, -5), text: fs.readFileSync(path.join(nsDir(ns), f), "utf8") }));
+    },
+  };
+}
+
+export function createSqliteAdapter(file) {
+  const sqlite = process.getBuiltinModule?.("node:sqlite");
+  if (!sqlite) throw new Error("node:sqlite unavailable (Node 22.5+ required)");
+  const db = new sqlite.DatabaseSync(file);
+  db.exec(`CREATE TABLE IF NOT EXISTS room_snapshots (
+    ns TEXT NOT NULL,
+    room_id TEXT NOT NULL,
+    data TEXT NOT NULL,
+    updated_at INTEGER NOT NULL,
+    PRIMARY KEY (ns, room_id)
+  )`);
+  const upsert = db.prepare(`INSERT INTO room_snapshots (ns, room_id, data, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (ns, room_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`);
+  const del = db.prepare("DELETE FROM room_snapshots WHERE ns = ? AND room_id = ?");
+  const all = db.prepare("SELECT room_id, data FROM room_snapshots WHERE ns = ?");
+  return {
+    kind: "sqlite",
+    write(ns, id, text) { upsert.run(ns, String(id), text, Date.now()); },
+    delete(ns, id) { del.run(ns, String(id)); },
+    readAll(ns) { return all.all(ns).map(r => ({ id: r.room_id, text: r.data })); },
+  };
+}
+
+function adapterFromEnv() {
+  const kind = String(process.env.ROOM_STORE || "off").toLowerCase();
+  if (kind === "file") {
+    return createFileAdapter(process.env.ROOM_STORE_PATH || path.resolve(".room-store"));
+  }
+  if (kind === "sqlite") {
+    const file = process.env.ROOM_STORE_PATH || path.resolve(".room-store.sqlite");
+    try {
+      return createSqliteAdapter(file);
+    } catch (e) {
+      console.warn(`[room-store] sqlite 사용 불가 → file 어댑터로 폴백: ${e.message}`);
+      return createFileAdapter(path.resolve(".room-store"));
+    }
+  }
+  return null;
+}
+
+// ===== 스토어 =====
+export function createRoomStore(adapter) {
+  const pending = new Map(); // `${ns}\u0000${roomId}` → { ns, room }
+  let flushTimer = null;
+
+  function writeSnapshot(ns, room) {
+    try {
+      adapter.write(ns, room.id, serializeRoom(room));
+    } catch (e) {
+      console.warn(`[room-store] save failed ns=${ns} room=${room.id}:`, e.message);
+    }
+  }
+
+  // debounce 중 쌓인 방을 최신 상태로 한 번에 기록
+  function flush() {
+    if (flushTimer) { clearTimeout(flushTimer); flushTimer = null; }
+    const batch = [...pending.values()];
+    pending.clear();
+    for (const { ns, room } of batch) writeSnapshot(ns, room);
+  }
+
+  function namespace(ns) {
+    const key = (roomId) => `${ns}\u0000${roomId}`;
+    return {
+      enabled: !!adapter,
+
+      save(room) {
+        if (!adapter || !room?.id) return;
+        pending.set(key(room.id), { ns, room });
+        if (!flushTimer) flushTimer = setTimeout(flush, SAVE_DEBOUNCE_MS);
+      },
+
+      remove(roomId) {
+        if (!adapter || !roomId) return;
+        pending.delete(key(roomId));
+        try { adapter.delete(ns, roomId); }
+        catch (e) { console.warn(`[room-store] remove failed ns=${ns} room=${roomId}:`, e.message); }
+      },
+
+      // 스냅샷 전부 읽기 — 손상/만료 스냅샷은 버림
+      loadAll() {
+        if (!adapter) return [];
+        const out = [];
+        let entries = [];
+        try { entries = adapter.readAll(ns); }
+        catch (e) { console.warn(`[room-store] load failed ns=${ns}:`, e.message); }
+        for (const { id, text } of entries) {
+          try {
+            const snap = deserializeRoom(text);
+            if (!snap?.room?.id || Date.now() - (snap.savedAt || 0) > MAX_SNAPSHOT_AGE_MS) {
+              adapter.delete(ns, id);
+              continue;
+            }
+            out.push(snap.room);
+          } catch (e) {
+            console.warn(`[room-store] corrupt snapshot ns=${ns} id=${id}:`, e.message);
+            try { adapter.delete(ns, id); } catch {}
+          }
+        }
+        return out;
+      },
+
+      // 모듈 Map 3종에 복원 + 전원 연결 끊김 상태로 표시
+      // onRoom(room)이 false를 반환하면 그 방은 버림
+      restore({ rooms, invites, userRoom }, onRoom) {
+        let restored = 0;
+        for (const room of this.loadAll()) {
+          const uids = room.playerOrder || [...(room.players?.keys?.() || [])];
+          for (const uid of uids) {
+            const p = room.players?.get(uid);
+            if (p && "connected" in p) p.connected = false;
+            if (p && "socketId" in p) p.socketId = null;
+          }
+          room.restoredAt = Date.now();
+          if (onRoom && onRoom(room) === false) {
+            this.remove(room.id);
+            continue;
+          }
+          rooms.set(room.id, room);
+          if (room.inviteCode) invites.set(room.inviteCode, room.id);
+          for (const uid of uids) userRoom.set(uid, room.id);
+          restored++;
+        }
+        if (restored > 0) console.log(`[room-store] restored ${restored} room(s) ns=${ns} (${adapter.kind})`);
+        return restored;
+      },
+    };
+  }
+
+  return { enabled: !!adapter, kind: adapter?.kind || "off", namespace, flush };
+}
+
+// 프로세스 공용 인스턴스
+export const roomStore = createRoomStore(adapterFromEnv());
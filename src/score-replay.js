@@ -0,0 +1,281 @@
+// =========================
+// 솔로 점수 리플레이 검증 — 사과 / 메모리 / 블록블래스트
+// 클라가 점수와 함께 seed + 입력 로그(replay)를 보내면 서버가 같은 규칙으로 재시뮬레이션해서
+// 점수/통계를 다시 계산. 클라 점수와 다르거나 규칙 위반(없는 사과 제거, 겹쳐 놓기 등)이면 거부.
+// 통과한 점수는 서버 계산값으로 저장 + verified=true (sql/schema_score_replay.sql)
+//
+// 리플레이 포맷 (v: REPLAY_VERSION) — 모든 t 는 게임 시작 기준 ms, 오름차순
+//   apple      { v, moves: [[r1, c1, r2, c2, t], ...] }   사각형(양 끝 포함) 안 남은 사과 합 = 10 이면 제거
+//   memory     { v, moves: [[i, j, t], ...] }             카드 두 장 뒤집기 (i ≠ j, 둘 다 미매칭)
+//   blockblast { v, moves: [[slot, row, col, t], ...] }   이번 세트 slot(0~2) 블록을 (row, col) 좌상단에 놓기
+//
+// 판 생성 / 점수 규칙은 score-rules.js (클라와 같은 파일) — 여기서는 입력 로그를 그 규칙으로 돌려보기만
+// 골든 리플레이: test/score-replay.test.js + test/fixtures/score-replay.json
+//
+// 리플레이 필수 (기본): 리플레이 없는 점수는 거부, 리더보드는 verified=true 만 공식 순위
+//   SCORE_REPLAY_OPTIONAL=1 — 옛 클라 호환용 명시적 opt-out (리플레이 없는 점수도 받고 verified 무관하게 순위)
+//
+// 입력 간격: 연속 두 입력은 게임별 *_MIN_MOVE_MS 이상 떨어져야 함 (매크로/일괄 생성 로그 차단) → TOO_FAST
+// durationSec: 로그 마지막 입력 시각 ± DURATION_SLACK_MS (사과는 2분 고정 판이라 상한만 시간 제한)
+//
+// 서버 발급 판 (score_runs, 2026-10-19) — 클라 timestamp/seed 를 그대로 믿지 않도록
+//   startScoreRun  판 시작 시 서버가 seed + clientRunId 발급, 시작 시각 저장
+//   consumeScoreRun 제출 시 seed 일치 / 서버 시계 경과 ≥ 로그 길이·durationSec / 1회만 사용 확인
+//   pruneScoreRuns 만료 판 정리 (10분 주기)
+// 사용: POST /score-runs/start, /apple|memory|blockblast/score (index.js)
+// =========================
+
+import crypto from "node:crypto";
+import {
+  REPLAY_VERSION, APPLE_COLS, APPLE_ROWS, APPLE_TARGET_SUM, BLOCKBLAST_BOARD as BOARD,
+  appleGrid, appleNextCombo, applePoints, streakCombo, memoryDeck, memoryScore,
+  blockBlastDealer, blockBlastClearLines, blockBlastPoints,
+} from "./score-rules.js";
+
+export { REPLAY_VERSION, BLOCK_SHAPES, mulberry32 } from "./score-rules.js";
+export const SCORE_RUN_GAMES = ["apple", "memory", "blockblast"];
+export const SCORE_REPLAY_REQUIRED = process.env.SCORE_REPLAY_OPTIONAL !== "1";
+
+const APPLE_TIME_LIMIT_MS = 125_000;       // 2분 + 여유
+const APPLE_MIN_MOVE_MS = 120;             // 드래그 한 번
+
+const MEMORY_TIME_LIMIT_MS = 600_000;
+const MEMORY_MAX_MOVES = 999;
+const MEMORY_MIN_MOVE_MS = 200;            // 카드 두 장 클릭
+
+const BLOCKBLAST_TIME_LIMIT_MS = 7200_000;
+const BLOCKBLAST_MAX_MOVES = 20000;
+const BLOCKBLAST_MIN_MOVE_MS = 120;        // 블록 드래그 한 번
+
+// 클라 durationSec 과 로그 마지막 입력 시각의 허용 오차
+const DURATION_SLACK_MS = 1500;
+// 서버 시계 경과와 로그 길이 비교 허용 오차 (시작 요청 왕복 지연)
+const RUN_CLOCK_SLACK_MS = 3000;
+// 발급 후 이 시간이 지나도록 제출 안 한 판은 만료 (게임별 시간 제한 + 여유)
+const RUN_EXPIRE_SLACK_MS = 10 * 60 * 1000;
+
+function reject(reason, extra = {}) {
+  return { ok: false, reason, ...extra };
+}
+
+// 공통 형식 검사 — 정수 배열 moves, t 오름차순 + 최소 간격, 시간 제한
+function readMoves(replay, seed, { arity, maxMoves, timeLimitMs, minMoveMs }) {
+  if (!Number.isInteger(seed) || seed < 0 || seed > 0xffffffff) return { error: "INVALID_SEED" };
+  if (!replay || typeof replay !== "object") return { error: "INVALID_REPLAY" };
+  if (replay.v !== REPLAY_VERSION) return { error: "UNSUPPORTED_VERSION" };
+  const moves = replay.moves;
+  if (!Array.isArray(moves) || moves.length > maxMoves) return { error: "INVALID_MOVES" };
+  let lastT = 0;
+  for (let k = 0; k < moves.length; k++) {
+    const m = moves[k];
+    if (!Array.isArray(m) || m.length !== arity || !m.every(Number.isInteger)) return { error: "INVALID_MOVES" };
+    const t = m[arity - 1];
+    if (t < lastT || t > timeLimitMs) return { error: "BAD_TIMESTAMP" };
+    if (k > 0 && t - lastT < minMoveMs) return { error: "TOO_FAST", move: k };
+    lastT = t;
+  }
+  return { moves, lastT };
+}
+
+// durationSec 은 로그 길이보다 짧을 수 없고, maxMs(기본: 로그 길이 + 여유)보다 길 수 없음
+function checkDuration(durationSec, lastT, maxMs = lastT + DURATION_SLACK_MS) {
+  if (!Number.isFinite(durationSec)) return false;
+  const ms = durationSec * 1000;
+  return ms + DURATION_SLACK_MS >= lastT && ms <= maxMs;
+}
+
+/**
+ * 사과게임 검증
+ * @param {object} o
+ * @param {number} o.seed
+ * @param {object} o.replay       { v, moves }
+ * @param {number} o.score        클라가 보낸 점수
+ * @param {number} o.durationSec
+ * @returns {{ok: true, stats: {score, applesCleared, maxCombo, spanMs}} | {ok: false, reason}}
+ */
+export function verifyAppleReplay({ seed, replay, score, durationSec }) {
+  const parsed = readMoves(replay, seed, { arity: 5, maxMoves: APPLE_COLS * APPLE_ROWS, timeLimitMs: APPLE_TIME_LIMIT_MS, minMoveMs: APPLE_MIN_MOVE_MS });
+  if (parsed.error) return reject(parsed.error, parsed.move != null ? { move: parsed.move } : {});
+  if (!checkDuration(durationSec, parsed.lastT, APPLE_TIME_LIMIT_MS)) return reject("DURATION_MISMATCH");
+
+  const grid = appleGrid(seed);
+
+  let total = 0, cleared = 0, combo = 0, maxCombo = 0, lastClearT = -Infinity;
+  for (let k = 0; k < parsed.moves.length; k++) {
+    const [r1, c1, r2, c2, t] = parsed.moves[k];
+    if (r1 < 0 || c1 < 0 || r2 >= APPLE_ROWS || c2 >= APPLE_COLS || r1 > r2 || c1 > c2) return reject("OUT_OF_BOUNDS", { move: k });
+    let sum = 0;
+    const cells = [];
+    for (let r = r1; r <= r2; r++) {
+      for (let c = c1; c <= c2; c++) {
+        const i = r * APPLE_COLS + c;
+        if (grid[i] > 0) { sum += grid[i]; cells.push(i); }
+      }
+    }
+    if (sum !== APPLE_TARGET_SUM) return reject("BAD_SUM", { move: k });
+    for (const i of cells) grid[i] = 0;
+    combo = appleNextCombo(combo, t - lastClearT);
+    lastClearT = t;
+    maxCombo = Math.max(maxCombo, combo);
+    cleared += cells.length;
+    total += applePoints(cells.length, combo);
+  }
+
+  if (Math.round(score) !== total) return reject("SCORE_MISMATCH", { expected: total });
+  return { ok: true, stats: { score: total, applesCleared: cleared, maxCombo, spanMs: parsed.lastT } };
+}
+
+/**
+ * 메모리 카드 검증 — 전부 맞춘 판만 통과
+ * @returns {{ok: true, stats: {score, attempts, matches, maxCombo, durationSec, spanMs}} | {ok: false, reason}}
+ */
+export function verifyMemoryReplay({ seed, difficulty, replay, score, durationSec }) {
+  const parsed = readMoves(replay, seed, { arity: 3, maxMoves: MEMORY_MAX_MOVES, timeLimitMs: MEMORY_TIME_LIMIT_MS, minMoveMs: MEMORY_MIN_MOVE_MS });
+  if (parsed.error) return reject(parsed.error, parsed.move != null ? { move: parsed.move } : {});
+  if (!checkDuration(durationSec, parsed.lastT)) return reject("DURATION_MISMATCH");
+
+  const cards = memoryDeck(seed, difficulty);
+  const n = cards.length;
+  const pairs = n / 2;
+
+  const matched = new Array(n).fill(false);
+  let attempts = 0, matches = 0, combo = 1, maxCombo = 1;
+  for (let k = 0; k < parsed.moves.length; k++) {
+    const [i, j] = parsed.moves[k];
+    if (i < 0 || j < 0 || i >= n || j >= n || i === j) return reject("OUT_OF_BOUNDS", { move: k });
+    if (matched[i] || matched[j]) return reject("ALREADY_MATCHED", { move: k });
+    attempts++;
+    const hit = cards[i] === cards[j];
+    if (hit) {
+      matched[i] = matched[j] = true;
+      matches++;
+    }
+    combo = streakCombo(combo, hit);
+    maxCombo = Math.max(maxCombo, combo);
+  }
+  if (matches !== pairs) return reject("INCOMPLETE");
+
+  const sec = Math.round(durationSec);
+  const total = memoryScore({ durationSec: sec, misses: attempts - matches, maxCombo });
+  if (Math.round(score) !== total) return reject("SCORE_MISMATCH", { expected: total });
+  return { ok: true, stats: { score: total, attempts, matches, maxCombo, durationSec: sec, spanMs: parsed.lastT } };
+}
+
+/**
+ * 블록블래스트 검증
+ * @returns {{ok: true, stats: {score, linesCleared, blocksPlaced, maxCombo, spanMs}} | {ok: false, reason}}
+ */
+export function verifyBlockBlastReplay({ seed, replay, score, durationSec }) {
+  const parsed = readMoves(replay, seed, { arity: 4, maxMoves: BLOCKBLAST_MAX_MOVES, timeLimitMs: BLOCKBLAST_TIME_LIMIT_MS, minMoveMs: BLOCKBLAST_MIN_MOVE_MS });
+  if (parsed.error) return reject(parsed.error, parsed.move != null ? { move: parsed.move } : {});
+  if (!checkDuration(durationSec, parsed.lastT)) return reject("DURATION_MISMATCH");
+
+  const drawSet = blockBlastDealer(seed);
+  const board = new Uint8Array(BOARD * BOARD);
+  let set = drawSet();
+  let total = 0, lines = 0, placed = 0, combo = 1, maxCombo = 1;
+
+  for (let k = 0; k < parsed.moves.length; k++) {
+    const [slot, row, col] = parsed.moves[k];
+    const shape = set[slot];
+    if (!shape) return reject("BAD_SLOT", { move: k });
+    for (const [dr, dc] of shape) {
+      const r = row + dr, c = col + dc;
+      if (r < 0 || c < 0 || r >= BOARD || c >= BOARD) return reject("OUT_OF_BOUNDS", { move: k });
+      if (board[r * BOARD + c]) return reject("OVERLAP", { move: k });
+    }
+    for (const [dr, dc] of shape) board[(row + dr) * BOARD + (col + dc)] = 1;
+    set[slot] = null;
+    placed++;
+    const cleared = blockBlastClearLines(board);
+    total += blockBlastPoints(shape.length, cleared, combo);
+    lines += cleared;
+    combo = streakCombo(combo, cleared > 0);
+    maxCombo = Math.max(maxCombo, combo);
+
+    if (set.every(s => s === null)) set = drawSet();
+  }
+
+  if (Math.round(score) !== total) return reject("SCORE_MISMATCH", { expected: total });
+  return { ok: true, stats: { score: total, linesCleared: lines, blocksPlaced: placed, maxCombo, spanMs: parsed.lastT } };
+}
+
+// ---------- 서버 발급 판 (score_runs) ----------
+
+const RUN_TIME_LIMIT_MS = {
+  apple: APPLE_TIME_LIMIT_MS,
+  memory: MEMORY_TIME_LIMIT_MS,
+  blockblast: BLOCKBLAST_TIME_LIMIT_MS,
+};
+
+let db = null;
+
+/** index.js에서 1회 — supabaseAdmin 주입 */
+export function initScoreReplay(supabaseAdmin) {
+  db = supabaseAdmin;
+}
+
+/**
+ * 판 시작 — 서버 seed + clientRunId 발급, 시작 시각 기록
+ * @returns {Promise<{clientRunId, seed, startedAt}>}  실패 시 throw
+ */
+export async function startScoreRun(game, userId) {
+  const row = {
+    client_run_id: crypto.randomUUID(),
+    user_id: userId,
+    game,
+    seed: crypto.randomBytes(4).readUInt32BE(0),
+    started_at: new Date().toISOString(),
+  };
+  const { error } = await db.from("score_runs").insert(row);
+  if (error) throw error;
+  return { clientRunId: row.client_run_id, seed: row.seed, startedAt: row.started_at };
+}
+
+/**
+ * 만료된 판 정리 — 게임 중 가장 긴 시간 제한 + 여유보다 오래된 판은 소비 여부와 상관없이 삭제 (idx_score_runs_started)
+ * index.js 10분 주기 tick 에서 호출. 실패는 로그만
+ */
+export async function pruneScoreRuns(now = Date.now()) {
+  const cutoff = new Date(now - Math.max(...Object.values(RUN_TIME_LIMIT_MS)) - RUN_EXPIRE_SLACK_MS).toISOString();
+  const { error } = await db.from("score_runs").delete().lt("started_at", cutoff);
+  if (error) console.warn("[score-runs] prune error:", error.message || error);
+}
+
+/**
+ * 제출 검증 + 1회 소비 — 리플레이 검증 통과 후 호출
+ * @param {object} o
+ * @param {string} o.game
+ * @param {string} o.userId
+ * @param {string|null} o.clientRunId
+ * @param {number} o.seed          클라가 리플레이에 쓴 seed
+ * @param {number} o.spanMs        리플레이 마지막 입력 시각 (stats.spanMs)
+ * @param {number} o.durationSec
+ * @returns {Promise<{ok: true} | {ok: false, reason}>}  DB 오류는 throw
+ */
+export async function consumeScoreRun({ game, userId, clientRunId, seed, spanMs, durationSec }) {
+  if (!clientRunId) return reject("RUN_REQUIRED");
+  const { data: run, error } = await db.from("score_runs")
+    .select("client_run_id, seed, started_at, consumed_at")
+    .eq("client_run_id", clientRunId).eq("user_id", userId).eq("game", game)
+    .maybeSingle();
+  if (error) throw error;
+  if (!run) return reject("RUN_NOT_FOUND");
+  if (run.consumed_at) return reject("RUN_ALREADY_USED");
+  if (Number(run.seed) !== seed) return reject("SEED_MISMATCH");
+
+  const elapsedMs = Date.now() - new Date(run.started_at).getTime();
+  if (elapsedMs > RUN_TIME_LIMIT_MS[game] + RUN_EXPIRE_SLACK_MS) return reject("RUN_EXPIRED");
+  // 로그/플레이 시간이 서버가 잰 경과보다 길면 timestamp 조작
+  if (spanMs > elapsedMs + RUN_CLOCK_SLACK_MS) return reject("CLOCK_MISMATCH");
+  if (durationSec * 1000 > elapsedMs + RUN_CLOCK_SLACK_MS) return reject("CLOCK_MISMATCH");
+
+  // 동시 제출 — consumed_at 이 비어 있을 때만 한 번 성공
+  const { data: used, error: useErr } = await db.from("score_runs")
+    .update({ consumed_at: new Date().toISOString() })
+    .eq("client_run_id", clientRunId).is("consumed_at", null)
+    .select("client_run_id");
+  if (useErr) throw useErr;
+  if (!used || used.length === 0) return reject("RUN_ALREADY_USED");
+  return { ok: true };
+}
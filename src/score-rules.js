@@ -0,0 +1,137 @@
+// =========================
+// 솔로 점수 게임 규칙 — 사과 / 메모리 / 블록블래스트 (판 생성 + 점수 계산)
+// 클라 게임과 서버 리플레이 검증(score-replay.js)이 같이 쓰는 단일 원본.
+//   브라우저에서 그대로 import 할 수 있게 순수 ESM, 의존성/Node API 없음
+//   클라는 GET /score-rules.js (index.js) 로 이 파일을 받아 씀 — 규칙을 따로 베끼지 않음
+// 규칙을 바꾸면 REPLAY_VERSION 을 올리고 test/fixtures/score-replay.json 골든 리플레이를 다시 기록
+//
+// 결정적 생성 — RNG 는 mulberry32(seed)
+//   apple      17×10 격자, 행 우선으로 1 + floor(rng() × 9)
+//   memory     카드 [0,0,1,1,…] 를 Fisher-Yates (i = n-1 → 1, j = floor(rng() × (i+1)))
+//   blockblast 세트마다 3개 — BLOCK_SHAPES[floor(rng() × 17)], 세트 3개를 다 놓으면 다음 세트
+//
+// 점수 규칙:
+//   apple      제거할 때마다 개수 × min(콤보, APPLE_COMBO_MULT_CAP).
+//              콤보: 직전 제거 후 APPLE_COMBO_WINDOW_MS 안이면 +1, 아니면 1
+//   memory     1000 - (시간초 × 2) - (오답 × 5) + (최대콤보 × 20), 0 미만은 0. 전부 맞춰야 완주
+//              콤보: 1에서 시작, 매칭 성공 +1, 실패 1
+//   blockblast 놓은 칸 수 + 지운 줄 × 10 × 콤보. 콤보: 1에서 시작, 줄을 지우면 +1, 못 지우면 1
+//              가득 찬 행/열은 놓을 때마다 동시에 지움
+// =========================
+
+export const REPLAY_VERSION = 1;
+
+export const APPLE_COLS = 17;
+export const APPLE_ROWS = 10;
+export const APPLE_TARGET_SUM = 10;
+export const APPLE_COMBO_WINDOW_MS = 3000;
+export const APPLE_COMBO_MULT_CAP = 10;
+
+export const BLOCKBLAST_BOARD = 10;
+export const MAX_COMBO = 50;
+
+// 17종 — [row, col] 오프셋 (좌상단 0,0)
+export const BLOCK_SHAPES = [
+  [[0, 0]],
+  [[0, 0], [0, 1]],
+  [[0, 0], [1, 0]],
+  [[0, 0], [0, 1], [0, 2]],
+  [[0, 0], [1, 0], [2, 0]],
+  [[0, 0], [0, 1], [0, 2], [0, 3]],
+  [[0, 0], [1, 0], [2, 0], [3, 0]],
+  [[0, 0], [0, 1], [0, 2], [0, 3], [0, 4]],
+  [[0, 0], [1, 0], [2, 0], [3, 0], [4, 0]],
+  [[0, 0], [0, 1], [1, 0], [1, 1]],
+  [[0, 0], [0, 1], [0, 2], [1, 0], [1, 1], [1, 2]],
+  [[0, 0], [0, 1], [1, 0], [1, 1], [2, 0], [2, 1]],
+  [[0, 0], [0, 1], [0, 2], [1, 0], [1, 1], [1, 2], [2, 0], [2, 1], [2, 2]],
+  [[0, 0], [1, 0], [1, 1]],
+  [[0, 0], [0, 1], [1, 0]],
+  [[0, 0], [0, 1], [1, 1]],
+  [[0, 1], [1, 0], [1, 1]],
+];
+
+/** mulberry32 — 32bit seed → [0, 1) 난수 함수 */
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ---------- 사과 ----------
+
+/** 사과 격자 (행 우선, 길이 COLS × ROWS, 값 1~9) */
+export function appleGrid(seed) {
+  const rng = mulberry32(seed);
+  return Array.from({ length: APPLE_COLS * APPLE_ROWS }, () => 1 + Math.floor(rng() * 9));
+}
+
+/** 제거 후 콤보 — gapMs: 직전 제거부터 경과 (첫 제거는 Infinity) */
+export function appleNextCombo(combo, gapMs) {
+  return gapMs <= APPLE_COMBO_WINDOW_MS ? Math.min(MAX_COMBO, combo + 1) : 1;
+}
+
+/** 한 번 제거한 점수 */
+export function applePoints(cleared, combo) {
+  return cleared * Math.min(combo, APPLE_COMBO_MULT_CAP);
+}
+
+/** 메모리/블록블래스트 콤보 — 성공(매칭 / 줄 지움)이면 +1, 아니면 1 */
+export function streakCombo(combo, hit) {
+  return hit ? Math.min(MAX_COMBO, combo + 1) : 1;
+}
+
+// ---------- 메모리 ----------
+
+/** 카드 배치 — 길이 difficulty², 같은 숫자 두 장씩 */
+export function memoryDeck(seed, difficulty) {
+  const n = difficulty * difficulty;
+  const cards = Array.from({ length: n }, (_, i) => Math.floor(i / 2));
+  const rng = mulberry32(seed);
+  for (let i = n - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [cards[i], cards[j]] = [cards[j], cards[i]];
+  }
+  return cards;
+}
+
+/** 완주 점수 — durationSec 는 반올림한 초 */
+export function memoryScore({ durationSec, misses, maxCombo }) {
+  return Math.max(0, Math.round(1000 - durationSec * 2 - misses * 5 + maxCombo * 20));
+}
+
+// ---------- 블록블래스트 ----------
+
+/** 블록 세트 뽑기 함수 — 호출할 때마다 다음 세트(3개) */
+export function blockBlastDealer(seed) {
+  const rng = mulberry32(seed);
+  return () => [0, 1, 2].map(() => BLOCK_SHAPES[Math.floor(rng() * BLOCK_SHAPES.length)]);
+}
+
+/** 가득 찬 행/열을 동시에 지우고 지운 줄 수 반환 (board 제자리 수정, 길이 BOARD²) */
+export function blockBlastClearLines(board) {
+  const N = BLOCKBLAST_BOARD;
+  const fullRows = [], fullCols = [];
+  for (let i = 0; i < N; i++) {
+    let rowFull = true, colFull = true;
+    for (let j = 0; j < N; j++) {
+      if (!board[i * N + j]) rowFull = false;
+      if (!board[j * N + i]) colFull = false;
+    }
+    if (rowFull) fullRows.push(i);
+    if (colFull) fullCols.push(i);
+  }
+  for (const r of fullRows) for (let j = 0; j < N; j++) board[r * N + j] = 0;
+  for (const c of fullCols) for (let j = 0; j < N; j++) board[j * N + c] = 0;
+  return fullRows.length + fullCols.length;
+}
+
+/** 블록 하나 놓은 점수 — 칸 수 + 지운 줄 × 10 × 콤보 */
+export function blockBlastPoints(cells, lines, combo) {
+  return cells + lines * 10 * combo;
+}
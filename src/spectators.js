@@ -0,0 +1,161 @@
+// =========================
+// DUO GAME ZONE — 관전자 (턴제 게임 공용)
+// 방이 꽉 찼거나 진행 중이어도 초대코드로 들어와 구경 + 채팅만 가능.
+// - 관전자는 게임 모듈의 players / userRoom 에 들어가지 않음 → 모든 게임 액션 핸들러가 NOT_IN_ROOM으로 거절
+// - socket room(`${prefix}:${roomId}`)에는 join → 방 전체 브로드캐스트는 그대로 수신
+// - 플레이어별 시점(정보 비대칭) 게임은 emitState()로 관전자에게 viewer=null 시점(전부 가림)을 따로 송신
+//
+// 이벤트 (prefix 기준):
+//   `${prefix}:spectate` { inviteCode, nickname } → { ok, roomId, room } (다른 노드 방이면 ROOM_ON_OTHER_NODE)
+//   `${prefix}:leaveSpectate`
+//   `${prefix}:chat` { text } → 플레이어/관전자 모두 → `${prefix}:chatMsg` { userId, name, text, ts, spectator }
+// =========================
+
+import { roomNotFoundReply } from "./cluster.js";
+
+const MAX_SPECTATORS_PER_ROOM = 30;
+const CHAT_MAX_LEN = 120;
+const CHAT_COOLDOWN_MS = 1000;
+const MAX_NICK_LEN = 20;
+
+/**
+ * 관전 지원 생성
+ * @param {object} opts
+ * @param {string} opts.prefix
+ * @param {(code) => object|null} opts.findByInvite          초대코드 → room
+ * @param {(userId) => object|null} opts.playerRoomOf        플레이어로 앉아있는 room
+ * @param {(roomId) => object|null} opts.getRoom             roomId → room
+ * @param {(room, viewerUserId?) => object} opts.publicRoom  관전자에겐 viewerUserId 없이 호출
+ * @param {(io, room) => void} opts.broadcastRoomState       관전자 수 변동 시 상태 재송신
+ */
+export function createSpectators(opts) {
+  const prefix = opts.prefix;
+  const byRoom = new Map();      // roomId → Map(userId → { name, isGuest, socketId, joinedAt })
+  const spectating = new Map();  // userId → roomId
+  const chatLast = new Map();    // userId → 마지막 채팅 시각
+
+  const socketRoomName = (roomId) => `${prefix}:${roomId}`;
+
+  function count(roomId) {
+    return byRoom.get(roomId)?.size || 0;
+  }
+
+  function list(roomId) {
+    return [...(byRoom.get(roomId)?.entries() || [])].map(([userId, s]) => ({ userId, name: s.name, isGuest: s.isGuest }));
+  }
+
+  // 플레이어별 시점 게임: 관전자에게 가림 처리된 시점 송신
+  function emitState(io, room) {
+    const specs = byRoom.get(room.id);
+    if (!specs || specs.size === 0) return;
+    const view = opts.publicRoom(room, null);
+    for (const s of specs.values()) {
+      io.sockets.sockets.get(s.socketId)?.emit(`${prefix}:roomState`, view);
+    }
+  }
+
+  // 방 삭제 시 관전자 정리 (socket room 탈퇴는 게임 모듈의 deleteRoom이 처리)
+  function clearRoom(roomId) {
+    const specs = byRoom.get(roomId);
+    if (!specs) return;
+    for (const uid of specs.keys()) {
+      if (spectating.get(uid) === roomId) spectating.delete(uid);
+    }
+    byRoom.delete(roomId);
+  }
+
+  // 관전 목록에서만 제거 (플레이어로 착석할 때 — 착석 쪽에서 상태를 송신하므로 여기선 생략)
+  // socket을 주면 관전하던 socket room에서도 빠짐 (다른 방에 앉는 경우)
+  function forget(userId, socket = null) {
+    const roomId = spectating.get(userId);
+    if (!roomId) return null;
+    spectating.delete(userId);
+    socket?.leave(socketRoomName(roomId));
+    const specs = byRoom.get(roomId);
+    specs?.delete(userId);
+    if (specs && specs.size === 0) byRoom.delete(roomId);
+    return roomId;
+  }
+
+  function remove(io, userId) {
+    const roomId = forget(userId);
+    if (!roomId) return;
+    const room = opts.getRoom(roomId);
+    if (room) opts.broadcastRoomState(io, room);
+  }
+
+  function attach(io, socket) {
+    const me = socket.user;
+    if (!me) return;
+
+    socket.on(`${prefix}:spectate`, (payload, cb) => {
+      const room = opts.findByInvite(payload?.inviteCode);
+      if (!room) return cb?.(roomNotFoundReply(prefix, payload?.inviteCode));
+      if (room.status === "ended") return cb?.({ ok: false, error: "GAME_ENDED" });
+      if (room.players.has(me.id)) return cb?.({ ok: false, error: "ALREADY_PLAYER" });
+      if (opts.playerRoomOf(me.id)) return cb?.({ ok: false, error: "IN_OTHER_ROOM" });
+
+      // 다른 방 관전 중이면 옮김
+      if (spectating.has(me.id) && spectating.get(me.id) !== room.id) {
+        socket.leave(socketRoomName(spectating.get(me.id)));
+        remove(io, me.id);
+      }
+      if (!byRoom.has(room.id)) byRoom.set(room.id, new Map());
+      const specs = byRoom.get(room.id);
+      if (!specs.has(me.id) && specs.size >= MAX_SPECTATORS_PER_ROOM) {
+        return cb?.({ ok: false, error: "SPECTATORS_FULL" });
+      }
+      const name = String(payload?.nickname || (me.isGuest ? "관전자" : "유저")).trim().slice(0, MAX_NICK_LEN) || "관전자";
+      specs.set(me.id, { name, isGuest: !!me.isGuest, socketId: socket.id, joinedAt: Date.now() });
+      spectating.set(me.id, room.id);
+      socket.join(socketRoomName(room.id));
+
+      cb?.({ ok: true, roomId: room.id, inviteCode: room.inviteCode, spectator: true, room: opts.publicRoom(room, null) });
+      opts.broadcastRoomState(io, room);
+    });
+
+    socket.on(`${prefix}:leaveSpectate`, (_payload, cb) => {
+      const roomId = spectating.get(me.id);
+      if (roomId) {
+        socket.leave(socketRoomName(roomId));
+        remove(io, me.id);
+      }
+      cb?.({ ok: true });
+    });
+
+    // ----- 채팅 (플레이어 + 관전자) -----
+    socket.on(`${prefix}:chat`, (payload, cb) => {
+      const playerRoom = opts.playerRoomOf(me.id);
+      const specRoomId = spectating.get(me.id);
+      const room = playerRoom || (specRoomId ? opts.getRoom(specRoomId) : null);
+      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
+      const raw = typeof payload?.text === "string" ? payload.text : "";
+      // 줄바꿈 → 공백, 양 끝 trim, 최대 120자
+      const text = raw.replace(/[\r\n]+/g, " ").trim().slice(0, CHAT_MAX_LEN);
+      if (!text) return cb?.({ ok: false, error: "EMPTY" });
+      const now = Date.now();
+      if (now - (chatLast.get(me.id) || 0) < CHAT_COOLDOWN_MS) return cb?.({ ok: false, error: "COOLDOWN" });
+      chatLast.set(me.id, now);
+
+      const isSpectator = !playerRoom;
+      const name = isSpectator
+        ? byRoom.get(room.id)?.get(me.id)?.name || "관전자"
+        : room.players.get(me.id)?.name || "?";
+      io.to(socketRoomName(room.id)).emit(`${prefix}:chatMsg`, {
+        userId: me.id, name, text, ts: now, spectator: isSpectator,
+      });
+      cb?.({ ok: true });
+    });
+
+    socket.on("disconnect", () => {
+      chatLast.delete(me.id);
+      const roomId = spectating.get(me.id);
+      if (!roomId) return;
+      // 최신 소켓이 이미 다른 곳이면 무시
+      if (byRoom.get(roomId)?.get(me.id)?.socketId !== socket.id) return;
+      remove(io, me.id);
+    });
+  }
+
+  return { count, list, emitState, clearRoom, forget, attach };
+}
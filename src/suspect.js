@@ -11,15 +11,49 @@
 //   - 손패 전부 공개되면 탈락. 최후의 1인(팀) 승.
 // =========================
 
-const scRooms = new Map();
-const scInvites = new Map();
-const scUserRoom = new Map();
+import { createRoomManager } from "./room-manager.js";
+import { roomNotFoundReply } from "./cluster.js";
+import { ratingRoster, settleRatings } from "./ratings.js";
+
+// 방 수명주기 (초대코드/빈 방 TTL/퇴장/강퇴/재요청) — 공용 매니저
+// roomState는 플레이어별 시점으로 개별 송신 (손패 정보 비대칭 유지)
+const rm = createRoomManager({
+  prefix: "suspect",
+  publicRoom,
+  perViewerState: true,
+  spectators: true,
+  clearTimers: clearAllTimers,
+  beforeLeave: (io, room, userId) => ({ wasTurn: room.currentTurnPlayerId === userId }),
+  afterLeave: (io, room, userId, ctx) => {
+    // 진행 중 누가 나가면: 생존 1인(팀)만 남으면 종료, 아니면 턴 다음으로
+    if (room.status === "playing") {
+      if (ctx.wasTurn) advanceTurn(io, room);
+      checkWinCondition(io, room);
+    }
+  },
+  onDisconnect: (io, room, userId) => {
+    io.to(socketRoomName(room.id)).emit("suspect:peerDisconnect", { playerId: userId });
+    // 30초 후 재접속 안 했으면 alive=false 처리 후 승리 조건 재검사 — 멈춤 방지
+    const expectedRoomId = room.id;
+    setTimeout(() => {
+      const r = rm.rooms.get(expectedRoomId);
+      if (!r || r.status !== "playing") return;
+      const pp = r.players.get(userId);
+      if (!pp || pp.connected) return;
+      pp.alive = false;
+      io.to(socketRoomName(r.id)).emit("suspect:playerEliminated", {
+        playerId: userId, nickname: pp.name, reason: "DISCONNECT_TIMEOUT",
+      });
+      checkWinCondition(io, r);
+    }, 30_000);
+  },
+});
+const { socketRoomName, broadcastRoomState } = rm;
 
 const ALLOWED_MAX_PLAYERS = [2, 4, 6, 8];
 const ALLOWED_MODES = new Set(["ffa", "1v1", "2v2", "2v2v2", "2v2v2v2"]);
 const ALLOWED_GUESS_TIME_SEC = [30, 60, 0];
 const MIN_PLAYERS_TO_START = 2;
-const EMPTY_ROOM_TTL_MS = 30_000;
 const MAX_NICK_LEN = 14;
 const HAND_SIZE_INITIAL = 3;     // 시작 손패
 const CARD_MAX_VALUE = 17;       // 0~17 (총 36장 흑+백)
@@ -29,17 +63,6 @@ const TEAM_COUNT_BY_MODE = { "ffa": 0, "1v1": 2, "2v2": 2, "2v2v2": 3, "2v2v2v2"
 const TEAM_LABELS = ["A", "B", "C", "D"];
 
 // ===== util =====
-function genInviteCode() {
-  for (let i = 0; i < 50; i++) {
-    const c = String(Math.floor(Math.random() * 1_000_000)).padStart(6, "0");
-    if (!scInvites.has(c)) return c;
-  }
-  return String(Math.floor(Math.random() * 10_000_000)).padStart(7, "0");
-}
-function socketRoomName(roomId) { return `suspect:${roomId}`; }
-function clearEmptyRoomTimer(room) {
-  if (room?.emptyRoomTimer) { clearTimeout(room.emptyRoomTimer); room.emptyRoomTimer = null; }
-}
 function clearGuessTimer(room) {
   if (room?.guessTimer) { clearTimeout(room.guessTimer); room.guessTimer = null; }
 }
@@ -134,71 +157,10 @@ function publicRoom(room, viewerUserId) {
         return publicPlayer(uid, p, viewerUserId, isSameTeam);
       })
       .filter(Boolean),
+    spectatorCount: rm.spectatorCount(room),
   };
 }
 
-function broadcastRoomState(io, room) {
-  // 각 플레이어에게 본인 시점의 publicRoom 전송 (정보 비대칭 유지)
-  for (const uid of room.playerOrder) {
-    const p = room.players.get(uid);
-    if (!p?.socketId) continue;
-    const sock = io.sockets.sockets.get(p.socketId);
-    if (sock) sock.emit("suspect:roomState", publicRoom(room, uid));
-  }
-}
-
-function deleteRoom(io, room, reason) {
-  clearEmptyRoomTimer(room);
-  clearAllTimers(room);
-  scRooms.delete(room.id);
-  scInvites.delete(room.inviteCode);
-  for (const uid of room.playerOrder) {
-    if (scUserRoom.get(uid) === room.id) scUserRoom.delete(uid);
-  }
-  io.to(socketRoomName(room.id)).emit("suspect:roomClosed", { reason });
-  io.in(socketRoomName(room.id)).socketsLeave(socketRoomName(room.id));
-  console.log(`[suspect] room ${room.id} deleted: ${reason}`);
-}
-
-function maybeScheduleEmptyRoomDelete(io, room) {
-  const connected = [...room.players.values()].filter(p => p.connected).length;
-  if (connected === 0 && !room.emptyRoomTimer) {
-    room.emptyRoomTimer = setTimeout(() => {
-      const r = scRooms.get(room.id);
-      if (!r) return;
-      const stillEmpty = [...r.players.values()].every(p => !p.connected);
-      if (stillEmpty) deleteRoom(io, r, "EMPTY");
-    }, EMPTY_ROOM_TTL_MS);
-  }
-}
-
-function leavePlayer(io, room, userId) {
-  if (!room.players.has(userId)) return;
-  const wasHost = room.hostUserId === userId;
-  const wasTurn = room.currentTurnPlayerId === userId;
-
-  room.players.delete(userId);
-  const idx = room.playerOrder.indexOf(userId);
-  if (idx >= 0) room.playerOrder.splice(idx, 1);
-  if (scUserRoom.get(userId) === room.id) scUserRoom.delete(userId);
-
-  if (wasHost && room.playerOrder.length > 0) {
-    room.hostUserId = room.playerOrder[0];
-  }
-  io.to(socketRoomName(room.id)).emit("suspect:peerLeave", { playerId: userId });
-
-  if (room.playerOrder.length === 0) {
-    deleteRoom(io, room, "ALL_LEFT");
-    return;
-  }
-  if (room.status === "playing") {
-    // 진행 중 누가 나가면: 생존 1인(팀)만 남으면 종료, 아니면 턴 다음으로
-    if (wasTurn) advanceTurn(io, room);
-    checkWinCondition(io, room);
-  }
-  broadcastRoomState(io, room);
-}
-
 // ===== 게임 lifecycle =====
 function assignTeams(room) {
   if (room.mode === "ffa") {
@@ -286,7 +248,7 @@ function startTurn(io, room, playerId) {
   broadcastRoomState(io, room);
   // 카드 뽑기 자동 타이머 — 10초 안에 안 뽑으면 서버가 자동 뽑기
   room.drawTimer = setTimeout(() => {
-    const r = scRooms.get(room.id);
+    const r = rm.rooms.get(room.id);
     if (!r || r.status !== "playing" || r.currentTurnPlayerId !== playerId) return;
     if (r.turnPhase !== "draw") return;
     performDraw(io, r, playerId, true);
@@ -332,7 +294,7 @@ function startGuessTimer(io, room, userId) {
   if (room.guessTimeSec <= 0) return;
   clearGuessTimer(room);
   room.guessTimer = setTimeout(() => {
-    const r = scRooms.get(room.id);
+    const r = rm.rooms.get(room.id);
     if (!r || r.status !== "playing" || r.currentTurnPlayerId !== userId) return;
     const player = r.players.get(userId);
     if (player && player.drawnCardId) {
@@ -399,6 +361,11 @@ function finishGame(io, room, reason) {
   });
 
   io.to(socketRoomName(room.id)).emit("suspect:gameEnded", { reason, ranking });
+  // 레이팅: 끝까지 살아남은(연결 중) 쪽 1위, 나머지 2위 — 팀전은 팀 단위로 묶임
+  settleRatings(io, "suspect", room, (uid) => {
+    const p = room.players.get(uid);
+    return p?.alive && p.connected ? 1 : 2;
+  });
   broadcastRoomState(io, room);
   console.log(`[suspect] room ${room.id} game ended: ${reason}`);
 }
@@ -413,18 +380,15 @@ export function registerSuspect(io, supabaseAdmin) {
     socket.on("suspect:createRoom", async (payload, cb) => {
       try {
         if (me.isGuest) return cb?.({ ok: false, error: "GUEST_CANNOT_CREATE" });
-        if (scUserRoom.has(me.id)) {
-          const old = scRooms.get(scUserRoom.get(me.id));
-          if (old) leavePlayer(io, old, me.id);
-        }
+        rm.leaveCurrentRoom(io, me.id);
         const maxPlayers = ALLOWED_MAX_PLAYERS.includes(Number(payload?.maxPlayers))
           ? Number(payload.maxPlayers) : 8;
         const mode = ALLOWED_MODES.has(payload?.mode) ? payload.mode : "ffa";
         const guessTimeSec = ALLOWED_GUESS_TIME_SEC.includes(Number(payload?.guessTimeSec))
           ? Number(payload.guessTimeSec) : 60;
 
-        const roomId = `sc_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
-        const inviteCode = genInviteCode();
+        const roomId = rm.newRoomId("sc");
+        const inviteCode = rm.genInviteCode();
         const room = {
           id: roomId, inviteCode, hostUserId: me.id,
           status: "lobby",
@@ -440,8 +404,7 @@ export function registerSuspect(io, supabaseAdmin) {
           guessTimer: null,
           createdAt: Date.now(),
         };
-        scRooms.set(roomId, room);
-        scInvites.set(inviteCode, roomId);
+        rm.addRoom(room);
 
         let avatar = null, nick = payload?.nickname;
         try {
@@ -451,8 +414,7 @@ export function registerSuspect(io, supabaseAdmin) {
         } catch {}
         room.players.set(me.id, newPlayerState(nick || "방장", false, avatar, socket.id));
         room.playerOrder.push(me.id);
-        scUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode, playerId: me.id, room: publicRoom(room, me.id) });
         broadcastRoomState(io, room);
@@ -466,18 +428,13 @@ export function registerSuspect(io, supabaseAdmin) {
     // ----- 입장 -----
     socket.on("suspect:joinRoom", async (payload, cb) => {
       try {
-        const code = String(payload?.inviteCode || "").trim();
-        const roomId = scInvites.get(code);
-        const room = roomId ? scRooms.get(roomId) : null;
-        if (!room) return cb?.({ ok: false, error: "ROOM_NOT_FOUND" });
+        const room = rm.findByInvite(payload?.inviteCode);
+        if (!room) return cb?.(roomNotFoundReply(rm.prefix, payload?.inviteCode));
+        const roomId = room.id;
         if (room.status === "ended") return cb?.({ ok: false, error: "GAME_ENDED" });
 
         if (room.players.has(me.id)) {
-          const p = room.players.get(me.id);
-          p.connected = true; p.socketId = socket.id;
-          socket.join(socketRoomName(roomId));
-          scUserRoom.set(me.id, roomId);
-          clearEmptyRoomTimer(room);
+          rm.reconnect(socket, room, me.id);
           cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room, me.id), rejoined: true });
           broadcastRoomState(io, room);
           return;
@@ -496,9 +453,7 @@ export function registerSuspect(io, supabaseAdmin) {
         const playerName = nick || (me.isGuest ? "게스트" : "유저");
         room.players.set(me.id, newPlayerState(playerName, !!me.isGuest, avatar, socket.id));
         room.playerOrder.push(me.id);
-        scUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
-        clearEmptyRoomTimer(room);
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room, me.id) });
         broadcastRoomState(io, room);
@@ -510,8 +465,7 @@ export function registerSuspect(io, supabaseAdmin) {
 
     // ----- 옵션 -----
     socket.on("suspect:setOptions", (payload, cb) => {
-      const roomId = scUserRoom.get(me.id);
-      const room = roomId ? scRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
@@ -537,8 +491,7 @@ export function registerSuspect(io, supabaseAdmin) {
 
     // ----- 게임 시작 -----
     socket.on("suspect:startGame", (_payload, cb) => {
-      const roomId = scUserRoom.get(me.id);
-      const room = roomId ? scRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status === "playing") return cb?.({ ok: false, error: "ALREADY_PLAYING" });
@@ -557,6 +510,7 @@ export function registerSuspect(io, supabaseAdmin) {
       assignTeams(room);
       dealInitial(room);
       room.status = "playing";
+      room.ratingRoster = ratingRoster(room);
 
       cb?.({ ok: true });
       broadcastRoomState(io, room);
@@ -566,8 +520,7 @@ export function registerSuspect(io, supabaseAdmin) {
 
     // ----- 카드 뽑기 (수동) -----
     socket.on("suspect:drawCard", (_payload, cb) => {
-      const roomId = scUserRoom.get(me.id);
-      const room = roomId ? scRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
       if (room.currentTurnPlayerId !== me.id) return cb?.({ ok: false, error: "NOT_YOUR_TURN" });
       if (room.turnPhase !== "draw") return cb?.({ ok: false, error: "ALREADY_DRAWN" });
@@ -578,8 +531,7 @@ export function registerSuspect(io, supabaseAdmin) {
     // ----- 추리 -----
     // payload: { targetPlayerId, targetIdx, guessValue }
     socket.on("suspect:guess", (payload, cb) => {
-      const roomId = scUserRoom.get(me.id);
-      const room = roomId ? scRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
       if (room.currentTurnPlayerId !== me.id) return cb?.({ ok: false, error: "NOT_YOUR_TURN" });
       if (room.turnPhase !== "guess") return cb?.({ ok: false, error: "NOT_GUESS_PHASE" });
@@ -652,8 +604,7 @@ export function registerSuspect(io, supabaseAdmin) {
 
     // ----- 추리 계속 (정답 후 선택) -----
     socket.on("suspect:continueTurn", (payload, cb) => {
-      const roomId = scUserRoom.get(me.id);
-      const room = roomId ? scRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
       if (room.currentTurnPlayerId !== me.id) return cb?.({ ok: false, error: "NOT_YOUR_TURN" });
       if (room.turnPhase !== "continue") return cb?.({ ok: false, error: "NOT_CONTINUE_PHASE" });
@@ -667,7 +618,7 @@ export function registerSuspect(io, supabaseAdmin) {
         if (room.guessTimeSec > 0) {
           clearGuessTimer(room);
           room.guessTimer = setTimeout(() => {
-            const r = scRooms.get(room.id);
+            const r = rm.rooms.get(room.id);
             if (!r || r.status !== "playing" || r.currentTurnPlayerId !== me.id) return;
             io.to(socketRoomName(r.id)).emit("suspect:turnTimeout", { playerId: me.id });
             advanceTurn(io, r);
@@ -684,68 +635,8 @@ export function registerSuspect(io, supabaseAdmin) {
       }
     });
 
-    // ----- 자발 퇴장 -----
-    socket.on("suspect:leaveRoom", (_payload, cb) => {
-      const roomId = scUserRoom.get(me.id);
-      const room = roomId ? scRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: true });
-      leavePlayer(io, room, me.id);
-      socket.leave(socketRoomName(room.id));
-      cb?.({ ok: true });
-    });
-
-    socket.on("suspect:kickPlayer", (payload, cb) => {
-      const roomId = scUserRoom.get(me.id);
-      const room = roomId ? scRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
-      if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
-      const targetId = String(payload?.targetUserId || "");
-      if (!targetId || targetId === me.id) return cb?.({ ok: false, error: "INVALID_TARGET" });
-      if (!room.players.has(targetId)) return cb?.({ ok: false, error: "TARGET_NOT_IN_ROOM" });
-      const target = room.players.get(targetId);
-      if (target?.socketId) io.to(target.socketId).emit("suspect:kicked", { reason: "KICKED_BY_HOST" });
-      leavePlayer(io, room, targetId);
-      cb?.({ ok: true });
-    });
-
-    // ----- 재접속 상태 -----
-    socket.on("suspect:requestState", (_payload, cb) => {
-      const roomId = scUserRoom.get(me.id);
-      const room = roomId ? scRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      cb?.({ ok: true, room: publicRoom(room, me.id) });
-    });
-
-    // ----- disconnect -----
-    socket.on("disconnect", () => {
-      const roomId = scUserRoom.get(me.id);
-      const room = roomId ? scRooms.get(roomId) : null;
-      if (!room) return;
-      const p = room.players.get(me.id);
-      if (!p) return;
-      if (p.socketId !== socket.id) return;
-      p.connected = false;
-      if (room.status === "lobby") {
-        leavePlayer(io, room, me.id);
-      } else {
-        io.to(socketRoomName(room.id)).emit("suspect:peerDisconnect", { playerId: me.id });
-        maybeScheduleEmptyRoomDelete(io, room);
-        // 30초 후 재접속 안 했으면 alive=false 처리 후 승리 조건 재검사 — 멈춤 방지
-        const expectedRoomId = roomId;
-        setTimeout(() => {
-          const r = scRooms.get(expectedRoomId);
-          if (!r || r.status !== "playing") return;
-          const pp = r.players.get(me.id);
-          if (!pp || pp.connected) return;
-          pp.alive = false;
-          io.to(socketRoomName(r.id)).emit("suspect:playerEliminated", {
-            playerId: me.id, nickname: pp.name, reason: "DISCONNECT_TIMEOUT",
-          });
-          checkWinCondition(io, r);
-        }, 30_000);
-      }
-    });
+    // ----- 퇴장/강퇴/상태 재요청/연결 해제 — 공용 매니저 -----
+    rm.attach(io, socket);
   });
 }
 
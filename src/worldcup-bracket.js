@@ -0,0 +1,77 @@
+// =========================
+// 멀티 월드컵 대진 시딩
+// initBracket 은 bracket[0..1], [2..3] ... 순서로 1라운드를 진행하고, 승자를 순서대로 다음 라운드에 이어 붙임
+// (홀수면 마지막 후보가 부전승 → 다음 라운드 맨 앞). 여기서는 그 "1라운드 배열 순서"만 정함.
+//
+// 시딩 모드 (room:create / game:start 의 seeding):
+//   random   — 기존 동작. 무작위 대진 (기본)
+//   classic  — Bradley-Terry 강도 순 1번 시드 vs 최하위 시드, 상위 시드끼리는 최대한 늦게 만나는 표준 배치.
+//              2의 거듭제곱이 아니면 상위 시드 vs 하위 시드로 짝짓고, 홀수면 1번 시드 부전승
+//   balanced — 무작위 + 최근 자주 맞붙은 쌍(worldcup_matches 최근 기록)을 1라운드에서 피함
+// =========================
+
+export const SEEDING_MODES = ["random", "classic", "balanced"];
+
+function shuffle(arr) {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+function isPowerOfTwo(n) { return n > 0 && (n & (n - 1)) === 0; }
+
+/** 표준 토너먼트 시드 배치 (n = 2의 거듭제곱) — 0-based 시드 번호 배열. 예: 8 → [0,7,3,4,1,6,2,5] */
+export function standardSeedOrder(n) {
+  let order = [0];
+  for (let size = 2; size <= n; size *= 2) {
+    order = order.flatMap(s => [s, size - 1 - s]);
+  }
+  return order;
+}
+
+/**
+ * classic 배치 — strongestFirst: 강한 순으로 정렬된 후보
+ * @returns 1라운드 배열 순서
+ */
+export function classicBracket(strongestFirst) {
+  const n = strongestFirst.length;
+  if (n < 2) return [...strongestFirst];
+  if (isPowerOfTwo(n)) return standardSeedOrder(n).map(s => strongestFirst[s]);
+
+  // 홀수: 1번 시드 부전승 (배열 끝 → initBracket 이 nextBracket 으로 넘김)
+  const bye = n % 2 === 1 ? strongestFirst[0] : null;
+  const rest = bye ? strongestFirst.slice(1) : strongestFirst;
+  const pairs = [];
+  for (let i = 0; i < rest.length / 2; i++) pairs.push([rest[i], rest[rest.length - 1 - i]]);
+  // 상위 쌍끼리 늦게 만나도록 쌍 순서도 표준 배치
+  let size = 1;
+  while (size < pairs.length) size *= 2;
+  const order = standardSeedOrder(size).filter(k => k < pairs.length);
+  const out = order.flatMap(k => pairs[k]);
+  if (bye) out.push(bye);
+  return out;
+}
+
+/**
+ * balanced 배치 — 최근 맞붙은 횟수가 적은 상대와 우선 매칭 (동률은 무작위)
+ * @param {Array} candidates
+ * @param {(a, b) => number} recentCount  두 후보의 최근 맞대결 횟수
+ */
+export function balancedBracket(candidates, recentCount) {
+  const pool = shuffle(candidates);
+  const out = [];
+  while (pool.length > 1) {
+    const a = pool.shift();
+    let best = 0, bestCount = Infinity;
+    for (let i = 0; i < pool.length; i++) {
+      const c = recentCount(a, pool[i]);
+      if (c < bestCount) { best = i; bestCount = c; if (c === 0) break; }
+    }
+    out.push(a, pool.splice(best, 1)[0]);
+  }
+  if (pool.length) out.push(pool[0]);
+  return out;
+}
@@ -0,0 +1,157 @@
+// =========================
+// 월드컵 개인 결과 비교 — "나 vs 모두"
+// 완주한 판(worldcup_runs) 1개의 내 선택을 전체 기록과 비교:
+//   agreement  — 매치마다 다른 사람들(worldcup_pair_stats 누적에서 내 1표를 뺀 값)의 다수 선택과 같았는지
+//   rarestPick — 표본 MIN_SAMPLE 이상인 매치 중 나와 같은 선택 비율이 가장 낮았던 매치
+//   champion   — 내 우승 후보의 전체 우승 횟수 순위 (worldcup_candidate_stats_v)
+// 매치 ↔ 판 연결: worldcup_matches.run_id (sql/schema_worldcup_run_compare.sql), 이전 판은 session_id
+// 사용: GET /worldcup/runs/:runId/compare
+// =========================
+
+import { matchPair, pairKey } from "./worldcup-strength.js";
+
+const MIN_SAMPLE = 5;
+// 쌍 조회 or 필터 1회당 쌍 수 (URL 길이 제한)
+const PAIR_CHUNK = 40;
+
+let db = null;
+
+/** index.js에서 1회 — supabaseAdmin 주입 */
+export function initWorldcupCompare(supabaseAdmin) {
+  db = supabaseAdmin;
+}
+
+async function runMatches(run) {
+  const columns = "match_round, candidate_a_id, candidate_b_id, winner_candidate_id, loser_candidate_id, is_tie, created_at";
+  const { data, error } = await db.from("worldcup_matches")
+    .select(columns)
+    .eq("run_id", run.id)
+    .order("created_at", { ascending: true });
+  if (error) throw error;
+  if (data?.length || !run.session_id) return data || [];
+
+  const { data: legacy, error: lErr } = await db.from("worldcup_matches")
+    .select(columns)
+    .eq("content_id", run.content_id)
+    .eq("session_id", run.session_id)
+    .is("run_id", null)
+    .order("created_at", { ascending: true });
+  if (lErr) throw lErr;
+  return legacy || [];
+}
+
+// 필요한 쌍만 정확히 — (lo, hi) 조건을 or 로 묶어 PAIR_CHUNK 개씩
+// (lo 후보로만 거르면 인기 후보는 상대 전부가 딸려 와 PostgREST 1000행 상한에 잘림)
+async function pairStats(contentId, keys) {
+  const pairs = [...new Set(keys)].map(k => k.split("|"));
+  const chunks = [];
+  for (let i = 0; i < pairs.length; i += PAIR_CHUNK) chunks.push(pairs.slice(i, i + PAIR_CHUNK));
+  const results = await Promise.all(chunks.map(chunk => db.from("worldcup_pair_stats")
+    .select("candidate_lo, candidate_hi, lo_wins, hi_wins, ties")
+    .eq("content_id", contentId)
+    .or(chunk.map(([lo, hi]) => `and(candidate_lo.eq.${lo},candidate_hi.eq.${hi})`).join(","))));
+  const out = new Map();
+  for (const { data, error } of results) {
+    if (error) throw error;
+    for (const r of data || []) out.set(`${r.candidate_lo}|${r.candidate_hi}`, r);
+  }
+  return out;
+}
+
+/**
+ * 판 비교
+ * @param {object} run  worldcup_runs row (id, content_id, session_id, champion_candidate_id)
+ * @returns {Promise<object>}  실패 시 throw
+ */
+export async function compareRun(run) {
+  const matches = (await runMatches(run))
+    .map(m => ({ m, pair: matchPair(m) }))
+    .filter(x => x.pair && x.pair[2] !== null);
+
+  const stats = await pairStats(run.content_id, matches.map(x => pairKey(x.pair[0], x.pair[1])));
+
+  const picks = matches.map(({ m, pair }) => {
+    const [a, b, winner] = pair;
+    const loser = winner === a ? b : a;
+    const row = stats.get(pairKey(a, b));
+    let winnerVotes = 0, loserVotes = 0;
+    if (row) {
+      const loIsWinner = row.candidate_lo === winner;
+      winnerVotes = loIsWinner ? row.lo_wins : row.hi_wins;
+      loserVotes = loIsWinner ? row.hi_wins : row.lo_wins;
+    }
+    // 내 1표는 이미 누적돼 있으므로 제외
+    winnerVotes = Math.max(0, winnerVotes - 1);
+    const others = winnerVotes + loserVotes;
+    return {
+      matchRound: m.match_round || null,
+      winnerId: winner,
+      loserId: loser,
+      others,
+      sameRate: others > 0 ? Math.round((winnerVotes / others) * 1000) / 10 : null,
+    };
+  });
+
+  const decided = picks.filter(p => p.others > 0 && p.sameRate !== 50);
+  const agreed = decided.filter(p => p.sameRate > 50).length;
+  const rarest = picks
+    .filter(p => p.others >= MIN_SAMPLE)
+    .reduce((best, p) => (!best || p.sameRate < best.sameRate ? p : best), null);
+
+  const [champion, names] = await Promise.all([
+    championRank(run),
+    candidateInfo([run.champion_candidate_id, ...picks.flatMap(p => [p.winnerId, p.loserId])]),
+  ]);
+  for (const p of picks) {
+    p.winner = names.get(p.winnerId) || null;
+    p.loser = names.get(p.loserId) || null;
+  }
+  champion.candidate = names.get(run.champion_candidate_id) || null;
+
+  return {
+    matchCount: picks.length,
+    agreement: {
+      agreed,
+      counted: decided.length,
+      percent: decided.length > 0 ? Math.round((agreed / decided.length) * 1000) / 10 : null,
+    },
+    rarestPick: rarest,
+    champion,
+    picks,
+  };
+}
+
+async function candidateInfo(ids) {
+  const unique = [...new Set(ids.filter(Boolean))];
+  if (unique.length === 0) return new Map();
+  const { data, error } = await db.from("worldcup_candidates")
+    .select("id, name, media_type, thumbnail_url")
+    .in("id", unique);
+  if (error) throw error;
+  return new Map((data || []).map(c => [c.id, { name: c.name, media_type: c.media_type, thumbnail_url: c.thumbnail_url || null }]));
+}
+
+async function championRank(run) {
+  const champId = run.champion_candidate_id;
+  const [{ data: rows, error }, { count: totalRuns, error: cErr }] = await Promise.all([
+    db.from("worldcup_candidate_stats_v")
+      .select("candidate_id, champion_count")
+      .eq("content_id", run.content_id),
+    db.from("worldcup_runs")
+      .select("id", { count: "exact", head: true })
+      .eq("content_id", run.content_id),
+  ]);
+  if (error) throw error;
+  if (cErr) throw cErr;
+  const list = rows || [];
+  const mine = list.find(r => r.candidate_id === champId);
+  if (!mine) return { candidateId: champId, rank: null, of: list.length, championCount: 0, championRate: null };
+  const rank = 1 + list.filter(r => r.champion_count > mine.champion_count).length;
+  return {
+    candidateId: champId,
+    rank,
+    of: list.length,
+    championCount: mine.champion_count,
+    championRate: totalRuns > 0 ? Math.round((mine.champion_count / totalRuns) * 1000) / 10 : null,
+  };
+}
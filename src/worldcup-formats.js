@@ -0,0 +1,239 @@
+// =========================
+// 멀티 월드컵 진행 방식 (format)
+// 기본 single(싱글 엘리미네이션)은 index.js 의 bracket/nextBracket 로직 그대로 — 여기서는 다루지 않음.
+//
+//   double — 더블 엘리미네이션. 2패 탈락.
+//            승자조(0패)와 패자조(1패)를 라운드마다 각각 짝지어 진행 (홀수면 마지막 후보 부전승),
+//            승자조 패자는 다음 라운드부터 패자조 합류.
+//            승자조/패자조 생존자가 1명씩 남으면 결승 — 패자조 쪽이 이기면 결승 리셋 1판 더.
+//            총 2N-2판 (리셋 시 2N-1판)
+//   league — 풀리그 (라운드 로빈, 후보 LEAGUE_MAX_CANDIDATES 이하). 서클 방식 일정, 홀수면 매 라운드 1명 휴식.
+//            승 3 / 무 1 / 패 0. 순위: 승점 → 승수 → 동률자끼리 승점 → 시드 순. 1위가 우승.
+//            재투표까지 동률이면 무승부 (worldcup_matches 에는 is_tie 로 기록)
+//
+// 상태(room.formatState)는 JSON 그대로 직렬화됨 (room-store 스냅샷) — 후보는 인덱스로만 참조
+// API: createFormatState / formatCurrentPair / formatRecordResult / formatRoundInfo / formatTotalMatches / formatStandings
+// =========================
+
+export const WC_FORMATS = ["single", "double", "league"];
+export const LEAGUE_MAX_CANDIDATES = 16;
+
+const WIN_POINTS = 3;
+const DRAW_POINTS = 1;
+
+function indexOfCand(state, cand) {
+  if (!cand) return -1;
+  return state.cands.findIndex(c => (c.id != null ? c.id === cand.id : c.name === cand.name));
+}
+
+function pairUp(list) {
+  const pairs = [];
+  for (let i = 0; i + 1 < list.length; i += 2) pairs.push([list[i], list[i + 1]]);
+  return pairs;
+}
+
+// ===== double =====
+
+function buildDoubleRound(state) {
+  const alive = state.cands.map((_, i) => i).filter(i => state.losses[i] < 2);
+  const wb = state.order.filter(i => state.losses[i] === 0);
+  const lb = state.order.filter(i => state.losses[i] === 1);
+  state.round = [];
+  state.pos = 0;
+  if (alive.length <= 1) {
+    state.champion = alive[0] ?? null;
+    return;
+  }
+  state.roundNo++;
+  if (wb.length === 1 && lb.length === 1) {
+    state.round.push({ a: wb[0], b: lb[0], side: "final" });
+  } else if (wb.length === 0 && lb.length === 2) {
+    // 결승에서 패자조 쪽이 이겨 둘 다 1패 → 리셋
+    state.round.push({ a: lb[0], b: lb[1], side: "reset" });
+  } else {
+    if (wb.length > 1) {
+      const wbSize = wb.length;
+      for (const [a, b] of pairUp(wb)) state.round.push({ a, b, side: "winners", size: wbSize });
+    }
+    for (const [a, b] of pairUp(lb)) state.round.push({ a, b, side: "losers" });
+  }
+}
+
+function doubleLabel(m, state) {
+  if (m.side === "final") return "결승";
+  if (m.side === "reset") return "결승 리셋";
+  if (m.side === "winners") return m.size <= 2 ? "승자조 결승" : `승자조 ${m.size}강`;
+  return `패자조 ${state.roundNo}R`;
+}
+
+// ===== league =====
+
+// 서클 방식 — n(짝수) 명이면 n-1 라운드, 라운드마다 n/2 경기. null = 휴식
+function roundRobinSchedule(n) {
+  const slots = Array.from({ length: n }, (_, i) => i);
+  if (n % 2 === 1) slots.push(null);
+  const m = slots.length;
+  const rounds = [];
+  for (let r = 0; r < m - 1; r++) {
+    const games = [];
+    for (let k = 0; k < m / 2; k++) {
+      const a = slots[k], b = slots[m - 1 - k];
+      if (a !== null && b !== null) games.push(r % 2 === 0 ? [a, b] : [b, a]);
+    }
+    rounds.push(games);
+    // 0번 고정, 나머지 회전
+    slots.splice(1, 0, slots.pop());
+  }
+  return rounds;
+}
+
+function leagueTable(state) {
+  const rows = state.cands.map((_, i) => ({ i, played: 0, wins: 0, draws: 0, losses: 0, points: 0 }));
+  for (const r of state.results) {
+    const [a, b] = [rows[r.a], rows[r.b]];
+    a.played++; b.played++;
+    if (r.winner == null) {
+      a.draws++; b.draws++;
+      a.points += DRAW_POINTS; b.points += DRAW_POINTS;
+    } else {
+      const [w, l] = r.winner === r.a ? [a, b] : [b, a];
+      w.wins++; l.losses++;
+      w.points += WIN_POINTS;
+    }
+  }
+
+  // 승점·승수 동률 그룹 안에서만 맞대결 승점
+  const groupKey = (row) => `${row.points}:${row.wins}`;
+  const groups = new Map();
+  for (const row of rows) {
+    const k = groupKey(row);
+    if (!groups.has(k)) groups.set(k, new Set());
+    groups.get(k).add(row.i);
+  }
+  const h2h = new Array(rows.length).fill(0);
+  for (const r of state.results) {
+    const g = groups.get(groupKey(rows[r.a]));
+    if (!g.has(r.b)) continue;
+    if (r.winner == null) { h2h[r.a] += DRAW_POINTS; h2h[r.b] += DRAW_POINTS; }
+    else h2h[r.winner] += WIN_POINTS;
+  }
+
+  return rows.sort((x, y) =>
+    (y.points - x.points) || (y.wins - x.wins) || (h2h[y.i] - h2h[x.i]) || (x.i - y.i));
+}
+
+// ===== 공통 API =====
+
+/**
+ * 진행 상태 생성
+ * @param {"double"|"league"} format
+ * @param {Array} candidates  1라운드 순서(시딩 결과)대로 정렬된 후보 — league 는 이 순서가 최종 동률 기준
+ */
+export function createFormatState(format, candidates) {
+  const cands = [...candidates];
+  if (format === "double") {
+    const state = {
+      format, cands,
+      order: cands.map((_, i) => i),
+      losses: cands.map(() => 0),
+      round: [], pos: 0, roundNo: 0,
+      champion: null, reset: false,
+    };
+    buildDoubleRound(state);
+    return state;
+  }
+  if (format === "league") {
+    const schedule = roundRobinSchedule(cands.length);
+    const games = [];
+    schedule.forEach((round, r) => {
+      for (const [a, b] of round) games.push({ a, b, round: r + 1, roundTotal: round.length });
+    });
+    return { format, cands, games, pos: 0, rounds: schedule.length, results: [], champion: null };
+  }
+  throw new Error(`unknown format: ${format}`);
+}
+
+function currentGame(state) {
+  return state.format === "double" ? state.round[state.pos] : state.games[state.pos];
+}
+
+/** 이번 매치 { A, B, label } — 끝났으면 null */
+export function formatCurrentPair(state) {
+  const m = currentGame(state);
+  if (!m) return null;
+  const label = state.format === "double" ? doubleLabel(m, state) : `리그 ${m.round}R`;
+  return { A: state.cands[m.a], B: state.cands[m.b], label };
+}
+
+/**
+ * 매치 결과 반영
+ * @param {object} winner  이긴 후보 (isTie 면 무시 — league 무승부)
+ * @param {object} loser
+ * @param {boolean} isTie  재투표까지 동률 — double 은 승패가 필요하므로 winner/loser 그대로 사용
+ * @returns {{finished: boolean, champion?: object}}
+ */
+export function formatRecordResult(state, winner, loser, isTie) {
+  const m = currentGame(state);
+  if (!m) return { finished: true, champion: state.cands[state.champion] };
+
+  if (state.format === "double") {
+    const w = indexOfCand(state, winner);
+    const l = w === m.a ? m.b : m.a;
+    state.losses[l]++;
+    if (m.side === "final" && l === m.a) state.reset = true;
+    // 승자조에서 진 후보는 패자조 맨 뒤로
+    if (m.side === "winners") state.order = [...state.order.filter(i => i !== l), l];
+    state.pos++;
+    if (state.pos >= state.round.length) buildDoubleRound(state);
+    if (state.round.length === 0) return { finished: true, champion: state.cands[state.champion] };
+    return { finished: false };
+  }
+
+  const w = indexOfCand(state, winner);
+  state.results.push({ a: m.a, b: m.b, winner: isTie || (w !== m.a && w !== m.b) ? null : w });
+  state.pos++;
+  if (state.pos >= state.games.length) {
+    state.champion = leagueTable(state)[0].i;
+    return { finished: true, champion: state.cands[state.champion] };
+  }
+  return { finished: false };
+}
+
+/** 라운드 표시 정보 — wcRoundInfo 와 같은 모양 { roundName, matchInRound, roundTotalMatches } */
+export function formatRoundInfo(state) {
+  const m = currentGame(state);
+  if (!m) return {};
+  if (state.format === "double") {
+    const same = state.round.filter(x => x.side === m.side);
+    return {
+      roundName: doubleLabel(m, state),
+      matchInRound: same.indexOf(m) + 1,
+      roundTotalMatches: same.length,
+    };
+  }
+  const first = state.games.findIndex(g => g.round === m.round);
+  return { roundName: `리그 ${m.round}R`, matchInRound: state.pos - first + 1, roundTotalMatches: m.roundTotal };
+}
+
+/** 전체 매치 수 (double 은 결승 리셋이 생기면 +1) */
+export function formatTotalMatches(state) {
+  const n = state.cands.length;
+  if (state.format === "double") return n < 2 ? 0 : 2 * n - 2 + (state.reset ? 1 : 0);
+  return state.games.length;
+}
+
+/** 순위표 — league: 승점 순 / double: 패 수 순 (탈락 여부 포함) */
+export function formatStandings(state) {
+  if (state.format === "league") {
+    return leagueTable(state).map((r, k) => ({
+      rank: k + 1,
+      id: state.cands[r.i].id ?? null,
+      name: state.cands[r.i].name,
+      played: r.played, wins: r.wins, draws: r.draws, losses: r.losses, points: r.points,
+    }));
+  }
+  return state.cands
+    .map((c, i) => ({ id: c.id ?? null, name: c.name, losses: state.losses[i], eliminated: state.losses[i] >= 2, i }))
+    .sort((x, y) => (x.losses - y.losses) || (x.i - y.i))
+    .map(({ i, ...row }) => row);
+}
@@ -0,0 +1,197 @@
+// =========================
+// 월드컵 후보 강도 모델 (Bradley-Terry)
+// worldcup_matches 의 1:1 결과(승/패/무)로 콘텐츠별 후보 강도를 추정.
+// 챔피언 횟수/승률과 달리 "누구를 이겼는지"가 반영됨 — 강한 후보를 이긴 1승 > 약한 후보를 이긴 1승.
+//
+// P(i가 j를 이김) = p_i / (p_i + p_j)
+// 적합: MM 알고리즘 (Hunter 2004). 무승부는 양쪽 0.5승.
+// 사전분포: 모든 후보가 기준 상대(강도 1)와 PRIOR_GAMES판 반반 — 전승/전패 후보도 유한값, 표본 적으면 1 근처
+//
+// 사용: GET /worldcup/:contentId/strengths, selectCandidatesForRoom pick="strength",
+//       대진 시딩 classic(강도 순) / balanced(getRecentPairCounts — 최근 맞대결 회피) — worldcup-bracket.js
+// 맞대결 행렬: fetchPairMatrix — worldcup_pair_stats (INSERT 트리거 누적, sql/schema_worldcup_pair_stats.sql)
+// 콘텐츠별 결과는 STRENGTH_CACHE_TTL_MS 동안 메모리 캐시
+// =========================
+
+const PRIOR_GAMES = 2;
+const MAX_ITERATIONS = 200;
+const TOLERANCE = 1e-6;
+const PAGE = 1000;
+const STRENGTH_CACHE_TTL_MS = 10 * 60 * 1000;
+const STRENGTH_CACHE_MAX = 200;
+
+let db = null;
+const cache = new Map();  // contentId → { at, result }
+
+/** index.js에서 1회 — supabaseAdmin 주입 */
+export function initWorldcupStrength(supabaseAdmin) {
+  db = supabaseAdmin;
+}
+
+/** 매치 row → [a, b, winner|null] (무승부면 winner=null). 상대 없는 row(부전승 등)는 null */
+export function matchPair(m) {
+  const a = m.candidate_a_id || m.winner_candidate_id;
+  const b = m.candidate_b_id || m.loser_candidate_id;
+  if (!a || !b || a === b) return null;
+  if (m.is_tie) return [a, b, null];
+  if (m.winner_candidate_id !== a && m.winner_candidate_id !== b) return null;
+  return [a, b, m.winner_candidate_id];
+}
+
+/**
+ * Bradley-Terry 적합
+ * @param {Array} matches           worldcup_matches rows
+ * @param {string[]} candidateIds   대상 후보 (매치에 없는 후보도 포함 → 강도 1)
+ * @returns {Map<string, {strength, winProb, games, wins, losses, ties}>}
+ *   winProb: 평균 후보(강도 1) 상대 기대 승률
+ */
+export function fitBradleyTerry(matches, candidateIds) {
+  const ids = [...new Set(candidateIds)];
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const n = ids.length;
+  const wins = new Float64Array(n);
+  const rec = ids.map(() => ({ games: 0, wins: 0, losses: 0, ties: 0 }));
+  const pairGames = new Map();  // i*n+j (i<j) → 판수
+
+  for (const m of matches) {
+    const pair = matchPair(m);
+    if (!pair) continue;
+    const i = index.get(pair[0]), j = index.get(pair[1]);
+    if (i === undefined || j === undefined) continue;
+    const key = i < j ? i * n + j : j * n + i;
+    pairGames.set(key, (pairGames.get(key) || 0) + 1);
+    rec[i].games++; rec[j].games++;
+    if (pair[2] === null) {
+      wins[i] += 0.5; wins[j] += 0.5;
+      rec[i].ties++; rec[j].ties++;
+    } else {
+      const w = pair[2] === pair[0] ? i : j;
+      const l = w === i ? j : i;
+      wins[w] += 1;
+      rec[w].wins++; rec[l].losses++;
+    }
+  }
+
+  // 후보별 상대 목록 (희소)
+  const opponents = ids.map(() => []);
+  for (const [key, g] of pairGames) {
+    const i = Math.floor(key / n), j = key % n;
+    opponents[i].push([j, g]);
+    opponents[j].push([i, g]);
+  }
+
+  let p = new Float64Array(n).fill(1);
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    const next = new Float64Array(n);
+    let maxDelta = 0;
+    for (let i = 0; i < n; i++) {
+      let denom = PRIOR_GAMES / (p[i] + 1);
+      for (const [j, g] of opponents[i]) denom += g / (p[i] + p[j]);
+      next[i] = (wins[i] + PRIOR_GAMES / 2) / denom;
+      maxDelta = Math.max(maxDelta, Math.abs(next[i] - p[i]) / p[i]);
+    }
+    p = next;
+    if (maxDelta < TOLERANCE) break;
+  }
+
+  const out = new Map();
+  ids.forEach((id, i) => {
+    out.set(id, {
+      strength: Math.round(p[i] * 10000) / 10000,
+      winProb: Math.round((p[i] / (p[i] + 1)) * 10000) / 100,
+      ...rec[i],
+    });
+  });
+  return out;
+}
+
+async function fetchAll(table, columns, applyFilters) {
+  let all = [];
+  for (let from = 0; ; from += PAGE) {
+    const { data, error } = await applyFilters(db.from(table).select(columns)).range(from, from + PAGE - 1);
+    if (error) throw error;
+    if (!data || data.length === 0) break;
+    all = all.concat(data);
+    if (data.length < PAGE) break;
+  }
+  return all;
+}
+
+/**
+ * 콘텐츠 후보 강도 (캐시)
+ * @returns {Promise<{strengths: Map, matchCount: number, fittedAt: number}>}  실패 시 throw
+ */
+export async function getCandidateStrengths(contentId) {
+  const hit = cache.get(contentId);
+  if (hit && Date.now() - hit.at < STRENGTH_CACHE_TTL_MS) return hit.result;
+
+  const [candidates, matches] = await Promise.all([
+    fetchAll("worldcup_candidates", "id", q => q.eq("content_id", contentId).eq("is_active", true).order("id", { ascending: true })),
+    fetchAll("worldcup_matches", "candidate_a_id, candidate_b_id, winner_candidate_id, loser_candidate_id, is_tie",
+      q => q.eq("content_id", contentId).order("id", { ascending: true })),
+  ]);
+  const result = {
+    strengths: fitBradleyTerry(matches, candidates.map(c => c.id)),
+    matchCount: matches.length,
+    fittedAt: Date.now(),
+  };
+
+  cache.delete(contentId);
+  if (cache.size >= STRENGTH_CACHE_MAX) cache.delete(cache.keys().next().value);
+  cache.set(contentId, { at: Date.now(), result });
+  return result;
+}
+
+/** 정렬된 후보 쌍 키 */
+export function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/**
+ * 최근 매치업 빈도 — balanced 시딩(재대결 회피)용
+ * @returns {Promise<Map<string, number>>}  pairKey → 최근 limit판 중 맞붙은 횟수 (실패 시 throw)
+ */
+export async function getRecentPairCounts(contentId, limit = 500) {
+  const { data, error } = await db.from("worldcup_matches")
+    .select("candidate_a_id, candidate_b_id, winner_candidate_id, loser_candidate_id, is_tie")
+    .eq("content_id", contentId)
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  const counts = new Map();
+  for (const m of data || []) {
+    const pair = matchPair(m);
+    if (!pair) continue;
+    const key = pairKey(pair[0], pair[1]);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * 맞대결 행렬 조각 — rowIds 후보 기준 (worldcup_pair_stats, 트리거 누적 집계)
+ * @param {string} contentId
+ * @param {string[]} rowIds        이번 페이지 행 후보
+ * @param {number} [minGames]      이 판수 미만 쌍은 제외 (표본 부족)
+ * @returns {Promise<Object>}  { [rowId]: { [colId]: { wins, losses, ties, games } } } (실패 시 throw)
+ */
+export async function fetchPairMatrix(contentId, rowIds, minGames = 1) {
+  const cells = {};
+  for (const id of rowIds) cells[id] = {};
+  if (rowIds.length === 0) return cells;
+  // 행 후보가 lo 인 쌍 + hi 인 쌍 (OR 필터 대신 두 번 — 긴 URL 방지)
+  const columns = "candidate_lo, candidate_hi, lo_wins, hi_wins, ties, games";
+  const bySide = (side) => fetchAll("worldcup_pair_stats", columns,
+    q => q.eq("content_id", contentId)
+      .gte("games", Math.max(1, minGames))
+      .in(side, rowIds)
+      .order("candidate_lo", { ascending: true })
+      .order("candidate_hi", { ascending: true }));
+  const [asLo, asHi] = await Promise.all([bySide("candidate_lo"), bySide("candidate_hi")]);
+  const rows = [...asLo, ...asHi];
+  for (const r of rows) {
+    if (cells[r.candidate_lo]) cells[r.candidate_lo][r.candidate_hi] = { wins: r.lo_wins, losses: r.hi_wins, ties: r.ties, games: r.games };
+    if (cells[r.candidate_hi]) cells[r.candidate_hi][r.candidate_lo] = { wins: r.hi_wins, losses: r.lo_wins, ties: r.ties, games: r.games };
+  }
+  return cells;
+}
@@ -3,15 +3,49 @@
 // 5 주사위 × 최대 3번 굴림 × 13 카테고리
 // 상단 63+ → +35 보너스 / 야추 보너스 +100
 // 이벤트 prefix: 'yacht:*'
+// 빠른 대전: matchmaking.js 큐 (2p / 4p) — 매칭되면 방 생성 + 바로 시작
 // =========================
 
-const yachtRooms = new Map();
-const yachtInvites = new Map();
-const yachtUserRoom = new Map();
+import { createRoomManager } from "./room-manager.js";
+import { roomNotFoundReply } from "./cluster.js";
+import { ratingRoster, settleRatings } from "./ratings.js";
+import { registerQuickMatch } from "./matchmaking.js";
+
+// 방 수명주기 (초대코드/빈 방 TTL/퇴장/강퇴/재요청) — 공용 매니저
+// 진행 중 퇴장은 결과 화면용으로 자리 유지 (status=left)
+const rm = createRoomManager({
+  prefix: "yacht",
+  publicRoom,
+  spectators: true,
+  clearTimers: clearTurnTimer,
+  keepSeatWhilePlaying: true,
+  beforeLeave: (io, room, userId, p) => {
+    if (p && room.status === "playing") {
+      p.status = "left";
+      p.connected = false;
+    }
+    return { wasCurrent: room.currentTurnId === userId };
+  },
+  afterLeave: (io, room, userId, ctx) => {
+    if (activeOrderedPlayers(room).length === 0) {
+      rm.deleteRoom(io, room, "ALL_LEFT");
+      return true;
+    }
+    if (room.status === "playing" && ctx.wasCurrent) nextTurn(io, room);
+  },
+  onDisconnect: (io, room, userId) => {
+    io.to(socketRoomName(room.id)).emit("yacht:peerUpdate", { playerId: userId, connected: false });
+    broadcastRoomState(io, room);
+    // 게임 중 + 현재 차례 사람이 끊김 → 차례 즉시 넘김 (멈춤 방지)
+    if (room.currentTurnId === userId && room.status === "playing") {
+      nextTurn(io, room);
+    }
+  },
+});
+const { socketRoomName, broadcastRoomState } = rm;
 
 const ALLOWED_MAX_PLAYERS = [2, 4, 6, 8];
 const ALLOWED_TURN_TIME = [0, 30, 60, 90]; // 자유/30/60/90초
-const EMPTY_ROOM_TTL_MS = 30_000;
 const MAX_NICK_LEN = 14;
 const TOTAL_CATEGORIES = 13;
 
@@ -22,17 +56,6 @@ const CATEGORIES = [
 const UPPER_KEYS = ["ones","twos","threes","fours","fives","sixes"];
 
 // ===== util =====
-function genInviteCode() {
-  for (let i = 0; i < 50; i++) {
-    const c = String(Math.floor(Math.random() * 1_000_000)).padStart(6, "0");
-    if (!yachtInvites.has(c)) return c;
-  }
-  return String(Math.floor(Math.random() * 10_000_000)).padStart(7, "0");
-}
-function socketRoomName(roomId) { return `yacht:${roomId}`; }
-function clearEmptyRoomTimer(room) {
-  if (room?.emptyRoomTimer) { clearTimeout(room.emptyRoomTimer); room.emptyRoomTimer = null; }
-}
 function clearTurnTimer(room) {
   if (room?.turnTimer) { clearTimeout(room.turnTimer); room.turnTimer = null; }
 }
@@ -143,38 +166,10 @@ function publicRoom(room) {
     startedAt: room.startedAt || null,
     endedAt: room.endedAt || null,
     players: room.playerOrder.map(uid => publicPlayer(uid, room.players.get(uid))),
+    spectatorCount: rm.spectatorCount(room),
   };
 }
 
-function broadcastRoomState(io, room) {
-  io.to(socketRoomName(room.id)).emit("yacht:roomState", publicRoom(room));
-}
-
-function deleteRoom(io, room, reason) {
-  clearEmptyRoomTimer(room);
-  clearTurnTimer(room);
-  yachtRooms.delete(room.id);
-  yachtInvites.delete(room.inviteCode);
-  for (const uid of room.playerOrder) {
-    if (yachtUserRoom.get(uid) === room.id) yachtUserRoom.delete(uid);
-  }
-  io.to(socketRoomName(room.id)).emit("yacht:roomClosed", { reason });
-  io.in(socketRoomName(room.id)).socketsLeave(socketRoomName(room.id));
-  console.log(`[yacht] room ${room.id} deleted: ${reason}`);
-}
-
-function maybeScheduleEmptyRoomDelete(io, room) {
-  const connected = [...room.players.values()].filter(p => p.connected).length;
-  if (connected === 0 && !room.emptyRoomTimer) {
-    room.emptyRoomTimer = setTimeout(() => {
-      const r = yachtRooms.get(room.id);
-      if (!r) return;
-      const stillEmpty = [...r.players.values()].every(p => !p.connected);
-      if (stillEmpty) deleteRoom(io, r, "EMPTY");
-    }, EMPTY_ROOM_TTL_MS);
-  }
-}
-
 function activeOrderedPlayers(room) {
   return room.playerOrder.filter(uid => {
     const p = room.players.get(uid);
@@ -193,7 +188,7 @@ function startTurn(io, room) {
   if (room.turnTimeSec > 0) {
     room.turnDeadline = Date.now() + room.turnTimeSec * 1000;
     room.turnTimer = setTimeout(() => {
-      const r = yachtRooms.get(room.id);
+      const r = rm.rooms.get(room.id);
       if (!r || r.status !== "playing") return;
       // 타임아웃 → 강제 점수 입력 (chance에 0점 또는 빈 카테고리 0점)
       autoFillForTimeout(io, r);
@@ -259,47 +254,85 @@ function finishGame(io, room, reason) {
   ranking.sort((a, b) => (b.total || 0) - (a.total || 0));
 
   io.to(socketRoomName(room.id)).emit("yacht:gameEnded", { reason, ranking });
+  // 레이팅: 점수 순위 (동점은 같은 순위), 중도 이탈(left)은 최하위
+  settleRatings(io, "yacht", room, (uid) => {
+    const p = room.players.get(uid);
+    if (!p || p.status === "left") return room.playerOrder.length + 1;
+    const total = calcTotal(p);
+    return 1 + ranking.filter(r => r.status !== "left" && (r.total || 0) > total).length;
+  });
   broadcastRoomState(io, room);
   console.log(`[yacht] room ${room.id} game ended: ${reason}`);
 }
 
-function leavePlayer(io, room, userId) {
-  if (!room.players.has(userId)) return;
-  const wasHost = room.hostUserId === userId;
-  const wasCurrent = room.currentTurnId === userId;
-  const p = room.players.get(userId);
-  if (p && room.status === "playing") {
-    p.status = "left";
-    p.connected = false;
-  }
-  if (room.status !== "playing") {
-    room.players.delete(userId);
-    const idx = room.playerOrder.indexOf(userId);
-    if (idx >= 0) room.playerOrder.splice(idx, 1);
-  }
-  if (yachtUserRoom.get(userId) === room.id) yachtUserRoom.delete(userId);
-  if (wasHost && room.playerOrder.length > 0) {
-    const af = room.playerOrder.find(uid => {
-      const pp = room.players.get(uid);
-      return pp && pp.connected && pp.status !== "left";
-    });
-    room.hostUserId = af || room.playerOrder[0];
-  }
-  io.to(socketRoomName(room.id)).emit("yacht:peerLeave", { playerId: userId });
-  if (room.playerOrder.length === 0 || activeOrderedPlayers(room).length === 0) {
-    deleteRoom(io, room, "ALL_LEFT");
-    return;
-  }
-  if (room.status === "playing" && wasCurrent) {
-    nextTurn(io, room);
+// 방 생성 + 등록 (createRoom / 빠른 대전 공용)
+function createYachtRoom(hostUserId, { maxPlayers, turnTimeSec }) {
+  const roomId = rm.newRoomId("yc");
+  const inviteCode = rm.genInviteCode();
+  const room = {
+    id: roomId, inviteCode, hostUserId,
+    status: "lobby", maxPlayers, turnTimeSec,
+    currentTurnId: null, turnDeadline: null,
+    dice: [0,0,0,0,0], locked: [false,false,false,false,false], rollsLeft: 0,
+    turnRound: 0,
+    createdAt: Date.now(), startedAt: null, endedAt: null,
+    players: new Map(), playerOrder: [],
+    emptyRoomTimer: null, turnTimer: null,
+  };
+  rm.addRoom(room);
+  return room;
+}
+
+// 게임 시작 — 점수판 리셋 + 첫 턴 (startGame / 빠른 대전 공용)
+function beginGame(io, room) {
+  // 모든 player 리셋
+  for (const p of room.players.values()) {
+    p.scoreCard = {};
+    p.yachtBonus = 0;
+    p.status = "active";
   }
+
+  room.status = "playing";
+  room.startedAt = Date.now();
+  room.ratingRoster = ratingRoster(room);
+  room.turnRound = 1;
+  const active = activeOrderedPlayers(room);
+  room.currentTurnId = active[0] || room.playerOrder[0];
+
+  io.to(socketRoomName(room.id)).emit("yacht:gameStart", {
+    startedAt: room.startedAt,
+    turnTimeSec: room.turnTimeSec,
+    players: room.playerOrder.map(uid => publicPlayer(uid, room.players.get(uid))),
+  });
   broadcastRoomState(io, room);
+  startTurn(io, room);
+}
+
+// 빠른 대전 (matchmaking.js) — 매칭된 전원 착석 후 바로 시작
+function createQuickMatchRoom(io, entries) {
+  const room = createYachtRoom(entries[0].userId, { maxPlayers: entries.length, turnTimeSec: 60 });
+  for (const e of entries) {
+    rm.leaveCurrentRoom(io, e.userId);
+    room.players.set(e.userId, newPlayerState(e.name, false, e.avatar_url, e.socket.id));
+    room.playerOrder.push(e.userId);
+    rm.seat(e.socket, room, e.userId);
+  }
+  beginGame(io, room);
+  return room;
 }
 
 // =========================
 // 등록
 // =========================
 export function registerYachtMulti(io, supabaseAdmin) {
+  registerQuickMatch("yacht", {
+    modes: {
+      "2p": { players: 2, queue: "1v1" },
+      "4p": { players: 4, queue: "ffa" },
+    },
+    createMatch: createQuickMatchRoom,
+    isPlaying: (userId) => rm.roomOf(userId)?.status === "playing",
+  });
   io.on("connection", (socket) => {
     const me = socket.user;
     if (!me) return;
@@ -307,29 +340,14 @@ export function registerYachtMulti(io, supabaseAdmin) {
     socket.on("yacht:createRoom", async (payload, cb) => {
       try {
         if (me.isGuest) return cb?.({ ok: false, error: "GUEST_CANNOT_CREATE" });
-        if (yachtUserRoom.has(me.id)) {
-          const old = yachtRooms.get(yachtUserRoom.get(me.id));
-          if (old) leavePlayer(io, old, me.id);
-        }
+        rm.leaveCurrentRoom(io, me.id);
         const maxPlayers = ALLOWED_MAX_PLAYERS.includes(Number(payload?.maxPlayers))
           ? Number(payload.maxPlayers) : 4;
         const turnTimeSec = ALLOWED_TURN_TIME.includes(Number(payload?.turnTimeSec))
           ? Number(payload.turnTimeSec) : 60;
 
-        const roomId = `yc_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
-        const inviteCode = genInviteCode();
-        const room = {
-          id: roomId, inviteCode, hostUserId: me.id,
-          status: "lobby", maxPlayers, turnTimeSec,
-          currentTurnId: null, turnDeadline: null,
-          dice: [0,0,0,0,0], locked: [false,false,false,false,false], rollsLeft: 0,
-          turnRound: 0,
-          createdAt: Date.now(), startedAt: null, endedAt: null,
-          players: new Map(), playerOrder: [],
-          emptyRoomTimer: null, turnTimer: null,
-        };
-        yachtRooms.set(roomId, room);
-        yachtInvites.set(inviteCode, roomId);
+        const room = createYachtRoom(me.id, { maxPlayers, turnTimeSec });
+        const { id: roomId, inviteCode } = room;
 
         let avatar = null, nick = payload?.nickname;
         try {
@@ -339,8 +357,7 @@ export function registerYachtMulti(io, supabaseAdmin) {
         } catch {}
         room.players.set(me.id, newPlayerState(nick || "방장", false, avatar, socket.id));
         room.playerOrder.push(me.id);
-        yachtUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode, playerId: me.id, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -352,18 +369,13 @@ export function registerYachtMulti(io, supabaseAdmin) {
 
     socket.on("yacht:joinRoom", async (payload, cb) => {
       try {
-        const code = String(payload?.inviteCode || "").trim();
-        const roomId = yachtInvites.get(code);
-        const room = roomId ? yachtRooms.get(roomId) : null;
-        if (!room) return cb?.({ ok: false, error: "ROOM_NOT_FOUND" });
+        const room = rm.findByInvite(payload?.inviteCode);
+        if (!room) return cb?.(roomNotFoundReply(rm.prefix, payload?.inviteCode));
+        const roomId = room.id;
         if (room.status === "ended") return cb?.({ ok: false, error: "GAME_ENDED" });
 
         if (room.players.has(me.id)) {
-          const p = room.players.get(me.id);
-          p.connected = true; p.socketId = socket.id;
-          socket.join(socketRoomName(roomId));
-          yachtUserRoom.set(me.id, roomId);
-          clearEmptyRoomTimer(room);
+          rm.reconnect(socket, room, me.id);
           cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room), rejoined: true });
           broadcastRoomState(io, room);
           return;
@@ -382,9 +394,7 @@ export function registerYachtMulti(io, supabaseAdmin) {
         const playerName = nick || (me.isGuest ? "게스트" : "유저");
         room.players.set(me.id, newPlayerState(playerName, !!me.isGuest, avatar, socket.id));
         room.playerOrder.push(me.id);
-        yachtUserRoom.set(me.id, roomId);
-        socket.join(socketRoomName(roomId));
-        clearEmptyRoomTimer(room);
+        rm.seat(socket, room, me.id);
 
         cb?.({ ok: true, roomId, inviteCode: room.inviteCode, playerId: me.id, room: publicRoom(room) });
         broadcastRoomState(io, room);
@@ -395,8 +405,7 @@ export function registerYachtMulti(io, supabaseAdmin) {
     });
 
     socket.on("yacht:setMaxPlayers", (payload, cb) => {
-      const roomId = yachtUserRoom.get(me.id);
-      const room = roomId ? yachtRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
@@ -409,8 +418,7 @@ export function registerYachtMulti(io, supabaseAdmin) {
     });
 
     socket.on("yacht:setRoomOptions", (payload, cb) => {
-      const roomId = yachtUserRoom.get(me.id);
-      const room = roomId ? yachtRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
@@ -423,8 +431,7 @@ export function registerYachtMulti(io, supabaseAdmin) {
     });
 
     socket.on("yacht:startGame", (_payload, cb) => {
-      const roomId = yachtUserRoom.get(me.id);
-      const room = roomId ? yachtRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
       if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
       if (room.status === "playing") return cb?.({ ok: false, error: "ALREADY_PLAYING" });
@@ -439,7 +446,7 @@ export function registerYachtMulti(io, supabaseAdmin) {
           room.players.delete(uid);
           const idx = room.playerOrder.indexOf(uid);
           if (idx >= 0) room.playerOrder.splice(idx, 1);
-          if (yachtUserRoom.get(uid) === room.id) yachtUserRoom.delete(uid);
+          if (rm.userRoom.get(uid) === room.id) rm.userRoom.delete(uid);
         }
         if (!room.players.has(room.hostUserId)) {
           room.hostUserId = room.playerOrder[0];
@@ -447,33 +454,13 @@ export function registerYachtMulti(io, supabaseAdmin) {
       }
       if (room.players.size < 2) return cb?.({ ok: false, error: "NEED_AT_LEAST_2" });
 
-      // 모든 player 리셋
-      for (const p of room.players.values()) {
-        p.scoreCard = {};
-        p.yachtBonus = 0;
-        p.status = "active";
-      }
-
-      room.status = "playing";
-      room.startedAt = Date.now();
-      room.turnRound = 1;
-      const active = activeOrderedPlayers(room);
-      room.currentTurnId = active[0] || room.playerOrder[0];
-
-      io.to(socketRoomName(room.id)).emit("yacht:gameStart", {
-        startedAt: room.startedAt,
-        turnTimeSec: room.turnTimeSec,
-        players: room.playerOrder.map(uid => publicPlayer(uid, room.players.get(uid))),
-      });
-      broadcastRoomState(io, room);
-      startTurn(io, room);
+      beginGame(io, room);
       cb?.({ ok: true });
     });
 
     // 주사위 굴리기
     socket.on("yacht:rollDice", (_payload, cb) => {
-      const roomId = yachtUserRoom.get(me.id);
-      const room = roomId ? yachtRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
       if (room.currentTurnId !== me.id) return cb?.({ ok: false, error: "NOT_YOUR_TURN" });
       if (room.rollsLeft <= 0) return cb?.({ ok: false, error: "NO_ROLLS_LEFT" });
@@ -494,8 +481,7 @@ export function registerYachtMulti(io, supabaseAdmin) {
 
     // 다이스 lock 토글
     socket.on("yacht:toggleLock", (payload, cb) => {
-      const roomId = yachtUserRoom.get(me.id);
-      const room = roomId ? yachtRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
       if (room.currentTurnId !== me.id) return cb?.({ ok: false, error: "NOT_YOUR_TURN" });
       const idx = safeNumber(payload?.index, -1);
@@ -514,8 +500,7 @@ export function registerYachtMulti(io, supabaseAdmin) {
 
     // 점수 입력 (카테고리 선택)
     socket.on("yacht:fillScore", (payload, cb) => {
-      const roomId = yachtUserRoom.get(me.id);
-      const room = roomId ? yachtRooms.get(roomId) : null;
+      const room = rm.roomOf(me.id);
       if (!room || room.status !== "playing") return cb?.({ ok: false, error: "NOT_PLAYING" });
       if (room.currentTurnId !== me.id) return cb?.({ ok: false, error: "NOT_YOUR_TURN" });
       if (room.actionLocked) return cb?.({ ok: false, error: "WAITING_NEXT_TURN" });  // 중복 입력 방지
@@ -561,56 +546,7 @@ export function registerYachtMulti(io, supabaseAdmin) {
       setTimeout(() => nextTurn(io, room), 400);
     });
 
-    socket.on("yacht:leaveRoom", (_payload, cb) => {
-      const roomId = yachtUserRoom.get(me.id);
-      const room = roomId ? yachtRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: true });
-      leavePlayer(io, room, me.id);
-      socket.leave(socketRoomName(room.id));
-      cb?.({ ok: true });
-    });
-
-    socket.on("yacht:kickPlayer", (payload, cb) => {
-      const roomId = yachtUserRoom.get(me.id);
-      const room = roomId ? yachtRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      if (room.hostUserId !== me.id) return cb?.({ ok: false, error: "NOT_HOST" });
-      if (room.status !== "lobby") return cb?.({ ok: false, error: "NOT_LOBBY" });
-      const targetId = String(payload?.targetUserId || "");
-      if (!targetId || targetId === me.id) return cb?.({ ok: false, error: "INVALID_TARGET" });
-      if (!room.players.has(targetId)) return cb?.({ ok: false, error: "TARGET_NOT_IN_ROOM" });
-      const target = room.players.get(targetId);
-      if (target?.socketId) io.to(target.socketId).emit("yacht:kicked", { reason: "KICKED_BY_HOST" });
-      leavePlayer(io, room, targetId);
-      cb?.({ ok: true });
-    });
-
-    socket.on("yacht:requestState", (_payload, cb) => {
-      const roomId = yachtUserRoom.get(me.id);
-      const room = roomId ? yachtRooms.get(roomId) : null;
-      if (!room) return cb?.({ ok: false, error: "NOT_IN_ROOM" });
-      cb?.({ ok: true, room: publicRoom(room) });
-    });
-
-    socket.on("disconnect", () => {
-      const roomId = yachtUserRoom.get(me.id);
-      const room = roomId ? yachtRooms.get(roomId) : null;
-      if (!room) return;
-      const p = room.players.get(me.id);
-      if (!p) return;
-      if (p.socketId !== socket.id) return;
-      p.connected = false;
-      if (room.status === "lobby") {
-        leavePlayer(io, room, me.id);
-      } else {
-        io.to(socketRoomName(room.id)).emit("yacht:peerUpdate", { playerId: me.id, connected: false });
-        broadcastRoomState(io, room);
-        // 게임 중 + 현재 차례 사람이 끊김 → 차례 즉시 넘김 (멈춤 방지)
-        if (room.currentTurnId === me.id && room.status === "playing") {
-          nextTurn(io, room);
-        }
-        maybeScheduleEmptyRoomDelete(io, room);
-      }
-    });
+    // ----- 퇴장/강퇴/상태 재요청/연결 해제 — 공용 매니저 -----
+    rm.attach(io, socket);
   });
 }
@@ -0,0 +1,167 @@
+// 클러스터 라우팅 — 메모리 버스로 노드 여러 개를 한 프로세스에 띄워 검증
+//   디렉터리 복제 / Socket.IO 어댑터 노드 간 전달 / 입장·관전 ROOM_ON_OTHER_NODE 안내 / Realtime 버스 인코딩
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { Server } from "socket.io";
+import {
+  createMemoryBus, createBusAdapter, createRoomDirectory, createSupabaseBus, createBusFromEnv,
+  encodeBusMessage, decodeBusMessage, roomDirectory, roomNotFoundReply, NODE_ID,
+} from "../src/cluster.js";
+import { createRoomManager } from "../src/room-manager.js";
+import { registerAppleMulti } from "../src/apple-multi.js";
+
+const tick = () => new Promise((r) => setImmediate(r));
+const wait = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// 공용 디렉터리를 테스트 버스에 붙이고, 다른 노드 역할의 디렉터리를 하나 더 띄움
+const bus = createMemoryBus();
+roomDirectory.connect(bus);
+const remote = createRoomDirectory(bus, "node_remote", { nodeUrl: "https://remote.example" });
+after(() => { remote.close(); roomDirectory.close(); });
+
+// socket.io 서버 없이 핸들러만 돌리는 최소 io/socket
+function fakeIo() {
+  const io = {
+    handlers: [],
+    sockets: { sockets: new Map() },
+    on(ev, fn) { if (ev === "connection") io.handlers.push(fn); },
+    to: () => ({ emit() {} }),
+    in: () => ({ socketsLeave() {} }),
+  };
+  return io;
+}
+function fakeSocket(io, user) {
+  const s = new EventEmitter();
+  s.id = `s_${user.id}`;
+  s.user = user;
+  s.join = () => {};
+  s.leave = () => {};
+  s.call = (ev, payload) => new Promise((resolve) => s.listeners(ev)[0](payload, resolve));
+  io.sockets.sockets.set(s.id, s);
+  for (const h of io.handlers) h(s);
+  return s;
+}
+
+test("디렉터리: 다른 노드의 claim/release가 복제됨", async () => {
+  remote.claim("apple", "ap_1", "111111");
+  await tick();
+  assert.deepEqual(roomDirectory.lookup("apple", "111111"), {
+    nodeId: "node_remote", url: "https://remote.example", local: false, roomId: "ap_1",
+  });
+  assert.equal(roomDirectory.lookup("apple", "ap_1").roomId, "ap_1");
+  assert.ok(roomDirectory.liveNodes().some((n) => n.nodeId === "node_remote"));
+
+  remote.release("apple", "ap_1");
+  await tick();
+  assert.equal(roomDirectory.lookup("apple", "111111"), null);
+});
+
+test("roomNotFoundReply: 원격 방은 주인 노드 안내, 없는 방은 ROOM_NOT_FOUND", async () => {
+  remote.claim("room", "r_remote", "222222");
+  await tick();
+  assert.deepEqual(roomNotFoundReply("room", "222222"), {
+    ok: false, error: "ROOM_ON_OTHER_NODE", nodeId: "node_remote", url: "https://remote.example",
+  });
+  assert.deepEqual(roomNotFoundReply("room", "999999"), { ok: false, error: "ROOM_NOT_FOUND" });
+  remote.release("room", "r_remote");
+});
+
+test("게임 입장: 다른 노드 방 초대코드면 ROOM_ON_OTHER_NODE", async () => {
+  const io = fakeIo();
+  registerAppleMulti(io, null);
+  const sock = fakeSocket(io, { id: "u1", isGuest: true });
+
+  remote.claim("apple", "ap_2", "333333");
+  await tick();
+  const res = await sock.call("apple:joinRoom", { inviteCode: "333333" });
+  assert.equal(res.error, "ROOM_ON_OTHER_NODE");
+  assert.equal(res.url, "https://remote.example");
+
+  const missing = await sock.call("apple:joinRoom", { inviteCode: "444444" });
+  assert.equal(missing.error, "ROOM_NOT_FOUND");
+  remote.release("apple", "ap_2");
+});
+
+test("관전: 다른 노드 방이면 ROOM_ON_OTHER_NODE", async () => {
+  const rm = createRoomManager({ prefix: "spectest", publicRoom: (room) => ({ id: room.id }), spectators: true });
+  const io = fakeIo();
+  io.on("connection", (socket) => rm.attach(io, socket));
+  const sock = fakeSocket(io, { id: "u2", isGuest: true });
+
+  remote.claim("spectest", "st_1", "555555");
+  await tick();
+  const res = await sock.call("spectest:spectate", { inviteCode: "555555" });
+  assert.equal(res.error, "ROOM_ON_OTHER_NODE");
+  assert.equal(res.nodeId, "node_remote");
+  remote.release("spectest", "st_1");
+});
+
+test("로컬 방은 자기 노드로 조회됨", async () => {
+  const rm = createRoomManager({ prefix: "localtest", publicRoom: (room) => ({ id: room.id }) });
+  rm.addRoom({ id: "lt_1", inviteCode: "666666", players: new Map(), playerOrder: [] });
+  const owner = remote.lookup("localtest", "666666");
+  await tick();
+  assert.equal(remote.lookup("localtest", "666666")?.nodeId, NODE_ID);
+  assert.equal(owner, null);  // 전파 전에는 원격에 없음
+  assert.equal(roomDirectory.lookup("localtest", "666666").local, true);
+  roomDirectory.release("localtest", "lt_1");
+});
+
+test("어댑터: serverSideEmit이 같은 버스의 다른 노드에 전달됨", async () => {
+  const adapterBus = createMemoryBus();
+  const a = new Server({ adapter: createBusAdapter(adapterBus) });
+  const b = new Server({ adapter: createBusAdapter(adapterBus) });
+  try {
+    const got = new Promise((resolve) => a.on("hello", resolve));
+    await wait(20);
+    b.serverSideEmit("hello", { from: "b" });
+    assert.deepEqual(await got, { from: "b" });
+  } finally {
+    // http 서버 없이 만든 Server라 close() 대신 어댑터(하트비트 타이머/버스 구독)만 정리
+    a.of("/").adapter.close();
+    b.of("/").adapter.close();
+  }
+});
+
+test("Realtime 버스: 바이너리 포함 메시지를 채널별로 전달", async () => {
+  // supabase.channel() 흉내 — 같은 topic 구독자끼리 broadcast (self: false)
+  const hub = new EventEmitter();
+  const fakeSupabase = {
+    channel(topic) {
+      const ch = {
+        on(_type, _filter, handler) { ch.handler = handler; return ch; },
+        subscribe(cb) { hub.on(topic, (from, msg) => { if (from !== ch) ch.handler(msg); }); cb?.("SUBSCRIBED"); return ch; },
+        send(msg) { hub.emit(topic, ch, JSON.parse(JSON.stringify(msg))); return Promise.resolve("ok"); },
+      };
+      return ch;
+    },
+  };
+  const logged = console.log;
+  console.log = () => {};
+  const busA = createSupabaseBus(fakeSupabase, "t");
+  const busB = createSupabaseBus(fakeSupabase, "t");
+  console.log = logged;
+
+  const received = [];
+  busB.subscribe("x", (m) => received.push(m));
+  busB.subscribe("y", () => assert.fail("다른 채널로 새면 안 됨"));
+  busA.publish("x", { n: 1, data: [Buffer.from([1, 2, 3])] });
+  await tick();
+  assert.equal(received.length, 1);
+  assert.equal(received[0].n, 1);
+  assert.deepEqual([...received[0].data[0]], [1, 2, 3]);
+});
+
+test("인코딩 왕복 / CLUSTER_BUS 선택", () => {
+  const msg = { a: [1, { b: new Uint8Array([9, 8]) }], s: "x", nil: null };
+  const back = decodeBusMessage(JSON.parse(JSON.stringify(encodeBusMessage(msg))));
+  assert.deepEqual([...back.a[1].b], [9, 8]);
+  assert.equal(back.s, "x");
+  assert.equal(back.nil, null);
+
+  assert.equal(createBusFromEnv({}, {}), null);
+  assert.equal(createBusFromEnv({}, { CLUSTER_BUS: "none" }), null);
+  assert.throws(() => createBusFromEnv({}, { CLUSTER_BUS: "supabase" }));
+  assert.throws(() => createBusFromEnv({}, { CLUSTER_BUS: "nope" }));
+});
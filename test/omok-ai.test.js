@@ -0,0 +1,68 @@
+// 오목 AI 착수 선택 — 즉시 승리 / 즉시 방어 / 빈 판 / 벽·금수 칸 회피
+//   보드는 omok.js 와 같은 Int8Array(size*size). 행 문자열: O=봇(1), X=상대(2), #=벽(blocked), .=빈 칸
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { chooseBotMove, BOT_LEVELS } from "../src/omok-ai.js";
+
+const SIZE = 15;
+const DIRS = [[1, 0], [0, 1], [1, 1], [1, -1]];
+
+function parse(rows) {
+  const board = new Int8Array(SIZE * SIZE);
+  const blocked = new Set();
+  rows.forEach((row, y) => [...row].forEach((c, x) => {
+    if (c === "O") board[y * SIZE + x] = 1;
+    if (c === "X") board[y * SIZE + x] = 2;
+    if (c === "#") blocked.add(`${x},${y}`);
+  }));
+  return { board, blocked };
+}
+
+// omok.js findWinLine 과 같은 판정 (N목 이상)
+function findWinLine(board, size, x, y, color, winLength) {
+  for (const [dx, dy] of DIRS) {
+    let n = 1;
+    for (let cx = x + dx, cy = y + dy; cx >= 0 && cx < size && cy >= 0 && cy < size && board[cy * size + cx] === color; cx += dx, cy += dy) n++;
+    for (let cx = x - dx, cy = y - dy; cx >= 0 && cx < size && cy >= 0 && cy < size && board[cy * size + cx] === color; cx -= dx, cy -= dy) n++;
+    if (n >= winLength) return true;
+  }
+  return null;
+}
+
+const move = (rows, o = {}) => {
+  const { board, blocked } = parse(rows);
+  return chooseBotMove({ board, size: SIZE, winLength: 5, color: 1, blocked, findWinLine, ...o });
+};
+
+test("빈 판이면 가운데", () => {
+  assert.deepEqual(move([]), { x: 7, y: 7 });
+});
+
+test("4목이 있으면 모든 난이도에서 바로 5목", () => {
+  for (const difficulty of BOT_LEVELS) {
+    const m = move(["", "", "XXX", "", "", ".OOOO"], { difficulty });
+    assert.ok(m.y === 5 && (m.x === 0 || m.x === 5), `${difficulty}: ${JSON.stringify(m)}`);
+  }
+});
+
+test("상대 4목은 막음 (normal / hard)", () => {
+  for (const difficulty of ["normal", "hard"]) {
+    assert.deepEqual(move(["", "", "", "OXXXX.", "O"], { difficulty }), { x: 5, y: 3 }, difficulty);
+  }
+});
+
+test("승리 칸이 벽이면 다른 쪽 끝", () => {
+  assert.deepEqual(move(["", "", "", "#OOOO."]), { x: 5, y: 3 });
+});
+
+test("isLegal 이 막은 칸은 고르지 않음", () => {
+  const m = move(["", "", "", ".OOOO."], { isLegal: (x, y) => !(y === 3 && x === 0) });
+  assert.deepEqual(m, { x: 5, y: 3 });
+  assert.equal(move(["O"], { isLegal: () => false }), null);
+});
+
+test("3목 게임: 열린 2목 막기보다 내 3목 완성이 먼저", () => {
+  const m = move(["", "", ".XX", "", ".OO"], { winLength: 3, difficulty: "hard" });
+  assert.equal(m.y, 4);
+  assert.ok(m.x === 0 || m.x === 3);
+});
@@ -0,0 +1,67 @@
+// 오목 룰셋 — 렌주 흑 금수(장목 / 4-4 / 3-3, 5목 우선) + 룰셋 조합 검사
+//   보드는 omok.js 와 같은 Int8Array(size*size). 행 문자열: O=흑(1), X=백(2), .=빈 칸 — 판정 칸은 (x, y)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { renjuForbidden, requiresExactLength, validateRuleSet } from "../src/omok-rules.js";
+
+const SIZE = 15;
+
+function board(rows) {
+  const b = new Int8Array(SIZE * SIZE);
+  rows.forEach((row, y) => [...row].forEach((c, x) => {
+    if (c === "O") b[y * SIZE + x] = 1;
+    if (c === "X") b[y * SIZE + x] = 2;
+  }));
+  return b;
+}
+
+const forbidden = (rows, x, y) => renjuForbidden(board(rows), SIZE, x, y, 1);
+
+test("장목(6목 이상)은 금수, 정확히 5목은 허용", () => {
+  assert.equal(forbidden(["", "", "OOO.OO"], 3, 2), "FORBIDDEN_OVERLINE");
+  assert.equal(forbidden(["", "", "OO.OO"], 2, 2), null);
+});
+
+test("3-3: 열린 3 두 개", () => {
+  assert.equal(forbidden(["", "", "", ".OO.", "", "...O", "...O", ""], 3, 3), "FORBIDDEN_33");
+  // 한쪽이 막힌 3은 열린 3이 아님
+  assert.equal(forbidden(["", "", "", "XOO.", "", "...O", "...O", ""], 3, 3), null);
+});
+
+test("4-4: 서로 다른 줄의 4 두 개", () => {
+  assert.equal(forbidden(["", "", "", "XOOO.", "", "....O", "....O", "....O", "....X"], 4, 3), "FORBIDDEN_44");
+});
+
+test("4-4: 한 줄 안의 4 두 개 (OOO.X.OOO / O.OXO.O)", () => {
+  assert.equal(forbidden(["", "", "OOO...OOO"], 4, 2), "FORBIDDEN_44");
+  assert.equal(forbidden(["", "", "O.O.O.O"], 3, 2), "FORBIDDEN_44");   // O.OOO.O
+});
+
+test("열린 4(.OOOO.)는 4 하나 — 금수 아님", () => {
+  assert.equal(forbidden(["", "", ".OOO....."], 4, 2), null);
+});
+
+test("5목 완성이 금수보다 우선", () => {
+  // (4,2) 에 두면 가로 5목 + 세로 4 — 5목이라 허용
+  assert.equal(forbidden(["", "", "OOOO.", "....O", "....O", "....O"], 4, 2), null);
+});
+
+test("이미 돌이 있는 칸은 판정하지 않음", () => {
+  assert.equal(forbidden(["", "", "OOOOO"], 2, 2), null);
+});
+
+test("정확히 N목 요구 여부", () => {
+  assert.equal(requiresExactLength("freestyle", 1, 1), false);
+  assert.equal(requiresExactLength("exact", 2, 1), true);
+  assert.equal(requiresExactLength("renju", 1, 1), true);
+  assert.equal(requiresExactLength("renju", 2, 1), false);
+});
+
+test("룰셋 조합 검사", () => {
+  assert.equal(validateRuleSet("freestyle", "ffa", 4), null);
+  assert.equal(validateRuleSet("renju", "1v1", 5), null);
+  assert.equal(validateRuleSet("renju", "2v2", 5), "RENJU_REQUIRES_1V1_FIVE");
+  assert.equal(validateRuleSet("renju", "1v1", 4), "RENJU_REQUIRES_1V1_FIVE");
+  assert.equal(validateRuleSet("gomoku", "1v1", 5), "INVALID_RULE_SET");
+  assert.equal(validateRuleSet(undefined, "1v1", 5), "INVALID_RULE_SET");
+});
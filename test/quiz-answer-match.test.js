@@ -0,0 +1,67 @@
+// 주관식 정답 판정 — 기본 strict(예전 그대로), normal/lenient 오타 허용(자모 편집 거리 + 초성), 숫자 정규화, typoCredit
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { matchShortAnswer, normalizeAnswerMatch, toJamo, toChoseong } from "../src/quiz-answer-match.js";
+
+const ok = (answers, user, m) => matchShortAnswer(answers, user, m).correct;
+
+test("answer_match 정규화 — 없으면 strict, 범위 밖 값은 잘라냄, 모르는 키는 버림", () => {
+  assert.deepEqual(normalizeAnswerMatch(null), { level: "strict", maxDistance: null, choseong: true, numbers: true, typoCredit: 1 });
+  assert.deepEqual(normalizeAnswerMatch({ level: "loose", maxDistance: 9, typoCredit: 2, extra: 1 }),
+    { level: "strict", maxDistance: 5, choseong: true, numbers: true, typoCredit: 1 });
+  assert.equal(normalizeAnswerMatch({ maxDistance: -1 }).maxDistance, null);
+  assert.equal(normalizeAnswerMatch({ typoCredit: -0.5 }).typoCredit, 0);
+});
+
+test("strict(기본): 대소문자·공백만 무시하고 완전 일치", () => {
+  assert.deepEqual(matchShortAnswer(["아이유"], " 아이 유 "), { correct: true, exact: true, score: 1, matched: "아이유", distance: 0 });
+  assert.equal(ok(["BTS", "방탄소년단"], "bts"), true);
+  assert.equal(ok(["아이유"], "아이우"), false);
+  assert.equal(ok(["1000"], "1,000"), false);
+  assert.equal(ok(["아이유"], null), false);
+});
+
+test("normal: 한글 받침/모음 하나 틀림 = 거리 1 허용", () => {
+  const r = matchShortAnswer(["아이유"], "아이우", { level: "normal" });
+  assert.deepEqual(r, { correct: true, exact: false, score: 1, matched: "아이유", distance: 1 });
+  assert.equal(ok(["beethoven"], "bethoven", { level: "normal" }), true);
+  // 짧은 정답(자모 3개 미만 → 허용 0)은 오타 불인정
+  assert.equal(ok(["가"], "거", { level: "normal" }), false);
+});
+
+test("초성이 다르면 오타로 인정 안 함 (choseong: false 로 끔)", () => {
+  assert.equal(ok(["사과"], "사자", { level: "lenient" }), false);
+  assert.equal(ok(["사과"], "사자", { level: "lenient", choseong: false }), true);
+});
+
+test("정규화: 전각·구두점·숫자 표기 차이는 완전 일치", () => {
+  const m = { level: "normal" };
+  assert.equal(matchShortAnswer(["abc"], "ＡＢＣ", m).exact, true);
+  assert.equal(matchShortAnswer(["스파이더맨: 노 웨이 홈"], "스파이더맨 노웨이홈", m).exact, true);
+  assert.equal(matchShortAnswer(["1000"], "1,000", m).exact, true);
+  assert.equal(ok(["3"], "3.0", m), true);
+  assert.equal(ok(["7"], "007", m), true);
+  // 숫자 정답은 오타 허용 안 함
+  assert.equal(ok(["1000"], "100", { level: "lenient" }), false);
+  assert.equal(ok(["7"], "007", { level: "normal", numbers: false }), false);
+});
+
+test("maxDistance 만 지정해도 오타 허용, typoCredit 은 오타 점수", () => {
+  assert.equal(ok(["아이유"], "아이우", { maxDistance: 1 }), true);
+  assert.equal(ok(["아이유"], "아이우", { maxDistance: 0, level: "lenient" }), false);
+  assert.deepEqual(matchShortAnswer(["아이유"], "아이우", { level: "normal", typoCredit: 0.5 }),
+    { correct: true, exact: false, score: 0.5, matched: "아이유", distance: 1 });
+  assert.equal(ok(["아이유"], "아이우", { level: "normal", typoCredit: 0 }), false);
+  assert.equal(matchShortAnswer(["아이유"], "아이유", { typoCredit: 0 }).score, 1);
+});
+
+test("동의어 중 가장 가까운 답으로 매칭", () => {
+  const r = matchShortAnswer(["뉴진스", "newjeans"], "newjean", { level: "normal" });
+  assert.equal(r.matched, "newjeans");
+  assert.equal(r.distance, 1);
+});
+
+test("자모 / 초성 분해", () => {
+  assert.deepEqual(toJamo("값a"), ["ㄱ", "ㅏ", "ㅄ", "a"]);
+  assert.equal(toChoseong("아이유 3집"), "ㅇㅇㅇㅈ");
+});
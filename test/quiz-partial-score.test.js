@@ -0,0 +1,51 @@
+// 퀴즈 부분 점수 — 근사치(허용 범위 / 거리 비례 점수) / 복수 선택(맞게 고른 수 - 잘못 고른 수)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeEstimateMatch, getEstimateBand, getEstimateScore, getMultiSelectScore,
+} from "../src/quiz-partial-score.js";
+
+test("근사치 answer_match 정규화", () => {
+  assert.deepEqual(normalizeEstimateMatch(null), { tolerance: null, tolerancePct: null });
+  assert.deepEqual(normalizeEstimateMatch({ tolerance: "5", tolerancePct: 250, x: 1 }), { tolerance: 5, tolerancePct: 100 });
+  assert.deepEqual(normalizeEstimateMatch({ tolerance: -1, tolerancePct: "abc" }), { tolerance: null, tolerancePct: null });
+});
+
+test("허용 범위 — 기본 정답의 10%, tolerance 가 tolerancePct 보다 우선", () => {
+  assert.equal(getEstimateBand({ answer: [8848] }), 884.8);
+  assert.equal(getEstimateBand({ answer: [-200], answerMatch: { tolerancePct: 5 } }), 10);
+  assert.equal(getEstimateBand({ answer: [100], answerMatch: { tolerance: 3, tolerancePct: 50 } }), 3);
+});
+
+test("근사치 점수 — 정확히 1, 범위 끝 0.5, 밖 0", () => {
+  const q = { answer: ["1000"], answerMatch: { tolerance: 100 } };
+  assert.deepEqual(getEstimateScore(q, 1000), { score: 1, diff: 0, inBand: true, band: 100 });
+  assert.deepEqual(getEstimateScore(q, "1,050"), { score: 0.75, diff: 50, inBand: true, band: 100 });
+  assert.deepEqual(getEstimateScore(q, 900), { score: 0.5, diff: 100, inBand: true, band: 100 });
+  assert.deepEqual(getEstimateScore(q, 1101), { score: 0, diff: 101, inBand: false, band: 100 });
+});
+
+test("근사치 — 빈 답 / 숫자 아님은 0점, 허용 범위 0 이면 정확히 맞혀야 함", () => {
+  const q = { answer: [42] };
+  for (const a of [null, "", "마흔둘", undefined]) {
+    assert.deepEqual(getEstimateScore(q, a), { score: 0, diff: null, inBand: false, band: 4.2 }, String(a));
+  }
+  const exact = { answer: [7], answerMatch: { tolerance: 0 } };
+  assert.equal(getEstimateScore(exact, 7).score, 1);
+  assert.equal(getEstimateScore(exact, 8).inBand, false);
+});
+
+test("복수 선택 — 정답 전부 1, 일부 비례, 오답은 감점 (0 미만은 0)", () => {
+  const q = { answer: [0, 2, 3], choices: ["a", "b", "c", "d", "e"] };
+  assert.deepEqual(getMultiSelectScore(q, [3, 0, 2]), { score: 1, correctCount: 3, wrongCount: 0, totalItems: 3 });
+  assert.deepEqual(getMultiSelectScore(q, [0, 2]), { score: 0.67, correctCount: 2, wrongCount: 0, totalItems: 3 });
+  assert.deepEqual(getMultiSelectScore(q, [0, 2, 3, 4]), { score: 0.67, correctCount: 3, wrongCount: 1, totalItems: 3 });
+  assert.deepEqual(getMultiSelectScore(q, [1, 4, 0]), { score: 0, correctCount: 1, wrongCount: 2, totalItems: 3 });
+});
+
+test("복수 선택 — 범위 밖 / 중복 / 배열 아님은 무시", () => {
+  const q = { answer: ["1"], choices: ["a", "b", "c"] };
+  assert.deepEqual(getMultiSelectScore(q, ["1", 1, 9, -1, 1.5]), { score: 1, correctCount: 1, wrongCount: 0, totalItems: 1 });
+  assert.deepEqual(getMultiSelectScore(q, "1"), { score: 0, correctCount: 0, wrongCount: 0, totalItems: 1 });
+  assert.equal(getMultiSelectScore({ answer: [], choices: ["a"] }, [0]).score, 0);
+});
@@ -0,0 +1,97 @@
+// 퀴즈 서바이벌 — 블록마다 최하위 탈락 / 동점 서든데스(최대 SUDDEN_DEATH_MAX 문제) / 무작위 마무리 / 퇴장 탈락 / 최종 순위
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SUDDEN_DEATH_MAX, SURVIVAL_DEFAULT_BLOCK, SURVIVAL_MAX_BLOCK,
+  normalizeSurvivalBlock, createSurvivalState, survivalActiveIds, survivalAfterQuestion, survivalStandings, publicSurvival,
+} from "../src/quiz-survival.js";
+
+const reasons = (r) => r.eliminated.map(e => [e.userId, e.reason]);
+
+test("블록 크기 정규화", () => {
+  assert.equal(normalizeSurvivalBlock("5"), 5);
+  assert.equal(normalizeSurvivalBlock(0), SURVIVAL_DEFAULT_BLOCK);
+  assert.equal(normalizeSurvivalBlock("abc"), SURVIVAL_DEFAULT_BLOCK);
+  assert.equal(normalizeSurvivalBlock(99), SURVIVAL_MAX_BLOCK);
+});
+
+test("블록이 끝날 때만 누적 점수 최하위 1명 탈락, 마지막 1명이 우승", () => {
+  const s = createSurvivalState(["a", "b", "c"], 2);
+  const ids = ["a", "b", "c"];
+  assert.deepEqual(reasons(survivalAfterQuestion(s, 0, { a: 1 }, ids, true)), []);
+  const r1 = survivalAfterQuestion(s, 1, { a: 2, b: 1 }, ids, true);
+  assert.deepEqual(reasons(r1), [["c", "lowest"]]);
+  assert.equal(r1.finished, false);
+  assert.equal(s.blockStart, 2);
+  assert.deepEqual(survivalActiveIds(s), ["a", "b"]);
+
+  assert.deepEqual(reasons(survivalAfterQuestion(s, 2, { a: 2, b: 2 }, ids, true)), []);
+  const r2 = survivalAfterQuestion(s, 3, { a: 3, b: 2 }, ids, true);
+  assert.deepEqual(reasons(r2), [["b", "lowest"]]);
+  assert.equal(r2.finished, true);
+  assert.equal(s.winnerId, "a");
+  assert.deepEqual(survivalStandings(s, { a: 3, b: 2 }).map(x => [x.userId, x.rank, x.eliminated]),
+    [["a", 1, false], ["b", 2, true], ["c", 3, true]]);
+});
+
+test("최하위 동점 → 서든데스: 동점자만 풀고 그 문제 점수가 낮은 쪽 탈락", () => {
+  const s = createSurvivalState(["a", "b", "c"], 1);
+  const ids = ["a", "b", "c"];
+  const r = survivalAfterQuestion(s, 0, { a: 1, b: 0, c: 0 }, ids, true);
+  assert.deepEqual(r.suddenDeath, { candidates: ["b", "c"], round: 1 });
+  assert.deepEqual(survivalActiveIds(s), ["b", "c"]);
+  assert.equal(s.blockStart, 0);
+
+  // 서든데스 문제 점수만 비교 (누적 점수가 아니라 문제 시작 전 대비)
+  const r2 = survivalAfterQuestion(s, 1, { a: 1, b: 1, c: 0 }, ids, true);
+  assert.deepEqual(reasons(r2), [["c", "sudden_death"]]);
+  assert.equal(r2.suddenDeath, null);
+  assert.equal(s.blockStart, 2);
+  assert.deepEqual(survivalActiveIds(s), ["a", "b"]);
+});
+
+test(`서든데스가 ${SUDDEN_DEATH_MAX}문제 안에 안 갈리면 무작위 탈락, 상태는 JSON 왕복해도 이어짐`, () => {
+  let s = createSurvivalState(["a", "b"], 1);
+  const ids = ["a", "b"];
+  survivalAfterQuestion(s, 0, { a: 0, b: 0 }, ids, true);
+  for (let q = 1; q <= SUDDEN_DEATH_MAX; q++) {
+    s = JSON.parse(JSON.stringify(s));
+    const r = survivalAfterQuestion(s, q, { a: q, b: q }, ids, true, () => 0.99);
+    if (q < SUDDEN_DEATH_MAX) {
+      assert.deepEqual(r.suddenDeath, { candidates: ["a", "b"], round: q + 1 });
+    } else {
+      assert.deepEqual(reasons(r), [["b", "random"]]);
+      assert.equal(r.finished, true);
+    }
+  }
+  assert.equal(s.winnerId, "a");
+});
+
+test("다음 문제가 없으면 동점은 바로 무작위", () => {
+  const s = createSurvivalState(["a", "b", "c"], 3);
+  const r = survivalAfterQuestion(s, 2, { a: 5, b: 1, c: 1 }, ["a", "b", "c"], false, () => 0);
+  assert.deepEqual(reasons(r), [["b", "random"]]);
+  assert.equal(r.suddenDeath, null);
+});
+
+test("방을 나가면 블록 중간이어도 탈락, 서든데스 후보가 나가면 남은 후보가 생존", () => {
+  const s = createSurvivalState(["a", "b", "c", "d"], 3);
+  const r = survivalAfterQuestion(s, 0, {}, ["a", "b", "c"], true);
+  assert.deepEqual(reasons(r), [["d", "left"]]);
+
+  const t = createSurvivalState(["a", "b", "c", "d"], 1);
+  survivalAfterQuestion(t, 0, { a: 1, b: 1 }, ["a", "b", "c", "d"], true);
+  const r2 = survivalAfterQuestion(t, 1, { a: 1, b: 1 }, ["a", "b", "c"], true);
+  assert.deepEqual(reasons(r2), [["d", "left"]]);
+  assert.equal(r2.suddenDeath, null);
+  assert.equal(t.blockStart, 2);
+  assert.deepEqual(survivalActiveIds(t), ["a", "b", "c"]);
+});
+
+test("공개 상태는 복사본", () => {
+  const s = createSurvivalState(["a", "b"], 2);
+  const p = publicSurvival(s);
+  p.alive.push("x");
+  assert.deepEqual(s.alive, ["a", "b"]);
+  assert.deepEqual(p, { blockSize: 2, blockStart: 0, alive: ["a", "b", "x"], eliminated: [], suddenDeath: null, winnerId: null });
+});
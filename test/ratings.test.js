@@ -0,0 +1,118 @@
+// 레이팅 — Glicko-1 갱신(Glickman 논문 예제) / 팀·FFA 분해 / RD 회복 / 큐 판정 / 동시 반영 충돌 재시도
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  glickoUpdate, rateTeams, inflateRd, queueOf, ratingRoster, initRatings, recordMatch,
+} from "../src/ratings.js";
+
+const U1 = "00000000-0000-4000-8000-000000000001";
+const U2 = "00000000-0000-4000-8000-000000000002";
+
+test("Glicko-1: 논문 예제 (1500/200 vs 1400·1550·1700 → 1464.1 / 151.4)", () => {
+  const next = glickoUpdate({ rating: 1500, rd: 200 }, 1500, [
+    { rating: 1400, rd: 30, score: 1 },
+    { rating: 1550, rd: 100, score: 0 },
+    { rating: 1700, rd: 300, score: 0 },
+  ]);
+  assert.ok(Math.abs(next.rating - 1464.1) < 0.1, String(next.rating));
+  assert.ok(Math.abs(next.rd - 151.4) < 0.1, String(next.rd));
+});
+
+test("결과가 없으면 그대로, RD 는 50 아래로 안 내려감", () => {
+  assert.deepEqual(glickoUpdate({ rating: 1600, rd: 80 }, 1600, []), { rating: 1600, rd: 80 });
+  const results = Array.from({ length: 200 }, () => ({ rating: 1500, rd: 50, score: 0.5 }));
+  assert.equal(glickoUpdate({ rating: 1500, rd: 60 }, 1500, results).rd, 50);
+});
+
+test("1v1: 이긴 쪽 +, 진 쪽 − 같은 폭 (같은 레이팅/RD)", () => {
+  const out = rateTeams([
+    { rank: 1, members: [{ userId: "a", rating: 1500, rd: 350 }] },
+    { rank: 2, members: [{ userId: "b", rating: 1500, rd: 350 }] },
+  ]);
+  const a = out.get("a"), b = out.get("b");
+  assert.equal(a.score, 1);
+  assert.equal(b.score, 0);
+  assert.ok(a.rating > 1500 && b.rating < 1500);
+  assert.ok(Math.abs((a.rating - 1500) - (1500 - b.rating)) < 1e-9);
+});
+
+test("팀전: 팀 평균으로 기대 승률, 변동폭은 각자 RD", () => {
+  const out = rateTeams([
+    { rank: 1, members: [{ userId: "a", rating: 1500, rd: 50 }, { userId: "b", rating: 1500, rd: 300 }] },
+    { rank: 2, members: [{ userId: "c", rating: 1500, rd: 200 }, { userId: "d", rating: 1500, rd: 200 }] },
+  ]);
+  assert.ok(out.get("b").rating - 1500 > out.get("a").rating - 1500);
+});
+
+test("FFA: 순위대로 분해 — 1위 전승, 꼴찌 전패, 동순위는 무", () => {
+  const p = (userId) => ({ userId, rating: 1500, rd: 200 });
+  const out = rateTeams([
+    { rank: 1, members: [p("a")] },
+    { rank: 2, members: [p("b")] },
+    { rank: 2, members: [p("c")] },
+    { rank: 4, members: [p("d")] },
+  ]);
+  assert.equal(out.get("a").score, 1);
+  assert.equal(out.get("b").score, 0.5);
+  assert.equal(out.get("d").score, 0);
+  assert.equal(out.get("b").rating, out.get("c").rating);
+});
+
+test("쉬는 동안 RD 회복 — 100일이면 50 → 350, 상한 350", () => {
+  const now = Date.parse("2026-10-19T00:00:00Z");
+  assert.equal(inflateRd(50, null, now), 50);
+  assert.ok(Math.abs(inflateRd(50, "2026-07-11T00:00:00Z", now) - 350) < 1e-6);
+  assert.equal(inflateRd(300, "2025-01-01T00:00:00Z", now), 350);
+});
+
+test("큐 판정 / 명단 (게스트·봇은 rated=false)", () => {
+  assert.equal(queueOf([{ team: null }, { team: null }]), "1v1");
+  assert.equal(queueOf([{ team: null }, { team: null }, { team: null }]), "ffa");
+  assert.equal(queueOf([{ team: 0 }, { team: 0 }, { team: 1 }, { team: 1 }]), "team");
+  assert.equal(queueOf([{ team: 0 }, { team: 1 }]), "1v1");
+
+  const room = {
+    playerOrder: [U1, "guest_1", "bot_1"],
+    players: new Map([[U1, { team: 0 }], ["guest_1", { isGuest: true }], ["bot_1", { isBot: true }]]),
+  };
+  assert.deepEqual(ratingRoster(room).map(r => r.rated), [true, false, false]);
+});
+
+// game_ratings select + apply_game_rating_match rpc 흉내 — conflicts 번만큼 40001
+function fakeDb(conflicts) {
+  const calls = { select: 0, rpc: [] };
+  const q = { select: () => q, eq: () => q, in: () => q, then: (resolve) => { calls.select++; resolve({ data: [] }); } };
+  return {
+    calls,
+    from: () => q,
+    rpc: async (name, args) => {
+      calls.rpc.push({ name, args });
+      return conflicts-- > 0 ? { error: { code: "40001", message: "rating changed concurrently" } } : { error: null };
+    },
+  };
+}
+
+test("recordMatch: 동시 반영 충돌(40001)이면 다시 읽고 재계산", async () => {
+  const db = fakeDb(1);
+  initRatings(db);
+  const roster = [{ userId: U1, team: null, rated: true }, { userId: U2, team: null, rated: true }];
+  const changes = await recordMatch("omok", { roster, rankOf: (uid) => (uid === U1 ? 1 : 2), matchId: "m1" });
+  assert.equal(db.calls.select, 2);
+  assert.equal(db.calls.rpc.length, 2);
+  assert.equal(db.calls.rpc[1].name, "apply_game_rating_match");
+  assert.deepEqual(db.calls.rpc[1].args.p_rows.map(r => [r.user_id, r.expected_games, r.outcome]), [[U1, 0, "win"], [U2, 0, "loss"]]);
+  assert.deepEqual(changes.map(c => [c.userId, c.games, c.provisional]), [[U1, 1, true], [U2, 1, true]]);
+  assert.ok(changes[0].delta > 0 && changes[1].delta < 0);
+});
+
+test("recordMatch: 게스트가 섞이면 기록 안 함, 충돌이 계속되면 포기", async () => {
+  const db = fakeDb(99);
+  initRatings(db);
+  const rankOf = (uid) => (uid === U1 ? 1 : 2);
+  assert.equal(await recordMatch("omok", { roster: [{ userId: U1, rated: true }, { userId: "g", rated: false }], rankOf }), null);
+  assert.equal(db.calls.rpc.length, 0);
+
+  const roster = [{ userId: U1, team: null, rated: true }, { userId: U2, team: null, rated: true }];
+  assert.equal(await recordMatch("omok", { roster, rankOf }), null);
+  assert.equal(db.calls.rpc.length, 3);
+});
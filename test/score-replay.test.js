@@ -0,0 +1,98 @@
+// 솔로 점수 리플레이 검증 — 골든 리플레이(test/fixtures/score-replay.json) 재생 + 입력 간격 / durationSec / 서버 발급 판
+//   규칙(score-rules.js)이 바뀌면 골든 stats 가 깨져서 여기서 먼저 걸림
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+  verifyAppleReplay, verifyMemoryReplay, verifyBlockBlastReplay, initScoreReplay, consumeScoreRun,
+} from "../src/score-replay.js";
+import { appleGrid, memoryDeck, blockBlastDealer, REPLAY_VERSION } from "../src/score-rules.js";
+
+const golden = JSON.parse(readFileSync(new URL("./fixtures/score-replay.json", import.meta.url), "utf8"));
+
+test("골든: 사과 리플레이 재생 결과가 기록과 같음", () => {
+  for (const f of golden.apple) {
+    assert.deepEqual(appleGrid(f.seed).slice(0, 17), f.gridFirstRow);
+    const r = verifyAppleReplay({ seed: f.seed, replay: f.replay, score: f.stats.score, durationSec: f.durationSec });
+    assert.deepEqual(r, { ok: true, stats: f.stats });
+  }
+});
+
+test("골든: 메모리 리플레이 재생 결과가 기록과 같음", () => {
+  for (const f of golden.memory) {
+    const r = verifyMemoryReplay({ seed: f.seed, difficulty: f.difficulty, replay: f.replay, score: f.stats.score, durationSec: f.durationSec });
+    assert.deepEqual(r, { ok: true, stats: f.stats });
+  }
+});
+
+test("골든: 블록블래스트 리플레이 재생 결과가 기록과 같음", () => {
+  for (const f of golden.blockblast) {
+    const r = verifyBlockBlastReplay({ seed: f.seed, replay: f.replay, score: f.stats.score, durationSec: f.durationSec });
+    assert.deepEqual(r, { ok: true, stats: f.stats });
+  }
+});
+
+test("판 생성은 seed 마다 결정적", () => {
+  assert.deepEqual(memoryDeck(7, 4), memoryDeck(7, 4));
+  assert.equal(memoryDeck(7, 4).length, 16);
+  const a = blockBlastDealer(5), b = blockBlastDealer(5);
+  for (let i = 0; i < 5; i++) assert.deepEqual(a(), b());
+  assert.equal(golden.apple[0].replay.v, REPLAY_VERSION);
+});
+
+test("점수가 한 점이라도 다르면 SCORE_MISMATCH", () => {
+  const f = golden.apple[0];
+  const r = verifyAppleReplay({ seed: f.seed, replay: f.replay, score: f.stats.score + 1, durationSec: f.durationSec });
+  assert.equal(r.reason, "SCORE_MISMATCH");
+  assert.equal(r.expected, f.stats.score);
+});
+
+test("입력 간격이 너무 짧으면 TOO_FAST", () => {
+  const f = golden.memory[0];
+  const moves = f.replay.moves.map(([i, j], k) => [i, j, 1000 + k * 50]);
+  const r = verifyMemoryReplay({ seed: f.seed, difficulty: f.difficulty, replay: { v: 1, moves }, score: 0, durationSec: 2 });
+  assert.equal(r.reason, "TOO_FAST");
+  assert.equal(r.move, 1);
+});
+
+test("durationSec 은 로그 길이 ± 여유 안이어야 함 (사과는 시간 제한까지)", () => {
+  const m = golden.memory[0];
+  const short = verifyMemoryReplay({ seed: m.seed, difficulty: m.difficulty, replay: m.replay, score: m.stats.score, durationSec: 1 });
+  assert.equal(short.reason, "DURATION_MISMATCH");
+  const long = verifyMemoryReplay({ seed: m.seed, difficulty: m.difficulty, replay: m.replay, score: m.stats.score, durationSec: m.durationSec + 60 });
+  assert.equal(long.reason, "DURATION_MISMATCH");
+
+  const a = golden.apple[0];
+  assert.ok(verifyAppleReplay({ seed: a.seed, replay: a.replay, score: a.stats.score, durationSec: 120 }).ok);
+  assert.equal(verifyAppleReplay({ seed: a.seed, replay: a.replay, score: a.stats.score, durationSec: 300 }).reason, "DURATION_MISMATCH");
+});
+
+// score_runs 흉내 — select 는 row 하나, update 는 consumed_at 이 비어 있을 때만 성공
+function fakeRuns(row) {
+  const query = (kind) => {
+    const q = {
+      select: () => q, eq: () => q, is: () => q,
+      maybeSingle: async () => ({ data: row }),
+      then(resolve) {
+        if (kind !== "update" || row.consumed_at) return resolve({ data: [] });
+        row.consumed_at = new Date().toISOString();
+        return resolve({ data: [row] });
+      },
+    };
+    return q;
+  };
+  return { from: () => ({ select: () => query("select"), update: () => query("update") }) };
+}
+
+test("서버 발급 판: seed / 서버 시계 / 1회 사용 확인", async () => {
+  const row = { client_run_id: "r1", seed: 7, started_at: new Date(Date.now() - 20_000).toISOString(), consumed_at: null };
+  initScoreReplay(fakeRuns(row));
+  const base = { game: "memory", userId: "u1", clientRunId: "r1", seed: 7, spanMs: 11_300, durationSec: 12 };
+
+  assert.equal((await consumeScoreRun({ ...base, clientRunId: null })).reason, "RUN_REQUIRED");
+  assert.equal((await consumeScoreRun({ ...base, seed: 8 })).reason, "SEED_MISMATCH");
+  assert.equal((await consumeScoreRun({ ...base, spanMs: 60_000 })).reason, "CLOCK_MISMATCH");
+  assert.equal((await consumeScoreRun({ ...base, durationSec: 60 })).reason, "CLOCK_MISMATCH");
+  assert.deepEqual(await consumeScoreRun(base), { ok: true });
+  assert.equal((await consumeScoreRun(base)).reason, "RUN_ALREADY_USED");
+});
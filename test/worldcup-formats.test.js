@@ -0,0 +1,106 @@
+// 월드컵 진행 방식 — 더블 엘리미네이션(2패 탈락, 결승 리셋, 2N-2 / 2N-1판) / 풀리그(서클 일정, 승점·맞대결 순위)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createFormatState, formatCurrentPair, formatRecordResult, formatRoundInfo, formatTotalMatches, formatStandings,
+} from "../src/worldcup-formats.js";
+
+const cands = (n) => Array.from({ length: n }, (_, i) => ({ id: `c${i}`, name: `후보${i}` }));
+
+// pick(A, B, label) → 이긴 후보 (null 이면 무승부). 끝날 때까지 진행 — { played, champion, state(마지막 상태) }
+function playOut(state, pick) {
+  const played = [];
+  for (let guard = 0; guard < 1000; guard++) {
+    const pair = formatCurrentPair(state);
+    if (!pair) break;
+    const w = pick(pair.A, pair.B, pair.label);
+    const r = formatRecordResult(state, w ?? pair.A, w === pair.A ? pair.B : pair.A, w == null);
+    played.push({ ...pair, winner: w });
+    if (r.finished) return { played, champion: r.champion, state };
+    // 상태는 room-store 스냅샷으로 JSON 왕복되어도 그대로 이어져야 함
+    state = JSON.parse(JSON.stringify(state));
+  }
+  return { played, champion: null, state };
+}
+
+const seedWins = (A, B) => (Number(A.id.slice(1)) < Number(B.id.slice(1)) ? A : B);
+
+test("double: 시드 순으로 이기면 2N-2판, 1번 시드 우승, 나머지 전부 2패", () => {
+  for (let n = 2; n <= 9; n++) {
+    const state = createFormatState("double", cands(n));
+    const { played, champion } = playOut(state, seedWins);
+    assert.equal(champion.id, "c0", `n=${n}`);
+    assert.equal(played.length, 2 * n - 2, `n=${n}`);
+    assert.equal(played.at(-1).label, "결승");
+  }
+});
+
+test("double: 결승에서 패자조 쪽이 이기면 리셋 1판 더 (2N-1)", () => {
+  let finals = 0;
+  const { played, champion, state } = playOut(createFormatState("double", cands(4)), (A, B, label) => {
+    if (label === "결승") { finals++; return A.id === "c0" ? B : A; }   // 결승만 패자조 후보 승리
+    return seedWins(A, B);
+  });
+  assert.equal(finals, 1);
+  assert.equal(played.at(-1).label, "결승 리셋");
+  assert.equal(played.length, 2 * 4 - 1);
+  assert.equal(formatTotalMatches(state), 2 * 4 - 1);
+  assert.ok(champion);
+  const standings = formatStandings(state);
+  assert.equal(standings.filter(s => !s.eliminated).length, 1);
+});
+
+test("double: 라운드 표시 — 승자조 N강 / 패자조", () => {
+  const state = createFormatState("double", cands(8));
+  assert.deepEqual(formatRoundInfo(state), { roundName: "승자조 8강", matchInRound: 1, roundTotalMatches: 4 });
+  for (let k = 0; k < 4; k++) {
+    const p = formatCurrentPair(state);
+    formatRecordResult(state, seedWins(p.A, p.B), null, false);
+  }
+  assert.equal(formatRoundInfo(state).roundName, "승자조 4강");
+  assert.equal(formatCurrentPair(state).label, "승자조 4강");
+});
+
+test("league: 서클 일정 — 모든 쌍 1번씩, 라운드마다 한 번만, 홀수면 1명 휴식", () => {
+  for (const n of [2, 3, 4, 5, 6, 7, 8]) {
+    const state = createFormatState("league", cands(n));
+    assert.equal(state.rounds, n % 2 === 0 ? n - 1 : n);
+    assert.equal(formatTotalMatches(state), (n * (n - 1)) / 2);
+    const pairs = new Set();
+    for (const g of state.games) pairs.add([g.a, g.b].sort().join("-"));
+    assert.equal(pairs.size, (n * (n - 1)) / 2, `n=${n}`);
+    for (let r = 1; r <= state.rounds; r++) {
+      const seen = state.games.filter(g => g.round === r).flatMap(g => [g.a, g.b]);
+      assert.equal(new Set(seen).size, seen.length);
+      assert.equal(seen.length, n % 2 === 0 ? n : n - 1);
+    }
+  }
+});
+
+test("league: 승 3 / 무 1 / 패 0, 시드 순으로 이기면 1번 시드 우승", () => {
+  const { champion, state } = playOut(createFormatState("league", cands(4)), (A, B) => (A.id === "c2" && B.id === "c3") || (A.id === "c3" && B.id === "c2") ? null : seedWins(A, B));
+  assert.equal(champion.id, "c0");
+  const table = formatStandings(state);
+  assert.deepEqual(table.map(r => [r.id, r.points, r.wins, r.draws, r.losses]), [
+    ["c0", 9, 3, 0, 0],
+    ["c1", 6, 2, 0, 1],
+    ["c2", 1, 0, 1, 2],
+    ["c3", 1, 0, 1, 2],
+  ]);
+});
+
+test("league: 승점·승수 동률이면 맞대결 승점", () => {
+  // c0 > c1, c1 > c2, c2 > c0 (3자 동률, c3 는 전패) — 맞대결 승점도 같아서 시드 순
+  const beats = { c0: ["c1", "c3"], c1: ["c2", "c3"], c2: ["c0", "c3"], c3: [] };
+  const { state } = playOut(createFormatState("league", cands(4)), (A, B) => (beats[A.id].includes(B.id) ? A : B));
+  assert.deepEqual(formatStandings(state).map(r => [r.id, r.points]), [["c0", 6], ["c1", 6], ["c2", 6], ["c3", 0]]);
+
+  // c0·c3 승점 6, c1·c2 승점 3 — 맞대결에서 이긴 c3, c2 가 시드와 반대로 위
+  const beats2 = { c0: ["c1", "c2"], c1: ["c3"], c2: ["c1"], c3: ["c0", "c2"] };
+  const { state: s2 } = playOut(createFormatState("league", cands(4)), (A, B) => (beats2[A.id].includes(B.id) ? A : B));
+  assert.deepEqual(formatStandings(s2).map(r => r.id), ["c3", "c0", "c2", "c1"]);
+});
+
+test("알 수 없는 방식은 throw", () => {
+  assert.throws(() => createFormatState("swiss", cands(4)));
+});